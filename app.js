@@ -11,6 +11,238 @@
   - UX: confirmação após salvar (toast), editar/excluir
 */
 
+import { openDatabase } from './db/migrations.js';
+import {
+  DB_NAME,
+  MIGRATIONS,
+  STORE_INJECTIONS,
+  STORE_WEIGHTS,
+  STORE_MEASURES,
+  STORE_SETTINGS,
+  STORE_AUTO_BACKUPS,
+  STORE_PROFILES,
+  STORE_INVENTORY,
+  STORE_MEDICATIONS,
+  STORE_SYNC,
+  STORE_OUTBOX,
+  STORE_TRASH,
+  STORE_HISTORY,
+  DEFAULT_PROFILE_ID,
+  DEFAULT_PROFILE_NAME,
+  PROFILE_DATE_INDEX,
+  PROFILE_SCOPED_STORES,
+  settingsKeyForProfile,
+  snapshotBeforeMigration
+} from './db/schema.js';
+import { DEFAULTS, ROTATION_SITES_DEFAULT, SYMPTOMS_LABELS } from './core/constants.js';
+import { clock } from './core/clock.js';
+import {
+  cutoffDaysAgo,
+  getLocalDateKey,
+  isIsoDateOnly,
+  pad2,
+  parseDateInputToISO,
+  parseDateKeyToLocalDate,
+  parseLocalDateTimeInputToISO,
+  startOfDay,
+  toLocalDateTimeInputValue
+} from './core/dates.js';
+import {
+  buildPatientLinePtBr,
+  clampNumber,
+  escapeHtml,
+  formatCm,
+  formatDateKeyShortPtBr,
+  formatDatePtBr,
+  formatDateShortPtBr,
+  formatDateTimePtBr,
+  formatDecimal,
+  formatDecimalForInput,
+  formatDeltaKg,
+  formatDose,
+  formatDoseMg,
+  formatDowPtBr,
+  formatKg,
+  formatKgPerWeek,
+  formatCmNumber,
+  formatDeltaCm,
+  formatHeight,
+  formatLengthForInput,
+  formatSymptomCompact,
+  formatTimeShortPtBr,
+  formatWeekRangeLabel,
+  formatWeightForInput,
+  parseLengthInput,
+  parseNumberLocale,
+  parseWeightInput,
+  resolvePatientBirthInfo,
+  siteLabel,
+  symptomLabel,
+  weightUnitLabel
+} from './core/format.js';
+import { LOCALES, LOCALE_LABELS, i18n, t } from './core/i18n.js';
+import {
+  LENGTH_UNITS,
+  LENGTH_UNIT_LABELS,
+  WEIGHT_UNITS,
+  WEIGHT_UNIT_LABELS,
+  exportUnitHeaders,
+  kgToUnit,
+  normalizeLengthUnit,
+  normalizeWeightUnit,
+  toExportUnits,
+  units,
+  weightScaleUnit
+} from './core/units.js';
+import {
+  computeWeeklyConsistency,
+  computeWeightDeltas,
+  countStreakInjections,
+  countStreakWeights,
+  sortByDateDesc,
+  sortByDateTimeDesc
+} from './core/stats.js';
+import {
+  buildChecklistCacheFromData,
+  buildChecklistForDate,
+  buildOverdueChecklist,
+  buildUpcomingChecklist,
+  computeNextReminderDate,
+  computeNextScheduledDateTime,
+  describeDueBanner
+} from './core/checklist.js';
+import {
+  buildInsightsSummaryHtmlFromSummary,
+  buildLastNDaysSummary,
+  buildWeeklySummaryText,
+  createAiPrompt,
+  formatInsightsSummaryTextFromSummary,
+  mockAnalyze
+} from './core/summary.js';
+import { buildClinicalReportInnerHtml, wrapClinicalReportHtml } from './core/report.js';
+import {
+  buildCatalogFromInjections,
+  DEFAULT_MED_NAME,
+  filterInjectionsForMedication,
+  findMedicationByName,
+  MED_COLORS,
+  medicationLabel,
+  medicationRouteLabel,
+  normalizeMedication,
+  resolveInjectionMedicationId
+} from './core/medications.js';
+import {
+  computeNextInjectionAfter,
+  formatInjectionScheduleLabel,
+  formatInjectionScheduleShort,
+  normalizeInjectionScheduleSettings,
+  resolveInjectionSchedule,
+  SCHEDULE_INTERVAL
+} from './core/schedule.js';
+import {
+  IMPORT_DATE_FORMATS,
+  IMPORT_KINDS,
+  IMPORT_PREVIEW_ROWS,
+  IMPORT_STATUS_LABELS,
+  buildImportRecords,
+  classifyImportRecords,
+  detectDateFormat,
+  detectDelimiter,
+  guessColumnMapping,
+  parseCsv,
+  planImport
+} from './core/csv.js';
+import { BACKUP_STORE_LABELS, BACKUP_VERSION, validateBackup } from './core/backup.js';
+import {
+  REMOTE_SYNC_DEFAULT_URL,
+  createHttpSyncAdapter,
+  generateSyncSpace,
+  isOutboxItemSent,
+  isValidSyncSpace,
+  nextRetryDelayMs,
+  runSyncCycle
+} from './core/remote-sync.js';
+import { MIN_PASSPHRASE_LENGTH, WRONG_PASSPHRASE_ERROR, decryptBackup, encryptBackup, isEncryptedBackup } from './core/crypto.js';
+import { buildCalendarFeed } from './core/ics.js';
+import { MERGE_STORES, changedFields, conflictKey, diffBackup, planMerge } from './core/merge.js';
+import { buildNotificationPlan } from './core/notifications.js';
+import { whatsappShareUrl } from './core/share.js';
+import {
+  SYNC_SETTINGS_ID,
+  SYNC_SETTINGS_STORE,
+  SYNC_STORES,
+  buildSyncEntries,
+  buildSyncPackage,
+  isSyncPackage,
+  planSync,
+  syncStorageKey,
+  touchSyncMeta,
+  validateSyncPackage
+} from './core/sync.js';
+import {
+  forecastInventory,
+  inventoryItemLabel,
+  inventoryItemState,
+  inventoryUsage,
+  normalizeInventoryItem,
+  pickActiveInventoryItem
+} from './core/inventory.js';
+import {
+  DEFAULT_STEP_WEEKS,
+  describeTitrationStatus,
+  formatTitrationPlan,
+  formatTitrationStepsInput,
+  parseTitrationSteps,
+  plannedDoseOn
+} from './core/titration.js';
+import {
+  computeGoalStatus,
+  computeWeightGoalStatus,
+  describeWaistGoal,
+  describeWeightGoal,
+  describeWeightGoalPace,
+  describeWeightGoalProjection,
+  normalizeGoals
+} from './core/goals.js';
+import { analyzeWeightTrend, trendBandAt } from './core/trend.js';
+import {
+  WEIGHT_COMPARISONS,
+  WEIGHT_COMPARISON_LABELS,
+  describeComparison,
+  isComparableWeight,
+  normalizeWeightComparison,
+  selectComparableWeights
+} from './core/conditions.js';
+import {
+  HISTORY_ACTION_LABELS,
+  HISTORY_SOURCE_LABELS,
+  HISTORY_STORES,
+  buildHistoryEntry,
+  describeHistoryChanges,
+  editedRecordKeys,
+  historyKey,
+  sortHistory,
+  summarizeRecordHistory
+} from './core/history.js';
+import {
+  TRASH_SETTINGS_STORE,
+  buildTrashItem,
+  expiredTrashItems,
+  normalizeTrashRetentionDays,
+  sortTrashItems,
+  trashExpiresAt,
+  trashItemLabel,
+  trashItemsInBatch
+} from './core/trash.js';
+import {
+  hasSearchCriteria,
+  normalizeSearchQuery,
+  searchKeyRange,
+  searchRecords,
+  searchTypesFor
+} from './core/search.js';
+import { LIST_PAGE_SIZE, TIMELINE_PAGE_SIZE, createRecordCache, mergePagesNewestFirst, readPageByCursor } from './core/paging.js';
+
 (() => {
   'use strict';
 
@@ -21,265 +253,36 @@
   // Versão do app
   const APP_VERSION = '1.5.2';
 
-  // Mantido como 'pesomed-db' para preservar dados existentes após o rename.
-  const DB_NAME = 'pesomed-db';
-  const DB_VERSION = 2;
-
-  const STORE_INJECTIONS = 'injections';
-  const STORE_WEIGHTS = 'weights';
-  const STORE_MEASURES = 'measures';
-  const STORE_SETTINGS = 'settings';
-  const STORE_AUTO_BACKUPS = 'autoBackups';
-
-  const SETTINGS_KEY = 'app';
-
-  const DEFAULTS = {
-    reminderDow: '', // 0-6 ou ''
-    reminderTime: '19:00',
-
-    // Checklist & Alertas (agenda fixa)
-    // 0 = domingo ... 6 = sábado
-    injectionDayOfWeek: 6, // sábado
-    injectionTime: '09:51',
-    weighDaysOfWeek: [1, 3, 5], // seg/qua/sex
-    measureReminderEveryDays: 14,
-
-    // V3: Config do paciente / relatório
-    patientName: '',
-    patientBirthDate: '',
-    patientBirthYear: '',
-    preferredReportRangeDays: 90,
-
-    // V4: Referência oficial do medicamento (opcional)
-    medRefUrl: '',
-    medOfficialText: '',
-
-    // V2: Rodízio
-    enableArmSites: false
-  };
-
-  const ROTATION_SITES_DEFAULT = [
-    'abdomen_right',
-    'abdomen_left',
-    'thigh_right',
-    'thigh_left',
-    'arm_right',
-    'arm_left'
-  ];
-
-  const SITE_LABELS = {
-    abdomen_right: 'Abdômen (direito)',
-    abdomen_left: 'Abdômen (esquerdo)',
-    thigh_right: 'Coxa (direita)',
-    thigh_left: 'Coxa (esquerda)',
-    arm_right: 'Braço (direito)',
-    arm_left: 'Braço (esquerdo)'
-  };
-
-  const SYMPTOMS_LABELS = {
-    nausea: 'Enjoo',
-    reflux: 'Azia',
-    appetite: 'Apetite',
-    energy: 'Energia',
-    bowel: 'Intestino'
-  };
-
-  function clampNumber(value, min, max) {
-    const n = Number(value);
-    if (Number.isNaN(n)) return min;
-    return Math.min(max, Math.max(min, n));
-  }
-
-  function parseNumberPtBr(value) {
-    if (typeof value === 'number') return value;
-    if (value === null || value === undefined) return Number.NaN;
-    const raw = String(value).trim();
-    if (!raw) return Number.NaN;
-
-    // Aceita 82,5 (pt-BR), 82.5 e também 1.234,56
-    let s = raw.replace(/\s+/g, '');
-    if (s.includes(',') && s.includes('.')) {
-      // provável formato pt-BR com milhar (.) e decimal (,)
-      s = s.replace(/\./g, '').replace(',', '.');
-    } else if (s.includes(',')) {
-      s = s.replace(',', '.');
-    }
-
-    return Number(s);
-  }
-
-  function formatDecimalForInput(value) {
-    if (value === null || value === undefined || value === '') return '';
-    const n = typeof value === 'number' ? value : parseNumberPtBr(value);
-    if (!Number.isFinite(n)) return String(value);
-    return String(n).replace('.', ',');
-  }
-
-  function isIsoDateOnly(s) {
-    return typeof s === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(s);
-  }
-
-  function parseIsoDateOnlyToLocalDate(dateISO) {
-    if (!isIsoDateOnly(dateISO)) return null;
-    const [y, m, d] = dateISO.split('-').map((x) => Number(x));
-    if (!Number.isFinite(y) || !Number.isFinite(m) || !Number.isFinite(d)) return null;
-    const dt = new Date(y, m - 1, d);
-    if (dt.getFullYear() !== y || (dt.getMonth() + 1) !== m || dt.getDate() !== d) return null;
-    return dt;
-  }
-
-  function computeAgeYears(birthDateISO, refDate = new Date()) {
-    const b = parseIsoDateOnlyToLocalDate(birthDateISO);
-    if (!b) return null;
-    const y = refDate.getFullYear() - b.getFullYear();
-    const m = refDate.getMonth() - b.getMonth();
-    const d = refDate.getDate() - b.getDate();
-    const hadBirthday = (m > 0) || (m === 0 && d >= 0);
-    return hadBirthday ? y : (y - 1);
-  }
-
-  function formatDateOnlyPtBr(dateISO) {
-    const dt = parseIsoDateOnlyToLocalDate(dateISO);
-    if (!dt) return '';
-    return dt.toLocaleDateString('pt-BR', { dateStyle: 'short' });
-  }
-
-  function resolvePatientBirthInfo(settings) {
-    const birthDateISO = isIsoDateOnly(String(settings?.patientBirthDate || '').trim())
-      ? String(settings.patientBirthDate).trim()
-      : '';
-    const birthYear = String(settings?.patientBirthYear || '').trim();
-
-    if (birthDateISO) {
-      const age = computeAgeYears(birthDateISO);
-      return {
-        label: formatDateOnlyPtBr(birthDateISO) || birthDateISO,
-        ageYears: Number.isFinite(age) ? age : null,
-        approx: false
-      };
-    }
-
-    if (birthYear && /^\d{4}$/.test(birthYear)) {
-      const refY = new Date().getFullYear();
-      const age = refY - Number(birthYear);
-      return {
-        label: birthYear,
-        ageYears: Number.isFinite(age) ? age : null,
-        approx: true
-      };
-    }
-
-    return { label: '', ageYears: null, approx: false };
-  }
-
-  function buildPatientLinePtBr(settings) {
-    const name = String(settings?.patientName || '').trim();
-    if (!name) return '';
-    const birth = resolvePatientBirthInfo(settings);
-    const parts = [`Paciente: ${name}`];
-    if (birth.label) {
-      const birthParts = [`Nasc.: ${birth.label}`];
-      if (birth.ageYears !== null) birthParts.push(`Idade: ${birth.ageYears} anos${birth.approx ? ' (aprox.)' : ''}`);
-      parts.push(`(${birthParts.join(' • ')})`);
-    }
-    return parts.join(' ');
-  }
-
-  function clampText(s, maxLen) {
-    const str = String(s ?? '').trim();
-    if (!str) return '';
-    if (str.length <= maxLen) return str;
-    return `${str.slice(0, maxLen)}…`;
-  }
+  // Stores, perfil padrão e migrações do banco ficam em db/schema.js.
+  const ACTIVE_PROFILE_STORAGE_KEY = 'dosecheck_active_profile_v1';
+  // Depuração: instante fixo do relógio (por aparelho; fora dos backups).
+  const TIME_TRAVEL_STORAGE_KEY = 'dosecheck_time_travel_v1';
+  // Notificações do checklist ligadas neste aparelho ('on' | ausente).
+  const NOTIFICATIONS_STORAGE_KEY = 'dosecheck_notifications_v1';
+  // Identificador deste aparelho nos vetores de revisão da sincronização.
+  const DEVICE_ID_STORAGE_KEY = 'dosecheck_device_id_v1';
+  // Sincronização com servidor por perfil: { [profileId]: { url, space, cursor, lastSyncISO, lastError, attempts } }.
+  const REMOTE_SYNC_STORAGE_KEY = 'dosecheck_remote_sync_v1';
+  // Idioma do último perfil aberto: aplicado no boot, antes de ler as configurações.
+  const LOCALE_STORAGE_KEY = 'dosecheck_locale_v1';
 
   // -----------------------------
   // Consistência semanal + streak (V2)
   // -----------------------------
 
-  function countStreakWeights(cache, settings, maxLookbackDays = 120) {
-    const weighDows = new Set(settings.weighDaysOfWeek || DEFAULTS.weighDaysOfWeek);
-    let d = startOfDay(now());
-    let streak = 0;
-    let checked = 0;
-
-    while (checked < maxLookbackDays) {
-      if (weighDows.has(d.getDay())) {
-        const key = getLocalDateKey(d);
-        if (cache.weightKeys.has(key)) streak += 1;
-        else break;
-      }
-      d = addDays(d, -1);
-      checked += 1;
-    }
-    return streak;
-  }
-
-  function countStreakInjections(cache, settings, maxWeeks = 52) {
-    const injDow = clampNumber(settings.injectionDayOfWeek ?? DEFAULTS.injectionDayOfWeek, 0, 6);
-    const thisWeekStart = startOfWeekMonday(now());
-    let streak = 0;
-
-    for (let i = 0; i < maxWeeks; i++) {
-      const weekStart = addDays(thisWeekStart, -7 * i);
-      // achar o dia da semana dentro do bloco seg-dom
-      let candidate = null;
-      for (let j = 0; j < 7; j++) {
-        const d = addDays(weekStart, j);
-        if (d.getDay() === injDow) {
-          candidate = d;
-          break;
-        }
-      }
-      if (!candidate) break;
-      const key = getLocalDateKey(candidate);
-      if (cache.injectionKeys.has(key)) streak += 1;
-      else break;
-    }
-
-    return streak;
-  }
-
   async function renderWeeklyConsistency(cache, settings, weekOffset = 0) {
     if (!weeklyConsistencyValue || !weeklyConsistencyMeta || !weeklyConsistencyBadge) return;
 
-    const offset = Math.max(0, Math.floor(Number(weekOffset) || 0));
-    const base = startOfWeekMonday(now());
-    const start = addDays(base, -7 * offset);
-    const weighDows = new Set(settings.weighDaysOfWeek || DEFAULTS.weighDaysOfWeek);
-
-    const expectedWeighKeys = [];
-    for (let i = 0; i < 7; i++) {
-      const d = addDays(start, i);
-      if (weighDows.has(d.getDay())) expectedWeighKeys.push(getLocalDateKey(d));
-    }
-
-    const injDow = clampNumber(settings.injectionDayOfWeek ?? DEFAULTS.injectionDayOfWeek, 0, 6);
-    let injKey = null;
-    for (let i = 0; i < 7; i++) {
-      const d = addDays(start, i);
-      if (d.getDay() === injDow) {
-        injKey = getLocalDateKey(d);
-        break;
-      }
-    }
-
-    const expectedWeights = expectedWeighKeys.length;
-    const doneWeights = expectedWeighKeys.filter((k) => cache.weightKeys.has(k)).length;
-    const expectedInj = injKey ? 1 : 0;
-    const doneInj = injKey && cache.injectionKeys.has(injKey) ? 1 : 0;
-
-    const expectedPoints = expectedWeights + (expectedInj ? 2 : 0);
-    const donePoints = doneWeights + (doneInj ? 2 : 0);
-    const pct = expectedPoints ? Math.round((donePoints / expectedPoints) * 100) : 0;
+    const { start, expectedWeights, doneWeights, expectedInj, doneInj, pct } = computeWeeklyConsistency(cache, settings, weekOffset, now());
 
     const badge = statusBadgeFromPercent(pct);
     weeklyConsistencyBadge.className = badge.cls;
     weeklyConsistencyBadge.textContent = badge.label;
     weeklyConsistencyValue.textContent = `${pct}%`;
-    weeklyConsistencyMeta.textContent = `${formatWeekRangeLabel(start)} • Pesagens ${doneWeights}/${expectedWeights} • Aplicação ${doneInj}/${expectedInj || 1}`;
-    if (weeklyConsistencyHint) weeklyConsistencyHint.textContent = 'Pontuação: pesagens (1) + aplicação (2) = 5 pontos.';
-    if (streakWeightsEl) streakWeightsEl.textContent = `Streak pesagens: ${countStreakWeights(cache, settings)} dia(s)`;
-    if (streakInjectionsEl) streakInjectionsEl.textContent = `Streak aplicações: ${countStreakInjections(cache, settings)} semana(s)`;
+    weeklyConsistencyMeta.textContent = `${formatWeekRangeLabel(start)} • ${t('Pesagens {done}/{expected}', { done: doneWeights, expected: expectedWeights })} • ${t('Aplicação {done}/{expected}', { done: doneInj, expected: expectedInj || 1 })}`;
+    if (weeklyConsistencyHint) weeklyConsistencyHint.textContent = t('Pontuação: pesagens (1) + aplicação (2) = 5 pontos.');
+    if (streakWeightsEl) streakWeightsEl.textContent = t('Streak pesagens: {n} dia(s)', { n: countStreakWeights(cache, settings, 120, now()) });
+    if (streakInjectionsEl) streakInjectionsEl.textContent = t('Streak aplicações: {n} semana(s)', { n: countStreakInjections(cache, settings, 52, now()) });
   }
 
   // -----------------------------
@@ -289,9 +292,34 @@
   const chartState = {
     rangeDays: 30,
     points: [],
-    weightsDesc: null
+    weightsDesc: null,
+    goal: null, // computeWeightGoalStatus (linhas de ritmo no 90d)
+    comparison: null // selectComparableWeights (pesagens de fora ficam apagadas)
   };
 
+  // Dias projetados à direita do gráfico de 90d quando há meta de peso.
+  const CHART_PACE_AHEAD_DAYS = 30;
+
+  // A partir do fim da tendência das últimas 4 semanas: o ritmo atual × o necessário para chegar
+  // à meta no prazo (este para na data do prazo). null sem tendência ou com meta atingida.
+  function buildChartPace(goal) {
+    if (!goal?.trend || goal.reached) return null;
+    const { trend } = goal;
+    const anchorT = new Date(trend.endISO).getTime();
+    const aheadT = anchorT + CHART_PACE_AHEAD_DAYS * 86_400_000;
+    const kgAt = (perWeekKg, time) => trend.endKg + perWeekKg * ((time - anchorT) / (7 * 86_400_000));
+    let required = null;
+    if (goal.requiredPerWeekKg !== null) {
+      const endT = Math.min(aheadT, parseDateKeyToLocalDate(goal.targetDate).getTime());
+      if (endT > anchorT) required = { t: endT, kg: kgAt(goal.requiredPerWeekKg, endT) };
+    }
+    return {
+      anchor: { t: anchorT, kg: trend.endKg },
+      actual: { t: aheadT, kg: kgAt(trend.perWeekKg, aheadT) },
+      required
+    };
+  }
+
   function setChartRangeButtons(rangeDays) {
     weightChartRange30Btn?.setAttribute('aria-pressed', rangeDays === 30 ? 'true' : 'false');
     weightChartRange90Btn?.setAttribute('aria-pressed', rangeDays === 90 ? 'true' : 'false');
@@ -323,27 +351,41 @@
     const h = size.cssHeight;
     ctx.clearRect(0, 0, w, h);
 
-    const cutoff = new Date(Date.now() - rangeDays * 24 * 60 * 60 * 1000);
+    const cutoff = new Date(now().getTime() - rangeDays * 24 * 60 * 60 * 1000);
+    // Eixo na unidade do perfil (stones em libras); a dica mostra o peso completo.
+    const scaleUnit = weightScaleUnit(units.weightUnit());
     const pointsRaw = weightsDesc
-      .map((x) => ({ t: new Date(x.dateTimeISO), y: x.weightKg }))
+      .map((x) => ({ t: new Date(x.dateTimeISO), y: kgToUnit(x.weightKg, scaleUnit), kg: x.weightKg, fasting: Boolean(x.fasting), comparable: isComparableWeight(x, chartState.comparison) }))
       .filter((p) => p.t >= cutoff && Number.isFinite(p.y))
       .sort((a, b) => a.t - b.t);
 
+    const pace = rangeDays === 90 ? buildChartPace(chartState.goal) : null;
+    if (weightChartMeta) {
+      let base = `${t('Linha: peso suavizado (média exponencial). Faixa: tendência do período (95%). Toque em um ponto para ver data e peso.')} ${t('Pontos cheios: em jejum; vazados: sem jejum.')}`;
+      if (chartState.comparison && chartState.comparison.mode !== 'all') base += ` ${t('Linha e faixa com {subset}; as outras pesagens ficam apagadas.', { subset: describeComparison(chartState.comparison) })}`;
+      if (pace?.required) weightChartMeta.textContent = `${base} ${t('Tracejado: ritmo das últimas 4 semanas ({actual}) × necessário para a meta ({required}).', { actual: formatKgPerWeek(chartState.goal.perWeekKg), required: formatKgPerWeek(chartState.goal.requiredPerWeekKg) })}`;
+      else if (pace) weightChartMeta.textContent = `${base} ${t('Tracejado: ritmo das últimas 4 semanas ({actual}) pelos próximos 30 dias.', { actual: formatKgPerWeek(chartState.goal.perWeekKg) })}`;
+      else weightChartMeta.textContent = base;
+    }
+
     if (!pointsRaw.length) {
       ctx.fillStyle = 'rgba(234,242,255,.85)';
       ctx.font = '12px system-ui, -apple-system, Segoe UI, Roboto, Arial';
-      ctx.fillText('Sem dados no período.', 12, 22);
+      ctx.fillText(t('Sem dados no período.'), 12, 22);
       chartState.points = [];
       return;
     }
 
+    const paceMarks = pace ? [pace.anchor, pace.actual, pace.required].filter(Boolean) : [];
+    // Tendência das pesagens do período: média exponencial (linha) e reta com faixa de 95%.
+    const trend = analyzeWeightTrend(pointsRaw.filter((p) => p.comparable).map((p) => ({ dateTimeISO: p.t.toISOString(), weightKg: p.kg })));
     const minT = pointsRaw[0].t.getTime();
-    const maxT = pointsRaw[pointsRaw.length - 1].t.getTime();
-    const ys = pointsRaw.map((p) => p.y);
+    const maxT = Math.max(pointsRaw[pointsRaw.length - 1].t.getTime(), ...paceMarks.map((m) => m.t));
+    const ys = pointsRaw.map((p) => p.y).concat(paceMarks.map((m) => kgToUnit(m.kg, scaleUnit)));
     const minY = Math.min(...ys);
     const maxY = Math.max(...ys);
     const spanY = Math.max(0.1, maxY - minY);
-    const marginY = Math.max(0.6, spanY * 0.12);
+    const marginY = Math.max(kgToUnit(0.6, scaleUnit), spanY * 0.12);
     const y0 = minY - marginY;
     const y1 = maxY + marginY;
 
@@ -376,31 +418,104 @@
       ctx.moveTo(padding.l, yy);
       ctx.lineTo(padding.l + plotW, yy);
       ctx.stroke();
-      ctx.fillText(vv.toFixed(1).replace('.', ','), 6, yy + 4);
+      ctx.fillText(formatDecimal(vv), 6, yy + 4);
     }
+    ctx.fillText(scaleUnit, 6, padding.t + plotH + 16);
 
     // line
     const pts = pointsRaw.map((p) => ({
       x: xForT(p.t.getTime()),
       y: yForV(p.y),
       t: p.t,
-      v: p.y
+      v: p.kg,
+      fasting: p.fasting,
+      comparable: p.comparable
     }));
 
-    ctx.strokeStyle = 'rgba(73,197,182,.85)';
-    ctx.lineWidth = 2;
+    const yForKg = (kg) => yForV(kgToUnit(kg, scaleUnit));
+
+    // Faixa e reta: com poucas pesagens a faixa é larga, então fica recortada na área do gráfico.
+    if (trend) {
+      const lastT = pointsRaw[pointsRaw.length - 1].t.getTime();
+      const steps = 24;
+      const samples = Array.from({ length: steps + 1 }, (_, i) => minT + ((lastT - minT) * i) / steps);
+      const band = samples.map((time) => ({ x: xForT(time), ...trendBandAt(trend.fit, time) }));
+      ctx.save();
+      ctx.beginPath();
+      ctx.rect(padding.l, padding.t, plotW, plotH);
+      ctx.clip();
+      if (trend.fit.residualSd !== null) {
+        ctx.fillStyle = 'rgba(122,167,255,.14)';
+        ctx.beginPath();
+        band.forEach((b, idx) => {
+          if (idx === 0) ctx.moveTo(b.x, yForKg(b.low));
+          else ctx.lineTo(b.x, yForKg(b.low));
+        });
+        [...band].reverse().forEach((b) => ctx.lineTo(b.x, yForKg(b.high)));
+        ctx.closePath();
+        ctx.fill();
+      }
+      ctx.strokeStyle = 'rgba(122,167,255,.6)';
+      ctx.lineWidth = 1;
+      ctx.beginPath();
+      ctx.moveTo(xForT(minT), yForKg(trend.startKg));
+      ctx.lineTo(xForT(lastT), yForKg(trend.endKg));
+      ctx.stroke();
+      ctx.restore();
+    }
+
+    // Pesagens comparáveis ligadas de leve; a linha forte é o peso suavizado.
+    ctx.strokeStyle = 'rgba(73,197,182,.3)';
+    ctx.lineWidth = 1;
     ctx.beginPath();
-    pts.forEach((p, idx) => {
+    pts.filter((p) => p.comparable).forEach((p, idx) => {
       if (idx === 0) ctx.moveTo(p.x, p.y);
       else ctx.lineTo(p.x, p.y);
     });
     ctx.stroke();
 
-    ctx.fillStyle = 'rgba(122,167,255,.95)';
+    if (trend) {
+      ctx.strokeStyle = 'rgba(73,197,182,.95)';
+      ctx.lineWidth = 2;
+      ctx.beginPath();
+      trend.series.forEach((s, idx) => {
+        if (idx === 0) ctx.moveTo(xForT(s.t), yForKg(s.smooth));
+        else ctx.lineTo(xForT(s.t), yForKg(s.smooth));
+      });
+      ctx.stroke();
+    }
+
+    if (pace) {
+      const segment = (a, b) => {
+        ctx.beginPath();
+        ctx.moveTo(xForT(a.t), yForKg(a.kg));
+        ctx.lineTo(xForT(b.t), yForKg(b.kg));
+        ctx.stroke();
+      };
+      ctx.lineWidth = 1.5;
+      ctx.strokeStyle = 'rgba(122,167,255,.75)';
+      ctx.setLineDash([5, 4]);
+      segment(pace.anchor, pace.actual);
+      if (pace.required) {
+        ctx.strokeStyle = 'rgba(255,207,92,.9)';
+        segment(pace.anchor, pace.required);
+      }
+      ctx.setLineDash([]);
+    }
+
+    // Em jejum: ponto cheio; sem jejum: vazado. Fora das pesagens comparadas: apagado.
+    ctx.lineWidth = 1.5;
     for (const p of pts) {
+      const color = p.comparable ? 'rgba(122,167,255,.95)' : 'rgba(122,167,255,.3)';
       ctx.beginPath();
-      ctx.arc(p.x, p.y, 3.2, 0, Math.PI * 2);
-      ctx.fill();
+      ctx.arc(p.x, p.y, p.fasting ? 3.2 : 2.6, 0, Math.PI * 2);
+      if (p.fasting) {
+        ctx.fillStyle = color;
+        ctx.fill();
+      } else {
+        ctx.strokeStyle = color;
+        ctx.stroke();
+      }
     }
 
     chartState.points = pts;
@@ -429,15 +544,18 @@
       weightChartTooltip.hidden = true;
       return;
     }
-    weightChartTooltip.textContent = `${formatDateShortPtBr(point.t)} ${formatTimeShortPtBr(point.t)} • ${formatKg(point.v)}`;
+    weightChartTooltip.textContent = `${formatDateShortPtBr(point.t)} ${formatTimeShortPtBr(point.t)} • ${formatKg(point.v)} • ${point.fasting ? t('jejum') : t('sem jejum')}`;
     weightChartTooltip.hidden = false;
   }
 
   async function renderWeightChart(rangeDays, cache = null) {
     if (!weightChartCanvas) return;
-    const weights = cache?.weights || await getAll(STORE_WEIGHTS);
+    const weights = cache?.weights || await getAllForProfile(STORE_WEIGHTS);
     const weightsDesc = [...weights].sort(sortByDateTimeDesc);
     chartState.weightsDesc = weightsDesc;
+    const settings = await getSettings();
+    chartState.comparison = selectComparableWeights(weightsDesc, settings);
+    chartState.goal = computeWeightGoalStatus(settings, weightsDesc, now());
     setChartRangeButtons(rangeDays);
     drawWeightChart(weightChartCanvas, weightsDesc, rangeDays);
     showChartTooltip(null);
@@ -447,120 +565,11 @@
   // Resumo semanal (WhatsApp) - V3
   // -----------------------------
 
-  function mean(nums) {
-    if (!nums.length) return null;
-    return nums.reduce((a, b) => a + b, 0) / nums.length;
-  }
-
-  function formatMaybeKg(n) {
-    if (n === null || n === undefined || !Number.isFinite(n)) return '—';
-    return `${n.toFixed(1).replace('.', ',')} kg`;
-  }
-
-  function buildWeeklySummaryText(cache, settings, weekOffset = 0) {
-    const offset = Math.max(0, Math.floor(Number(weekOffset) || 0));
-    const base = startOfWeekMonday(now());
-    const start = addDays(base, -7 * offset);
-    const end = endOfWeekSunday(start);
-
-    const weightsAsc = [...cache.weights]
-      .filter((w) => {
-        const dt = new Date(w.dateTimeISO);
-        return dt >= start && dt <= end;
-      })
-      .sort((a, b) => new Date(a.dateTimeISO) - new Date(b.dateTimeISO));
-
-    const injectionsAsc = [...cache.injections]
-      .filter((i) => {
-        const dt = new Date(i.dateTimeISO);
-        return dt >= start && dt <= end;
-      })
-      .sort((a, b) => new Date(a.dateTimeISO) - new Date(b.dateTimeISO));
-
-    const weekLabel = formatWeekRangeLabel(start);
-
-    const weightStart = weightsAsc[0]?.weightKg ?? null;
-    const weightEnd = weightsAsc[weightsAsc.length - 1]?.weightKg ?? null;
-    const weightDelta = (Number.isFinite(weightStart) && Number.isFinite(weightEnd)) ? (weightEnd - weightStart) : null;
-    const bestW = weightsAsc.length ? Math.min(...weightsAsc.map((w) => w.weightKg)) : null;
-    const worstW = weightsAsc.length ? Math.max(...weightsAsc.map((w) => w.weightKg)) : null;
-
-    const injDow = clampNumber(settings.injectionDayOfWeek ?? DEFAULTS.injectionDayOfWeek, 0, 6);
-    const injPreferred = injectionsAsc.find((i) => new Date(i.dateTimeISO).getDay() === injDow) || injectionsAsc[0] || null;
-
-    const sym = injectionsAsc.length
-      ? computeCommonSymptoms([...injectionsAsc].sort(sortByDateTimeDesc))
-      : { top: [], averages: {} };
-    const symAvg = Object.keys(sym.averages || {}).map((k) => `${SYMPTOMS_LABELS[k]} ${(sym.averages[k] ?? 0).toFixed(1).replace('.', ',')}`);
-    const top2 = (sym.top || []).map((x) => `${x.label} ${x.avg.toFixed(1).replace('.', ',')}`);
-
-    const focus = (() => {
-      const weighDows = new Set(settings.weighDaysOfWeek || DEFAULTS.weighDaysOfWeek);
-      const expected = [];
-      for (let i = 0; i < 7; i++) {
-        const d = addDays(start, i);
-        if (weighDows.has(d.getDay())) expected.push(getLocalDateKey(d));
-      }
-      const done = expected.filter((k) => cache.weightKeys.has(k)).length;
-      if (expected.length - done >= 2) return 'rotina de pesagem';
-      if (sym.top?.[0] && sym.top[0].avg >= 6.5) return 'refeições leves e hidratação';
-      return 'água, proteína e sono';
-    })();
-
-    const lines = [];
-    lines.push(`Semana ${weekLabel}`);
-    const patientLine = buildPatientLinePtBr(settings);
-    if (patientLine) lines.push(patientLine);
-    lines.push('');
-
-    // Topo: últimos registros (contexto rápido)
-    const lastInjAny = [...cache.injections].sort(sortByDateTimeDesc)[0] || null;
-    const lastWAny = [...cache.weights].sort(sortByDateTimeDesc)[0] || null;
-    if (lastInjAny) {
-      lines.push(`Última aplicação (geral): ${formatDateTimePtBr(lastInjAny.dateTimeISO)} • ${lastInjAny.medName} • ${formatDoseMg(lastInjAny.doseMg)} • ${siteLabel(lastInjAny.site)}`);
-    }
-    if (lastWAny) {
-      lines.push(`Último peso (geral): ${formatDateTimePtBr(lastWAny.dateTimeISO)} • ${formatKg(lastWAny.weightKg)} (${lastWAny.fasting ? 'jejum' : 'sem jejum'})`);
-    }
-    lines.push('');
-
-    lines.push('Resumo da semana');
-    if (weightStart !== null && weightEnd !== null) {
-      const sign = weightDelta > 0 ? '+' : '';
-      lines.push(`Peso: ${formatMaybeKg(weightStart)} → ${formatMaybeKg(weightEnd)} (${sign}${formatMaybeKg(weightDelta).replace(' kg', '')} kg)`);
-      if (bestW !== null && worstW !== null) {
-        lines.push(`Melhor pesagem: ${formatMaybeKg(bestW)} • Pior pesagem: ${formatMaybeKg(worstW)}`);
-      }
-      lines.push(`Pesagens na semana: ${weightsAsc.length}`);
-    } else {
-      lines.push('Peso: sem dados suficientes na semana');
-    }
-
-    if (injPreferred) {
-      const dt = new Date(injPreferred.dateTimeISO);
-      lines.push(`Aplicação: feita • ${formatDateShortPtBr(dt)} ${formatTimeShortPtBr(dt)} • ${siteLabel(injPreferred.site)} • ${formatDoseMg(injPreferred.doseMg)}`);
-    } else {
-      lines.push('Aplicação: não registrada na semana');
-    }
-
-    if (symAvg.length) {
-      lines.push(`Sintomas médios (0–10): ${symAvg.join(' • ')}`);
-      if (top2.length) lines.push(`Top sintomas: ${top2.join(' • ')}`);
-    } else {
-      lines.push('Sintomas: sem registros na semana');
-    }
-
-    lines.push('');
-    lines.push(`Nota rápida: foco da semana que vem: ${focus}.`);
-    lines.push('Obs.: isso não é diagnóstico nem orientação médica.');
-    return lines.join('\n');
-  }
-
   async function generateWeeklySummary() {
     const cache = await buildChecklistCache();
     const settings = await getSettings();
     const weekOffset = weeklySummaryWeekEl?.value ? Number(weeklySummaryWeekEl.value) : 0;
-    const text = buildWeeklySummaryText(cache, settings, weekOffset);
+    const text = buildWeeklySummaryText(cache, settings, weekOffset, now());
     if (weeklySummaryTextEl) weeklySummaryTextEl.value = text;
     return text;
   }
@@ -569,109 +578,6 @@
   // Inovação (insights locais) - V3
   // -----------------------------
 
-  function buildLocalInsights(cache, settings) {
-    const items = [];
-
-    const cutoff14 = new Date(Date.now() - 14 * 24 * 60 * 60 * 1000);
-    const w14 = cache.weights
-      .filter((w) => new Date(w.dateTimeISO) >= cutoff14)
-      .sort((a, b) => new Date(a.dateTimeISO) - new Date(b.dateTimeISO));
-    if (w14.length >= 6) {
-      const ys = w14.map((w) => w.weightKg).filter((x) => Number.isFinite(x));
-      if (ys.length >= 6) {
-        const span = Math.max(...ys) - Math.min(...ys);
-        if (span < 0.3) {
-          items.push({
-            title: 'Possível platô',
-            insight: 'Nos últimos 14 dias, o peso oscilou pouco (< 0,3 kg) com várias pesagens.',
-            action: 'Cheque consistência de água, proteína e sono. Pequenos ajustes de rotina ajudam.',
-            kind: 'warn'
-          });
-        }
-      }
-    }
-
-    const wAsc = [...cache.weights].sort((a, b) => new Date(a.dateTimeISO) - new Date(b.dateTimeISO));
-    for (let i = 0; i < wAsc.length - 2; i++) {
-      const a = wAsc[i];
-      const b = wAsc[i + 1];
-      const c = wAsc[i + 2];
-      const ta = new Date(a.dateTimeISO).getTime();
-      const tb = new Date(b.dateTimeISO).getTime();
-      const tc = new Date(c.dateTimeISO).getTime();
-      if ((tb - ta) > 48 * 60 * 60 * 1000) continue;
-      const up = b.weightKg - a.weightKg;
-      if (up <= 1.0) continue;
-      if ((tc - tb) > 72 * 60 * 60 * 1000) continue;
-      const back = Math.abs(c.weightKg - a.weightKg);
-      if (back <= 0.3) {
-        items.push({
-          title: 'Oscilação compatível com retenção',
-          insight: 'Teve uma subida rápida de peso e retorno em poucos dias, padrão comum em variação de água.',
-          action: 'Compare pesagens em condições similares e observe sono/sódio/treino. Isso não é diagnóstico.',
-          kind: 'info'
-        });
-        break;
-      }
-    }
-
-    const start = startOfWeekMonday(now());
-    const weighDows = new Set(settings.weighDaysOfWeek || DEFAULTS.weighDaysOfWeek);
-    const expected = [];
-    for (let i = 0; i < 7; i++) {
-      const d = addDays(start, i);
-      if (weighDows.has(d.getDay())) expected.push(getLocalDateKey(d));
-    }
-    const done = expected.filter((k) => cache.weightKeys.has(k)).length;
-    if (expected.length - done >= 2) {
-      items.push({
-        title: 'Rotina de pesagem',
-        insight: 'Nesta semana, faltaram 2+ pesagens esperadas. Isso reduz a qualidade dos insights.',
-        action: 'Sugestão: pese ao acordar e registre rapidinho (mesma condição).',
-        kind: 'warn'
-      });
-    }
-
-    const injDow = clampNumber(settings.injectionDayOfWeek ?? DEFAULTS.injectionDayOfWeek, 0, 6);
-    const lastInj = [...cache.injections].sort(sortByDateTimeDesc)[0] || null;
-    if (lastInj) {
-      const d = new Date(lastInj.dateTimeISO);
-      if (d.getDay() !== injDow) {
-        items.push({
-          title: 'Irregularidade de agenda',
-          insight: `A última aplicação registrada foi em ${formatDowPtBr(d.getDay())}, mas a agenda fixa é ${formatDowPtBr(injDow)}.`,
-          action: 'Se foi exceção, ok. Registre as datas para o relatório ficar consistente.',
-          kind: 'warn'
-        });
-      }
-    }
-
-    const injDesc = [...cache.injections].sort(sortByDateTimeDesc);
-    if (injDesc.length >= 2) {
-      const a = clampNumber(injDesc[0]?.symptoms?.nausea ?? 0, 0, 10);
-      const b = clampNumber(injDesc[1]?.symptoms?.nausea ?? 0, 0, 10);
-      if (a >= 7 && b >= 7) {
-        items.push({
-          title: 'Náusea alta recorrente',
-          insight: 'Náusea ≥ 7/10 em aplicações recentes pode sugerir tolerância baixa naquele período.',
-          action: 'Considere conversar com um médico. Isso não é diagnóstico.',
-          kind: 'danger'
-        });
-      }
-    }
-
-    if (!items.length) {
-      items.push({
-        title: 'Sem alertas por regras locais',
-        insight: 'Nada relevante detectado pelas regras simples no momento.',
-        action: 'Mantenha os registros para ganhar mais sinal.',
-        kind: 'ok'
-      });
-    }
-
-    return items;
-  }
-
   function renderLocalInsights(items) {
     if (!localInsightsList) return;
     clearChildren(localInsightsList);
@@ -681,7 +587,7 @@
       const main = createEl('div', { class: 'item__main' });
       main.appendChild(createEl('div', { class: 'item__title' }, it.title));
       main.appendChild(createEl('div', { class: 'item__meta' }, it.insight));
-      main.appendChild(createEl('div', { class: 'item__meta' }, `Ação: ${it.action}`));
+      main.appendChild(createEl('div', { class: 'item__meta' }, t('Ação: {action}', { action: it.action })));
       item.appendChild(main);
 
       const chipCls = it.kind === 'ok'
@@ -694,186 +600,217 @@
       const chipText = it.kind === 'ok'
         ? 'Ok'
         : it.kind === 'danger'
-          ? 'Atenção'
+          ? t('Atenção')
           : it.kind === 'warn'
-            ? 'Ajuste'
-            : 'Info';
+            ? t('Ajuste')
+            : t('Info');
       item.appendChild(createEl('span', { class: chipCls }, chipText));
       localInsightsList.appendChild(item);
     }
   }
 
-  function pad2(n) {
-    return String(n).padStart(2, '0');
-  }
-
-  // Retorna a chave de data local (sem timezone/UTC): YYYY-MM-DD
-  // Requisito: evitar erro de timezone ao comparar registros por “dia”.
-  function getLocalDateKey(date) {
-    const yyyy = date.getFullYear();
-    const mm = pad2(date.getMonth() + 1);
-    const dd = pad2(date.getDate());
-    return `${yyyy}-${mm}-${dd}`;
-  }
-
-  function parseDateKeyToLocalDate(dateKey, timeHHmm = '00:00') {
-    const [y, m, d] = String(dateKey).split('-').map((x) => Number(x));
-    const [hh, mi] = String(timeHHmm).split(':').map((x) => Number(x));
-    return new Date(y, (m || 1) - 1, d || 1, hh || 0, mi || 0, 0, 0);
-  }
-
-  function compareDateKeys(a, b) {
-    // YYYY-MM-DD lexicográfico funciona.
-    if (a === b) return 0;
-    return a < b ? -1 : 1;
-  }
-
-  function toLocalDateTimeInputValue(date) {
-    // datetime-local precisa de YYYY-MM-DDTHH:mm
-    const yyyy = date.getFullYear();
-    const mm = pad2(date.getMonth() + 1);
-    const dd = pad2(date.getDate());
-    const hh = pad2(date.getHours());
-    const mi = pad2(date.getMinutes());
-    return `${yyyy}-${mm}-${dd}T${hh}:${mi}`;
-  }
-
-  function parseLocalDateTimeInputToISO(value) {
-    // value: YYYY-MM-DDTHH:mm
-    // Interpretar como horário local, convertendo para ISO (UTC) de forma estável.
-    if (!value) return null;
-    const [datePart, timePart] = value.split('T');
-    if (!datePart || !timePart) return null;
-    const [y, m, d] = datePart.split('-').map((x) => Number(x));
-    const [hh, mi] = timePart.split(':').map((x) => Number(x));
-    const dt = new Date(y, m - 1, d, hh, mi, 0, 0);
-    return dt.toISOString();
+  function uuid() {
+    // UUID simples, suficiente para uso local
+    return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, (c) => {
+      const r = (crypto.getRandomValues(new Uint8Array(1))[0] & 15) >> 0;
+      const v = c === 'x' ? r : (r & 0x3) | 0x8;
+      return v.toString(16);
+    });
   }
 
-  function parseDateInputToISO(value) {
-    // date: YYYY-MM-DD -> ISO com meia-noite local
-    if (!value) return null;
-    const [y, m, d] = value.split('-').map((x) => Number(x));
-    const dt = new Date(y, m - 1, d, 0, 0, 0, 0);
-    return dt.toISOString().slice(0, 10); // dateISO
+  function now() {
+    return clock.now();
   }
 
-  function formatDateTimePtBr(isoString) {
-    const d = new Date(isoString);
-    return d.toLocaleString('pt-BR', { dateStyle: 'short', timeStyle: 'short' });
-  }
+  // -----------------------------
+  // Toast (confirmação após salvar)
+  // -----------------------------
 
-  function formatDatePtBr(dateISO) {
-    // dateISO: YYYY-MM-DD
-    const [y, m, d] = dateISO.split('-').map((x) => Number(x));
-    const dt = new Date(y, m - 1, d);
-    return dt.toLocaleDateString('pt-BR', { dateStyle: 'short' });
-  }
+  const toastEl = document.getElementById('toast');
+  let toastTimer = null;
 
-  function formatKg(n) {
-    if (typeof n !== 'number' || Number.isNaN(n)) return '—';
-    return `${n.toFixed(1).replace('.', ',')} kg`;
+  // action: { label, run } mostra um botão no aviso (ex.: "Desfazer") e o deixa mais tempo na tela.
+  // Mensagens fixas (inclusive erros dos módulos core) são traduzidas aqui; as com valores
+  // chegam já traduzidas com t('...{x}...', { x }).
+  function showToast(message, action = null) {
+    if (!toastEl) return;
+    toastEl.textContent = t(message);
+    if (action) {
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.className = 'toast__action';
+      btn.textContent = t(action.label);
+      btn.addEventListener('click', async () => {
+        toastEl.hidden = true;
+        try {
+          await action.run();
+        } catch (err) {
+          showToast(String(err?.message || err || 'Não foi possível desfazer.'));
+        }
+      });
+      toastEl.append(' ', btn);
+    }
+    toastEl.hidden = false;
+    if (toastTimer) clearTimeout(toastTimer);
+    toastTimer = setTimeout(() => {
+      toastEl.hidden = true;
+    }, action ? 6000 : 2200);
   }
 
-  function formatCm(n) {
-    if (n === null || n === undefined || n === '' || Number.isNaN(Number(n))) return '—';
-    return `${Number(n).toFixed(1).replace('.', ',')} cm`;
+  // Aviso com "Desfazer" após excluir ou editar.
+  function showUndoToast(message, undo) {
+    showToast(message, { label: 'Desfazer', run: undo });
   }
 
-  function formatDoseMg(n) {
-    if (typeof n !== 'number' || Number.isNaN(n)) return '—';
-    return `${n.toFixed(1).replace('.', ',')} mg`;
-  }
+  // -----------------------------
+  // Idioma (configuração do perfil)
+  // -----------------------------
 
-  function uuid() {
-    // UUID simples, suficiente para uso local
-    return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, (c) => {
-      const r = (crypto.getRandomValues(new Uint8Array(1))[0] & 15) >> 0;
-      const v = c === 'x' ? r : (r & 0x3) | 0x8;
-      return v.toString(16);
+  const LOCALE_MANIFESTS = { 'pt-BR': './manifest.json', en: './manifest.en.json', es: './manifest.es.json' };
+  const TRANSLATED_ATTRIBUTES = ['placeholder', 'aria-label', 'title'];
+  // Textos e atributos do HTML estático: { original (pt-BR), shown (o que a tradução escreveu) }.
+  // Guardados na primeira tradução, antes de qualquer dado na tela: notas, nomes e rótulos do
+  // usuário renderizados depois nunca passam pelo catálogo.
+  let staticTexts = null;
+  let staticAttributes = null;
+  let appliedLocale = null;
+
+  function collectStaticMarkup(root) {
+    staticTexts = [];
+    staticAttributes = [];
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_ELEMENT | NodeFilter.SHOW_TEXT, {
+      acceptNode: (node) => (node.nodeType === Node.ELEMENT_NODE && ['SCRIPT', 'STYLE', 'TEXTAREA'].includes(node.tagName)
+        ? NodeFilter.FILTER_REJECT
+        : NodeFilter.FILTER_ACCEPT)
     });
+    for (let node = walker.currentNode; node; node = walker.nextNode()) {
+      if (node.nodeType === Node.TEXT_NODE) {
+        if (node.nodeValue.trim()) staticTexts.push({ node, original: node.nodeValue, shown: node.nodeValue });
+        continue;
+      }
+      for (const name of TRANSLATED_ATTRIBUTES) {
+        if (node.hasAttribute(name)) staticAttributes.push({ el: node, name, original: node.getAttribute(name), shown: node.getAttribute(name) });
+      }
+    }
   }
 
-  function daysBetween(a, b) {
-    // diferença absoluta em dias
-    const ms = Math.abs(a.getTime() - b.getTime());
-    return ms / (1000 * 60 * 60 * 24);
+  // Texto que o app trocou depois (ex.: textContent com um dado) deixou de ser estático: fica como está.
+  function translateStaticText(item) {
+    if (item.node.nodeValue !== item.shown) return;
+    const key = item.original.replace(/\s+/g, ' ').trim();
+    const translated = t(key);
+    item.shown = translated === key ? item.original : item.original.replace(item.original.trim(), translated);
+    item.node.nodeValue = item.shown;
   }
 
-  function addDays(date, days) {
-    const d = new Date(date.getTime());
-    d.setDate(d.getDate() + days);
-    return d;
+  function translateStaticAttribute(item) {
+    if (item.el.getAttribute(item.name) !== item.shown) return;
+    item.shown = t(item.original);
+    item.el.setAttribute(item.name, item.shown);
   }
 
-  function startOfDay(date) {
-    return new Date(date.getFullYear(), date.getMonth(), date.getDate(), 0, 0, 0, 0);
+  // Traduz o HTML estático (textos, placeholders, aria-label e title) pelo catálogo.
+  // Textareas ficam de fora: o texto delas é o valor do campo.
+  function translateDocument(root) {
+    if (!staticTexts) collectStaticMarkup(root);
+    staticTexts.forEach(translateStaticText);
+    staticAttributes.forEach(translateStaticAttribute);
   }
 
-  function now() {
-    return new Date();
+  // Idioma da interface, dos relatórios e dos textos compartilhados. Re-renderizar fica com quem chama.
+  function applyLocale(locale) {
+    const next = i18n.setLocale(locale);
+    if (next === appliedLocale) return false;
+    appliedLocale = next;
+    document.documentElement.lang = i18n.intlLocale();
+    translateDocument(document.body);
+    const description = document.querySelector('meta[name="description"]');
+    if (description) {
+      if (!description.dataset.original) description.dataset.original = description.content;
+      description.content = t(description.dataset.original);
+    }
+    const manifest = document.querySelector('link[rel="manifest"]');
+    if (manifest) manifest.setAttribute('href', LOCALE_MANIFESTS[next]);
+    try {
+      localStorage.setItem(LOCALE_STORAGE_KEY, next);
+    } catch {
+      // sem armazenamento: o idioma vem das configurações a cada abertura
+    }
+    return true;
   }
 
-  function isInLastDays(isoString, days) {
-    const cutoff = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
-    return new Date(isoString) >= cutoff;
+  function readStoredLocale() {
+    try {
+      return localStorage.getItem(LOCALE_STORAGE_KEY) || DEFAULTS.locale;
+    } catch {
+      return DEFAULTS.locale;
+    }
   }
 
   // -----------------------------
-  // Toast (confirmação após salvar)
+  // Unidades (configuração do perfil)
   // -----------------------------
 
-  const toastEl = document.getElementById('toast');
-  let toastTimer = null;
+  const NUMBER_INPUT_PATTERN = '^[0-9]+([\\.,][0-9]+)?$';
+  // Stones: "13 st 5,5", "13 5" ou só "13".
+  const STONE_INPUT_PATTERN = '^[0-9]+([\\.,][0-9]+)?\\s*(st)?(\\s*[0-9]+([\\.,][0-9]+)?\\s*(lbs?)?)?$';
 
-  function showToast(message) {
-    if (!toastEl) return;
-    toastEl.textContent = message;
-    toastEl.hidden = false;
-    if (toastTimer) clearTimeout(toastTimer);
-    toastTimer = setTimeout(() => {
-      toastEl.hidden = true;
-    }, 2200);
+  // Formatação (core/format.js) e os campos de peso/medidas: rótulos com data-unit-label
+  // ("Peso ({unit})") e exemplos com data-unit-example (valor em kg/cm).
+  function applyUnits(settings) {
+    units.set(settings);
+    const unitLabel = (dimension) => (dimension === 'weight' ? weightUnitLabel() : units.lengthUnit());
+    for (const el of document.querySelectorAll('[data-unit-label]')) {
+      el.textContent = t(el.dataset.unitLabel, { unit: unitLabel(el.dataset.unit) });
+    }
+    for (const el of document.querySelectorAll('input[data-unit-example]')) {
+      const example = Number(el.dataset.unitExample);
+      const weight = el.dataset.unit === 'weight';
+      el.placeholder = t('Ex.: {value}', { value: weight ? formatWeightForInput(example) : formatLengthForInput(example) });
+      el.pattern = weight && units.weightUnit() === 'st' ? STONE_INPUT_PATTERN : NUMBER_INPUT_PATTERN;
+    }
   }
 
   // -----------------------------
   // IndexedDB (wrapper minimalista)
   // -----------------------------
 
+  // Abre o banco aplicando as migrações pendentes (ver db/schema.js).
+  // Passos destrutivos geram antes um backup automático por perfil.
   function openDb() {
-    return new Promise((resolve, reject) => {
-      const req = indexedDB.open(DB_NAME, DB_VERSION);
+    return openDatabase({
+      name: DB_NAME,
+      migrations: MIGRATIONS,
+      context: {
+        appVersion: APP_VERSION,
+        makeId: uuid,
+        beforeDestructive: snapshotBeforeMigration
+      }
+    });
+  }
 
-      req.onupgradeneeded = () => {
-        const db = req.result;
+  // Cache das leituras (core/paging.js): toda transação de escrita descarta o store,
+  // antes e depois de gravar; outras abas do app avisam pelo canal.
+  const recordCache = createRecordCache();
+  const dbChangesChannel = typeof BroadcastChannel === 'function' ? new BroadcastChannel('dosecheck-db-changes') : null;
+  dbChangesChannel?.addEventListener('message', (event) => {
+    if (event.data?.store) recordCache.invalidate(event.data.store);
+  });
 
-        if (!db.objectStoreNames.contains(STORE_INJECTIONS)) {
-          const s = db.createObjectStore(STORE_INJECTIONS, { keyPath: 'id' });
-          s.createIndex('dateTimeISO', 'dateTimeISO', { unique: false });
-        }
-        if (!db.objectStoreNames.contains(STORE_WEIGHTS)) {
-          const s = db.createObjectStore(STORE_WEIGHTS, { keyPath: 'id' });
-          s.createIndex('dateTimeISO', 'dateTimeISO', { unique: false });
-        }
-        if (!db.objectStoreNames.contains(STORE_MEASURES)) {
-          const s = db.createObjectStore(STORE_MEASURES, { keyPath: 'id' });
-          s.createIndex('dateISO', 'dateISO', { unique: false });
-        }
-        if (!db.objectStoreNames.contains(STORE_SETTINGS)) {
-          db.createObjectStore(STORE_SETTINGS, { keyPath: 'key' });
-        }
-        if (!db.objectStoreNames.contains(STORE_AUTO_BACKUPS)) {
-          const s = db.createObjectStore(STORE_AUTO_BACKUPS, { keyPath: 'id' });
-          s.createIndex('timestamp', 'timestamp', { unique: false });
-        }
-      };
+  function invalidateStore(storeName, { broadcast = false } = {}) {
+    recordCache.invalidate(storeName);
+    if (broadcast) dbChangesChannel?.postMessage({ store: storeName });
+  }
 
-      req.onsuccess = () => resolve(req.result);
-      req.onerror = () => reject(req.error);
-    });
+  // As listas recebem cópias: ordenar ou filtrar no lugar não altera o cache.
+  async function cachedRead(storeName, key, loader) {
+    const rows = await recordCache.read(storeName, key, loader);
+    return Array.isArray(rows) ? rows.slice() : rows;
   }
 
   async function withStore(storeName, mode, fn) {
+    const writing = mode === 'readwrite';
+    if (writing) invalidateStore(storeName);
     const db = await openDb();
     return new Promise((resolve, reject) => {
       const tx = db.transaction(storeName, mode);
@@ -882,6 +819,7 @@
 
       tx.oncomplete = async () => {
         db.close();
+        if (writing) invalidateStore(storeName, { broadcast: true });
         try {
           resolve(await resultPromise);
         } catch (e) {
@@ -890,22 +828,23 @@
       };
       tx.onerror = () => {
         db.close();
+        if (writing) invalidateStore(storeName);
         reject(tx.error);
       };
     });
   }
 
   async function getAll(storeName) {
-    return withStore(storeName, 'readonly', (store) => {
+    return cachedRead(storeName, 'all', () => withStore(storeName, 'readonly', (store) => {
       return new Promise((resolve, reject) => {
         const req = store.getAll();
         req.onsuccess = () => resolve(req.result || []);
         req.onerror = () => reject(req.error);
       });
-    });
+    }));
   }
 
-  async function put(storeName, value) {
+  async function writeRecord(storeName, value) {
     return withStore(storeName, 'readwrite', (store) => {
       return new Promise((resolve, reject) => {
         const req = store.put(value);
@@ -915,7 +854,7 @@
     });
   }
 
-  async function del(storeName, id) {
+  async function deleteRecord(storeName, id) {
     return withStore(storeName, 'readwrite', (store) => {
       return new Promise((resolve, reject) => {
         const req = store.delete(id);
@@ -925,6 +864,30 @@
     });
   }
 
+  // Gravações e exclusões nos stores sincronizados avançam a revisão do registro
+  // (exclusão vira lápide). A sincronização grava com writeRecord/deleteRecord.
+  // source: origem da alteração no histórico de edições (core/history.js).
+  async function put(storeName, value, { source = 'app' } = {}) {
+    const previous = HISTORY_STORES.includes(storeName) ? await getByKey(storeName, value.id) : null;
+    const result = await writeRecord(storeName, value);
+    if (SYNC_STORES.includes(storeName)) await recordSyncChange(storeName, value.id, value.profileId);
+    await recordHistory(storeName, previous, value, source);
+    return result;
+  }
+
+  async function del(storeName, id, { source = 'app' } = {}) {
+    const existing = SYNC_STORES.includes(storeName) ? await getByKey(storeName, id) : null;
+    await deleteRecord(storeName, id);
+    if (existing) await recordSyncChange(storeName, id, existing.profileId, { deleted: true });
+    await recordHistory(storeName, existing, null, source);
+    return true;
+  }
+
+  async function recordHistory(storeName, previous, next, source) {
+    const entry = buildHistoryEntry({ store: storeName, previous, next, source, appVersion: APP_VERSION, makeId: uuid }, now());
+    if (entry) await writeRecord(STORE_HISTORY, entry);
+  }
+
   async function getByKey(storeName, key) {
     return withStore(storeName, 'readonly', (store) => {
       return new Promise((resolve, reject) => {
@@ -935,44 +898,155 @@
     });
   }
 
-  async function clearStore(storeName) {
-    return withStore(storeName, 'readwrite', (store) => {
+  async function getAllForProfile(storeName, profileId = activeProfileId) {
+    return cachedRead(storeName, `all:${profileId}`, () => withStore(storeName, 'readonly', (store) => {
       return new Promise((resolve, reject) => {
-        const req = store.clear();
-        req.onsuccess = () => resolve(true);
+        const req = store.index('profileId').getAll(profileId);
+        req.onsuccess = () => resolve(req.result || []);
         req.onerror = () => reject(req.error);
       });
-    });
+    }));
   }
 
-  // -----------------------------
-  // Modelos (conforme especificação)
-  // -----------------------------
+  // Registros do perfil num período, pelo índice ['profileId', data] (limites de searchKeyRange).
+  async function getForProfileInRange(storeName, { lower, upper, upperOpen }, profileId = activeProfileId) {
+    return cachedRead(storeName, `range:${profileId}:${lower}:${upper}:${upperOpen}`, () => withStore(storeName, 'readonly', (store) => {
+      return new Promise((resolve, reject) => {
+        const range = IDBKeyRange.bound([profileId, lower], [profileId, upper], false, upperOpen);
+        const req = store.index(PROFILE_DATE_INDEX).getAll(range);
+        req.onsuccess = () => resolve(req.result || []);
+        req.onerror = () => reject(req.error);
+      });
+    }));
+  }
 
-  function normalizeInjection(input) {
-    return {
-      id: input.id || uuid(),
-      dateTimeISO: input.dateTimeISO,
-      medName: String(input.medName || 'Retatrutida').trim() || 'Retatrutida',
-      doseMg: parseNumberPtBr(input.doseMg),
-      site: String(input.site || 'abdomen_right'),
-      symptoms: {
-        nausea: clampNumber(input.symptoms?.nausea ?? 0, 0, 10),
-        reflux: clampNumber(input.symptoms?.reflux ?? 0, 0, 10),
-        appetite: clampNumber(input.symptoms?.appetite ?? 0, 0, 10),
-        energy: clampNumber(input.symptoms?.energy ?? 0, 0, 10),
-        bowel: clampNumber(input.symptoms?.bowel ?? 0, 0, 10)
-      },
-      notes: String(input.notes || '').trim()
-    };
+  // Quantos registros o perfil tem no store: conta pelo índice, sem ler os registros.
+  async function countForProfile(storeName, profileId = activeProfileId) {
+    return cachedRead(storeName, `count:${profileId}`, () => withStore(storeName, 'readonly', (store) => {
+      return new Promise((resolve, reject) => {
+        const req = store.index('profileId').count(IDBKeyRange.only(profileId));
+        req.onsuccess = () => resolve(req.result || 0);
+        req.onerror = () => reject(req.error);
+      });
+    }));
   }
 
-  function normalizeWeight(input) {
-    return {
-      id: input.id || uuid(),
-      dateTimeISO: input.dateTimeISO,
-      weightKg: parseNumberPtBr(input.weightKg),
-      fasting: Boolean(input.fasting),
+  // Histórico de edições só dos registros pedidos (índice 'key'), numa transação só.
+  async function getHistoryForKeys(keys) {
+    if (!keys.length) return [];
+    return cachedRead(STORE_HISTORY, `keys:${keys.join(',')}`, () => withStore(STORE_HISTORY, 'readonly', (store) => {
+      const index = store.index('key');
+      return Promise.all(keys.map((key) => new Promise((resolve, reject) => {
+        const req = index.getAll(key);
+        req.onsuccess = () => resolve(req.result || []);
+        req.onerror = () => reject(req.error);
+      }))).then((lists) => lists.flat());
+    }));
+  }
+
+  function getHistoryForRecords(storeName, records) {
+    return getHistoryForKeys(records.map((r) => historyKey(storeName, r.id)));
+  }
+
+  // Bloco de até `count` registros, do mais recente para o mais antigo, logo depois da posição
+  // `after` ({ key, primaryKey } do índice; null = do início) -> { rows, next }.
+  function readProfileChunk(storeName, { profileId, since, after, count }) {
+    return withStore(storeName, 'readonly', (store) => {
+      return new Promise((resolve, reject) => {
+        const rows = [];
+        let last = null;
+        const upper = after ? after.key : [profileId, '\uffff'];
+        const range = IDBKeyRange.bound([profileId, since], upper);
+        const req = store.index(PROFILE_DATE_INDEX).openCursor(range, 'prev');
+        req.onsuccess = () => {
+          const cursor = req.result;
+          if (!cursor || rows.length >= count) {
+            resolve({ rows, next: cursor ? last : null });
+            return;
+          }
+          // Mesma data do fim do bloco anterior: pula o que já foi lido (ids em ordem decrescente).
+          const seen = after && indexedDB.cmp(cursor.key, after.key) === 0 && indexedDB.cmp(cursor.primaryKey, after.primaryKey) >= 0;
+          if (!seen) {
+            rows.push(cursor.value);
+            last = { key: cursor.key, primaryKey: cursor.primaryKey };
+          }
+          cursor.continue();
+        };
+        req.onerror = () => reject(req.error);
+      });
+    });
+  }
+
+  // Página do perfil, do mais recente para o mais antigo, por cursor no mesmo índice.
+  // since: data mínima (ISO; '' = tudo). step: tamanho do bloco ("Carregar mais" soma um bloco);
+  // o cache guarda cada bloco pela posição onde ele começa.
+  async function getPageForProfile(storeName, { limit = LIST_PAGE_SIZE, step = limit, since = '' } = {}, profileId = activeProfileId) {
+    return readPageByCursor(limit, step, (after, count) => {
+      const position = after ? JSON.stringify([after.key, after.primaryKey]) : '';
+      return cachedRead(storeName, `page:${profileId}:${since}:${count}:${position}`, () => readProfileChunk(storeName, { profileId, since, after, count }));
+    });
+  }
+
+  async function clearProfileRecords(storeName, profileId = activeProfileId) {
+    return withStore(storeName, 'readwrite', (store) => {
+      return new Promise((resolve, reject) => {
+        const req = store.index('profileId').openKeyCursor(IDBKeyRange.only(profileId));
+        req.onsuccess = () => {
+          const cursor = req.result;
+          if (!cursor) {
+            resolve(true);
+            return;
+          }
+          store.delete(cursor.primaryKey);
+          cursor.continue();
+        };
+        req.onerror = () => reject(req.error);
+      });
+    });
+  }
+
+  async function clearStore(storeName) {
+    return withStore(storeName, 'readwrite', (store) => {
+      return new Promise((resolve, reject) => {
+        const req = store.clear();
+        req.onsuccess = () => resolve(true);
+        req.onerror = () => reject(req.error);
+      });
+    });
+  }
+
+  // -----------------------------
+  // Modelos (conforme especificação)
+  // -----------------------------
+
+  function normalizeInjection(input) {
+    return {
+      id: input.id || uuid(),
+      profileId: String(input.profileId || activeProfileId),
+      dateTimeISO: input.dateTimeISO,
+      medicationId: input.medicationId ? String(input.medicationId) : null,
+      medName: String(input.medName || DEFAULT_MED_NAME).trim() || DEFAULT_MED_NAME,
+      inventoryId: input.inventoryId ? String(input.inventoryId) : null,
+      doseMg: parseNumberLocale(input.doseMg),
+      site: String(input.site || 'abdomen_right'),
+      symptoms: {
+        nausea: clampNumber(input.symptoms?.nausea ?? 0, 0, 10),
+        reflux: clampNumber(input.symptoms?.reflux ?? 0, 0, 10),
+        appetite: clampNumber(input.symptoms?.appetite ?? 0, 0, 10),
+        energy: clampNumber(input.symptoms?.energy ?? 0, 0, 10),
+        bowel: clampNumber(input.symptoms?.bowel ?? 0, 0, 10)
+      },
+      notes: String(input.notes || '').trim()
+    };
+  }
+
+  function normalizeWeight(input) {
+    return {
+      id: input.id || uuid(),
+      profileId: String(input.profileId || activeProfileId),
+      dateTimeISO: input.dateTimeISO,
+      weightKg: parseNumberLocale(input.weightKg),
+      fasting: Boolean(input.fasting),
       notes: String(input.notes || '').trim()
     };
   }
@@ -981,12 +1055,13 @@
     // Alguns campos podem ficar vazios; manter null é melhor do que NaN.
     const nOrNull = (v) => {
       if (v === '' || v === null || v === undefined) return null;
-      const n = parseNumberPtBr(v);
+      const n = parseNumberLocale(v);
       return Number.isFinite(n) ? n : null;
     };
 
     return {
       id: input.id || uuid(),
+      profileId: String(input.profileId || activeProfileId),
       dateISO: input.dateISO,
       waistCm: nOrNull(input.waistCm),
       hipCm: nOrNull(input.hipCm),
@@ -1004,8 +1079,8 @@
   // Configurações (lembrete)
   // -----------------------------
 
-  async function getSettings() {
-    const s = await getByKey(STORE_SETTINGS, SETTINGS_KEY);
+  async function getSettings(profileId = activeProfileId) {
+    const s = await getByKey(STORE_SETTINGS, settingsKeyForProfile(profileId));
     const val = s?.value || {};
     return {
       ...DEFAULTS,
@@ -1013,9 +1088,11 @@
     };
   }
 
-  async function saveSettings(settings) {
+  // source 'sync': configurações recebidas de outro aparelho já chegam com a revisão final;
+  // gravar sem avançar a revisão nem entrar na fila (senão voltariam ao servidor a cada ciclo).
+  async function saveSettings(settings, { profileId = activeProfileId, source = 'user' } = {}) {
     // Merge com valores atuais para não apagar campos quando salvar seções diferentes do menu.
-    const current = await getSettings();
+    const current = await getSettings(profileId);
     const merged = {
       ...current,
       ...(settings || {})
@@ -1025,12 +1102,13 @@
       ? merged.weighDaysOfWeek.map((d) => clampNumber(d, 0, 6))
       : [...DEFAULTS.weighDaysOfWeek];
     const uniqueWeigh = Array.from(new Set(cleanedWeigh)).sort((a, b) => a - b);
+    const goals = normalizeGoals(merged);
 
     const cleaned = {
       reminderDow: merged.reminderDow === '' ? '' : String(merged.reminderDow),
       reminderTime: String(merged.reminderTime || DEFAULTS.reminderTime),
 
-      injectionDayOfWeek: clampNumber(merged.injectionDayOfWeek ?? DEFAULTS.injectionDayOfWeek, 0, 6),
+      ...normalizeInjectionScheduleSettings(merged, getLocalDateKey(now())),
       injectionTime: String(merged.injectionTime || DEFAULTS.injectionTime),
       weighDaysOfWeek: uniqueWeigh.length ? uniqueWeigh : [...DEFAULTS.weighDaysOfWeek],
       measureReminderEveryDays: Math.max(7, Math.floor(Number(merged.measureReminderEveryDays || DEFAULTS.measureReminderEveryDays))),
@@ -1052,61 +1130,275 @@
       medRefUrl: String(merged.medRefUrl || '').trim(),
       medOfficialText: String(merged.medOfficialText || '').trim(),
 
-      enableArmSites: Boolean(merged.enableArmSites)
+      enableArmSites: Boolean(merged.enableArmSites),
+
+      imcHeight: (() => {
+        const h = parseNumberLocale(merged.imcHeight);
+        return Number.isFinite(h) && h > 0 ? h : null;
+      })(),
+
+      trashRetentionDays: normalizeTrashRetentionDays(merged.trashRetentionDays),
+
+      locale: LOCALES.includes(merged.locale) ? merged.locale : DEFAULTS.locale,
+
+      weightUnit: normalizeWeightUnit(merged.weightUnit),
+      lengthUnit: normalizeLengthUnit(merged.lengthUnit),
+      weightComparison: normalizeWeightComparison(merged.weightComparison),
+
+      goalWeightKg: goals.weightKg,
+      goalWaistCm: goals.waistCm,
+      goalStartDate: goals.startDate,
+      goalTargetDate: goals.targetDate
     };
-    await put(STORE_SETTINGS, { key: SETTINGS_KEY, value: cleaned });
+    await put(STORE_SETTINGS, { key: settingsKeyForProfile(profileId), value: cleaned });
+    if (source !== 'sync' && changedFields(current, { ...current, ...cleaned }).length) await recordSyncChange(SYNC_SETTINGS_STORE, SYNC_SETTINGS_ID, profileId);
     return cleaned;
   }
 
-  function computeNextReminderDate(settings, fromDate = now()) {
-    if (settings.reminderDow === '' || settings.reminderDow === null || settings.reminderDow === undefined) {
-      return null;
+  // -----------------------------
+  // Perfis (V3) - vários pacientes no mesmo aparelho
+  // -----------------------------
+
+  let activeProfileId = DEFAULT_PROFILE_ID;
+
+  function readStoredActiveProfileId() {
+    try {
+      return localStorage.getItem(ACTIVE_PROFILE_STORAGE_KEY) || DEFAULT_PROFILE_ID;
+    } catch {
+      return DEFAULT_PROFILE_ID;
+    }
+  }
+
+  function writeStoredActiveProfileId(profileId) {
+    try {
+      localStorage.setItem(ACTIVE_PROFILE_STORAGE_KEY, profileId);
+    } catch {
+      // ignore
+    }
+  }
+
+  async function listProfiles() {
+    const profiles = await getAll(STORE_PROFILES);
+    if (!profiles.length) {
+      // Banco recém-criado (ou apagado): garante o perfil padrão.
+      const fallback = { id: DEFAULT_PROFILE_ID, name: DEFAULT_PROFILE_NAME, createdAtISO: now().toISOString() };
+      await put(STORE_PROFILES, fallback);
+      return [fallback];
     }
+    return profiles.sort((a, b) => String(a.createdAtISO || '').localeCompare(String(b.createdAtISO || '')));
+  }
+
+  async function getActiveProfile() {
+    const profiles = await listProfiles();
+    return profiles.find((p) => p.id === activeProfileId) || profiles[0];
+  }
+
+  async function loadActiveProfile() {
+    const profiles = await listProfiles();
+    const stored = readStoredActiveProfileId();
+    activeProfileId = profiles.some((p) => p.id === stored) ? stored : profiles[0].id;
+    writeStoredActiveProfileId(activeProfileId);
+    await ensureMedicationCatalog(activeProfileId);
+    return activeProfileId;
+  }
+
+  async function createProfile(name) {
+    const cleanName = String(name || '').trim();
+    if (!cleanName) throw new Error('Informe um nome para o perfil.');
+    const profile = { id: uuid(), name: cleanName, createdAtISO: now().toISOString() };
+    await put(STORE_PROFILES, profile);
+    return profile;
+  }
 
-    const dow = Number(settings.reminderDow);
-    if (!Number.isInteger(dow) || dow < 0 || dow > 6) return null;
+  async function renameProfile(profileId, name) {
+    const cleanName = String(name || '').trim();
+    if (!cleanName) throw new Error('Informe um nome para o perfil.');
+    const profile = await getByKey(STORE_PROFILES, profileId);
+    if (!profile) throw new Error('Perfil não encontrado.');
+    await put(STORE_PROFILES, { ...profile, name: cleanName });
+  }
 
-    const [hh, mm] = String(settings.reminderTime || '19:00').split(':').map((x) => Number(x));
-    const base = new Date(fromDate.getTime());
+  async function deleteProfile(profileId) {
+    const profiles = await listProfiles();
+    if (profiles.length <= 1) throw new Error('É preciso manter ao menos um perfil.');
 
-    // Calcular o próximo dia da semana desejado.
-    const currentDow = base.getDay();
-    let delta = (dow - currentDow + 7) % 7;
+    for (const name of PROFILE_SCOPED_STORES) {
+      await clearProfileRecords(name, profileId);
+    }
+    await del(STORE_SETTINGS, settingsKeyForProfile(profileId));
+    await del(STORE_PROFILES, profileId);
 
-    const candidate = new Date(base.getFullYear(), base.getMonth(), base.getDate(), hh || 0, mm || 0, 0, 0);
-    if (delta === 0 && candidate <= base) {
-      delta = 7;
+    if (activeProfileId === profileId) {
+      const next = profiles.find((p) => p.id !== profileId);
+      await setActiveProfile(next.id);
     }
-    candidate.setDate(candidate.getDate() + delta);
-    return candidate;
   }
 
-  function describeDueBanner(nextDue) {
-    const n = now();
-    const diffMs = nextDue.getTime() - n.getTime();
+  async function setActiveProfile(profileId) {
+    activeProfileId = profileId;
+    writeStoredActiveProfileId(profileId);
 
-    const whenText = nextDue.toLocaleString('pt-BR', { dateStyle: 'short', timeStyle: 'short' });
+    // Estado de tela pertence ao perfil anterior.
+    clearAttention();
+    chartState.weightsDesc = null;
+    resetListPages();
+    if (reportRangeEl) delete reportRangeEl.dataset.userTouched;
+    if (reportPatientNameEl) delete reportPatientNameEl.dataset.userTouched;
 
-    if (diffMs < 0) {
-      // Atrasado (mostrar até o próximo ciclo)
-      return {
-        kind: 'overdue',
-        text: `Atenção: lembrete de aplicação estava para ${whenText}. Se já aplicou, registre para manter o histórico.`
-      };
+    await ensureMedicationCatalog(profileId);
+    const s = await getSettings();
+    applyArmSitesVisibility(Boolean(s.enableArmSites));
+  }
+
+  async function renderProfileSwitcher() {
+    if (!profileSelectEl) return;
+    const profiles = await listProfiles();
+    clearChildren(profileSelectEl);
+    for (const p of profiles) {
+      const opt = createEl('option', { value: p.id }, p.name);
+      profileSelectEl.appendChild(opt);
     }
+    profileSelectEl.value = activeProfileId;
 
-    const diffHours = diffMs / (1000 * 60 * 60);
-    if (diffHours <= 24) {
-      return {
-        kind: 'soon',
-        text: `Lembrete: aplicação programada para ${whenText}.`
-      };
+    if (settingsProfilesListEl) {
+      settingsProfilesListEl.textContent = profiles
+        .map((p) => (p.id === activeProfileId ? t('{name} (ativo)', { name: p.name }) : p.name))
+        .join(' • ');
     }
+  }
 
-    return {
-      kind: 'future',
-      text: `Próximo lembrete: ${whenText}.`
-    };
+  // -----------------------------
+  // Medicamentos (catálogo por perfil)
+  // -----------------------------
+
+  // Ativos primeiro; dentro de cada grupo, ordem de cadastro.
+  async function listMedications(profileId = activeProfileId) {
+    const meds = await getAllForProfile(STORE_MEDICATIONS, profileId);
+    return meds.sort((a, b) => {
+      if ((a.active !== false) !== (b.active !== false)) return a.active !== false ? -1 : 1;
+      return String(a.createdAtISO || '').localeCompare(String(b.createdAtISO || ''));
+    });
+  }
+
+  // Grava medicationId nas aplicações sem vínculo válido (restauração, backups antigos).
+  async function linkInjectionsToCatalog(injections, catalog) {
+    for (const inj of injections) {
+      if (inj.medicationId && catalog.some((m) => m.id === inj.medicationId)) continue;
+      const medicationId = resolveInjectionMedicationId(inj, catalog);
+      if (medicationId && medicationId !== inj.medicationId) await put(STORE_INJECTIONS, { ...inj, medicationId });
+    }
+  }
+
+  // Perfil sem catálogo (perfil novo, "Apagar tudo", backup antigo): monta a partir das aplicações.
+  async function ensureMedicationCatalog(profileId = activeProfileId) {
+    const existing = await listMedications(profileId);
+    if (existing.length) return existing;
+
+    const injections = await getAllForProfile(STORE_INJECTIONS, profileId);
+    const settings = await getSettings(profileId);
+    const catalog = buildCatalogFromInjections(injections, settings, { profileId, makeId: uuid, nowISO: now().toISOString() });
+    for (const med of catalog) await put(STORE_MEDICATIONS, med);
+    await linkInjectionsToCatalog(injections, catalog);
+    return listMedications(profileId);
+  }
+
+  // As configurações guardam a agenda do primeiro medicamento ativo: é a agenda usada
+  // sem catálogo e a que versões anteriores leem de um backup.
+  async function syncSettingsScheduleFromCatalog() {
+    const [first] = (await listMedications()).filter((m) => m.active !== false);
+    if (first) await saveSettings(first.schedule);
+  }
+
+  async function saveMedication(input) {
+    const existing = input.id ? await getByKey(STORE_MEDICATIONS, input.id) : null;
+    const med = normalizeMedication({ ...(existing || {}), ...input }, {
+      profileId: activeProfileId,
+      makeId: uuid,
+      nowISO: now().toISOString(),
+      todayKey: getLocalDateKey(now())
+    });
+
+    const others = (await listMedications()).filter((m) => m.id !== med.id);
+    if (findMedicationByName(others, med.name)) throw new Error('Já existe um medicamento com esse nome.');
+    if (!med.active && !others.some((m) => m.active !== false)) throw new Error('Mantenha ao menos um medicamento em uso.');
+
+    await put(STORE_MEDICATIONS, med);
+
+    // Aplicações guardam uma cópia do nome (exportações e backups lidos por versões anteriores).
+    if (existing && existing.name !== med.name) {
+      const injections = await getAllForProfile(STORE_INJECTIONS);
+      for (const inj of injections) {
+        if (inj.medicationId === med.id) await put(STORE_INJECTIONS, { ...inj, medName: med.name });
+      }
+    }
+
+    await syncSettingsScheduleFromCatalog();
+    return med;
+  }
+
+  async function deleteMedication(medicationId) {
+    const meds = await listMedications();
+    const med = meds.find((m) => m.id === medicationId);
+    if (!med) throw new Error('Medicamento não encontrado.');
+
+    const injections = await getAllForProfile(STORE_INJECTIONS);
+    if (filterInjectionsForMedication(injections, medicationId, meds).length) {
+      throw new Error('Há aplicações deste medicamento. Marque como inativo para manter o histórico.');
+    }
+    if (!meds.some((m) => m.id !== medicationId && m.active !== false)) {
+      throw new Error('Mantenha ao menos um medicamento em uso.');
+    }
+
+    await del(STORE_MEDICATIONS, medicationId);
+    await syncSettingsScheduleFromCatalog();
+  }
+
+  // -----------------------------
+  // Estoque (canetas/frascos por perfil)
+  // -----------------------------
+
+  // Pela validade (sem validade por último), depois ordem de cadastro.
+  async function listInventory(profileId = activeProfileId) {
+    const items = await getAllForProfile(STORE_INVENTORY, profileId);
+    return items.sort((a, b) => String(a.expiryDate || '9999').localeCompare(String(b.expiryDate || '9999'))
+      || String(a.createdAtISO || '').localeCompare(String(b.createdAtISO || '')));
+  }
+
+  async function saveInventoryItem(input) {
+    const existing = input.id ? await getByKey(STORE_INVENTORY, input.id) : null;
+    const item = normalizeInventoryItem({ ...(existing || {}), ...input }, {
+      profileId: activeProfileId,
+      makeId: uuid,
+      nowISO: now().toISOString()
+    });
+    if (!item.medicationId) throw new Error('Escolha o medicamento.');
+    if (!(item.totalAmount > 0)) throw new Error('Informe a quantidade total.');
+
+    await put(STORE_INVENTORY, item);
+    return item;
+  }
+
+  async function deleteInventoryItem(itemId) {
+    const injections = await getAllForProfile(STORE_INJECTIONS);
+    if (injections.some((inj) => inj.inventoryId === itemId)) {
+      throw new Error('Há aplicações descontadas deste item. Dê baixa (descartado) para manter o histórico.');
+    }
+    await del(STORE_INVENTORY, itemId);
+  }
+
+  // Desconta a aplicação do item em uso: mantém o vínculo ao editar (se o medicamento não mudou);
+  // senão escolhe a caneta/frasco aberto (ou abre o próximo lacrado nesta data).
+  async function assignInventoryItem(record, previous) {
+    if (previous?.inventoryId && previous.medicationId === record.medicationId) {
+      return { ...record, inventoryId: previous.inventoryId };
+    }
+    const [items, injections] = await Promise.all([listInventory(), getAllForProfile(STORE_INJECTIONS)]);
+    const others = injections.filter((inj) => inj.id !== record.id);
+    const dateKey = getLocalDateKey(new Date(record.dateTimeISO));
+    const item = pickActiveInventoryItem(items, others, record.medicationId, dateKey, record.doseMg);
+    if (!item) return { ...record, inventoryId: null };
+    if (!item.openedDate) await put(STORE_INVENTORY, { ...item, openedDate: dateKey });
+    return { ...record, inventoryId: item.id };
   }
 
   // -----------------------------
@@ -1122,7 +1414,7 @@
   async function getNextInjectionSite(injectionsDesc = null, settings = null) {
     const s = settings || await getSettings();
     const rotation = getRotationSites(s);
-    const injections = injectionsDesc || await getAll(STORE_INJECTIONS);
+    const injections = injectionsDesc || await getAllForProfile(STORE_INJECTIONS);
     const sorted = [...injections].sort(sortByDateTimeDesc);
 
     const lastSite = sorted[0]?.site;
@@ -1143,62 +1435,6 @@
     }
   }
 
-  // -----------------------------
-  // Cálculos para dashboard
-  // -----------------------------
-
-  function sortByDateTimeDesc(a, b) {
-    return new Date(b.dateTimeISO).getTime() - new Date(a.dateTimeISO).getTime();
-  }
-
-  function sortByDateDesc(a, b) {
-    // dateISO: YYYY-MM-DD
-    return b.dateISO.localeCompare(a.dateISO);
-  }
-
-  function pickWeightClosestAtOrBefore(weightsDesc, targetDate) {
-    // weightsDesc já em ordem desc
-    const target = targetDate.getTime();
-    for (const w of weightsDesc) {
-      const t = new Date(w.dateTimeISO).getTime();
-      if (t <= target) return w;
-    }
-    return null;
-  }
-
-  function formatDeltaKg(delta) {
-    if (delta === null) return '—';
-    const sign = delta > 0 ? '+' : '';
-    return `${sign}${delta.toFixed(1).replace('.', ',')} kg`;
-  }
-
-  function computeWeightDeltas(weightsDesc) {
-    if (weightsDesc.length === 0) {
-      return { last: null, d7: null, d14: null, d30: null, lastDate: null };
-    }
-
-    const last = weightsDesc[0];
-    const lastDate = new Date(last.dateTimeISO);
-
-    const t7 = addDays(lastDate, -7);
-    const t14 = addDays(lastDate, -14);
-    const t30 = addDays(lastDate, -30);
-
-    const w7 = pickWeightClosestAtOrBefore(weightsDesc, t7);
-    const w14 = pickWeightClosestAtOrBefore(weightsDesc, t14);
-    const w30 = pickWeightClosestAtOrBefore(weightsDesc, t30);
-
-    const d = (w) => (w ? last.weightKg - w.weightKg : null);
-
-    return {
-      last,
-      lastDate,
-      d7: d(w7),
-      d14: d(w14),
-      d30: d(w30)
-    };
-  }
-
   // -----------------------------
   // SPA: roteamento e render
   // -----------------------------
@@ -1209,6 +1445,7 @@
     body: document.getElementById('viewBody'),
     insights: document.getElementById('viewInsights'),
     report: document.getElementById('viewReport'),
+    search: document.getElementById('viewSearch'),
     settings: document.getElementById('viewSettings')
   };
 
@@ -1218,12 +1455,13 @@
     body: document.getElementById('tabBody'),
     insights: document.getElementById('tabInsights'),
     report: document.getElementById('tabReport'),
+    search: document.getElementById('tabSearch'),
     settings: document.getElementById('tabSettings')
   };
 
   function getRoute() {
     const h = location.hash || '#/dashboard';
-    const match = h.match(/^#\/(dashboard|injections|body|insights|report|settings)/);
+    const match = h.match(/^#\/(dashboard|injections|body|insights|report|search|settings)/);
     return match ? match[1] : 'dashboard';
   }
 
@@ -1405,6 +1643,13 @@
   const nextInjectionSub = document.getElementById('nextInjectionSub');
   const nextInjectionStatusChip = document.getElementById('nextInjectionStatus');
 
+  const cardTitration = document.getElementById('cardTitration');
+  const titrationList = document.getElementById('titrationList');
+  const cardInventory = document.getElementById('cardInventory');
+  const inventoryForecastList = document.getElementById('inventoryForecastList');
+  const cardGoals = document.getElementById('cardGoals');
+  const goalsList = document.getElementById('goalsList');
+
   const lastWeightValue = document.getElementById('lastWeightValue');
   const lastWeightSub = document.getElementById('lastWeightSub');
   const lastImcChip = document.getElementById('lastImcChip');
@@ -1412,12 +1657,26 @@
   const delta7 = document.getElementById('delta7');
   const delta14 = document.getElementById('delta14');
   const delta30 = document.getElementById('delta30');
+  const deltaComparisonEl = document.getElementById('deltaComparison');
 
   const timelineList = document.getElementById('timelineList');
 
   const injFilter = document.getElementById('injFilter');
   const injectionList = document.getElementById('injectionList');
 
+  const searchFormEl = document.getElementById('searchForm');
+  const searchTextEl = document.getElementById('searchText');
+  const searchFromEl = document.getElementById('searchFrom');
+  const searchToEl = document.getElementById('searchTo');
+  const searchTypeEls = [...document.querySelectorAll('input[name="searchType"]')];
+  const searchMedicationEl = document.getElementById('searchMedication');
+  const searchDoseMinEl = document.getElementById('searchDoseMin');
+  const searchDoseMaxEl = document.getElementById('searchDoseMax');
+  const searchSiteEl = document.getElementById('searchSite');
+  const searchFastingEl = document.getElementById('searchFasting');
+  const searchSummaryEl = document.getElementById('searchSummary');
+  const searchResultsEl = document.getElementById('searchResults');
+
   const weightList = document.getElementById('weightList');
   const measuresList = document.getElementById('measuresList');
   const measuresCompare = document.getElementById('measuresCompare');
@@ -1428,14 +1687,17 @@
   const insightsSummaryMetaEl = document.getElementById('insightsSummaryMeta');
   const insightsRangeEl = document.getElementById('insightsRange');
 
+  const profileSelectEl = document.getElementById('profileSelect');
+  const settingsProfilesListEl = document.getElementById('settingsProfilesList');
+
   const menuDialog = document.getElementById('menuDialog');
   const btnOpenMenu = document.getElementById('btnOpenMenu');
 
   const reminderDowEl = document.getElementById('reminderDow');
   const reminderTimeEl = document.getElementById('reminderTime');
 
-  const scheduleInjectionTimeEl = document.getElementById('scheduleInjectionTime');
   const scheduleMeasureEveryEl = document.getElementById('scheduleMeasureEvery');
+  const icsIncludeLogEl = document.getElementById('icsIncludeLog');
 
   const weeklyConsistencyBadge = document.getElementById('weeklyConsistencyBadge');
   const weeklyConsistencyValue = document.getElementById('weeklyConsistencyValue');
@@ -1449,6 +1711,7 @@
   const weightChartTooltip = document.getElementById('weightChartTooltip');
   const weightChartRange30Btn = document.getElementById('weightChartRange30');
   const weightChartRange90Btn = document.getElementById('weightChartRange90');
+  const weightChartMeta = document.getElementById('weightChartMeta');
 
   const weeklySummaryTextEl = document.getElementById('weeklySummaryText');
   const weeklySummaryWeekEl = document.getElementById('weeklySummaryWeek');
@@ -1456,20 +1719,25 @@
 
   const reportRangeEl = document.getElementById('reportRange');
   const reportPatientNameEl = document.getElementById('reportPatientName');
+  const reportFlagEditsEl = document.getElementById('reportFlagEdits');
   const reportPreviewEl = document.getElementById('reportPreview');
 
   const settingsPatientNameEl = document.getElementById('settingsPatientName');
   const settingsPatientBirthDateEl = document.getElementById('settingsPatientBirthDate');
   const settingsPatientBirthYearEl = document.getElementById('settingsPatientBirthYear');
   const settingsPreferredReportRangeEl = document.getElementById('settingsPreferredReportRange');
+  const settingsLocaleEl = document.getElementById('settingsLocale');
+  const settingsWeightUnitEl = document.getElementById('settingsWeightUnit');
+  const settingsWeightComparisonEl = document.getElementById('settingsWeightComparison');
+  const settingsLengthUnitEl = document.getElementById('settingsLengthUnit');
   const settingsMedRefUrlEl = document.getElementById('settingsMedRefUrl');
   const settingsMedOfficialTextEl = document.getElementById('settingsMedOfficialText');
-  const settingsInjectionDowEl = document.getElementById('settingsInjectionDow');
+  const settingsMedicationsListEl = document.getElementById('settingsMedicationsList');
+  const settingsInventoryListEl = document.getElementById('settingsInventoryList');
   
   const appVersionEl = document.getElementById('appVersion');
   const lastBackupInfoEl = document.getElementById('lastBackupInfo');
   const btnRestoreLastBackup = document.getElementById('btnRestoreLastBackup');
-  const settingsInjectionTimeEl = document.getElementById('settingsInjectionTime');
   const settingsMeasureEveryEl = document.getElementById('settingsMeasureEvery');
   const settingsEnableArmSitesEl = document.getElementById('settingsEnableArmSites');
   const weighDow1El = document.getElementById('weighDow1');
@@ -1489,8 +1757,10 @@
 
   const injIdEl = document.getElementById('injId');
   const injDateTimeEl = document.getElementById('injDateTime');
-  const injMedNameEl = document.getElementById('injMedName');
+  const injMedicationEl = document.getElementById('injMedication');
+  const injDoseUnitEl = document.getElementById('injDoseUnit');
   const injDoseEl = document.getElementById('injDose');
+  const injDoseHintEl = document.getElementById('injDoseHint');
   const injSiteEl = document.getElementById('injSite');
   const injNotesEl = document.getElementById('injNotes');
 
@@ -1509,6 +1779,42 @@
     bowel: document.getElementById('symBowelVal')
   };
 
+  const medDialog = document.getElementById('medDialog');
+  const medForm = document.getElementById('medForm');
+  const medIdEl = document.getElementById('medId');
+  const medNameEl = document.getElementById('medName');
+  const medConcentrationEl = document.getElementById('medConcentration');
+  const medUnitEl = document.getElementById('medUnit');
+  const medRouteEl = document.getElementById('medRoute');
+  const medColorEl = document.getElementById('medColor');
+  const medActiveEl = document.getElementById('medActive');
+  const medScheduleModeEl = document.getElementById('medScheduleMode');
+  const medInjectionTimeEl = document.getElementById('medInjectionTime');
+  const medWeekdaysFieldEl = document.getElementById('medWeekdaysField');
+  const medIntervalFieldEl = document.getElementById('medIntervalField');
+  const medEveryDaysEl = document.getElementById('medEveryDays');
+  const medStartDateEl = document.getElementById('medStartDate');
+  const medTitrationStartEl = document.getElementById('medTitrationStart');
+  const medTitrationStepsEl = document.getElementById('medTitrationSteps');
+  const medTitrationWeeksEl = document.getElementById('medTitrationWeeks');
+  const medDeleteBtn = document.getElementById('medDeleteBtn');
+
+  const invDialog = document.getElementById('invDialog');
+  const invForm = document.getElementById('invForm');
+  const invIdEl = document.getElementById('invId');
+  const invMedicationEl = document.getElementById('invMedication');
+  const invKindEl = document.getElementById('invKind');
+  const invTotalEl = document.getElementById('invTotal');
+  const invTotalUnitEl = document.getElementById('invTotalUnit');
+  const invLotEl = document.getElementById('invLot');
+  const invExpiryEl = document.getElementById('invExpiry');
+  const invOpenedEl = document.getElementById('invOpened');
+  const invDiscardAfterEl = document.getElementById('invDiscardAfter');
+  const invDiscardedEl = document.getElementById('invDiscarded');
+  const invDeleteBtn = document.getElementById('invDeleteBtn');
+  // 0 = domingo ... 6 = sábado
+  const medDowEls = [0, 1, 2, 3, 4, 5, 6].map((d) => document.getElementById(`medDow${d}`));
+
   const wDialog = document.getElementById('wDialog');
   const wForm = document.getElementById('wForm');
   const wIdEl = document.getElementById('wId');
@@ -1536,6 +1842,16 @@
   const imcResultEl = document.getElementById('imcResult');
   const imcInterpretationEl = document.getElementById('imcInterpretation');
 
+  const goalWeightEl = document.getElementById('goalWeight');
+  const goalWaistEl = document.getElementById('goalWaist');
+  const goalStartDateEl = document.getElementById('goalStartDate');
+  const goalTargetDateEl = document.getElementById('goalTargetDate');
+
+  // Histórico de edições
+  const historyDialog = document.getElementById('historyDialog');
+  const historyRecordEl = document.getElementById('historyRecord');
+  const historyListEl = document.getElementById('historyList');
+
   // Late Symptoms Dialog
   const lateSymDialog = document.getElementById('lateSymDialog');
   const lateSymInjIdEl = document.getElementById('lateSym_injId');
@@ -1580,6 +1896,42 @@
   const inlineLateSymNotesEl = document.getElementById('lateSym_notes');
 
   const restoreFileEl = document.getElementById('restoreFile');
+  const syncFileEl = document.getElementById('syncFile');
+
+  const importDialog = document.getElementById('importDialog');
+  const importForm = document.getElementById('importForm');
+  const importKindEl = document.getElementById('importKind');
+  const importFileEl = document.getElementById('importFile');
+  const importFileInfoEl = document.getElementById('importFileInfo');
+  const importSetupEl = document.getElementById('importSetup');
+  const importHasHeaderEl = document.getElementById('importHasHeader');
+  const importMappingEl = document.getElementById('importMapping');
+  const importDateFormatEl = document.getElementById('importDateFormat');
+  const importMedicationFieldEl = document.getElementById('importMedicationField');
+  const importMedicationEl = document.getElementById('importMedication');
+  const importConflictPolicyEl = document.getElementById('importConflictPolicy');
+  const importSummaryEl = document.getElementById('importSummary');
+  const importPreviewEl = document.getElementById('importPreview');
+  const importConfirmBtn = document.getElementById('importConfirmBtn');
+
+  const passDialog = document.getElementById('passDialog');
+  const passForm = document.getElementById('passForm');
+  const passTitleEl = document.getElementById('passTitle');
+  const passHintEl = document.getElementById('passHint');
+  const passInputEl = document.getElementById('passInput');
+  const passConfirmFieldEl = document.getElementById('passConfirmField');
+  const passConfirmEl = document.getElementById('passConfirm');
+
+  const restoreDialog = document.getElementById('restoreDialog');
+  const restoreForm = document.getElementById('restoreForm');
+  const restoreSourceEl = document.getElementById('restoreSource');
+  const restoreModeEl = document.getElementById('restoreMode');
+  const restoreModeHintEl = document.getElementById('restoreModeHint');
+  const restoreSummaryEl = document.getElementById('restoreSummary');
+  const restoreConflictsEl = document.getElementById('restoreConflicts');
+  const restoreConflictListEl = document.getElementById('restoreConflictList');
+  const restoreRejectedEl = document.getElementById('restoreRejected');
+  const restoreRejectedListEl = document.getElementById('restoreRejectedList');
 
   // -----------------------------
   // Render helpers
@@ -1603,67 +1955,20 @@
     return el;
   }
 
-  function siteLabel(site) {
-    return SITE_LABELS[site] || site;
-  }
-
   function renderEmptyState(el, title, subtitle) {
     clearChildren(el);
     const item = createEl('div', { class: 'item', role: 'listitem' });
     const main = createEl('div', { class: 'item__main' });
-    main.appendChild(createEl('div', { class: 'item__title' }, title));
-    main.appendChild(createEl('div', { class: 'item__meta' }, subtitle));
+    main.appendChild(createEl('div', { class: 'item__title' }, t(title)));
+    main.appendChild(createEl('div', { class: 'item__meta' }, t(subtitle)));
     item.appendChild(main);
     el.appendChild(item);
   }
 
-  function toDateKeyFromISO(isoString) {
-    return getLocalDateKey(new Date(isoString));
-  }
-
-  function startOfWeekMonday(date) {
-    const d = startOfDay(date);
-    // Monday=0..Sunday=6
-    const mondayIndex = (d.getDay() + 6) % 7;
-    d.setDate(d.getDate() - mondayIndex);
-    return d;
-  }
-
-  function endOfWeekSunday(startMonday) {
-    const d = addDays(startMonday, 6);
-    return new Date(d.getFullYear(), d.getMonth(), d.getDate(), 23, 59, 59, 999);
-  }
-
-  function formatDateShortPtBr(date) {
-    return date.toLocaleDateString('pt-BR', { dateStyle: 'short' });
-  }
-
-  function formatTimeShortPtBr(date) {
-    return date.toLocaleTimeString('pt-BR', { timeStyle: 'short' });
-  }
-
-  function formatWeekRangeLabel(startMonday) {
-    const end = endOfWeekSunday(startMonday);
-    return `${formatDateShortPtBr(startMonday)}–${formatDateShortPtBr(end)}`;
-  }
-
-  function computeNextScheduledDateTime(settings, fromDate = now()) {
-    const dow = clampNumber(settings?.injectionDayOfWeek ?? DEFAULTS.injectionDayOfWeek, 0, 6);
-    const [hh, mm] = String(settings?.injectionTime || DEFAULTS.injectionTime).split(':').map((x) => Number(x));
-    const base = new Date(fromDate.getTime());
-
-    const currentDow = base.getDay();
-    let delta = (dow - currentDow + 7) % 7;
-    const candidate = new Date(base.getFullYear(), base.getMonth(), base.getDate(), hh || 0, mm || 0, 0, 0);
-    if (delta === 0 && candidate <= base) delta = 7;
-    candidate.setDate(candidate.getDate() + delta);
-    return candidate;
-  }
-
   function statusBadgeFromPercent(pct) {
-    if (pct >= 90) return { label: 'Excelente', cls: 'chip chip--ok' };
-    if (pct >= 70) return { label: 'Boa', cls: 'chip chip--warn' };
-    return { label: 'Ajustar', cls: 'chip chip--danger' };
+    if (pct >= 90) return { label: t('Excelente'), cls: 'chip chip--ok' };
+    if (pct >= 70) return { label: t('Boa'), cls: 'chip chip--warn' };
+    return { label: t('Ajustar'), cls: 'chip chip--danger' };
   }
 
   async function copyTextToClipboard(text) {
@@ -1684,27 +1989,6 @@
     }
   }
 
-  function whatsappShareUrl(text) {
-    const msg = String(text || '');
-    // Tenta abrir diretamente no app do WhatsApp (celular) ou web (desktop)
-    if (/Android|iPhone|iPad|iPod/.test(navigator.userAgent)) {
-      // Mobile: usa o scheme nativo do WhatsApp
-      return `whatsapp://send?text=${encodeURIComponent(msg)}`;
-    } else {
-      // Desktop: usa a web do WhatsApp
-      return `https://web.whatsapp.com/send?text=${encodeURIComponent(msg)}`;
-    }
-  }
-
-  function pad2(n) {
-    return String(n).padStart(2, '0');
-  }
-
-  function formatIcsLocalDateTime(d) {
-    // Formato "floating" local (sem Z) para abrir no calendário do dispositivo.
-    return `${d.getFullYear()}${pad2(d.getMonth() + 1)}${pad2(d.getDate())}T${pad2(d.getHours())}${pad2(d.getMinutes())}${pad2(d.getSeconds())}`;
-  }
-
   function downloadTextFile(filename, mime, text) {
     const blob = new Blob([text], { type: mime });
     const url = URL.createObjectURL(blob);
@@ -1717,79 +2001,53 @@
     setTimeout(() => URL.revokeObjectURL(url), 10_000);
   }
 
-  async function computeNextInjectionDateTime() {
+  // Próxima aplicação de cada medicamento em uso (a mais próxima primeiro).
+  // Com registro: última aplicação + agenda do medicamento; sem registro: lembrete semanal ou agenda.
+  async function computeNextInjectionsByMedication() {
     const settings = await getSettings();
-    const injections = await getAll(STORE_INJECTIONS);
+    const meds = await listMedications();
+    const injections = await getAllForProfile(STORE_INJECTIONS);
     injections.sort(sortByDateTimeDesc);
-
-    if (injections.length > 0) {
-      const last = injections[0];
-      const lastDt = new Date(last.dateTimeISO);
-      const next = addDays(lastDt, 7);
-      return { next, basis: 'last', medName: last.medName, doseMg: last.doseMg };
-    }
-
-    const reminder = computeNextReminderDate(settings);
-    if (reminder) {
-      return { next: reminder, basis: 'reminder', medName: 'Aplicação', doseMg: null };
-    }
-
-    // Fallback: agenda fixa (inj day + time) se existir
-    try {
-      const scheduled = computeNextScheduledDateTime(settings, now());
-      if (scheduled) return { next: scheduled, basis: 'schedule', medName: 'Aplicação', doseMg: null };
-    } catch {
-      // ignore
+    const reminder = computeNextReminderDate(settings, now());
+
+    const out = [];
+    for (const med of meds.filter((m) => m.active !== false)) {
+      const schedule = resolveInjectionSchedule(med.schedule);
+      const last = filterInjectionsForMedication(injections, med.id, meds)[0] || null;
+      let next = null;
+      let basis = 'schedule';
+      if (last) {
+        next = computeNextInjectionAfter(last.dateTimeISO, schedule);
+        basis = 'last';
+      } else if (reminder) {
+        next = reminder;
+        basis = 'reminder';
+      } else {
+        next = computeNextScheduledDateTime(med.schedule, now());
+      }
+      if (next) out.push({ med, schedule, next, basis, last });
     }
-
-    return null;
+    return out.sort((a, b) => a.next - b.next);
   }
 
-  async function exportNextInjectionToCalendar() {
-    const info = await computeNextInjectionDateTime();
-    if (!info?.next) {
-      showToast('Sem próxima aplicação para exportar.');
-      return;
-    }
-
-    const start = info.next;
-    const end = new Date(start.getTime() + 15 * 60 * 1000);
-    const uid = `${Date.now()}-${Math.random().toString(16).slice(2)}@dosecheck`;
-
-    const summaryParts = [];
-    if (info.medName) summaryParts.push(String(info.medName));
-    if (Number.isFinite(info.doseMg)) summaryParts.push(`${formatDoseMg(info.doseMg)}`);
-    const summary = summaryParts.length ? `Aplicação: ${summaryParts.join(' • ')}` : 'Aplicação de medicamento';
-
-    const description = [
-      'DoseCheck (PWA)',
-      `Gerado em: ${new Date().toLocaleString('pt-BR', { dateStyle: 'short', timeStyle: 'short' })}`,
-      `Base: ${info.basis}`
-    ].join('\\n');
-
-    const ics = [
-      'BEGIN:VCALENDAR',
-      'VERSION:2.0',
-      'PRODID:-//DoseCheck//PT-BR//EN',
-      'CALSCALE:GREGORIAN',
-      'METHOD:PUBLISH',
-      'BEGIN:VEVENT',
-      `UID:${uid}`,
-      `DTSTAMP:${formatIcsLocalDateTime(new Date())}`,
-      `DTSTART:${formatIcsLocalDateTime(start)}`,
-      `DTEND:${formatIcsLocalDateTime(end)}`,
-      `SUMMARY:${summary.replace(/\r?\n/g, ' ')}`,
-      `DESCRIPTION:${description.replace(/\r?\n/g, '\\n')}`,
-      'END:VEVENT',
-      'END:VCALENDAR',
-      ''
-    ].join('\r\n');
-
-    const y = start.getFullYear();
-    const m = pad2(start.getMonth() + 1);
-    const d = pad2(start.getDate());
-    downloadTextFile(`dosecheck-aplicacao-${y}${m}${d}.ics`, 'text/calendar;charset=utf-8', ics);
-    showToast('Arquivo do Calendário gerado.');
+  // Agenda completa (.ics): séries recorrentes de aplicação/pesagem/medidas; histórico opcional.
+  async function exportCalendarFeed() {
+    const [settings, medications, injections, weights, measures, profile] = await Promise.all([
+      getSettings(),
+      listMedications(),
+      getAllForProfile(STORE_INJECTIONS),
+      getAllForProfile(STORE_WEIGHTS),
+      getAllForProfile(STORE_MEASURES),
+      getActiveProfile()
+    ]);
+    const includeLog = Boolean(icsIncludeLogEl?.checked);
+    const ics = buildCalendarFeed(
+      { settings, medications, injections, weights, measures, profileId: activeProfileId },
+      { includeLog, calendarName: `DoseCheck • ${profile?.name || t('Perfil')}` },
+      now()
+    );
+    downloadTextFile(`dosecheck-agenda-${todayStamp()}.ics`, 'text/calendar;charset=utf-8', ics);
+    showToast(includeLog ? 'Agenda e histórico exportados para o Calendário.' : 'Agenda exportada para o Calendário.');
   }
 
   async function shareText(titleOrObj, textMaybe) {
@@ -1815,76 +2073,21 @@
   // Checklist & Alertas (agenda fixa)
   // -----------------------------
 
-  const CHECKLIST_CUTOFF_TIME = '12:00'; // regra: se não registrou até 12:00 -> aviso visual
-
-  function isAfterTimeHHmm(date, timeHHmm) {
-    const [hh, mi] = String(timeHHmm).split(':').map((x) => Number(x));
-    if (!Number.isFinite(hh) || !Number.isFinite(mi)) return false;
-    const cutoff = new Date(date.getFullYear(), date.getMonth(), date.getDate(), hh, mi, 0, 0);
-    return date >= cutoff;
-  }
-
   async function buildChecklistCache() {
-    const [weights, injections, measures] = await Promise.all([
-      getAll(STORE_WEIGHTS),
-      getAll(STORE_INJECTIONS),
-      getAll(STORE_MEASURES)
+    const [weights, injections, measures, medications, inventory] = await Promise.all([
+      getAllForProfile(STORE_WEIGHTS),
+      getAllForProfile(STORE_INJECTIONS),
+      getAllForProfile(STORE_MEASURES),
+      listMedications(),
+      listInventory()
     ]);
-
-    const weightKeys = new Set(weights.map((w) => getLocalDateKey(new Date(w.dateTimeISO))));
-    const injectionKeys = new Set(injections.map((i) => getLocalDateKey(new Date(i.dateTimeISO))));
-    const measuresKeys = new Set(measures.map((m) => m.dateISO));
-
-    const measuresSorted = [...measures].sort(sortByDateDesc);
-    const lastMeasures = measuresSorted[0] || null;
-
-    return { weights, injections, measures, weightKeys, injectionKeys, measuresKeys, lastMeasures };
-  }
-
-  // Requisito: isWeightLoggedOn(dateKey)
-  async function isWeightLoggedOn(dateKey, cache = null) {
-    if (cache?.weightKeys) return cache.weightKeys.has(dateKey);
-    const weights = await getAll(STORE_WEIGHTS);
-    return weights.some((w) => getLocalDateKey(new Date(w.dateTimeISO)) === dateKey);
-  }
-
-  // Requisito: isInjectionLoggedOn(dateKey)
-  async function isInjectionLoggedOn(dateKey, cache = null) {
-    if (cache?.injectionKeys) return cache.injectionKeys.has(dateKey);
-    const injections = await getAll(STORE_INJECTIONS);
-    return injections.some((i) => getLocalDateKey(new Date(i.dateTimeISO)) === dateKey);
-  }
-
-  // Requisito: isMeasuresLoggedOn(dateKey)
-  async function isMeasuresLoggedOn(dateKey, cache = null) {
-    if (cache?.measuresKeys) return cache.measuresKeys.has(dateKey);
-    const measures = await getAll(STORE_MEASURES);
-    return measures.some((m) => m.dateISO === dateKey);
-  }
-
-  function formatDowPtBr(dow) {
-    const names = ['Dom', 'Seg', 'Ter', 'Qua', 'Qui', 'Sex', 'Sáb'];
-    return names[dow] || '—';
-  }
-
-  function formatDateKeyShortPtBr(dateKey) {
-    // YYYY-MM-DD -> dd/mm
-    const [y, m, d] = String(dateKey).split('-');
-    return `${d}/${m}`;
-  }
-
-  function getStatus(item, nowDate) {
-    // Requisito: pending/done/late
-    if (item.done) return 'done';
-    const todayKey = getLocalDateKey(nowDate);
-    if (compareDateKeys(item.dateKey, todayKey) < 0) return 'late';
-    return 'pending';
+    return buildChecklistCacheFromData({ weights, injections, measures, medications, inventory });
   }
 
   function statusLabel(status) {
-    if (status === 'done') return 'Concluído';
-    if (status === 'late') return 'Atrasado';
-    return 'Pendente';
+    if (status === 'done') return t('Concluído');
+    if (status === 'late') return t('Atrasado');
+    return t('Pendente');
   }
 
   function statusChipClass(status, required) {
@@ -1893,177 +2096,65 @@
     return required ? 'chip chip--warn' : 'chip';
   }
 
-  function computeMeasuresDueDateKey(cache, settings, todayKey) {
-    const every = Math.max(7, Math.floor(Number(settings.measureReminderEveryDays || DEFAULTS.measureReminderEveryDays)));
-    // Se nunca registrou medidas, mostrar um lembrete leve hoje (opcional).
-    if (!cache?.lastMeasures?.dateISO) return todayKey;
+  function renderChecklistItemRow(item) {
+    const row = createEl('div', { class: 'item', role: 'listitem' });
+    const left = createEl('div', { class: 'checkline__left' });
+
+    const title = createEl('div', { class: 'checkline__title' });
+    if (item.color) title.appendChild(createEl('span', { class: 'medDot', style: `background:${item.color}`, 'aria-hidden': 'true' }));
+    title.appendChild(document.createTextNode(item.title));
+    const metaParts = [];
+    if (item.meta) metaParts.push(item.meta);
+    metaParts.push(t('Data: {date}', { date: formatDateKeyShortPtBr(item.dateKey) }));
+    if (item.status === 'late' && item.required) {
+      metaParts.push(t('Sugestão: registre agora (se fizer sentido, use data retroativa).'));
+    }
+    const meta = createEl('div', { class: 'checkline__meta' }, metaParts.join(' • '));
+
+    left.appendChild(title);
+    left.appendChild(meta);
 
-    const base = parseDateKeyToLocalDate(cache.lastMeasures.dateISO, '00:00');
-    const due = addDays(base, every);
-    const dueKey = getLocalDateKey(due);
+    const chip = createEl('span', { class: statusChipClass(item.status, item.required) }, statusLabel(item.status));
 
-    // Se estiver atrasado, continuamos lembrando “a partir de hoje” até registrar novamente.
-    if (compareDateKeys(dueKey, todayKey) < 0) return todayKey;
-    return dueKey;
+    row.appendChild(left);
+    row.appendChild(chip);
+    return row;
   }
 
-  // Requisito: buildChecklistForDate(date)
-  async function buildChecklistForDate(date, cache = null, settings = null, nowDate = now()) {
+  async function renderDashboardChecklist(cache = null, settings = null, nowDate = now()) {
+    if (!checklistTodayList || !checklistUpcomingList) return;
+
     const s = settings || (await getSettings());
     const c = cache || (await buildChecklistCache());
-
-    const dateKey = getLocalDateKey(date);
-    const todayKey = getLocalDateKey(nowDate);
-    const dow = date.getDay();
-
-    const items = [];
-
-    // Peso (obrigatório em dias configurados)
-    if (Array.isArray(s.weighDaysOfWeek) && s.weighDaysOfWeek.includes(dow)) {
-      const done = await isWeightLoggedOn(dateKey, c);
-      items.push({
-        kind: 'weight',
-        title: 'Pesagem',
-        dateKey,
-        required: true,
-        done,
-        warnAfterCutoff: compareDateKeys(dateKey, todayKey) === 0 && isAfterTimeHHmm(nowDate, CHECKLIST_CUTOFF_TIME) && !done
-      });
-    }
-
-    // Aplicação (sábado fixo)
-    if (dow === Number(s.injectionDayOfWeek)) {
-      const done = await isInjectionLoggedOn(dateKey, c);
-      items.push({
-        kind: 'injection',
-        title: 'Aplicação',
-        dateKey,
-        required: true,
-        done,
-        warnAfterCutoff: compareDateKeys(dateKey, todayKey) === 0 && isAfterTimeHHmm(nowDate, CHECKLIST_CUTOFF_TIME) && !done,
-        meta: `Horário alvo: ${String(s.injectionTime || DEFAULTS.injectionTime)}`
-      });
-    }
-
-    // Medidas (lembrete leve a cada N dias)
-    const measuresDueKey = computeMeasuresDueDateKey(c, s, todayKey);
-    if (measuresDueKey && compareDateKeys(dateKey, measuresDueKey) === 0) {
-      const done = await isMeasuresLoggedOn(dateKey, c);
-      items.push({
-        kind: 'measures',
-        title: 'Medidas (opcional)',
-        dateKey,
-        required: false,
-        done,
-        meta: `Sugestão: a cada ${Math.max(7, Math.floor(Number(s.measureReminderEveryDays || DEFAULTS.measureReminderEveryDays)))} dias`
-      });
-    }
-
-    // Status
-    for (const it of items) {
-      it.status = getStatus(it, nowDate);
-    }
-
-    return items;
-  }
-
-  // Requisito: buildUpcomingChecklist(days=7)
-  async function buildUpcomingChecklist(days = 7) {
-    const s = await getSettings();
-    const c = await buildChecklistCache();
-    const base = startOfDay(now());
-
-    const list = [];
-    for (let i = 1; i <= days; i++) {
-      const d = addDays(base, i);
-      const dateKey = getLocalDateKey(d);
-      const items = await buildChecklistForDate(d, c, s, now());
-
-      if (items.length) {
-        list.push({
-          dateKey,
-          dow: d.getDay(),
-          items
-        });
-      }
-    }
-
-    return list;
-  }
-
-  async function buildOverdueChecklist(daysBack = 7) {
-    const s = await getSettings();
-    const c = await buildChecklistCache();
-    const base = startOfDay(now());
-
-    const overdue = [];
-    for (let i = 1; i <= daysBack; i++) {
-      const d = addDays(base, -i);
-      const items = await buildChecklistForDate(d, c, s, now());
-      for (const it of items) {
-        if (!it.required) continue;
-        if (it.done) continue;
-        it.status = 'late';
-        it.warnAfterCutoff = false;
-        overdue.push(it);
-      }
-    }
-
-    // Mais recentes primeiro
-    overdue.sort((a, b) => compareDateKeys(b.dateKey, a.dateKey));
-    return overdue;
-  }
-
-  function renderChecklistItemRow(item) {
-    const row = createEl('div', { class: 'item', role: 'listitem' });
-    const left = createEl('div', { class: 'checkline__left' });
-
-    const title = createEl('div', { class: 'checkline__title' }, item.title);
-    const metaParts = [];
-    if (item.meta) metaParts.push(item.meta);
-    metaParts.push(`Data: ${formatDateKeyShortPtBr(item.dateKey)}`);
-    if (item.status === 'late' && item.required) {
-      metaParts.push('Sugestão: registre agora (se fizer sentido, use data retroativa).');
-    }
-    const meta = createEl('div', { class: 'checkline__meta' }, metaParts.join(' • '));
-
-    left.appendChild(title);
-    left.appendChild(meta);
-
-    const chip = createEl('span', { class: statusChipClass(item.status, item.required) }, statusLabel(item.status));
-
-    row.appendChild(left);
-    row.appendChild(chip);
-    return row;
-  }
-
-  async function renderDashboardChecklist(cache = null, settings = null, nowDate = now()) {
-    if (!checklistTodayList || !checklistUpcomingList) return;
-
-    const s = settings || (await getSettings());
-    const c = cache || (await buildChecklistCache());
-    const n = nowDate;
-    const today = startOfDay(n);
-    const todayKey = getLocalDateKey(today);
+    const n = nowDate;
+    const today = startOfDay(n);
+    const todayKey = getLocalDateKey(today);
 
     if (checklistTodayMeta) {
       const weigh = Array.isArray(s.weighDaysOfWeek) && s.weighDaysOfWeek.length
         ? s.weighDaysOfWeek.map((d) => formatDowPtBr(d)).join('/')
         : '—';
-      const injDow = clampNumber(s.injectionDayOfWeek ?? DEFAULTS.injectionDayOfWeek, 0, 6);
-      checklistTodayMeta.textContent = `Hoje (${formatDowPtBr(today.getDay())} • ${formatDateKeyShortPtBr(todayKey)}). Agenda: pesagem ${weigh}; aplicação ${formatDowPtBr(injDow)} ${s.injectionTime}; medidas a cada ${s.measureReminderEveryDays} dias.`;
+      const schedule = resolveInjectionSchedule(s);
+      checklistTodayMeta.textContent = t('Hoje ({dow} • {date}). Agenda: pesagem {weigh}; aplicação {schedule} {time}; medidas a cada {n} dias.', {
+        dow: formatDowPtBr(today.getDay()),
+        date: formatDateKeyShortPtBr(todayKey),
+        weigh,
+        schedule: formatInjectionScheduleShort(schedule),
+        time: schedule.time,
+        n: s.measureReminderEveryDays
+      });
     }
 
     // Hoje
-    const todayItems = await buildChecklistForDate(today, c, s, n);
-    const overdueItems = await buildOverdueChecklist(7);
+    const todayItems = buildChecklistForDate(today, c, s, n);
+    const overdueItems = buildOverdueChecklist(c, s, 7, n);
     clearChildren(checklistTodayList);
 
     if (!todayItems.length && !overdueItems.length) {
       renderEmptyState(checklistTodayList, 'Nada obrigatório hoje', 'Aproveite para registrar se quiser (peso/medidas) e manter o histórico.');
     } else {
       if (overdueItems.length) {
-        const header = createEl('div', { class: 'muted' }, 'Atrasos (últimos 7 dias)');
+        const header = createEl('div', { class: 'muted' }, t('Atrasos (últimos 7 dias)'));
         checklistTodayList.appendChild(header);
         for (const it of overdueItems) {
           checklistTodayList.appendChild(renderChecklistItemRow(it));
@@ -2084,8 +2175,8 @@
           ? 'chip chip--ok'
           : 'chip chip--warn';
       checklistTodayBadge.textContent = total === 0
-        ? (overdueItems.length ? `${overdueItems.length} atraso(s)` : 'Sem itens')
-        : `${doneCount}/${total} feitos${overdueItems.length ? ` • ${overdueItems.length} atraso(s)` : ''}`;
+        ? (overdueItems.length ? t('{n} atraso(s)', { n: overdueItems.length }) : t('Sem itens'))
+        : `${t('{done}/{total} feitos', { done: doneCount, total })}${overdueItems.length ? ` • ${t('{n} atraso(s)', { n: overdueItems.length })}` : ''}`;
     }
 
     // Alertas visuais após 12:00
@@ -2093,11 +2184,11 @@
       const warnings = [];
       const weightWarn = todayItems.find((x) => x.kind === 'weight' && x.warnAfterCutoff);
       const injWarn = todayItems.find((x) => x.kind === 'injection' && x.warnAfterCutoff);
-      if (weightWarn) warnings.push('PESAGEM PENDENTE');
-      if (injWarn) warnings.push('APLICAÇÃO PENDENTE');
+      if (weightWarn) warnings.push(t('PESAGEM PENDENTE'));
+      if (injWarn) warnings.push(t('APLICAÇÃO PENDENTE'));
 
       if (warnings.length) {
-        checklistTodayAlerts.textContent = `${warnings.join(' • ')} — registre até o fim do dia para evitar ficar “atrasado”.`;
+        checklistTodayAlerts.textContent = `${warnings.join(' • ')} — ${t('registre até o fim do dia para evitar ficar “atrasado”.')}`;
         checklistTodayAlerts.hidden = false;
       } else {
         checklistTodayAlerts.hidden = true;
@@ -2123,7 +2214,7 @@
     }
 
     // Próximos 7 dias
-    const upcoming = await buildUpcomingChecklist(7);
+    const upcoming = buildUpcomingChecklist(c, s, 7, n);
     clearChildren(checklistUpcomingList);
     if (!upcoming.length) {
       renderEmptyState(checklistUpcomingList, 'Nada agendado nos próximos 7 dias', 'Você pode ajustar a agenda no Menu.');
@@ -2143,7 +2234,7 @@
       const summary = day.items.map((x) => `${x.title}${x.done ? ' ✓' : ''}`).join(' • ');
       main.appendChild(createEl('div', { class: 'item__meta' }, summary));
 
-      const chip = createEl('span', { class: statusChipClass(dayStatus, true) }, doneCount === total ? 'Ok' : 'Pendente');
+      const chip = createEl('span', { class: statusChipClass(dayStatus, true) }, doneCount === total ? t('Ok') : t('Pendente'));
 
       item.appendChild(main);
       item.appendChild(chip);
@@ -2157,7 +2248,7 @@
 
   async function renderReminderBanner() {
     const settings = await getSettings();
-    const next = computeNextReminderDate(settings);
+    const next = computeNextReminderDate(settings, now());
 
     if (!bannerReminder) return;
 
@@ -2166,44 +2257,154 @@
       return;
     }
 
-    const info = describeDueBanner(next);
+    const info = describeDueBanner(next, now());
     bannerReminder.textContent = info.text;
 
     // Mostrar só quando está próximo (24h) ou atrasado.
     bannerReminder.hidden = !(info.kind === 'soon' || info.kind === 'overdue');
   }
 
+  // Titulação: degrau atual de cada medicamento em uso com plano (card some sem planos).
+  async function renderTitrationCard(nowDate = now()) {
+    if (!cardTitration || !titrationList) return;
+    const todayKey = getLocalDateKey(nowDate);
+    const planned = (await listMedications()).filter((m) => m.active !== false && m.titration);
+    cardTitration.hidden = !planned.length;
+    clearChildren(titrationList);
+
+    for (const med of planned) {
+      const status = describeTitrationStatus(med.titration, todayKey, med.unit);
+      if (!status) continue;
+      const row = createEl('div', { class: 'item', role: 'listitem' });
+      const main = createEl('div', { class: 'item__main' });
+      const title = createEl('div', { class: 'item__title' });
+      title.appendChild(createEl('span', { class: 'medDot', style: `background:${med.color}`, 'aria-hidden': 'true' }));
+      title.appendChild(document.createTextNode(planned.length > 1 ? `${med.name}: ${status.title}` : status.title));
+      main.appendChild(title);
+      if (status.detail) main.appendChild(createEl('div', { class: 'item__meta' }, status.detail));
+      row.appendChild(main);
+      titrationList.appendChild(row);
+    }
+  }
+
+  // Estoque: doses restantes e data para pedir refil, por medicamento em uso com itens cadastrados.
+  async function renderInventoryCard(nowDate = now()) {
+    if (!cardInventory || !inventoryForecastList) return;
+    const [meds, inventory, injections] = await Promise.all([listMedications(), listInventory(), getAllForProfile(STORE_INJECTIONS)]);
+    const forecasts = meds
+      .filter((m) => m.active !== false)
+      .map((med) => ({ med, f: forecastInventory(med, { inventory, injections, medications: meds }, nowDate) }))
+      .filter(({ f }) => f.items);
+    cardInventory.hidden = !forecasts.length;
+    clearChildren(inventoryForecastList);
+
+    for (const { med, f } of forecasts) {
+      const row = createEl('div', { class: 'item', role: 'listitem' });
+      const main = createEl('div', { class: 'item__main' });
+      const title = createEl('div', { class: 'item__title' });
+      title.appendChild(createEl('span', { class: 'medDot', style: `background:${med.color}`, 'aria-hidden': 'true' }));
+      const dosesText = f.dosesLeft === null ? t('doses restantes: —') : t('{n} dose(s) restante(s)', { n: `${f.dosesLeft}${f.beyondHorizon ? '+' : ''}` });
+      title.appendChild(document.createTextNode(`${med.name}: ${dosesText}`));
+      main.appendChild(title);
+
+      const meta = [t('No estoque: {dose}', { dose: formatDose(f.totalRemaining, med.unit) })];
+      if (f.dose !== null) meta.push(t('dose: {dose}', { dose: formatDose(f.dose, med.unit) }));
+      if (f.runOutKey) meta.push(t('acaba em {date}', { date: formatDateKeyShortPtBr(f.runOutKey) }));
+      if (f.dosesLeft === null) meta.push(t('registre uma aplicação para estimar'));
+      main.appendChild(createEl('div', { class: 'item__meta' }, meta.join(' • ')));
+
+      let chipCls = 'chip chip--ok';
+      let chipText = f.beyondHorizon ? t('Estoque > 1 ano') : t('Sem previsão');
+      if (f.refillByKey) {
+        const late = f.refillByKey <= getLocalDateKey(nowDate);
+        chipCls = late ? 'chip chip--warn' : 'chip chip--ok';
+        chipText = late ? t('Pedir refil agora') : t('Refil até {date}', { date: formatDateKeyShortPtBr(f.refillByKey) });
+      }
+      row.appendChild(main);
+      row.appendChild(createEl('span', { class: chipCls }, chipText));
+      inventoryForecastList.appendChild(row);
+    }
+  }
+
+  // Metas: progresso de peso e cintura, previsão pela tendência e ritmo necessário (card some sem metas).
+  async function renderGoalsCard(settings, weights, nowDate = now()) {
+    if (!cardGoals || !goalsList) return;
+    const goals = normalizeGoals(settings);
+    cardGoals.hidden = goals.weightKg === null && goals.waistCm === null;
+    clearChildren(goalsList);
+    if (cardGoals.hidden) return;
+
+    const measures = goals.waistCm !== null ? await getAllForProfile(STORE_MEASURES) : [];
+    const status = computeGoalStatus(settings, { weights, measures }, nowDate);
+
+    const addRow = (title, pct, lines, chip = null) => {
+      const row = createEl('div', { class: 'item', role: 'listitem' });
+      const main = createEl('div', { class: 'item__main' });
+      main.appendChild(createEl('div', { class: 'item__title' }, title));
+      if (pct !== null) {
+        const bar = createEl('div', { class: 'goalBar', role: 'progressbar', 'aria-label': title, 'aria-valuemin': '0', 'aria-valuemax': '100', 'aria-valuenow': String(pct) });
+        bar.appendChild(createEl('div', { class: pct >= 100 ? 'goalBar__fill goalBar__fill--done' : 'goalBar__fill', style: `width:${pct}%` }));
+        main.appendChild(bar);
+      }
+      for (const line of lines.filter(Boolean)) main.appendChild(createEl('div', { class: 'item__meta' }, line));
+      row.appendChild(main);
+      if (chip) row.appendChild(createEl('span', { class: chip.cls }, chip.text));
+      goalsList.appendChild(row);
+    };
+
+    if (goals.weightKg !== null) {
+      const w = status.weight;
+      if (!w) addRow(t('Peso'), null, [t('Registre uma pesagem para acompanhar a meta de {goal}.', { goal: formatKg(goals.weightKg) })]);
+      else {
+        let chip = null;
+        if (w.reached) chip = { cls: 'chip chip--ok', text: t('Atingida') };
+        else if (w.onTrack === false) chip = { cls: 'chip chip--warn', text: t('Atrás do prazo') };
+        else if (w.onTrack) chip = { cls: 'chip chip--ok', text: t('No prazo') };
+        addRow(t('Peso'), w.progressPct, [describeWeightGoal(w), w.reached ? '' : describeWeightGoalProjection(w), describeWeightGoalPace(w)], chip);
+      }
+    }
+    if (goals.waistCm !== null) {
+      const c = status.waist;
+      if (!c) addRow(t('Cintura'), null, [t('Registre a cintura em Medidas para acompanhar a meta de {goal}.', { goal: formatCm(goals.waistCm) })]);
+      else addRow(t('Cintura'), c.progressPct, [describeWaistGoal(c)], c.reached ? { cls: 'chip chip--ok', text: t('Atingida') } : null);
+    }
+  }
+
   async function renderDashboard() {
     const n = now();
-    const [injections, weights] = await Promise.all([getAll(STORE_INJECTIONS), getAll(STORE_WEIGHTS)]);
+    const [injections, weights] = await Promise.all([getAllForProfile(STORE_INJECTIONS), getAllForProfile(STORE_WEIGHTS)]);
 
     injections.sort(sortByDateTimeDesc);
     weights.sort(sortByDateTimeDesc);
 
     // Próxima aplicação
     let nextText = '—';
-    let nextSub = 'Configure seu lembrete ou registre uma aplicação.';
+    let nextSub = t('Configure seu lembrete ou registre uma aplicação.');
 
     const settings = await getSettings();
-    const nextReminder = computeNextReminderDate(settings);
+    const nextReminder = computeNextReminderDate(settings, now());
     let nextDate = null;
 
-    if (injections.length > 0) {
-      const last = injections[0];
-      const lastDt = new Date(last.dateTimeISO);
-      const next = addDays(lastDt, 7);
-      nextDate = next;
-      nextText = next.toLocaleString('pt-BR', { dateStyle: 'short', timeStyle: 'short' });
-      nextSub = `Baseado no último registro (${formatDateTimePtBr(last.dateTimeISO)}).`;
-
-      if (nextReminder) {
-        const r = nextReminder.toLocaleString('pt-BR', { dateStyle: 'short', timeStyle: 'short' });
-        nextSub += ` Lembrete configurado: ${r}.`;
+    // Um card para todos os medicamentos: destaca o mais próximo e lista os demais.
+    const nextByMed = await computeNextInjectionsByMedication();
+    const [first, ...others] = nextByMed;
+    const fmtNext = (d) => d.toLocaleString(i18n.intlLocale(), { dateStyle: 'short', timeStyle: 'short' });
+
+    if (first) {
+      nextDate = first.next;
+      nextText = fmtNext(first.next);
+      if (first.basis === 'last') {
+        nextSub = t('Baseado no último registro ({date}) e na agenda ({schedule}).', { date: formatDateTimePtBr(first.last.dateTimeISO), schedule: formatInjectionScheduleLabel(first.schedule) });
+        if (nextReminder) nextSub += ` ${t('Lembrete configurado: {date}.', { date: fmtNext(nextReminder) })}`;
+      } else if (first.basis === 'reminder') {
+        nextSub = t('Baseado no seu lembrete semanal.');
+      } else {
+        nextSub = t('Baseado na agenda ({schedule}).', { schedule: formatInjectionScheduleLabel(first.schedule) });
+      }
+      if (nextByMed.length > 1) {
+        nextText = `${nextText} • ${first.med.name}`;
+        nextSub += ` ${t('Depois: {list}.', { list: others.map((o) => `${o.med.name} ${fmtNext(o.next)}`).join(' • ') })}`;
       }
-    } else if (nextReminder) {
-      nextDate = nextReminder;
-      nextText = nextReminder.toLocaleString('pt-BR', { dateStyle: 'short', timeStyle: 'short' });
-      nextSub = 'Baseado no seu lembrete semanal.';
     }
 
     // Atualiza chip de status de proximidade
@@ -2215,21 +2416,21 @@
         if (diffH >= 24) {
           const d = Math.floor(diffH / 24);
           const h = diffH % 24;
-          txt = `Em ${d}d ${h}h`;
+          txt = t('Em {d}d {h}h', { d, h });
           cls = 'chip chip--ok';
         } else if (diffH >= 0) {
-          txt = `Em ${diffH}h`;
+          txt = t('Em {h}h', { h: diffH });
           cls = 'chip chip--warn';
         } else {
           const hOver = Math.abs(diffH);
-          txt = `Atrasado ${hOver}h`;
+          txt = t('Atrasado {h}h', { h: hOver });
           cls = 'chip chip--danger';
         }
-        nextInjectionStatusChip.textContent = `Status: ${txt}`;
+        nextInjectionStatusChip.textContent = t('Status: {status}', { status: txt });
         nextInjectionStatusChip.className = cls;
         pulseChip(nextInjectionStatusChip);
       } else {
-        nextInjectionStatusChip.textContent = 'Status: —';
+        nextInjectionStatusChip.textContent = t('Status: {status}', { status: '—' });
         nextInjectionStatusChip.className = 'chip';
       }
     }
@@ -2237,23 +2438,27 @@
     if (nextInjectionValue) nextInjectionValue.textContent = nextText;
     if (nextInjectionSub) nextInjectionSub.textContent = nextSub;
 
+    await renderTitrationCard(n);
+    await renderInventoryCard(n);
+    await renderGoalsCard(settings, weights, n);
+
     // Peso + deltas
     const deltas = computeWeightDeltas(weights);
     if (deltas.last) {
       lastWeightValue.textContent = formatKg(deltas.last.weightKg);
-      lastWeightSub.textContent = `Em ${formatDateTimePtBr(deltas.last.dateTimeISO)} (${deltas.last.fasting ? 'jejum' : 'sem jejum'}).`;
+      lastWeightSub.textContent = t('Em {date} ({fasting}).', { date: formatDateTimePtBr(deltas.last.dateTimeISO), fasting: deltas.last.fasting ? t('jejum') : t('sem jejum') });
       // IMC atual, se altura estiver configurada
       const hCm = Number((settings?.imcHeight) ?? 0);
       if (Number.isFinite(hCm) && hCm > 0) {
         const h = hCm / 100;
         const imc = deltas.last.weightKg / (h * h);
         let cls = '';
-        if (imc < 18.5) cls = 'Abaixo do peso';
-        else if (imc < 25) cls = 'Peso normal';
-        else if (imc < 30) cls = 'Sobrepeso';
-        else cls = 'Obesidade';
+        if (imc < 18.5) cls = t('Abaixo do peso');
+        else if (imc < 25) cls = t('Peso normal');
+        else if (imc < 30) cls = t('Sobrepeso');
+        else cls = t('Obesidade');
         if (lastImcChip) {
-          lastImcChip.textContent = `IMC: ${imc.toFixed(1).replace('.', ',')} (${cls})`;
+          lastImcChip.textContent = t('IMC: {imc} ({classification})', { imc: formatDecimal(imc), classification: cls });
           // classe visual
           let vClass = 'chip';
           if (imc < 18.5) vClass = 'chip chip--warn';
@@ -2264,16 +2469,23 @@
           pulseChip(lastImcChip);
         }
       } else {
-        if (lastImcChip) { lastImcChip.textContent = 'IMC: —'; lastImcChip.className = 'chip'; }
+        if (lastImcChip) { lastImcChip.textContent = t('IMC: —'); lastImcChip.className = 'chip'; }
       }
     } else {
       lastWeightValue.textContent = '—';
-      lastWeightSub.textContent = 'Sem registros ainda.';
-      if (lastImcChip) { lastImcChip.textContent = 'IMC: —'; lastImcChip.className = 'chip'; }
+      lastWeightSub.textContent = t('Sem registros ainda.');
+      if (lastImcChip) { lastImcChip.textContent = t('IMC: —'); lastImcChip.className = 'chip'; }
+    }
+    // Diferenças só entre pesagens comparáveis (o último peso acima continua sendo o mais recente).
+    const comparable = selectComparableWeights(weights, settings);
+    const comparableDeltas = computeWeightDeltas(comparable.weights);
+    delta7.textContent = `7d: ${formatDeltaKg(comparableDeltas.d7)}`;
+    delta14.textContent = `14d: ${formatDeltaKg(comparableDeltas.d14)}`;
+    delta30.textContent = `30d: ${formatDeltaKg(comparableDeltas.d30)}`;
+    if (deltaComparisonEl) {
+      deltaComparisonEl.hidden = comparable.mode === 'all';
+      deltaComparisonEl.textContent = t('Diferenças com {subset}.', { subset: describeComparison(comparable) });
     }
-    delta7.textContent = `7d: ${formatDeltaKg(deltas.d7)}`;
-    delta14.textContent = `14d: ${formatDeltaKg(deltas.d14)}`;
-    delta30.textContent = `30d: ${formatDeltaKg(deltas.d30)}`;
 
     // Gráfico de evolução do peso no dashboard (default: range atual)
     try {
@@ -2282,9 +2494,55 @@
       // silencioso: não deve quebrar o dashboard se o canvas não estiver presente
     }
 
+    await renderTimeline();
     await renderReminderBanner();
   }
 
+  // Linha do tempo: aplicações e pesos intercalados, lidos em páginas por cursor.
+  async function renderTimeline({ append = false } = {}) {
+    if (!timelineList) return;
+    const limit = listPages.timeline.limit;
+    const [injPage, weightPage, meds] = await Promise.all([
+      getPageForProfile(STORE_INJECTIONS, { limit, step: TIMELINE_PAGE_SIZE }),
+      getPageForProfile(STORE_WEIGHTS, { limit, step: TIMELINE_PAGE_SIZE }),
+      listMedications()
+    ]);
+    const merged = mergePagesNewestFirst([
+      { kind: 'injection', field: 'dateTimeISO', ...injPage },
+      { kind: 'weight', field: 'dateTimeISO', ...weightPage }
+    ], limit);
+
+    if (merged.items.length === 0) {
+      renderEmptyState(timelineList, 'Nada registrado ainda', 'Aplicações e pesagens aparecem aqui.');
+      listPages.timeline.rendered = 0;
+      return;
+    }
+
+    const medById = new Map(meds.map((m) => [m.id, m]));
+    renderListPage(timelineList, 'timeline', merged.items, merged.more, ({ kind, record }) => {
+      const item = createEl('div', { class: 'item', role: 'listitem' });
+      const main = createEl('div', { class: 'item__main' });
+      if (kind === 'injection') {
+        const med = medById.get(resolveInjectionMedicationId(record, meds)) || null;
+        main.appendChild(createEl('div', { class: 'item__title' }, `💉 ${formatDateTimePtBr(record.dateTimeISO)} • ${formatDose(record.doseMg, med?.unit)}`));
+        main.appendChild(createEl('div', { class: 'item__meta' }, `${med ? med.name : record.medName} • ${siteLabel(record.site)}`));
+      } else {
+        main.appendChild(createEl('div', { class: 'item__title' }, `⚖️ ${formatDateTimePtBr(record.dateTimeISO)} • ${formatKg(record.weightKg)}`));
+        main.appendChild(createEl('div', { class: 'item__meta' }, record.fasting ? t('Jejum') : t('Sem jejum')));
+      }
+      item.appendChild(main);
+
+      const actions = createEl('div', { class: 'item__actions' });
+      actions.appendChild(createEl('button', {
+        class: 'btn btn--secondary',
+        type: 'button',
+        dataset: { action: kind === 'injection' ? 'editInjection' : 'editWeight', id: record.id }
+      }, t('Editar')));
+      item.appendChild(actions);
+      return item;
+    }, { append });
+  }
+
   function pulseChip(el){
     try{
       if (!el) return;
@@ -2296,10 +2554,190 @@
     }catch{}
   }
 
+  // -----------------------------
+  // Notificações do checklist (Service Worker)
+  // -----------------------------
+
+  const NOTIFY_SYNC_TAG = 'dosecheck-checklist';
+  const notifyStatusEl = document.getElementById('notifyStatus');
+  const btnEnableNotifications = document.getElementById('btnEnableNotifications');
+  const btnDisableNotifications = document.getElementById('btnDisableNotifications');
+
+  function notificationsSupported() {
+    return 'Notification' in window && 'serviceWorker' in navigator;
+  }
+
+  function notificationsEnabled() {
+    try {
+      return localStorage.getItem(NOTIFICATIONS_STORAGE_KEY) === 'on' && Notification.permission === 'granted';
+    } catch {
+      return false;
+    }
+  }
+
+  function writeNotificationsEnabled(on) {
+    try {
+      if (on) localStorage.setItem(NOTIFICATIONS_STORAGE_KEY, 'on');
+      else localStorage.removeItem(NOTIFICATIONS_STORAGE_KEY);
+    } catch {
+      // ignore
+    }
+  }
+
+  async function postToServiceWorker(message) {
+    const registration = await navigator.serviceWorker.ready;
+    registration.active?.postMessage(message);
+    return registration;
+  }
+
+  // Reenvia o plano ao SW (abertura do app e cada registro): itens feitos saem, novos entram.
+  // Com o relógio simulado o plano não vale para o mundo real: não agenda nada.
+  async function syncNotifications() {
+    if (!notificationsSupported() || !notificationsEnabled() || clock.isTraveling()) return;
+    const [cache, settings] = await Promise.all([buildChecklistCache(), getSettings()]);
+    await postToServiceWorker({ type: 'SCHEDULE_NOTIFICATIONS', plan: buildNotificationPlan(cache, settings, now()) });
+  }
+
+  // Como as notificações chegam neste navegador.
+  function describeNotificationDelivery(registration) {
+    if (typeof window.TimestampTrigger === 'function' && 'showTrigger' in Notification.prototype) return t('agendadas no horário de cada item');
+    if (registration && 'periodicSync' in registration) return t('conferidas periodicamente em segundo plano e ao abrir o app');
+    return t('mostradas ao abrir o app (este navegador não agenda notificações)');
+  }
+
+  async function renderNotificationsStatus() {
+    if (!notifyStatusEl) return;
+    if (!notificationsSupported()) {
+      notifyStatusEl.textContent = t('Este navegador não suporta notificações.');
+      if (btnEnableNotifications) btnEnableNotifications.hidden = true;
+      if (btnDisableNotifications) btnDisableNotifications.hidden = true;
+      return;
+    }
+    const on = notificationsEnabled();
+    const registration = on ? await navigator.serviceWorker.getRegistration() : null;
+    notifyStatusEl.textContent = on
+      ? t('Ativadas: {delivery}.', { delivery: describeNotificationDelivery(registration) })
+      : Notification.permission === 'denied'
+        ? t('Bloqueadas nas permissões do navegador.')
+        : t('Desativadas.');
+    if (btnEnableNotifications) btnEnableNotifications.hidden = on;
+    if (btnDisableNotifications) btnDisableNotifications.hidden = !on;
+  }
+
+  async function enableNotifications() {
+    if (!notificationsSupported()) throw new Error('Este navegador não suporta notificações.');
+    const permission = await Notification.requestPermission();
+    if (permission !== 'granted') throw new Error('Permissão de notificação negada.');
+    writeNotificationsEnabled(true);
+
+    const registration = await navigator.serviceWorker.ready;
+    try {
+      if ('periodicSync' in registration) {
+        await registration.periodicSync.register(NOTIFY_SYNC_TAG, { minInterval: 60 * 60 * 1000 });
+      }
+    } catch {
+      // Sem permissão de sync periódico (ex.: app não instalado): fica o fallback ao abrir.
+    }
+
+    await syncNotifications();
+    await renderNotificationsStatus();
+    showToast(t('Notificações ativadas: {delivery}.', { delivery: describeNotificationDelivery(registration) }));
+  }
+
+  async function disableNotifications() {
+    writeNotificationsEnabled(false);
+    if (notificationsSupported()) {
+      const registration = await postToServiceWorker({ type: 'CLEAR_NOTIFICATIONS' });
+      try {
+        await registration.periodicSync?.unregister(NOTIFY_SYNC_TAG);
+      } catch {
+        // ignore
+      }
+    }
+    await renderNotificationsStatus();
+    showToast('Notificações desativadas.');
+  }
+
+  // -----------------------------
+  // Depuração: viagem no tempo
+  // -----------------------------
+
+  const bannerTimeTravel = document.getElementById('bannerTimeTravel');
+  const bannerTimeTravelText = document.getElementById('bannerTimeTravelText');
+  const cardTimeTravel = document.getElementById('cardTimeTravel');
+  const timeTravelAtEl = document.getElementById('timeTravelAt');
+
+  function readStoredTimeTravel() {
+    try {
+      return localStorage.getItem(TIME_TRAVEL_STORAGE_KEY) || null;
+    } catch {
+      return null;
+    }
+  }
+
+  function writeStoredTimeTravel(iso) {
+    try {
+      if (iso) localStorage.setItem(TIME_TRAVEL_STORAGE_KEY, iso);
+      else localStorage.removeItem(TIME_TRAVEL_STORAGE_KEY);
+    } catch {
+      // ignore
+    }
+  }
+
+  function applyStoredTimeTravel() {
+    const iso = readStoredTimeTravel();
+    if (!iso) return;
+    // Valor corrompido não deve deixar o app preso no passado.
+    if (!clock.travelTo(iso)) writeStoredTimeTravel(null);
+  }
+
+  function isDebugRequestedInHash() {
+    const h = String(location.hash || '');
+    const qIndex = h.indexOf('?');
+    if (qIndex < 0) return false;
+    return new URLSearchParams(h.slice(qIndex + 1)).get('debug') === '1';
+  }
+
+  function renderTimeTravel() {
+    const traveling = clock.isTraveling();
+
+    if (bannerTimeTravel) {
+      bannerTimeTravel.hidden = !traveling;
+      if (traveling && bannerTimeTravelText) {
+        bannerTimeTravelText.textContent = t('Viagem no tempo: exibindo o app como em {date}.', { date: formatDateTimePtBr(now().toISOString()) });
+      }
+    }
+
+    if (cardTimeTravel) cardTimeTravel.hidden = !(traveling || isDebugRequestedInHash());
+    if (timeTravelAtEl && !timeTravelAtEl.matches(':focus')) {
+      timeTravelAtEl.value = traveling ? toLocalDateTimeInputValue(now()) : '';
+    }
+  }
+
+  async function setTimeTravel(iso) {
+    if (iso) {
+      if (!clock.travelTo(iso)) return false;
+    } else {
+      clock.backToPresent();
+    }
+    writeStoredTimeTravel(iso);
+    await refreshAll();
+    return true;
+  }
+
   // -----------------------------
   // Render: Configurações (V3)
   // -----------------------------
 
+  const BACKUP_REASON_LABELS = {
+    update: 'Atualização',
+    manual: 'Manual',
+    'pre-migration': 'Antes de atualizar o banco',
+    'pre-restore': 'Antes de restaurar',
+    'pre-import': 'Antes de importar planilha',
+    'pre-sync': 'Antes de sincronizar'
+  };
+
   async function renderBackupInfo() {
     if (appVersionEl) appVersionEl.textContent = APP_VERSION;
     
@@ -2308,16 +2746,16 @@
       if (lastBackup) {
         const date = formatDateTimePtBr(lastBackup.timestamp);
         lastBackupInfoEl.innerHTML = `
-          <div><strong>Último backup:</strong> ${date}</div>
-          <div><strong>Versão:</strong> ${lastBackup.appVersion}</div>
-          <div><strong>Motivo:</strong> ${lastBackup.reason === 'update' ? 'Atualização' : lastBackup.reason === 'manual' ? 'Manual' : lastBackup.reason}</div>
+          <div><strong>${t('Último backup:')}</strong> ${date}</div>
+          <div><strong>${t('Versão:')}</strong> ${lastBackup.appVersion}</div>
+          <div><strong>${t('Motivo:')}</strong> ${BACKUP_REASON_LABELS[lastBackup.reason] ? t(BACKUP_REASON_LABELS[lastBackup.reason]) : lastBackup.reason}</div>
         `;
         if (btnRestoreLastBackup) {
           btnRestoreLastBackup.hidden = false;
-          btnRestoreLastBackup.onclick = () => restoreAutoBackup(lastBackup.id);
+          btnRestoreLastBackup.onclick = () => restoreAutoBackup(lastBackup.id).catch((err) => showToast(String(err?.message || err || 'Erro ao restaurar.')));
         }
       } else {
-        lastBackupInfoEl.innerHTML = '<div class="muted">Nenhum backup automático encontrado.</div>';
+        lastBackupInfoEl.innerHTML = `<div class="muted">${t('Nenhum backup automático encontrado.')}</div>`;
         if (btnRestoreLastBackup) btnRestoreLastBackup.hidden = true;
       }
     }
@@ -2331,12 +2769,31 @@
     if (settingsPatientBirthDateEl) settingsPatientBirthDateEl.value = String(s.patientBirthDate || '');
     if (settingsPatientBirthYearEl) settingsPatientBirthYearEl.value = String(s.patientBirthYear || '');
     if (settingsPreferredReportRangeEl) settingsPreferredReportRangeEl.value = String(s.preferredReportRangeDays || DEFAULTS.preferredReportRangeDays);
+    if (settingsLocaleEl) {
+      if (!settingsLocaleEl.options.length) {
+        for (const locale of LOCALES) settingsLocaleEl.appendChild(createEl('option', { value: locale }, LOCALE_LABELS[locale]));
+      }
+      settingsLocaleEl.value = s.locale;
+    }
+    // Rótulos traduzidos: as opções são refeitas a cada abertura.
+    if (settingsWeightUnitEl) {
+      settingsWeightUnitEl.replaceChildren(...WEIGHT_UNITS.map((u) => createEl('option', { value: u }, t(WEIGHT_UNIT_LABELS[u]))));
+      settingsWeightUnitEl.value = s.weightUnit;
+    }
+    if (settingsLengthUnitEl) {
+      settingsLengthUnitEl.replaceChildren(...LENGTH_UNITS.map((u) => createEl('option', { value: u }, t(LENGTH_UNIT_LABELS[u]))));
+      settingsLengthUnitEl.value = s.lengthUnit;
+    }
+    if (settingsWeightComparisonEl) {
+      settingsWeightComparisonEl.replaceChildren(...WEIGHT_COMPARISONS.map((m) => createEl('option', { value: m }, t(WEIGHT_COMPARISON_LABELS[m]))));
+      settingsWeightComparisonEl.value = s.weightComparison;
+    }
 
     if (settingsMedRefUrlEl) settingsMedRefUrlEl.value = String(s.medRefUrl || '');
     if (settingsMedOfficialTextEl) settingsMedOfficialTextEl.value = String(s.medOfficialText || '');
 
-    if (settingsInjectionDowEl) settingsInjectionDowEl.value = String(s.injectionDayOfWeek ?? DEFAULTS.injectionDayOfWeek);
-    if (settingsInjectionTimeEl) settingsInjectionTimeEl.value = String(s.injectionTime || DEFAULTS.injectionTime);
+    await renderMedicationsList();
+    await renderInventoryList();
 
     if (weighDow1El) weighDow1El.checked = Array.isArray(s.weighDaysOfWeek) ? s.weighDaysOfWeek.includes(1) : true;
     if (weighDow3El) weighDow3El.checked = Array.isArray(s.weighDaysOfWeek) ? s.weighDaysOfWeek.includes(3) : true;
@@ -2346,6 +2803,97 @@
     if (settingsEnableArmSitesEl) settingsEnableArmSitesEl.value = String(Boolean(s.enableArmSites));
   }
 
+  async function renderMedicationsList() {
+    if (!settingsMedicationsListEl) return;
+    const meds = await listMedications();
+    clearChildren(settingsMedicationsListEl);
+
+    for (const med of meds) {
+      const row = createEl('div', { class: 'item', role: 'listitem' });
+      const main = createEl('div', { class: 'item__main' });
+      const title = createEl('div', { class: 'item__title' });
+      title.appendChild(createEl('span', { class: 'medDot', style: `background:${med.color}`, 'aria-hidden': 'true' }));
+      title.appendChild(document.createTextNode(medicationLabel(med)));
+      main.appendChild(title);
+
+      const schedule = med.active !== false ? formatInjectionScheduleLabel(resolveInjectionSchedule(med.schedule)) : t('inativo');
+      main.appendChild(createEl('div', { class: 'item__meta' }, `${medicationRouteLabel(med)} • ${med.unit} • ${schedule}`));
+      if (med.titration) {
+        main.appendChild(createEl('div', { class: 'item__meta' }, t('Titulação: {plan}', { plan: formatTitrationPlan(med.titration, med.unit) })));
+      }
+
+      const actions = createEl('div', { class: 'item__actions' });
+      actions.appendChild(createEl('button', {
+        class: 'btn btn--secondary',
+        type: 'button',
+        dataset: { action: 'editMedication', id: med.id }
+      }, t('Editar')));
+
+      row.appendChild(main);
+      row.appendChild(actions);
+      settingsMedicationsListEl.appendChild(row);
+    }
+  }
+
+  const INVENTORY_STATE_LABELS = {
+    sealed: 'lacrado',
+    open: 'aberto',
+    empty: 'vazio',
+    expired: 'vencido',
+    discard: 'descartar',
+    discarded: 'descartado'
+  };
+
+  async function renderInventoryList() {
+    if (!settingsInventoryListEl) return;
+    const [items, meds, injections] = await Promise.all([listInventory(), listMedications(), getAllForProfile(STORE_INJECTIONS)]);
+    const used = inventoryUsage(injections);
+    const todayKey = getLocalDateKey(now());
+    clearChildren(settingsInventoryListEl);
+
+    if (!items.length) {
+      renderEmptyState(settingsInventoryListEl, 'Nenhuma caneta/frasco cadastrado', 'Cadastre o estoque para acompanhar doses restantes, validade e refil.');
+      return;
+    }
+
+    for (const item of items) {
+      const med = meds.find((m) => m.id === item.medicationId) || null;
+      const st = inventoryItemState(item, used.get(item.id), todayKey);
+      const row = createEl('div', { class: 'item', role: 'listitem' });
+      const main = createEl('div', { class: 'item__main' });
+      const title = createEl('div', { class: 'item__title' });
+      if (med) title.appendChild(createEl('span', { class: 'medDot', style: `background:${med.color}`, 'aria-hidden': 'true' }));
+      title.appendChild(document.createTextNode(`${inventoryItemLabel(item)} • ${med ? med.name : '—'}`));
+      main.appendChild(title);
+
+      const meta = [
+        t('Restam {remaining} de {total}', { remaining: formatDose(st.remaining, med?.unit), total: formatDose(item.totalAmount, med?.unit) }),
+        t(INVENTORY_STATE_LABELS[st.state])
+      ];
+      if (item.expiryDate) meta.push(t('validade {date}', { date: formatDateKeyShortPtBr(item.expiryDate) }));
+      if (item.openedDate) meta.push(t('aberto em {date}', { date: formatDateKeyShortPtBr(item.openedDate) }));
+      if (st.discardKey) meta.push(t('descartar a partir de {date}', { date: formatDateKeyShortPtBr(st.discardKey) }));
+      main.appendChild(createEl('div', { class: 'item__meta' }, meta.join(' • ')));
+
+      const actions = createEl('div', { class: 'item__actions' });
+      actions.appendChild(createEl('button', {
+        class: 'btn btn--secondary',
+        type: 'button',
+        dataset: { action: 'editInventoryItem', id: item.id }
+      }, t('Editar')));
+
+      row.appendChild(main);
+      row.appendChild(actions);
+      settingsInventoryListEl.appendChild(row);
+    }
+  }
+
+  function applyInjectionModeVisibility(mode) {
+    const interval = mode === SCHEDULE_INTERVAL;
+    if (medWeekdaysFieldEl) medWeekdaysFieldEl.hidden = interval;
+    if (medIntervalFieldEl) medIntervalFieldEl.hidden = !interval;
+  }
+
   function readSettingsFromSettingsView() {
     const weigh = [];
     if (weighDow1El?.checked) weigh.push(1);
@@ -2365,8 +2913,6 @@
       medRefUrl: settingsMedRefUrlEl?.value || '',
       medOfficialText: settingsMedOfficialTextEl?.value || '',
 
-      injectionDayOfWeek: settingsInjectionDowEl?.value ? Number(settingsInjectionDowEl.value) : undefined,
-      injectionTime: settingsInjectionTimeEl?.value || undefined,
       weighDaysOfWeek: weigh,
       measureReminderEveryDays: settingsMeasureEveryEl?.value ? Number(settingsMeasureEveryEl.value) : undefined,
       enableArmSites: settingsEnableArmSitesEl?.value === 'true'
@@ -2377,432 +2923,10 @@
   // Relatório Médico (V3) - preview + print
   // -----------------------------
 
-  function escapeHtml(s) {
-    return String(s ?? '')
-      .replace(/&/g, '&amp;')
-      .replace(/</g, '&lt;')
-      .replace(/>/g, '&gt;')
-      .replace(/\"/g, '&quot;')
-      .replace(/'/g, '&#39;');
-  }
-
-  function buildSummaryForDays(days, data) {
-    const cutoff = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
-    const injections = data.injections.filter((i) => new Date(i.dateTimeISO) >= cutoff).sort(sortByDateTimeDesc);
-    const weights = data.weights.filter((w) => new Date(w.dateTimeISO) >= cutoff).sort(sortByDateTimeDesc);
-    const measures = data.measures.filter((m) => new Date(`${m.dateISO}T00:00:00`) >= cutoff).sort(sortByDateDesc);
-    return {
-      days,
-      injections,
-      weights,
-      measures,
-      injReg: computeInjectionRegularity(injections),
-      wtTrend: computeWeightTrend(weights),
-      msDelta: computeMeasuresDelta(measures),
-      sym: computeCommonSymptoms(injections)
-    };
-  }
-
-  function uniqueDateKeysFromDateTimeISO(items) {
-    const keys = new Set();
-    for (const it of items) {
-      const d = new Date(it.dateTimeISO);
-      keys.add(getLocalDateKey(d));
-    }
-    return keys;
-  }
-
-  function computeScheduleAdherenceForRange(rangeDays, settings, data) {
-    const s = settings || DEFAULTS;
-    const end = startOfDay(now());
-    const start = addDays(end, -(Math.max(1, rangeDays) - 1));
-    const weighDows = new Set(s.weighDaysOfWeek || DEFAULTS.weighDaysOfWeek);
-    const injDow = clampNumber(s.injectionDayOfWeek ?? DEFAULTS.injectionDayOfWeek, 0, 6);
-
-    const weightKeys = uniqueDateKeysFromDateTimeISO(data.weights);
-    const injKeys = uniqueDateKeysFromDateTimeISO(data.injections);
-
-    let expectedWeights = 0;
-    let doneWeights = 0;
-    let expectedInj = 0;
-    let doneInj = 0;
-
-    for (let i = 0; i < rangeDays; i++) {
-      const d = addDays(start, i);
-      const key = getLocalDateKey(d);
-      if (weighDows.has(d.getDay())) {
-        expectedWeights += 1;
-        if (weightKeys.has(key)) doneWeights += 1;
-      }
-      if (d.getDay() === injDow) {
-        expectedInj += 1;
-        if (injKeys.has(key)) doneInj += 1;
-      }
-    }
-
-    // Mesmo critério do dashboard: pesagem=1 ponto, aplicação=2 pontos.
-    const expectedPoints = expectedWeights + (expectedInj * 2);
-    const donePoints = doneWeights + (doneInj * 2);
-    const pct = expectedPoints ? Math.round((donePoints / expectedPoints) * 100) : 0;
-
-    return { expectedWeights, doneWeights, expectedInj, doneInj, expectedPoints, donePoints, pct };
-  }
-
-  function computeDoseHistory(injectionsAsc) {
-    const items = [];
-    if (!injectionsAsc.length) return items;
-    let lastDose = null;
-    for (const inj of injectionsAsc) {
-      const dose = Number(inj.doseMg);
-      if (!Number.isFinite(dose)) continue;
-      if (lastDose === null) {
-        lastDose = dose;
-        items.push({ dateTimeISO: inj.dateTimeISO, doseMg: dose });
-        continue;
-      }
-      if (Math.abs(dose - lastDose) >= 0.0001) {
-        lastDose = dose;
-        items.push({ dateTimeISO: inj.dateTimeISO, doseMg: dose });
-      }
-    }
-    // Se não houve mudança, mostramos só a última como “dose atual registrada”.
-    if (items.length === 1) {
-      const last = injectionsAsc[injectionsAsc.length - 1];
-      const dose = Number(last.doseMg);
-      if (Number.isFinite(dose)) return [{ dateTimeISO: last.dateTimeISO, doseMg: dose }];
-    }
-    return items;
-  }
-
-  function computeSymptomsAggregated(injections) {
-    const keys = Object.keys(SYMPTOMS_LABELS);
-    if (!injections.length) {
-      return { means: {}, peaks: {} };
-    }
-    const sums = {};
-    const peaks = {};
-    for (const k of keys) {
-      sums[k] = 0;
-      peaks[k] = 0;
-    }
-    for (const inj of injections) {
-      for (const k of keys) {
-        const v = clampNumber(inj.symptoms?.[k] ?? 0, 0, 10);
-        sums[k] += v;
-        if (v > peaks[k]) peaks[k] = v;
-      }
-    }
-    const means = {};
-    for (const k of keys) {
-      means[k] = injections.length ? Math.round((sums[k] / injections.length) * 10) / 10 : 0;
-    }
-    return { means, peaks };
-  }
-
-  function formatSymptomCompact(sym) {
-    if (!sym) return '—';
-    const parts = [];
-    for (const k of Object.keys(SYMPTOMS_LABELS)) {
-      const v = clampNumber(sym[k] ?? 0, 0, 10);
-      parts.push(`${SYMPTOMS_LABELS[k]} ${v}`);
-    }
-    return parts.join(' • ');
-  }
-
-  function collectPatientNotes(rangeDays, data, maxItems = 10) {
-    const cutoff = new Date(Date.now() - rangeDays * 24 * 60 * 60 * 1000);
-    const notes = [];
-
-    for (const w of data.weights) {
-      if (!w?.notes) continue;
-      if (new Date(w.dateTimeISO) < cutoff) continue;
-      notes.push({
-        dateTimeISO: w.dateTimeISO,
-        kind: 'Peso',
-        text: String(w.notes)
-      });
-    }
-    for (const i of data.injections) {
-      if (!i?.notes) continue;
-      if (new Date(i.dateTimeISO) < cutoff) continue;
-      notes.push({
-        dateTimeISO: i.dateTimeISO,
-        kind: 'Aplicação',
-        text: String(i.notes)
-      });
-    }
-    for (const m of data.measures) {
-      if (!m?.notes) continue;
-      const dt = new Date(`${m.dateISO}T00:00:00`);
-      if (dt < cutoff) continue;
-      notes.push({
-        dateTimeISO: dt.toISOString(),
-        kind: 'Medidas',
-        text: String(m.notes)
-      });
-    }
-
-    notes.sort(sortByDateTimeDesc);
-    return notes.slice(0, maxItems);
-  }
-
-  function buildClinicalReportInnerHtml({ rangeDays, patientName, patientBirthLabel, patientAgeYears, data, settings = null }) {
-    const s = buildSummaryForDays(rangeDays, data);
-    const generatedAt = new Date().toLocaleString('pt-BR', { dateStyle: 'short', timeStyle: 'short' });
-
-    const lastInj = s.injections[0] || null;
-    const lastW = s.weights[0] || null;
-    const lastM = s.measures[0] || null;
-
-    const settingsResolved = settings || DEFAULTS;
-    const injDow = clampNumber(settingsResolved.injectionDayOfWeek ?? DEFAULTS.injectionDayOfWeek, 0, 6);
-    const injTime = settingsResolved.injectionTime || DEFAULTS.injectionTime;
-
-    const injRate = s.injReg.onTimeRate === null ? '—' : `${Math.round(s.injReg.onTimeRate * 100)}%`;
-    const wtDelta = Number.isFinite(s.wtTrend.deltaKg) ? `${s.wtTrend.deltaKg >= 0 ? '+' : ''}${s.wtTrend.deltaKg.toFixed(1).replace('.', ',')} kg` : '—';
-    const perWeek = Number.isFinite(s.wtTrend.perWeekKg) ? `${s.wtTrend.perWeekKg >= 0 ? '+' : ''}${s.wtTrend.perWeekKg.toFixed(2).replace('.', ',')} kg/sem` : '—';
-
-    const deltaLines = [];
-    for (const [k, v] of Object.entries(s.msDelta.deltas || {})) {
-      deltaLines.push(`${k}: ${v >= 0 ? '+' : ''}${v.toFixed(1).replace('.', ',')} cm`);
-    }
-
-    const symAgg = computeSymptomsAggregated(s.injections);
-    const notes = collectPatientNotes(rangeDays, data, 10);
-
-    const weightsAsc = [...s.weights].sort((a, b) => new Date(a.dateTimeISO) - new Date(b.dateTimeISO));
-    const injectionsAsc = [...s.injections].sort((a, b) => new Date(a.dateTimeISO) - new Date(b.dateTimeISO));
-    const doseHistory = computeDoseHistory(injectionsAsc);
-    const lastDose = injectionsAsc.length ? injectionsAsc[injectionsAsc.length - 1].doseMg : null;
-
-    const adherence = computeScheduleAdherenceForRange(rangeDays, settingsResolved, { weights: s.weights, injections: s.injections });
-
-    const wStart = s.wtTrend.start?.weightKg ?? null;
-    const wEnd = s.wtTrend.end?.weightKg ?? null;
-    const wStartText = wStart === null ? '—' : `${wStart.toFixed(1).replace('.', ',')} kg`;
-    const wEndText = wEnd === null ? '—' : `${wEnd.toFixed(1).replace('.', ',')} kg`;
-
-    const doseText = Number.isFinite(Number(lastDose)) ? formatDoseMg(lastDose) : '—';
-    const doseHistoryText = doseHistory.length
-      ? doseHistory.map((x) => `${formatDateTimePtBr(x.dateTimeISO)} → ${formatDoseMg(x.doseMg)}`).join('<br/>')
-      : '—';
-
-    const measuresAsc = [...s.measures].sort((a, b) => a.dateISO.localeCompare(b.dateISO));
-    const mStart = measuresAsc[0] || null;
-    const mEnd = measuresAsc[measuresAsc.length - 1] || null;
-
-    const measuresDeltaText = deltaLines.length ? escapeHtml(deltaLines.join(' • ')) : '—';
-
-    const weightsRows = weightsAsc.map((w) => `
-      <tr>
-        <td>${escapeHtml(formatDateTimePtBr(w.dateTimeISO).split(' ')[0])}</td>
-        <td>${escapeHtml(formatDateTimePtBr(w.dateTimeISO).split(' ')[1] || '')}</td>
-        <td class="cr-num">${escapeHtml(String(Number(w.weightKg).toFixed(1).replace('.', ',')))}</td>
-        <td>${w.fasting ? 'Sim' : 'Não'}</td>
-        <td>${escapeHtml(w.notes || '')}</td>
-      </tr>
-    `.trim()).join('');
-
-    const injectionsRows = injectionsAsc.map((i) => `
-      <tr>
-        <td>${escapeHtml(formatDateTimePtBr(i.dateTimeISO).split(' ')[0])}</td>
-        <td>${escapeHtml(formatDateTimePtBr(i.dateTimeISO).split(' ')[1] || '')}</td>
-        <td class="cr-num">${escapeHtml(String(Number(i.doseMg).toFixed(1).replace('.', ',')))}</td>
-        <td>${escapeHtml(siteLabel(i.site))}</td>
-        <td>${escapeHtml(formatSymptomCompact(i.symptoms))}</td>
-        <td>${escapeHtml(i.notes || '')}</td>
-      </tr>
-    `.trim()).join('');
-
-    const measuresRows = measuresAsc.map((m) => `
-      <tr>
-        <td>${escapeHtml(formatDatePtBr(m.dateISO))}</td>
-        <td class="cr-num">${m.waistCm ?? ''}</td>
-        <td class="cr-num">${m.hipCm ?? ''}</td>
-        <td class="cr-num">${m.armLCm ?? ''}</td>
-        <td class="cr-num">${m.armRCm ?? ''}</td>
-        <td class="cr-num">${m.thighCm ?? ''}</td>
-        <td class="cr-num">${m.calfCm ?? ''}</td>
-        <td class="cr-num">${m.chestCm ?? ''}</td>
-        <td class="cr-num">${m.neckCm ?? ''}</td>
-        <td>${escapeHtml(m.notes || '')}</td>
-      </tr>
-    `.trim()).join('');
-
-    const symRows = Object.keys(SYMPTOMS_LABELS).map((k) => {
-      const mean = symAgg.means?.[k];
-      const peak = symAgg.peaks?.[k];
-      return `
-        <tr>
-          <td>${escapeHtml(SYMPTOMS_LABELS[k])}</td>
-          <td class="cr-num">${Number.isFinite(mean) ? mean.toFixed(1).replace('.', ',') : '—'}</td>
-          <td class="cr-num">${Number.isFinite(peak) ? String(peak) : '—'}</td>
-        </tr>
-      `.trim();
-    }).join('');
-
-    const notesHtml = notes.length
-      ? `<ul class="cr-notes">${notes.map((n) => `<li><strong>${escapeHtml(n.kind)}:</strong> ${escapeHtml(formatDateTimePtBr(n.dateTimeISO))} — ${escapeHtml(n.text)}</li>`).join('')}</ul>`
-      : '<div class="cr-muted">—</div>';
-
-    return `
-      <div class="clinical-report">
-        <header class="cr-header">
-          <div>
-            <div class="cr-title">Relatório de Monitoramento — Retatrutida</div>
-            <div class="cr-sub">Gerado em ${escapeHtml(generatedAt)} • Período selecionado: ${rangeDays} dias</div>
-          </div>
-          <div class="cr-patient">
-            <div><strong>Paciente:</strong> ${escapeHtml(patientName || '—')}</div>
-            <div class="cr-muted">
-              ${patientBirthLabel ? `Nasc.: ${escapeHtml(patientBirthLabel)}` : '—'}
-              ${Number.isFinite(patientAgeYears) ? ` • Idade: ${escapeHtml(String(patientAgeYears))} anos` : ''}
-            </div>
-          </div>
-        </header>
-
-        <section class="cr-section">
-          <div class="cr-section-title">Regime (informativo)</div>
-          <div class="cr-kv">
-            <div><span class="cr-k">Medicação:</span> <span class="cr-v">Retatrutida</span></div>
-            <div><span class="cr-k">Esquema:</span> <span class="cr-v">semanal (${escapeHtml(formatDowPtBr(injDow))} ${escapeHtml(injTime)})</span></div>
-            <div><span class="cr-k">Dose registrada (última):</span> <span class="cr-v">${escapeHtml(doseText)}</span></div>
-          </div>
-          <div class="cr-muted" style="margin-top:6px;">Histórico de dose (mudanças no período):<br/>${doseHistoryText}</div>
-        </section>
-
-        <section class="cr-section">
-          <div class="cr-section-title">Resumo executivo</div>
-          <div class="cr-grid">
-            <div class="cr-box">
-              <div class="cr-box-title">Peso e IMC</div>
-              <div><span class="cr-k">Início → fim:</span> <span class="cr-v">${escapeHtml(wStartText)} → ${escapeHtml(wEndText)}</span></div>
-              <div><span class="cr-k">Variação:</span> <span class="cr-v">${escapeHtml(wtDelta)}</span></div>
-              <div><span class="cr-k">Média semanal:</span> <span class="cr-v">${escapeHtml(perWeek)}</span></div>
-              ${(() => {
-                const imcHeight = settingsResolved?.imcHeight;
-                if (wEnd !== null && imcHeight && imcHeight > 0) {
-                  const heightM = imcHeight / 100;
-                  const imc = wEnd / (heightM * heightM);
-                  let classification = '';
-                  if (imc < 18.5) classification = 'Abaixo do peso';
-                  else if (imc < 25) classification = 'Peso normal';
-                  else if (imc < 30) classification = 'Sobrepeso';
-                  else classification = 'Obesidade';
-                  return `<div><span class="cr-k">IMC atual:</span> <span class="cr-v">${imc.toFixed(1).replace('.', ',')} (${escapeHtml(classification)})</span></div>`;
-                }
-                return '';
-              })()}
-            </div>
-            <div class="cr-box">
-              <div class="cr-box-title">Consistência (agenda)</div>
-              <div><span class="cr-k">Consistência:</span> <span class="cr-v">${adherence.pct}%</span></div>
-              <div><span class="cr-k">Pesagens:</span> <span class="cr-v">${adherence.doneWeights}/${adherence.expectedWeights}</span></div>
-              <div><span class="cr-k">Aplicações:</span> <span class="cr-v">${adherence.doneInj}/${adherence.expectedInj}</span></div>
-            </div>
-            <div class="cr-box">
-              <div class="cr-box-title">Aplicações</div>
-              <div><span class="cr-k">Registros:</span> <span class="cr-v">${s.injections.length}</span></div>
-              <div><span class="cr-k">Regularidade (6–8 dias):</span> <span class="cr-v">${escapeHtml(injRate)}</span></div>
-              <div class="cr-muted">Última: ${lastInj ? `${escapeHtml(formatDateTimePtBr(lastInj.dateTimeISO))} • ${escapeHtml(formatDoseMg(lastInj.doseMg))} • ${escapeHtml(siteLabel(lastInj.site))}` : '—'}</div>
-            </div>
-            <div class="cr-box">
-              <div class="cr-box-title">Medidas</div>
-              <div><span class="cr-k">Registros:</span> <span class="cr-v">${s.measures.length}</span></div>
-              <div><span class="cr-k">Delta período:</span> <span class="cr-v">${measuresDeltaText}</span></div>
-              <div class="cr-muted">Último: ${lastM ? escapeHtml(formatDatePtBr(lastM.dateISO)) : '—'}</div>
-            </div>
-          </div>
-        </section>
-
-        <section class="cr-section">
-          <div class="cr-section-title">Tabela de Pesos</div>
-          <table class="cr-table">
-            <thead>
-              <tr>
-                <th>Data</th>
-                <th>Hora</th>
-                <th class="cr-num">Peso (kg)</th>
-                <th>Jejum</th>
-                <th>Observações</th>
-              </tr>
-            </thead>
-            <tbody>
-              ${weightsRows || `<tr><td colspan="5" class="cr-muted">Sem pesos no período.</td></tr>`}
-            </tbody>
-          </table>
-        </section>
-
-        <section class="cr-section">
-          <div class="cr-section-title">Tabela de Aplicações</div>
-          <table class="cr-table">
-            <thead>
-              <tr>
-                <th>Data</th>
-                <th>Hora</th>
-                <th class="cr-num">Dose (mg)</th>
-                <th>Local</th>
-                <th>Sintomas (0–10)</th>
-                <th>Observações</th>
-              </tr>
-            </thead>
-            <tbody>
-              ${injectionsRows || `<tr><td colspan="6" class="cr-muted">Sem aplicações no período.</td></tr>`}
-            </tbody>
-          </table>
-        </section>
-
-        <section class="cr-section">
-          <div class="cr-section-title">Medidas</div>
-          <div class="cr-muted">Variação do período (início → fim): ${measuresDeltaText}</div>
-          <table class="cr-table" style="margin-top:8px;">
-            <thead>
-              <tr>
-                <th>Data</th>
-                <th class="cr-num">Cintura</th>
-                <th class="cr-num">Quadril</th>
-                <th class="cr-num">Braço E</th>
-                <th class="cr-num">Braço D</th>
-                <th class="cr-num">Coxa</th>
-                <th class="cr-num">Panturrilha</th>
-                <th class="cr-num">Peito</th>
-                <th class="cr-num">Pescoço</th>
-                <th>Notas</th>
-              </tr>
-            </thead>
-            <tbody>
-              ${measuresRows || `<tr><td colspan="10" class="cr-muted">Sem medidas no período.</td></tr>`}
-            </tbody>
-          </table>
-        </section>
-
-        <section class="cr-section">
-          <div class="cr-section-title">Sintomas agregados (0–10)</div>
-          <table class="cr-table cr-table--small">
-            <thead>
-              <tr>
-                <th>Sintoma</th>
-                <th class="cr-num">Média</th>
-                <th class="cr-num">Pico</th>
-              </tr>
-            </thead>
-            <tbody>
-              ${symRows}
-            </tbody>
-          </table>
-        </section>
-
-        <section class="cr-section">
-          <div class="cr-section-title">Notas do paciente (últimos registros)</div>
-          ${notesHtml}
-        </section>
-
-        <footer class="cr-footer">
-          <div>Dados auto-relatados pelo paciente via aplicativo (offline-first).</div>
-          <div>Este relatório não substitui avaliação médica.</div>
-        </footer>
-      </div>
-    `.trim();
+  // Marca de "editado" nas tabelas do relatório (opcional).
+  async function readEditedRecordsForReport() {
+    if (!reportFlagEditsEl?.checked) return null;
+    return editedRecordKeys(await getAllForProfile(STORE_HISTORY));
   }
 
   async function renderReportPreview() {
@@ -2810,14 +2934,15 @@
     const settings = await getSettings();
     const rangeDays = reportRangeEl?.value ? Number(reportRangeEl.value) : (settings.preferredReportRangeDays || DEFAULTS.preferredReportRangeDays);
     const patientName = reportPatientNameEl?.value || settings.patientName || '';
-    const birth = resolvePatientBirthInfo(settings);
+    const birth = resolvePatientBirthInfo(settings, now());
     const patientBirthLabel = birth.label || '';
     const patientAgeYears = birth.ageYears;
 
-    const [injections, weights, measures] = await Promise.all([
-      getAll(STORE_INJECTIONS),
-      getAll(STORE_WEIGHTS),
-      getAll(STORE_MEASURES)
+    const [injections, weights, measures, medications] = await Promise.all([
+      getAllForProfile(STORE_INJECTIONS),
+      getAllForProfile(STORE_WEIGHTS),
+      getAllForProfile(STORE_MEASURES),
+      listMedications()
     ]);
 
     reportPreviewEl.innerHTML = buildClinicalReportInnerHtml({
@@ -2825,75 +2950,26 @@
       patientName,
       patientBirthLabel,
       patientAgeYears,
-      data: { injections, weights, measures },
-      settings
+      data: { injections, weights, measures, medications },
+      settings,
+      editedRecords: await readEditedRecordsForReport(),
+      nowDate: now()
     });
   }
 
-  function wrapClinicalReportHtml(innerHtml) {
-    return `<!doctype html>
-<html lang="pt-BR">
-<head>
-  <meta charset="utf-8" />
-  <meta name="viewport" content="width=device-width, initial-scale=1" />
-  <title>Relatório DoseCheck</title>
-  <style>
-    :root { color-scheme: light; }
-    body { font-family: system-ui, -apple-system, Segoe UI, Roboto, Arial; margin: 24px; color: #111; }
-    .note { background: #f5f7fb; border: 1px solid rgba(0,0,0,.10); border-radius: 10px; padding: 10px 12px; margin-bottom: 14px; }
-
-    .clinical-report{ max-width: 960px; margin: 0 auto; }
-    .cr-header{ display:flex; justify-content: space-between; gap: 16px; padding-bottom: 10px; border-bottom: 2px solid rgba(0,0,0,.10); }
-    .cr-title{ font-size: 18px; font-weight: 900; letter-spacing: -0.01em; }
-    .cr-sub{ font-size: 12px; color: #334155; margin-top: 4px; }
-    .cr-patient{ text-align: right; font-size: 12px; color:#0f172a; }
-    .cr-muted{ color: #475569; font-size: 12px; }
-    .cr-section{ margin-top: 14px; }
-    .cr-section-title{ font-size: 13px; font-weight: 900; text-transform: uppercase; letter-spacing: .03em; color:#0f172a; margin-bottom: 8px; }
-    .cr-kv{ display:grid; grid-template-columns: 1fr; gap: 4px; font-size: 12px; }
-    .cr-k{ color:#475569; font-weight: 800; }
-    .cr-v{ color:#0f172a; font-weight: 700; }
-    .cr-grid{ display:grid; grid-template-columns: 1fr 1fr; gap: 10px; }
-    .cr-box{ border: 1px solid rgba(0,0,0,.12); border-radius: 10px; padding: 10px; }
-    .cr-box-title{ font-weight: 900; font-size: 13px; margin-bottom: 6px; }
-    .cr-table{ width: 100%; border-collapse: collapse; font-size: 12px; }
-    .cr-table th, .cr-table td{ border: 1px solid rgba(0,0,0,.12); padding: 6px 8px; vertical-align: top; }
-    .cr-table th{ background: #f8fafc; text-align: left; }
-    .cr-table--small td, .cr-table--small th{ padding: 6px 8px; }
-    .cr-num{ text-align: right; white-space: nowrap; }
-    .cr-notes{ margin: 6px 0 0 18px; padding: 0; font-size: 12px; }
-    .cr-notes li{ margin: 4px 0; }
-    .cr-footer{ margin-top: 18px; padding-top: 10px; border-top: 1px solid rgba(0,0,0,.12); font-size: 11px; color:#475569; }
-
-    @media print {
-      @page { size: A4; margin: 14mm; }
-      .note { display:none; }
-      body { margin: 0; }
-      .cr-box, .cr-table, .cr-notes { break-inside: avoid; }
-      tr { break-inside: avoid; }
-    }
-  </style>
-</head>
-<body>
-  <div class="note">Use o menu do navegador/impressão e escolha <strong>Salvar como PDF</strong>.</div>
-  ${innerHtml}
-  <script>setTimeout(() => { try { window.focus(); window.print(); } catch {} }, 250);<\/script>
-</body>
-</html>`;
-  }
-
   async function buildReportHtmlDocument() {
     const settings = await getSettings();
     const rangeDays = reportRangeEl?.value ? Number(reportRangeEl.value) : (settings.preferredReportRangeDays || DEFAULTS.preferredReportRangeDays);
     const patientName = reportPatientNameEl?.value || settings.patientName || '';
-    const birth = resolvePatientBirthInfo(settings);
+    const birth = resolvePatientBirthInfo(settings, now());
     const patientBirthLabel = birth.label || '';
     const patientAgeYears = birth.ageYears;
 
-    const [injections, weights, measures] = await Promise.all([
-      getAll(STORE_INJECTIONS),
-      getAll(STORE_WEIGHTS),
-      getAll(STORE_MEASURES)
+    const [injections, weights, measures, medications] = await Promise.all([
+      getAllForProfile(STORE_INJECTIONS),
+      getAllForProfile(STORE_WEIGHTS),
+      getAllForProfile(STORE_MEASURES),
+      listMedications()
     ]);
 
     const inner = buildClinicalReportInnerHtml({
@@ -2901,8 +2977,10 @@
       patientName,
       patientBirthLabel,
       patientAgeYears,
-      data: { injections, weights, measures },
-      settings
+      data: { injections, weights, measures, medications },
+      settings,
+      editedRecords: await readEditedRecordsForReport(),
+      nowDate: now()
     });
 
     return wrapClinicalReportHtml(inner);
@@ -2911,10 +2989,10 @@
   async function exportReportPdf() {
     const html = await buildReportHtmlDocument();
     const shared = await shareHtmlFileIfPossible({
-      title: 'Relatório DoseCheck',
+      title: t('Relatório DoseCheck'),
       filename: `dosecheck-relatorio-${todayStamp()}.html`,
       html,
-      textFallback: 'Use “Salvar como PDF” no navegador.'
+      textFallback: t('Use “Salvar como PDF” no navegador.')
     });
 
     if (shared) return;
@@ -2939,213 +3017,6 @@
   // Resumo p/ IA (texto) - V3
   // -----------------------------
 
-  function formatInsightsSummaryTextFromSummary(summary, settings) {
-    const d = Math.max(1, Math.floor(Number(summary?.periodDays) || 30));
-
-    const lines = [];
-    lines.push(`Resumo (últimos ${d} dias) — DoseCheck`);
-    const patientLine = buildPatientLinePtBr(settings);
-    if (patientLine) lines.push(patientLine);
-
-    const med = String(summary?.medicationName || '').trim();
-    if (med) lines.push(`Medicação (mais registrada): ${med}`);
-
-    const hasOfficial = Boolean(String(settings?.medRefUrl || '').trim() || String(settings?.medOfficialText || '').trim());
-    lines.push(`Referência oficial: ${hasOfficial ? 'fornecida pelo usuário' : 'não informada'}`);
-    lines.push('');
-
-    if (summary?.last?.injection) {
-      const li = summary.last.injection;
-      const dt = li.dateTimeISO ? formatDateTimePtBr(li.dateTimeISO) : '—';
-      const dose = Number.isFinite(Number(li.doseMg)) ? formatDoseMg(li.doseMg) : '—';
-      const site = li.site ? siteLabel(li.site) : '—';
-      const mn = String(li.medName || '').trim();
-      lines.push(`Última aplicação: ${dt} • ${mn || '—'} • ${dose} • ${site}`);
-    }
-
-    if (summary?.last?.weight) {
-      const lw = summary.last.weight;
-      const dt = lw.dateTimeISO ? formatDateTimePtBr(lw.dateTimeISO) : '—';
-      const w = Number.isFinite(Number(lw.weightKg)) ? formatKg(lw.weightKg) : '—';
-      lines.push(`Último peso: ${dt} • ${w} (${lw.fasting ? 'jejum' : 'sem jejum'})`);
-    }
-
-    if (summary?.last?.measures) {
-      const lm = summary.last.measures;
-      const d0 = lm.dateISO ? formatDatePtBr(lm.dateISO) : '—';
-      const parts = [];
-      if (lm.waistCm !== null && lm.waistCm !== undefined) parts.push(`Cintura ${formatCm(lm.waistCm)}`);
-      if (lm.hipCm !== null && lm.hipCm !== undefined) parts.push(`Quadril ${formatCm(lm.hipCm)}`);
-      if (lm.neckCm !== null && lm.neckCm !== undefined) parts.push(`Pescoço ${formatCm(lm.neckCm)}`);
-      if (parts.length) lines.push(`Últimas medidas: ${d0} • ${parts.join(' • ')}`);
-    }
-
-    lines.push('');
-    lines.push(`Aplicações: ${summary.injections.count}`);
-    lines.push(`Regularidade (6–8 dias): ${summary.injections.onTimeRate === null ? '—' : `${Math.round(summary.injections.onTimeRate * 100)}%`}`);
-    lines.push(`Média entre aplicações (dias): ${summary.injections.meanDaysBetween ? summary.injections.meanDaysBetween.toFixed(1).replace('.', ',') : '—'}`);
-    lines.push('');
-    lines.push(`Pesos: ${summary.weight.count}`);
-    lines.push(`Peso início → fim: ${summary.weight.startKg === null ? '—' : summary.weight.startKg.toFixed(1).replace('.', ',')} → ${summary.weight.endKg === null ? '—' : summary.weight.endKg.toFixed(1).replace('.', ',')} kg`);
-    lines.push(`Delta: ${Number.isFinite(summary.weight.deltaKg) ? `${summary.weight.deltaKg >= 0 ? '+' : ''}${summary.weight.deltaKg.toFixed(1).replace('.', ',')} kg` : '—'}`);
-    lines.push(`Tendência: ${Number.isFinite(summary.weight.perWeekKg) ? `${summary.weight.perWeekKg >= 0 ? '+' : ''}${summary.weight.perWeekKg.toFixed(2).replace('.', ',')} kg/sem` : '—'}`);
-    
-    // IMC (calculado a partir do último peso e altura configurada, se disponível)
-    const lastWeight = summary?.last?.weight?.weightKg;
-    if (lastWeight && Number.isFinite(lastWeight)) {
-      const imcHeight = settings?.imcHeight; // altura já disponível nas configurações
-      if (imcHeight && imcHeight > 0) {
-        const heightM = imcHeight / 100;
-        const imc = lastWeight / (heightM * heightM);
-        let classification = '';
-        if (imc < 18.5) classification = 'Abaixo do peso';
-        else if (imc < 25) classification = 'Peso normal';
-        else if (imc < 30) classification = 'Sobrepeso';
-        else classification = 'Obesidade';
-        lines.push(`IMC atual: ${imc.toFixed(1).replace('.', ',')} (${classification}) — altura ${imcHeight.toFixed(0)} cm`);
-      }
-    }
-    
-    lines.push('');
-    lines.push(`Medidas: ${summary.measures.count}`);
-    if (summary.measures.deltaByField) {
-      const ms = Object.entries(summary.measures.deltaByField)
-        .map(([k, v]) => `${k} ${v >= 0 ? '+' : ''}${v.toFixed(1).replace('.', ',')} cm`)
-        .join(' • ');
-      lines.push(`Delta (início → fim): ${ms || '—'}`);
-    } else {
-      lines.push('Delta (início → fim): —');
-    }
-    lines.push('');
-    if (summary.symptoms.averages) {
-      const sx = Object.keys(summary.symptoms.averages)
-        .map((k) => `${SYMPTOMS_LABELS[k]} ${(summary.symptoms.averages[k] ?? 0).toFixed(1).replace('.', ',')}`)
-        .join(' • ');
-      lines.push(`Sintomas médios (0–10): ${sx || '—'}`);
-    }
-    lines.push('');
-    lines.push('Observações: sem orientação médica; apenas organização de dados.');
-    return lines.join('\n');
-  }
-
-  function buildInsightsSummaryHtmlFromSummary(summary, settings) {
-    const d = Math.max(1, Math.floor(Number(summary?.periodDays) || 30));
-    const birth = resolvePatientBirthInfo(settings);
-
-    const medName = String(summary?.medicationName || '').trim();
-    const hasOfficial = Boolean(String(settings?.medRefUrl || '').trim() || String(settings?.medOfficialText || '').trim());
-
-    const pct = summary.injections.onTimeRate === null ? '—' : `${Math.round(summary.injections.onTimeRate * 100)}%`;
-    const meanDays = summary.injections.meanDaysBetween ? summary.injections.meanDaysBetween.toFixed(1).replace('.', ',') : '—';
-
-    const wStart = summary.weight.startKg === null ? '—' : summary.weight.startKg.toFixed(1).replace('.', ',');
-    const wEnd = summary.weight.endKg === null ? '—' : summary.weight.endKg.toFixed(1).replace('.', ',');
-    const wDelta = Number.isFinite(summary.weight.deltaKg)
-      ? `${summary.weight.deltaKg >= 0 ? '+' : ''}${summary.weight.deltaKg.toFixed(1).replace('.', ',')} kg`
-      : '—';
-    const wTrend = Number.isFinite(summary.weight.perWeekKg)
-      ? `${summary.weight.perWeekKg >= 0 ? '+' : ''}${summary.weight.perWeekKg.toFixed(2).replace('.', ',')} kg/sem`
-      : '—';
-
-    const measuresDelta = summary.measures.deltaByField
-      ? Object.entries(summary.measures.deltaByField)
-        .map(([k, v]) => `${k} ${v >= 0 ? '+' : ''}${v.toFixed(1).replace('.', ',')} cm`)
-        .join(' • ')
-      : '';
-
-    const sx = summary.symptoms.averages
-      ? Object.keys(summary.symptoms.averages)
-        .map((k) => `${SYMPTOMS_LABELS[k]} ${(summary.symptoms.averages[k] ?? 0).toFixed(1).replace('.', ',')}`)
-        .join(' • ')
-      : '';
-
-    const title = `Resumo DoseCheck — últimos ${d} dias`;
-
-    const lastHtml = (() => {
-      const li = summary?.last?.injection;
-      const lw = summary?.last?.weight;
-      const lm = summary?.last?.measures;
-      const parts = [];
-      if (li) {
-        parts.push(`Última aplicação: ${escapeHtml(formatDateTimePtBr(li.dateTimeISO))} • ${escapeHtml(String(li.medName || '—'))} • ${escapeHtml(formatDoseMg(li.doseMg))} • ${escapeHtml(siteLabel(li.site))}`);
-      }
-      if (lw) {
-        parts.push(`Último peso: ${escapeHtml(formatDateTimePtBr(lw.dateTimeISO))} • ${escapeHtml(formatKg(lw.weightKg))} (${lw.fasting ? 'jejum' : 'sem jejum'})`);
-      }
-      if (lm) {
-        const mParts = [];
-        if (lm.waistCm !== null && lm.waistCm !== undefined) mParts.push(`Cintura ${escapeHtml(formatCm(lm.waistCm))}`);
-        if (lm.hipCm !== null && lm.hipCm !== undefined) mParts.push(`Quadril ${escapeHtml(formatCm(lm.hipCm))}`);
-        if (lm.neckCm !== null && lm.neckCm !== undefined) mParts.push(`Pescoço ${escapeHtml(formatCm(lm.neckCm))}`);
-        if (mParts.length) parts.push(`Últimas medidas: ${escapeHtml(formatDatePtBr(lm.dateISO))} • ${mParts.join(' • ')}`);
-      }
-      if (!parts.length) return '';
-      return `<div style="margin-top:10px; border:1px solid #e2e8f0; border-radius:12px; padding:10px 12px; background:#ffffff; color:#0f172a; font-size:12px; line-height:1.35;">${parts.join('<br/>')}</div>`;
-    })();
-
-    const name = String(settings?.patientName || '').trim();
-    const patientHtml = name
-      ? `
-        <div style="border:1px solid #e2e8f0; border-radius:12px; padding:10px 12px; background:#ffffff;">
-          <div style="font-weight:900; color:#0f172a; font-size:14px;">${escapeHtml(name)}</div>
-          <div style="margin-top:4px; color:#334155; font-size:12px;">
-            ${birth.label ? `<span style=\"font-weight:800; color:#64748b;\">Nascimento:</span> <span style=\"font-weight:900; color:#0f172a;\">${escapeHtml(birth.label)}</span>` : ''}
-            ${Number.isFinite(birth.ageYears) ? ` <span style=\"font-weight:900; color:#16a34a;\">(${escapeHtml(String(birth.ageYears))} anos${birth.approx ? ' aprox.' : ''})</span>` : ''}
-          </div>
-        </div>
-      `.trim()
-      : '';
-
-    const section = (label, color, bodyHtml) => `
-      <div style="margin-top:10px; border-left:6px solid ${color}; background:#ffffff; border:1px solid #e2e8f0; border-radius:12px; padding:10px 12px;">
-        <div style="font-weight:1000; color:#0f172a; text-transform:uppercase; letter-spacing:.03em; font-size:12px;">${escapeHtml(label)}</div>
-        <div style="margin-top:6px; color:#0f172a; font-size:13px; line-height:1.35;">${bodyHtml}</div>
-      </div>
-    `.trim();
-
-    const appsHtml = `
-      <div><span style="color:#64748b; font-weight:900;">Aplicações:</span> <span style="font-weight:1000;">${escapeHtml(String(summary.injections.count))}</span></div>
-      <div><span style="color:#64748b; font-weight:900;">Regularidade (6–8 dias):</span> <span style="font-weight:1000;">${escapeHtml(pct)}</span></div>
-      <div><span style="color:#64748b; font-weight:900;">Média entre aplicações:</span> <span style="font-weight:1000;">${escapeHtml(meanDays)} dia(s)</span></div>
-    `.trim();
-
-    const weightHtml = `
-      <div><span style="color:#64748b; font-weight:900;">Registros:</span> <span style="font-weight:1000;">${escapeHtml(String(summary.weight.count))}</span></div>
-      <div><span style="color:#64748b; font-weight:900;">Início → fim:</span> <span style="font-weight:1000;">${escapeHtml(wStart)} → ${escapeHtml(wEnd)} kg</span></div>
-      <div><span style="color:#64748b; font-weight:900;">Delta:</span> <span style="font-weight:1000;">${escapeHtml(wDelta)}</span></div>
-      <div><span style="color:#64748b; font-weight:900;">Tendência:</span> <span style="font-weight:1000;">${escapeHtml(wTrend)}</span></div>
-    `.trim();
-
-    const measuresHtml = `
-      <div><span style="color:#64748b; font-weight:900;">Registros:</span> <span style="font-weight:1000;">${escapeHtml(String(summary.measures.count))}</span></div>
-      <div><span style="color:#64748b; font-weight:900;">Delta (início → fim):</span> <span style="font-weight:1000;">${escapeHtml(measuresDelta || '—')}</span></div>
-    `.trim();
-
-    const symptomsHtml = `
-      <div><span style="color:#64748b; font-weight:900;">Sintomas médios (0–10):</span></div>
-      <div style="margin-top:4px;">${escapeHtml(sx || '—')}</div>
-    `.trim();
-
-    return `
-      <div style="font-family: system-ui, -apple-system, Segoe UI, Roboto, Arial; border:2px solid #0ea5e9; border-radius:16px; padding:14px; background:#f8fafc;">
-        <div style="font-weight:1000; color:#0f172a; font-size:16px;">${escapeHtml(title)}</div>
-        <div style="margin-top:6px; color:#475569; font-size:12px;">Gerado pelo DoseCheck. Sem orientação médica; apenas organização de dados.</div>
-        <div style="margin-top:6px; color:#0f172a; font-size:12px;">
-          ${medName ? `<span style=\"font-weight:900; color:#64748b;\">Medicação:</span> <span style=\"font-weight:1000;\">${escapeHtml(medName)}</span>` : ''}
-          ${medName ? ' • ' : ''}
-          <span style="font-weight:900; color:#64748b;">Referência oficial:</span>
-          <span style="font-weight:1000; color:${hasOfficial ? '#16a34a' : '#b45309'};">${hasOfficial ? 'fornecida' : 'não informada'}</span>
-        </div>
-        ${patientHtml ? `<div style=\"margin-top:10px;\">${patientHtml}</div>` : ''}
-        ${lastHtml ? `<div style=\"margin-top:10px;\">${lastHtml}</div>` : ''}
-        ${section('Aplicações', '#2563eb', appsHtml)}
-        ${section('Peso', '#7c3aed', weightHtml)}
-        ${section('Medidas', '#0f766e', measuresHtml)}
-        ${section('Sintomas', '#f59e0b', symptomsHtml)}
-      </div>
-    `.trim();
-  }
-
   async function copyRichToClipboard({ html, text }) {
     try {
       if (navigator.clipboard && window.ClipboardItem) {
@@ -3185,15 +3056,16 @@
   async function buildInsightsSummary(days = 30) {
     const settings = await getSettings();
     const d = Math.max(1, Math.floor(Number(days) || 30));
-    const [injections, weights, measures] = await Promise.all([
-      getAll(STORE_INJECTIONS),
-      getAll(STORE_WEIGHTS),
-      getAll(STORE_MEASURES)
+    const [injections, weights, measures, medications] = await Promise.all([
+      getAllForProfile(STORE_INJECTIONS),
+      getAllForProfile(STORE_WEIGHTS),
+      getAllForProfile(STORE_MEASURES),
+      listMedications()
     ]);
 
-    const summary = buildLastNDaysSummary(d, { injections, weights, measures });
+    const summary = buildLastNDaysSummary(d, { injections, weights, measures, medications, settings }, now());
     const prompt = createAiPrompt(summary, settings);
-    const text = formatInsightsSummaryTextFromSummary(summary, settings);
+    const text = formatInsightsSummaryTextFromSummary(summary, settings, now());
     return { days: d, settings, summary, prompt, text };
   }
 
@@ -3214,7 +3086,7 @@
     const hasOfficialText = Boolean(String(settings?.medOfficialText || '').trim());
     const hasOfficial = Boolean(refUrl || hasOfficialText);
 
-    const patientLine = buildPatientLinePtBr(settings);
+    const patientLine = buildPatientLinePtBr(settings, now());
     const li = summary?.last?.injection;
     const lw = summary?.last?.weight;
     const lm = summary?.last?.measures;
@@ -3229,37 +3101,37 @@
     }
 
     const lines = [];
-    lines.push(`<div style="font-weight:900;">Resumo pronto (${d} dias)</div>`);
+    lines.push(`<div style="font-weight:900;">${escapeHtml(t('Resumo pronto ({days} dias)', { days: d }))}</div>`);
     if (patientLine) lines.push(`<div>${escapeHtml(patientLine)}</div>`);
 
     if (medName) {
-      lines.push(`<div><strong>Medicação:</strong> ${escapeHtml(medName)}</div>`);
+      lines.push(`<div><strong>${escapeHtml(t('Medicação:'))}</strong> ${escapeHtml(medName)}</div>`);
     }
 
-    const refLabel = hasOfficial ? 'fornecida' : 'não informada';
+    const refLabel = hasOfficial ? t('fornecida') : t('não informada');
     const refColor = hasOfficial ? '#16a34a' : '#b45309';
     let refExtra = '';
     if (refUrl) {
-      refExtra = ` — <a href="${escapeHtml(refUrl)}" target="_blank" rel="noopener" style="color: inherit; text-decoration: underline;">abrir link</a>`;
+      refExtra = ` — <a href="${escapeHtml(refUrl)}" target="_blank" rel="noopener" style="color: inherit; text-decoration: underline;">${escapeHtml(t('abrir link'))}</a>`;
     } else if (hasOfficialText) {
-      refExtra = ' — trecho colado nas configurações';
+      refExtra = ` — ${escapeHtml(t('trecho colado nas configurações'))}`;
     }
-    lines.push(`<div><strong>Referência oficial:</strong> <span style="font-weight:900; color:${refColor};">${refLabel}</span>${refExtra}</div>`);
+    lines.push(`<div><strong>${escapeHtml(t('Referência oficial:'))}</strong> <span style="font-weight:900; color:${refColor};">${refLabel}</span>${refExtra}</div>`);
 
     if (hasLast) {
-      lines.push('<div style="margin-top:8px; font-weight:900;">Últimos registros</div>');
+      lines.push(`<div style="margin-top:8px; font-weight:900;">${escapeHtml(t('Últimos registros'))}</div>`);
       if (li) {
-        lines.push(`<div>• Aplicação: ${escapeHtml(formatDateTimePtBr(li.dateTimeISO))} • ${escapeHtml(String(li.medName || '—'))} • ${escapeHtml(formatDoseMg(li.doseMg))} • ${escapeHtml(siteLabel(li.site))}</div>`);
+        lines.push(`<div>• ${escapeHtml(t('Aplicação:'))} ${escapeHtml(formatDateTimePtBr(li.dateTimeISO))} • ${escapeHtml(String(li.medName || '—'))} • ${escapeHtml(formatDoseMg(li.doseMg))} • ${escapeHtml(siteLabel(li.site))}</div>`);
       }
       if (lw) {
-        lines.push(`<div>• Peso: ${escapeHtml(formatDateTimePtBr(lw.dateTimeISO))} • ${escapeHtml(formatKg(lw.weightKg))} (${lw.fasting ? 'jejum' : 'sem jejum'})</div>`);
+        lines.push(`<div>• ${escapeHtml(t('Peso:'))} ${escapeHtml(formatDateTimePtBr(lw.dateTimeISO))} • ${escapeHtml(formatKg(lw.weightKg))} (${escapeHtml(lw.fasting ? t('jejum') : t('sem jejum'))})</div>`);
       }
       if (lm) {
         const mParts = [];
-        if (lm.waistCm !== null && lm.waistCm !== undefined) mParts.push(`Cintura ${escapeHtml(formatCm(lm.waistCm))}`);
-        if (lm.hipCm !== null && lm.hipCm !== undefined) mParts.push(`Quadril ${escapeHtml(formatCm(lm.hipCm))}`);
-        if (lm.neckCm !== null && lm.neckCm !== undefined) mParts.push(`Pescoço ${escapeHtml(formatCm(lm.neckCm))}`);
-        if (mParts.length) lines.push(`<div>• Medidas: ${escapeHtml(formatDatePtBr(lm.dateISO))} • ${mParts.join(' • ')}</div>`);
+        if (lm.waistCm !== null && lm.waistCm !== undefined) mParts.push(`${escapeHtml(t('Cintura'))} ${escapeHtml(formatCm(lm.waistCm))}`);
+        if (lm.hipCm !== null && lm.hipCm !== undefined) mParts.push(`${escapeHtml(t('Quadril'))} ${escapeHtml(formatCm(lm.hipCm))}`);
+        if (lm.neckCm !== null && lm.neckCm !== undefined) mParts.push(`${escapeHtml(t('Pescoço'))} ${escapeHtml(formatCm(lm.neckCm))}`);
+        if (mParts.length) lines.push(`<div>• ${escapeHtml(t('Medidas:'))} ${escapeHtml(formatDatePtBr(lm.dateISO))} • ${mParts.join(' • ')}</div>`);
       }
     }
 
@@ -3272,435 +3144,425 @@
   // -----------------------------
 
   function symptomSummary(sym) {
-    if (!sym) return 'Sintomas: —';
-    const parts = Object.keys(SYMPTOMS_LABELS).map((k) => `${SYMPTOMS_LABELS[k]} ${sym[k]}`);
-    return `Sintomas: ${parts.join(' • ')}`;
+    if (!sym) return `${t('Sintomas:')} —`;
+    const parts = Object.keys(SYMPTOMS_LABELS).map((k) => `${symptomLabel(k)} ${sym[k]}`);
+    return `${t('Sintomas:')} ${parts.join(' • ')}`;
   }
 
-  async function renderInjections() {
-    const filter = injFilter?.value || '30';
-    const injections = await getAll(STORE_INJECTIONS);
-    injections.sort(sortByDateTimeDesc);
+  // -----------------------------
+  // Listas em páginas ("Carregar mais")
+  // -----------------------------
 
-    const filtered = injections.filter((i) => {
-      if (filter === 'all') return true;
-      const days = Number(filter);
-      return isInLastDays(i.dateTimeISO, days);
-    });
+  // Quantos registros cada lista mostra e quantos já estão na tela.
+  const listPages = {
+    injections: { limit: LIST_PAGE_SIZE, rendered: 0 },
+    weights: { limit: LIST_PAGE_SIZE, rendered: 0 },
+    measures: { limit: LIST_PAGE_SIZE, rendered: 0 },
+    timeline: { limit: TIMELINE_PAGE_SIZE, rendered: 0 }
+  };
+  const LIST_PAGE_STEPS = { injections: LIST_PAGE_SIZE, weights: LIST_PAGE_SIZE, measures: LIST_PAGE_SIZE, timeline: TIMELINE_PAGE_SIZE };
 
-    clearChildren(injectionList);
-    if (filtered.length === 0) {
-      const label = filter === 'all' ? 'Nenhuma aplicação registrada' : `Sem aplicações nos últimos ${filter} dias`;
-      renderEmptyState(injectionList, label, 'Toque em "+ Nova" para registrar.');
-      return;
+  function resetListPages() {
+    for (const [key, state] of Object.entries(listPages)) {
+      state.limit = LIST_PAGE_STEPS[key];
+      state.rendered = 0;
     }
+  }
 
-    for (const inj of filtered) {
-      const item = createEl('div', { class: 'item', role: 'listitem' });
-      const main = createEl('div', { class: 'item__main' });
+  // Desenha a página; com append, só os itens que ainda não estão na lista.
+  function renderListPage(listEl, key, records, more, buildItem, { append = false } = {}) {
+    const state = listPages[key];
+    if (!append) {
+      clearChildren(listEl);
+      state.rendered = 0;
+    }
+    listEl.querySelector('.list__more')?.remove();
+    for (const record of records.slice(state.rendered)) listEl.appendChild(buildItem(record));
+    state.rendered = records.length;
+    if (more) {
+      listEl.appendChild(createEl('button', {
+        class: 'btn btn--secondary list__more',
+        type: 'button',
+        dataset: { action: 'loadMoreList', id: key }
+      }, t('Carregar mais')));
+    }
+  }
 
-      const title = `${formatDateTimePtBr(inj.dateTimeISO)} • ${formatDoseMg(inj.doseMg)}`;
-      main.appendChild(createEl('div', { class: 'item__title' }, title));
-      main.appendChild(createEl('div', { class: 'item__meta' }, `${inj.medName} • ${siteLabel(inj.site)}`));
-      main.appendChild(createEl('div', { class: 'item__meta' }, symptomSummary(inj.symptoms)));
-      if (inj.notes) main.appendChild(createEl('div', { class: 'item__meta' }, `Obs.: ${inj.notes}`));
+  async function loadMoreList(key) {
+    const state = listPages[key];
+    if (!state) return;
+    state.limit += LIST_PAGE_STEPS[key];
+    if (key === 'injections') await renderInjections({ append: true });
+    if (key === 'weights') await renderWeights({ append: true });
+    if (key === 'measures') await renderMeasures({ append: true });
+    if (key === 'timeline') await renderTimeline({ append: true });
+  }
 
-      item.appendChild(main);
+  function injectionListItem(inj, { meds, medById, edited }) {
+    const item = createEl('div', { class: 'item', role: 'listitem' });
+    const main = createEl('div', { class: 'item__main' });
 
-      const actions = createEl('div', { class: 'item__actions' });
-      actions.appendChild(createEl('button', {
-        class: 'btn btn--secondary',
-        type: 'button',
-        dataset: { action: 'editInjection', id: inj.id }
-      }, 'Editar'));
-      actions.appendChild(createEl('button', {
-        class: 'btn btn--secondary',
-        type: 'button',
-        dataset: { action: 'openLateSymptomsDialog', id: inj.id }
-      }, '+ Sintomas'));
-      actions.appendChild(createEl('button', {
-        class: 'btn btn--danger',
-        type: 'button',
-        dataset: { action: 'deleteInjection', id: inj.id }
-      }, 'Excluir'));
+    const med = medById.get(resolveInjectionMedicationId(inj, meds)) || null;
+    const title = createEl('div', { class: 'item__title' });
+    if (med) title.appendChild(createEl('span', { class: 'medDot', style: `background:${med.color}`, 'aria-hidden': 'true' }));
+    title.appendChild(document.createTextNode(`${formatDateTimePtBr(inj.dateTimeISO)} • ${formatDose(inj.doseMg, med?.unit)}`));
+    main.appendChild(title);
+    main.appendChild(createEl('div', { class: 'item__meta' }, `${med ? med.name : inj.medName} • ${siteLabel(inj.site)}`));
+    main.appendChild(createEl('div', { class: 'item__meta' }, symptomSummary(inj.symptoms)));
+    if (inj.notes) main.appendChild(createEl('div', { class: 'item__meta' }, t('Obs.: {notes}', { notes: inj.notes })));
+    appendEditedMeta(main, edited, STORE_INJECTIONS, inj.id);
 
-      item.appendChild(actions);
-      injectionList.appendChild(item);
+    item.appendChild(main);
+
+    const actions = createEl('div', { class: 'item__actions' });
+    actions.appendChild(createEl('button', {
+      class: 'btn btn--secondary',
+      type: 'button',
+      dataset: { action: 'editInjection', id: inj.id }
+    }, t('Editar')));
+    actions.appendChild(createEl('button', {
+      class: 'btn btn--secondary',
+      type: 'button',
+      dataset: { action: 'openLateSymptomsDialog', id: inj.id }
+    }, t('+ Sintomas')));
+    actions.appendChild(createEl('button', {
+      class: 'btn btn--secondary',
+      type: 'button',
+      dataset: { action: 'openInjectionHistory', id: inj.id }
+    }, t('Histórico')));
+    actions.appendChild(createEl('button', {
+      class: 'btn btn--danger',
+      type: 'button',
+      dataset: { action: 'deleteInjection', id: inj.id }
+    }, t('Excluir')));
+
+    item.appendChild(actions);
+    return item;
+  }
+
+  async function renderInjections({ append = false } = {}) {
+    const filter = injFilter?.value || '30';
+    const since = filter === 'all' ? '' : cutoffDaysAgo(Number(filter), now()).toISOString();
+    const [page, meds] = await Promise.all([
+      getPageForProfile(STORE_INJECTIONS, { limit: listPages.injections.limit, step: LIST_PAGE_SIZE, since }),
+      listMedications()
+    ]);
+    const medById = new Map(meds.map((m) => [m.id, m]));
+    const edited = editedRecordKeys(await getHistoryForRecords(STORE_INJECTIONS, page.records));
+
+    if (page.records.length === 0) {
+      const label = filter === 'all' ? t('Nenhuma aplicação registrada') : t('Sem aplicações nos últimos {days} dias', { days: filter });
+      renderEmptyState(injectionList, label, 'Toque em "+ Nova" para registrar.');
+      listPages.injections.rendered = 0;
+    } else {
+      renderListPage(injectionList, 'injections', page.records, page.more, (inj) => injectionListItem(inj, { meds, medById, edited }), { append });
     }
 
     // Atualizar opções do seletor de aplicações para sintomas tardios
-    await renderLateSymptomInjectionOptions();
+    if (!append) await renderLateSymptomInjectionOptions();
   }
 
   // -----------------------------
-  // Render: Peso & Medidas
+  // Histórico de edições
   // -----------------------------
 
-  async function renderWeights() {
-    const weights = await getAll(STORE_WEIGHTS);
-    weights.sort(sortByDateTimeDesc);
+  function appendEditedMeta(main, edited, storeName, id) {
+    const edit = edited.get(historyKey(storeName, id));
+    if (!edit) return;
+    main.appendChild(createEl('div', { class: 'item__meta' }, t('Editado {n}x • última edição em {date}', { n: edit.editCount, date: formatDateTimePtBr(edit.lastEditISO) })));
+  }
 
-    clearChildren(weightList);
-    if (weights.length === 0) {
-      renderEmptyState(weightList, 'Nenhum peso registrado', 'Toque em "+ Peso" para adicionar.');
-      return;
-    }
+  async function openRecordHistory(storeName, id) {
+    if (!historyDialog) return;
+    const key = historyKey(storeName, id);
+    const entries = sortHistory(await getHistoryForKeys([key]));
+    const summary = summarizeRecordHistory(entries);
+
+    const parts = [];
+    parts.push(summary.createdAtISO ? t('Criado em {date}', { date: formatDateTimePtBr(summary.createdAtISO) }) : t('Criado antes do histórico de edições'));
+    parts.push(summary.editCount ? t('{n} edição(ões), a última em {date}', { n: summary.editCount, date: formatDateTimePtBr(summary.updatedAtISO) }) : t('sem edições'));
+    if (historyRecordEl) historyRecordEl.textContent = `${parts.join(' • ')}.`;
 
-    for (const w of weights.slice(0, 100)) {
+    clearChildren(historyListEl);
+    if (!entries.length) {
+      renderEmptyState(historyListEl, 'Sem alterações registradas', 'O histórico começa na primeira gravação feita nesta versão do app.');
+    }
+    for (const entry of [...entries].reverse()) {
       const item = createEl('div', { class: 'item', role: 'listitem' });
       const main = createEl('div', { class: 'item__main' });
+      main.appendChild(createEl('div', { class: 'item__title' }, `${HISTORY_ACTION_LABELS[entry.action] ? t(HISTORY_ACTION_LABELS[entry.action]) : entry.action} • ${formatDateTimePtBr(entry.atISO)}`));
+      main.appendChild(createEl('div', { class: 'item__meta' }, `${HISTORY_SOURCE_LABELS[entry.source] ? t(HISTORY_SOURCE_LABELS[entry.source]) : entry.source}${entry.appVersion ? ` • app ${entry.appVersion}` : ''}`));
+      for (const line of describeHistoryChanges(entry)) {
+        main.appendChild(createEl('div', { class: 'item__meta' }, line));
+      }
+      item.appendChild(main);
+      historyListEl.appendChild(item);
+    }
+    historyDialog.showModal();
+  }
 
-      main.appendChild(createEl('div', { class: 'item__title' }, `${formatKg(w.weightKg)} • ${formatDateTimePtBr(w.dateTimeISO)}`));
-      main.appendChild(createEl('div', { class: 'item__meta' }, `${w.fasting ? 'Jejum' : 'Sem jejum'}${w.notes ? ` • Obs.: ${w.notes}` : ''}`));
+  // -----------------------------
+  // Render: Peso & Medidas
+  // -----------------------------
 
-      item.appendChild(main);
+  function weightListItem(w, edited) {
+    const item = createEl('div', { class: 'item', role: 'listitem' });
+    const main = createEl('div', { class: 'item__main' });
 
-      const actions = createEl('div', { class: 'item__actions' });
-      actions.appendChild(createEl('button', {
-        class: 'btn btn--secondary',
-        type: 'button',
-        dataset: { action: 'editWeight', id: w.id }
-      }, 'Editar'));
-      actions.appendChild(createEl('button', {
-        class: 'btn btn--danger',
-        type: 'button',
-        dataset: { action: 'deleteWeight', id: w.id }
-      }, 'Excluir'));
+    main.appendChild(createEl('div', { class: 'item__title' }, `${formatKg(w.weightKg)} • ${formatDateTimePtBr(w.dateTimeISO)}`));
+    main.appendChild(createEl('div', { class: 'item__meta' }, `${w.fasting ? t('Jejum') : t('Sem jejum')}${w.notes ? ` • ${t('Obs.: {notes}', { notes: w.notes })}` : ''}`));
+    appendEditedMeta(main, edited, STORE_WEIGHTS, w.id);
 
-      item.appendChild(actions);
-      weightList.appendChild(item);
+    item.appendChild(main);
+
+    const actions = createEl('div', { class: 'item__actions' });
+    actions.appendChild(createEl('button', {
+      class: 'btn btn--secondary',
+      type: 'button',
+      dataset: { action: 'editWeight', id: w.id }
+    }, t('Editar')));
+    actions.appendChild(createEl('button', {
+      class: 'btn btn--secondary',
+      type: 'button',
+      dataset: { action: 'openWeightHistory', id: w.id }
+    }, t('Histórico')));
+    actions.appendChild(createEl('button', {
+      class: 'btn btn--danger',
+      type: 'button',
+      dataset: { action: 'deleteWeight', id: w.id }
+    }, t('Excluir')));
+
+    item.appendChild(actions);
+    return item;
+  }
+
+  async function renderWeights({ append = false } = {}) {
+    const page = await getPageForProfile(STORE_WEIGHTS, { limit: listPages.weights.limit, step: LIST_PAGE_SIZE });
+    const edited = editedRecordKeys(await getHistoryForRecords(STORE_WEIGHTS, page.records));
+
+    if (page.records.length === 0) {
+      renderEmptyState(weightList, 'Nenhum peso registrado', 'Toque em "+ Peso" para adicionar.');
+      listPages.weights.rendered = 0;
+      return;
     }
+    renderListPage(weightList, 'weights', page.records, page.more, (w) => weightListItem(w, edited), { append });
   }
 
   function diffLine(label, current, prev) {
     if (current === null || current === undefined || prev === null || prev === undefined) return null;
-    const delta = current - prev;
-    const sign = delta > 0 ? '+' : '';
-    return `${label}: ${formatCm(current)} (${sign}${delta.toFixed(1).replace('.', ',')} cm)`;
+    return `${label}: ${formatCm(current)} (${formatDeltaCm(current - prev)})`;
   }
 
   function formatMeasuresCompact(m) {
     const parts = [];
     const add = (label, v) => {
       if (v === null || v === undefined) return;
-      parts.push(`${label} ${Number(v).toFixed(1).replace('.', ',')}`);
+      parts.push(`${label} ${formatCmNumber(v)}`);
     };
 
-    add('Pescoço', m.neckCm);
-    add('Cintura (umbigo)', m.waistCm);
-    add('Quadril (ref.)', m.hipCm);
+    add(t('Pescoço'), m.neckCm);
+    add(t('Cintura (umbigo)'), m.waistCm);
+    add(t('Quadril (ref.)'), m.hipCm);
 
-    return parts.length ? parts.join(' • ') : 'Sem valores numéricos.';
+    return parts.length ? parts.join(' • ') : t('Sem valores numéricos.');
   }
 
-  async function renderMeasures() {
-    const measures = await getAll(STORE_MEASURES);
-    measures.sort(sortByDateDesc);
+  function measuresListItem(m, edited) {
+    const item = createEl('div', { class: 'item', role: 'listitem' });
+    const main = createEl('div', { class: 'item__main' });
+
+    main.appendChild(createEl('div', { class: 'item__title' }, `${formatDatePtBr(m.dateISO)}`));
+    main.appendChild(createEl('div', { class: 'item__meta' }, formatMeasuresCompact(m)));
+    if (m.notes) main.appendChild(createEl('div', { class: 'item__meta' }, t('Obs.: {notes}', { notes: m.notes })));
+    appendEditedMeta(main, edited, STORE_MEASURES, m.id);
+
+    item.appendChild(main);
+
+    const actions = createEl('div', { class: 'item__actions' });
+    actions.appendChild(createEl('button', {
+      class: 'btn btn--secondary',
+      type: 'button',
+      dataset: { action: 'editMeasures', id: m.id }
+    }, t('Editar')));
+    actions.appendChild(createEl('button', {
+      class: 'btn btn--secondary',
+      type: 'button',
+      dataset: { action: 'openMeasuresHistory', id: m.id }
+    }, t('Histórico')));
+    actions.appendChild(createEl('button', {
+      class: 'btn btn--danger',
+      type: 'button',
+      dataset: { action: 'deleteMeasures', id: m.id }
+    }, t('Excluir')));
+
+    item.appendChild(actions);
+    return item;
+  }
+
+  async function renderMeasures({ append = false } = {}) {
+    const page = await getPageForProfile(STORE_MEASURES, { limit: listPages.measures.limit, step: LIST_PAGE_SIZE });
+    const measures = page.records;
 
     // Comparação automática: último vs penúltimo
-    if (measuresCompare) {
+    if (measuresCompare && !append) {
       if (measures.length >= 2) {
         const a = measures[0];
         const b = measures[1];
         const lines = [
-          `Último registro: ${formatDatePtBr(a.dateISO)} (comparado a ${formatDatePtBr(b.dateISO)})`,
-          diffLine('Cintura (umbigo)', a.waistCm, b.waistCm),
-          diffLine('Quadril (ref.)', a.hipCm, b.hipCm),
-          diffLine('Pescoço', a.neckCm, b.neckCm)
+          t('Último registro: {date} (comparado a {previous})', { date: formatDatePtBr(a.dateISO), previous: formatDatePtBr(b.dateISO) }),
+          diffLine(t('Cintura (umbigo)'), a.waistCm, b.waistCm),
+          diffLine(t('Quadril (ref.)'), a.hipCm, b.hipCm),
+          diffLine(t('Pescoço'), a.neckCm, b.neckCm)
         ].filter(Boolean);
         measuresCompare.textContent = lines.join(' • ');
       } else if (measures.length === 1) {
-        measuresCompare.textContent = `Último registro: ${formatDatePtBr(measures[0].dateISO)} • Preencha mais um registro para comparar.`;
+        measuresCompare.textContent = t('Último registro: {date} • Preencha mais um registro para comparar.', { date: formatDatePtBr(measures[0].dateISO) });
       } else {
-        measuresCompare.textContent = 'Sem medidas registradas ainda.';
+        measuresCompare.textContent = t('Sem medidas registradas ainda.');
       }
     }
 
-    clearChildren(measuresList);
-    if (measures.length === 0) {
-      renderEmptyState(measuresList, 'Nenhuma medida registrada', 'Toque em "+ Medidas" para adicionar.');
-      return;
-    }
-
-    for (const m of measures.slice(0, 60)) {
-      const item = createEl('div', { class: 'item', role: 'listitem' });
-      const main = createEl('div', { class: 'item__main' });
-
-      main.appendChild(createEl('div', { class: 'item__title' }, `${formatDatePtBr(m.dateISO)}`));
-      main.appendChild(createEl('div', { class: 'item__meta' }, formatMeasuresCompact(m)));
-      if (m.notes) main.appendChild(createEl('div', { class: 'item__meta' }, `Obs.: ${m.notes}`));
-
-      item.appendChild(main);
-
-      const actions = createEl('div', { class: 'item__actions' });
-      actions.appendChild(createEl('button', {
-        class: 'btn btn--secondary',
-        type: 'button',
-        dataset: { action: 'editMeasures', id: m.id }
-      }, 'Editar'));
-      actions.appendChild(createEl('button', {
-        class: 'btn btn--danger',
-        type: 'button',
-        dataset: { action: 'deleteMeasures', id: m.id }
-      }, 'Excluir'));
-
-      item.appendChild(actions);
-      measuresList.appendChild(item);
-    }
-  }
-
-  async function renderBody() {
-    await Promise.all([renderWeights(), renderMeasures()]);
-  }
-
-  // -----------------------------
-  // Insights IA (resumo + prompt + mock)
-  // -----------------------------
-
-  function safeRatio(numerator, denominator) {
-    if (!denominator) return 0;
-    return numerator / denominator;
-  }
-
-  function computeInjectionRegularity(injectionsDesc) {
-    if (injectionsDesc.length < 2) {
-      return { count: injectionsDesc.length, meanDays: null, onTimeRate: null, notes: 'Poucos dados para avaliar regularidade.' };
-    }
-
-    const times = injectionsDesc
-      .map((i) => new Date(i.dateTimeISO))
-      .sort((a, b) => a.getTime() - b.getTime());
-
-    const intervals = [];
-    for (let i = 1; i < times.length; i++) {
-      intervals.push(daysBetween(times[i], times[i - 1]));
-    }
-
-    const mean = intervals.reduce((a, b) => a + b, 0) / intervals.length;
-
-    // Considerar "no ritmo" se entre 6 e 8 dias.
-    const onTime = intervals.filter((d) => d >= 6 && d <= 8).length;
-    const onTimeRate = safeRatio(onTime, intervals.length);
-
-    let notes = 'Regularidade dentro do esperado para semanal.';
-    if (onTimeRate < 0.5) notes = 'Variação considerável entre aplicações; vale checar rotina/agenda.';
-
-    return { count: injectionsDesc.length, meanDays: mean, onTimeRate, notes };
-  }
-
-  function computeWeightTrend(weightsDesc) {
-    if (weightsDesc.length < 2) {
-      return { start: null, end: null, deltaKg: null, perWeekKg: null, notes: 'Poucos dados de peso.' };
-    }
-
-    const asc = [...weightsDesc].sort((a, b) => new Date(a.dateTimeISO) - new Date(b.dateTimeISO));
-    const start = asc[0];
-    const end = asc[asc.length - 1];
-
-    const startDate = new Date(start.dateTimeISO);
-    const endDate = new Date(end.dateTimeISO);
-    const days = Math.max(1, daysBetween(endDate, startDate));
-
-    const deltaKg = end.weightKg - start.weightKg;
-    const perWeekKg = deltaKg / (days / 7);
-
-    let notes = 'Tendência estável.';
-    if (perWeekKg <= -0.2) notes = 'Tendência de queda (bom sinal de consistência, se esse for seu objetivo).';
-    if (perWeekKg >= 0.2) notes = 'Tendência de subida (pode ser oscilação, retenção ou alimentação).';
-
-    return { start, end, deltaKg, perWeekKg, notes };
-  }
-
-  function computeMeasuresDelta(measuresDesc) {
-    if (measuresDesc.length < 2) {
-      return { start: null, end: null, deltas: null, notes: 'Poucos dados de medidas.' };
-    }
-
-    const asc = [...measuresDesc].sort((a, b) => a.dateISO.localeCompare(b.dateISO));
-    const start = asc[0];
-    const end = asc[asc.length - 1];
-
-    const fields = [
-      ['waistCm', 'Cintura'],
-      ['hipCm', 'Quadril'],
-      ['armLCm', 'Braço E'],
-      ['armRCm', 'Braço D'],
-      ['thighCm', 'Coxa'],
-      ['calfCm', 'Panturrilha'],
-      ['chestCm', 'Peito'],
-      ['neckCm', 'Pescoço']
-    ];
-
-    const deltas = {};
-    for (const [k, label] of fields) {
-      const a = start[k];
-      const b = end[k];
-      if (a === null || a === undefined || b === null || b === undefined) continue;
-      deltas[label] = b - a;
+    const edited = editedRecordKeys(await getHistoryForRecords(STORE_MEASURES, measures));
+    if (measures.length === 0) {
+      renderEmptyState(measuresList, 'Nenhuma medida registrada', 'Toque em "+ Medidas" para adicionar.');
+      listPages.measures.rendered = 0;
+      return;
     }
+    renderListPage(measuresList, 'measures', measures, page.more, (m) => measuresListItem(m, edited), { append });
+  }
 
-    const keys = Object.keys(deltas);
-    let notes = 'Variações pequenas são normais.';
-    if (keys.length === 0) notes = 'Sem valores comparáveis no período.';
+  // -----------------------------
+  // Busca
+  // -----------------------------
+
+  const SEARCH_EDIT_ACTIONS = {
+    injections: 'editInjection',
+    weights: 'editWeight',
+    measures: 'editMeasures'
+  };
+  let searchTimer = null;
+
+  function readSearchQuery() {
+    const symptomMin = {};
+    for (const key of Object.keys(SYMPTOMS_LABELS)) {
+      symptomMin[key] = document.getElementById(`searchSym_${key}`)?.value || '';
+    }
+    return normalizeSearchQuery({
+      text: searchTextEl?.value,
+      fromDate: searchFromEl?.value,
+      toDate: searchToEl?.value,
+      types: searchTypeEls.filter((el) => el.checked).map((el) => el.value),
+      medicationId: searchMedicationEl?.value,
+      doseMin: searchDoseMinEl?.value,
+      doseMax: searchDoseMaxEl?.value,
+      site: searchSiteEl?.value,
+      fasting: searchFastingEl?.value,
+      symptomMin
+    });
+  }
 
-    return { start, end, deltas, notes };
+  function renderSearchMedicationOptions(meds) {
+    if (!searchMedicationEl) return;
+    const current = searchMedicationEl.value;
+    clearChildren(searchMedicationEl);
+    searchMedicationEl.appendChild(createEl('option', { value: '' }, t('Todos')));
+    for (const med of meds) searchMedicationEl.appendChild(createEl('option', { value: med.id }, med.name));
+    searchMedicationEl.value = meds.some((m) => m.id === current) ? current : '';
   }
 
-  function computeCommonSymptoms(injectionsDesc) {
-    if (injectionsDesc.length === 0) return { top: [], averages: {} };
+  function searchResultItem(store, record, meds, medById) {
+    const item = createEl('div', { class: 'item', role: 'listitem' });
+    const main = createEl('div', { class: 'item__main' });
 
-    const sums = { nausea: 0, reflux: 0, appetite: 0, energy: 0, bowel: 0 };
-    const n = injectionsDesc.length;
-    for (const i of injectionsDesc) {
-      for (const k of Object.keys(sums)) {
-        sums[k] += clampNumber(i.symptoms?.[k] ?? 0, 0, 10);
-      }
+    if (store === 'injections') {
+      const med = medById.get(resolveInjectionMedicationId(record, meds)) || null;
+      main.appendChild(createEl('div', { class: 'item__title' }, `${formatDateTimePtBr(record.dateTimeISO)} • ${formatDose(record.doseMg, med?.unit)}`));
+      main.appendChild(createEl('div', { class: 'item__meta' }, `${med ? med.name : record.medName} • ${siteLabel(record.site)}`));
+      main.appendChild(createEl('div', { class: 'item__meta' }, symptomSummary(record.symptoms)));
+    } else if (store === 'weights') {
+      main.appendChild(createEl('div', { class: 'item__title' }, `${formatKg(record.weightKg)} • ${formatDateTimePtBr(record.dateTimeISO)}`));
+      main.appendChild(createEl('div', { class: 'item__meta' }, record.fasting ? t('Jejum') : t('Sem jejum')));
+    } else {
+      main.appendChild(createEl('div', { class: 'item__title' }, formatDatePtBr(record.dateISO)));
+      main.appendChild(createEl('div', { class: 'item__meta' }, formatMeasuresCompact(record)));
     }
+    if (record.notes) main.appendChild(createEl('div', { class: 'item__meta' }, t('Obs.: {notes}', { notes: record.notes })));
+    item.appendChild(main);
 
-    const averages = {};
-    for (const k of Object.keys(sums)) {
-      averages[k] = sums[k] / n;
+    const actions = createEl('div', { class: 'item__actions' });
+    actions.appendChild(createEl('button', {
+      class: 'btn btn--secondary',
+      type: 'button',
+      dataset: { action: SEARCH_EDIT_ACTIONS[store], id: record.id }
+    }, t('Editar')));
+    item.appendChild(actions);
+    return item;
+  }
+
+  async function renderSearch() {
+    if (!searchResultsEl) return;
+    const meds = await listMedications();
+    renderSearchMedicationOptions(meds);
+    const q = readSearchQuery();
+
+    clearChildren(searchResultsEl);
+    if (searchSummaryEl) searchSummaryEl.textContent = '';
+    if (!hasSearchCriteria(q)) {
+      renderEmptyState(searchResultsEl, 'Digite um termo ou escolha um filtro', 'A busca olha as observações e o nome do medicamento de aplicações, pesagens e medidas.');
+      return;
     }
 
-    const top = Object.keys(averages)
-      .map((k) => ({ key: k, label: SYMPTOMS_LABELS[k], avg: averages[k] }))
-      .sort((a, b) => b.avg - a.avg)
-      .slice(0, 2);
+    // Só o período pedido sai do banco (índice por perfil e data); o resto filtra em memória.
+    const stores = searchTypesFor(q);
+    const lists = await Promise.all(stores.map((store) => getForProfileInRange(store, searchKeyRange(store, q))));
+    const result = searchRecords(Object.fromEntries(stores.map((store, i) => [store, lists[i]])), q, { medications: meds });
 
-    return { top, averages };
+    if (!result.total) {
+      renderEmptyState(searchResultsEl, 'Nada encontrado', 'Tente outro termo, outro período ou menos filtros.');
+      return;
+    }
+    if (searchSummaryEl) searchSummaryEl.textContent = t('{n} registro(s) encontrado(s).', { n: result.total });
+
+    const medById = new Map(meds.map((m) => [m.id, m]));
+    for (const group of result.groups) {
+      if (!group.total) continue;
+      searchResultsEl.appendChild(createEl('h2', { class: 'card__title' }, `${group.label} (${group.total})`));
+      const list = createEl('div', { class: 'list', role: 'list' });
+      for (const record of group.records) list.appendChild(searchResultItem(group.store, record, meds, medById));
+      searchResultsEl.appendChild(list);
+      if (group.total > group.records.length) {
+        searchResultsEl.appendChild(createEl('p', { class: 'muted' }, t('Mostrando os {shown} mais recentes de {total}. Refine a busca para ver os demais.', { shown: group.records.length, total: group.total })));
+      }
+    }
   }
 
-  function buildLastNDaysSummary(days, data) {
-    const d = Math.max(1, Math.floor(Number(days) || 30));
-    const cutoff = new Date(Date.now() - d * 24 * 60 * 60 * 1000);
-
-    const injectionsN = data.injections.filter((i) => new Date(i.dateTimeISO) >= cutoff).sort(sortByDateTimeDesc);
-    const weightsN = data.weights.filter((w) => new Date(w.dateTimeISO) >= cutoff).sort(sortByDateTimeDesc);
-    const measuresN = data.measures.filter((m) => {
-      const dt = new Date(`${m.dateISO}T00:00:00`);
-      return dt >= cutoff;
-    }).sort(sortByDateDesc);
-
-    const injReg = computeInjectionRegularity(injectionsN);
-    const wtTrend = computeWeightTrend(weightsN);
-    const msDelta = computeMeasuresDelta(measuresN);
-    const sym = computeCommonSymptoms(injectionsN);
-
-    const lastInj = injectionsN[0] || null;
-    const lastW = weightsN[0] || null;
-    const lastM = measuresN[0] || null;
-
-    const medName = (() => {
-      const counts = new Map();
-      for (const i of injectionsN) {
-        const k = String(i.medName || '').trim();
-        if (!k) continue;
-        counts.set(k, (counts.get(k) || 0) + 1);
-      }
-      let best = '';
-      let bestN = 0;
-      for (const [k, n] of counts.entries()) {
-        if (n > bestN) {
-          best = k;
-          bestN = n;
-        }
-      }
-      return best;
-    })();
+  // Digitação: espera uma pausa curta antes de buscar.
+  function scheduleSearch() {
+    clearTimeout(searchTimer);
+    searchTimer = setTimeout(() => {
+      renderSearch().catch((err) => showToast(String(err?.message || err || 'Erro na busca.')));
+    }, 250);
+  }
 
-    return {
-      periodDays: d,
-      medicationName: medName,
-      injections: {
-        count: injectionsN.length,
-        meanDaysBetween: injReg.meanDays,
-        onTimeRate: injReg.onTimeRate,
-        notes: injReg.notes
-      },
-      weight: {
-        count: weightsN.length,
-        startKg: wtTrend.start?.weightKg ?? null,
-        endKg: wtTrend.end?.weightKg ?? null,
-        deltaKg: wtTrend.deltaKg,
-        perWeekKg: wtTrend.perWeekKg,
-        notes: wtTrend.notes
-      },
-      measures: {
-        count: measuresN.length,
-        deltaByField: msDelta.deltas,
-        notes: msDelta.notes
-      },
-      symptoms: {
-        top: sym.top,
-        averages: sym.averages
-      },
-      last: {
-        injection: lastInj ? {
-          dateTimeISO: lastInj.dateTimeISO,
-          doseMg: lastInj.doseMg,
-          site: lastInj.site,
-          medName: lastInj.medName
-        } : null,
-        weight: lastW ? {
-          dateTimeISO: lastW.dateTimeISO,
-          weightKg: lastW.weightKg,
-          fasting: Boolean(lastW.fasting)
-        } : null,
-        measures: lastM ? {
-          dateISO: lastM.dateISO,
-          waistCm: lastM.waistCm,
-          hipCm: lastM.hipCm,
-          neckCm: lastM.neckCm
-        } : null
-      }
-    };
+  function clearSearch() {
+    searchFormEl?.reset();
+    renderSearch().catch(() => {});
   }
 
-  // Requisito: função createAiPrompt(summary)
-  function createAiPrompt(summary, settings = null) {
-    const days = Math.max(1, Math.floor(Number(summary?.periodDays) || 30));
-    // IMPORTANTE: o prompt explicita limites (sem prescrição de dose/instrução médica)
-    // e pede resposta em cards curtos.
-
-    const medRefUrl = String(settings?.medRefUrl || '').trim();
-    const medOfficialText = String(settings?.medOfficialText || '').trim();
-    const hasOfficial = Boolean(medRefUrl || medOfficialText);
-
-    const officialBlock = hasOfficial
-      ? [
-        '',
-        'Referência oficial do medicamento (fornecida pelo usuário):',
-        medRefUrl ? `- Link: ${medRefUrl}` : '- Link: —',
-        medOfficialText ? `- Trecho (cole abaixo):\n${clampText(medOfficialText, 3500)}` : '- Trecho: —',
-        '',
-        'Regras para usar a referência oficial:',
-        '- Use apenas como base informativa; NÃO prescreva dose nem faça instruções médicas.',
-        '- Se houver conflito entre dados do diário e a referência, destaque como “ponto para checar com médico”.',
-        '- Se faltar informação na referência, diga que não encontrou no trecho fornecido.'
-      ].join('\n')
-      : [
-        '',
-        'Referência oficial do medicamento: não fornecida. Não consultei bula/rotulagem.',
-        'Mantenha sugestões gerais (hábitos/organização) e indique pontos para conversar com profissional.'
-      ].join('\n');
-
-    return [
-      'Você é um assistente de análise de saúde para um diário de medicação e métricas corporais.',
-      'Tarefa: identificar padrões, regularidade, possíveis gatilhos e sugestões de hábitos.',
-      'Restrições críticas:',
-      '- NÃO prescreva doses, NÃO oriente uso de medicamento, NÃO dê instruções médicas.',
-      '- NÃO faça diagnóstico. Não substitui médico.',
-      '- Foque em hábitos, consistência, registro e sinais para conversar com profissional.',
-      '',
-      'Resuma em até 6 cards, cada card com: title, insight, action (curta e prática).',
-      'Use linguagem em pt-BR, amigável e sem alarmismo.',
-      officialBlock,
-      '',
-      `Aqui está o resumo estruturado do período selecionado (${days} dias) (JSON):`,
-      JSON.stringify(summary, null, 2)
-    ].join('\n');
+  async function renderBody() {
+    const s = await getSettings();
+    if (imcHeightEl) imcHeightEl.value = s.imcHeight ? formatLengthForInput(s.imcHeight) : '';
+    if (goalWeightEl) goalWeightEl.value = s.goalWeightKg ? formatWeightForInput(s.goalWeightKg) : '';
+    if (goalWaistEl) goalWaistEl.value = s.goalWaistCm ? formatLengthForInput(s.goalWaistCm) : '';
+    if (goalStartDateEl) goalStartDateEl.value = s.goalStartDate || '';
+    if (goalTargetDateEl) goalTargetDateEl.value = s.goalTargetDate || '';
+    await Promise.all([renderWeights(), renderMeasures()]);
   }
 
+  // -----------------------------
+  // Insights IA (resumo + prompt + mock)
+  // -----------------------------
+
   async function callAnalyzeEndpoint(payload) {
     // Endpoint esperado: /api/analyze
     // Em servidor estático, isso tende a 404; por isso fazemos fallback.
@@ -3723,96 +3585,6 @@
     }
   }
 
-  function mockAnalyze(summary) {
-    const days = Math.max(1, Math.floor(Number(summary?.periodDays) || 30));
-    // Mock local: resposta em cards com recomendações não-médicas.
-    const cards = [];
-
-    const inj = summary.injections;
-    if (inj.count === 0) {
-      cards.push({
-        title: 'Sem aplicações registradas',
-        insight: `Não encontrei registros de aplicação nos últimos ${days} dias. Pode ser que você tenha pausado ou só não registrou.`,
-        action: 'Se aplicou, registre as datas para melhorar seus insights.'
-      });
-    } else {
-      const rate = inj.onTimeRate === null ? null : Math.round(inj.onTimeRate * 100);
-      cards.push({
-        title: 'Regularidade',
-        insight: `Você registrou ${inj.count} aplicação(ões) nos últimos ${days} dias. ${inj.meanDaysBetween ? `Média de ${inj.meanDaysBetween.toFixed(1).replace('.', ',')} dias entre aplicações.` : ''}`,
-        action: rate !== null
-          ? `Rotina semanal “no ritmo”: ${rate}% dos intervalos entre 6–8 dias. Ajuste agenda/lembrete se precisar.`
-          : 'Registre pelo menos 2 aplicações para avaliar a regularidade.'
-      });
-    }
-
-    const wt = summary.weight;
-    if (wt.count >= 2) {
-      const delta = wt.deltaKg;
-      const sign = delta > 0 ? '+' : '';
-      const perWeek = wt.perWeekKg;
-      cards.push({
-        title: `Tendência de peso (${days} dias)`,
-        insight: `Variação aproximada: ${sign}${delta.toFixed(1).replace('.', ',')} kg (de ${wt.startKg.toFixed(1).replace('.', ',')} para ${wt.endKg.toFixed(1).replace('.', ',')}).`,
-        action: `Tendência por semana: ${perWeek >= 0 ? '+' : ''}${perWeek.toFixed(2).replace('.', ',')} kg/semana. Compare sempre em condições parecidas (ex.: jejum).`
-      });
-    } else {
-      cards.push({
-        title: 'Peso: dados insuficientes',
-        insight: `Com menos de 2 registros de peso em ${days} dias, fica difícil identificar tendência.`,
-        action: 'Tente pesar 2–3x por semana (idealmente no mesmo horário/condição).' 
-      });
-    }
-
-    const ms = summary.measures;
-    const d = ms.deltaByField || {};
-    const deltaKeys = Object.keys(d);
-    if (ms.count >= 2 && deltaKeys.length) {
-      const top = deltaKeys
-        .map((k) => ({ k, v: d[k] }))
-        .sort((a, b) => Math.abs(b.v) - Math.abs(a.v))
-        .slice(0, 3)
-        .map((x) => `${x.k} ${x.v >= 0 ? '+' : ''}${x.v.toFixed(1).replace('.', ',')} cm`)
-        .join(' • ');
-
-      cards.push({
-        title: 'Medidas: variações',
-        insight: `Principais mudanças (início → fim do período): ${top}.`,
-        action: 'Para comparar melhor, use sempre a mesma fita/posição e registre 1x/semana.'
-      });
-    } else {
-      cards.push({
-        title: 'Medidas: consistência',
-        insight: 'Poucas medidas registradas no período. Oscilações pequenas são normais.',
-        action: 'Se fizer sentido, registre medidas 1x por semana para ver tendência.'
-      });
-    }
-
-    const sym = summary.symptoms;
-    if (sym.top && sym.top.length) {
-      const [a, b] = sym.top;
-      cards.push({
-        title: 'Sintomas mais comuns',
-        insight: `Médias (0–10): ${a.label} ${a.avg.toFixed(1).replace('.', ',')}${b ? ` • ${b.label} ${b.avg.toFixed(1).replace('.', ',')}` : ''}.`,
-        action: 'Anote contexto (sono, horário da refeição, estresse) para encontrar gatilhos.'
-      });
-    } else {
-      cards.push({
-        title: 'Sintomas',
-        insight: 'Nenhuma aplicação (ou sintomas) registrada no período.',
-        action: 'Se for útil, registre sintomas 0–10 por 24–48h após a aplicação.'
-      });
-    }
-
-    cards.push({
-      title: 'Próximo passo (não médico)',
-      insight: 'O melhor insight vem de consistência: registros curtos e frequentes.',
-      action: 'Defina um lembrete semanal e registre aplicação + peso no mesmo dia sempre que possível.'
-    });
-
-    return { cards, disclaimer: 'Análise informativa, não é orientação médica.' };
-  }
-
   function renderInsightsCards(result) {
     clearChildren(insightsCards);
 
@@ -3820,7 +3592,7 @@
     if (disclaimer) {
       const d = createEl('div', { class: 'item' });
       const main = createEl('div', { class: 'item__main' });
-      main.appendChild(createEl('div', { class: 'item__title' }, 'Aviso'));
+      main.appendChild(createEl('div', { class: 'item__title' }, t('Aviso')));
       main.appendChild(createEl('div', { class: 'item__meta' }, disclaimer));
       d.appendChild(main);
       insightsCards.appendChild(d);
@@ -3832,7 +3604,7 @@
       const main = createEl('div', { class: 'item__main' });
       main.appendChild(createEl('div', { class: 'item__title' }, c.title || 'Insight'));
       if (c.insight) main.appendChild(createEl('div', { class: 'item__meta' }, c.insight));
-      if (c.action) main.appendChild(createEl('div', { class: 'item__meta' }, `Ação: ${c.action}`));
+      if (c.action) main.appendChild(createEl('div', { class: 'item__meta' }, t('Ação: {action}', { action: c.action })));
       card.appendChild(main);
       insightsCards.appendChild(card);
     }
@@ -3844,7 +3616,7 @@
 
   async function runInsights() {
     const d = insightsRangeEl?.value ? Math.max(1, Math.floor(Number(insightsRangeEl.value) || 30)) : 30;
-    insightsStatus.textContent = `Analisando seus dados dos últimos ${d} dias…`;
+    insightsStatus.textContent = t('Analisando seus dados dos últimos {days} dias…', { days: d });
     clearChildren(insightsCards);
 
     const built = await buildInsightsSummary(d);
@@ -3854,7 +3626,7 @@
 
     // Análise local baseada 100% nos dados do usuário
     const localResult = mockAnalyze(summary);
-    insightsStatus.textContent = 'Análise concluída com base nos seus dados.';
+    insightsStatus.textContent = t('Análise concluída com base nos seus dados.');
     renderInsightsCards(localResult);
   }
 
@@ -3885,7 +3657,7 @@
   }
 
   function todayStamp() {
-    const d = new Date();
+    const d = now();
     return `${d.getFullYear()}${pad2(d.getMonth() + 1)}${pad2(d.getDate())}`;
   }
 
@@ -3907,23 +3679,28 @@
   }
 
   async function exportJson() {
-    const [injections, weights, measures] = await Promise.all([
-      getAll(STORE_INJECTIONS),
-      getAll(STORE_WEIGHTS),
-      getAll(STORE_MEASURES)
+    const [injections, weights, measures, medications, inventory] = await Promise.all([
+      getAllForProfile(STORE_INJECTIONS),
+      getAllForProfile(STORE_WEIGHTS),
+      getAllForProfile(STORE_MEASURES),
+      listMedications(),
+      listInventory()
     ]);
 
-    const payload = { injections, weights, measures };
+    const payload = { medications, inventory, injections, weights, measures };
     downloadText(`dosecheck-export-${todayStamp()}.json`, JSON.stringify(payload, null, 2), 'application/json;charset=utf-8');
     showToast('Exportação JSON gerada.');
   }
 
   async function exportCsv() {
-    const [injections, weights, measures] = await Promise.all([
-      getAll(STORE_INJECTIONS),
-      getAll(STORE_WEIGHTS),
-      getAll(STORE_MEASURES)
+    const [injections, weights, measures, medications, settings] = await Promise.all([
+      getAllForProfile(STORE_INJECTIONS),
+      getAllForProfile(STORE_WEIGHTS),
+      getAllForProfile(STORE_MEASURES),
+      listMedications(),
+      getSettings()
     ]);
+    const medById = new Map(medications.map((m) => [m.id, m]));
 
     // Injections CSV
     const injRows = injections
@@ -3931,8 +3708,10 @@
       .map((i) => ({
         id: i.id,
         dateTimeISO: i.dateTimeISO,
+        medicationId: resolveInjectionMedicationId(i, medications) || '',
         medName: i.medName,
         doseMg: i.doseMg,
+        doseUnit: medById.get(resolveInjectionMedicationId(i, medications))?.unit || 'mg',
         site: i.site,
         nausea: i.symptoms?.nausea ?? 0,
         reflux: i.symptoms?.reflux ?? 0,
@@ -3942,7 +3721,7 @@
         notes: i.notes || ''
       }));
 
-    const injHeaders = ['id', 'dateTimeISO', 'medName', 'doseMg', 'site', 'nausea', 'reflux', 'appetite', 'energy', 'bowel', 'notes'];
+    const injHeaders = ['id', 'dateTimeISO', 'medicationId', 'medName', 'doseMg', 'doseUnit', 'site', 'nausea', 'reflux', 'appetite', 'energy', 'bowel', 'notes'];
     downloadText(`dosecheck-injections-${todayStamp()}.csv`, toCsv(injRows, injHeaders), 'text/csv;charset=utf-8');
 
     // Weights CSV
@@ -3957,7 +3736,7 @@
       }));
 
     const wHeaders = ['id', 'dateTimeISO', 'weightKg', 'fasting', 'notes'];
-    downloadText(`dosecheck-weights-${todayStamp()}.csv`, toCsv(wRows, wHeaders), 'text/csv;charset=utf-8');
+    downloadText(`dosecheck-weights-${todayStamp()}.csv`, toCsv(wRows.map((r) => toExportUnits(r, settings)), exportUnitHeaders(wHeaders, settings)), 'text/csv;charset=utf-8');
 
     // Measures CSV
     const mRows = measures
@@ -3977,7 +3756,7 @@
       }));
 
     const mHeaders = ['id', 'dateISO', 'waistCm', 'hipCm', 'armLCm', 'armRCm', 'thighCm', 'calfCm', 'chestCm', 'neckCm', 'notes'];
-    downloadText(`dosecheck-measures-${todayStamp()}.csv`, toCsv(mRows, mHeaders), 'text/csv;charset=utf-8');
+    downloadText(`dosecheck-measures-${todayStamp()}.csv`, toCsv(mRows.map((r) => toExportUnits(r, settings)), exportUnitHeaders(mHeaders, settings)), 'text/csv;charset=utf-8');
 
     showToast('CSVs gerados (3 arquivos).');
   }
@@ -3991,14 +3770,16 @@
 
     const patientName = reportPatientNameEl?.value || settings.patientName || '';
     const patientBirthYear = settings.patientBirthYear || '';
-    const exportedAtISO = new Date().toISOString();
-    const cutoff = new Date(Date.now() - d * 24 * 60 * 60 * 1000);
-
-    const [injections, weights, measures] = await Promise.all([
-      getAll(STORE_INJECTIONS),
-      getAll(STORE_WEIGHTS),
-      getAll(STORE_MEASURES)
+    const exportedAtISO = now().toISOString();
+    const cutoff = new Date(now().getTime() - d * 24 * 60 * 60 * 1000);
+
+    const [injections, weights, measures, medications] = await Promise.all([
+      getAllForProfile(STORE_INJECTIONS),
+      getAllForProfile(STORE_WEIGHTS),
+      getAllForProfile(STORE_MEASURES),
+      listMedications()
     ]);
+    const medById = new Map(medications.map((m) => [m.id, m]));
 
     const rows = [];
 
@@ -4017,6 +3798,7 @@
         fasting: w.fasting ? 'S' : 'N',
         medName: '',
         doseMg: '',
+        doseUnit: '',
         site: '',
         symptoms: '',
         waistCm: '',
@@ -4046,6 +3828,7 @@
         fasting: '',
         medName: i.medName || '',
         doseMg: i.doseMg,
+        doseUnit: medById.get(resolveInjectionMedicationId(i, medications))?.unit || 'mg',
         site: i.site || '',
         symptoms: formatSymptomCompact(i.symptoms),
         waistCm: '',
@@ -4075,6 +3858,7 @@
         fasting: '',
         medName: '',
         doseMg: '',
+        doseUnit: '',
         site: '',
         symptoms: '',
         waistCm: m.waistCm ?? '',
@@ -4108,6 +3892,7 @@
       'fasting',
       'medName',
       'doseMg',
+      'doseUnit',
       'site',
       'symptoms',
       'waistCm',
@@ -4121,104 +3906,880 @@
       'notes'
     ];
 
-    downloadText(`dosecheck-clinical-${d}d-${todayStamp()}.csv`, toCsv(rows, headers), 'text/csv;charset=utf-8');
+    downloadText(`dosecheck-clinical-${d}d-${todayStamp()}.csv`, toCsv(rows.map((r) => toExportUnits(r, settings)), exportUnitHeaders(headers, settings)), 'text/csv;charset=utf-8');
     showToast('CSV clínico gerado (1 arquivo).');
   }
 
-  async function downloadBackup() {
-    const [injections, weights, measures, settings] = await Promise.all([
-      getAll(STORE_INJECTIONS),
-      getAll(STORE_WEIGHTS),
-      getAll(STORE_MEASURES),
+  async function downloadBackup({ encrypted = false } = {}) {
+    const [injections, weights, measures, medications, inventory, settings] = await Promise.all([
+      getAllForProfile(STORE_INJECTIONS),
+      getAllForProfile(STORE_WEIGHTS),
+      getAllForProfile(STORE_MEASURES),
+      listMedications(),
+      listInventory(),
       getSettings()
     ]);
 
+    const profile = await getActiveProfile();
+
     const payload = {
-      version: 1,
-      exportedAtISO: new Date().toISOString(),
+      version: BACKUP_VERSION,
+      exportedAtISO: now().toISOString(),
+      profile: { id: profile.id, name: profile.name },
       settings,
+      medications,
+      inventory,
       injections,
       weights,
       measures
     };
 
-    downloadText(`dosecheck-backup-${todayStamp()}.json`, JSON.stringify(payload, null, 2), 'application/json;charset=utf-8');
-    showToast('Backup gerado.');
+    if (!encrypted) {
+      downloadText(`dosecheck-backup-${todayStamp()}.json`, JSON.stringify(payload, null, 2), 'application/json;charset=utf-8');
+      showToast('Backup gerado.');
+      return;
+    }
+
+    const passphrase = await askPassphrase({
+      title: t('Backup com senha'),
+      hint: t('Escolha uma senha com pelo menos {n} caracteres. Ela será pedida para restaurar e não pode ser recuperada.', { n: MIN_PASSPHRASE_LENGTH }),
+      confirmField: true
+    });
+    if (passphrase === null) return;
+    showToast('Criptografando backup…');
+    const envelope = await encryptBackup(payload, passphrase);
+    downloadText(`dosecheck-backup-${todayStamp()}.senha.json`, JSON.stringify(envelope), 'application/json;charset=utf-8');
+    showToast('Backup com senha gerado.');
+  }
+
+  // Pede a senha no diálogo; resolve null se o usuário fechar.
+  function askPassphrase({ title, hint, confirmField = false }) {
+    passTitleEl.textContent = title;
+    passHintEl.textContent = hint;
+    passInputEl.value = '';
+    passConfirmEl.value = '';
+    passInputEl.minLength = confirmField ? MIN_PASSPHRASE_LENGTH : 0;
+    passInputEl.autocomplete = confirmField ? 'new-password' : 'current-password';
+    passConfirmFieldEl.hidden = !confirmField;
+    passConfirmEl.required = confirmField;
+    passDialog.showModal();
+
+    return new Promise((resolve) => {
+      const cleanup = () => {
+        passForm.removeEventListener('submit', onSubmit);
+        passDialog.removeEventListener('close', onClose);
+      };
+      const onSubmit = (e) => {
+        e.preventDefault();
+        if (confirmField && passInputEl.value !== passConfirmEl.value) {
+          showToast('As senhas não conferem.');
+          return;
+        }
+        const value = passInputEl.value;
+        cleanup();
+        passInputEl.value = '';
+        passConfirmEl.value = '';
+        closeDialog(passDialog);
+        resolve(value);
+      };
+      const onClose = () => {
+        cleanup();
+        resolve(null);
+      };
+      passForm.addEventListener('submit', onSubmit);
+      passDialog.addEventListener('close', onClose);
+    });
   }
 
-  function validateBackupShape(obj) {
-    if (!obj || typeof obj !== 'object') return false;
-    if (!Array.isArray(obj.injections) || !Array.isArray(obj.weights) || !Array.isArray(obj.measures)) return false;
-    return true;
+  // Backup com senha: pede até acertar (ou o usuário desistir -> null).
+  async function decryptBackupFile(envelope, fileName) {
+    let hint = t('O arquivo {file} está protegido por senha.', { file: fileName });
+    for (;;) {
+      const passphrase = await askPassphrase({ title: t('Backup com senha'), hint });
+      if (passphrase === null) return null;
+      try {
+        return await decryptBackup(envelope, passphrase);
+      } catch (err) {
+        if (err?.name !== WRONG_PASSPHRASE_ERROR) throw err;
+        hint = t('Senha incorreta. Tente de novo.');
+      }
+    }
   }
 
   async function restoreFromFile(file) {
     const text = await file.text();
-    const data = JSON.parse(text);
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch {
+      throw new Error('Arquivo inválido: não é um JSON.');
+    }
 
-    if (!validateBackupShape(data)) {
-      throw new Error('Arquivo inválido: estrutura não reconhecida.');
+    if (isSyncPackage(data)) throw new Error('Este é um arquivo de sincronização: use "Receber sincronização".');
+
+    if (isEncryptedBackup(data)) {
+      data = await decryptBackupFile(data, file.name);
+      if (!data) return;
     }
 
-    const proceed = confirm('Restaurar este backup substituirá seus dados atuais. Continuar?');
-    if (!proceed) return;
+    // Atualiza versões antigas e separa os registros que não passam no schema.
+    const { data: backup, rejected } = validateBackup(data);
+    const label = backup.exportedAtISO
+      ? t('Arquivo {file} de {date}', { file: file.name, date: formatDateTimePtBr(backup.exportedAtISO) })
+      : t('Arquivo {file}', { file: file.name });
+    await openRestorePreview(backup, { source: 'file', label, rejected });
+  }
+
+  // Configurações de um backup: todos os campos conhecidos; os ausentes voltam ao padrão.
+  // (A agenda antiga, só com injectionDayOfWeek, já foi convertida por upgradeBackup.)
+  function settingsFromBackup(settings) {
+    const out = {};
+    for (const key of Object.keys(DEFAULTS)) {
+      out[key] = settings[key] ?? DEFAULTS[key];
+    }
+    return out;
+  }
+
+  // -----------------------------
+  // Restauração: mesclar ou substituir
+  // -----------------------------
+
+  const RESTORE_MODE_HINTS = {
+    merge: 'Mantém o que só existe neste aparelho, adiciona o que só existe no backup e pergunta nos conflitos (mesmo registro editado dos dois lados).',
+    replace: 'Apaga os dados atuais do perfil e grava exatamente o que está no backup.'
+  };
+
+  // Backup aberto no diálogo: { data, source: 'file' | 'auto', label, diff, choices, rejected }.
+  let restoreState = null;
+
+  async function readProfileSnapshot() {
+    const [medications, inventory, injections, weights, measures, settings] = await Promise.all([
+      listMedications(),
+      listInventory(),
+      getAllForProfile(STORE_INJECTIONS),
+      getAllForProfile(STORE_WEIGHTS),
+      getAllForProfile(STORE_MEASURES),
+      getSettings()
+    ]);
+    return { medications, inventory, injections, weights, measures, settings };
+  }
+
+  async function openRestorePreview(data, { source, label, rejected = [] }) {
+    const diff = diffBackup(await readProfileSnapshot(), data);
+    restoreState = { data, source, label, diff, choices: {}, rejected };
+    const profile = await getActiveProfile();
+    restoreSourceEl.textContent = t('{source} → perfil "{profile}"', { source: label, profile: profile.name });
+    restoreModeEl.value = 'merge';
+    renderRestoreRejected();
+    renderRestorePreview();
+    restoreDialog.showModal();
+  }
+
+  // Registros fora do schema: ficam de fora da restauração, com o motivo.
+  function renderRestoreRejected() {
+    const { rejected } = restoreState;
+    restoreRejectedEl.hidden = !rejected.length;
+    clearChildren(restoreRejectedListEl);
+    for (const r of rejected) {
+      const where = r.store === 'settings' ? t('Configurações') : t('{store} • linha {n}', { store: t(BACKUP_STORE_LABELS[r.store]), n: r.index + 1 });
+      const row = createEl('div', { class: 'item', role: 'listitem' });
+      const main = createEl('div', { class: 'item__main' });
+      main.appendChild(createEl('div', { class: 'item__title' }, r.label ? `${where} • ${r.label}` : where));
+      main.appendChild(createEl('div', { class: 'item__meta' }, r.reasons.join(' • ')));
+      row.appendChild(main);
+      restoreRejectedListEl.appendChild(row);
+    }
+  }
+
+  function describeRestoreRecord(store, rec) {
+    if (store === 'medications') return medicationLabel(rec);
+    if (store === 'inventory') return inventoryItemLabel(rec);
+    if (store === 'measures') return formatDatePtBr(rec.dateISO);
+    const when = formatDateTimePtBr(rec.dateTimeISO);
+    if (store === 'weights') return `${when} • ${formatKg(Number(rec.weightKg))}`;
+    return `${when} • ${rec.medName || ''}`;
+  }
+
+  function formatRestoreValue(value) {
+    if (value === null || value === undefined || value === '') return '—';
+    const s = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    return s.length > 40 ? `${s.slice(0, 39)}…` : s;
+  }
+
+  function describeRestoreChanges(local, backup, fields) {
+    return fields.map((f) => `${f}: ${formatRestoreValue(local?.[f])} → ${formatRestoreValue(backup?.[f])}`).join(' • ');
+  }
+
+  function renderRestorePreview() {
+    const { diff, choices } = restoreState;
+    const merge = restoreModeEl.value === 'merge';
+    restoreModeHintEl.textContent = t(RESTORE_MODE_HINTS[restoreModeEl.value]);
+
+    clearChildren(restoreSummaryEl);
+    for (const [store, label] of Object.entries(MERGE_STORES)) {
+      const d = diff.stores[store];
+      const parts = [t('+{n} só no backup', { n: d.added.length }), t('{n} alterado(s)', { n: d.changed.length })];
+      let removed = t('{n} só neste aparelho', { n: d.removed.length });
+      if (d.removed.length) removed += ` ${merge ? t('(mantidos)') : t('(apagados)')}`;
+      parts.push(removed);
+      parts.push(t('{n} igual(is)', { n: d.unchanged }));
+      const row = createEl('div', { class: 'item', role: 'listitem' });
+      const main = createEl('div', { class: 'item__main' });
+      main.appendChild(createEl('div', { class: 'item__title' }, t(label)));
+      main.appendChild(createEl('div', { class: 'item__meta' }, parts.join(' • ')));
+      row.appendChild(main);
+      restoreSummaryEl.appendChild(row);
+    }
+
+    const conflicts = [];
+    for (const [store, d] of Object.entries(diff.stores)) {
+      for (const c of d.changed) {
+        conflicts.push({
+          key: conflictKey(store, c.id),
+          title: `${t(MERGE_STORES[store])} • ${describeRestoreRecord(store, c.local)}`,
+          meta: describeRestoreChanges(c.local, c.backup, c.fields)
+        });
+      }
+    }
+    if (diff.settings) {
+      conflicts.push({ key: 'settings', title: t('Configurações'), meta: describeRestoreChanges(diff.settings.local, diff.settings.backup, diff.settings.fields) });
+    }
+
+    restoreConflictsEl.hidden = !merge || !conflicts.length;
+    clearChildren(restoreConflictListEl);
+    if (!merge) return;
+    for (const c of conflicts) {
+      const row = createEl('div', { class: 'item', role: 'listitem' });
+      const main = createEl('div', { class: 'item__main' });
+      main.appendChild(createEl('div', { class: 'item__title' }, c.title));
+      main.appendChild(createEl('div', { class: 'item__meta' }, c.meta));
+      const actions = createEl('div', { class: 'item__actions' });
+      const select = createEl('select', { class: 'input', dataset: { key: c.key }, 'aria-label': t('Versão a manter: {title}', { title: c.title }) });
+      select.appendChild(createEl('option', { value: 'local' }, t('Manter deste aparelho')));
+      select.appendChild(createEl('option', { value: 'backup' }, t('Usar do backup')));
+      select.value = choices[c.key] || 'local';
+      actions.appendChild(select);
+      row.appendChild(main);
+      row.appendChild(actions);
+      restoreConflictListEl.appendChild(row);
+    }
+  }
+
+  function chooseAllRestoreConflicts(choice) {
+    for (const select of restoreConflictListEl.querySelectorAll('select[data-key]')) {
+      select.value = choice;
+      restoreState.choices[select.dataset.key] = choice;
+    }
+  }
+
+  async function saveRestoredSettings(settings) {
+    await saveSettings(settingsFromBackup(settings));
+  }
 
+  async function replaceProfileData(data) {
     await Promise.all([
-      clearStore(STORE_INJECTIONS),
-      clearStore(STORE_WEIGHTS),
-      clearStore(STORE_MEASURES)
+      clearProfileRecords(STORE_INJECTIONS),
+      clearProfileRecords(STORE_WEIGHTS),
+      clearProfileRecords(STORE_MEASURES),
+      clearProfileRecords(STORE_MEDICATIONS),
+      clearProfileRecords(STORE_INVENTORY)
+    ]);
+
+    // Importação (sempre para o perfil ativo)
+    await importMedicationsAndInjections(data);
+    await importRecordsIntoActiveProfile(STORE_WEIGHTS, data.weights, normalizeWeight);
+    await importRecordsIntoActiveProfile(STORE_MEASURES, data.measures, normalizeMeasures);
+    if (data.settings) await saveRestoredSettings(data.settings);
+  }
+
+  // Grava só o que entra na mesclagem; ids de outro perfil são trocados e os vínculos refeitos.
+  async function mergeProfileData(plan) {
+    await importMedicationsAndInjections({ medications: plan.put.medications, inventory: plan.put.inventory, injections: plan.put.injections });
+    await importRecordsIntoActiveProfile(STORE_WEIGHTS, plan.put.weights, normalizeWeight);
+    await importRecordsIntoActiveProfile(STORE_MEASURES, plan.put.measures, normalizeMeasures);
+    if (plan.settings) await saveRestoredSettings(plan.settings);
+  }
+
+  async function applyRestore() {
+    if (!restoreState) return;
+    const { data, diff, choices } = restoreState;
+    const replace = restoreModeEl.value === 'replace';
+
+    if (replace) {
+      const profile = await getActiveProfile();
+      const proceed = confirm(t('Substituir todos os dados do perfil "{profile}" pelo backup? Um backup automático é feito antes.', { profile: profile.name }));
+      if (!proceed) return;
+    }
+
+    // Criar backup antes de restaurar
+    await createAutoBackup('pre-restore');
+
+    const ignored = restoreState.rejected.filter((r) => r.store !== 'settings').length;
+    let message = t('Backup restaurado.');
+    if (replace) {
+      await replaceProfileData(data);
+    } else {
+      const plan = planMerge(diff, choices);
+      await mergeProfileData(plan);
+      const written = Object.values(plan.put).reduce((sum, list) => sum + list.length, 0);
+      message = plan.kept
+        ? t('Backup mesclado: {n} registro(s) gravado(s) • {kept} conflito(s) mantido(s) deste aparelho.', { n: written, kept: plan.kept })
+        : t('Backup mesclado: {n} registro(s) gravado(s).', { n: written });
+    }
+    await linkInjectionsToCatalog(await getAllForProfile(STORE_INJECTIONS), await ensureMedicationCatalog());
+
+    restoreState = null;
+    closeDialog(restoreDialog);
+    showToast(ignored ? `${message} ${t('{n} registro(s) inválido(s) ignorado(s).', { n: ignored })}` : message);
+    await refreshAll();
+  }
+
+  // -----------------------------
+  // Sincronização entre aparelhos (arquivo)
+  // -----------------------------
+
+  function getDeviceId() {
+    try {
+      let id = localStorage.getItem(DEVICE_ID_STORAGE_KEY);
+      if (!id) {
+        id = uuid();
+        localStorage.setItem(DEVICE_ID_STORAGE_KEY, id);
+      }
+      return id;
+    } catch {
+      return 'sem-armazenamento';
+    }
+  }
+
+  async function recordSyncChange(storeName, id, profileId, { deleted = false } = {}) {
+    const prev = await getByKey(STORE_SYNC, syncStorageKey(storeName, id, profileId));
+    const meta = touchSyncMeta(prev, { store: storeName, id, profileId, deviceId: getDeviceId(), deleted }, now());
+    await writeRecord(STORE_SYNC, meta);
+    await queueRemoteMutation(meta);
+  }
+
+  async function readSyncEntries(profileId = activeProfileId) {
+    const [medications, inventory, injections, weights, measures, settings, metas] = await Promise.all([
+      getAllForProfile(STORE_MEDICATIONS, profileId),
+      getAllForProfile(STORE_INVENTORY, profileId),
+      getAllForProfile(STORE_INJECTIONS, profileId),
+      getAllForProfile(STORE_WEIGHTS, profileId),
+      getAllForProfile(STORE_MEASURES, profileId),
+      getSettings(profileId),
+      getAllForProfile(STORE_SYNC, profileId)
     ]);
+    return buildSyncEntries({ records: { medications, inventory, injections, weights, measures }, settings, metas });
+  }
+
+  async function downloadSyncFile() {
+    const profile = await getActiveProfile();
+    const pkg = buildSyncPackage({ deviceId: getDeviceId(), profile, entries: await readSyncEntries() }, now());
+    downloadText(`dosecheck-sync-${todayStamp()}.json`, JSON.stringify(pkg), 'application/json;charset=utf-8');
+    showToast('Arquivo de sincronização gerado. Abra-o no outro aparelho em "Receber sincronização".');
+  }
+
+  // Grava o plano sem avançar revisões (as do plano já são as finais).
+  // Registros com o mesmo id em outro perfil deste aparelho ficam como estão.
+  // pushBack(item): o que também precisa ir para o servidor (se a sincronização remota estiver ligada).
+  // profileId: o perfil de quem leu as entradas (troca de perfil no meio do ciclo não mistura dados).
+  async function applySyncPlan(plan, { profileId = activeProfileId, pushBack = () => true } = {}) {
+    let skipped = 0;
+    for (const item of plan.apply) {
+      if (item.store === SYNC_SETTINGS_STORE) {
+        await saveSettings(item.record, { profileId, source: 'sync' });
+      } else {
+        const existing = await getByKey(item.store, item.id);
+        if (existing && existing.profileId !== profileId) {
+          skipped++;
+          continue;
+        }
+        const record = item.deleted ? null : { ...item.record, profileId };
+        if (item.deleted) {
+          if (existing) await deleteRecord(item.store, item.id);
+        } else {
+          await writeRecord(item.store, record);
+        }
+        await recordHistory(item.store, existing, record, 'sync');
+      }
+      const meta = {
+        key: syncStorageKey(item.store, item.id, profileId),
+        store: item.store,
+        recordId: item.id,
+        profileId,
+        ...item.meta,
+        deleted: item.deleted
+      };
+      await writeRecord(STORE_SYNC, meta);
+      if (pushBack(item)) await queueRemoteMutation(meta);
+    }
+    return skipped;
+  }
+
+  async function receiveSyncFile(file) {
+    let pkg;
+    try {
+      pkg = JSON.parse(await file.text());
+    } catch {
+      throw new Error('Arquivo inválido: não é um JSON.');
+    }
+    validateSyncPackage(pkg);
+    if (pkg.deviceId === getDeviceId()) throw new Error('Este arquivo foi gerado neste aparelho. Abra-o no outro aparelho.');
+
+    const profile = await getActiveProfile();
+    const from = pkg.profile?.name ? t('o perfil "{profile}" do outro aparelho', { profile: pkg.profile.name }) : t('o outro aparelho');
+    const proceed = confirm(t('Sincronizar o perfil "{profile}" com {from}? Um backup automático é feito antes.', { profile: profile.name, from }));
+    if (!proceed) return;
+
+    await createAutoBackup('pre-sync');
+    const { apply, stats } = planSync(await readSyncEntries(), pkg.entries);
+    const skipped = await applySyncPlan({ apply });
+    await linkInjectionsToCatalog(await getAllForProfile(STORE_INJECTIONS), await ensureMedicationCatalog());
+
+    const parts = [t('{n} recebido(s)', { n: stats.received }), t('{n} apagado(s)', { n: stats.deleted })];
+    if (stats.conflicts) parts.push(t('{n} editado(s) nos dois aparelhos (vale a edição mais recente)', { n: stats.conflicts }));
+    if (skipped) parts.push(t('{n} ignorado(s) (pertencem a outro perfil)', { n: skipped }));
+    const reply = stats.outdated || stats.conflicts ? ` ${t('Gere um arquivo aqui e abra no outro aparelho para completar.')}` : '';
+    showToast(`${t('Sincronizado: {summary}.', { summary: parts.join(' • ') })}${reply}`);
+    await refreshAll();
+  }
+
+  // -----------------------------
+  // Sincronização com servidor (opcional)
+  // -----------------------------
+
+  const REMOTE_SYNC_TAG = 'dosecheck-remote-sync';
+  // Espera após uma alteração antes de enviar (junta gravações em sequência).
+  const REMOTE_SYNC_DEBOUNCE_MS = 2000;
+
+  const remoteSyncStatusEl = document.getElementById('remoteSyncStatus');
+  const remoteSyncUrlEl = document.getElementById('remoteSyncUrl');
+  const remoteSyncSpaceEl = document.getElementById('remoteSyncSpace');
+  const remoteSyncSetupEl = document.getElementById('remoteSyncSetup');
+  const remoteSyncActiveEl = document.getElementById('remoteSyncActive');
+
+  let remoteSyncTimer = null;
+  let remoteSyncRunning = false;
+
+  function readRemoteSyncConfigs() {
+    try {
+      const parsed = JSON.parse(localStorage.getItem(REMOTE_SYNC_STORAGE_KEY) || '{}');
+      return parsed && typeof parsed === 'object' ? parsed : {};
+    } catch {
+      return {};
+    }
+  }
+
+  function readRemoteSyncConfig(profileId = activeProfileId) {
+    const cfg = readRemoteSyncConfigs()[profileId];
+    return cfg && isValidSyncSpace(cfg.space) ? cfg : null;
+  }
+
+  function writeRemoteSyncConfig(profileId, cfg) {
+    const all = readRemoteSyncConfigs();
+    if (cfg) all[profileId] = cfg;
+    else delete all[profileId];
+    try {
+      localStorage.setItem(REMOTE_SYNC_STORAGE_KEY, JSON.stringify(all));
+    } catch {
+      // ignore
+    }
+  }
+
+  function updateRemoteSyncConfig(patch, profileId = activeProfileId) {
+    const cfg = readRemoteSyncConfig(profileId);
+    if (cfg) writeRemoteSyncConfig(profileId, { ...cfg, ...patch });
+  }
+
+  // Fila (outbox): uma entrada por registro com a revisão mais nova a enviar.
+  async function queueRemoteMutation(meta) {
+    if (!readRemoteSyncConfig(meta.profileId)) return;
+    await writeRecord(STORE_OUTBOX, {
+      key: meta.key,
+      profileId: meta.profileId,
+      store: meta.store,
+      recordId: meta.recordId,
+      rev: meta.rev,
+      queuedAtISO: new Date().toISOString()
+    });
+    if (meta.profileId === activeProfileId) scheduleRemoteSync(REMOTE_SYNC_DEBOUNCE_MS);
+  }
+
+  async function removeSentOutbox(confirmed) {
+    for (const { key, rev } of confirmed) {
+      const item = await getByKey(STORE_OUTBOX, key);
+      if (item && isOutboxItemSent(item, rev)) await deleteRecord(STORE_OUTBOX, key);
+    }
+  }
+
+  function scheduleRemoteSync(delayMs = 0) {
+    if (!readRemoteSyncConfig()) return;
+    clearTimeout(remoteSyncTimer);
+    remoteSyncTimer = setTimeout(() => {
+      runRemoteSync().catch(() => {});
+    }, delayMs);
+  }
+
+  // Envia a fila e puxa as mudanças. Falha: nova tentativa com espera crescente e,
+  // quando o navegador tem Background Sync, o SW reenvia mesmo com o app fechado.
+  async function runRemoteSync({ manual = false } = {}) {
+    const cfg = readRemoteSyncConfig();
+    if (!cfg || remoteSyncRunning) return;
+    const profileId = activeProfileId;
+    remoteSyncRunning = true;
+    clearTimeout(remoteSyncTimer);
+    try {
+      const adapter = createHttpSyncAdapter({ baseUrl: cfg.url, space: cfg.space });
+      const result = await runSyncCycle(adapter, { cursor: cfg.cursor, deviceId: getDeviceId() }, {
+        readLocalEntries: () => readSyncEntries(profileId),
+        readOutbox: () => getAllForProfile(STORE_OUTBOX, profileId),
+        removeOutbox: removeSentOutbox,
+        applyPlan: (plan) => applySyncPlan(plan, { profileId, pushBack: (item) => item.from === 'local' })
+      });
+      updateRemoteSyncConfig({ cursor: result.cursor, lastSyncISO: new Date().toISOString(), lastError: '', attempts: 0 }, profileId);
+      // Trocou de perfil durante o ciclo: os dados já foram para o perfil certo; a tela é do outro.
+      if (profileId !== activeProfileId) return;
+
+      const { received, deleted } = result.stats;
+      if (received || deleted) {
+        await linkInjectionsToCatalog(await getAllForProfile(STORE_INJECTIONS), await ensureMedicationCatalog());
+        await refreshAll();
+      }
+      if (manual) showToast(t('Sincronizado com o servidor: {pushed} enviado(s), {received} recebido(s), {deleted} apagado(s).', { pushed: result.pushed, received, deleted }));
+      // Alterações feitas durante o ciclo ficaram na fila.
+      if (await countForProfile(STORE_OUTBOX, profileId)) scheduleRemoteSync(REMOTE_SYNC_DEBOUNCE_MS);
+    } catch (err) {
+      const attempts = (Number(cfg.attempts) || 0) + 1;
+      updateRemoteSyncConfig({ lastError: String(err?.message || err), attempts }, profileId);
+      scheduleRemoteSync(nextRetryDelayMs(attempts));
+      await requestBackgroundPush(cfg, profileId);
+      if (manual) showToast(t('Falha ao sincronizar: {error}. Nova tentativa automática.', { error: t(String(err?.message || err)) }));
+    } finally {
+      remoteSyncRunning = false;
+      renderRemoteSyncStatus().catch(() => {});
+    }
+  }
+
+  // Entrega ao SW o envio pendente; o navegador dispara o evento 'sync' quando houver rede.
+  async function requestBackgroundPush(cfg, profileId) {
+    try {
+      if (!('serviceWorker' in navigator)) return;
+      const registration = await navigator.serviceWorker.ready;
+      if (!('sync' in registration)) return;
+      const outbox = await getAllForProfile(STORE_OUTBOX, profileId);
+      if (!outbox.length) return;
+      const keys = new Set(outbox.map((o) => `${o.store}:${o.recordId}`));
+      const entries = (await readSyncEntries(profileId)).filter((e) => keys.has(`${e.store}:${e.id}`));
+      const url = new URL(`${String(cfg.url || REMOTE_SYNC_DEFAULT_URL).replace(/\/+$/, '')}/${encodeURIComponent(cfg.space)}/push`, location.href).href;
+      registration.active?.postMessage({ type: 'QUEUE_REMOTE_PUSH', url, body: { version: 1, deviceId: getDeviceId(), entries } });
+      await registration.sync.register(REMOTE_SYNC_TAG);
+    } catch {
+      // Sem Background Sync: fica a nova tentativa com o app aberto.
+    }
+  }
+
+  async function renderRemoteSyncStatus() {
+    if (!remoteSyncStatusEl) return;
+    const cfg = readRemoteSyncConfig();
+    if (remoteSyncSetupEl) remoteSyncSetupEl.hidden = Boolean(cfg);
+    if (remoteSyncActiveEl) remoteSyncActiveEl.hidden = !cfg;
+    if (!cfg) {
+      remoteSyncStatusEl.textContent = t('Desativada neste perfil.');
+      return;
+    }
+    const pending = await countForProfile(STORE_OUTBOX);
+    const parts = [
+      t('Código {space}', { space: cfg.space }),
+      cfg.lastSyncISO ? t('última sincronização {date}', { date: formatDateTimePtBr(cfg.lastSyncISO) }) : t('ainda não sincronizou')
+    ];
+    if (pending) parts.push(t('{n} alteração(ões) na fila', { n: pending }));
+    if (cfg.lastError) parts.push(t('erro: {error}', { error: t(cfg.lastError) }));
+    remoteSyncStatusEl.textContent = `${parts.join(' • ')}.`;
+  }
+
+  function generateRemoteSyncSpace() {
+    if (remoteSyncSpaceEl) remoteSyncSpaceEl.value = generateSyncSpace();
+  }
+
+  // Ligar: a fila recebe todos os registros do perfil (primeiro envio) e o cursor começa do zero.
+  async function enableRemoteSync() {
+    const space = String(remoteSyncSpaceEl?.value || '').trim();
+    if (!isValidSyncSpace(space)) throw new Error('Código inválido: use de 8 a 64 letras, números, - ou _. Toque em "Gerar código" ou cole o código do outro aparelho.');
+    const url = String(remoteSyncUrlEl?.value || '').trim() || REMOTE_SYNC_DEFAULT_URL;
+
+    writeRemoteSyncConfig(activeProfileId, { url, space, cursor: 0, lastSyncISO: '', lastError: '', attempts: 0 });
+    const metas = new Map((await getAllForProfile(STORE_SYNC)).map((m) => [`${m.store}:${m.recordId}`, m]));
+    for (const entry of await readSyncEntries()) {
+      const meta = metas.get(`${entry.store}:${entry.id}`);
+      await queueRemoteMutation(meta || {
+        key: syncStorageKey(entry.store, entry.id, activeProfileId),
+        profileId: activeProfileId,
+        store: entry.store,
+        recordId: entry.id,
+        rev: entry.rev
+      });
+    }
+    await runRemoteSync({ manual: true });
+  }
+
+  async function disableRemoteSync() {
+    writeRemoteSyncConfig(activeProfileId, null);
+    clearTimeout(remoteSyncTimer);
+    await clearProfileRecords(STORE_OUTBOX);
+    await renderRemoteSyncStatus();
+    showToast('Sincronização com servidor desativada neste perfil. Os dados continuam no aparelho.');
+  }
+
+  // Um backup pode trazer ids de outro perfil (ex.: backup do paciente A restaurado no B).
+  // Nesses casos geramos um novo id para não "roubar" o registro do outro perfil.
+  // Retorna id original -> id gravado (usado para refazer vínculos, ex.: medicationId).
+  async function importRecordsIntoActiveProfile(storeName, records, normalize) {
+    const idMap = new Map();
+    for (const raw of records) {
+      const record = { ...raw, profileId: activeProfileId };
+      if (!record.id) record.id = uuid();
+      const existing = await getByKey(storeName, record.id);
+      if (existing && existing.profileId !== activeProfileId) record.id = uuid();
+      if (raw.id) idMap.set(raw.id, record.id);
+      await put(storeName, normalize(record), { source: 'restore' });
+    }
+    return idMap;
+  }
+
+  // Catálogo e estoque primeiro, para as aplicações apontarem para os ids gravados.
+  // Backups sem catálogo: ensureMedicationCatalog() monta depois, a partir das aplicações.
+  async function importMedicationsAndInjections(data) {
+    const nowISO = now().toISOString();
+    const normalizeMed = (m) => normalizeMedication(m, { profileId: activeProfileId, makeId: uuid, nowISO, todayKey: getLocalDateKey(now()) });
+    const medIds = Array.isArray(data.medications)
+      ? await importRecordsIntoActiveProfile(STORE_MEDICATIONS, data.medications, normalizeMed)
+      : new Map();
+    const remap = (map, id) => (map.has(id) ? map.get(id) : id);
+
+    const inventory = (Array.isArray(data.inventory) ? data.inventory : []).map((it) => ({ ...it, medicationId: remap(medIds, it.medicationId) }));
+    const itemIds = await importRecordsIntoActiveProfile(STORE_INVENTORY, inventory, (it) => normalizeInventoryItem(it, { profileId: activeProfileId, makeId: uuid, nowISO }));
+
+    const injections = data.injections.map((i) => ({ ...i, medicationId: remap(medIds, i.medicationId), inventoryId: remap(itemIds, i.inventoryId) }));
+    await importRecordsIntoActiveProfile(STORE_INJECTIONS, injections, normalizeInjection);
+  }
+
+  // -----------------------------
+  // Importação de planilha (CSV/TSV)
+  // -----------------------------
+
+  const IMPORT_STORES = {
+    weight: STORE_WEIGHTS,
+    injection: STORE_INJECTIONS,
+    measures: STORE_MEASURES
+  };
+
+  // Arquivo lido + mapeamento atual do assistente (refeito a cada mudança nos campos).
+  let importState = null;
+
+  function importNormalizer(kind) {
+    if (kind === 'weight') return normalizeWeight;
+    if (kind === 'injection') return normalizeInjection;
+    return normalizeMeasures;
+  }
+
+  async function openImportWizard() {
+    importState = null;
+    if (importFileEl) importFileEl.value = '';
+    if (importFileInfoEl) importFileInfoEl.textContent = t('CSV (vírgula ou ponto e vírgula) ou TSV.');
+    if (importSetupEl) importSetupEl.hidden = true;
 
-    // Importação
-    for (const inj of data.injections) {
-      if (!inj.id) inj.id = uuid();
-      await put(STORE_INJECTIONS, normalizeInjection(inj));
+    const meds = await listMedications();
+    clearChildren(importMedicationEl);
+    for (const med of meds) {
+      importMedicationEl.appendChild(createEl('option', { value: med.id }, medicationLabel(med)));
     }
-    for (const w of data.weights) {
-      if (!w.id) w.id = uuid();
-      await put(STORE_WEIGHTS, normalizeWeight(w));
+    importMedicationEl.value = meds.find((m) => m.active !== false)?.id || meds[0]?.id || '';
+
+    importDialog.showModal();
+  }
+
+  async function loadImportFile(file) {
+    const text = await file.text();
+    const delimiter = detectDelimiter(text);
+    const rows = parseCsv(text, delimiter);
+    if (!rows.length) throw new Error('Arquivo vazio.');
+
+    const kind = importKindEl.value;
+    importState = { fileName: file.name, rows, delimiter, kind, mapping: guessColumnMapping(rows[0], kind) };
+    const delimiterLabel = { '\t': 'tabulação', ';': 'ponto e vírgula', ',': 'vírgula' }[delimiter];
+    importFileInfoEl.textContent = t('{file} • {n} linha(s) • separador: {delimiter}', { file: file.name, n: rows.length, delimiter: t(delimiterLabel) });
+    importHasHeaderEl.checked = Object.keys(importState.mapping).length > 0;
+    importSetupEl.hidden = false;
+
+    renderImportMapping();
+    await renderImportPreview();
+  }
+
+  function importColumnLabel(index) {
+    const header = importHasHeaderEl.checked ? importState.rows[0][index] : '';
+    const label = t('Coluna {n}', { n: index + 1 });
+    return header ? `${label} • ${header}` : label;
+  }
+
+  function renderImportMapping() {
+    const { rows, kind, mapping } = importState;
+    const columns = Math.max(...rows.map((r) => r.length));
+    clearChildren(importMappingEl);
+
+    for (const field of IMPORT_KINDS[kind].fields) {
+      const id = `importCol_${field.key}`;
+      const wrap = createEl('div', { class: 'field' });
+      wrap.appendChild(createEl('label', { class: 'label', for: id }, `${t(field.label)}${field.required ? ' *' : ''}`));
+      const select = createEl('select', { id, class: 'input', dataset: { field: field.key } });
+      select.appendChild(createEl('option', { value: '' }, t('(não importar)')));
+      for (let i = 0; i < columns; i++) select.appendChild(createEl('option', { value: String(i) }, importColumnLabel(i)));
+      select.value = mapping[field.key] === undefined ? '' : String(mapping[field.key]);
+      wrap.appendChild(select);
+      importMappingEl.appendChild(wrap);
+    }
+
+    if (importMedicationFieldEl) importMedicationFieldEl.hidden = kind !== 'injection';
+  }
+
+  function readImportMapping() {
+    const mapping = {};
+    for (const select of importMappingEl.querySelectorAll('select[data-field]')) {
+      if (select.value !== '') mapping[select.dataset.field] = Number(select.value);
+    }
+    return mapping;
+  }
+
+  // Formato escolhido ou, em "Automático", o detectado nas datas da coluna mapeada.
+  function renderImportDateFormats() {
+    const { rows, mapping } = importState;
+    const dataRows = importHasHeaderEl.checked ? rows.slice(1) : rows;
+    const detected = mapping.date === undefined ? null : detectDateFormat(dataRows.map((r) => r[mapping.date]));
+    const selected = importDateFormatEl.value || 'auto';
+
+    clearChildren(importDateFormatEl);
+    importDateFormatEl.appendChild(createEl('option', { value: 'auto' }, detected ? t('Automático ({format})', { format: t(IMPORT_DATE_FORMATS[detected]) }) : t('Automático (não reconhecido)')));
+    for (const [value, label] of Object.entries(IMPORT_DATE_FORMATS)) importDateFormatEl.appendChild(createEl('option', { value }, t(label)));
+    importDateFormatEl.value = selected;
+    return selected === 'auto' ? detected : selected;
+  }
+
+  async function buildImportClassification() {
+    const { rows, kind } = importState;
+    importState.mapping = readImportMapping();
+    const dateFormat = renderImportDateFormats();
+    const [medications, existing, settings] = await Promise.all([listMedications(), getAllForProfile(IMPORT_STORES[kind]), getSettings()]);
+    const records = buildImportRecords(rows, {
+      kind,
+      mapping: importState.mapping,
+      dateFormat: dateFormat || 'dmy',
+      hasHeader: importHasHeaderEl.checked,
+      medications,
+      defaultMedicationId: importMedicationEl.value || null,
+      weightUnit: settings.weightUnit,
+      lengthUnit: settings.lengthUnit
+    });
+    return classifyImportRecords(records, existing, kind);
+  }
+
+  async function renderImportPreview() {
+    if (!importState) return;
+    const classified = await buildImportClassification();
+    const { counts, records } = classified;
+    const plan = planImport(classified, importConflictPolicyEl.value);
+
+    importSummaryEl.textContent = [
+      t('{n} novo(s)', { n: counts.new }),
+      t('{n} duplicado(s)', { n: counts.duplicate }),
+      t('{n} conflito(s)', { n: counts.conflict }),
+      t('{n} inválido(s)', { n: counts.invalid }),
+      t('→ grava {n}', { n: plan.create.length + plan.replace.length })
+    ].join(' • ');
+    importConfirmBtn.disabled = !(plan.create.length + plan.replace.length);
+
+    clearChildren(importPreviewEl);
+    if (!records.length) {
+      renderEmptyState(importPreviewEl, 'Nenhuma linha de dados', 'Confira se a primeira linha é mesmo o cabeçalho.');
+      return;
+    }
+    for (const r of records.slice(0, IMPORT_PREVIEW_ROWS)) {
+      const row = createEl('div', { class: 'item', role: 'listitem' });
+      const main = createEl('div', { class: 'item__main' });
+      main.appendChild(createEl('div', { class: 'item__title' }, t('Linha {n} • {status}', { n: r.line, status: t(IMPORT_STATUS_LABELS[r.status]) })));
+      main.appendChild(createEl('div', { class: 'item__meta' }, r.error ? t(r.error, r.errorParams) : describeImportInput(importState.kind, r.input)));
+      row.appendChild(main);
+      importPreviewEl.appendChild(row);
     }
-    for (const m of data.measures) {
-      if (!m.id) m.id = uuid();
-      await put(STORE_MEASURES, normalizeMeasures(m));
+    if (records.length > IMPORT_PREVIEW_ROWS) {
+      importPreviewEl.appendChild(createEl('div', { class: 'hint' }, t('… e mais {n} linha(s).', { n: records.length - IMPORT_PREVIEW_ROWS })));
     }
+  }
 
-    if (data.settings) {
-      await saveSettings({
-        reminderDow: data.settings.reminderDow ?? DEFAULTS.reminderDow,
-        reminderTime: data.settings.reminderTime ?? DEFAULTS.reminderTime,
+  function describeImportInput(kind, input) {
+    if (kind === 'measures') {
+      const parts = [formatDatePtBr(input.dateISO)];
+      if (input.waistCm !== undefined) parts.push(t('cintura {value}', { value: formatCm(input.waistCm) }));
+      if (input.hipCm !== undefined) parts.push(t('quadril {value}', { value: formatCm(input.hipCm) }));
+      return parts.join(' • ');
+    }
+    const parts = [formatDateTimePtBr(input.dateTimeISO)];
+    if (kind === 'weight') parts.push(formatKg(input.weightKg));
+    if (kind === 'injection') {
+      if (input.medName) parts.push(input.medName);
+      if (input.doseMg !== undefined) parts.push(formatDoseMg(input.doseMg));
+    }
+    return parts.join(' • ');
+  }
 
-        injectionDayOfWeek: data.settings.injectionDayOfWeek ?? DEFAULTS.injectionDayOfWeek,
-        injectionTime: data.settings.injectionTime ?? DEFAULTS.injectionTime,
-        weighDaysOfWeek: data.settings.weighDaysOfWeek ?? DEFAULTS.weighDaysOfWeek,
-        measureReminderEveryDays: data.settings.measureReminderEveryDays ?? DEFAULTS.measureReminderEveryDays,
+  async function confirmImport() {
+    if (!importState) return;
+    const { kind } = importState;
+    const plan = planImport(await buildImportClassification(), importConflictPolicyEl.value);
+    const total = plan.create.length + plan.replace.length;
+    if (!total) throw new Error('Nada para importar.');
 
-        patientName: data.settings.patientName ?? DEFAULTS.patientName,
-        patientBirthYear: data.settings.patientBirthYear ?? DEFAULTS.patientBirthYear,
-        preferredReportRangeDays: data.settings.preferredReportRangeDays ?? DEFAULTS.preferredReportRangeDays,
+    const proceed = confirm(t('Importar {n} registro(s) de {kind}? Um backup automático é feito antes.', { n: total, kind: t(IMPORT_KINDS[kind].label).toLowerCase() }));
+    if (!proceed) return;
 
-        enableArmSites: data.settings.enableArmSites ?? DEFAULTS.enableArmSites
-      });
+    await createAutoBackup('pre-import');
+    const store = IMPORT_STORES[kind];
+    const normalize = importNormalizer(kind);
+    for (const input of plan.create) {
+      await put(store, normalize({ ...input, profileId: activeProfileId }), { source: 'import' });
+    }
+    for (const { id, input } of plan.replace) {
+      const existing = await getByKey(store, id);
+      await put(store, normalize({ ...(existing || {}), ...input, id, profileId: activeProfileId }), { source: 'import' });
+    }
+    if (kind === 'injection') {
+      await linkInjectionsToCatalog(await getAllForProfile(STORE_INJECTIONS), await ensureMedicationCatalog());
     }
 
-    showToast('Backup restaurado.');
+    closeDialog(importDialog);
+    importState = null;
+    showToast(plan.skipped
+      ? t('{n} registro(s) importado(s) • {skipped} ignorado(s).', { n: total, skipped: plan.skipped })
+      : t('{n} registro(s) importado(s).', { n: total }));
     await refreshAll();
   }
 
-  async function createAutoBackup(reason = 'manual') {
-    const [injections, weights, measures] = await Promise.all([
-      getAll(STORE_INJECTIONS),
-      getAll(STORE_WEIGHTS),
-      getAll(STORE_MEASURES)
+  async function createAutoBackup(reason = 'manual', profileId = activeProfileId) {
+    const [injections, weights, measures, medications, inventory] = await Promise.all([
+      getAllForProfile(STORE_INJECTIONS, profileId),
+      getAllForProfile(STORE_WEIGHTS, profileId),
+      getAllForProfile(STORE_MEASURES, profileId),
+      getAllForProfile(STORE_MEDICATIONS, profileId),
+      getAllForProfile(STORE_INVENTORY, profileId)
     ]);
-    const settings = await getSettings();
+    const settings = await getSettings(profileId);
 
     const backup = {
       id: uuid(),
-      timestamp: new Date().toISOString(),
+      profileId,
+      timestamp: now().toISOString(),
       appVersion: APP_VERSION,
       reason,
       data: {
+        medications,
+        inventory,
         injections,
         weights,
         measures,
@@ -4228,8 +4789,8 @@
 
     await put(STORE_AUTO_BACKUPS, backup);
 
-    // Manter apenas os 5 backups mais recentes
-    const allBackups = await getAll(STORE_AUTO_BACKUPS);
+    // Manter apenas os 5 backups mais recentes (por perfil)
+    const allBackups = await getAllForProfile(STORE_AUTO_BACKUPS, profileId);
     if (allBackups.length > 5) {
       allBackups.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
       const toDelete = allBackups.slice(5);
@@ -4242,7 +4803,7 @@
   }
 
   async function getLastAutoBackup() {
-    const backups = await getAll(STORE_AUTO_BACKUPS);
+    const backups = await getAllForProfile(STORE_AUTO_BACKUPS);
     if (!backups.length) return null;
     backups.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
     return backups[0];
@@ -4250,58 +4811,172 @@
 
   async function restoreAutoBackup(backupId) {
     const backup = await getByKey(STORE_AUTO_BACKUPS, backupId);
-    if (!backup) {
+    if (!backup || backup.profileId !== activeProfileId) {
       showToast('Backup não encontrado.');
       return;
     }
 
-    const proceed = confirm(`Restaurar backup de ${formatDateTimePtBr(backup.timestamp)}?\nVersão: ${backup.appVersion}\nMotivo: ${backup.reason}\n\nIsto substituirá seus dados atuais.`);
+    const reason = BACKUP_REASON_LABELS[backup.reason] || backup.reason;
+    // Snapshots antigos (sem medications/inventory) passam pelo mesmo upgrade dos arquivos.
+    const { data, rejected } = validateBackup(backup.data);
+    await openRestorePreview(data, {
+      rejected,
+      source: 'auto',
+      label: t('Backup automático de {date} (versão {version}, {reason})', { date: formatDateTimePtBr(backup.timestamp), version: backup.appVersion, reason: t(reason) })
+    });
+  }
+
+  // Tudo vai para a lixeira como uma exclusão só (restaurável de uma vez).
+  // Como antes, vale só para este aparelho: não gera lápides de sincronização.
+  async function wipeAll() {
+    const profile = await getActiveProfile();
+    const proceed = confirm(t('Tem certeza? Isso move para a lixeira aplicações, pesos, medidas, medicamentos, estoque e configurações do perfil "{profile}".', { profile: profile.name }));
     if (!proceed) return;
 
-    // Criar backup antes de restaurar
-    await createAutoBackup('pre-restore');
+    const batchId = `wipe:${uuid()}`;
+    const deletedAt = now();
+    for (const storeName of [STORE_INJECTIONS, STORE_WEIGHTS, STORE_MEASURES, STORE_MEDICATIONS, STORE_INVENTORY]) {
+      for (const record of await getAllForProfile(storeName)) {
+        await writeRecord(STORE_TRASH, buildTrashItem({ store: storeName, record, profileId: activeProfileId, batchId }, deletedAt));
+      }
+    }
+    const settingsRecord = await getByKey(STORE_SETTINGS, settingsKeyForProfile(activeProfileId));
+    if (settingsRecord?.value) {
+      await writeRecord(STORE_TRASH, buildTrashItem({ store: TRASH_SETTINGS_STORE, record: settingsRecord.value, profileId: activeProfileId, batchId }, deletedAt));
+    }
 
     await Promise.all([
-      clearStore(STORE_INJECTIONS),
-      clearStore(STORE_WEIGHTS),
-      clearStore(STORE_MEASURES)
+      clearProfileRecords(STORE_INJECTIONS),
+      clearProfileRecords(STORE_WEIGHTS),
+      clearProfileRecords(STORE_MEASURES),
+      clearProfileRecords(STORE_MEDICATIONS),
+      clearProfileRecords(STORE_INVENTORY),
+      del(STORE_SETTINGS, settingsKeyForProfile(activeProfileId))
     ]);
+    await ensureMedicationCatalog();
 
-    const data = backup.data;
-    for (const inj of data.injections) {
-      if (!inj.id) inj.id = uuid();
-      await put(STORE_INJECTIONS, normalizeInjection(inj));
-    }
-    for (const w of data.weights) {
-      if (!w.id) w.id = uuid();
-      await put(STORE_WEIGHTS, normalizeWeight(w));
-    }
-    for (const m of data.measures) {
-      if (!m.id) m.id = uuid();
-      await put(STORE_MEASURES, normalizeMeasures(m));
-    }
+    showUndoToast('Dados movidos para a lixeira.', () => undoTrash(batchId));
+    await refreshAll();
+  }
 
-    if (data.settings) {
-      await saveSettings(data.settings);
+  // -----------------------------
+  // Lixeira (exclusão reversível)
+  // -----------------------------
+
+  const trashListEl = document.getElementById('trashList');
+  const trashRetentionEl = document.getElementById('trashRetention');
+
+  // Exclui o registro guardando uma cópia na lixeira; a exclusão sincroniza como lápide.
+  async function moveToTrash(storeName, id) {
+    const record = await getByKey(storeName, id);
+    if (!record) throw new Error('Registro não encontrado.');
+    const item = buildTrashItem({ store: storeName, record, profileId: record.profileId || activeProfileId }, now());
+    await writeRecord(STORE_TRASH, item);
+    await del(storeName, id);
+    return item.batchId;
+  }
+
+  // Restaurar grava de novo (nova revisão: vence a lápide nos outros aparelhos).
+  async function restoreTrashItem(item) {
+    if (item.store === TRASH_SETTINGS_STORE) await saveSettings(settingsFromBackup(item.record));
+    else await put(item.store, { ...item.record, profileId: activeProfileId }, { source: 'trash' });
+    await deleteRecord(STORE_TRASH, item.key);
+  }
+
+  async function restoreTrashBatch(batchId) {
+    const items = trashItemsInBatch(await getAllForProfile(STORE_TRASH), batchId);
+    if (!items.length) throw new Error('Nada para restaurar: o item já saiu da lixeira.');
+
+    // "Apagar tudo" deixa um catálogo provisório; ele sai quando o original volta.
+    if (items.some((item) => item.store === STORE_MEDICATIONS)) {
+      const deletedAtISO = items[0].deletedAtISO;
+      const injections = await getAllForProfile(STORE_INJECTIONS);
+      for (const med of await listMedications()) {
+        const provisional = String(med.createdAtISO || '') >= deletedAtISO && !injections.some((inj) => inj.medicationId === med.id);
+        if (provisional) await del(STORE_MEDICATIONS, med.id);
+      }
     }
 
-    showToast('Backup automático restaurado.');
+    for (const item of items) await restoreTrashItem(item);
+    await linkInjectionsToCatalog(await getAllForProfile(STORE_INJECTIONS), await ensureMedicationCatalog());
+    return items.length;
+  }
+
+  async function undoTrash(batchId) {
+    await restoreTrashBatch(batchId);
+    showToast('Exclusão desfeita.');
     await refreshAll();
   }
 
-  async function wipeAll() {
-    const proceed = confirm('Tem certeza? Isso apaga aplicações, pesos, medidas e configurações.');
-    if (!proceed) return;
+  // Desfazer edição: grava de volta a versão anterior.
+  function undoEdit(storeName, previous) {
+    return async () => {
+      await put(storeName, previous, { source: 'undo' });
+      showToast('Edição desfeita.');
+      await refreshAll();
+    };
+  }
 
-    await Promise.all([
-      clearStore(STORE_INJECTIONS),
-      clearStore(STORE_WEIGHTS),
-      clearStore(STORE_MEASURES),
-      clearStore(STORE_SETTINGS)
-    ]);
+  async function purgeTrashBatch(batchId) {
+    const items = trashItemsInBatch(await getAllForProfile(STORE_TRASH), batchId);
+    for (const item of items) await deleteRecord(STORE_TRASH, item.key);
+    return items.length;
+  }
 
-    showToast('Dados apagados.');
-    await refreshAll();
+  async function purgeExpiredTrash() {
+    const settings = await getSettings();
+    const expired = expiredTrashItems(await getAllForProfile(STORE_TRASH), settings.trashRetentionDays, now());
+    for (const item of expired) await deleteRecord(STORE_TRASH, item.key);
+  }
+
+  // Uma linha por exclusão: item único ou o lote do "Apagar tudo".
+  async function renderTrash() {
+    if (!trashListEl) return;
+    await purgeExpiredTrash();
+    const settings = await getSettings();
+    if (trashRetentionEl) trashRetentionEl.value = String(settings.trashRetentionDays);
+
+    const batches = new Map();
+    for (const item of sortTrashItems(await getAllForProfile(STORE_TRASH))) {
+      if (!batches.has(item.batchId)) batches.set(item.batchId, []);
+      batches.get(item.batchId).push(item);
+    }
+
+    clearChildren(trashListEl);
+    if (!batches.size) {
+      renderEmptyState(trashListEl, 'Lixeira vazia', 'Registros excluídos ficam aqui para restaurar.');
+      return;
+    }
+
+    for (const [batchId, items] of batches.entries()) {
+      const [first] = items;
+      const title = items.length > 1 ? t('"Apagar tudo" • {n} registros', { n: items.length }) : trashItemLabel(first);
+      const expires = formatDateShortPtBr(trashExpiresAt(first, settings.trashRetentionDays));
+
+      const row = createEl('div', { class: 'item', role: 'listitem' });
+      const main = createEl('div', { class: 'item__main' });
+      main.appendChild(createEl('div', { class: 'item__title' }, title));
+      main.appendChild(createEl('div', { class: 'item__meta' }, t('Excluído em {date} • apagado de vez em {expires}', { date: formatDateTimePtBr(first.deletedAtISO), expires })));
+      row.appendChild(main);
+
+      const actions = createEl('div', { class: 'item__actions' });
+      actions.appendChild(createEl('button', { class: 'btn btn--secondary', type: 'button', dataset: { action: 'restoreTrash', id: batchId } }, t('Restaurar')));
+      actions.appendChild(createEl('button', { class: 'btn btn--danger', type: 'button', dataset: { action: 'purgeTrash', id: batchId } }, t('Apagar de vez')));
+      row.appendChild(actions);
+      trashListEl.appendChild(row);
+    }
+  }
+
+  async function emptyTrash() {
+    const items = await getAllForProfile(STORE_TRASH);
+    if (!items.length) {
+      showToast('A lixeira já está vazia.');
+      return;
+    }
+    if (!confirm(t('Apagar de vez {n} registro(s) da lixeira? Essa ação não pode ser desfeita.', { n: items.length }))) return;
+    await clearProfileRecords(STORE_TRASH);
+    showToast('Lixeira esvaziada.');
+    await renderTrash();
   }
 
   // -----------------------------
@@ -4309,7 +4984,7 @@
   // -----------------------------
 
   async function openInjectionForm(existing = null) {
-    const injections = await getAll(STORE_INJECTIONS);
+    const injections = await getAllForProfile(STORE_INJECTIONS);
     injections.sort(sortByDateTimeDesc);
 
     const settings = await getSettings();
@@ -4319,19 +4994,21 @@
 
     // Título
     const title = document.getElementById('injTitle');
-    title.textContent = existing ? 'Editar aplicação' : 'Registrar aplicação';
+    title.textContent = existing ? t('Editar aplicação') : t('Registrar aplicação');
 
     injIdEl.value = existing?.id || '';
     injDateTimeEl.value = existing ? toLocalDateTimeInputValue(new Date(existing.dateTimeISO)) : toLocalDateTimeInputValue(now());
-    injMedNameEl.value = existing?.medName || 'Retatrutida';
+    await renderInjectionMedicationOptions(existing);
     injDoseEl.value = formatDecimalForInput(existing?.doseMg ?? '');
+    delete injDoseEl.dataset.userTouched;
+    await applyPlannedDose(!existing);
     injSiteEl.value = existing?.site || suggestedSite;
     injNotesEl.value = existing?.notes || '';
 
     if (injSiteHintEl) {
       injSiteHintEl.textContent = existing
-        ? 'Dica: alternar lados ajuda a manter um rodízio simples.'
-        : `Sugestão de rodízio: ${siteLabel(suggestedSite)}.`;
+        ? t('Dica: alternar lados ajuda a manter um rodízio simples.')
+        : t('Sugestão de rodízio: {site}.', { site: siteLabel(suggestedSite) });
     }
 
     // Sintomas
@@ -4344,6 +5021,44 @@
     injDialog.showModal();
   }
 
+  // Medicamentos em uso (e o da aplicação em edição, mesmo inativo). Nova aplicação: o que vence primeiro.
+  async function renderInjectionMedicationOptions(existing = null) {
+    if (!injMedicationEl) return;
+    const meds = await listMedications();
+    const currentId = existing ? resolveInjectionMedicationId(existing, meds) : null;
+
+    clearChildren(injMedicationEl);
+    for (const med of meds) {
+      if (med.active === false && med.id !== currentId) continue;
+      injMedicationEl.appendChild(createEl('option', { value: med.id, dataset: { unit: med.unit } }, medicationLabel(med)));
+    }
+
+    const [firstDue] = existing ? [] : await computeNextInjectionsByMedication();
+    injMedicationEl.value = currentId || firstDue?.med.id || injMedicationEl.options[0]?.value || '';
+    updateInjectionDoseUnit();
+  }
+
+  function updateInjectionDoseUnit() {
+    if (!injDoseUnitEl || !injMedicationEl) return;
+    injDoseUnitEl.textContent = injMedicationEl.selectedOptions[0]?.dataset.unit || 'mg';
+  }
+
+  // Dose planejada pela titulação para o medicamento e o dia escolhidos.
+  // fill=true preenche o campo (nova aplicação, enquanto o usuário não digitar outra dose).
+  async function applyPlannedDose(fill) {
+    if (!injMedicationEl) return;
+    const med = (await listMedications()).find((m) => m.id === injMedicationEl.value) || null;
+    const dateTimeISO = parseLocalDateTimeInputToISO(injDateTimeEl.value);
+    const dateKey = getLocalDateKey(dateTimeISO ? new Date(dateTimeISO) : now());
+    const planned = med?.titration ? plannedDoseOn(med.titration, dateKey) : null;
+
+    if (fill && planned !== null) injDoseEl.value = formatDecimalForInput(planned);
+    if (injDoseHintEl) {
+      injDoseHintEl.textContent = planned !== null ? t('Planejada pela titulação: {dose}.', { dose: formatDose(planned, med.unit) }) : '';
+      injDoseHintEl.hidden = planned === null;
+    }
+  }
+
   function closeDialog(dialog) {
     if (!dialog) return;
     dialog.close();
@@ -4352,7 +5067,6 @@
   function clearInjectionForm() {
     injIdEl.value = '';
     injDateTimeEl.value = toLocalDateTimeInputValue(now());
-    injMedNameEl.value = 'Retatrutida';
     injDoseEl.value = '';
     injNotesEl.value = '';
     for (const k of Object.keys(symEls)) {
@@ -4365,10 +5079,15 @@
     const dateTimeISO = parseLocalDateTimeInputToISO(injDateTimeEl.value);
     if (!dateTimeISO) throw new Error('Data/hora inválida.');
 
+    const meds = await listMedications();
+    const med = meds.find((m) => m.id === injMedicationEl.value);
+    if (!med) throw new Error('Escolha o medicamento.');
+
     const record = normalizeInjection({
       id: injIdEl.value || null,
       dateTimeISO,
-      medName: injMedNameEl.value,
+      medicationId: med.id,
+      medName: med.name,
       doseMg: injDoseEl.value,
       site: injSiteEl.value,
       symptoms: {
@@ -4383,8 +5102,18 @@
 
     if (!Number.isFinite(record.doseMg)) throw new Error('Dose inválida.');
 
-    await put(STORE_INJECTIONS, record);
-    showToast(injIdEl.value ? 'Aplicação atualizada.' : 'Aplicação salva.');
+    const previous = injIdEl.value ? await getByKey(STORE_INJECTIONS, injIdEl.value) : null;
+    const saved = await assignInventoryItem(record, previous);
+    await put(STORE_INJECTIONS, saved);
+
+    let toast = injIdEl.value ? t('Aplicação atualizada.') : t('Aplicação salva.');
+    if (saved.inventoryId) {
+      const item = await getByKey(STORE_INVENTORY, saved.inventoryId);
+      const used = inventoryUsage(await getAllForProfile(STORE_INJECTIONS)).get(saved.inventoryId);
+      if (item) toast += ` ${t('{item}: restam {dose}.', { item: inventoryItemLabel(item), dose: formatDose(Math.max(0, item.totalAmount - (used || 0)), med.unit) })}`;
+    }
+    if (previous) showUndoToast(toast, undoEdit(STORE_INJECTIONS, previous));
+    else showToast(toast);
 
     closeDialog(injDialog);
     clearInjectionForm();
@@ -4393,7 +5122,7 @@
 
   // Late Symptoms (após aplicação)
   async function openLateSymptomsDialog(injectionId) {
-    const all = await getAll(STORE_INJECTIONS);
+    const all = await getAllForProfile(STORE_INJECTIONS);
     const inj = all.find((x) => x.id === injectionId);
     if (!inj) {
       showToast('Aplicação não encontrada.');
@@ -4439,14 +5168,14 @@
       return;
     }
 
-    const all = await getAll(STORE_INJECTIONS);
-    const inj = all.find((x) => x.id === injectionId);
-    if (!inj) {
+    const found = await getByKey(STORE_INJECTIONS, injectionId);
+    if (!found || found.profileId !== activeProfileId) {
       showToast('Aplicação não encontrada.');
       return;
     }
 
-    // Atualizar apenas os sintomas
+    // Atualizar apenas os sintomas (cópia: o registro lido pode estar no cache)
+    const inj = { ...found };
     inj.symptoms = {
       nausea: Number(lateSymEls.nausea.value || 0),
       reflux: Number(lateSymEls.reflux.value || 0),
@@ -4458,7 +5187,7 @@
     // Manter observações anteriores e adicionar as novas se houver
     const newNotes = lateSymNotesEl.value.trim();
     if (newNotes) {
-      inj.notes = (inj.notes ? inj.notes + ' | ' : '') + `[Sintomas tardios] ${newNotes}`;
+      inj.notes = (inj.notes ? inj.notes + ' | ' : '') + `[${t('Sintomas tardios')}] ${newNotes}`;
     }
 
     await put(STORE_INJECTIONS, inj);
@@ -4473,13 +5202,10 @@
   async function renderLateSymptomInjectionOptions() {
     if (!lateSymptomInjectionEl) return;
 
-    const all = await getAll(STORE_INJECTIONS);
-    all.sort(sortByDateTimeDesc);
-    
     // Mostrar últimas 14 aplicações
-    const recent = all.slice(0, 14);
+    const { records: recent } = await getPageForProfile(STORE_INJECTIONS, { limit: 14 });
 
-    lateSymptomInjectionEl.innerHTML = '<option value="">Selecione uma aplicação...</option>';
+    lateSymptomInjectionEl.innerHTML = `<option value="">${escapeHtml(t('Selecione uma aplicação...'))}</option>`;
     for (const inj of recent) {
       const opt = document.createElement('option');
       opt.value = inj.id;
@@ -4488,13 +5214,131 @@
     }
   }
 
+  // Medicamento (catálogo)
+  async function openMedicationForm(existing = null) {
+    const meds = await listMedications();
+    const med = existing || normalizeMedication({
+      name: meds.length ? '' : DEFAULT_MED_NAME,
+      color: MED_COLORS[meds.length % MED_COLORS.length],
+      schedule: await getSettings()
+    }, { profileId: activeProfileId, makeId: () => '', todayKey: getLocalDateKey(now()) });
+
+    document.getElementById('medTitle').textContent = existing ? 'Editar medicamento' : 'Novo medicamento';
+    medIdEl.value = existing?.id || '';
+    medNameEl.value = existing ? med.name : '';
+    medConcentrationEl.value = med.concentration;
+    medUnitEl.value = med.unit;
+    medRouteEl.value = med.route;
+    medColorEl.value = med.color;
+    medActiveEl.value = String(med.active !== false);
+
+    const schedule = resolveInjectionSchedule(med.schedule);
+    medScheduleModeEl.value = schedule.mode;
+    medDowEls.forEach((el, d) => {
+      if (el) el.checked = schedule.daysOfWeek.includes(d);
+    });
+    medEveryDaysEl.value = String(schedule.everyDays);
+    medStartDateEl.value = schedule.startKey || '';
+    medInjectionTimeEl.value = schedule.time;
+    applyInjectionModeVisibility(schedule.mode);
+
+    medTitrationStartEl.value = med.titration?.startDate || '';
+    medTitrationStepsEl.value = formatTitrationStepsInput(med.titration);
+    medTitrationWeeksEl.value = String(med.titration?.steps[0]?.weeks || DEFAULT_STEP_WEEKS);
+    if (medDeleteBtn) medDeleteBtn.hidden = !existing;
+
+    medDialog.showModal();
+  }
+
+  async function saveMedicationFromForm() {
+    const name = String(medNameEl.value || '').trim();
+    if (!name) throw new Error('Informe o nome do medicamento.');
+
+    // Titulação: degraus vazios = sem plano.
+    const steps = parseTitrationSteps(medTitrationStepsEl.value, Number(medTitrationWeeksEl.value) || DEFAULT_STEP_WEEKS);
+    if (steps.length && !medTitrationStartEl.value) throw new Error('Informe o início da titulação.');
+
+    const med = await saveMedication({
+      id: medIdEl.value || null,
+      name,
+      concentration: medConcentrationEl.value,
+      unit: medUnitEl.value,
+      route: medRouteEl.value,
+      color: medColorEl.value,
+      active: medActiveEl.value === 'true',
+      schedule: {
+        injectionScheduleMode: medScheduleModeEl.value,
+        injectionDaysOfWeek: medDowEls.map((el, d) => (el?.checked ? d : null)).filter((d) => d !== null),
+        injectionIntervalDays: Number(medEveryDaysEl.value),
+        injectionIntervalStartDate: medStartDateEl.value || '',
+        injectionTime: medInjectionTimeEl.value || DEFAULTS.injectionTime
+      },
+      titration: steps.length ? { startDate: medTitrationStartEl.value, steps } : null
+    });
+    showToast(medIdEl.value ? t('{name} atualizado.', { name: med.name }) : t('{name} adicionado.', { name: med.name }));
+
+    closeDialog(medDialog);
+    await refreshAll();
+  }
+
+  // Estoque (caneta/frasco)
+  async function openInventoryForm(existing = null) {
+    const meds = await listMedications();
+    clearChildren(invMedicationEl);
+    for (const med of meds) {
+      if (med.active === false && med.id !== existing?.medicationId) continue;
+      invMedicationEl.appendChild(createEl('option', { value: med.id, dataset: { unit: med.unit } }, medicationLabel(med)));
+    }
+
+    document.getElementById('invTitle').textContent = existing ? 'Editar caneta/frasco' : 'Nova caneta/frasco';
+    invIdEl.value = existing?.id || '';
+    invMedicationEl.value = existing?.medicationId || invMedicationEl.options[0]?.value || '';
+    invKindEl.value = existing?.kind || 'pen';
+    invTotalEl.value = formatDecimalForInput(existing?.totalAmount ?? '');
+    invLotEl.value = existing?.lot || '';
+    invExpiryEl.value = existing?.expiryDate || '';
+    invOpenedEl.value = existing?.openedDate || '';
+    invDiscardAfterEl.value = existing?.discardAfterDays ? String(existing.discardAfterDays) : '';
+    invDiscardedEl.value = String(Boolean(existing?.discardedDate));
+    updateInventoryUnit();
+    if (invDeleteBtn) invDeleteBtn.hidden = !existing;
+
+    invDialog.showModal();
+  }
+
+  function updateInventoryUnit() {
+    if (!invTotalUnitEl || !invMedicationEl) return;
+    invTotalUnitEl.textContent = invMedicationEl.selectedOptions[0]?.dataset.unit || 'mg';
+  }
+
+  async function saveInventoryFromForm() {
+    const existing = invIdEl.value ? await getByKey(STORE_INVENTORY, invIdEl.value) : null;
+    const discarded = invDiscardedEl.value === 'true';
+    await saveInventoryItem({
+      id: invIdEl.value || null,
+      medicationId: invMedicationEl.value,
+      kind: invKindEl.value,
+      totalAmount: invTotalEl.value,
+      lot: invLotEl.value,
+      expiryDate: invExpiryEl.value,
+      openedDate: invOpenedEl.value,
+      discardAfterDays: invDiscardAfterEl.value,
+      // Mantém a data da baixa original ao reeditar.
+      discardedDate: discarded ? (existing?.discardedDate || getLocalDateKey(now())) : ''
+    });
+    showToast(invIdEl.value ? 'Estoque atualizado.' : 'Item adicionado ao estoque.');
+
+    closeDialog(invDialog);
+    await refreshAll();
+  }
+
   async function openWeightForm(existing = null) {
     const title = document.getElementById('wTitle');
-    title.textContent = existing ? 'Editar peso' : 'Registrar peso';
+    title.textContent = existing ? t('Editar peso') : t('Registrar peso');
 
     wIdEl.value = existing?.id || '';
     wDateTimeEl.value = existing ? toLocalDateTimeInputValue(new Date(existing.dateTimeISO)) : toLocalDateTimeInputValue(now());
-    wKgEl.value = formatDecimalForInput(existing?.weightKg ?? '');
+    wKgEl.value = formatWeightForInput(existing?.weightKg ?? '');
     wFastingEl.value = existing ? String(Boolean(existing.fasting)) : 'true';
     wNotesEl.value = existing?.notes || '';
 
@@ -4513,18 +5357,19 @@
     const dateTimeISO = parseLocalDateTimeInputToISO(wDateTimeEl.value);
     if (!dateTimeISO) throw new Error('Data/hora inválida.');
 
+    const previous = wIdEl.value ? await getByKey(STORE_WEIGHTS, wIdEl.value) : null;
     const record = normalizeWeight({
       id: wIdEl.value || null,
       dateTimeISO,
-      weightKg: wKgEl.value,
+      weightKg: parseWeightInput(wKgEl.value, { previousKg: previous?.weightKg }),
       fasting: wFastingEl.value === 'true',
       notes: wNotesEl.value
     });
 
     if (!Number.isFinite(record.weightKg)) throw new Error('Peso inválido.');
-
     await put(STORE_WEIGHTS, record);
-    showToast(wIdEl.value ? 'Peso atualizado.' : 'Peso salvo.');
+    if (previous) showUndoToast('Peso atualizado.', undoEdit(STORE_WEIGHTS, previous));
+    else showToast('Peso salvo.');
 
     closeDialog(wDialog);
     clearWeightForm();
@@ -4533,19 +5378,19 @@
 
   async function openMeasuresForm(existing = null) {
     const title = document.getElementById('mTitle');
-    title.textContent = existing ? 'Editar medidas' : 'Registrar medidas';
+    title.textContent = existing ? t('Editar medidas') : t('Registrar medidas');
 
     mIdEl.value = existing?.id || '';
     mDateEl.value = existing ? existing.dateISO : parseDateInputToISO(toLocalDateTimeInputValue(now()).slice(0, 10)) || toLocalDateTimeInputValue(now()).slice(0, 10);
 
-    mWaistEl.value = formatDecimalForInput(existing?.waistCm ?? '');
-    mHipEl.value = formatDecimalForInput(existing?.hipCm ?? '');
-    mArmLEl.value = formatDecimalForInput(existing?.armLCm ?? '');
-    mArmREl.value = formatDecimalForInput(existing?.armRCm ?? '');
-    mThighEl.value = formatDecimalForInput(existing?.thighCm ?? '');
-    mCalfEl.value = formatDecimalForInput(existing?.calfCm ?? '');
-    mChestEl.value = formatDecimalForInput(existing?.chestCm ?? '');
-    mNeckEl.value = formatDecimalForInput(existing?.neckCm ?? '');
+    mWaistEl.value = formatLengthForInput(existing?.waistCm ?? '');
+    mHipEl.value = formatLengthForInput(existing?.hipCm ?? '');
+    mArmLEl.value = formatLengthForInput(existing?.armLCm ?? '');
+    mArmREl.value = formatLengthForInput(existing?.armRCm ?? '');
+    mThighEl.value = formatLengthForInput(existing?.thighCm ?? '');
+    mCalfEl.value = formatLengthForInput(existing?.calfCm ?? '');
+    mChestEl.value = formatLengthForInput(existing?.chestCm ?? '');
+    mNeckEl.value = formatLengthForInput(existing?.neckCm ?? '');
     mNotesEl.value = existing?.notes || '';
 
     mDialog.showModal();
@@ -4569,22 +5414,25 @@
     const dateISO = parseDateInputToISO(mDateEl.value);
     if (!dateISO) throw new Error('Data inválida.');
 
+    const previous = mIdEl.value ? await getByKey(STORE_MEASURES, mIdEl.value) : null;
+    // Campo vazio continua vazio (null); o resto vira cm.
+    const cm = (el, key) => (el.value.trim() ? parseLengthInput(el.value, { previousCm: previous?.[key] }) : '');
     const record = normalizeMeasures({
       id: mIdEl.value || null,
       dateISO,
-      waistCm: mWaistEl.value,
-      hipCm: mHipEl.value,
-      armLCm: mArmLEl.value,
-      armRCm: mArmREl.value,
-      thighCm: mThighEl.value,
-      calfCm: mCalfEl.value,
-      chestCm: mChestEl.value,
-      neckCm: mNeckEl.value,
+      waistCm: cm(mWaistEl, 'waistCm'),
+      hipCm: cm(mHipEl, 'hipCm'),
+      armLCm: cm(mArmLEl, 'armLCm'),
+      armRCm: cm(mArmREl, 'armRCm'),
+      thighCm: cm(mThighEl, 'thighCm'),
+      calfCm: cm(mCalfEl, 'calfCm'),
+      chestCm: cm(mChestEl, 'chestCm'),
+      neckCm: cm(mNeckEl, 'neckCm'),
       notes: mNotesEl.value
     });
-
     await put(STORE_MEASURES, record);
-    showToast(mIdEl.value ? 'Medidas atualizadas.' : 'Medidas salvas.');
+    if (previous) showUndoToast('Medidas atualizadas.', undoEdit(STORE_MEASURES, previous));
+    else showToast('Medidas salvas.');
 
     closeDialog(mDialog);
     clearMeasuresForm();
@@ -4597,8 +5445,8 @@
 
   async function handleAction(action, id) {
     switch (action) {
-      case 'addNextInjectionToCalendar':
-        await exportNextInjectionToCalendar();
+      case 'exportCalendar':
+        await exportCalendarFeed();
         break;
       case 'quickAddInjection':
       case 'openInjectionForm':
@@ -4621,12 +5469,44 @@
       case 'closeLateSymDialog':
         closeDialog(lateSymDialog);
         break;
+      case 'closeHistoryDialog':
+        closeDialog(historyDialog);
+        break;
+      case 'openInjectionHistory':
+        await openRecordHistory(STORE_INJECTIONS, id);
+        break;
+      case 'openWeightHistory':
+        await openRecordHistory(STORE_WEIGHTS, id);
+        break;
+      case 'openMeasuresHistory':
+        await openRecordHistory(STORE_MEASURES, id);
+        break;
       case 'closeWDialog':
         closeDialog(wDialog);
         break;
       case 'closeMDialog':
         closeDialog(mDialog);
         break;
+      case 'closeMedDialog':
+        closeDialog(medDialog);
+        break;
+      case 'closeInvDialog':
+        closeDialog(invDialog);
+        break;
+      case 'openImportWizard':
+        await openImportWizard();
+        break;
+      case 'closeRestoreDialog':
+        restoreState = null;
+        closeDialog(restoreDialog);
+        break;
+      case 'restoreChooseAll':
+        chooseAllRestoreConflicts(id === 'backup' ? 'backup' : 'local');
+        break;
+      case 'closeImportDialog':
+        importState = null;
+        closeDialog(importDialog);
+        break;
       case 'clearInjForm':
         clearInjectionForm();
         showToast('Formulário limpo.');
@@ -4662,13 +5542,36 @@
         showToast('Formulário limpo.');
         break;
       }
+      case 'saveGoals': {
+        // Na unidade do perfil; gravadas em kg/cm. Campo vazio remove a meta.
+        const current = await getSettings();
+        const weightText = String(goalWeightEl?.value || '').trim();
+        const waistText = String(goalWaistEl?.value || '').trim();
+        const goalWeightKg = weightText ? parseWeightInput(weightText, { previousKg: current.goalWeightKg }) : null;
+        const goalWaistCm = waistText ? parseLengthInput(waistText, { previousCm: current.goalWaistCm }) : null;
+        if ((goalWeightKg !== null && !(goalWeightKg > 0)) || (goalWaistCm !== null && !(goalWaistCm > 0))) {
+          showToast('Insira valores válidos para as metas.');
+          break;
+        }
+        const goalStartDate = goalStartDateEl?.value || '';
+        const goalTargetDate = goalTargetDateEl?.value || '';
+        if (goalStartDate && goalTargetDate && goalTargetDate <= goalStartDate) {
+          showToast('O prazo precisa ser depois do início.');
+          break;
+        }
+        await saveSettings({ goalWeightKg, goalWaistCm, goalStartDate, goalTargetDate });
+        showToast(goalWeightKg === null && goalWaistCm === null ? 'Metas removidas.' : 'Metas salvas.');
+        break;
+      }
       case 'calculateIMC': {
         const heightInput = imcHeightEl?.value || '';
         const weightInput = imcWeightEl?.value || '';
         
-        const heightCm = parseNumberPtBr(heightInput); // altura em cm
+        // Na unidade do perfil; a altura é gravada em cm.
+        const currentSettings = await getSettings();
+        const heightCm = parseLengthInput(heightInput, { previousCm: currentSettings.imcHeight });
         const height = heightCm / 100; // converter cm para m
-        const weight = parseNumberPtBr(weightInput);
+        const weight = parseWeightInput(weightInput);
         
         if (!Number.isFinite(height) || !Number.isFinite(weight) || height <= 0 || weight <= 0) {
           showToast('Insira valores válidos para altura e peso.');
@@ -4676,12 +5579,11 @@
         }
         
         // Salvar altura nas configurações para uso no relatório e insights
-        const currentSettings = await getSettings();
         currentSettings.imcHeight = heightCm;
         await saveSettings(currentSettings);
         
         const imc = weight / (height * height);
-        const imcFormatted = imc.toFixed(1);
+        const imcFormatted = formatDecimal(imc, 1);
         
         let classification = '';
         let color = 'banner--info';
@@ -4702,11 +5604,23 @@
         
         if (imcResultEl) {
           imcResultEl.className = `banner ${color}`;
-          imcResultEl.textContent = `IMC: ${imcFormatted} (${classification})`;
+          imcResultEl.textContent = `${t('IMC')}: ${imcFormatted} (${t(classification)})`;
           imcResultEl.hidden = false;
         }
         
-        const interpretation = `IMC: ${imcFormatted}\nClassificação: ${classification}\n\nAltura: ${(height * 100).toFixed(1)} cm\nPeso: ${weight.toFixed(2)} kg\n\nFaixas de referência:\n- Abaixo do peso: IMC < 18,5\n- Peso normal: 18,5 ≤ IMC < 25\n- Sobrepeso: 25 ≤ IMC < 30\n- Obesidade: IMC ≥ 30`;
+        const interpretation = [
+          `${t('IMC')}: ${imcFormatted}`,
+          t('Classificação: {classification}', { classification: t(classification) }),
+          '',
+          t('Altura: {value}', { value: formatHeight(heightCm) }),
+          t('Peso: {value}', { value: formatKg(weight) }),
+          '',
+          t('Faixas de referência:'),
+          `- ${t('Abaixo do peso')}: ${t('IMC')} < ${formatDecimal(18.5, 1)}`,
+          `- ${t('Peso normal')}: ${formatDecimal(18.5, 1)} ≤ ${t('IMC')} < 25`,
+          `- ${t('Sobrepeso')}: 25 ≤ ${t('IMC')} < 30`,
+          `- ${t('Obesidade')}: ${t('IMC')} ≥ 30`
+        ].join('\n');
         
         if (imcInterpretationEl) {
           imcInterpretationEl.value = interpretation;
@@ -4716,44 +5630,104 @@
         break;
       }
       case 'editInjection': {
-        const all = await getAll(STORE_INJECTIONS);
+        const all = await getAllForProfile(STORE_INJECTIONS);
         const found = all.find((x) => x.id === id);
         if (found) await openInjectionForm(found);
         break;
       }
       case 'deleteInjection': {
-        const ok = confirm('Excluir esta aplicação?');
-        if (!ok) return;
-        await del(STORE_INJECTIONS, id);
-        showToast('Aplicação excluída.');
+        const batchId = await moveToTrash(STORE_INJECTIONS, id);
+        showUndoToast('Aplicação movida para a lixeira.', () => undoTrash(batchId));
         await refreshAll();
         break;
       }
       case 'editWeight': {
-        const all = await getAll(STORE_WEIGHTS);
+        const all = await getAllForProfile(STORE_WEIGHTS);
         const found = all.find((x) => x.id === id);
         if (found) await openWeightForm(found);
         break;
       }
       case 'deleteWeight': {
-        const ok = confirm('Excluir este peso?');
-        if (!ok) return;
-        await del(STORE_WEIGHTS, id);
-        showToast('Peso excluído.');
+        const batchId = await moveToTrash(STORE_WEIGHTS, id);
+        showUndoToast('Peso movido para a lixeira.', () => undoTrash(batchId));
         await refreshAll();
         break;
       }
       case 'editMeasures': {
-        const all = await getAll(STORE_MEASURES);
+        const all = await getAllForProfile(STORE_MEASURES);
         const found = all.find((x) => x.id === id);
         if (found) await openMeasuresForm(found);
         break;
       }
       case 'deleteMeasures': {
-        const ok = confirm('Excluir estas medidas?');
-        if (!ok) return;
-        await del(STORE_MEASURES, id);
-        showToast('Medidas excluídas.');
+        const batchId = await moveToTrash(STORE_MEASURES, id);
+        showUndoToast('Medidas movidas para a lixeira.', () => undoTrash(batchId));
+        await refreshAll();
+        break;
+      }
+      case 'createProfile': {
+        const name = prompt(t('Nome do novo perfil (paciente):'), '');
+        if (name === null) break;
+        const profile = await createProfile(name);
+        await setActiveProfile(profile.id);
+        showToast(t('Perfil "{name}" criado.', { name: profile.name }));
+        await refreshAll();
+        break;
+      }
+      case 'renameProfile': {
+        const current = await getActiveProfile();
+        const name = prompt(t('Novo nome do perfil:'), current.name);
+        if (name === null) break;
+        await renameProfile(current.id, name);
+        showToast('Perfil renomeado.');
+        await refreshAll();
+        break;
+      }
+      case 'deleteProfile': {
+        const current = await getActiveProfile();
+        const ok = confirm(t('Excluir o perfil "{name}" e todos os registros dele? Essa ação não pode ser desfeita.', { name: current.name }));
+        if (!ok) break;
+        await deleteProfile(current.id);
+        showToast('Perfil excluído.');
+        await refreshAll();
+        break;
+      }
+      case 'addMedication':
+        await openMedicationForm(null);
+        break;
+      case 'editMedication': {
+        const meds = await listMedications();
+        const found = meds.find((m) => m.id === id);
+        if (found) await openMedicationForm(found);
+        break;
+      }
+      case 'deleteMedication': {
+        const medId = medIdEl?.value;
+        if (!medId) break;
+        const ok = confirm(t('Excluir este medicamento do catálogo?'));
+        if (!ok) break;
+        await deleteMedication(medId);
+        closeDialog(medDialog);
+        showToast('Medicamento excluído.');
+        await refreshAll();
+        break;
+      }
+      case 'addInventoryItem':
+        await openInventoryForm(null);
+        break;
+      case 'editInventoryItem': {
+        const found = (await listInventory()).find((it) => it.id === id);
+        if (found) await openInventoryForm(found);
+        break;
+      }
+      case 'deleteInventoryItem': {
+        const itemId = invIdEl?.value;
+        if (!itemId) break;
+        const ok = confirm(t('Excluir este item do estoque?'));
+        if (!ok) break;
+        await deleteInventoryItem(itemId);
+        closeDialog(invDialog);
+        showToast('Item excluído.');
         await refreshAll();
         break;
       }
@@ -4770,6 +5744,12 @@
         window.open(url, '_blank', 'noopener');
         break;
       }
+      case 'enableNotifications':
+        await enableNotifications();
+        break;
+      case 'disableNotifications':
+        await disableNotifications();
+        break;
       case 'saveSettings': {
         const route = getRoute();
 
@@ -4785,7 +5765,6 @@
         await saveSettings({
           reminderDow: reminderDowEl?.value,
           reminderTime: reminderTimeEl?.value || DEFAULTS.reminderTime,
-          injectionTime: scheduleInjectionTimeEl?.value || undefined,
           measureReminderEveryDays: scheduleMeasureEveryEl?.value ? Number(scheduleMeasureEveryEl.value) : undefined
         });
         showToast('Configurações salvas.');
@@ -4804,7 +5783,7 @@
       }
       case 'shareWeeklySummary': {
         const text = weeklySummaryTextEl?.value || '';
-        await shareText({ title: 'Resumo semanal (DoseCheck)', text });
+        await shareText({ title: t('Resumo semanal (DoseCheck)'), text });
         break;
       }
       case 'openWeeklySummaryWhatsapp': {
@@ -4828,16 +5807,16 @@
       case 'copyInsightsSummary': {
         const d = insightsRangeEl?.value ? Math.max(1, Math.floor(Number(insightsRangeEl.value) || 30)) : 30;
         const built = await buildInsightsSummary(d);
-        const html = buildInsightsSummaryHtmlFromSummary(built.summary, built.settings);
+        const html = buildInsightsSummaryHtmlFromSummary(built.summary, built.settings, now());
         await copyRichToClipboard({ html, text: built.text });
         break;
       }
       case 'shareInsightsSummary': {
         const d = insightsRangeEl?.value ? Math.max(1, Math.floor(Number(insightsRangeEl.value) || 30)) : 30;
         const built = await buildInsightsSummary(d);
-        const html = buildInsightsSummaryHtmlFromSummary(built.summary, built.settings);
+        const html = buildInsightsSummaryHtmlFromSummary(built.summary, built.settings, now());
         await shareHtmlFileIfPossible({
-          title: `Resumo DoseCheck (${built.days} dias)`,
+          title: t('Resumo DoseCheck ({days} dias)', { days: built.days }),
           filename: `dosecheck-resumo-${todayStamp()}.html`,
           html,
           textFallback: built.text
@@ -4848,7 +5827,7 @@
         const d = insightsRangeEl?.value ? Math.max(1, Math.floor(Number(insightsRangeEl.value) || 30)) : 30;
         const built = await buildInsightsSummary(d);
         const text = built.text;
-        const title = `Resumo DoseCheck (${built.days} dias)`;
+        const title = t('Resumo DoseCheck ({days} dias)', { days: built.days });
         if (typeof navigator.share === 'function') {
           try {
             await navigator.share({ title, text });
@@ -4883,6 +5862,27 @@
       case 'downloadBackup':
         await downloadBackup();
         break;
+      case 'downloadEncryptedBackup':
+        await downloadBackup({ encrypted: true });
+        break;
+      case 'downloadSyncFile':
+        await downloadSyncFile();
+        break;
+      case 'generateRemoteSyncSpace':
+        generateRemoteSyncSpace();
+        break;
+      case 'enableRemoteSync':
+        await enableRemoteSync();
+        break;
+      case 'runRemoteSync':
+        await runRemoteSync({ manual: true });
+        break;
+      case 'disableRemoteSync':
+        await disableRemoteSync();
+        break;
+      case 'closePassDialog':
+        closeDialog(passDialog);
+        break;
       case 'createManualBackup':
         await createAutoBackup('manual');
         showToast('Backup criado com sucesso.');
@@ -4891,6 +5891,41 @@
       case 'wipeAll':
         await wipeAll();
         break;
+      case 'restoreTrash': {
+        const count = await restoreTrashBatch(id);
+        showToast(count > 1 ? t('{n} registros restaurados.', { n: count }) : t('Registro restaurado.'));
+        await refreshAll();
+        break;
+      }
+      case 'purgeTrash': {
+        if (!confirm(t('Apagar de vez? Essa ação não pode ser desfeita.'))) break;
+        await purgeTrashBatch(id);
+        showToast('Apagado da lixeira.');
+        await renderTrash();
+        break;
+      }
+      case 'loadMoreList':
+        await loadMoreList(id);
+        break;
+      case 'clearSearch':
+        clearSearch();
+        break;
+      case 'emptyTrash':
+        await emptyTrash();
+        break;
+      case 'timeTravelApply': {
+        const iso = parseLocalDateTimeInputToISO(timeTravelAtEl?.value);
+        if (!iso || !(await setTimeTravel(iso))) {
+          showToast('Informe uma data e hora válidas.');
+          break;
+        }
+        showToast(t('Relógio fixado em {date}.', { date: formatDateTimePtBr(iso) }));
+        break;
+      }
+      case 'timeTravelReset':
+        await setTimeTravel(null);
+        showToast('Relógio de volta ao presente.');
+        break;
       case 'runInsights':
         await runInsights();
         break;
@@ -4905,13 +5940,21 @@
 
   async function refreshAll() {
     const route = getRoute();
+    // Idioma e unidades do perfil ativo (troca de perfil, restauração, sincronização).
+    const activeSettings = await getSettings();
+    applyLocale(activeSettings.locale);
+    applyUnits(activeSettings);
+    await renderProfileSwitcher();
+    renderTimeTravel();
     await renderReminderBanner();
+    await renderNotificationsStatus();
+    await renderRemoteSyncStatus();
+    await renderTrash();
 
     // Atualizar configurações no menu
     const s = await getSettings();
     if (reminderDowEl) reminderDowEl.value = s.reminderDow;
     if (reminderTimeEl) reminderTimeEl.value = s.reminderTime;
-    if (scheduleInjectionTimeEl) scheduleInjectionTimeEl.value = String(s.injectionTime || DEFAULTS.injectionTime);
     if (scheduleMeasureEveryEl) scheduleMeasureEveryEl.value = String(s.measureReminderEveryDays || DEFAULTS.measureReminderEveryDays);
 
     if (route === 'dashboard') await renderDashboard();
@@ -4927,11 +5970,18 @@
       }
       await renderReportPreview();
     }
+    if (route === 'search') await renderSearch();
     if (route === 'settings') {
       await renderSettingsView();
     }
 
     applyAttention();
+
+    try {
+      await syncNotifications();
+    } catch {
+      // Notificação é um extra: falha aqui não interrompe a tela.
+    }
   }
 
   // -----------------------------
@@ -4962,7 +6012,7 @@
   async function registerServiceWorker() {
     if (!('serviceWorker' in navigator)) return;
     try {
-      const registration = await navigator.serviceWorker.register('./sw.js');
+      const registration = await navigator.serviceWorker.register('./sw.js', { type: 'module' });
 
       // UX moderna: não recarregar automaticamente.
       // Mostra banner e deixa o usuário escolher para não perder inputs/formulários.
@@ -4984,11 +6034,11 @@
 
         if (bannerUpdateText) {
           bannerUpdateText.textContent = m === 'waiting'
-            ? 'Atualização disponível. Toque em “Atualizar” para aplicar.'
-            : 'Atualização aplicada. Toque em “Atualizar” para recarregar.';
+            ? t('Atualização disponível. Toque em “Atualizar” para aplicar.')
+            : t('Atualização aplicada. Toque em “Atualizar” para recarregar.');
         }
-        if (btnUpdateNow) btnUpdateNow.textContent = 'Atualizar';
-        if (btnUpdateLater) btnUpdateLater.textContent = 'Depois';
+        if (btnUpdateNow) btnUpdateNow.textContent = t('Atualizar');
+        if (btnUpdateLater) btnUpdateLater.textContent = t('Depois');
         bannerUpdate.hidden = false;
 
         // Guarda modo atual no DOM (evita estado global extra)
@@ -5011,9 +6061,11 @@
         userAcceptedUpdate = true;
         hideUpdateBanner();
 
-        // Criar backup antes de atualizar
+        // Criar backup antes de atualizar (um por perfil)
         try {
-          await createAutoBackup('update');
+          for (const p of await listProfiles()) {
+            await createAutoBackup('update', p.id);
+          }
           showToast('Backup criado. Atualizando...');
         } catch (err) {
           console.error('Erro ao criar backup:', err);
@@ -5077,20 +6129,82 @@
   function setupEvents() {
     // Router
     window.addEventListener('hashchange', async () => {
+      // Clique numa notificação com o app aberto (deep link #/dashboard?attention=<tipo>).
+      const attentionKind = readAttentionKindFromHash();
+      if (attentionKind) setAttention(attentionKind, 'Ação solicitada');
+
       const route = getRoute();
       showView(route);
       await refreshAll();
     });
 
+    // Notificações: o SW pede para abrir o deep link na aba já aberta.
+    navigator.serviceWorker?.addEventListener('message', (event) => {
+      // O SW enviou a fila em segundo plano: puxa o que o servidor tem de novo.
+      if (event.data?.type === 'REMOTE_SYNC_PUSHED') {
+        scheduleRemoteSync();
+        return;
+      }
+      if (event.data?.type !== 'OPEN_DEEP_LINK') return;
+      const hash = new URL(event.data.url, location.href).hash;
+      if (hash && hash !== location.hash) location.hash = hash;
+    });
+
+    // Fallback sem agendamento: ao voltar para o app, mostra o que venceu.
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState !== 'visible') return;
+      syncNotifications().catch(() => {});
+      scheduleRemoteSync();
+    });
+
+    window.addEventListener('online', () => scheduleRemoteSync());
+
     // Menu
     btnOpenMenu?.addEventListener('click', () => {
       menuDialog.showModal();
     });
 
+    // Perfil ativo
+    profileSelectEl?.addEventListener('change', async () => {
+      const id = profileSelectEl.value;
+      if (!id || id === activeProfileId) return;
+      try {
+        await setActiveProfile(id);
+        await refreshAll();
+      } catch (err) {
+        showToast(String(err?.message || err || 'Erro ao trocar de perfil.'));
+      }
+    });
+
     // Filtros
     injFilter?.addEventListener('change', () => {
+      listPages.injections.limit = LIST_PAGE_SIZE;
       renderInjections();
     });
+    searchFormEl?.addEventListener('input', scheduleSearch);
+    searchFormEl?.addEventListener('submit', (e) => {
+      e.preventDefault();
+      clearTimeout(searchTimer);
+      renderSearch().catch(() => {});
+    });
+
+    // Medicamento: campos da agenda conforme a frequência; dose na unidade escolhida
+    medScheduleModeEl?.addEventListener('change', () => {
+      applyInjectionModeVisibility(medScheduleModeEl.value);
+    });
+    invMedicationEl?.addEventListener('change', () => {
+      updateInventoryUnit();
+    });
+    injMedicationEl?.addEventListener('change', () => {
+      updateInjectionDoseUnit();
+      applyPlannedDose(!injIdEl.value && !injDoseEl.dataset.userTouched);
+    });
+    injDateTimeEl?.addEventListener('change', () => {
+      applyPlannedDose(!injIdEl.value && !injDoseEl.dataset.userTouched);
+    });
+    injDoseEl?.addEventListener('input', () => {
+      injDoseEl.dataset.userTouched = 'true';
+    });
 
     // Relatório: atualizar prévia ao mudar filtros
     reportRangeEl?.addEventListener('change', () => {
@@ -5100,6 +6214,9 @@
     reportPatientNameEl?.addEventListener('input', () => {
       reportPatientNameEl.dataset.userTouched = 'true';
     });
+    reportFlagEditsEl?.addEventListener('change', () => {
+      if (getRoute() === 'report') renderReportPreview();
+    });
 
     insightsRangeEl?.addEventListener('change', () => {
       insightsRangeEl.dataset.userTouched = 'true';
@@ -5231,7 +6348,7 @@
       if (injId) {
         // Show form and load symptoms
         lateSymFormEl.style.display = 'block';
-        const all = await getAll(STORE_INJECTIONS);
+        const all = await getAllForProfile(STORE_INJECTIONS);
         const inj = all.find((x) => x.id === injId);
         if (inj) {
           const symptoms = inj.symptoms || {};
@@ -5260,6 +6377,24 @@
       }
     });
 
+    medForm?.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      try {
+        await saveMedicationFromForm();
+      } catch (err) {
+        showToast(String(err?.message || err || 'Erro ao salvar.'));
+      }
+    });
+
+    invForm?.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      try {
+        await saveInventoryFromForm();
+      } catch (err) {
+        showToast(String(err?.message || err || 'Erro ao salvar.'));
+      }
+    });
+
     wForm?.addEventListener('submit', async (e) => {
       e.preventDefault();
       try {
@@ -5289,6 +6424,69 @@
       }
     });
 
+    // Importação de planilha: qualquer mudança refaz a prévia.
+    importFileEl?.addEventListener('change', async () => {
+      const file = importFileEl.files?.[0];
+      if (!file) return;
+      try {
+        await loadImportFile(file);
+      } catch (err) {
+        importState = null;
+        importSetupEl.hidden = true;
+        showToast(String(err?.message || err || 'Falha ao ler o arquivo.'));
+      }
+    });
+
+    importKindEl?.addEventListener('change', async () => {
+      if (!importState) return;
+      importState.kind = importKindEl.value;
+      importState.mapping = guessColumnMapping(importState.rows[0], importState.kind);
+      renderImportMapping();
+      await renderImportPreview();
+    });
+
+    importHasHeaderEl?.addEventListener('change', async () => {
+      if (!importState) return;
+      importState.mapping = readImportMapping();
+      renderImportMapping();
+      await renderImportPreview();
+    });
+
+    for (const el of [importMappingEl, importDateFormatEl, importMedicationEl, importConflictPolicyEl]) {
+      el?.addEventListener('change', () => {
+        renderImportPreview().catch((err) => showToast(String(err?.message || err)));
+      });
+    }
+
+    importForm?.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      try {
+        await confirmImport();
+      } catch (err) {
+        showToast(String(err?.message || err || 'Falha ao importar.'));
+      }
+    });
+
+    // Restauração: modo e escolhas dos conflitos
+    restoreModeEl?.addEventListener('change', () => {
+      if (restoreState) renderRestorePreview();
+    });
+
+    restoreConflictListEl?.addEventListener('change', (e) => {
+      const select = e.target;
+      if (!(select instanceof HTMLSelectElement) || !select.dataset.key || !restoreState) return;
+      restoreState.choices[select.dataset.key] = select.value;
+    });
+
+    restoreForm?.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      try {
+        await applyRestore();
+      } catch (err) {
+        showToast(String(err?.message || err || 'Falha ao restaurar.'));
+      }
+    });
+
     // Restore
     restoreFileEl?.addEventListener('change', async () => {
       const file = restoreFileEl.files?.[0];
@@ -5301,6 +6499,48 @@
         restoreFileEl.value = '';
       }
     });
+
+    settingsLocaleEl?.addEventListener('change', async () => {
+      try {
+        await saveSettings({ locale: settingsLocaleEl.value });
+        await refreshAll();
+        await syncNotifications();
+      } catch (err) {
+        showToast(String(err?.message || err || 'Erro ao salvar.'));
+      }
+    });
+
+    for (const [el, key] of [[settingsWeightUnitEl, 'weightUnit'], [settingsLengthUnitEl, 'lengthUnit'], [settingsWeightComparisonEl, 'weightComparison']]) {
+      el?.addEventListener('change', async () => {
+        try {
+          await saveSettings({ [key]: el.value });
+          await refreshAll();
+        } catch (err) {
+          showToast(String(err?.message || err || 'Erro ao salvar.'));
+        }
+      });
+    }
+
+    trashRetentionEl?.addEventListener('change', async () => {
+      try {
+        await saveSettings({ trashRetentionDays: Number(trashRetentionEl.value) });
+        await renderTrash();
+      } catch (err) {
+        showToast(String(err?.message || err || 'Erro ao salvar.'));
+      }
+    });
+
+    syncFileEl?.addEventListener('change', async () => {
+      const file = syncFileEl.files?.[0];
+      if (!file) return;
+      try {
+        await receiveSyncFile(file);
+      } catch (err) {
+        showToast(String(err?.message || err || 'Falha ao sincronizar.'));
+      } finally {
+        syncFileEl.value = '';
+      }
+    });
   }
 
   // -----------------------------
@@ -5326,6 +6566,12 @@
     // Garantir rota padrão
     if (!location.hash) location.hash = '#/dashboard';
 
+    // Relógio simulado (depuração) antes de qualquer cálculo com "agora"
+    applyStoredTimeTravel();
+
+    // Idioma salvo neste aparelho; o do perfil ativo é aplicado no primeiro refreshAll.
+    applyLocale(readStoredLocale());
+
     showView(getRoute());
 
     // Deep-link de notificação (ex.: #/dashboard?attention=weight)
@@ -5338,11 +6584,13 @@
     if (wDateTimeEl) wDateTimeEl.value = toLocalDateTimeInputValue(now());
     if (mDateEl) mDateEl.value = toLocalDateTimeInputValue(now()).slice(0, 10);
 
+    // Perfil ativo (antes de qualquer leitura de dados/configurações)
+    await loadActiveProfile();
+
     // Carregar settings no menu
     const s = await getSettings();
     reminderDowEl.value = s.reminderDow;
     reminderTimeEl.value = s.reminderTime;
-    if (scheduleInjectionTimeEl) scheduleInjectionTimeEl.value = String(s.injectionTime || DEFAULTS.injectionTime);
     if (scheduleMeasureEveryEl) scheduleMeasureEveryEl.value = String(s.measureReminderEveryDays || DEFAULTS.measureReminderEveryDays);
 
     applyArmSitesVisibility(Boolean(s.enableArmSites));
@@ -5352,6 +6600,7 @@
     await registerServiceWorker();
 
     await refreshAll();
+    scheduleRemoteSync();
 
     // Requisito: atualizar automaticamente ao abrir e a cada 1 minuto.
     startChecklistTicker();
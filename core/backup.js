@@ -0,0 +1,376 @@
+/*
+  DoseCheck - core/backup.js
+  Formato do arquivo de backup: JSON Schema por versão, atualização de versões antigas
+  e validação registro a registro antes de restaurar. Sem dependências de DOM nem de IndexedDB.
+
+  Versões:
+  - 1: injections/weights/measures obrigatórios; medications/inventory entraram depois
+       (opcionais) e as configurações antigas só têm injectionDayOfWeek.
+       Arquivos sem "version" são tratados como 1.
+  - 2: os cinco stores obrigatórios e a agenda completa nas configurações.
+
+  Para mudar o formato: nova entrada em BACKUP_SCHEMAS, um passo em UPGRADES da versão
+  anterior para a nova e BACKUP_VERSION acompanhando (nunca edite uma versão publicada).
+
+  Exceção: as configurações (SETTINGS_SCHEMA, o mesmo em todas as versões) só crescem.
+  Configuração nova entra como propriedade opcional; as já publicadas não mudam. Arquivo
+  antigo não tem a propriedade nova e continua válido, e campo desconhecido fica como veio.
+*/
+
+import { WEIGHT_COMPARISONS } from './conditions.js';
+import { DEFAULTS } from './constants.js';
+import { isIsoDateOnly } from './dates.js';
+import { LOCALES, t } from './i18n.js';
+import { LENGTH_UNITS, WEIGHT_UNITS } from './units.js';
+
+export const BACKUP_VERSION = 2;
+
+export const BACKUP_STORE_LABELS = {
+  medications: 'Medicamentos',
+  inventory: 'Estoque',
+  injections: 'Aplicações',
+  weights: 'Pesagens',
+  measures: 'Medidas'
+};
+
+// -----------------------------
+// Schemas (subconjunto do JSON Schema draft-07 interpretado por validateSchema)
+// -----------------------------
+
+const ID = { type: 'string', minLength: 1 };
+const OPTIONAL_ID = { type: ['string', 'null'] };
+const TEXT = { type: 'string' };
+const CM = { type: ['number', 'null'], exclusiveMinimum: 0, maximum: 500 };
+const SYMPTOM = { type: 'number', minimum: 0, maximum: 10 };
+
+const INJECTION_SCHEMA = {
+  type: 'object',
+  required: ['dateTimeISO', 'doseMg'],
+  properties: {
+    id: ID,
+    dateTimeISO: { type: 'string', format: 'date-time' },
+    medicationId: OPTIONAL_ID,
+    medName: TEXT,
+    inventoryId: OPTIONAL_ID,
+    doseMg: { type: 'number', minimum: 0 },
+    site: TEXT,
+    symptoms: {
+      type: 'object',
+      properties: { nausea: SYMPTOM, reflux: SYMPTOM, appetite: SYMPTOM, energy: SYMPTOM, bowel: SYMPTOM }
+    },
+    notes: TEXT
+  }
+};
+
+const WEIGHT_SCHEMA = {
+  type: 'object',
+  required: ['dateTimeISO', 'weightKg'],
+  properties: {
+    id: ID,
+    dateTimeISO: { type: 'string', format: 'date-time' },
+    weightKg: { type: 'number', exclusiveMinimum: 0, maximum: 700 },
+    fasting: { type: 'boolean' },
+    notes: TEXT
+  }
+};
+
+const MEASURES_SCHEMA = {
+  type: 'object',
+  required: ['dateISO'],
+  properties: {
+    id: ID,
+    dateISO: { type: 'string', format: 'date' },
+    waistCm: CM,
+    hipCm: CM,
+    armLCm: CM,
+    armRCm: CM,
+    thighCm: CM,
+    calfCm: CM,
+    chestCm: CM,
+    neckCm: CM,
+    notes: TEXT
+  }
+};
+
+// Medicamentos e estoque precisam de id: aplicações e itens apontam para eles.
+const MEDICATION_SCHEMA = {
+  type: 'object',
+  required: ['id', 'name'],
+  properties: {
+    id: ID,
+    name: { type: 'string', minLength: 1 },
+    concentration: TEXT,
+    unit: TEXT,
+    route: TEXT,
+    color: TEXT,
+    active: { type: 'boolean' },
+    schedule: { type: 'object' },
+    titration: { type: ['object', 'null'] }
+  }
+};
+
+const INVENTORY_SCHEMA = {
+  type: 'object',
+  required: ['id'],
+  properties: {
+    id: ID,
+    medicationId: OPTIONAL_ID,
+    kind: TEXT,
+    totalAmount: { type: 'number', minimum: 0 },
+    lot: TEXT,
+    expiryDate: { type: 'string', format: 'date-or-empty' },
+    openedDate: { type: 'string', format: 'date-or-empty' },
+    discardAfterDays: { type: ['integer', 'null'], minimum: 1 },
+    discardedDate: { type: 'string', format: 'date-or-empty' }
+  }
+};
+
+const WEEKDAYS = { type: 'array', items: { type: 'integer', minimum: 0, maximum: 6 } };
+
+// Só acrescentar propriedades (ver o cabeçalho); test/backup.test.js guarda as publicadas.
+const SETTINGS_SCHEMA = {
+  type: ['object', 'null'],
+  properties: {
+    reminderDow: { type: ['string', 'integer'] },
+    reminderTime: { type: 'string', format: 'time' },
+    injectionDayOfWeek: { type: 'integer', minimum: 0, maximum: 6 },
+    injectionTime: { type: 'string', format: 'time' },
+    injectionScheduleMode: { enum: ['weekdays', 'interval'] },
+    injectionDaysOfWeek: WEEKDAYS,
+    injectionIntervalDays: { type: 'integer', minimum: 1 },
+    injectionIntervalStartDate: { type: 'string', format: 'date-or-empty' },
+    weighDaysOfWeek: WEEKDAYS,
+    measureReminderEveryDays: { type: 'integer', minimum: 1 },
+    patientName: TEXT,
+    patientBirthDate: { type: 'string', format: 'date-or-empty' },
+    patientBirthYear: { type: ['string', 'integer'] },
+    preferredReportRangeDays: { type: 'integer' },
+    medRefUrl: TEXT,
+    medOfficialText: TEXT,
+    enableArmSites: { type: 'boolean' },
+    imcHeight: { type: ['number', 'null'], exclusiveMinimum: 0 },
+    trashRetentionDays: { enum: [7, 30, 90] },
+    locale: { enum: LOCALES },
+    weightUnit: { enum: WEIGHT_UNITS },
+    lengthUnit: { enum: LENGTH_UNITS },
+    weightComparison: { enum: WEIGHT_COMPARISONS },
+    goalWeightKg: { type: ['number', 'null'], exclusiveMinimum: 0 },
+    goalWaistCm: { type: ['number', 'null'], exclusiveMinimum: 0 },
+    goalStartDate: { type: 'string', format: 'date-or-empty' },
+    goalTargetDate: { type: 'string', format: 'date-or-empty' }
+  }
+};
+
+const PROFILE_SCHEMA = {
+  type: 'object',
+  properties: { id: TEXT, name: TEXT }
+};
+
+function recordsOf(schema) {
+  return { type: 'array', items: schema };
+}
+
+export const BACKUP_SCHEMAS = {
+  1: {
+    $schema: 'http://json-schema.org/draft-07/schema#',
+    title: 'DoseCheck backup v1',
+    type: 'object',
+    required: ['injections', 'weights', 'measures'],
+    properties: {
+      version: { const: 1 },
+      exportedAtISO: { type: 'string', format: 'date-time' },
+      profile: PROFILE_SCHEMA,
+      settings: SETTINGS_SCHEMA,
+      medications: recordsOf(MEDICATION_SCHEMA),
+      inventory: recordsOf(INVENTORY_SCHEMA),
+      injections: recordsOf(INJECTION_SCHEMA),
+      weights: recordsOf(WEIGHT_SCHEMA),
+      measures: recordsOf(MEASURES_SCHEMA)
+    }
+  },
+  2: {
+    $schema: 'http://json-schema.org/draft-07/schema#',
+    title: 'DoseCheck backup v2',
+    type: 'object',
+    required: ['version', 'medications', 'inventory', 'injections', 'weights', 'measures'],
+    properties: {
+      version: { const: 2 },
+      exportedAtISO: { type: 'string', format: 'date-time' },
+      profile: PROFILE_SCHEMA,
+      settings: SETTINGS_SCHEMA,
+      medications: recordsOf(MEDICATION_SCHEMA),
+      inventory: recordsOf(INVENTORY_SCHEMA),
+      injections: recordsOf(INJECTION_SCHEMA),
+      weights: recordsOf(WEIGHT_SCHEMA),
+      measures: recordsOf(MEASURES_SCHEMA)
+    }
+  }
+};
+
+// -----------------------------
+// Validador
+// -----------------------------
+
+const FORMATS = {
+  'date-time': (s) => /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}/.test(s) && Number.isFinite(Date.parse(s)),
+  date: (s) => isIsoDateOnly(s),
+  'date-or-empty': (s) => s === '' || isIsoDateOnly(s),
+  time: (s) => /^([01]\d|2[0-3]):[0-5]\d$/.test(s)
+};
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : Number.isFinite(value) ? 'number' : 'NaN';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return [].concat(type).some((name) => name === actual || (name === 'number' && actual === 'integer'));
+}
+
+// Lista de erros ("campo: motivo", já no idioma atual); vazia = válido.
+export function validateSchema(value, schema, path = '') {
+  const field = path || t('valor');
+  if (schema.const !== undefined && value !== schema.const) return [t('{field}: deve ser {value}', { field, value: JSON.stringify(schema.const) })];
+  if (schema.enum && !schema.enum.includes(value)) return [t('{field}: valor não permitido ({value})', { field, value: JSON.stringify(value) })];
+  if (schema.type && !matchesType(value, schema.type)) {
+    const expected = [].concat(schema.type).reduce((a, b) => t('{a} ou {b}', { a, b }));
+    return [t('{field}: esperado {expected}, veio {actual}', { field, expected, actual: typeOf(value) })];
+  }
+
+  const errors = [];
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) errors.push(t('{field}: vazio', { field }));
+    if (schema.format && FORMATS[schema.format] && !FORMATS[schema.format](value)) errors.push(t('{field}: formato inválido ({value})', { field, value: JSON.stringify(value) }));
+  }
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(t('{field}: menor que {min}', { field, min: schema.minimum }));
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) errors.push(t('{field}: precisa ser maior que {min}', { field, min: schema.exclusiveMinimum }));
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(t('{field}: maior que {max}', { field, max: schema.maximum }));
+  }
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, i) => errors.push(...validateSchema(item, schema.items, `${path}[${i}]`)));
+  }
+  if (typeOf(value) === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) errors.push(t('{field}: obrigatório', { field: path ? `${path}.${key}` : key }));
+    }
+    for (const [key, sub] of Object.entries(schema.properties || {})) {
+      if (value[key] === undefined) continue;
+      errors.push(...validateSchema(value[key], sub, path ? `${path}.${key}` : key));
+    }
+  }
+  return errors;
+}
+
+// -----------------------------
+// Versões
+// -----------------------------
+
+export function backupVersionOf(data) {
+  return data?.version === undefined ? 1 : data.version;
+}
+
+// Backups antigos só têm injectionDayOfWeek: vira agenda semanal nesse dia.
+function upgradeSettingsV1(settings) {
+  if (!settings || typeof settings !== 'object') return null;
+  if (settings.injectionDaysOfWeek !== undefined) return { ...settings };
+  const day = settings.injectionDayOfWeek ?? DEFAULTS.injectionDayOfWeek;
+  return {
+    ...settings,
+    injectionScheduleMode: settings.injectionScheduleMode ?? 'weekdays',
+    injectionDaysOfWeek: [day]
+  };
+}
+
+// UPGRADES[n]: backup na versão n -> versão n + 1.
+const UPGRADES = {
+  1: (data) => ({
+    ...data,
+    version: 2,
+    settings: upgradeSettingsV1(data.settings),
+    medications: Array.isArray(data.medications) ? data.medications : [],
+    inventory: Array.isArray(data.inventory) ? data.inventory : []
+  })
+};
+
+// Leva o backup (já conferido contra o schema da própria versão) até BACKUP_VERSION.
+export function upgradeBackup(data) {
+  let out = data;
+  for (let v = backupVersionOf(data); v < BACKUP_VERSION; v++) out = UPGRADES[v](out);
+  return out;
+}
+
+// -----------------------------
+// Validação para restaurar
+// -----------------------------
+
+function describeRecord(store, rec) {
+  if (!rec || typeof rec !== 'object') return String(rec);
+  if (store === 'medications') return String(rec.name || rec.id || '');
+  if (store === 'measures') return String(rec.dateISO ?? '');
+  if (store === 'inventory') return String(rec.lot || rec.id || '');
+  return String(rec.dateTimeISO ?? '');
+}
+
+function splitRecords(store, list, schema, rejected) {
+  const valid = [];
+  list.forEach((rec, index) => {
+    const reasons = validateSchema(rec, schema);
+    if (reasons.length) {
+      rejected.push({ store, index, id: rec?.id ?? null, label: describeRecord(store, rec), reasons });
+    } else {
+      valid.push(rec);
+    }
+  });
+  return valid;
+}
+
+// Configurações inválidas não barram o backup: o campo é descartado (fica o valor atual/padrão).
+function cleanSettings(settings, rejected) {
+  if (!settings || typeof settings !== 'object' || Array.isArray(settings)) return null;
+  const out = {};
+  for (const [key, value] of Object.entries(settings)) {
+    const schema = SETTINGS_SCHEMA.properties[key];
+    const reasons = schema ? validateSchema(value, schema, key) : [];
+    if (reasons.length) rejected.push({ store: 'settings', index: null, id: key, label: key, reasons });
+    else out[key] = value;
+  }
+  return out;
+}
+
+/*
+  Arquivo de backup (objeto já lido do JSON) -> { data, rejected, fromVersion }.
+  - data: backup na versão atual só com registros válidos
+  - rejected: [{ store, index, id, label, reasons }] (index = posição no arquivo)
+  Estrutura irreconhecível ou versão desconhecida lança erro.
+*/
+export function validateBackup(raw) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) throw new Error('Arquivo inválido: estrutura não reconhecida.');
+  const fromVersion = backupVersionOf(raw);
+  if (!Number.isInteger(fromVersion) || fromVersion < 1) throw new Error(t('Arquivo inválido: versão de backup "{version}" desconhecida.', { version: raw.version }));
+  if (fromVersion > BACKUP_VERSION) {
+    throw new Error(t('Backup na versão {version}, mais nova que esta versão do app. Atualize o DoseCheck.', { version: fromVersion }));
+  }
+
+  // Registros são conferidos um a um; o resto do documento precisa bater com o schema.
+  const schema = BACKUP_SCHEMAS[fromVersion];
+  const rejected = [];
+  const shell = { ...raw };
+  for (const store of Object.keys(BACKUP_STORE_LABELS)) {
+    if (Array.isArray(raw[store])) shell[store] = [];
+  }
+  delete shell.settings;
+  const structural = validateSchema(shell, schema);
+  if (structural.length) throw new Error(t('Arquivo inválido: {reason}.', { reason: structural[0] }));
+
+  const cleaned = { ...raw, settings: cleanSettings(raw.settings, rejected) };
+  for (const store of Object.keys(BACKUP_STORE_LABELS)) {
+    if (!Array.isArray(raw[store])) continue;
+    cleaned[store] = splitRecords(store, raw[store], schema.properties[store].items, rejected);
+  }
+
+  return { data: upgradeBackup(cleaned), rejected, fromVersion };
+}
@@ -0,0 +1,259 @@
+/*
+  DoseCheck - core/checklist.js
+  Checklist & Alertas (agenda fixa): o que era esperado em cada dia e se foi feito.
+  Sem dependências de DOM nem de IndexedDB: recebe os registros já carregados.
+
+  Funções que dependem do "agora" recebem nowDate (padrão: clock.now(), ver core/clock.js).
+*/
+
+import { clock } from './clock.js';
+import { DEFAULTS } from './constants.js';
+import {
+  addDays,
+  compareDateKeys,
+  getLocalDateKey,
+  isAfterTimeHHmm,
+  parseDateKeyToLocalDate,
+  startOfDay
+} from './dates.js';
+import { i18n, t } from './i18n.js';
+import { buildInventoryAlerts } from './inventory.js';
+import { injectionKeysByMedication, injectionKeysForTracked, trackedSchedules } from './medications.js';
+import {
+  computeNextScheduledFromSchedule,
+  isInjectionDueOn,
+  resolveInjectionSchedule
+} from './schedule.js';
+import { sortByDateDesc } from './stats.js';
+
+export const CHECKLIST_CUTOFF_TIME = '12:00'; // regra: se não registrou até 12:00 -> aviso visual
+
+// Índices por dia (YYYY-MM-DD local) para consultas rápidas do checklist.
+export function buildChecklistCacheFromData({ weights = [], injections = [], measures = [], medications = [], inventory = [] } = {}) {
+  const weightKeys = new Set(weights.map((w) => getLocalDateKey(new Date(w.dateTimeISO))));
+  const injectionKeys = new Set(injections.map((i) => getLocalDateKey(new Date(i.dateTimeISO))));
+  const injectionKeysByMed = injectionKeysByMedication(injections, medications);
+  const measuresKeys = new Set(measures.map((m) => m.dateISO));
+
+  const measuresSorted = [...measures].sort(sortByDateDesc);
+  const lastMeasures = measuresSorted[0] || null;
+
+  // Alertas de estoque dependem de "hoje": calculados uma vez por dia (ver inventoryAlertsFor).
+  const inventoryAlertsByDay = new Map();
+
+  return { weights, injections, measures, medications, inventory, weightKeys, injectionKeys, injectionKeysByMed, measuresKeys, lastMeasures, inventoryAlertsByDay };
+}
+
+function inventoryAlertsFor(cache, nowDate) {
+  if (!cache.inventory?.length) return [];
+  const todayKey = getLocalDateKey(nowDate);
+  if (!cache.inventoryAlertsByDay.has(todayKey)) {
+    cache.inventoryAlertsByDay.set(todayKey, buildInventoryAlerts(cache, nowDate));
+  }
+  return cache.inventoryAlertsByDay.get(todayKey);
+}
+
+// Requisito: isWeightLoggedOn(dateKey)
+export function isWeightLoggedOn(dateKey, cache) {
+  return cache.weightKeys.has(dateKey);
+}
+
+// Requisito: isInjectionLoggedOn(dateKey)
+export function isInjectionLoggedOn(dateKey, cache) {
+  return cache.injectionKeys.has(dateKey);
+}
+
+// Requisito: isMeasuresLoggedOn(dateKey)
+export function isMeasuresLoggedOn(dateKey, cache) {
+  return cache.measuresKeys.has(dateKey);
+}
+
+export function getStatus(item, nowDate) {
+  // Requisito: pending/done/late
+  if (item.done) return 'done';
+  const todayKey = getLocalDateKey(nowDate);
+  if (compareDateKeys(item.dateKey, todayKey) < 0) return 'late';
+  return 'pending';
+}
+
+export function computeMeasuresDueDateKey(cache, settings, todayKey) {
+  const every = Math.max(7, Math.floor(Number(settings.measureReminderEveryDays || DEFAULTS.measureReminderEveryDays)));
+  // Se nunca registrou medidas, mostrar um lembrete leve hoje (opcional).
+  if (!cache?.lastMeasures?.dateISO) return todayKey;
+
+  const base = parseDateKeyToLocalDate(cache.lastMeasures.dateISO, '00:00');
+  const due = addDays(base, every);
+  const dueKey = getLocalDateKey(due);
+
+  // Se estiver atrasado, continuamos lembrando “a partir de hoje” até registrar novamente.
+  if (compareDateKeys(dueKey, todayKey) < 0) return todayKey;
+  return dueKey;
+}
+
+// Requisito: buildChecklistForDate(date)
+export function buildChecklistForDate(date, cache, settings, nowDate = clock.now()) {
+  const s = settings;
+  const c = cache;
+
+  const dateKey = getLocalDateKey(date);
+  const todayKey = getLocalDateKey(nowDate);
+  const dow = date.getDay();
+
+  const items = [];
+
+  // Peso (obrigatório em dias configurados)
+  if (Array.isArray(s.weighDaysOfWeek) && s.weighDaysOfWeek.includes(dow)) {
+    const done = isWeightLoggedOn(dateKey, c);
+    items.push({
+      kind: 'weight',
+      title: t('Pesagem'),
+      dateKey,
+      required: true,
+      done,
+      warnAfterCutoff: compareDateKeys(dateKey, todayKey) === 0 && isAfterTimeHHmm(nowDate, CHECKLIST_CUTOFF_TIME) && !done
+    });
+  }
+
+  // Aplicação: um item por medicamento ativo, cada um com a própria agenda
+  for (const tracked of trackedSchedules(c.medications, s)) {
+    const keys = injectionKeysForTracked(tracked, c.injectionKeys, c.injectionKeysByMed);
+    if (!isInjectionDueOn(dateKey, tracked.schedule, keys)) continue;
+    const done = keys.has(dateKey);
+    items.push({
+      kind: 'injection',
+      title: tracked.med ? t('Aplicação • {name}', { name: tracked.med.name }) : t('Aplicação'),
+      dateKey,
+      required: true,
+      done,
+      warnAfterCutoff: compareDateKeys(dateKey, todayKey) === 0 && isAfterTimeHHmm(nowDate, CHECKLIST_CUTOFF_TIME) && !done,
+      meta: t('Horário alvo: {time}', { time: tracked.schedule.time }),
+      time: tracked.schedule.time,
+      medicationId: tracked.medicationId,
+      medName: tracked.med?.name || null,
+      color: tracked.med?.color || null
+    });
+  }
+
+  // Medidas (lembrete leve a cada N dias)
+  const measuresDueKey = computeMeasuresDueDateKey(c, s, todayKey);
+  if (measuresDueKey && compareDateKeys(dateKey, measuresDueKey) === 0) {
+    const done = isMeasuresLoggedOn(dateKey, c);
+    items.push({
+      kind: 'measures',
+      title: t('Medidas (opcional)'),
+      dateKey,
+      required: false,
+      done,
+      meta: t('Sugestão: a cada {n} dias', { n: Math.max(7, Math.floor(Number(s.measureReminderEveryDays || DEFAULTS.measureReminderEveryDays))) })
+    });
+  }
+
+  // Estoque (opcional): estoque baixo, refil, validade e descarte da caneta aberta
+  for (const alert of inventoryAlertsFor(c, nowDate)) {
+    if (alert.dateKey === dateKey) items.push({ ...alert });
+  }
+
+  // Status
+  for (const it of items) {
+    it.status = getStatus(it, nowDate);
+  }
+
+  return items;
+}
+
+// Requisito: buildUpcomingChecklist(days=7)
+export function buildUpcomingChecklist(cache, settings, days = 7, nowDate = clock.now()) {
+  const base = startOfDay(nowDate);
+
+  const list = [];
+  for (let i = 1; i <= days; i++) {
+    const d = addDays(base, i);
+    const dateKey = getLocalDateKey(d);
+    const items = buildChecklistForDate(d, cache, settings, nowDate);
+
+    if (items.length) {
+      list.push({
+        dateKey,
+        dow: d.getDay(),
+        items
+      });
+    }
+  }
+
+  return list;
+}
+
+export function buildOverdueChecklist(cache, settings, daysBack = 7, nowDate = clock.now()) {
+  const base = startOfDay(nowDate);
+
+  const overdue = [];
+  for (let i = 1; i <= daysBack; i++) {
+    const d = addDays(base, -i);
+    const items = buildChecklistForDate(d, cache, settings, nowDate);
+    for (const it of items) {
+      if (!it.required) continue;
+      if (it.done) continue;
+      it.status = 'late';
+      it.warnAfterCutoff = false;
+      overdue.push(it);
+    }
+  }
+
+  // Mais recentes primeiro
+  overdue.sort((a, b) => compareDateKeys(b.dateKey, a.dateKey));
+  return overdue;
+}
+
+export function computeNextReminderDate(settings, fromDate = clock.now()) {
+  if (settings.reminderDow === '' || settings.reminderDow === null || settings.reminderDow === undefined) {
+    return null;
+  }
+
+  const dow = Number(settings.reminderDow);
+  if (!Number.isInteger(dow) || dow < 0 || dow > 6) return null;
+
+  const [hh, mm] = String(settings.reminderTime || '19:00').split(':').map((x) => Number(x));
+  const base = new Date(fromDate.getTime());
+
+  // Calcular o próximo dia da semana desejado.
+  const currentDow = base.getDay();
+  let delta = (dow - currentDow + 7) % 7;
+
+  const candidate = new Date(base.getFullYear(), base.getMonth(), base.getDate(), hh || 0, mm || 0, 0, 0);
+  if (delta === 0 && candidate <= base) {
+    delta = 7;
+  }
+  candidate.setDate(candidate.getDate() + delta);
+  return candidate;
+}
+
+export function computeNextScheduledDateTime(settings, fromDate = clock.now()) {
+  return computeNextScheduledFromSchedule(resolveInjectionSchedule(settings), fromDate);
+}
+
+export function describeDueBanner(nextDue, nowDate = clock.now()) {
+  const diffMs = nextDue.getTime() - nowDate.getTime();
+
+  const whenText = nextDue.toLocaleString(i18n.intlLocale(), { dateStyle: 'short', timeStyle: 'short' });
+
+  if (diffMs < 0) {
+    // Atrasado (mostrar até o próximo ciclo)
+    return {
+      kind: 'overdue',
+      text: t('Atenção: lembrete de aplicação estava para {when}. Se já aplicou, registre para manter o histórico.', { when: whenText })
+    };
+  }
+
+  const diffHours = diffMs / (1000 * 60 * 60);
+  if (diffHours <= 24) {
+    return {
+      kind: 'soon',
+      text: t('Lembrete: aplicação programada para {when}.', { when: whenText })
+    };
+  }
+
+  return {
+    kind: 'future',
+    text: t('Próximo lembrete: {when}.', { when: whenText })
+  };
+}
@@ -0,0 +1,40 @@
+/*
+  DoseCheck - core/clock.js
+  Relógio único do app: tudo que depende do "agora" (checklist, streaks,
+  resumos, backups automáticos) lê daqui em vez de chamar new Date()/Date.now().
+
+  "Viagem no tempo" (depuração): fixa o relógio num instante escolhido para
+  reproduzir o que o dashboard mostrava naquele dia/horário.
+*/
+
+export function createClock(source = () => Date.now()) {
+  let frozenMs = null;
+
+  return {
+    now() {
+      return new Date(frozenMs ?? source());
+    },
+    nowMs() {
+      return frozenMs ?? source();
+    },
+    // Fixa o relógio (Date | ISO | ms). Valor inválido é ignorado.
+    travelTo(when) {
+      const ms = new Date(when).getTime();
+      if (!Number.isFinite(ms)) return false;
+      frozenMs = ms;
+      return true;
+    },
+    backToPresent() {
+      frozenMs = null;
+    },
+    isTraveling() {
+      return frozenMs !== null;
+    },
+    travelTarget() {
+      return frozenMs === null ? null : new Date(frozenMs);
+    }
+  };
+}
+
+// Instância compartilhada (app + padrões de nowDate nos módulos core).
+export const clock = createClock();
@@ -0,0 +1,117 @@
+/*
+  DoseCheck - core/conditions.js
+  Condições das pesagens (jejum e período do dia) e o subconjunto comparável usado nas
+  análises. Sem dependências de DOM.
+
+  Configuração do perfil weightComparison:
+  - 'all'     todas as pesagens (padrão)
+  - 'fasting' só pesagens em jejum
+  - 'time'    só pesagens no mesmo período do dia (manhã, tarde ou noite) da última pesagem
+  Diferenças, tendências, gráfico, platô, retenção e metas usam o mesmo subconjunto; a lista
+  de pesagens, a contagem e a adesão continuam com todas.
+*/
+
+import { t } from './i18n.js';
+
+export const WEIGHT_COMPARISONS = ['all', 'fasting', 'time'];
+
+export const WEIGHT_COMPARISON_LABELS = {
+  all: 'Todas as pesagens',
+  fasting: 'Só pesagens em jejum',
+  time: 'Mesmo período do dia da última pesagem'
+};
+
+export const TIME_BUCKETS = ['morning', 'afternoon', 'night'];
+
+export const TIME_BUCKET_LABELS = {
+  morning: 'manhã',
+  afternoon: 'tarde',
+  night: 'noite'
+};
+
+// Hora local em que cada período começa: manhã 4h–11h59, tarde 12h–17h59, noite 18h–3h59.
+const MORNING_FROM_HOUR = 4;
+const AFTERNOON_FROM_HOUR = 12;
+const NIGHT_FROM_HOUR = 18;
+
+// Textos do subconjunto usado (relatório, resumo, gráfico).
+const SUBSET_TEXT = {
+  all: 'todas as pesagens',
+  fasting: 'só pesagens em jejum',
+  morning: 'só pesagens da manhã',
+  afternoon: 'só pesagens da tarde',
+  night: 'só pesagens da noite'
+};
+
+export function normalizeWeightComparison(value) {
+  return WEIGHT_COMPARISONS.includes(value) ? value : 'all';
+}
+
+export function timeBucketOf(dateTimeISO) {
+  const hour = new Date(dateTimeISO).getHours();
+  if (hour >= MORNING_FROM_HOUR && hour < AFTERNOON_FROM_HOUR) return 'morning';
+  if (hour >= AFTERNOON_FROM_HOUR && hour < NIGHT_FROM_HOUR) return 'afternoon';
+  return 'night';
+}
+
+function latestWeight(weights) {
+  let best = null;
+  for (const w of weights) {
+    if (!best || new Date(w.dateTimeISO) > new Date(best.dateTimeISO)) best = w;
+  }
+  return best;
+}
+
+/*
+  Subconjunto comparável de `weights` (mantém a ordem recebida):
+  { mode, bucket ('time': período da última pesagem; senão null), weights, count, total, excluded }
+  mode aceita o valor da configuração ou as próprias configurações do perfil.
+*/
+export function selectComparableWeights(weights, mode) {
+  const m = normalizeWeightComparison(typeof mode === 'object' && mode !== null ? mode.weightComparison : mode);
+  const list = weights || [];
+  let bucket = null;
+  let selected = list;
+  if (m === 'fasting') selected = list.filter((w) => Boolean(w.fasting));
+  if (m === 'time') {
+    const last = latestWeight(list);
+    bucket = last ? timeBucketOf(last.dateTimeISO) : null;
+    selected = list.filter((w) => timeBucketOf(w.dateTimeISO) === bucket);
+  }
+  return { mode: m, bucket, weights: selected, count: selected.length, total: list.length, excluded: list.length - selected.length };
+}
+
+// A pesagem entra no subconjunto? (gráfico: as de fora ficam apagadas)
+export function isComparableWeight(w, selection) {
+  if (!selection || selection.mode === 'all') return true;
+  if (selection.mode === 'fasting') return Boolean(w.fasting);
+  return timeBucketOf(w.dateTimeISO) === selection.bucket;
+}
+
+// O que está misturado nas pesagens: jejum com sem jejum e/ou períodos do dia diferentes.
+export function conditionMix(weights) {
+  const fasting = new Set((weights || []).map((w) => Boolean(w.fasting)));
+  const buckets = new Set((weights || []).map((w) => timeBucketOf(w.dateTimeISO)));
+  return {
+    fasting: fasting.size > 1,
+    time: buckets.size > 1,
+    buckets: TIME_BUCKETS.filter((b) => buckets.has(b))
+  };
+}
+
+export function describeComparison(selection) {
+  if (!selection || selection.mode === 'all') return t(SUBSET_TEXT.all);
+  if (selection.mode === 'fasting') return t(SUBSET_TEXT.fasting);
+  return selection.bucket ? t(SUBSET_TEXT[selection.bucket]) : t(WEIGHT_COMPARISON_LABELS.time);
+}
+
+// Ex.: "só pesagens em jejum (12 de 15)"; com todas: "todas as pesagens (15)".
+export function describeComparisonCount(selection) {
+  const subset = describeComparison(selection);
+  if (!selection || selection.mode === 'all') return t('{subset} ({n})', { subset, n: selection?.total ?? 0 });
+  return t('{subset} ({n} de {total})', { subset, n: selection.count, total: selection.total });
+}
+
+export function formatTimeBuckets(buckets) {
+  return buckets.map((b) => t(TIME_BUCKET_LABELS[b])).join(', ');
+}
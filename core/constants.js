@@ -0,0 +1,82 @@
+/*
+  DoseCheck - core/constants.js
+  Padrões de configuração e rótulos compartilhados (app + módulos de core/).
+*/
+
+export const DEFAULTS = {
+  reminderDow: '', // 0-6 ou ''
+  reminderTime: '19:00',
+
+  // Checklist & Alertas (agenda fixa)
+  // 0 = domingo ... 6 = sábado
+  injectionDayOfWeek: 6, // sábado (legado: primeiro dia de injectionDaysOfWeek)
+  injectionTime: '09:51',
+  // Agenda da aplicação: 'weekdays' (dias da semana) ou 'interval' (a cada N dias)
+  injectionScheduleMode: 'weekdays',
+  injectionDaysOfWeek: [6],
+  injectionIntervalDays: 7,
+  injectionIntervalStartDate: '', // YYYY-MM-DD; base do intervalo enquanto não há aplicações
+  weighDaysOfWeek: [1, 3, 5], // seg/qua/sex
+  measureReminderEveryDays: 14,
+
+  // V3: Config do paciente / relatório
+  patientName: '',
+  patientBirthDate: '',
+  patientBirthYear: '',
+  preferredReportRangeDays: 90,
+
+  // V4: Referência oficial do medicamento (opcional)
+  medRefUrl: '',
+  medOfficialText: '',
+
+  // V2: Rodízio
+  enableArmSites: false,
+
+  // Altura (cm) usada no IMC do dashboard/relatório
+  imcHeight: null,
+
+  // Dias na lixeira antes de apagar de vez (7, 30 ou 90)
+  trashRetentionDays: 30,
+
+  // Idioma do app, dos relatórios e dos textos compartilhados (ver core/i18n.js)
+  locale: 'pt-BR',
+
+  // Unidades de entrada e exibição; os registros continuam em kg e cm (ver core/units.js)
+  weightUnit: 'kg',
+  lengthUnit: 'cm',
+
+  // Pesagens comparadas nas análises: 'all', 'fasting' ou 'time' (ver core/conditions.js)
+  weightComparison: 'all',
+
+  // Metas (ver core/goals.js): null = sem meta; datas YYYY-MM-DD ou ''
+  goalWeightKg: null,
+  goalWaistCm: null,
+  goalStartDate: '',
+  goalTargetDate: ''
+};
+
+export const ROTATION_SITES_DEFAULT = [
+  'abdomen_right',
+  'abdomen_left',
+  'thigh_right',
+  'thigh_left',
+  'arm_right',
+  'arm_left'
+];
+
+export const SITE_LABELS = {
+  abdomen_right: 'Abdômen (direito)',
+  abdomen_left: 'Abdômen (esquerdo)',
+  thigh_right: 'Coxa (direita)',
+  thigh_left: 'Coxa (esquerda)',
+  arm_right: 'Braço (direito)',
+  arm_left: 'Braço (esquerdo)'
+};
+
+export const SYMPTOMS_LABELS = {
+  nausea: 'Enjoo',
+  reflux: 'Azia',
+  appetite: 'Apetite',
+  energy: 'Energia',
+  bowel: 'Intestino'
+};
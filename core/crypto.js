@@ -0,0 +1,153 @@
+/*
+  DoseCheck - core/crypto.js
+  Backup criptografado com senha (Web Crypto): PBKDF2-SHA-256 para derivar a chave e
+  AES-GCM para cifrar o JSON do backup. Sem dependências de DOM (roda no navegador e no Node).
+
+  Envelope (versionado):
+  {
+    format: 'dosecheck-encrypted-backup', version: 1,
+    kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations, salt },   // base64
+    cipher: { name: 'AES-GCM', iv },                               // base64
+    check,                                                         // base64
+    data                                                           // base64 (texto cifrado + tag)
+  }
+
+  A derivação gera 48 bytes: 32 viram a chave AES e 16 ficam em "check", que separa
+  "senha incorreta" de "arquivo corrompido" sem tentar decifrar. O cabeçalho (tudo menos
+  data) entra como dado autenticado do AES-GCM: alterar iterações/salt/iv invalida o arquivo.
+  Web Crypto não tem Argon2; PBKDF2 com muitas iterações é o disponível em todos os navegadores.
+*/
+
+import { t } from './i18n.js';
+
+export const ENCRYPTED_BACKUP_FORMAT = 'dosecheck-encrypted-backup';
+export const ENCRYPTED_BACKUP_VERSION = 1;
+
+// Recomendação atual para PBKDF2-SHA-256 (OWASP). Cada arquivo guarda o próprio valor.
+export const PBKDF2_ITERATIONS = 600_000;
+// Teto para o valor lido do arquivo: um cabeçalho forjado não pode travar a aba no PBKDF2.
+export const MAX_PBKDF2_ITERATIONS = 10 * PBKDF2_ITERATIONS;
+
+export const MIN_PASSPHRASE_LENGTH = 8;
+
+const SALT_BYTES = 16;
+const IV_BYTES = 12;
+const KEY_BYTES = 32;
+const CHECK_BYTES = 16;
+
+// Senha errada: o app pede de novo; os demais erros encerram a restauração.
+export const WRONG_PASSPHRASE_ERROR = 'WrongPassphraseError';
+
+function backupError(message, name = 'Error') {
+  const err = new Error(message);
+  err.name = name;
+  return err;
+}
+
+function subtle() {
+  const s = globalThis.crypto?.subtle;
+  if (!s) throw backupError('Criptografia indisponível neste navegador (é preciso HTTPS).');
+  return s;
+}
+
+export function bytesToBase64(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+export function base64ToBytes(b64) {
+  const binary = atob(String(b64 || ''));
+  const out = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) out[i] = binary.charCodeAt(i);
+  return out;
+}
+
+function constantTimeEqual(a, b) {
+  if (a.length !== b.length) return false;
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) diff |= a[i] ^ b[i];
+  return diff === 0;
+}
+
+async function deriveKeyMaterial(passphrase, salt, iterations) {
+  const base = await subtle().importKey('raw', new TextEncoder().encode(String(passphrase)), 'PBKDF2', false, ['deriveBits']);
+  const bits = new Uint8Array(await subtle().deriveBits(
+    { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+    base,
+    (KEY_BYTES + CHECK_BYTES) * 8
+  ));
+  const key = await subtle().importKey('raw', bits.slice(0, KEY_BYTES), 'AES-GCM', false, ['encrypt', 'decrypt']);
+  return { key, check: bits.slice(KEY_BYTES) };
+}
+
+// Cabeçalho autenticado: mesmos campos, mesma ordem, na cifragem e na decifragem.
+function headerBytes(env) {
+  return new TextEncoder().encode(JSON.stringify([env.format, env.version, env.kdf, env.cipher, env.check]));
+}
+
+export function isEncryptedBackup(obj) {
+  return Boolean(obj && typeof obj === 'object' && obj.format === ENCRYPTED_BACKUP_FORMAT);
+}
+
+export async function encryptBackup(payload, passphrase, { iterations = PBKDF2_ITERATIONS } = {}) {
+  if (String(passphrase || '').length < MIN_PASSPHRASE_LENGTH) {
+    throw backupError(t('A senha precisa ter pelo menos {n} caracteres.', { n: MIN_PASSPHRASE_LENGTH }));
+  }
+  const salt = globalThis.crypto.getRandomValues(new Uint8Array(SALT_BYTES));
+  const iv = globalThis.crypto.getRandomValues(new Uint8Array(IV_BYTES));
+  const { key, check } = await deriveKeyMaterial(passphrase, salt, iterations);
+
+  const env = {
+    format: ENCRYPTED_BACKUP_FORMAT,
+    version: ENCRYPTED_BACKUP_VERSION,
+    kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations, salt: bytesToBase64(salt) },
+    cipher: { name: 'AES-GCM', iv: bytesToBase64(iv) },
+    check: bytesToBase64(check)
+  };
+  const plain = new TextEncoder().encode(JSON.stringify(payload));
+  const data = await subtle().encrypt({ name: 'AES-GCM', iv, additionalData: headerBytes(env) }, key, plain);
+  return { ...env, data: bytesToBase64(new Uint8Array(data)) };
+}
+
+// Envelope -> objeto do backup. Erros: versão não suportada, arquivo corrompido, senha incorreta.
+export async function decryptBackup(env, passphrase) {
+  if (!isEncryptedBackup(env)) throw backupError('Arquivo não é um backup criptografado do DoseCheck.');
+  if (env.version !== ENCRYPTED_BACKUP_VERSION) {
+    throw backupError(t('Backup criptografado na versão {version}, não suportada por esta versão do app. Atualize o DoseCheck.', { version: env.version }));
+  }
+
+  let salt;
+  let iv;
+  let check;
+  let data;
+  try {
+    if (env.kdf?.name !== 'PBKDF2' || env.kdf?.hash !== 'SHA-256' || env.cipher?.name !== 'AES-GCM') throw new Error('algoritmo');
+    salt = base64ToBytes(env.kdf.salt);
+    iv = base64ToBytes(env.cipher.iv);
+    check = base64ToBytes(env.check);
+    data = base64ToBytes(env.data);
+    const iterations = Number(env.kdf.iterations);
+    if (salt.length !== SALT_BYTES || iv.length !== IV_BYTES || check.length !== CHECK_BYTES || !data.length) throw new Error('tamanho');
+    if (!Number.isInteger(iterations) || iterations < 1 || iterations > MAX_PBKDF2_ITERATIONS) throw new Error('iterações');
+  } catch {
+    throw backupError('Arquivo corrompido: cabeçalho do backup criptografado inválido.');
+  }
+
+  const derived = await deriveKeyMaterial(passphrase, salt, Number(env.kdf.iterations));
+  if (!constantTimeEqual(derived.check, check)) throw backupError('Senha incorreta.', WRONG_PASSPHRASE_ERROR);
+
+  let plain;
+  try {
+    plain = await subtle().decrypt({ name: 'AES-GCM', iv, additionalData: headerBytes(env) }, derived.key, data);
+  } catch {
+    throw backupError('Arquivo corrompido ou alterado: não foi possível decifrar o backup.');
+  }
+  try {
+    return JSON.parse(new TextDecoder().decode(plain));
+  } catch {
+    throw backupError('Arquivo corrompido: conteúdo decifrado não é um backup válido.');
+  }
+}
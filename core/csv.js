@@ -0,0 +1,401 @@
+/*
+  DoseCheck - core/csv.js
+  Importação de planilhas (CSV/TSV de outros apps): leitura, mapeamento de colunas,
+  detecção do formato de data, prévia com duplicados/conflitos e plano de gravação.
+  Sem dependências de DOM nem de IndexedDB: o app grava o plano com normalizeWeight/
+  normalizeInjection/normalizeMeasures.
+
+  Os registros gerados trazem só os campos preenchidos na planilha (o resto fica com os
+  padrões do normalize, ou com o valor do registro existente quando substitui).
+*/
+
+import { SITE_LABELS } from './constants.js';
+import { getLocalDateKey, pad2, parseDateKeyToLocalDate } from './dates.js';
+import { parseNumberPtBr } from './format.js';
+import { t } from './i18n.js';
+import { findMedicationByName } from './medications.js';
+import { normalizeLengthUnit, unitToCm, unitToKg, weightScaleUnit } from './units.js';
+
+// Horário usado quando a planilha só tem a data.
+export const IMPORT_DEFAULT_TIME = '08:00';
+
+// Quantas linhas a prévia mostra (a contagem considera todas).
+export const IMPORT_PREVIEW_ROWS = 20;
+
+// Campos por tipo de registro. aliases: cabeçalhos reconhecidos (sem acento/pontuação).
+export const IMPORT_KINDS = {
+  weight: {
+    label: 'Pesagens',
+    fields: [
+      { key: 'date', label: 'Data', required: true, aliases: ['data', 'date', 'dia', 'datahora', 'datetime', 'datetimeiso', 'timestamp'] },
+      { key: 'time', label: 'Hora', aliases: ['hora', 'time', 'horario'] },
+      { key: 'weightKg', label: 'Peso', required: true, aliases: ['peso', 'pesokg', 'weight', 'weightkg', 'kg', 'lb', 'lbs', 'libras', 'pounds', 'massa', 'bodyweight'] },
+      { key: 'fasting', label: 'Jejum', aliases: ['jejum', 'fasting', 'emjejum'] },
+      { key: 'notes', label: 'Observações', aliases: ['notas', 'notes', 'obs', 'observacoes', 'observacao', 'comentario', 'comment'] }
+    ]
+  },
+  injection: {
+    label: 'Aplicações',
+    fields: [
+      { key: 'date', label: 'Data', required: true, aliases: ['data', 'date', 'dia', 'datahora', 'datetime', 'datetimeiso', 'timestamp'] },
+      { key: 'time', label: 'Hora', aliases: ['hora', 'time', 'horario'] },
+      { key: 'medName', label: 'Medicamento', aliases: ['medicamento', 'medname', 'medication', 'remedio', 'droga', 'drug'] },
+      { key: 'doseMg', label: 'Dose', aliases: ['dose', 'dosemg', 'dosagem', 'mg'] },
+      { key: 'site', label: 'Local', aliases: ['local', 'site', 'localaplicacao', 'injectionsite'] },
+      { key: 'notes', label: 'Observações', aliases: ['notas', 'notes', 'obs', 'observacoes', 'observacao', 'comentario', 'comment'] }
+    ]
+  },
+  measures: {
+    label: 'Medidas',
+    fields: [
+      { key: 'date', label: 'Data', required: true, aliases: ['data', 'date', 'dia', 'dateiso'] },
+      { key: 'waistCm', label: 'Cintura', aliases: ['cintura', 'waist', 'waistcm'] },
+      { key: 'hipCm', label: 'Quadril', aliases: ['quadril', 'hip', 'hips', 'hipcm'] },
+      { key: 'armLCm', label: 'Braço esq.', aliases: ['bracoesq', 'bracoesquerdo', 'leftarm', 'armlcm'] },
+      { key: 'armRCm', label: 'Braço dir.', aliases: ['bracodir', 'bracodireito', 'rightarm', 'armrcm'] },
+      { key: 'thighCm', label: 'Coxa', aliases: ['coxa', 'thigh', 'thighcm'] },
+      { key: 'calfCm', label: 'Panturrilha', aliases: ['panturrilha', 'calf', 'calfcm'] },
+      { key: 'chestCm', label: 'Peito', aliases: ['peito', 'torax', 'chest', 'chestcm'] },
+      { key: 'neckCm', label: 'Pescoço', aliases: ['pescoco', 'neck', 'neckcm'] },
+      { key: 'notes', label: 'Observações', aliases: ['notas', 'notes', 'obs', 'observacoes', 'observacao', 'comentario', 'comment'] }
+    ]
+  }
+};
+
+export const IMPORT_DATE_FORMATS = {
+  iso: 'AAAA-MM-DD',
+  dmy: 'DD/MM/AAAA',
+  mdy: 'MM/DD/AAAA'
+};
+
+export const IMPORT_STATUS_LABELS = {
+  new: 'novo',
+  duplicate: 'duplicado',
+  conflict: 'conflito',
+  invalid: 'inválido'
+};
+
+const MEASURE_FIELDS = ['waistCm', 'hipCm', 'armLCm', 'armRCm', 'thighCm', 'calfCm', 'chestCm', 'neckCm'];
+
+// Diferença abaixo disso conta como o mesmo valor (planilhas com 1 ou 2 casas).
+const VALUE_TOLERANCE = 0.05;
+
+// -----------------------------
+// Leitura
+// -----------------------------
+
+// Tab, ponto e vírgula (Excel pt-BR) ou vírgula: o que aparece mais na primeira linha.
+export function detectDelimiter(text) {
+  const firstLine = String(text || '').replace(/^\uFEFF/, '').split(/\r?\n/)[0] || '';
+  const counts = ['\t', ';', ','].map((d) => [d, firstLine.split(d).length - 1]);
+  counts.sort((a, b) => b[1] - a[1]);
+  return counts[0][1] > 0 ? counts[0][0] : ',';
+}
+
+// Linhas como arrays de texto (aspas duplas no padrão RFC 4180; linhas vazias ignoradas).
+export function parseCsv(text, delimiter = detectDelimiter(text)) {
+  const s = String(text || '').replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < s.length; i++) {
+    const ch = s[i];
+    if (quoted) {
+      if (ch === '"' && s[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+      continue;
+    }
+    if (ch === '"' && !field) quoted = true;
+    else if (ch === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && s[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else field += ch;
+  }
+  row.push(field);
+  rows.push(row);
+
+  return rows.map((r) => r.map((c) => c.trim())).filter((r) => r.some((c) => c !== ''));
+}
+
+// "Peso (kg)" -> "pesokg"
+function normalizeHeader(h) {
+  return String(h || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, '');
+}
+
+// Sugestão de mapeamento: campo -> índice da coluna (cabeçalho igual a um alias; depois, que comece com ele).
+export function guessColumnMapping(headers, kind) {
+  const normalized = (headers || []).map(normalizeHeader);
+  const used = new Set();
+  const mapping = {};
+  const matchers = [(h, a) => h === a, (h, a) => a.length >= 3 && h.startsWith(a)];
+
+  for (const match of matchers) {
+    for (const field of IMPORT_KINDS[kind].fields) {
+      if (mapping[field.key] !== undefined) continue;
+      const index = normalized.findIndex((h, i) => !used.has(i) && field.aliases.some((a) => match(h, a)));
+      if (index >= 0) {
+        mapping[field.key] = index;
+        used.add(index);
+      }
+    }
+  }
+  return mapping;
+}
+
+// -----------------------------
+// Datas e valores
+// -----------------------------
+
+const DATE_RE = /^(\d{1,4})[/.-](\d{1,2})[/.-](\d{1,4})(?:[ T,]+(\d{1,2}):(\d{2})(?::(\d{2}))?(?:\.\d+)?\s*(am|pm)?)?/i;
+const INSTANT_RE = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:?\d{2})$/i;
+
+// Célula de data -> { dateKey, time } (time 'HH:mm' ou null). null se não bater com o formato.
+// Data/hora ISO com fuso (ex.: exportação do próprio DoseCheck) vira hora local.
+export function parseDateCell(value, format) {
+  const raw = String(value || '').trim();
+  if (format === 'iso' && INSTANT_RE.test(raw)) {
+    const d = new Date(raw);
+    if (Number.isNaN(d.getTime())) return null;
+    return { dateKey: getLocalDateKey(d), time: `${pad2(d.getHours())}:${pad2(d.getMinutes())}` };
+  }
+
+  const m = raw.match(DATE_RE);
+  if (!m) return null;
+  const [a, b, c] = [m[1], m[2], m[3]];
+  let y;
+  let mo;
+  let d;
+  if (format === 'iso') {
+    if (a.length !== 4) return null;
+    [y, mo, d] = [a, b, c];
+  } else {
+    if (a.length > 2) return null;
+    [d, mo, y] = format === 'mdy' ? [b, a, c] : [a, b, c];
+  }
+  let year = Number(y);
+  if (y.length === 2) year += 2000;
+  else if (y.length !== 4) return null;
+
+  const date = new Date(year, Number(mo) - 1, Number(d));
+  if (date.getFullYear() !== year || date.getMonth() !== Number(mo) - 1 || date.getDate() !== Number(d)) return null;
+
+  let time = null;
+  if (m[4] !== undefined) {
+    let hh = Number(m[4]);
+    const ampm = (m[7] || '').toLowerCase();
+    if (ampm === 'pm' && hh < 12) hh += 12;
+    if (ampm === 'am' && hh === 12) hh = 0;
+    if (hh > 23 || Number(m[5]) > 59) return null;
+    time = `${pad2(hh)}:${m[5]}`;
+  }
+  return { dateKey: getLocalDateKey(date), time };
+}
+
+// Formato que lê todas as datas da amostra. Entre DD/MM e MM/DD sem pista (dia > 12), fica DD/MM.
+export function detectDateFormat(values) {
+  const sample = (values || []).map((v) => String(v || '').trim()).filter(Boolean);
+  if (!sample.length) return null;
+  return ['iso', 'dmy', 'mdy'].find((f) => sample.every((v) => parseDateCell(v, f))) || null;
+}
+
+function parseTimeCell(value) {
+  const m = String(value || '').trim().match(/^(\d{1,2})[:h](\d{2})/i);
+  if (!m || Number(m[1]) > 23 || Number(m[2]) > 59) return null;
+  return `${pad2(Number(m[1]))}:${m[2]}`;
+}
+
+// Unidade escrita na célula ("180 lb", '38"') ou no cabeçalho ("Peso (lb)", "waistIn"); null se não houver.
+export function detectImportUnit(text, dimension) {
+  const s = String(text || '').trim().toLowerCase();
+  if (dimension === 'weight') {
+    if (/(lbs?|pounds?|libras?)\W*$/.test(s)) return 'lb';
+    if (/(kg|kilos?|quilos?)\W*$/.test(s)) return 'kg';
+    return null;
+  }
+  if (/(in|inch|inches|pol|polegadas?|")\W*$/.test(s)) return 'in';
+  if (/cm\W*$/.test(s)) return 'cm';
+  return null;
+}
+
+// Número em pt-BR ou en, ignorando unidade ("82,5 kg", "1,234.5").
+export function parseImportNumber(value) {
+  const s = String(value ?? '').replace(/[^\d.,-]/g, '');
+  if (!/\d/.test(s)) return Number.NaN;
+  return parseNumberPtBr(s);
+}
+
+function parseBooleanCell(value) {
+  return /^(s|sim|y|yes|true|1|x|jejum)$/i.test(String(value || '').trim());
+}
+
+// Local da aplicação pelo código (abdomen_right) ou pelo rótulo ("Abdômen (direito)").
+function parseSiteCell(value) {
+  const k = normalizeHeader(value);
+  if (!k) return null;
+  return Object.keys(SITE_LABELS).find((site) => normalizeHeader(site) === k || normalizeHeader(SITE_LABELS[site]) === k) || null;
+}
+
+// -----------------------------
+// Linhas -> registros
+// -----------------------------
+
+// Linha recusada: error é a chave do catálogo e errorParams os valores (a tela usa t(error, errorParams)).
+function invalidRow(line, error, errorParams = {}) {
+  return { line, input: null, error, errorParams };
+}
+
+/*
+  Cada linha vira { line, input, error, errorParams }. input só tem os campos preenchidos.
+  options: { kind, mapping, dateFormat, hasHeader, defaultTime, medications, defaultMedicationId, weightUnit, lengthUnit }
+  Peso e medidas são gravados em kg/cm: vale a unidade escrita na célula, depois a do
+  cabeçalho e, sem nenhuma, weightUnit/lengthUnit (as do perfil; stones contam como libras).
+*/
+export function buildImportRecords(rows, options) {
+  const { kind, mapping, dateFormat, hasHeader = true, defaultTime = IMPORT_DEFAULT_TIME, medications = [], defaultMedicationId = null } = options;
+  const fields = IMPORT_KINDS[kind].fields;
+  const dataRows = hasHeader ? rows.slice(1) : rows;
+  const defaultMed = medications.find((m) => m.id === defaultMedicationId) || null;
+  const header = (key) => (hasHeader && mapping[key] !== undefined && mapping[key] !== null ? rows[0]?.[mapping[key]] : '');
+  const columnUnit = (key, dimension, fallback) => detectImportUnit(header(key), dimension) || fallback;
+  const weightUnit = columnUnit('weightKg', 'weight', weightScaleUnit(options.weightUnit));
+  const lengthUnits = Object.fromEntries(MEASURE_FIELDS.map((k) => [k, columnUnit(k, 'length', normalizeLengthUnit(options.lengthUnit))]));
+
+  return dataRows.map((row, i) => {
+    const line = i + (hasHeader ? 2 : 1);
+    const cell = (key) => (mapping[key] === undefined || mapping[key] === null ? '' : String(row[mapping[key]] ?? '').trim());
+    const missing = fields.filter((f) => f.required && !cell(f.key)).map((f) => f.label);
+    if (missing.length) return invalidRow(line, 'Sem {fields}', { fields: missing.map((label) => t(label)).join(', ').toLowerCase() });
+
+    const date = parseDateCell(cell('date'), dateFormat);
+    if (!date) return invalidRow(line, 'Data inválida: "{value}"', { value: cell('date') });
+    const notes = cell('notes');
+
+    if (kind === 'measures') {
+      const input = { dateISO: date.dateKey };
+      for (const key of MEASURE_FIELDS) {
+        const n = parseImportNumber(cell(key));
+        if (Number.isFinite(n) && n > 0) input[key] = unitToCm(n, detectImportUnit(cell(key), 'length') || lengthUnits[key]);
+      }
+      if (notes) input.notes = notes;
+      if (!MEASURE_FIELDS.some((k) => input[k] !== undefined)) return invalidRow(line, 'Nenhuma medida preenchida');
+      return { line, input, error: null };
+    }
+
+    const time = parseTimeCell(cell('time')) || date.time || defaultTime;
+    const input = { dateTimeISO: parseDateKeyToLocalDate(date.dateKey, time).toISOString() };
+    if (notes) input.notes = notes;
+
+    if (kind === 'weight') {
+      const weight = parseImportNumber(cell('weightKg'));
+      if (!Number.isFinite(weight) || weight <= 0) return invalidRow(line, 'Peso inválido: "{value}"', { value: cell('weightKg') });
+      input.weightKg = unitToKg(weight, detectImportUnit(cell('weightKg'), 'weight') || weightUnit);
+      if (cell('fasting')) input.fasting = parseBooleanCell(cell('fasting'));
+      return { line, input, error: null };
+    }
+
+    const name = cell('medName');
+    const med = (name && findMedicationByName(medications, name)) || (name ? null : defaultMed);
+    input.medName = med?.name || name || defaultMed?.name || '';
+    input.medicationId = med?.id || null;
+    const dose = parseImportNumber(cell('doseMg'));
+    if (cell('doseMg') && !Number.isFinite(dose)) return invalidRow(line, 'Dose inválida: "{value}"', { value: cell('doseMg') });
+    if (Number.isFinite(dose)) input.doseMg = dose;
+    const site = parseSiteCell(cell('site'));
+    if (site) input.site = site;
+    return { line, input, error: null };
+  });
+}
+
+// -----------------------------
+// Duplicados e conflitos
+// -----------------------------
+
+function dateKeyOf(kind, record) {
+  return kind === 'measures' ? record.dateISO : getLocalDateKey(new Date(record.dateTimeISO));
+}
+
+function sameNumber(a, b) {
+  return Number.isFinite(Number(a)) && Number.isFinite(Number(b)) && Math.abs(Number(a) - Number(b)) < VALUE_TOLERANCE;
+}
+
+// Compara um registro importado com um existente do mesmo dia: 'duplicate' | 'conflict' | null (outro item).
+function compareRecords(kind, input, other) {
+  if (kind === 'weight') return sameNumber(input.weightKg, other.weightKg) ? 'duplicate' : 'conflict';
+  if (kind === 'measures') {
+    return MEASURE_FIELDS.every((k) => input[k] === undefined || sameNumber(input[k], other[k])) ? 'duplicate' : 'conflict';
+  }
+  const sameMed = input.medicationId && other.medicationId
+    ? input.medicationId === other.medicationId
+    : normalizeHeader(input.medName) === normalizeHeader(other.medName);
+  if (!sameMed) return null;
+  return input.doseMg === undefined || sameNumber(input.doseMg, other.doseMg) ? 'duplicate' : 'conflict';
+}
+
+// Prévia: cada registro com status ('new' | 'duplicate' | 'conflict' | 'invalid') e, quando
+// bate com um registro já gravado, existingId. Repetições dentro da própria planilha contam
+// como duplicadas da primeira ocorrência.
+export function classifyImportRecords(records, existing, kind) {
+  const byDay = new Map();
+  for (const rec of existing || []) {
+    const key = dateKeyOf(kind, rec);
+    if (!byDay.has(key)) byDay.set(key, []);
+    byDay.get(key).push(rec);
+  }
+  const seenInFile = new Map();
+
+  const out = records.map((r) => {
+    if (r.error) return { ...r, status: 'invalid', existingId: null };
+    const key = dateKeyOf(kind, r.input);
+
+    const earlier = (seenInFile.get(key) || []).find((prev) => compareRecords(kind, r.input, prev) === 'duplicate');
+    if (!seenInFile.has(key)) seenInFile.set(key, []);
+    seenInFile.get(key).push(r.input);
+    if (earlier) return { ...r, status: 'duplicate', existingId: null };
+
+    let conflict = null;
+    for (const other of byDay.get(key) || []) {
+      const cmp = compareRecords(kind, r.input, other);
+      if (cmp === 'duplicate') return { ...r, status: 'duplicate', existingId: other.id };
+      if (cmp === 'conflict' && !conflict) conflict = other;
+    }
+    return conflict ? { ...r, status: 'conflict', existingId: conflict.id } : { ...r, status: 'new', existingId: null };
+  });
+
+  const counts = { new: 0, duplicate: 0, conflict: 0, invalid: 0 };
+  for (const r of out) counts[r.status]++;
+  return { records: out, counts };
+}
+
+// O que gravar: create (registros novos) e replace ({ id, input } sobre o existente).
+// Duplicados e inválidos nunca entram; conflitos seguem a política:
+// 'skip' (mantém o existente) | 'replace' (substitui) | 'both' (grava os dois).
+export function planImport(classified, policy = 'skip') {
+  const create = [];
+  const replace = [];
+  let skipped = 0;
+  for (const r of classified.records) {
+    if (r.status === 'new') create.push(r.input);
+    else if (r.status === 'conflict' && policy === 'both') create.push(r.input);
+    else if (r.status === 'conflict' && policy === 'replace') replace.push({ id: r.existingId, input: r.input });
+    else skipped++;
+  }
+  return { create, replace, skipped };
+}
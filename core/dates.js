@@ -0,0 +1,142 @@
+/*
+  DoseCheck - core/dates.js
+  Datas locais (sem timezone/UTC), semanas seg–dom e conversões de input.
+  Sem dependências de DOM: importado pelo app e pelos testes (node --test).
+
+  Funções que dependem do "agora" recebem nowDate (padrão: clock.now(), ver core/clock.js).
+*/
+
+import { clock } from './clock.js';
+
+export function pad2(n) {
+  return String(n).padStart(2, '0');
+}
+
+// Retorna a chave de data local (sem timezone/UTC): YYYY-MM-DD
+// Requisito: evitar erro de timezone ao comparar registros por “dia”.
+export function getLocalDateKey(date) {
+  const yyyy = date.getFullYear();
+  const mm = pad2(date.getMonth() + 1);
+  const dd = pad2(date.getDate());
+  return `${yyyy}-${mm}-${dd}`;
+}
+
+export function parseDateKeyToLocalDate(dateKey, timeHHmm = '00:00') {
+  const [y, m, d] = String(dateKey).split('-').map((x) => Number(x));
+  const [hh, mi] = String(timeHHmm).split(':').map((x) => Number(x));
+  return new Date(y, (m || 1) - 1, d || 1, hh || 0, mi || 0, 0, 0);
+}
+
+export function compareDateKeys(a, b) {
+  // YYYY-MM-DD lexicográfico funciona.
+  if (a === b) return 0;
+  return a < b ? -1 : 1;
+}
+
+export function toDateKeyFromISO(isoString) {
+  return getLocalDateKey(new Date(isoString));
+}
+
+export function toLocalDateTimeInputValue(date) {
+  // datetime-local precisa de YYYY-MM-DDTHH:mm
+  const yyyy = date.getFullYear();
+  const mm = pad2(date.getMonth() + 1);
+  const dd = pad2(date.getDate());
+  const hh = pad2(date.getHours());
+  const mi = pad2(date.getMinutes());
+  return `${yyyy}-${mm}-${dd}T${hh}:${mi}`;
+}
+
+export function parseLocalDateTimeInputToISO(value) {
+  // value: YYYY-MM-DDTHH:mm
+  // Interpretar como horário local, convertendo para ISO (UTC) de forma estável.
+  if (!value) return null;
+  const [datePart, timePart] = value.split('T');
+  if (!datePart || !timePart) return null;
+  const [y, m, d] = datePart.split('-').map((x) => Number(x));
+  const [hh, mi] = timePart.split(':').map((x) => Number(x));
+  const dt = new Date(y, m - 1, d, hh, mi, 0, 0);
+  return dt.toISOString();
+}
+
+export function parseDateInputToISO(value) {
+  // date: YYYY-MM-DD -> ISO com meia-noite local
+  if (!value) return null;
+  const [y, m, d] = value.split('-').map((x) => Number(x));
+  const dt = new Date(y, m - 1, d, 0, 0, 0, 0);
+  return dt.toISOString().slice(0, 10); // dateISO
+}
+
+export function isIsoDateOnly(s) {
+  return typeof s === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(s);
+}
+
+export function parseIsoDateOnlyToLocalDate(dateISO) {
+  if (!isIsoDateOnly(dateISO)) return null;
+  const [y, m, d] = dateISO.split('-').map((x) => Number(x));
+  if (!Number.isFinite(y) || !Number.isFinite(m) || !Number.isFinite(d)) return null;
+  const dt = new Date(y, m - 1, d);
+  if (dt.getFullYear() !== y || (dt.getMonth() + 1) !== m || dt.getDate() !== d) return null;
+  return dt;
+}
+
+export function computeAgeYears(birthDateISO, refDate = clock.now()) {
+  const b = parseIsoDateOnlyToLocalDate(birthDateISO);
+  if (!b) return null;
+  const y = refDate.getFullYear() - b.getFullYear();
+  const m = refDate.getMonth() - b.getMonth();
+  const d = refDate.getDate() - b.getDate();
+  const hadBirthday = (m > 0) || (m === 0 && d >= 0);
+  return hadBirthday ? y : (y - 1);
+}
+
+export function daysBetween(a, b) {
+  // diferença absoluta em dias
+  const ms = Math.abs(a.getTime() - b.getTime());
+  return ms / (1000 * 60 * 60 * 24);
+}
+
+export function addDays(date, days) {
+  const d = new Date(date.getTime());
+  d.setDate(d.getDate() + days);
+  return d;
+}
+
+export function startOfDay(date) {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate(), 0, 0, 0, 0);
+}
+
+export function startOfWeekMonday(date) {
+  const d = startOfDay(date);
+  // Monday=0..Sunday=6
+  const mondayIndex = (d.getDay() + 6) % 7;
+  d.setDate(d.getDate() - mondayIndex);
+  return d;
+}
+
+export function endOfWeekSunday(startMonday) {
+  const d = addDays(startMonday, 6);
+  return new Date(d.getFullYear(), d.getMonth(), d.getDate(), 23, 59, 59, 999);
+}
+
+// Corte em dias corridos (24h), a partir de nowDate.
+export function cutoffDaysAgo(days, nowDate = clock.now()) {
+  return new Date(nowDate.getTime() - days * 24 * 60 * 60 * 1000);
+}
+
+export function isInLastDays(isoString, days, nowDate = clock.now()) {
+  const cutoff = cutoffDaysAgo(days, nowDate);
+  return new Date(isoString) >= cutoff;
+}
+
+export function isAfterTimeHHmm(date, timeHHmm) {
+  const [hh, mi] = String(timeHHmm).split(':').map((x) => Number(x));
+  if (!Number.isFinite(hh) || !Number.isFinite(mi)) return false;
+  const cutoff = new Date(date.getFullYear(), date.getMonth(), date.getDate(), hh, mi, 0, 0);
+  return date >= cutoff;
+}
+
+export function formatIcsLocalDateTime(d) {
+  // Formato "floating" local (sem Z) para abrir no calendário do dispositivo.
+  return `${d.getFullYear()}${pad2(d.getMonth() + 1)}${pad2(d.getDate())}T${pad2(d.getHours())}${pad2(d.getMinutes())}${pad2(d.getSeconds())}`;
+}
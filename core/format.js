@@ -0,0 +1,324 @@
+/*
+  DoseCheck - core/format.js
+  Números e datas no idioma escolhido (core/i18n.js; padrão pt-BR), peso e medidas na
+  unidade do perfil (core/units.js), rótulos e dados do paciente para textos/relatórios.
+  Sem dependências de DOM.
+
+  Os nomes *PtBr ficaram por compatibilidade: seguem o idioma atual.
+*/
+
+import { clock } from './clock.js';
+import { SITE_LABELS, SYMPTOMS_LABELS } from './constants.js';
+import { computeAgeYears, endOfWeekSunday, isIsoDateOnly, parseIsoDateOnlyToLocalDate } from './dates.js';
+import { decimalSeparatorFor, i18n, t } from './i18n.js';
+import { LB_PER_ST, cmToUnit, kgToStoneParts, kgToUnit, unitToCm, unitToKg, units, weightScaleUnit } from './units.js';
+
+export function clampNumber(value, min, max) {
+  const n = Number(value);
+  if (Number.isNaN(n)) return min;
+  return Math.min(max, Math.max(min, n));
+}
+
+/*
+  Número digitado no idioma `locale` (padrão: o atual).
+  Aceita 82,5 e 82.5 em qualquer idioma, e também 1.234,56 / 1,234.56.
+  Só com vírgula: decimal em pt-BR/es; em inglês, 1,234 (grupos de 3) é milhar.
+*/
+export function parseNumberLocale(value, locale = i18n.locale()) {
+  if (typeof value === 'number') return value;
+  if (value === null || value === undefined) return Number.NaN;
+  const raw = String(value).trim();
+  if (!raw) return Number.NaN;
+
+  let s = raw.replace(/\s+/g, '');
+  if (s.includes(',') && s.includes('.')) {
+    // O separador que vem por último é o decimal; o outro é milhar.
+    s = s.lastIndexOf(',') > s.lastIndexOf('.')
+      ? s.replace(/\./g, '').replace(',', '.')
+      : s.replace(/,/g, '');
+  } else if (s.includes(',')) {
+    s = decimalSeparatorFor(locale) === '.' && /^[-+]?\d{1,3}(,\d{3})+$/.test(s)
+      ? s.replace(/,/g, '')
+      : s.replace(',', '.');
+  }
+
+  return Number(s);
+}
+
+export function parseNumberPtBr(value) {
+  return parseNumberLocale(value, 'pt-BR');
+}
+
+// n com `digits` casas e o separador decimal do idioma atual (sem separador de milhar).
+export function formatDecimal(n, digits = 1) {
+  return Number(n).toFixed(digits).replace('.', i18n.decimalSeparator());
+}
+
+export function formatDecimalForInput(value) {
+  if (value === null || value === undefined || value === '') return '';
+  const n = typeof value === 'number' ? value : parseNumberLocale(value);
+  if (!Number.isFinite(n)) return String(value);
+  return String(n).replace('.', i18n.decimalSeparator());
+}
+
+export function clampText(s, maxLen) {
+  const str = String(s ?? '').trim();
+  if (!str) return '';
+  if (str.length <= maxLen) return str;
+  return `${str.slice(0, maxLen)}…`;
+}
+
+export function formatDateOnlyPtBr(dateISO) {
+  const dt = parseIsoDateOnlyToLocalDate(dateISO);
+  if (!dt) return '';
+  return dt.toLocaleDateString(i18n.intlLocale(), { dateStyle: 'short' });
+}
+
+export function formatDateTimePtBr(isoString) {
+  const d = new Date(isoString);
+  return d.toLocaleString(i18n.intlLocale(), { dateStyle: 'short', timeStyle: 'short' });
+}
+
+export function formatDatePtBr(dateISO) {
+  // dateISO: YYYY-MM-DD
+  const [y, m, d] = dateISO.split('-').map((x) => Number(x));
+  const dt = new Date(y, m - 1, d);
+  return dt.toLocaleDateString(i18n.intlLocale(), { dateStyle: 'short' });
+}
+
+export function formatDateShortPtBr(date) {
+  return date.toLocaleDateString(i18n.intlLocale(), { dateStyle: 'short' });
+}
+
+export function formatTimeShortPtBr(date) {
+  return date.toLocaleTimeString(i18n.intlLocale(), { timeStyle: 'short' });
+}
+
+export function formatWeekRangeLabel(startMonday) {
+  const end = endOfWeekSunday(startMonday);
+  return `${formatDateShortPtBr(startMonday)}–${formatDateShortPtBr(end)}`;
+}
+
+export function formatDowPtBr(dow) {
+  const names = ['Dom', 'Seg', 'Ter', 'Qua', 'Qui', 'Sex', 'Sáb'];
+  return names[dow] ? t(names[dow]) : '—';
+}
+
+export function formatDateKeyShortPtBr(dateKey) {
+  // YYYY-MM-DD -> dd/mm (mm/dd em inglês)
+  const [, m, d] = String(dateKey).split('-');
+  return i18n.locale() === 'en' ? `${m}/${d}` : `${d}/${m}`;
+}
+
+// -----------------------------
+// Peso e medidas (core/units.js)
+// -----------------------------
+// Os nomes *Kg/*Cm recebem o valor gravado (kg/cm) e exibem na unidade do perfil.
+
+// Rótulo curto da unidade de peso (campos e cabeçalhos): kg, lb ou "st lb".
+export function weightUnitLabel(unit = units.weightUnit()) {
+  return unit === 'st' ? 'st lb' : unit;
+}
+
+function formatWeightValue(kg) {
+  const unit = units.weightUnit();
+  if (unit === 'st') {
+    const { st, lb } = kgToStoneParts(kg);
+    return `${st} st ${formatDecimal(lb)} lb`;
+  }
+  return `${formatDecimal(kgToUnit(kg, unit))} ${unit}`;
+}
+
+export function formatKg(n) {
+  if (typeof n !== 'number' || Number.isNaN(n)) return '—';
+  return formatWeightValue(n);
+}
+
+export function formatMaybeKg(n) {
+  if (n === null || n === undefined || !Number.isFinite(n)) return '—';
+  return formatWeightValue(n);
+}
+
+// "94,0 → 90,5 kg" (em stones, cada lado completo).
+export function formatWeightRange(startKg, endKg) {
+  const unit = units.weightUnit();
+  const side = (kg) => {
+    if (kg === null || kg === undefined || !Number.isFinite(kg)) return '—';
+    return unit === 'st' ? formatWeightValue(kg) : formatDecimal(kgToUnit(kg, unit));
+  };
+  return unit === 'st' ? `${side(startKg)} → ${side(endKg)}` : `${side(startKg)} → ${side(endKg)} ${unit}`;
+}
+
+// Quantidade de peso (diferença, limite de um insight): kg ou lb, nunca stones.
+export function formatWeightAmount(kg, digits = 1) {
+  const unit = weightScaleUnit(units.weightUnit());
+  return `${formatDecimal(kgToUnit(kg, unit), digits)} ${unit}`;
+}
+
+// Só o número, na unidade das diferenças (eixo do gráfico, tabelas).
+export function formatWeightNumber(kg, digits = 1) {
+  return formatDecimal(kgToUnit(kg, weightScaleUnit(units.weightUnit())), digits);
+}
+
+// "+0,50 kg/sem"
+export function formatKgPerWeek(perWeekKg) {
+  if (!Number.isFinite(perWeekKg)) return '—';
+  const unit = weightScaleUnit(units.weightUnit());
+  const sign = perWeekKg >= 0 ? '+' : '';
+  return `${sign}${formatDecimal(kgToUnit(perWeekKg, unit), 2)} ${t('{unit}/sem', { unit })}`;
+}
+
+export function formatCm(n) {
+  if (n === null || n === undefined || n === '' || Number.isNaN(Number(n))) return '—';
+  const unit = units.lengthUnit();
+  return `${formatDecimal(cmToUnit(n, unit))} ${unit}`;
+}
+
+// Só o número (tabelas de medidas); vazio sem valor.
+export function formatCmNumber(n) {
+  if (n === null || n === undefined || n === '' || Number.isNaN(Number(n))) return '';
+  return formatDecimal(cmToUnit(n, units.lengthUnit()));
+}
+
+export function formatDeltaCm(delta) {
+  if (delta === null || delta === undefined || !Number.isFinite(Number(delta))) return '—';
+  const sign = delta >= 0 ? '+' : '';
+  return `${sign}${formatCm(delta)}`;
+}
+
+// Altura do IMC: cm sem casas, polegadas com uma.
+export function formatHeight(cm) {
+  if (!Number.isFinite(Number(cm)) || Number(cm) <= 0) return '—';
+  const unit = units.lengthUnit();
+  return `${formatDecimal(cmToUnit(cm, unit), unit === 'cm' ? 0 : 1)} ${unit}`;
+}
+
+// Valor do campo de peso na unidade do perfil (em kg, sem arredondar, como antes).
+export function formatWeightForInput(kg) {
+  if (kg === null || kg === undefined || kg === '' || !Number.isFinite(Number(kg))) return '';
+  const unit = units.weightUnit();
+  if (unit === 'kg') return formatDecimalForInput(Number(kg));
+  if (unit === 'st') {
+    const { st, lb } = kgToStoneParts(kg);
+    return `${st} st ${formatDecimal(lb)}`;
+  }
+  return formatDecimal(kgToUnit(kg, unit));
+}
+
+export function formatLengthForInput(cm) {
+  if (cm === null || cm === undefined || cm === '' || !Number.isFinite(Number(cm))) return '';
+  const unit = units.lengthUnit();
+  return unit === 'cm' ? formatDecimalForInput(Number(cm)) : formatDecimal(cmToUnit(cm, unit));
+}
+
+// "13 st 5,5", "13st 5lb", "13 5" ou só "13" (stones inteiros) -> libras.
+function parseStonesToLb(value) {
+  const m = String(value).trim().match(/^(\d+(?:[.,]\d+)?)\s*(?:st)?\s*(?:(\d+(?:[.,]\d+)?)\s*(?:lbs?)?)?$/i);
+  if (!m) return Number.NaN;
+  return parseNumberLocale(m[1]) * LB_PER_ST + (m[2] ? parseNumberLocale(m[2]) : 0);
+}
+
+/*
+  Peso digitado na unidade do perfil -> kg (NaN se inválido).
+  previousKg: valor gravado do registro em edição; se o campo mostra o mesmo número de
+  antes, devolve o gravado (abrir e salvar não muda 82,5 kg para 82,4995 kg).
+*/
+export function parseWeightInput(value, { previousKg = null } = {}) {
+  const unit = units.weightUnit();
+  const kg = unit === 'st' ? unitToKg(parseStonesToLb(value), 'lb') : unitToKg(parseNumberLocale(value), unit);
+  if (!Number.isFinite(kg)) return Number.NaN;
+  if (Number.isFinite(previousKg) && formatWeightForInput(previousKg) === formatWeightForInput(kg)) return previousKg;
+  return kg;
+}
+
+export function parseLengthInput(value, { previousCm = null } = {}) {
+  const cm = unitToCm(parseNumberLocale(value), units.lengthUnit());
+  if (!Number.isFinite(cm)) return Number.NaN;
+  if (Number.isFinite(previousCm) && formatLengthForInput(previousCm) === formatLengthForInput(cm)) return previousCm;
+  return cm;
+}
+
+export function formatDoseMg(n) {
+  if (typeof n !== 'number' || Number.isNaN(n)) return '—';
+  return `${formatDecimal(n)} mg`;
+}
+
+// Dose na unidade do medicamento (mg, mcg, UI, mL).
+export function formatDose(n, unit = 'mg') {
+  if (typeof n !== 'number' || Number.isNaN(n)) return '—';
+  return `${formatDecimal(n)} ${unit || 'mg'}`;
+}
+
+export function formatDeltaKg(delta) {
+  if (delta === null) return '—';
+  const sign = delta > 0 ? '+' : '';
+  return `${sign}${formatWeightAmount(delta)}`;
+}
+
+export function siteLabel(site) {
+  return SITE_LABELS[site] ? t(SITE_LABELS[site]) : site;
+}
+
+export function symptomLabel(key) {
+  return SYMPTOMS_LABELS[key] ? t(SYMPTOMS_LABELS[key]) : key;
+}
+
+export function formatSymptomCompact(sym) {
+  if (!sym) return '—';
+  const parts = [];
+  for (const k of Object.keys(SYMPTOMS_LABELS)) {
+    const v = clampNumber(sym[k] ?? 0, 0, 10);
+    parts.push(`${symptomLabel(k)} ${v}`);
+  }
+  return parts.join(' • ');
+}
+
+export function escapeHtml(s) {
+  return String(s ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/\"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+export function resolvePatientBirthInfo(settings, nowDate = clock.now()) {
+  const birthDateISO = isIsoDateOnly(String(settings?.patientBirthDate || '').trim())
+    ? String(settings.patientBirthDate).trim()
+    : '';
+  const birthYear = String(settings?.patientBirthYear || '').trim();
+
+  if (birthDateISO) {
+    const age = computeAgeYears(birthDateISO, nowDate);
+    return {
+      label: formatDateOnlyPtBr(birthDateISO) || birthDateISO,
+      ageYears: Number.isFinite(age) ? age : null,
+      approx: false
+    };
+  }
+
+  if (birthYear && /^\d{4}$/.test(birthYear)) {
+    const refY = nowDate.getFullYear();
+    const age = refY - Number(birthYear);
+    return {
+      label: birthYear,
+      ageYears: Number.isFinite(age) ? age : null,
+      approx: true
+    };
+  }
+
+  return { label: '', ageYears: null, approx: false };
+}
+
+export function buildPatientLinePtBr(settings, nowDate = clock.now()) {
+  const name = String(settings?.patientName || '').trim();
+  if (!name) return '';
+  const birth = resolvePatientBirthInfo(settings, nowDate);
+  const parts = [t('Paciente: {name}', { name })];
+  if (birth.label) {
+    const birthParts = [t('Nasc.: {date}', { date: birth.label })];
+    if (birth.ageYears !== null) birthParts.push(t(birth.approx ? 'Idade: {n} anos (aprox.)' : 'Idade: {n} anos', { n: birth.ageYears }));
+    parts.push(`(${birthParts.join(' • ')})`);
+  }
+  return parts.join(' ');
+}
@@ -0,0 +1,208 @@
+/*
+  DoseCheck - core/goals.js
+  Metas de peso e de cintura: progresso, ritmo necessário e data prevista pela tendência.
+  Sem dependências de DOM.
+
+  Configurações do perfil: goalWeightKg e goalWaistCm (null = sem meta), goalStartDate e
+  goalTargetDate ('YYYY-MM-DD' ou ''). Sem data de início, o progresso parte do primeiro registro.
+  A previsão usa a reta das pesagens das últimas 4 semanas (computeWeightRegression), não só
+  a primeira e a última. Peso atual, progresso e previsão usam só as pesagens comparáveis do
+  perfil (weightComparison, ver core/conditions.js).
+
+  Funções que dependem do "agora" recebem nowDate (padrão: clock.now(), ver core/clock.js).
+*/
+
+import { clock } from './clock.js';
+import { selectComparableWeights } from './conditions.js';
+import { addDays, compareDateKeys, getLocalDateKey, isIsoDateOnly, parseDateKeyToLocalDate } from './dates.js';
+import { formatCm, formatDatePtBr, formatKg, formatKgPerWeek, formatWeightAmount } from './format.js';
+import { t } from './i18n.js';
+import { computeWeightRegression, sortByDateDesc, sortByDateTimeDesc } from './stats.js';
+
+// Janela da tendência usada na previsão.
+export const GOAL_TREND_DAYS = 28;
+// Abaixo disso (kg/semana) o peso conta como estável: não dá para prever data.
+export const GOAL_FLAT_PER_WEEK_KG = 0.05;
+// Previsões além disso viram "mais de 2 anos".
+export const GOAL_HORIZON_DAYS = 730;
+
+function positiveOrNull(value) {
+  const n = Number(value);
+  return value !== null && value !== '' && Number.isFinite(n) && n > 0 ? n : null;
+}
+
+// Metas das configurações, já validadas.
+export function normalizeGoals(settings) {
+  const startDate = isIsoDateOnly(String(settings?.goalStartDate || '')) ? settings.goalStartDate : '';
+  const targetDate = isIsoDateOnly(String(settings?.goalTargetDate || '')) ? settings.goalTargetDate : '';
+  return {
+    weightKg: positiveOrNull(settings?.goalWeightKg),
+    waistCm: positiveOrNull(settings?.goalWaistCm),
+    startDate,
+    targetDate
+  };
+}
+
+export function hasGoals(settings) {
+  const g = normalizeGoals(settings);
+  return g.weightKg !== null || g.waistCm !== null;
+}
+
+// Fração do caminho entre start e goal (0–100), para perder ou para ganhar.
+export function goalProgressPct(start, current, goal) {
+  if (start === goal) return current === goal ? 100 : 0;
+  const pct = ((start - current) / (start - goal)) * 100;
+  return Math.round(Math.min(100, Math.max(0, pct)));
+}
+
+function isReached(start, current, goal) {
+  return start >= goal ? current <= goal : current >= goal;
+}
+
+/*
+  Meta de peso: null sem meta ou sem pesagens.
+  projection:
+  - 'reached'  último peso já na meta
+  - 'no_trend' poucas pesagens nas últimas 4 semanas
+  - 'away'     tendência estável ou indo para o lado contrário
+  - 'far'      mais de 2 anos no ritmo atual
+  - 'projected' com projectedDateKey
+  requiredPerWeekKg: ritmo para chegar até goalTargetDate (null sem prazo ou com prazo vencido).
+  onTrack: previsão até o prazo (null sem prazo ou sem previsão).
+*/
+export function computeWeightGoalStatus(settings, weights, nowDate = clock.now()) {
+  const goals = normalizeGoals(settings);
+  if (goals.weightKg === null) return null;
+  const valid = (weights || []).filter((w) => Number.isFinite(Number(w.weightKg)));
+  const desc = [...selectComparableWeights(valid, settings).weights].sort(sortByDateTimeDesc);
+  if (!desc.length) return null;
+
+  const asc = [...desc].reverse();
+  const startW = (goals.startDate && asc.find((w) => compareDateKeys(getLocalDateKey(new Date(w.dateTimeISO)), goals.startDate) >= 0)) || asc[0];
+  const goalKg = goals.weightKg;
+  const startKg = Number(startW.weightKg);
+  const currentKg = Number(desc[0].weightKg);
+  const reached = isReached(startKg, currentKg, goalKg);
+
+  const trend = computeWeightRegression(desc, { days: GOAL_TREND_DAYS, nowDate });
+  const todayKey = getLocalDateKey(nowDate);
+  const baseKg = trend ? trend.endKg : currentKg;
+
+  let requiredPerWeekKg = null;
+  if (goals.targetDate && !reached && compareDateKeys(goals.targetDate, todayKey) > 0) {
+    const daysLeft = Math.round((parseDateKeyToLocalDate(goals.targetDate) - parseDateKeyToLocalDate(todayKey)) / 86_400_000);
+    requiredPerWeekKg = (goalKg - baseKg) / (daysLeft / 7);
+  }
+
+  let projection = 'projected';
+  let projectedDateKey = null;
+  if (reached) projection = 'reached';
+  else if (!trend) projection = 'no_trend';
+  else {
+    const remaining = goalKg - trend.endKg;
+    const towardGoal = Math.sign(remaining) === Math.sign(trend.perWeekKg);
+    if (Math.abs(trend.perWeekKg) < GOAL_FLAT_PER_WEEK_KG || !towardGoal) projection = 'away';
+    else {
+      const days = remaining / (trend.perWeekKg / 7);
+      if (days > GOAL_HORIZON_DAYS) projection = 'far';
+      else projectedDateKey = getLocalDateKey(addDays(new Date(trend.endISO), Math.max(0, Math.round(days))));
+    }
+  }
+
+  const onTrack = goals.targetDate && projectedDateKey ? compareDateKeys(projectedDateKey, goals.targetDate) <= 0 : null;
+
+  return {
+    goalKg,
+    startKg,
+    startISO: startW.dateTimeISO,
+    currentKg,
+    currentISO: desc[0].dateTimeISO,
+    remainingKg: goalKg - currentKg,
+    progressPct: goalProgressPct(startKg, currentKg, goalKg),
+    reached,
+    trend,
+    perWeekKg: trend ? trend.perWeekKg : null,
+    targetDate: goals.targetDate,
+    requiredPerWeekKg,
+    projection,
+    projectedDateKey,
+    onTrack
+  };
+}
+
+// Meta de cintura: só progresso (medidas são esparsas demais para prever data).
+export function computeWaistGoalStatus(settings, measures) {
+  const goals = normalizeGoals(settings);
+  if (goals.waistCm === null) return null;
+  const desc = (measures || []).filter((m) => positiveOrNull(m.waistCm) !== null).sort(sortByDateDesc);
+  if (!desc.length) return null;
+
+  const asc = [...desc].reverse();
+  const startM = (goals.startDate && asc.find((m) => compareDateKeys(m.dateISO, goals.startDate) >= 0)) || asc[0];
+  const goalCm = goals.waistCm;
+  const startCm = Number(startM.waistCm);
+  const currentCm = Number(desc[0].waistCm);
+  return {
+    goalCm,
+    startCm,
+    startDateISO: startM.dateISO,
+    currentCm,
+    currentDateISO: desc[0].dateISO,
+    remainingCm: goalCm - currentCm,
+    progressPct: goalProgressPct(startCm, currentCm, goalCm),
+    reached: isReached(startCm, currentCm, goalCm)
+  };
+}
+
+// data: { weights, measures } (todos os registros do perfil, não só o período).
+export function computeGoalStatus(settings, data, nowDate = clock.now()) {
+  return {
+    weight: computeWeightGoalStatus(settings, data?.weights, nowDate),
+    waist: computeWaistGoalStatus(settings, data?.measures)
+  };
+}
+
+// -----------------------------
+// Textos (dashboard, relatório e resumo semanal)
+// -----------------------------
+
+export function describeWeightGoalProjection(status) {
+  if (!status) return '';
+  switch (status.projection) {
+    case 'reached':
+      return t('Meta atingida.');
+    case 'no_trend':
+      return t('Poucas pesagens nas últimas 4 semanas para prever a data.');
+    case 'away':
+      return t('No ritmo atual ({perWeek}), o peso não está indo em direção à meta.', { perWeek: formatKgPerWeek(status.perWeekKg) });
+    case 'far':
+      return t('No ritmo atual ({perWeek}), a meta fica para daqui a mais de 2 anos.', { perWeek: formatKgPerWeek(status.perWeekKg) });
+    default:
+      return t('Previsão: {date} no ritmo atual ({perWeek}).', { date: formatDatePtBr(status.projectedDateKey), perWeek: formatKgPerWeek(status.perWeekKg) });
+  }
+}
+
+// Ritmo necessário × prazo. '' sem prazo.
+export function describeWeightGoalPace(status) {
+  if (!status?.targetDate || status.reached) return '';
+  const date = formatDatePtBr(status.targetDate);
+  if (status.requiredPerWeekKg === null) return t('O prazo da meta ({date}) já passou.', { date });
+  const text = t('Ritmo necessário até {date}: {perWeek}.', { date, perWeek: formatKgPerWeek(status.requiredPerWeekKg) });
+  if (status.onTrack === null) return text;
+  return `${text} ${status.onTrack ? t('Dentro do prazo.') : t('Atrás do prazo.')}`;
+}
+
+// Ex.: "Meta 80,0 kg • 62% (de 94,0 kg) • faltam 4,5 kg"
+export function describeWeightGoal(status) {
+  if (!status) return '';
+  const parts = [t('Meta {goal}', { goal: formatKg(status.goalKg) }), t('{pct}% (de {start})', { pct: status.progressPct, start: formatKg(status.startKg) })];
+  parts.push(status.reached ? t('atingida') : t('faltam {amount}', { amount: formatWeightAmount(Math.abs(status.remainingKg)) }));
+  return parts.join(' • ');
+}
+
+export function describeWaistGoal(status) {
+  if (!status) return '';
+  const parts = [t('Meta {goal}', { goal: formatCm(status.goalCm) }), t('{pct}% (de {start})', { pct: status.progressPct, start: formatCm(status.startCm) })];
+  parts.push(status.reached ? t('atingida') : t('faltam {amount}', { amount: formatCm(Math.abs(status.remainingCm)) }));
+  return parts.join(' • ');
+}
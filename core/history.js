@@ -0,0 +1,159 @@
+/*
+  DoseCheck - core/history.js
+  Histórico de edições por registro (aplicações, pesagens e medidas): quando foi criado,
+  cada alteração com os valores anteriores, a exclusão e a versão do app que gravou.
+  Sem dependências de DOM nem de IndexedDB.
+
+  Entrada: { id, key: 'store:id', store, recordId, profileId, action, source, atISO, appVersion, changes }
+  - action: 'create' | 'update' | 'delete'
+  - source: quem gravou (HISTORY_SOURCE_LABELS)
+  - changes: só em 'update', [{ field, from, to }]
+  O histórico fica no aparelho (não vai nos backups nem na sincronização); alterações
+  recebidas de outro aparelho entram aqui com source 'sync'.
+*/
+
+import { clock } from './clock.js';
+import {
+  formatDateOnlyPtBr,
+  formatDateTimePtBr,
+  formatDecimalForInput,
+  formatLengthForInput,
+  formatSymptomCompact,
+  formatWeightForInput,
+  siteLabel,
+  symptomLabel,
+  weightUnitLabel
+} from './format.js';
+import { t } from './i18n.js';
+import { stableStringify } from './merge.js';
+
+export const HISTORY_STORES = ['injections', 'weights', 'measures'];
+
+// Vínculos que o próprio app refaz (catálogo, estoque, perfil) não contam como edição.
+const IGNORED_FIELDS = new Set(['id', 'profileId', 'medicationId', 'inventoryId']);
+
+export const HISTORY_ACTION_LABELS = {
+  create: 'Criado',
+  update: 'Editado',
+  delete: 'Excluído'
+};
+
+export const HISTORY_SOURCE_LABELS = {
+  app: 'neste aparelho',
+  sync: 'recebido de outro aparelho',
+  import: 'importação de planilha',
+  restore: 'restauração de backup',
+  trash: 'restaurado da lixeira',
+  undo: 'desfazer'
+};
+
+export const HISTORY_FIELD_LABELS = {
+  dateTimeISO: 'Data/hora',
+  dateISO: 'Data',
+  medName: 'Medicamento',
+  doseMg: 'Dose',
+  site: 'Local',
+  symptoms: 'Sintomas',
+  notes: 'Observações',
+  weightKg: 'Peso ({unit})',
+  fasting: 'Jejum',
+  waistCm: 'Cintura',
+  hipCm: 'Quadril',
+  armLCm: 'Braço E',
+  armRCm: 'Braço D',
+  thighCm: 'Coxa',
+  calfCm: 'Panturrilha',
+  chestCm: 'Peito',
+  neckCm: 'Pescoço'
+};
+
+export function historyKey(store, id) {
+  return `${store}:${id}`;
+}
+
+// Campos alterados entre duas versões, com os valores de antes e depois.
+export function diffRecordFields(previous, next) {
+  const keys = new Set([...Object.keys(previous || {}), ...Object.keys(next || {})]);
+  return [...keys]
+    .filter((k) => !IGNORED_FIELDS.has(k))
+    .filter((k) => stableStringify(previous?.[k]) !== stableStringify(next?.[k]))
+    .sort()
+    .map((field) => ({ field, from: previous?.[field] ?? null, to: next?.[field] ?? null }));
+}
+
+// Uma gravação ou exclusão -> entrada do histórico (null quando nada que importe mudou).
+export function buildHistoryEntry({ store, previous, next, profileId, source = 'app', appVersion = '', makeId }, nowDate = clock.now()) {
+  if (!HISTORY_STORES.includes(store) || (!previous && !next)) return null;
+  const action = !previous ? 'create' : !next ? 'delete' : 'update';
+  const changes = action === 'update' ? diffRecordFields(previous, next) : [];
+  if (action === 'update' && !changes.length) return null;
+
+  const recordId = (next || previous).id;
+  return {
+    id: makeId(),
+    key: historyKey(store, recordId),
+    store,
+    recordId,
+    profileId: profileId || (next || previous).profileId,
+    action,
+    source,
+    atISO: nowDate.toISOString(),
+    appVersion,
+    changes
+  };
+}
+
+// Mais antigas primeiro (ordem em que aconteceram).
+export function sortHistory(entries) {
+  return [...(entries || [])].sort((a, b) => String(a.atISO).localeCompare(String(b.atISO)));
+}
+
+// Criação, última edição e número de edições de um registro.
+export function summarizeRecordHistory(entries) {
+  const sorted = sortHistory(entries);
+  const created = sorted.find((e) => e.action === 'create') || null;
+  const updates = sorted.filter((e) => e.action === 'update');
+  return {
+    createdAtISO: created?.atISO || '',
+    updatedAtISO: updates.length ? updates[updates.length - 1].atISO : '',
+    editCount: updates.length
+  };
+}
+
+// Registros editados depois de gravados: 'store:id' -> { lastEditISO, editCount }.
+// Entradas de registros que voltaram a ser criados depois (lixeira, backup) contam a partir daí.
+export function editedRecordKeys(entries) {
+  const byKey = new Map();
+  for (const e of sortHistory(entries)) {
+    if (e.action === 'create' || e.action === 'delete') {
+      byKey.delete(e.key);
+      continue;
+    }
+    if (e.action !== 'update') continue;
+    const prev = byKey.get(e.key);
+    byKey.set(e.key, { lastEditISO: e.atISO, editCount: (prev?.editCount || 0) + 1 });
+  }
+  return byKey;
+}
+
+export function formatHistoryValue(field, value) {
+  if (value === null || value === undefined || value === '') return '—';
+  if (field === 'dateTimeISO') return formatDateTimePtBr(value);
+  if (field === 'dateISO') return formatDateOnlyPtBr(value) || String(value);
+  if (field === 'site') return siteLabel(value);
+  if (field === 'fasting') return value ? t('Sim') : t('Não');
+  if (field === 'symptoms') return formatSymptomCompact(value);
+  if (field === 'weightKg' && typeof value === 'number') return formatWeightForInput(value);
+  if (/Cm$/.test(field) && typeof value === 'number') return formatLengthForInput(value);
+  if (typeof value === 'number') return formatDecimalForInput(value);
+  if (typeof value === 'object') return stableStringify(value);
+  return String(value);
+}
+
+// "Dose: 2,5 → 5" para cada campo alterado.
+export function describeHistoryChanges(entry) {
+  return (entry?.changes || []).map((c) => {
+    const label = HISTORY_FIELD_LABELS[c.field] ? t(HISTORY_FIELD_LABELS[c.field], { unit: weightUnitLabel() }) : symptomLabel(c.field);
+    return `${label}: ${formatHistoryValue(c.field, c.from)} → ${formatHistoryValue(c.field, c.to)}`;
+  });
+}
@@ -0,0 +1,98 @@
+/*
+  DoseCheck - core/i18n.js
+  Idioma da interface, dos relatórios e dos textos compartilhados: pt-BR (original),
+  inglês e espanhol. Sem dependências de DOM.
+
+  - Catálogo no estilo gettext: a chave é o próprio texto em pt-BR e a tradução fica em
+    core/locales/<idioma>.js. Texto sem tradução sai em pt-BR.
+  - Parâmetros entre chaves: t('{n} aplicações no período', { n: 3 }).
+  - O idioma também define o separador decimal e o locale do Intl (datas e horas).
+*/
+
+import en from './locales/en.js';
+import es from './locales/es.js';
+
+export const DEFAULT_LOCALE = 'pt-BR';
+export const LOCALES = ['pt-BR', 'en', 'es'];
+
+// Cada idioma no próprio idioma (seletor das configurações).
+export const LOCALE_LABELS = {
+  'pt-BR': 'Português (Brasil)',
+  en: 'English',
+  es: 'Español'
+};
+
+// Locale usado no Intl (datas/horas) e no <html lang>.
+const INTL_TAGS = { 'pt-BR': 'pt-BR', en: 'en-US', es: 'es-ES' };
+const DECIMAL_SEPARATORS = { 'pt-BR': ',', en: '.', es: ',' };
+
+export const CATALOGS = { en, es };
+
+// 'pt', 'pt-PT', 'en-GB', 'es_AR'... -> um dos LOCALES (padrão: pt-BR).
+export function normalizeLocale(value) {
+  const raw = String(value || '').trim();
+  if (LOCALES.includes(raw)) return raw;
+  const base = raw.toLowerCase().split(/[-_]/)[0];
+  if (base === 'pt') return DEFAULT_LOCALE;
+  return LOCALES.includes(base) ? base : DEFAULT_LOCALE;
+}
+
+export function intlTagFor(locale) {
+  return INTL_TAGS[normalizeLocale(locale)];
+}
+
+export function decimalSeparatorFor(locale) {
+  return DECIMAL_SEPARATORS[normalizeLocale(locale)];
+}
+
+// '{n} dias' + { n: 7 } -> '7 dias'. Chave sem valor fica como está.
+export function interpolate(text, params) {
+  if (!params) return text;
+  return String(text).replace(/\{(\w+)\}/g, (match, key) => (params[key] === undefined || params[key] === null ? match : String(params[key])));
+}
+
+export function createI18n(catalogs = CATALOGS, initialLocale = DEFAULT_LOCALE) {
+  let current = normalizeLocale(initialLocale);
+
+  const translate = (text, params, locale = current) => {
+    const key = String(text ?? '');
+    const translated = locale === DEFAULT_LOCALE ? key : (catalogs[locale]?.[key] ?? key);
+    return interpolate(translated, params);
+  };
+
+  return {
+    locale() {
+      return current;
+    },
+    setLocale(value) {
+      current = normalizeLocale(value);
+      return current;
+    },
+    intlLocale() {
+      return INTL_TAGS[current];
+    },
+    decimalSeparator() {
+      return DECIMAL_SEPARATORS[current];
+    },
+    t(text, params) {
+      return translate(text, params);
+    },
+    // Roda fn em outro idioma e volta ao atual (textos gerados fora do idioma da tela, testes).
+    withLocale(locale, fn) {
+      const previous = current;
+      current = normalizeLocale(locale);
+      try {
+        return fn();
+      } finally {
+        current = previous;
+      }
+    }
+  };
+}
+
+// Instância compartilhada (app + textos gerados nos módulos core).
+export const i18n = createI18n();
+
+export function t(text, params) {
+  return i18n.t(text, params);
+}
@@ -0,0 +1,391 @@
+/*
+  DoseCheck - core/ics.js
+  Agenda completa em .ics (RFC 5545): aplicações de cada medicamento, dias de pesagem e
+  medidas como eventos recorrentes (RRULE) com lembrete (VALARM), e opcionalmente o
+  histórico como eventos concluídos.
+  Sem dependências de DOM.
+
+  - Recorrências usam o fuso do aparelho (TZID + VTIMEZONE gerado a partir das regras locais);
+    DTSTAMP e o histórico vão em UTC.
+  - UIDs estáveis (medicamento/perfil/registro): importar de novo atualiza os eventos em vez de
+    duplicar. SEQUENCE cresce a cada exportação para o calendário aceitar a versão nova.
+*/
+
+import { clock } from './clock.js';
+import { computeMeasuresDueDateKey } from './checklist.js';
+import { DEFAULTS } from './constants.js';
+import { addDays, formatIcsLocalDateTime, getLocalDateKey, pad2, parseDateKeyToLocalDate, startOfDay } from './dates.js';
+import { formatDose, formatKg, siteLabel } from './format.js';
+import { t } from './i18n.js';
+import { filterInjectionsForMedication, resolveInjectionMedicationId, trackedSchedules } from './medications.js';
+import { NOTIFY_TIMES } from './notifications.js';
+import { SCHEDULE_INTERVAL, formatInjectionScheduleLabel } from './schedule.js';
+import { formatTitrationPlan } from './titration.js';
+
+export const ICS_PRODID = '-//DoseCheck//PT-BR//EN';
+const UID_DOMAIN = 'dosecheck';
+
+// Minutos de antecedência do lembrete (0 = na hora).
+export const ICS_ALARM_MINUTES_BEFORE = {
+  injection: 30,
+  weight: 0,
+  measures: 0
+};
+
+// Duração dos eventos da agenda.
+const EVENT_MINUTES = 15;
+
+const ICS_WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+// -----------------------------
+// Formatação
+// -----------------------------
+
+export function escapeIcsText(s) {
+  return String(s ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// Linhas de no máximo 75 octetos; continuação começa com espaço (sem quebrar caracteres UTF-8).
+export function foldIcsLine(line) {
+  const encoder = new TextEncoder();
+  if (encoder.encode(line).length <= 75) return line;
+  const parts = [];
+  let current = '';
+  let size = 0;
+  for (const ch of line) {
+    const bytes = encoder.encode(ch).length;
+    const limit = parts.length ? 74 : 75;
+    if (size + bytes > limit) {
+      parts.push(current);
+      current = '';
+      size = 0;
+    }
+    current += ch;
+    size += bytes;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+export function formatIcsUtcDateTime(d) {
+  return `${d.getUTCFullYear()}${pad2(d.getUTCMonth() + 1)}${pad2(d.getUTCDate())}T${pad2(d.getUTCHours())}${pad2(d.getUTCMinutes())}${pad2(d.getUTCSeconds())}Z`;
+}
+
+function formatIcsDate(dateKey) {
+  return String(dateKey).replace(/-/g, '');
+}
+
+// Minutos a leste de UTC -> "-0300"
+function formatIcsOffset(minutes) {
+  const sign = minutes < 0 ? '-' : '+';
+  const abs = Math.abs(minutes);
+  return `${sign}${pad2(Math.floor(abs / 60))}${pad2(abs % 60)}`;
+}
+
+function localOffsetMinutes(ms) {
+  return -new Date(ms).getTimezoneOffset();
+}
+
+// -----------------------------
+// VTIMEZONE
+// -----------------------------
+
+// Mudanças de offset do fuso local entre fromYear e toYear (instante exato, ao minuto).
+export function findOffsetTransitions(fromYear, toYear) {
+  const out = [];
+  let prev = new Date(fromYear, 0, 1, 12, 0).getTime();
+  const end = new Date(toYear + 1, 0, 1, 12, 0).getTime();
+  while (prev < end) {
+    const next = addDays(new Date(prev), 1).getTime();
+    const from = localOffsetMinutes(prev);
+    if (localOffsetMinutes(next) !== from) {
+      let lo = prev;
+      let hi = next;
+      while (hi - lo > 60_000) {
+        const mid = Math.floor((lo + hi) / 2 / 60_000) * 60_000;
+        if (mid <= lo) break;
+        if (localOffsetMinutes(mid) === from) lo = mid;
+        else hi = mid;
+      }
+      out.push({ atMs: hi, from, to: localOffsetMinutes(hi) });
+    }
+    prev = next;
+  }
+  return out;
+}
+
+// DTSTART de um componente é a hora local ainda no offset anterior (RFC 5545 §3.6.5).
+function wallTimeBefore(atMs, offsetMinutes) {
+  return formatIcsUtcDateTime(new Date(atMs + offsetMinutes * 60_000)).slice(0, -1);
+}
+
+// Regra anual da transição: mês + n-ésimo dia da semana (-1 = último), na hora local anterior.
+function transitionRule(t) {
+  const wall = new Date(t.atMs + t.from * 60_000);
+  const day = wall.getUTCDate();
+  const daysInMonth = new Date(Date.UTC(wall.getUTCFullYear(), wall.getUTCMonth() + 1, 0)).getUTCDate();
+  const nth = Math.ceil(day / 7);
+  const week = nth >= 4 && day + 7 > daysInMonth ? -1 : nth;
+  const rrule = `FREQ=YEARLY;BYMONTH=${wall.getUTCMonth() + 1};BYDAY=${week}${ICS_WEEKDAYS[wall.getUTCDay()]}`;
+  return { year: wall.getUTCFullYear(), rrule, key: `${rrule}|${wallTimeBefore(t.atMs, t.from).slice(8)}|${t.from}|${t.to}` };
+}
+
+// Regras em vigor: as transições de toYear, se voltam ao mesmo offset e se repetem nos anos
+// anteriores. Devolve o primeiro ano da sequência (DTSTART das regras) ou null (sem horário de verão).
+function recurringTransitions(transitions, fromYear, toYear) {
+  const byYear = new Map();
+  for (const t of transitions) {
+    const rule = transitionRule(t);
+    if (!byYear.has(rule.year)) byYear.set(rule.year, []);
+    byYear.get(rule.year).push({ ...t, ...rule });
+  }
+  const current = byYear.get(toYear) || [];
+  if (current.length < 2 || current.reduce((sum, t) => sum + t.to - t.from, 0) !== 0) return null;
+
+  const signature = (list) => list.map((t) => t.key).sort().join(',');
+  const wanted = signature(current);
+  let startYear = toYear;
+  while (startYear > fromYear && signature(byYear.get(startYear - 1) || []) === wanted) startYear -= 1;
+  if (startYear === toYear) return null;
+  return { startYear, rules: byYear.get(startYear) };
+}
+
+// Transições antigas vão uma a uma; as atuais como RRULE anual (valem para qualquer data futura).
+// toYear: ano até onde a regra é conferida (as regras precisam se repetir em pelo menos dois anos).
+export function buildVtimezoneLines(tzid, fromYear, toYear) {
+  const firstMs = new Date(fromYear, 0, 1, 0, 0).getTime();
+  const initial = localOffsetMinutes(firstMs);
+  const component = (type, dtstart, from, to, rrule = null) => [
+    `BEGIN:${type}`,
+    `DTSTART:${dtstart}`,
+    `TZOFFSETFROM:${formatIcsOffset(from)}`,
+    `TZOFFSETTO:${formatIcsOffset(to)}`,
+    ...(rrule ? [`RRULE:${rrule}`] : []),
+    `END:${type}`
+  ];
+  const typeOf = (t) => (t.to > t.from ? 'DAYLIGHT' : 'STANDARD');
+
+  const transitions = findOffsetTransitions(fromYear, toYear);
+  const recurring = recurringTransitions(transitions, fromYear, toYear);
+
+  const lines = ['BEGIN:VTIMEZONE', `TZID:${tzid}`];
+  lines.push(...component('STANDARD', wallTimeBefore(firstMs, initial), initial, initial));
+  for (const t of transitions) {
+    if (recurring && transitionRule(t).year >= recurring.startYear) continue;
+    lines.push(...component(typeOf(t), wallTimeBefore(t.atMs, t.from), t.from, t.to));
+  }
+  for (const t of recurring?.rules || []) {
+    lines.push(...component(typeOf(t), wallTimeBefore(t.atMs, t.from), t.from, t.to, t.rrule));
+  }
+  lines.push('END:VTIMEZONE');
+  return lines;
+}
+
+// -----------------------------
+// Séries recorrentes
+// -----------------------------
+
+function atTime(date, timeHHmm) {
+  return parseDateKeyToLocalDate(getLocalDateKey(date), timeHHmm);
+}
+
+// Primeiro dia da lista (0-6) a partir de hoje, no horário informado.
+function firstWeekdayFrom(daysOfWeek, timeHHmm, nowDate) {
+  const base = startOfDay(nowDate);
+  for (let k = 0; k < 7; k++) {
+    const day = addDays(base, k);
+    if (daysOfWeek.includes(day.getDay())) return atTime(day, timeHHmm);
+  }
+  return null;
+}
+
+function weeklyRule(daysOfWeek) {
+  return `FREQ=WEEKLY;BYDAY=${daysOfWeek.map((d) => ICS_WEEKDAYS[d]).join(',')}`;
+}
+
+// Início da série "a cada N dias": N dias após a última aplicação (o ciclo recomeça nela),
+// senão a data de início da agenda.
+function intervalStart(schedule, lastInjection, nowDate) {
+  if (lastInjection) {
+    return atTime(addDays(new Date(lastInjection.dateTimeISO), schedule.everyDays), schedule.time);
+  }
+  if (!schedule.startKey) return null;
+  let start = parseDateKeyToLocalDate(schedule.startKey, schedule.time);
+  while (getLocalDateKey(start) < getLocalDateKey(nowDate)) start = addDays(start, schedule.everyDays);
+  return start;
+}
+
+// Uma série por agenda: { uid, kind, start, rrule, summary, description }.
+export function buildScheduleSeries({ medications = [], injections = [], measures = [], settings = DEFAULTS, profileId = 'default' } = {}, nowDate = clock.now()) {
+  const s = settings || DEFAULTS;
+  const series = [];
+  const sortedInjections = [...injections].sort((a, b) => new Date(b.dateTimeISO) - new Date(a.dateTimeISO));
+
+  for (const tracked of trackedSchedules(medications, s)) {
+    const { med, schedule } = tracked;
+    const last = (tracked.medicationId ? filterInjectionsForMedication(sortedInjections, tracked.medicationId, medications) : sortedInjections)[0] || null;
+    const interval = schedule.mode === SCHEDULE_INTERVAL;
+    const start = interval ? intervalStart(schedule, last, nowDate) : firstWeekdayFrom(schedule.daysOfWeek, schedule.time, nowDate);
+    if (!start) continue;
+
+    const description = [t('Agenda: {schedule}', { schedule: formatInjectionScheduleLabel(schedule) })];
+    if (med?.titration) description.push(t('Titulação: {plan}', { plan: formatTitrationPlan(med.titration, med.unit) }));
+    if (last && Number.isFinite(Number(last.doseMg))) description.push(t('Última dose: {dose}', { dose: formatDose(Number(last.doseMg), med?.unit) }));
+    if (interval) description.push(t('O intervalo recomeça na última aplicação: exporte de novo depois de registrar fora do dia.'));
+
+    series.push({
+      uid: `injection-${tracked.medicationId || profileId}@${UID_DOMAIN}`,
+      kind: 'injection',
+      start,
+      rrule: interval ? `FREQ=DAILY;INTERVAL=${schedule.everyDays}` : weeklyRule(schedule.daysOfWeek),
+      summary: med ? t('Aplicação: {name}', { name: med.name }) : t('Aplicação de medicamento'),
+      description: description.join('\n')
+    });
+  }
+
+  const weighDays = (Array.isArray(s.weighDaysOfWeek) ? s.weighDaysOfWeek : []).map(Number).filter((d) => Number.isInteger(d) && d >= 0 && d <= 6);
+  if (weighDays.length) {
+    series.push({
+      uid: `weight-${profileId}@${UID_DOMAIN}`,
+      kind: 'weight',
+      start: firstWeekdayFrom(weighDays, NOTIFY_TIMES.weight, nowDate),
+      rrule: weeklyRule([...weighDays].sort((a, b) => a - b)),
+      summary: t('Pesagem (em jejum)'),
+      description: t('Registre o peso no DoseCheck.')
+    });
+  }
+
+  const every = Math.max(7, Math.floor(Number(s.measureReminderEveryDays || DEFAULTS.measureReminderEveryDays)));
+  const lastMeasures = [...measures].sort((a, b) => String(b.dateISO).localeCompare(String(a.dateISO)))[0] || null;
+  const measuresKey = computeMeasuresDueDateKey({ lastMeasures }, s, getLocalDateKey(nowDate));
+  series.push({
+    uid: `measures-${profileId}@${UID_DOMAIN}`,
+    kind: 'measures',
+    start: parseDateKeyToLocalDate(measuresKey, NOTIFY_TIMES.measures),
+    rrule: `FREQ=DAILY;INTERVAL=${every}`,
+    summary: t('Medidas corporais'),
+    description: t('Sugestão: a cada {n} dias (conta a partir da última medição).', { n: every })
+  });
+
+  return series;
+}
+
+// -----------------------------
+// Histórico (eventos concluídos)
+// -----------------------------
+
+export function buildLogEvents({ injections = [], weights = [], measures = [], medications = [] } = {}) {
+  const medById = new Map(medications.map((m) => [m.id, m]));
+  const events = [];
+
+  for (const inj of injections) {
+    const med = medById.get(resolveInjectionMedicationId(inj, medications)) || null;
+    const name = med?.name || inj.medName || t('medicamento');
+    const dose = Number(inj.doseMg);
+    events.push({
+      uid: `log-injection-${inj.id}@${UID_DOMAIN}`,
+      start: new Date(inj.dateTimeISO),
+      summary: `✓ ${t('Aplicação: {name}', { name })}${Number.isFinite(dose) ? ` • ${formatDose(dose, med?.unit)}` : ''}`,
+      description: [inj.site ? t('Local: {site}', { site: siteLabel(inj.site) }) : '', inj.notes || ''].filter(Boolean).join('\n')
+    });
+  }
+
+  for (const w of weights) {
+    events.push({
+      uid: `log-weight-${w.id}@${UID_DOMAIN}`,
+      start: new Date(w.dateTimeISO),
+      summary: `✓ ${t('Pesagem: {weight}', { weight: formatKg(Number(w.weightKg)) })}`,
+      description: w.notes || ''
+    });
+  }
+
+  for (const m of measures) {
+    events.push({
+      uid: `log-measures-${m.id}@${UID_DOMAIN}`,
+      dateKey: m.dateISO,
+      summary: `✓ ${t('Medidas corporais')}`,
+      description: m.notes || ''
+    });
+  }
+
+  return events.sort((a, b) => String(a.dateKey || a.start.toISOString()).localeCompare(String(b.dateKey || b.start.toISOString())));
+}
+
+// -----------------------------
+// Calendário
+// -----------------------------
+
+function alarmLines(kind, summary) {
+  const minutes = ICS_ALARM_MINUTES_BEFORE[kind] ?? 0;
+  return [
+    'BEGIN:VALARM',
+    'ACTION:DISPLAY',
+    `TRIGGER:-PT${minutes}M`,
+    `DESCRIPTION:${escapeIcsText(summary)}`,
+    'END:VALARM'
+  ];
+}
+
+// Texto .ics completo (CRLF). tzid: fuso do aparelho (Intl), usado nas recorrências.
+export function buildCalendarFeed(data, { includeLog = false, tzid = null, calendarName = 'DoseCheck' } = {}, nowDate = clock.now()) {
+  const tz = tzid || Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+  const series = buildScheduleSeries(data, nowDate);
+  const log = includeLog ? buildLogEvents(data) : [];
+  const stamp = formatIcsUtcDateTime(nowDate);
+  const sequence = Math.floor(nowDate.getTime() / 1000);
+
+  const years = series.map((s) => s.start.getFullYear());
+  const fromYear = Math.min(...years, nowDate.getFullYear());
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${ICS_PRODID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeIcsText(calendarName)}`,
+    `X-WR-TIMEZONE:${tz}`,
+    // Um ano à frente: confirma que a regra de horário de verão atual continua valendo.
+    ...buildVtimezoneLines(tz, fromYear, nowDate.getFullYear() + 1)
+  ];
+
+  for (const s of series) {
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${s.uid}`,
+      `DTSTAMP:${stamp}`,
+      `SEQUENCE:${sequence}`,
+      `DTSTART;TZID=${tz}:${formatIcsLocalDateTime(s.start)}`,
+      `DURATION:PT${EVENT_MINUTES}M`,
+      `RRULE:${s.rrule}`,
+      `SUMMARY:${escapeIcsText(s.summary)}`,
+      `DESCRIPTION:${escapeIcsText(s.description)}`,
+      'CATEGORIES:DoseCheck',
+      ...alarmLines(s.kind, s.summary),
+      'END:VEVENT'
+    );
+  }
+
+  for (const e of log) {
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${e.uid}`,
+      `DTSTAMP:${stamp}`,
+      e.dateKey ? `DTSTART;VALUE=DATE:${formatIcsDate(e.dateKey)}` : `DTSTART:${formatIcsUtcDateTime(e.start)}`,
+      e.dateKey ? 'DURATION:P1D' : `DURATION:PT${EVENT_MINUTES}M`,
+      `SUMMARY:${escapeIcsText(e.summary)}`,
+      ...(e.description ? [`DESCRIPTION:${escapeIcsText(e.description)}`] : []),
+      'STATUS:CONFIRMED',
+      'TRANSP:TRANSPARENT',
+      `CATEGORIES:DoseCheck,${escapeIcsText(t('Histórico'))}`,
+      'END:VEVENT'
+    );
+  }
+
+  lines.push('END:VCALENDAR');
+  return `${lines.map(foldIcsLine).join('\r\n')}\r\n`;
+}
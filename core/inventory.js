@@ -0,0 +1,256 @@
+/*
+  DoseCheck - core/inventory.js
+  Estoque de canetas/frascos: quanto resta em cada um, qual está em uso e até quando dá.
+  Sem dependências de DOM nem de IndexedDB: recebe os registros já carregados.
+
+  O consumo não é gravado no item: cada aplicação guarda inventoryId e o que resta é
+  total − soma das doses ligadas a ele (editar/excluir uma aplicação devolve a dose).
+
+  Funções que dependem do "agora" recebem nowDate (padrão: clock.now(), ver core/clock.js).
+*/
+
+import { clock } from './clock.js';
+import { addDays, compareDateKeys, getLocalDateKey, isIsoDateOnly, parseDateKeyToLocalDate } from './dates.js';
+import { formatDatePtBr, formatDose, parseNumberPtBr } from './format.js';
+import { t } from './i18n.js';
+import { filterInjectionsForMedication } from './medications.js';
+import { isInjectionDueOn, resolveInjectionSchedule } from './schedule.js';
+import { plannedDoseOn } from './titration.js';
+
+export const INVENTORY_KINDS = {
+  pen: 'Caneta',
+  vial: 'Frasco'
+};
+
+// Alertas: poucas doses, pedir refil com antecedência, validade e descarte da caneta aberta.
+export const LOW_STOCK_DOSES = 2;
+export const REFILL_LEAD_DAYS = 7;
+export const EXPIRY_WARN_DAYS = 14;
+export const DISCARD_WARN_DAYS = 3;
+
+// Previsão olha no máximo um ano à frente.
+const FORECAST_MAX_DAYS = 366;
+
+// Sobra menor que isso conta como vazio (arredondamento das doses).
+const AMOUNT_TOLERANCE = 0.0001;
+
+function dateKeyOrEmpty(value) {
+  const s = String(value || '');
+  return isIsoDateOnly(s) ? s : '';
+}
+
+export function normalizeInventoryItem(input, { profileId, makeId, nowISO } = {}) {
+  const raw = input || {};
+  const total = parseNumberPtBr(raw.totalAmount);
+  const discardAfter = Math.round(Number(raw.discardAfterDays));
+  return {
+    id: raw.id || makeId(),
+    profileId: String(raw.profileId || profileId || ''),
+    medicationId: raw.medicationId ? String(raw.medicationId) : null,
+    kind: Object.prototype.hasOwnProperty.call(INVENTORY_KINDS, raw.kind) ? raw.kind : 'pen',
+    totalAmount: Number.isFinite(total) && total > 0 ? total : 0,
+    lot: String(raw.lot || '').trim(),
+    expiryDate: dateKeyOrEmpty(raw.expiryDate),
+    openedDate: dateKeyOrEmpty(raw.openedDate),
+    discardAfterDays: Number.isFinite(discardAfter) && discardAfter > 0 ? discardAfter : null,
+    discardedDate: dateKeyOrEmpty(raw.discardedDate),
+    createdAtISO: String(raw.createdAtISO || nowISO || '')
+  };
+}
+
+// Ex.: "Caneta • lote AB123"
+export function inventoryItemLabel(item) {
+  const kind = t(INVENTORY_KINDS[item?.kind] || INVENTORY_KINDS.pen);
+  return item?.lot ? t('{kind} • lote {lot}', { kind, lot: item.lot }) : kind;
+}
+
+// Quanto já saiu de cada item (id -> soma das doses das aplicações ligadas a ele).
+export function inventoryUsage(injections) {
+  const used = new Map();
+  for (const inj of injections || []) {
+    if (!inj.inventoryId) continue;
+    const dose = Number(inj.doseMg);
+    if (!Number.isFinite(dose)) continue;
+    used.set(inj.inventoryId, (used.get(inj.inventoryId) || 0) + dose);
+  }
+  return used;
+}
+
+// Primeiro dia em que a caneta aberta deve ser descartada (aberta + N dias), ou null.
+export function discardDateKey(item) {
+  if (!item?.openedDate || !item.discardAfterDays) return null;
+  return getLocalDateKey(addDays(parseDateKeyToLocalDate(item.openedDate), item.discardAfterDays));
+}
+
+// Situação de um item em dateKey.
+// state: 'sealed' | 'open' | 'empty' | 'expired' | 'discard' (prazo após aberta) | 'discarded' (baixa manual)
+export function inventoryItemState(item, used, dateKey) {
+  const remaining = Math.max(0, item.totalAmount - (used || 0));
+  const discardKey = discardDateKey(item);
+  let state = item.openedDate ? 'open' : 'sealed';
+  if (item.discardedDate) state = 'discarded';
+  else if (remaining <= AMOUNT_TOLERANCE) state = 'empty';
+  else if (item.expiryDate && compareDateKeys(dateKey, item.expiryDate) > 0) state = 'expired';
+  else if (discardKey && compareDateKeys(dateKey, discardKey) >= 0) state = 'discard';
+  return {
+    item,
+    remaining,
+    discardKey,
+    state,
+    usable: state === 'open' || state === 'sealed'
+  };
+}
+
+// Ordem de uso: a aberta há mais tempo; depois lacradas pela validade mais próxima.
+function usageOrder(a, b) {
+  const ao = a.item.openedDate;
+  const bo = b.item.openedDate;
+  if (ao && bo) return ao.localeCompare(bo);
+  if (ao || bo) return ao ? -1 : 1;
+  const ae = a.item.expiryDate || '9999-12-31';
+  const be = b.item.expiryDate || '9999-12-31';
+  if (ae !== be) return ae.localeCompare(be);
+  return String(a.item.createdAtISO || '').localeCompare(String(b.item.createdAtISO || ''));
+}
+
+// Item do qual sai a próxima dose deste medicamento em dateKey (null sem estoque utilizável).
+// Se a aberta não tem a dose inteira, passa para a próxima que tenha.
+export function pickActiveInventoryItem(items, injections, medicationId, dateKey, dose = null) {
+  const used = inventoryUsage(injections);
+  const candidates = (items || [])
+    .filter((it) => it.medicationId === medicationId)
+    .map((it) => inventoryItemState(it, used.get(it.id), dateKey))
+    .filter((st) => st.usable)
+    .sort(usageOrder);
+  if (!candidates.length) return null;
+  const needed = Number(dose);
+  const fits = Number.isFinite(needed) ? candidates.find((st) => st.remaining >= needed - AMOUNT_TOLERANCE) : null;
+  return (fits || candidates[0]).item;
+}
+
+// Previsão do estoque de um medicamento: simula a agenda a partir de hoje, com a dose da
+// titulação (ou a última registrada), consumindo os itens na ordem de uso e respeitando
+// validade e descarte após aberto. Sobra menor que a dose é descartada (caneta/frasco).
+export function forecastInventory(med, { inventory = [], injections = [], medications = [] } = {}, nowDate = clock.now()) {
+  const todayKey = getLocalDateKey(nowDate);
+  const items = inventory.filter((it) => it.medicationId === med.id);
+  const medInjections = filterInjectionsForMedication(injections, med.id, medications)
+    .sort((a, b) => new Date(a.dateTimeISO) - new Date(b.dateTimeISO));
+  const lastDose = [...medInjections].reverse().map((i) => Number(i.doseMg)).find((d) => Number.isFinite(d)) ?? null;
+  const doseOn = (key) => (med.titration ? plannedDoseOn(med.titration, key) : null) ?? lastDose;
+
+  const used = inventoryUsage(injections);
+  const pool = items
+    .map((it) => inventoryItemState(it, used.get(it.id), todayKey))
+    .filter((st) => st.usable)
+    .map((st) => ({ item: { ...st.item }, remaining: st.remaining }));
+  const totalRemaining = pool.reduce((sum, p) => sum + p.remaining, 0);
+
+  const base = { medicationId: med.id, items: items.length, totalRemaining, dose: doseOn(todayKey) };
+  if (!items.length || base.dose === null) {
+    return { ...base, dosesLeft: null, runOutKey: null, refillByKey: null, beyondHorizon: false };
+  }
+
+  const schedule = resolveInjectionSchedule(med.schedule);
+  const keys = new Set(medInjections.map((i) => getLocalDateKey(new Date(i.dateTimeISO))));
+  let dosesLeft = 0;
+  let runOutKey = null;
+  let dueDays = 0;
+
+  for (let i = 0; i < FORECAST_MAX_DAYS && !runOutKey; i++) {
+    const key = getLocalDateKey(addDays(parseDateKeyToLocalDate(todayKey), i));
+    if (keys.has(key) || !isInjectionDueOn(key, schedule, keys)) continue;
+    dueDays++;
+    keys.add(key);
+    const dose = doseOn(key);
+
+    for (;;) {
+      const usable = pool
+        .filter((p) => inventoryItemState(p.item, p.item.totalAmount - p.remaining, key).usable)
+        .sort(usageOrder);
+      const current = usable[0];
+      if (!current) {
+        runOutKey = key;
+        break;
+      }
+      if (current.remaining < dose - AMOUNT_TOLERANCE) {
+        pool.splice(pool.indexOf(current), 1);
+        continue;
+      }
+      if (!current.item.openedDate) current.item.openedDate = key;
+      current.remaining -= dose;
+      dosesLeft++;
+      break;
+    }
+  }
+
+  // Agenda sem dia previsto (ex.: intervalo sem data de início): só a conta do que resta.
+  if (!dueDays) {
+    return { ...base, dosesLeft: Math.floor((totalRemaining + AMOUNT_TOLERANCE) / base.dose), runOutKey: null, refillByKey: null, beyondHorizon: false };
+  }
+
+  const refillByKey = runOutKey ? getLocalDateKey(addDays(parseDateKeyToLocalDate(runOutKey), -REFILL_LEAD_DAYS)) : null;
+  return { ...base, dosesLeft, runOutKey, refillByKey, beyondHorizon: !runOutKey };
+}
+
+function laterKey(a, b) {
+  return compareDateKeys(a, b) >= 0 ? a : b;
+}
+
+// Itens de checklist do estoque (kind 'inventory', opcionais). Cada alerta tem a data em que
+// passa a valer; o que já venceu aparece hoje.
+export function buildInventoryAlerts({ medications = [], inventory = [], injections = [] } = {}, nowDate = clock.now()) {
+  const todayKey = getLocalDateKey(nowDate);
+  const used = inventoryUsage(injections);
+  const medById = new Map(medications.map((m) => [m.id, m]));
+  const alerts = [];
+  const push = (fields) => alerts.push({ kind: 'inventory', required: false, done: false, ...fields });
+
+  for (const med of medications) {
+    if (med.active === false) continue;
+    const f = forecastInventory(med, { inventory, injections, medications }, nowDate);
+    if (!f.items || f.dosesLeft === null) continue;
+
+    const low = f.dosesLeft <= LOW_STOCK_DOSES;
+    if (!low && !f.refillByKey) continue;
+    const parts = [t('{n} dose(s) no estoque', { n: f.dosesLeft })];
+    if (f.runOutKey) parts.push(t('acaba em {date}', { date: formatDatePtBr(f.runOutKey) }));
+    push({
+      title: `${low ? t('Estoque baixo') : t('Repor estoque')} • ${med.name}`,
+      dateKey: low ? todayKey : laterKey(f.refillByKey, todayKey),
+      meta: parts.join(' • '),
+      medicationId: med.id,
+      color: med.color || null
+    });
+  }
+
+  for (const item of inventory) {
+    const st = inventoryItemState(item, used.get(item.id), todayKey);
+    if (st.state === 'discarded' || st.state === 'empty') continue;
+    const med = medById.get(item.medicationId) || null;
+    const common = { medicationId: item.medicationId, color: med?.color || null };
+    const what = `${inventoryItemLabel(item)}${med ? ` (${med.name})` : ''}`;
+
+    if (item.expiryDate) {
+      const warnKey = getLocalDateKey(addDays(parseDateKeyToLocalDate(item.expiryDate), -EXPIRY_WARN_DAYS));
+      push({
+        ...common,
+        title: `${st.state === 'expired' ? t('Vencido') : t('Validade')} • ${what}`,
+        dateKey: laterKey(warnKey, todayKey),
+        meta: t(st.state === 'expired' ? 'Venceu em {date} • restam {dose}' : 'Vence em {date} • restam {dose}', { date: formatDatePtBr(item.expiryDate), dose: formatDose(st.remaining, med?.unit) })
+      });
+    }
+
+    if (st.discardKey) {
+      const warnKey = getLocalDateKey(addDays(parseDateKeyToLocalDate(st.discardKey), -DISCARD_WARN_DAYS));
+      push({
+        ...common,
+        title: t('Descartar aberta • {what}', { what }),
+        dateKey: laterKey(warnKey, todayKey),
+        meta: t('Aberta em {opened} • descartar a partir de {discard} ({n} dias)', { opened: formatDatePtBr(item.openedDate), discard: formatDatePtBr(st.discardKey), n: item.discardAfterDays })
+      });
+    }
+  }
+
+  return alerts;
+}
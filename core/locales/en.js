@@ -0,0 +1,1127 @@
+/*
+  DoseCheck - core/locales/en.js
+  Catálogo em inglês: texto original em pt-BR -> tradução (ver core/i18n.js).
+*/
+
+export default {
+  '"Apagar tudo" • {n} registros': '"Delete everything" • {n} records',
+  '(apagados)': '(deleted)',
+  '(mantidos)': '(kept)',
+  '(não configurar)': '(not set)',
+  '(não importar)': '(do not import)',
+  '+ Aplicar': '+ Inject',
+  '+ Aplicar agora': '+ Inject now',
+  '+ Caneta/frasco': '+ Pen/vial',
+  '+ Medidas': '+ Measurements',
+  '+ Medir': '+ Measure',
+  '+ Nova': '+ New',
+  '+ Novo medicamento': '+ New medication',
+  '+ Novo perfil': '+ New profile',
+  '+ Pesar': '+ Weigh',
+  '+ Peso': '+ Weight',
+  '+ Sintomas': '+ Symptoms',
+  '+{n} só no backup': '+{n} only in the backup',
+  '- Foque em hábitos, consistência, registro e sinais para conversar com profissional.': '- Focus on habits, consistency, logging and signs to discuss with a professional.',
+  '- NÃO faça diagnóstico. Não substitui médico.': '- Do NOT diagnose. This does not replace a doctor.',
+  '- NÃO prescreva doses, NÃO oriente uso de medicamento, NÃO dê instruções médicas.': '- Do NOT prescribe doses, do NOT advise on medication use, do NOT give medical instructions.',
+  '- Se faltar informação na referência, diga que não encontrou no trecho fornecido.': '- If the reference lacks information, say you did not find it in the provided excerpt.',
+  '- Se houver conflito entre dados do diário e a referência, destaque como “ponto para checar com médico”.': '- If the diary data and the reference conflict, highlight it as a “point to check with the doctor”.',
+  '- Trecho (cole abaixo):': '- Excerpt (paste below):',
+  '- Trecho: —': '- Excerpt: —',
+  '- Use apenas como base informativa; NÃO prescreva dose nem faça instruções médicas.': '- Use only as informational background; do NOT prescribe doses or give medical instructions.',
+  '14d: —': '14d: —',
+  '180 dias': '180 days',
+  '30 dias': '30 days',
+  '30d': '30d',
+  '30d: —': '30d: —',
+  '6–8 dias': '6–8 days',
+  '7 dias': '7 days',
+  '7d: —': '7d: —',
+  '90 dias': '90 days',
+  '90d': '90d',
+  'A IA aqui avalia seus dados reais (medicamento, aplicações, pesos e medidas) para identificar padrões e hábitos.': 'The AI here reviews your real data (medication, injections, weights and measurements) to spot patterns and habits.',
+  'A agenda da aplicação fica em cada medicamento (card Medicamentos).': 'The injection schedule lives in each medication (Medications card).',
+  'A busca olha as observações e o nome do medicamento de aplicações, pesagens e medidas.': 'Search looks at the notes and medication name of injections, weigh-ins and measurements.',
+  'A cada N dias': 'Every N days',
+  'A lixeira já está vazia.': 'The trash is already empty.',
+  'A partir de': 'From',
+  'A senha precisa ter pelo menos {n} caracteres.': 'The password must be at least {n} characters long.',
+  'A última aplicação registrada foi em {dow} ({date}), mas {expected}.': 'The last injection was logged on {dow} ({date}), but {expected}.',
+  'AAAA-MM-DD': 'YYYY-MM-DD',
+  'APLICAÇÃO PENDENTE': 'INJECTION DUE',
+  'Abaixo do peso': 'Underweight',
+  'Abdômen (direito)': 'Abdomen (right)',
+  'Abdômen (esquerdo)': 'Abdomen (left)',
+  'Aberta em {opened} • descartar a partir de {discard} ({n} dias)': 'Opened on {opened} • discard from {discard} ({n} days)',
+  'Aberto em': 'Opened on',
+  'Abrir link': 'Open link',
+  'Agenda': 'Schedule',
+  'Agenda e histórico exportados para o Calendário.': 'Schedule and history exported to Calendar.',
+  'Agenda exportada para o Calendário.': 'Schedule exported to Calendar.',
+  'Agenda fixa': 'Fixed schedule',
+  'Agenda no Calendário (.ics)': 'Calendar schedule (.ics)',
+  'Agenda: {schedule}': 'Schedule: {schedule}',
+  'Ajustar': 'Adjust',
+  'Ajustar metas': 'Adjust goals',
+  'Ajuste': 'Adjustment',
+  'Altura (cm)': 'Height (cm)',
+  'Altura ({unit})': 'Height ({unit})',
+  'Altura: {value}': 'Height: {value}',
+  'Analisando seus dados dos últimos {days} dias…': 'Analysing your data from the last {days} days…',
+  'Anote contexto (sono, horário da refeição, estresse) para encontrar gatilhos.': 'Note the context (sleep, meal times, stress) to find triggers.',
+  'Antes de atualizar o banco': 'Before updating the database',
+  'Antes de importar planilha': 'Before importing a spreadsheet',
+  'Antes de restaurar': 'Before restoring',
+  'Antes de sincronizar': 'Before syncing',
+  'Análise concluída com base nos seus dados.': 'Analysis complete, based on your data.',
+  'Análise dos seus dados': 'Analysis of your data',
+  'Análise informativa, não é orientação médica.': 'Informational analysis, not medical advice.',
+  'Apaga os dados atuais do perfil e grava exatamente o que está no backup.': 'Deletes the profile\'s current data and writes exactly what is in the backup.',
+  'Apagado da lixeira.': 'Deleted from the trash.',
+  'Apagar de vez': 'Delete permanently',
+  'Apagar de vez após': 'Delete permanently after',
+  'Apagar de vez {n} registro(s) da lixeira? Essa ação não pode ser desfeita.': 'Permanently delete {n} record(s) from the trash? This cannot be undone.',
+  'Apagar de vez? Essa ação não pode ser desfeita.': 'Delete permanently? This cannot be undone.',
+  'Apagar tudo': 'Delete everything',
+  'Apetite': 'Appetite',
+  'Apetite ≥': 'Appetite ≥',
+  'Aplicar': 'Inject',
+  'Aplicação': 'Injection',
+  'Aplicação (para adicionar sintomas)': 'Injection (to add symptoms)',
+  'Aplicação ({name})': 'Injection ({name})',
+  'Aplicação atualizada.': 'Injection updated.',
+  'Aplicação de medicamento': 'Medication injection',
+  'Aplicação de {name} prevista para {time}.': '{name} injection due at {time}.',
+  'Aplicação movida para a lixeira.': 'Injection moved to the trash.',
+  'Aplicação não encontrada.': 'Injection not found.',
+  'Aplicação prevista para {time}.': 'Injection due at {time}.',
+  'Aplicação salva.': 'Injection saved.',
+  'Aplicação {done}/{expected}': 'Injection {done}/{expected}',
+  'Aplicação • {name}': 'Injection • {name}',
+  'Aplicação:': 'Injection:',
+  'Aplicação: {name}': 'Injection: {name}',
+  'Aplicações': 'Injections',
+  'Aplicações e pesagens aparecem aqui.': 'Injections and weigh-ins show up here.',
+  'Aplicações e pesos em ordem cronológica (mais recentes primeiro).': 'Injections and weights in chronological order (newest first).',
+  'Aplicações, pesagens e medidas como eventos recorrentes com lembrete. Importar de novo atualiza os eventos (sem duplicar).': 'Injections, weigh-ins and measurements as recurring events with reminders. Importing again updates the events (no duplicates).',
+  'Aplicações:': 'Injections:',
+  'Aproveite para registrar se quiser (peso/medidas) e manter o histórico.': 'Feel free to log (weight/measurements) to keep your history.',
+  'Aqui está o resumo estruturado do período selecionado ({days} dias) (JSON):': 'Here is the structured summary of the selected period ({days} days) (JSON):',
+  'Arquivo': 'File',
+  'Arquivo corrompido ou alterado: não foi possível decifrar o backup.': 'File corrupted or altered: the backup could not be decrypted.',
+  'Arquivo corrompido: cabeçalho do backup criptografado inválido.': 'File corrupted: invalid encrypted backup header.',
+  'Arquivo corrompido: conteúdo decifrado não é um backup válido.': 'File corrupted: decrypted content is not a valid backup.',
+  'Arquivo de sincronização gerado. Abra-o no outro aparelho em "Receber sincronização".': 'Sync file created. Open it on the other device under "Receive sync".',
+  'Arquivo de sincronização inválido.': 'Invalid sync file.',
+  'Arquivo de sincronização inválido: entrada sem store, id, revisão ou registro.': 'Invalid sync file: entry without store, id, revision or record.',
+  'Arquivo inválido: estrutura não reconhecida.': 'Invalid file: unrecognised structure.',
+  'Arquivo inválido: não é um JSON.': 'Invalid file: not JSON.',
+  'Arquivo inválido: versão de backup "{version}" desconhecida.': 'Invalid file: unknown backup version "{version}".',
+  'Arquivo inválido: {reason}.': 'Invalid file: {reason}.',
+  'Arquivo não é um backup criptografado do DoseCheck.': 'This file is not an encrypted DoseCheck backup.',
+  'Arquivo não é uma sincronização do DoseCheck.': 'This file is not a DoseCheck sync file.',
+  'Arquivo vazio.': 'Empty file.',
+  'Arquivo {file}': 'File {file}',
+  'Arquivo {file} de {date}': 'File {file} from {date}',
+  'As senhas não conferem.': 'The passwords do not match.',
+  'Atenção': 'Attention',
+  'Atenção: lembrete de aplicação estava para {when}. Se já aplicou, registre para manter o histórico.': 'Heads up: the injection reminder was for {when}. If you already injected, log it to keep your history.',
+  'Atingida': 'Reached',
+  'Ativadas: {delivery}.': 'On: {delivery}.',
+  'Ativar': 'Turn on',
+  'Ativar notificações': 'Turn on notifications',
+  'Atrasado': 'Late',
+  'Atrasado {h}h': 'Late {h}h',
+  'Atrasos (últimos 7 dias)': 'Delays (last 7 days)',
+  'Atrás do prazo': 'Behind schedule',
+  'Atrás do prazo.': 'Behind schedule.',
+  'Atualizar': 'Update',
+  'Atualização': 'Update',
+  'Atualização aplicada. Toque em “Atualizar” para recarregar.': 'Update applied. Tap “Update” to reload.',
+  'Atualização disponível.': 'Update available.',
+  'Atualização disponível. Toque em “Atualizar” para aplicar.': 'Update available. Tap “Update” to apply.',
+  'Até': 'Until',
+  'Automático (não reconhecido)': 'Automatic (not recognised)',
+  'Automático ({format})': 'Automatic ({format})',
+  'Aviso': 'Notice',
+  'Aviso visual no app. Para avisos fora do app, ative as notificações abaixo.': 'Visual alert in the app. For alerts outside the app, turn on notifications below.',
+  'Azia': 'Heartburn',
+  'Azia ≥': 'Heartburn ≥',
+  'Ação: {action}': 'Action: {action}',
+  'Backup automático de {date} (versão {version}, {reason})': 'Automatic backup from {date} (version {version}, {reason})',
+  'Backup com senha': 'Password-protected backup',
+  'Backup com senha gerado.': 'Password-protected backup created.',
+  'Backup criado com sucesso.': 'Backup created successfully.',
+  'Backup criado. Atualizando...': 'Backup created. Updating...',
+  'Backup criptografado na versão {version}, não suportada por esta versão do app. Atualize o DoseCheck.': 'Encrypted backup is version {version}, not supported by this version of the app. Update DoseCheck.',
+  'Backup e restauração': 'Backup and restore',
+  'Backup gerado.': 'Backup created.',
+  'Backup mesclado: {n} registro(s) gravado(s) • {kept} conflito(s) mantido(s) deste aparelho.': 'Backup merged: {n} record(s) written • {kept} conflict(s) kept from this device.',
+  'Backup mesclado: {n} registro(s) gravado(s).': 'Backup merged: {n} record(s) written.',
+  'Backup na versão {version}, mais nova que esta versão do app. Atualize o DoseCheck.': 'Backup is version {version}, newer than this version of the app. Update DoseCheck.',
+  'Backup não encontrado.': 'Backup not found.',
+  'Backup restaurado.': 'Backup restored.',
+  'Baixar backup': 'Download backup',
+  'Baixar backup com senha': 'Download password-protected backup',
+  'Baixe ou restaure todos os seus dados.': 'Download or restore all your data.',
+  'Baseado na agenda ({schedule}).': 'Based on the schedule ({schedule}).',
+  'Baseado na agenda fixa (seg/qua/sex e sábado).': 'Based on the fixed schedule (Mon/Wed/Fri and Saturday).',
+  'Baseado na sua agenda fixa.': 'Based on your fixed schedule.',
+  'Baseado no seu lembrete semanal.': 'Based on your weekly reminder.',
+  'Baseado no último registro ({date}) e na agenda ({schedule}).': 'Based on the last record ({date}) and the schedule ({schedule}).',
+  'Bloqueadas nas permissões do navegador.': 'Blocked in the browser permissions.',
+  'Bloqueador de pop-up: permita abrir a aba do relatório.': 'Pop-up blocker: allow the report tab to open.',
+  'Boa': 'Good',
+  'Braço (direito)': 'Arm (right)',
+  'Braço (esquerdo)': 'Arm (left)',
+  'Braço D': 'Right arm',
+  'Braço E': 'Left arm',
+  'Braço dir (cm)': 'Right arm (cm)',
+  'Braço dir ({unit})': 'Right arm ({unit})',
+  'Braço dir.': 'Right arm',
+  'Braço esq (cm)': 'Left arm (cm)',
+  'Braço esq ({unit})': 'Left arm ({unit})',
+  'Braço esq.': 'Left arm',
+  'Busca': 'Search',
+  'Buscar': 'Search',
+  'CSV (vírgula ou ponto e vírgula) ou TSV.': 'CSV (comma or semicolon) or TSV.',
+  'CSV clínico (1 arquivo)': 'Clinical CSV (1 file)',
+  'CSV clínico gerado (1 arquivo).': 'Clinical CSV created (1 file).',
+  'CSVs gerados (3 arquivos).': 'CSVs created (3 files).',
+  'Cada gravação guarda data, origem, versão do app e os valores anteriores. O histórico fica neste aparelho.': 'Each save stores the date, source, app version and previous values. The history stays on this device.',
+  'Cada medicamento tem dose, via, cor e agenda próprias. Checklist, adesão e relatórios contam cada um separadamente.': 'Each medication has its own dose, route, colour and schedule. Checklist, adherence and reports count each one separately.',
+  'Cada perfil tem registros, agenda e configurações próprios. Troque de perfil pelo seletor no topo.': 'Each profile has its own records, schedule and settings. Switch profiles with the selector at the top.',
+  'Cadastre o estoque para acompanhar doses restantes, validade e refil.': 'Add your stock to track remaining doses, expiry and refills.',
+  'Calcular IMC': 'Calculate BMI',
+  'Caneta': 'Pen',
+  'Caneta/frasco': 'Pen/vial',
+  'Canetas e frascos de cada medicamento. Cada aplicação salva é descontada do item aberto (ou do próximo lacrado, pela validade).': 'Pens and vials for each medication. Each saved injection is deducted from the open item (or the next sealed one, by expiry).',
+  'Carregando análise automática...': 'Loading automatic analysis...',
+  'Carregar mais': 'Load more',
+  'Centímetros (cm)': 'Centimetres (cm)',
+  'Checklist de hoje': 'Today\'s checklist',
+  'Cheque consistência de água, proteína e sono. Pequenos ajustes de rotina ajudam.': 'Check your water, protein and sleep consistency. Small routine tweaks help.',
+  'Cintura': 'Waist',
+  'Cintura (altura do umbigo) • cm': 'Waist (navel height) • cm',
+  'Cintura (altura do umbigo) • {unit}': 'Waist (navel height) • {unit}',
+  'Cintura (umbigo)': 'Waist (navel)',
+  'Classificação: {classification}': 'Classification: {classification}',
+  'Cole aqui a bula ou rotulagem oficial para a IA usar como base.': 'Paste the official leaflet or label here for the AI to use as a reference.',
+  'Cole aqui trechos relevantes (posologia, intervalo, contraindicações, alertas).': 'Paste relevant excerpts here (dosing, interval, contraindications, warnings).',
+  'Cole um link oficial primeiro.': 'Paste an official link first.',
+  'Coluna {n}': 'Column {n}',
+  'Colunas': 'Columns',
+  'Com menos de 2 registros de peso em {days} dias, fica difícil identificar tendência.': 'With fewer than 2 weight records in {days} days, it is hard to see a trend.',
+  'Com prazo, o app mostra o ritmo necessário por semana.': 'With a deadline, the app shows the weekly pace needed.',
+  'Começa em {date}': 'Starts on {date}',
+  'Como restaurar': 'How to restore',
+  'Comparar pesagens': 'Compare weigh-ins',
+  'Comparação:': 'Comparison:',
+  'Compare pesagens em condições similares e observe sono/sódio/treino. Isso não é diagnóstico.': 'Compare weigh-ins under similar conditions and watch sleep/sodium/training. This is not a diagnosis.',
+  'Compartilhado como texto (o app de destino pode não suportar formatação).': 'Shared as text (the target app may not support formatting).',
+  'Compartilhar/PDF': 'Share/PDF',
+  'Concentração': 'Concentration',
+  'Concluído': 'Done',
+  'Configura seu checklist e alertas automáticos.': 'Sets up your checklist and automatic alerts.',
+  'Configurações': 'Settings',
+  'Configurações do perfil': 'Profile settings',
+  'Configurações salvas.': 'Settings saved.',
+  'Configure seu lembrete ou registre uma aplicação.': 'Set up your reminder or log an injection.',
+  'Confira se a primeira linha é mesmo o cabeçalho.': 'Check that the first row really is the header.',
+  'Conflitos': 'Conflicts',
+  'Conforme a bula. Deixe vazio se não houver prazo.': 'As per the leaflet. Leave empty if there is no limit.',
+  'Considere conversar com um médico. Isso não é diagnóstico.': 'Consider talking to a doctor. This is not a diagnosis.',
+  'Consistência (agenda)': 'Consistency (schedule)',
+  'Consistência da semana': 'This week\'s consistency',
+  'Consistência e streak': 'Consistency and streak',
+  'Consistência:': 'Consistency:',
+  'Continuar': 'Continue',
+  'Copiado (formatado).': 'Copied (formatted).',
+  'Copiado.': 'Copied.',
+  'Copiar': 'Copy',
+  'Cor': 'Colour',
+  'Coxa': 'Thigh',
+  'Coxa (cm)': 'Thigh (cm)',
+  'Coxa (direita)': 'Thigh (right)',
+  'Coxa (esquerda)': 'Thigh (left)',
+  'Coxa ({unit})': 'Thigh ({unit})',
+  'Criado': 'Created',
+  'Criado antes do histórico de edições': 'Created before edit history',
+  'Criado em {date}': 'Created on {date}',
+  'Criptografando backup…': 'Encrypting backup…',
+  'Criptografia indisponível neste navegador (é preciso HTTPS).': 'Encryption unavailable in this browser (HTTPS is required).',
+  'Cálculo de IMC': 'BMI calculation',
+  'Código de sincronização': 'Sync code',
+  'Código de sincronização inválido.': 'Invalid sync code.',
+  'Código inválido: use de 8 a 64 letras, números, - ou _. Toque em "Gerar código" ou cole o código do outro aparelho.': 'Invalid code: use 8 to 64 letters, numbers, - or _. Tap "Generate code" or paste the code from the other device.',
+  'Código {space}': 'Code {space}',
+  'DC': 'DC',
+  'DD/MM/AAAA': 'DD/MM/YYYY',
+  'Dados auto-relatados pelo paciente via aplicativo (offline-first).': 'Data self-reported by the patient through the app (offline-first).',
+  'Dados do paciente': 'Patient details',
+  'Dados movidos para a lixeira.': 'Data moved to the trash.',
+  'Dados salvos automaticamente para referência na avaliação de IA.': 'Data saved automatically for reference in the AI review.',
+  'Dashboard': 'Dashboard',
+  'Data': 'Date',
+  'Data de nascimento': 'Date of birth',
+  'Data e hora': 'Date and time',
+  'Data e hora simuladas': 'Simulated date and time',
+  'Data inválida.': 'Invalid date.',
+  'Data inválida: "{value}"': 'Invalid date: "{value}"',
+  'Data/hora': 'Date/time',
+  'Data/hora inválida.': 'Invalid date/time.',
+  'Data: {date}': 'Date: {date}',
+  'De': 'From',
+  'Defina um lembrete semanal e registre aplicação + peso no mesmo dia sempre que possível.': 'Set a weekly reminder and log injection + weight on the same day whenever possible.',
+  'Degrau': 'Step',
+  'Degrau atual do plano de dose de cada medicamento.': 'Current step of each medication\'s dose plan.',
+  'Degrau de titulação inválido: "{step}".': 'Invalid titration step: "{step}".',
+  'Degrau {n} de {total} • {dose}': 'Step {n} of {total} • {dose}',
+  'Degraus de dose': 'Dose steps',
+  'Delta (início → fim):': 'Change (start → end):',
+  'Delta período:': 'Period change:',
+  'Delta:': 'Change:',
+  'Dentro do prazo.': 'On schedule.',
+  'Depois': 'Later',
+  'Depois: {list}.': 'Later: {list}.',
+  'Depuração: viagem no tempo': 'Debug: time travel',
+  'Desativada neste perfil.': 'Off for this profile.',
+  'Desativadas.': 'Off.',
+  'Desativar': 'Turn off',
+  'Descartado (baixa)': 'Discarded (written off)',
+  'Descartar aberta • {what}': 'Discard opened • {what}',
+  'Descartar após aberto (dias)': 'Discard after opening (days)',
+  'Desfazer': 'Undo',
+  'Dia da semana': 'Day of week',
+  'Dias da aplicação': 'Injection days',
+  'Dias da aplicação (0=Dom ... 6=Sáb)': 'Injection days (0=Sun ... 6=Sat)',
+  'Dias de pesagem': 'Weigh-in days',
+  'Dias de pesagem (0=Dom ... 6=Sáb)': 'Weigh-in days (0=Sun ... 6=Sat)',
+  'Dias fixos da semana': 'Fixed weekdays',
+  'Dica: alternar lados ajuda a manter um rodízio simples.': 'Tip: alternating sides helps keep a simple rotation.',
+  'Dica: cole só o necessário (o app pode resumir e enviar para a IA).': 'Tip: paste only what is needed (the app can summarise and send it to the AI).',
+  'Dicas automáticas com base nos seus registros.': 'Automatic tips based on your records.',
+  'Diferenças': 'Differences',
+  'Diferenças com {subset}.': 'Differences use {subset}.',
+  'Diferenças, tendência e platô ficam mais confiáveis comparando iguais: em Configurações → Paciente → Comparar pesagens, escolha só jejum ou o mesmo período do dia.': 'Differences, trend and plateau are more reliable when comparing like with like: in Settings → Patient → Compare weigh-ins, choose fasting only or the same time of day.',
+  'Diferenças, tendência, gráfico, platô e metas usam só as pesagens escolhidas. Manhã: 4h–12h • tarde: 12h–18h • noite: 18h–4h.': 'Differences, trend, chart, plateau and goals use only the chosen weigh-ins. Morning: 4am–12pm • afternoon: 12pm–6pm • evening: 6pm–4am.',
+  'Digite um termo ou escolha um filtro': 'Type a term or pick a filter',
+  'Dom': 'Sun',
+  'Domingo': 'Sunday',
+  'Dose': 'Dose',
+  'Dose (': 'Dose (',
+  'Dose inválida no degrau "{step}".': 'Invalid dose in step "{step}".',
+  'Dose inválida.': 'Invalid dose.',
+  'Dose inválida: "{value}"': 'Invalid dose: "{value}"',
+  'Dose máxima': 'Maximum dose',
+  'Dose mínima': 'Minimum dose',
+  'Dose registrada (última):': 'Logged dose (latest):',
+  'DoseCheck': 'DoseCheck',
+  'DoseCheck: PWA offline-first para monitorar aplicações, peso e medidas corporais.': 'DoseCheck: offline-first PWA to track injections, weight and body measurements.',
+  'Doses que ainda dá para aplicar com as canetas/frascos cadastrados e até quando pedir o refil.': 'Doses still available from the registered pens/vials and when to order a refill.',
+  'Editado': 'Edited',
+  'Editado {n}x • última edição em {date}': 'Edited {n}x • last edit on {date}',
+  'Editar': 'Edit',
+  'Editar aplicação': 'Edit injection',
+  'Editar medidas': 'Edit measurements',
+  'Editar peso': 'Edit weight',
+  'Edição desfeita.': 'Edit undone.',
+  'Em estoque': 'In stock',
+  'Em uso (entra no checklist)': 'In use (shows in the checklist)',
+  'Em {date} ({fasting}).': 'On {date} ({fasting}).',
+  'Em {d}d {h}h': 'In {d}d {h}h',
+  'Em {h}h': 'In {h}h',
+  'Endereço do servidor': 'Server address',
+  'Energia': 'Energy',
+  'Energia ≥': 'Energy ≥',
+  'Enjoo': 'Nausea',
+  'Enjoo ≥': 'Nausea ≥',
+  'Enquanto ativa, novos registros e backups usam a hora simulada.': 'While on, new records and backups use the simulated time.',
+  'Enviar': 'Send',
+  'Erro': 'Error',
+  'Erro ao iniciar.': 'Error while starting.',
+  'Erro ao restaurar.': 'Error while restoring.',
+  'Erro ao salvar sintomas.': 'Error saving symptoms.',
+  'Erro ao salvar.': 'Error while saving.',
+  'Erro ao trocar de perfil.': 'Error switching profile.',
+  'Erro na busca.': 'Search error.',
+  'Escolha o medicamento.': 'Choose the medication.',
+  'Escolha uma senha com pelo menos {n} caracteres. Ela será pedida para restaurar e não pode ser recuperada.': 'Choose a password with at least {n} characters. It will be required to restore and cannot be recovered.',
+  'Esquema:': 'Regimen:',
+  'Este arquivo foi gerado neste aparelho. Abra-o no outro aparelho.': 'This file was created on this device. Open it on the other device.',
+  'Este navegador não suporta notificações.': 'This browser does not support notifications.',
+  'Este relatório não substitui avaliação médica.': 'This report does not replace a medical assessment.',
+  'Este é um arquivo de sincronização: use "Receber sincronização".': 'This is a sync file: use "Receive sync".',
+  'Estes registros do backup estão incompletos ou com valores inválidos e não serão restaurados.': 'These backup records are incomplete or have invalid values and will not be restored.',
+  'Estoque': 'Stock',
+  'Estoque > 1 ano': 'Stock > 1 year',
+  'Estoque atualizado.': 'Stock updated.',
+  'Estoque baixo': 'Low stock',
+  'Esvaziar lixeira': 'Empty trash',
+  'Evolução do Peso': 'Weight Trend',
+  'Evolução do peso': 'Weight trend',
+  'Ex.: 10': 'e.g. 10',
+  'Ex.: 10 mg/mL': 'e.g. 10 mg/mL',
+  'Ex.: 102,0': 'e.g. 102.0',
+  'Ex.: 175': 'e.g. 175',
+  'Ex.: 2,5': 'e.g. 2.5',
+  'Ex.: 2,5 → 5 → 7,5': 'e.g. 2.5 → 5 → 7.5',
+  'Ex.: 28': 'e.g. 28',
+  'Ex.: 33,0': 'e.g. 33.0',
+  'Ex.: 33,5': 'e.g. 33.5',
+  'Ex.: 39,0': 'e.g. 39.0',
+  'Ex.: 39,5': 'e.g. 39.5',
+  'Ex.: 5': 'e.g. 5',
+  'Ex.: 58,2': 'e.g. 58.2',
+  'Ex.: 82,5': 'e.g. 82.5',
+  'Ex.: 95,5': 'e.g. 95.5',
+  'Ex.: 98,0': 'e.g. 98.0',
+  'Ex.: AB1234': 'e.g. AB1234',
+  'Ex.: Breno': 'e.g. Brian',
+  'Ex.: Retatrutida': 'e.g. Retatrutide',
+  'Ex.: após treino, retenção, etc.': 'e.g. after training, water retention, etc.',
+  'Ex.: dormi mal, comi tarde, viajei…': 'e.g. slept badly, ate late, travelled…',
+  'Ex.: dormiu bem, fez exercício, estava ansiosa, etc.': 'e.g. slept well, exercised, felt anxious, etc.',
+  'Ex.: dormiu bem, fez exercício, etc.': 'e.g. slept well, exercised, etc.',
+  'Ex.: fita no umbigo, ao acordar, etc.': 'e.g. tape at the navel, right after waking up, etc.',
+  'Ex.: {value}': 'E.g. {value}',
+  'Excelente': 'Excellent',
+  'Excluir': 'Delete',
+  'Excluir este item do estoque?': 'Delete this stock item?',
+  'Excluir este medicamento do catálogo?': 'Delete this medication from the catalogue?',
+  'Excluir o perfil "{name}" e todos os registros dele? Essa ação não pode ser desfeita.': 'Delete the profile "{name}" and all of its records? This cannot be undone.',
+  'Excluir perfil': 'Delete profile',
+  'Exclusão desfeita.': 'Deletion undone.',
+  'Excluído': 'Deleted',
+  'Excluído em {date} • apagado de vez em {expires}': 'Deleted on {date} • permanently deleted on {expires}',
+  'Exportar CSV': 'Export CSV',
+  'Exportar JSON': 'Export JSON',
+  'Exportação': 'Export',
+  'Exportação JSON gerada.': 'JSON export created.',
+  'Faixas de referência:': 'Reference ranges:',
+  'Faixas de referência: Abaixo de 18,5 (abaixo do peso) • 18,5–24,9 (normal) • 25–29,9 (sobrepeso) • 30+ (obesidade).': 'Reference ranges: Below 18.5 (underweight) • 18.5–24.9 (normal) • 25–29.9 (overweight) • 30+ (obesity).',
+  'Falha ao importar.': 'Import failed.',
+  'Falha ao ler o arquivo.': 'Could not read the file.',
+  'Falha ao restaurar.': 'Restore failed.',
+  'Falha ao sincronizar.': 'Sync failed.',
+  'Falha ao sincronizar: {error}. Nova tentativa automática.': 'Sync failed: {error}. Retrying automatically.',
+  'Fechar': 'Close',
+  'Filtro': 'Filter',
+  'Filtros de medicamento, dose, local e sintomas mostram só aplicações; jejum mostra só pesagens.': 'Medication, dose, site and symptom filters show injections only; fasting shows weigh-ins only.',
+  'Formato da data': 'Date format',
+  'Formulário limpo.': 'Form cleared.',
+  'Frasco': 'Vial',
+  'Frequência da aplicação': 'Injection frequency',
+  'Gerado em {date} • Período selecionado: {days} dias': 'Generated on {date} • Selected period: {days} days',
+  'Gerado pelo DoseCheck. Sem orientação médica; apenas organização de dados.': 'Generated by DoseCheck. No medical advice; data organisation only.',
+  'Gerar arquivo de sincronização': 'Create sync file',
+  'Gerar código': 'Generate code',
+  'Gerar resumo': 'Generate summary',
+  'Gere no primeiro aparelho e cole nos outros': 'Generate it on the first device and paste it on the others',
+  'Gere o arquivo em um aparelho e abra no outro; depois faça o caminho inverso. Inclusões, edições e exclusões chegam aos dois lados. Se o mesmo registro foi editado nos dois, vale a edição mais recente. "Apagar tudo" vale só para este aparelho.': 'Create the file on one device and open it on the other; then do the reverse. Additions, edits and deletions reach both sides. If the same record was edited on both, the latest edit wins. "Delete everything" only applies to this device.',
+  'Gere um arquivo aqui e abra no outro aparelho para completar.': 'Create a file here and open it on the other device to finish.',
+  'Gerenciar estoque': 'Manage stock',
+  'Gráfico de peso': 'Weight chart',
+  'Histórico': 'History',
+  'Histórico de dose (mudanças no período):': 'Dose history (changes in the period):',
+  'Histórico do registro': 'Record history',
+  'Hoje ({dow} • {date}). Agenda: pesagem {weigh}; aplicação {schedule} {time}; medidas a cada {n} dias.': 'Today ({dow} • {date}). Schedule: weigh-in {weigh}; injection {schedule} {time}; measurements every {n} days.',
+  'Hora': 'Time',
+  'Hora da aplicação': 'Injection time',
+  'Hora de registrar a pesagem de hoje (em jejum).': 'Time to log today\'s weigh-in (fasting).',
+  'Horário alvo: {time}': 'Target time: {time}',
+  'Há aplicações descontadas deste item. Dê baixa (descartado) para manter o histórico.': 'Injections were deducted from this item. Write it off (discarded) to keep the history.',
+  'Há aplicações deste medicamento. Marque como inativo para manter o histórico.': 'This medication has injections. Mark it inactive to keep the history.',
+  'IMC': 'BMI',
+  'IMC atual:': 'Current BMI:',
+  'IMC atual: {imc} ({classification}) — altura {height}': 'Current BMI: {imc} ({classification}) — height {height}',
+  'IMC calculado com sucesso.': 'BMI calculated successfully.',
+  'IMC: {imc} ({classification})': 'BMI: {imc} ({classification})',
+  'IMC: —': 'BMI: —',
+  'Idade: {n} anos': 'Age: {n} years',
+  'Idade: {n} anos (aprox.)': 'Age: {n} years (approx.)',
+  'Idioma (app, relatórios e WhatsApp)': 'Language (app, reports and WhatsApp)',
+  'Importar': 'Import',
+  'Importar CSV/TSV': 'Import CSV/TSV',
+  'Importar planilha': 'Import spreadsheet',
+  'Importar {n} registro(s) de {kind}? Um backup automático é feito antes.': 'Import {n} {kind} record(s)? An automatic backup is made first.',
+  'Inativo (só histórico)': 'Inactive (history only)',
+  'Incluir braços no rodízio': 'Include arms in the rotation',
+  'Incluir histórico': 'Include history',
+  'Info': 'Info',
+  'Informe a quantidade total.': 'Enter the total amount.',
+  'Informe o início da titulação.': 'Enter the titration start date.',
+  'Informe o nome do medicamento.': 'Enter the medication name.',
+  'Informe um nome para o perfil.': 'Enter a name for the profile.',
+  'Informe uma data e hora válidas.': 'Enter a valid date and time.',
+  'Insights IA': 'AI Insights',
+  'Insights automáticos': 'Automatic insights',
+  'Insights da semana': 'This week\'s insights',
+  'Insira altura e peso para calcular seu IMC e auxiliar na avaliação de dados.': 'Enter height and weight to calculate your BMI and help assess your data.',
+  'Insira valores válidos para altura e peso.': 'Enter valid values for height and weight.',
+  'Insira valores válidos para as metas.': 'Enter valid values for the goals.',
+  'Instalar': 'Install',
+  'Interpretação': 'Interpretation',
+  'Intervalo (dias)': 'Interval (days)',
+  'Intestino': 'Bowel',
+  'Intestino ≥': 'Bowel ≥',
+  'Intramuscular': 'Intramuscular',
+  'Início': 'Start',
+  'Início do plano': 'Plan start',
+  'Início → fim:': 'Start → end:',
+  'Irregularidade de agenda': 'Irregular schedule',
+  'Item adicionado ao estoque.': 'Item added to stock.',
+  'Item excluído.': 'Item deleted.',
+  'Itens na lixeira não entram no dashboard, relatórios, insights nem backups.': 'Items in the trash are left out of the dashboard, reports, insights and backups.',
+  'Jejum': 'Fasting',
+  'Jejum (pesagens)': 'Fasting (weigh-ins)',
+  'Junte os dados deste perfil com outro celular ou computador, sem servidor.': 'Merge this profile\'s data with another phone or computer, without a server.',
+  'Já existe um medicamento com esse nome.': 'A medication with this name already exists.',
+  'Lembrete configurado: {date}.': 'Reminder set: {date}.',
+  'Lembrete semanal': 'Weekly reminder',
+  'Lembrete: aplicação programada para {when}.': 'Reminder: injection scheduled for {when}.',
+  'Libras (lb)': 'Pounds (lb)',
+  'Limpar': 'Clear',
+  'Limpar filtros': 'Clear filters',
+  'Linha do tempo': 'Timeline',
+  'Linha e faixa com {subset}; as outras pesagens ficam apagadas.': 'Line and band use {subset}; other weigh-ins are faded.',
+  'Linha {n} • {status}': 'Row {n} • {status}',
+  'Linha: peso suavizado (média exponencial). Faixa: tendência do período (95%). Toque em um ponto para ver data e peso.': 'Line: smoothed weight (exponential average). Band: trend for the period (95%). Tap a point to see the date and weight.',
+  'Link inválido. Use um endereço começando com http(s)://': 'Invalid link. Use an address starting with http(s)://',
+  'Link oficial (ANVISA/FDA/EMA etc.)': 'Official link (ANVISA/FDA/EMA etc.)',
+  'Lixeira': 'Trash',
+  'Lixeira esvaziada.': 'Trash emptied.',
+  'Lixeira vazia': 'Trash is empty',
+  'Local': 'Site',
+  'Local (sugerido automaticamente)': 'Site (suggested automatically)',
+  'Local: {site}': 'Site: {site}',
+  'Lote': 'Lot',
+  'MM/DD/AAAA': 'MM/DD/YYYY',
+  'Mantenha ao menos um medicamento em uso.': 'Keep at least one medication in use.',
+  'Mantenha os registros para ganhar mais sinal.': 'Keep logging to get a stronger signal.',
+  'Mantenha sugestões gerais (hábitos/organização) e indique pontos para conversar com profissional.': 'Keep suggestions general (habits/organisation) and point out topics to discuss with a professional.',
+  'Manter deste aparelho': 'Keep this device\'s version',
+  'Manter o existente': 'Keep the existing one',
+  'Manter os dois': 'Keep both',
+  'Manter todos deste aparelho': 'Keep all from this device',
+  'Mantém o que só existe neste aparelho, adiciona o que só existe no backup e pergunta nos conflitos (mesmo registro editado dos dois lados).': 'Keeps what only exists on this device, adds what only exists in the backup and asks about conflicts (same record edited on both sides).',
+  'Manual': 'Manual',
+  'Manutenção': 'Maintenance',
+  'Marcar registros editados': 'Flag edited records',
+  'Medicamento': 'Medication',
+  'Medicamento (linhas sem nome)': 'Medication (rows without a name)',
+  'Medicamento excluído.': 'Medication deleted.',
+  'Medicamento não encontrado.': 'Medication not found.',
+  'Medicamentos': 'Medications',
+  'Medicação': 'Medication',
+  'Medicação (mais registrada): {name}': 'Medication (most logged): {name}',
+  'Medicação:': 'Medication:',
+  'Medidas': 'Measurements',
+  'Medidas (opcional)': 'Measurements (optional)',
+  'Medidas atualizadas.': 'Measurements updated.',
+  'Medidas corporais': 'Body measurements',
+  'Medidas movidas para a lixeira.': 'Measurements moved to the trash.',
+  'Medidas principais': 'Main measurements',
+  'Medidas salvas.': 'Measurements saved.',
+  'Medidas sugeridas para hoje (opcional).': 'Measurements suggested for today (optional).',
+  'Medidas:': 'Measurements:',
+  'Medidas: consistência': 'Measurements: consistency',
+  'Medidas: intervalo (dias)': 'Measurements: interval (days)',
+  'Medidas: variações': 'Measurements: changes',
+  'Melhor pesagem: {best} • Pior pesagem: {worst}': 'Best weigh-in: {best} • Worst weigh-in: {worst}',
+  'Menu': 'Menu',
+  'Mesclar com os dados deste aparelho': 'Merge with this device\'s data',
+  'Mesmo dia com valor diferente': 'Same day with a different value',
+  'Mesmo período do dia da última pesagem': 'Same time of day as the latest weigh-in',
+  'Meta atingida.': 'Goal reached.',
+  'Meta de cintura ({unit})': 'Goal waist ({unit})',
+  'Meta de cintura:': 'Waist goal:',
+  'Meta de peso ({unit})': 'Goal weight ({unit})',
+  'Meta de peso:': 'Weight goal:',
+  'Meta {goal}': 'Goal {goal}',
+  'Metas': 'Goals',
+  'Metas removidas.': 'Goals removed.',
+  'Metas salvas.': 'Goals saved.',
+  'Mostra o app como ele estaria na data/hora escolhida (checklist, streaks, resumos). Vale só para este aparelho.': 'Shows the app as it would be at the chosen date/time (checklist, streaks, summaries). Only applies to this device.',
+  'Mostrando os {shown} mais recentes de {total}. Refine a busca para ver os demais.': 'Showing the {shown} most recent of {total}. Refine the search to see the rest.',
+  'Motivo:': 'Reason:',
+  'Média': 'Average',
+  'Média de {n} dias entre aplicações.': 'Average of {n} days between injections.',
+  'Média entre aplicações (dias):': 'Average between injections (days):',
+  'Média entre aplicações:': 'Average between injections:',
+  'Médias (0–10): {list}.': 'Averages (0–10): {list}.',
+  'Nada agendado nos próximos 7 dias': 'Nothing scheduled in the next 7 days',
+  'Nada encontrado': 'Nothing found',
+  'Nada obrigatório hoje': 'Nothing required today',
+  'Nada para importar.': 'Nothing to import.',
+  'Nada para restaurar: o item já saiu da lixeira.': 'Nothing to restore: the item has already left the trash.',
+  'Nada registrado ainda': 'Nothing logged yet',
+  'Nada relevante detectado pelas regras simples no momento.': 'Nothing relevant detected by the simple rules right now.',
+  'Nasc.: {date}': 'Born: {date}',
+  'Nascimento:': 'Date of birth:',
+  'Navegação principal': 'Main navigation',
+  'Nenhum backup automático encontrado.': 'No automatic backup found.',
+  'Nenhum peso registrado': 'No weight logged',
+  'Nenhuma aplicação (ou sintomas) registrada no período.': 'No injections (or symptoms) logged in the period.',
+  'Nenhuma aplicação registrada': 'No injections logged',
+  'Nenhuma aplicação selecionada.': 'No injection selected.',
+  'Nenhuma caneta/frasco cadastrado': 'No pens/vials registered',
+  'Nenhuma linha de dados': 'No data rows',
+  'Nenhuma medida preenchida': 'No measurement filled in',
+  'Nenhuma medida registrada': 'No measurements logged',
+  'Nesta semana, faltaram 2+ pesagens esperadas. Isso reduz a qualidade dos insights.': 'This week, 2+ expected weigh-ins were missed. That lowers the quality of the insights.',
+  'No JSON, pesos estão em kg e medidas em cm; na resposta, use {weight} para peso e {length} para medidas.': 'In the JSON, weights are in kg and measurements in cm; in your answer, use {weight} for weight and {length} for measurements.',
+  'No estoque: {dose}': 'In stock: {dose}',
+  'No prazo': 'On schedule',
+  'No ritmo atual ({perWeek}), a meta fica para daqui a mais de 2 anos.': 'At the current pace ({perWeek}), the goal is more than 2 years away.',
+  'No ritmo atual ({perWeek}), o peso não está indo em direção à meta.': 'At the current pace ({perWeek}), weight is not moving toward the goal.',
+  'Nome': 'Name',
+  'Nome do novo perfil (paciente):': 'Name of the new profile (patient):',
+  'Nos últimos 14 dias, a tendência do peso mudou pouco (< {limit}) com várias pesagens.': 'Over the last 14 days, the weight trend barely changed (< {limit}) across several weigh-ins.',
+  'Nos últimos 14 dias, as comparações de peso misturam períodos do dia ({periods}).': 'Over the last 14 days, weight comparisons mix times of day ({periods}).',
+  'Nos últimos 14 dias, as comparações de peso misturam pesagens em jejum e sem jejum e períodos do dia ({periods}).': 'Over the last 14 days, weight comparisons mix fasting and non-fasting weigh-ins and times of day ({periods}).',
+  'Nos últimos 14 dias, as comparações de peso misturam pesagens em jejum e sem jejum.': 'Over the last 14 days, weight comparisons mix fasting and non-fasting weigh-ins.',
+  'Nota rápida: foco da semana que vem: {focus}.': 'Quick note: focus for next week: {focus}.',
+  'Notas': 'Notes',
+  'Notas do paciente (últimos registros)': 'Patient notes (latest records)',
+  'Notificações': 'Notifications',
+  'Notificações ativadas: {delivery}.': 'Notifications on: {delivery}.',
+  'Notificações desativadas.': 'Notifications off.',
+  'Novo nome do perfil:': 'New profile name:',
+  'Náusea alta recorrente': 'Recurring high nausea',
+  'Náusea ≥ 7/10 em aplicações recentes pode sugerir tolerância baixa naquele período.': 'Nausea ≥ 7/10 in recent injections may suggest low tolerance in that period.',
+  'Não': 'No',
+  'Não (padrão)': 'No (default)',
+  'Não encontrei registros de aplicação nos últimos {days} dias. Pode ser que você tenha pausado ou só não registrou.': 'I found no injection records in the last {days} days. You may have paused or simply not logged them.',
+  'Não foi possível desfazer.': 'Could not undo.',
+  'Não inventa dados': 'Does not make up data',
+  'O arquivo {file} está protegido por senha.': 'The file {file} is password-protected.',
+  'O backup tem dados de saúde, nome e nascimento. Para enviar por WhatsApp ou e-mail, prefira o backup com senha (AES-GCM). Sem a senha não há como recuperar o arquivo.': 'The backup contains health data, name and date of birth. To send it by WhatsApp or e-mail, prefer the password-protected backup (AES-GCM). Without the password the file cannot be recovered.',
+  'O histórico começa na primeira gravação feita nesta versão do app.': 'The history starts with the first save made in this app version.',
+  'O intervalo recomeça na última aplicação: exporte de novo depois de registrar fora do dia.': 'The interval restarts at the last injection: export again after logging off-schedule.',
+  'O melhor insight vem de consistência: registros curtos e frequentes.': 'The best insight comes from consistency: short, frequent records.',
+  'O prazo da meta ({date}) já passou.': 'The goal deadline ({date}) has passed.',
+  'O prazo precisa ser depois do início.': 'The deadline must be after the start.',
+  'O progresso aparece no Dashboard, no relatório clínico e no resumo semanal. Deixe em branco para não usar.': 'Progress shows on the Dashboard, in the clinical report and in the weekly summary. Leave blank to skip.',
+  'O progresso parte do primeiro registro a partir desta data (vazio: primeiro registro).': 'Progress starts from the first record on or after this date (blank: first record).',
+  'O que importar': 'What to import',
+  'O que sua agenda pede (e o que já está feito).': 'What your schedule asks for (and what is already done).',
+  'O resultado do IMC aparecerá aqui com a classificação.': 'The BMI result will appear here with its classification.',
+  'Obesidade': 'Obesity',
+  'Obs.: isso não é diagnóstico nem orientação médica.': 'Note: this is not a diagnosis or medical advice.',
+  'Obs.: {notes}': 'Notes: {notes}',
+  'Observação': 'Note',
+  'Observações': 'Notes',
+  'Observações ou medicamento (ex.: viagem, enjoo)': 'Notes or medication (e.g. travel, nausea)',
+  'Observações: sem orientação médica; apenas organização de dados.': 'Notes: no medical advice; data organisation only.',
+  'Ok': 'Ok',
+  'Ok. Você pode atualizar depois.': 'Ok. You can update later.',
+  'Opcional: envia as alterações deste perfil a um servidor de sincronização e recebe as dos outros aparelhos automaticamente.': 'Optional: sends this profile\'s changes to a sync server and receives the other devices\' changes automatically.',
+  'Oral': 'Oral',
+  'Os registros continuam guardados em kg e cm; muda só a digitação e a exibição.': 'Records are still stored in kg and cm; only input and display change.',
+  'Oscilação compatível com retenção': 'Fluctuation consistent with water retention',
+  'Outra': 'Other',
+  'Outras medidas (opcionais)': 'Other measurements (optional)',
+  'PESAGEM PENDENTE': 'WEIGH-IN DUE',
+  'Paciente': 'Patient',
+  'Paciente:': 'Patient:',
+  'Paciente: {name}': 'Patient: {name}',
+  'Panturrilha': 'Calf',
+  'Panturrilha (cm)': 'Calf (cm)',
+  'Panturrilha ({unit})': 'Calf ({unit})',
+  'Para comparar melhor, use sempre a mesma fita/posição e registre 1x/semana.': 'For better comparisons, always use the same tape/position and log once a week.',
+  'Pedir refil agora': 'Order a refill now',
+  'Peito': 'Chest',
+  'Peito (cm)': 'Chest (cm)',
+  'Peito ({unit})': 'Chest ({unit})',
+  'Pendente': 'Pending',
+  'Perfil': 'Profile',
+  'Perfil "{name}" criado.': 'Profile "{name}" created.',
+  'Perfil ativo': 'Active profile',
+  'Perfil excluído.': 'Profile deleted.',
+  'Perfil não encontrado.': 'Profile not found.',
+  'Perfil renomeado.': 'Profile renamed.',
+  'Perfis': 'Profiles',
+  'Permissão de notificação negada.': 'Notification permission denied.',
+  'Período': 'Period',
+  'Período do gráfico': 'Chart period',
+  'Período padrão do relatório': 'Default report period',
+  'Período para análise': 'Analysis period',
+  'Pesagem': 'Weigh-in',
+  'Pesagem (em jejum)': 'Weigh-in (fasting)',
+  'Pesagem, aplicação e medidas pendentes do checklist. Tocar na notificação abre o app no item.': 'Pending weigh-ins, injections and measurements from the checklist. Tapping the notification opens the app on that item.',
+  'Pesagem: dias escolhidos em Configurações (padrão seg/qua/sex). Aplicação: frequência e horário de cada medicamento em Configurações → Medicamentos.': 'Weigh-in: days chosen in Settings (default Mon/Wed/Fri). Injection: frequency and time of each medication in Settings → Medications.',
+  'Pesagem: {weight}': 'Weigh-in: {weight}',
+  'Pesagens': 'Weigh-ins',
+  'Pesagens 0/3 • Aplicação 0/1': 'Weigh-ins 0/3 • Injection 0/1',
+  'Pesagens em condições diferentes': 'Weigh-ins under different conditions',
+  'Pesagens na semana: {n}': 'Weigh-ins this week: {n}',
+  'Pesagens usadas:': 'Weigh-ins used:',
+  'Pesagens {done}/{expected}': 'Weigh-ins {done}/{expected}',
+  'Pesagens, aplicações ou medidas de outros apps (CSV/TSV), com prévia antes de gravar.': 'Weigh-ins, injections or measurements from other apps (CSV/TSV), with a preview before saving.',
+  'Pesagens:': 'Weigh-ins:',
+  'Pescoço': 'Neck',
+  'Pescoço • cm': 'Neck • cm',
+  'Pescoço • {unit}': 'Neck • {unit}',
+  'Peso': 'Weight',
+  'Peso & Medidas': 'Weight & Measurements',
+  'Peso (kg)': 'Weight (kg)',
+  'Peso ({unit})': 'Weight ({unit})',
+  'Peso atualizado.': 'Weight updated.',
+  'Peso e IMC': 'Weight and BMI',
+  'Peso e variação': 'Weight and change',
+  'Peso inválido.': 'Invalid weight.',
+  'Peso inválido: "{value}"': 'Invalid weight: "{value}"',
+  'Peso início → fim:': 'Weight start → end:',
+  'Peso movido para a lixeira.': 'Weight moved to the trash.',
+  'Peso normal': 'Normal weight',
+  'Peso salvo.': 'Weight saved.',
+  'Peso suavizado (média exponencial):': 'Smoothed weight (exponential average):',
+  'Peso:': 'Weight:',
+  'Peso: dados insuficientes': 'Weight: not enough data',
+  'Peso: sem dados suficientes na semana': 'Weight: not enough data this week',
+  'Peso: {value}': 'Weight: {value}',
+  'Pesos:': 'Weights:',
+  'Pico': 'Peak',
+  'Planejada': 'Planned',
+  'Planejada pela titulação: {dose}.': 'Planned by the titration: {dose}.',
+  'Polegadas (in)': 'Inches (in)',
+  'Pontos cheios: em jejum; vazados: sem jejum.': 'Filled dots: fasting; hollow: not fasting.',
+  'Pontuação: pesagens (1) + aplicação (2) = 5 pontos.': 'Score: weigh-ins (1) + injection (2) = 5 points.',
+  'Possível platô': 'Possible plateau',
+  'Poucas medidas registradas no período. Oscilações pequenas são normais.': 'Few measurements logged in the period. Small fluctuations are normal.',
+  'Poucas pesagens nas últimas 4 semanas para prever a data.': 'Too few weigh-ins in the last 4 weeks to project a date.',
+  'Poucos dados de medidas.': 'Little measurement data.',
+  'Poucos dados de peso.': 'Little weight data.',
+  'Poucos dados para avaliar regularidade.': 'Not enough data to assess regularity.',
+  'Prazo (opcional)': 'Deadline (optional)',
+  'Preenchido sozinho na primeira aplicação descontada deste item.': 'Filled in automatically on the first injection deducted from this item.',
+  'Previsão: {date} no ritmo atual ({perWeek}).': 'Projection: {date} at the current pace ({perWeek}).',
+  'Primeira linha é o cabeçalho': 'First row is the header',
+  'Principais mudanças (início → fim do período): {top}.': 'Main changes (start → end of the period): {top}.',
+  'Prévia': 'Preview',
+  'Prévia atualizada.': 'Preview updated.',
+  'Próxima aplicação': 'Next injection',
+  'Próximo lembrete: {when}.': 'Next reminder: {when}.',
+  'Próximo passo (não médico)': 'Next step (non-medical)',
+  'Próximos 7 dias': 'Next 7 days',
+  'Pular para conteúdo': 'Skip to content',
+  'Qua': 'Wed',
+  'Quadril': 'Hip',
+  'Quadril (ref.)': 'Hip (ref.)',
+  'Quadril (referência) • cm': 'Hip (reference) • cm',
+  'Quadril (referência) • {unit}': 'Hip (reference) • {unit}',
+  'Quantidade total (': 'Total amount (',
+  'Quarta': 'Wednesday',
+  'Quem tem o código lê os dados do espaço: guarde-o como uma senha. Sem rede, as alterações ficam na fila e são enviadas depois. Servidor de referência: "npm run sync-server" (veja o README).': 'Anyone with the code can read the space\'s data: keep it like a password. Offline, changes wait in the queue and are sent later. Reference server: "npm run sync-server" (see the README).',
+  'Qui': 'Thu',
+  'Quilos (kg)': 'Kilograms (kg)',
+  'Quinta': 'Thursday',
+  'Receber sincronização': 'Receive sync',
+  'Recomendado: seg/qua/sex pela manhã.': 'Recommended: Mon/Wed/Fri in the morning.',
+  'Referência do medicamento': 'Medication reference',
+  'Referência oficial do medicamento': 'Official medication reference',
+  'Referência oficial do medicamento (fornecida pelo usuário):': 'Official medication reference (provided by the user):',
+  'Referência oficial do medicamento: não fornecida. Não consultei bula/rotulagem.': 'Official medication reference: not provided. I did not consult the leaflet/label.',
+  'Referência oficial:': 'Official reference:',
+  'Referência: fita paralela ao chão, sem apertar.': 'Reference: tape parallel to the floor, not tight.',
+  'Referência: fita reta, logo abaixo do pomo de Adão.': 'Reference: straight tape, just below the Adam\'s apple.',
+  'Referência: maior circunferência do bumbum, pés juntos.': 'Reference: widest part of the buttocks, feet together.',
+  'Refil até {date}': 'Refill by {date}',
+  'Regime (informativo)': 'Regimen (informational)',
+  'Registrada': 'Logged',
+  'Registrar Sintomas Tardios': 'Log Late Symptoms',
+  'Registrar aplicação': 'Log injection',
+  'Registrar medidas': 'Log measurements',
+  'Registrar peso': 'Log weight',
+  'Registrar sintomas tardios': 'Log late symptoms',
+  'Registre a cintura em Medidas para acompanhar a meta de {goal}.': 'Log your waist in Measurements to track the {goal} goal.',
+  'Registre o peso no DoseCheck.': 'Log your weight in DoseCheck.',
+  'Registre pelo menos 2 aplicações para avaliar a regularidade.': 'Log at least 2 injections to assess regularity.',
+  'Registre sintomas 24-48h após a aplicação. Selecione uma aplicação para adicionar/editar sintomas.': 'Log symptoms 24-48h after the injection. Select an injection to add/edit symptoms.',
+  'Registre uma pesagem para acompanhar a meta de {goal}.': 'Log a weigh-in to track the {goal} goal.',
+  'Registro': 'Record',
+  'Registro não encontrado.': 'Record not found.',
+  'Registro restaurado.': 'Record restored.',
+  'Registro sem id não vai para a lixeira.': 'A record without an id does not go to the trash.',
+  'Registros excluídos deste perfil. Restaure ou apague de vez.': 'Deleted records from this profile. Restore them or delete them permanently.',
+  'Registros excluídos ficam aqui para restaurar.': 'Deleted records stay here so you can restore them.',
+  'Registros ignorados': 'Skipped records',
+  'Registros marcados com "editado" foram alterados depois de gravados (data da última edição). O histórico completo fica no aplicativo.': 'Records marked "edited" were changed after being saved (date of the last edit). The full history stays in the app.',
+  'Registros:': 'Records:',
+  'Regras para usar a referência oficial:': 'Rules for using the official reference:',
+  'Regularidade': 'Regularity',
+  'Regularidade ({window}):': 'Regularity ({window}):',
+  'Regularidade dentro do esperado para a agenda.': 'Regularity within what the schedule expects.',
+  'Relatório DoseCheck': 'DoseCheck report',
+  'Relatório Médico': 'Medical Report',
+  'Relatório de Monitoramento — {title}': 'Monitoring Report — {title}',
+  'Relógio de volta ao presente.': 'Clock back to the present.',
+  'Relógio fixado em {date}.': 'Clock set to {date}.',
+  'Renomear': 'Rename',
+  'Repita a senha': 'Repeat the password',
+  'Repor estoque': 'Restock',
+  'Resposta inválida do servidor de sincronização.': 'Invalid response from the sync server.',
+  'Restam {remaining} de {total}': '{remaining} of {total} left',
+  'Restaurar': 'Restore',
+  'Restaurar backup': 'Restore backup',
+  'Restrições críticas:': 'Critical restrictions:',
+  'Resuma em até 6 cards, cada card com: title, insight, action (curta e prática).': 'Summarise in up to 6 cards, each card with: title, insight, action (short and practical).',
+  'Resumo (últimos {days} dias) — DoseCheck': 'Summary (last {days} days) — DoseCheck',
+  'Resumo DoseCheck ({days} dias)': 'DoseCheck summary ({days} days)',
+  'Resumo DoseCheck — últimos {days} dias': 'DoseCheck summary — last {days} days',
+  'Resumo copiado. Abra o WhatsApp e cole, se necessário.': 'Summary copied. Open WhatsApp and paste it if needed.',
+  'Resumo da semana': 'Week summary',
+  'Resumo executivo': 'Executive summary',
+  'Resumo montado.': 'Summary ready.',
+  'Resumo pronto ({days} dias)': 'Summary ready ({days} days)',
+  'Resumo semanal': 'Weekly summary',
+  'Resumo semanal (DoseCheck)': 'Weekly summary (DoseCheck)',
+  'Resumo semanal gerado.': 'Weekly summary created.',
+  'Ritmo necessário até {date}: {perWeek}.': 'Pace needed by {date}: {perWeek}.',
+  'Rodízio': 'Rotation',
+  'Rodízio de local': 'Site rotation',
+  'Rotina de pesagem': 'Weigh-in routine',
+  'Rotina “no ritmo”: {rate}% dos intervalos dentro de {window}. Ajuste agenda/lembrete se precisar.': 'Routine “on track”: {rate}% of intervals within {window}. Adjust the schedule/reminder if needed.',
+  'Salvar': 'Save',
+  'Salvar agenda': 'Save schedule',
+  'Salvar alterações': 'Save changes',
+  'Salvar como PDF': 'Save as PDF',
+  'Salvar configurações': 'Save settings',
+  'Salvar lembrete': 'Save reminder',
+  'Salvar metas': 'Save goals',
+  'Salvar sintomas': 'Save symptoms',
+  'Se aplicou, registre as datas para melhorar seus insights.': 'If you injected, log the dates to improve your insights.',
+  'Se desativado, o rodízio usa apenas abdômen/coxa.': 'If off, the rotation uses only abdomen/thigh.',
+  'Se fizer sentido, registre medidas 1x por semana para ver tendência.': 'If it makes sense, log measurements once a week to see the trend.',
+  'Se foi exceção, ok. Registre as datas para o relatório ficar consistente.': 'If it was an exception, fine. Log the dates so the report stays consistent.',
+  'Se for útil, registre sintomas 0–10 por 24–48h após a aplicação.': 'If useful, log symptoms 0–10 for 24–48h after the injection.',
+  'Seg': 'Mon',
+  'Segunda': 'Monday',
+  'Selecionar aplicação': 'Select injection',
+  'Selecionar semana da consistência': 'Select consistency week',
+  'Selecionar semana do resumo': 'Select summary week',
+  'Selecione uma aplicação.': 'Select an injection.',
+  'Selecione uma aplicação...': 'Select an injection...',
+  'Sem alertas por regras locais': 'No alerts from local rules',
+  'Sem alterações registradas': 'No changes recorded',
+  'Sem aplicações no período.': 'No injections in the period.',
+  'Sem aplicações nos últimos {days} dias': 'No injections in the last {days} days',
+  'Sem aplicações registradas': 'No injections logged',
+  'Sem dados no período.': 'No data in the period.',
+  'Sem dados suficientes para resumo.': 'Not enough data for a summary.',
+  'Sem itens': 'No items',
+  'Sem jejum': 'Not fasting',
+  'Sem medidas no período.': 'No measurements in the period.',
+  'Sem medidas registradas ainda.': 'No measurements logged yet.',
+  'Sem pesos no período.': 'No weights in the period.',
+  'Sem previsão': 'No forecast',
+  'Sem registros ainda.': 'No records yet.',
+  'Sem resposta': 'No response',
+  'Sem valores comparáveis no período.': 'No comparable values in the period.',
+  'Sem valores numéricos.': 'No numeric values.',
+  'Sem {fields}': 'Missing {fields}',
+  'Semana': 'Week',
+  'Semana atual': 'This week',
+  'Semana passada': 'Last week',
+  'Semana {week}': 'Week {week}',
+  'Semanas por degrau': 'Weeks per step',
+  'Senha': 'Password',
+  'Senha do backup': 'Backup password',
+  'Senha incorreta.': 'Wrong password.',
+  'Senha incorreta. Tente de novo.': 'Wrong password. Try again.',
+  'Separe os degraus com → ou ;. Use "x6" para um degrau com outra duração (ex.: 5 x6). O último degrau é a manutenção. Deixe vazio para não usar plano.': 'Separate the steps with → or ;. Use "x6" for a step with a different length (e.g. 5 x6). The last step is maintenance. Leave empty to skip the plan.',
+  'Servidor de sincronização respondeu {status}.': 'Sync server responded {status}.',
+  'Seu peso atual em quilogramas.': 'Your current weight in kilograms.',
+  'Sex': 'Fri',
+  'Sexta': 'Friday',
+  'Sim': 'Yes',
+  'Sincronizado com o servidor: {pushed} enviado(s), {received} recebido(s), {deleted} apagado(s).': 'Synced with the server: {pushed} sent, {received} received, {deleted} deleted.',
+  'Sincronizado: {summary}.': 'Synced: {summary}.',
+  'Sincronizar agora': 'Sync now',
+  'Sincronizar aparelhos': 'Sync devices',
+  'Sincronizar com servidor': 'Sync with server',
+  'Sincronizar o perfil "{profile}" com {from}? Um backup automático é feito antes.': 'Sync the profile "{profile}" with {from}? An automatic backup is made first.',
+  'Sincronização com servidor desativada neste perfil. Os dados continuam no aparelho.': 'Server sync turned off for this profile. The data stays on the device.',
+  'Sincronização na versão {version}, não suportada por esta versão do app. Atualize o DoseCheck nos dois aparelhos.': 'Sync file is version {version}, not supported by this version of the app. Update DoseCheck on both devices.',
+  'Sintoma': 'Symptom',
+  'Sintomas': 'Symptoms',
+  'Sintomas (0 a 10)': 'Symptoms (0 to 10)',
+  'Sintomas (0 a 10) - registre 24-48h após a aplicação': 'Symptoms (0 to 10) - log 24-48h after the injection',
+  'Sintomas (0–10)': 'Symptoms (0–10)',
+  'Sintomas Tardios': 'Late Symptoms',
+  'Sintomas agregados (0–10)': 'Aggregated symptoms (0–10)',
+  'Sintomas mais comuns': 'Most common symptoms',
+  'Sintomas médios (0–10):': 'Average symptoms (0–10):',
+  'Sintomas mínimos (0 a 10)': 'Minimum symptoms (0 to 10)',
+  'Sintomas tardios': 'Late symptoms',
+  'Sintomas tardios registrados.': 'Late symptoms logged.',
+  'Sintomas:': 'Symptoms:',
+  'Sintomas: sem registros na semana': 'Symptoms: none logged this week',
+  'Situação': 'Status',
+  'Sobrepeso': 'Overweight',
+  'Status: {status}': 'Status: {status}',
+  'Status: —': 'Status: —',
+  'Stones e libras (st lb)': 'Stones and pounds (st lb)',
+  'Streak aplicações: {n} semana(s)': 'Injection streak: {n} week(s)',
+  'Streak aplicações: —': 'Injection streak: —',
+  'Streak pesagens: {n} dia(s)': 'Weigh-in streak: {n} day(s)',
+  'Streak pesagens: —': 'Weigh-in streak: —',
+  'Streaks': 'Streaks',
+  'Sua altura em centímetros.': 'Your height in centimetres.',
+  'Subcutânea': 'Subcutaneous',
+  'Substituir pelo da planilha': 'Replace with the spreadsheet\'s',
+  'Substituir todos os dados do perfil "{profile}" pelo backup? Um backup automático é feito antes.': 'Replace all data in the profile "{profile}" with the backup? An automatic backup is made first.',
+  'Substituir tudo pelo backup': 'Replace everything with the backup',
+  'Sugestão de rodízio: {site}.': 'Suggested rotation: {site}.',
+  'Sugestão: a cada {n} dias': 'Suggestion: every {n} days',
+  'Sugestão: a cada {n} dias (conta a partir da última medição).': 'Suggestion: every {n} days (counted from the last measurement).',
+  'Sugestão: pese ao acordar e registre rapidinho (mesma condição).': 'Suggestion: weigh yourself right after waking up and log it quickly (same conditions).',
+  'Sugestão: registre agora (se fizer sentido, use data retroativa).': 'Suggestion: log it now (backdate it if that makes sense).',
+  'Sáb': 'Sat',
+  'Sábado': 'Saturday',
+  'Só em jejum': 'Fasting only',
+  'Só pesagens em jejum': 'Fasting weigh-ins only',
+  'Só sem jejum': 'Not fasting only',
+  'Tabela de Aplicações': 'Injections Table',
+  'Tabela de Pesos': 'Weights Table',
+  'Tanto faz': 'Either',
+  'Tarefa: identificar padrões, regularidade, possíveis gatilhos e sugestões de hábitos.': 'Task: identify patterns, regularity, possible triggers and habit suggestions.',
+  'Tem certeza? Isso move para a lixeira aplicações, pesos, medidas, medicamentos, estoque e configurações do perfil "{profile}".': 'Are you sure? This moves injections, weights, measurements, medications, stock and settings of the profile "{profile}" to the trash.',
+  'Tendência ainda incerta: as pesagens oscilam mais do que o peso mudou.': 'Trend still unclear: weigh-ins fluctuate more than the weight has changed.',
+  'Tendência de peso ({days} dias)': 'Weight trend ({days} days)',
+  'Tendência de queda (bom sinal de consistência, se esse for seu objetivo).': 'Downward trend (a good sign of consistency, if that is your goal).',
+  'Tendência de subida (pode ser oscilação, retenção ou alimentação).': 'Upward trend (may be fluctuation, water retention or diet).',
+  'Tendência estável.': 'Stable trend.',
+  'Tendência por semana: {perWeek} (faixa de 95%: {low} a {high}). Compare sempre em condições parecidas (ex.: jejum).': 'Weekly trend: {perWeek} (95% range: {low} to {high}). Always compare under similar conditions (e.g. fasting).',
+  'Tendência por semana: {perWeek}. Compare sempre em condições parecidas (ex.: jejum).': 'Weekly trend: {perWeek}. Always compare under similar conditions (e.g. fasting).',
+  'Tendência semanal (reta):': 'Weekly trend (regression):',
+  'Tendência:': 'Trend:',
+  'Tente novamente.': 'Try again.',
+  'Tente outro termo, outro período ou menos filtros.': 'Try another term, another period or fewer filters.',
+  'Tente pesar 2–3x por semana (idealmente no mesmo horário/condição).': 'Try weighing 2–3x a week (ideally at the same time/conditions).',
+  'Tente pesar sempre no mesmo horário e na mesma condição (ex.: ao acordar, em jejum).': 'Try to always weigh yourself at the same time and under the same condition (e.g. on waking, fasting).',
+  'Ter': 'Tue',
+  'Terça': 'Tuesday',
+  'Teve uma subida rápida de peso e retorno em poucos dias, padrão comum em variação de água.': 'There was a quick weight rise and return within a few days, a common pattern in water fluctuation.',
+  'Texto': 'Text',
+  'Texto pronto para copiar e enviar. Sem orientação médica.': 'Ready-to-copy text to send. No medical advice.',
+  'Tipo': 'Type',
+  'Tipo de registro sem lixeira: {store}.': 'Record type without a trash: {store}.',
+  'Titulação': 'Titration',
+  'Titulação (opcional)': 'Titration (optional)',
+  'Titulação planejada:': 'Planned titration:',
+  'Titulação: planejado × registrado': 'Titration: planned × logged',
+  'Titulação: {plan}': 'Titration: {plan}',
+  'Todas as pesagens': 'All weigh-ins',
+  'Todos': 'All',
+  'Top sintomas:': 'Top symptoms:',
+  'Toque em': 'Tap',
+  'Toque em "+ Medidas" para adicionar.': 'Tap "+ Measurements" to add.',
+  'Toque em "+ Nova" para registrar.': 'Tap "+ New" to log.',
+  'Toque em "+ Peso" para adicionar.': 'Tap "+ Weight" to add.',
+  'Tracejado: ritmo das últimas 4 semanas ({actual}) pelos próximos 30 dias.': 'Dashed: pace over the last 4 weeks ({actual}) for the next 30 days.',
+  'Tracejado: ritmo das últimas 4 semanas ({actual}) × necessário para a meta ({required}).': 'Dashed: pace over the last 4 weeks ({actual}) × needed for the goal ({required}).',
+  'Trecho oficial (cole aqui)': 'Official excerpt (paste here)',
+  'Tudo': 'All',
+  'Tudo fica salvo localmente no seu aparelho.': 'Everything is saved locally on your device.',
+  'UI': 'UI',
+  'Ultimos 30 dias': 'Last 30 days',
+  'Ultimos 90 dias': 'Last 90 days',
+  'Um dia = semanal (ex.: sábado). Dois ou mais = várias vezes por semana (ex.: seg/qui).': 'One day = weekly (e.g. Saturday). Two or more = several times a week (e.g. Mon/Thu).',
+  'Unidade da dose': 'Dose unit',
+  'Unidade das medidas e da altura': 'Unit for measurements and height',
+  'Unidade de peso': 'Weight unit',
+  'Usada até a primeira aplicação; depois o ciclo conta da última registrada.': 'Used until the first injection; after that the cycle counts from the last one logged.',
+  'Usar do backup': 'Use the backup\'s',
+  'Usar todos do backup': 'Use all from the backup',
+  'Use linguagem em pt-BR, amigável e sem alarmismo.': 'Write in English, friendly and without alarmism.',
+  'Use o menu do navegador/impressão e escolha': 'Use the browser/print menu and choose',
+  'Use “Salvar como PDF” no navegador.': 'Use “Save as PDF” in the browser.',
+  'Validade': 'Expiry',
+  'Variação aproximada: {delta} (de {start} para {end}).': 'Approximate change: {delta} (from {start} to {end}).',
+  'Variação considerável entre aplicações; vale checar rotina/agenda.': 'Considerable variation between injections; worth checking routine/schedule.',
+  'Variação do período (início → fim):': 'Change over the period (start → end):',
+  'Variação:': 'Change:',
+  'Variações': 'Changes',
+  'Variações pequenas são normais.': 'Small fluctuations are normal.',
+  'Vence em {date} • restam {dose}': 'Expires on {date} • {dose} left',
+  'Venceu em {date} • restam {dose}': 'Expired on {date} • {dose} left',
+  'Vencido': 'Expired',
+  'Versão a manter: {title}': 'Version to keep: {title}',
+  'Versão:': 'Version:',
+  'Via': 'Route',
+  'Viagem no tempo ativa.': 'Time travel on.',
+  'Viagem no tempo: exibindo o app como em {date}.': 'Time travel: showing the app as on {date}.',
+  'Visualize primeiro abaixo, depois compartilhe por WhatsApp/email ou salve como PDF.': 'Preview it below first, then share by WhatsApp/e-mail or save as PDF.',
+  'Você pode ajustar a agenda no Menu.': 'You can adjust the schedule in the Menu.',
+  'Você registrou {n} aplicação(ões) nos últimos {days} dias.': 'You logged {n} injection(s) in the last {days} days.',
+  'Você é um assistente de análise de saúde para um diário de medicação e métricas corporais.': 'You are a health-analysis assistant for a medication and body-metrics diary.',
+  'Voltar ao presente': 'Back to the present',
+  'WhatsApp': 'WhatsApp',
+  'a agenda fixa é {schedule}': 'the fixed schedule is {schedule}',
+  'a agenda é {schedule}': 'the schedule is {schedule}',
+  'a cada {n} dias': 'every {n} days',
+  'abaixo do plano': 'below plan',
+  'aberto': 'open',
+  'aberto em {date}': 'opened on {date}',
+  'abrir link': 'open link',
+  'acaba em {date}': 'runs out on {date}',
+  'acima do plano': 'above plan',
+  'agenda de cada medicamento': 'each medication\'s schedule',
+  'agendadas no horário de cada item': 'scheduled at each item\'s time',
+  'ainda não sincronizou': 'not synced yet',
+  'atingida': 'reached',
+  'cintura {value}': 'waist {value}',
+  'com e sem jejum': 'fasting and non-fasting',
+  'conferidas periodicamente em segundo plano e ao abrir o app': 'checked periodically in the background and when opening the app',
+  'conflito': 'conflict',
+  'conforme': 'on plan',
+  'descartado': 'discarded',
+  'descartar': 'discard',
+  'descartar a partir de {date}': 'discard from {date}',
+  'desfazer': 'undo',
+  'dose: {dose}': 'dose: {dose}',
+  'doses restantes: —': 'doses left: —',
+  'duplicado': 'duplicate',
+  'e não prescreve dose ou tratamento médico.': 'and does not prescribe doses or medical treatment.',
+  'editado em {date}': 'edited on {date}',
+  'erro: {error}': 'error: {error}',
+  'falta 1 semana': '1 week left',
+  'faltam {amount}': '{amount} to go',
+  'faltam {n} semanas': '{n} weeks left',
+  'feita': 'done',
+  'fora do plano': 'off plan',
+  'fornecida': 'provided',
+  'fornecida pelo usuário': 'provided by the user',
+  'importação de planilha': 'spreadsheet import',
+  'inativo': 'inactive',
+  'inválido': 'invalid',
+  'jejum': 'fasting',
+  'lacrado': 'sealed',
+  'manhã': 'morning',
+  'manutenção': 'maintenance',
+  'medicamento': 'medication',
+  'mostradas ao abrir o app (este navegador não agenda notificações)': 'shown when opening the app (this browser does not schedule notifications)',
+  'neste aparelho': 'on this device',
+  'noite': 'evening',
+  'novo': 'new',
+  'não informada': 'not provided',
+  'não registrada na semana': 'not logged this week',
+  'o outro aparelho': 'the other device',
+  'o perfil "{profile}" do outro aparelho': 'the profile "{profile}" on the other device',
+  'offline-first • semana a semana': 'offline-first • week by week',
+  'períodos do dia: {periods}': 'times of day: {periods}',
+  'ponto e vírgula': 'semicolon',
+  'próxima: {dose} em {date}': 'next: {dose} on {date}',
+  'quadril {value}': 'hip {value}',
+  'recebido de outro aparelho': 'received from another device',
+  'refeições leves e hidratação': 'light meals and hydration',
+  'registre até o fim do dia para evitar ficar “atrasado”.': 'log it by the end of the day to avoid being “late”.',
+  'registre uma aplicação para estimar': 'log an injection to estimate',
+  'restaurado da lixeira': 'restored from the trash',
+  'restauração de backup': 'backup restore',
+  'rotina de pesagem': 'weigh-in routine',
+  'sem edições': 'no edits',
+  'sem jejum': 'not fasting',
+  'semanal': 'weekly',
+  'só pesagens da manhã': 'morning weigh-ins only',
+  'só pesagens da noite': 'evening weigh-ins only',
+  'só pesagens da tarde': 'afternoon weigh-ins only',
+  'só pesagens em jejum': 'fasting weigh-ins only',
+  'tabulação': 'tab',
+  'tarde': 'afternoon',
+  'todas as pesagens': 'all weigh-ins',
+  'trecho colado nas configurações': 'excerpt pasted in the settings',
+  'validade {date}': 'expires {date}',
+  'valor': 'value',
+  'vazio': 'empty',
+  'vencido': 'expired',
+  'vírgula': 'comma',
+  '{a} ou {b}': '{a} or {b}',
+  '{done}/{total} feitos': '{done}/{total} done',
+  '{field}: deve ser {value}': '{field}: must be {value}',
+  '{field}: esperado {expected}, veio {actual}': '{field}: expected {expected}, got {actual}',
+  '{field}: formato inválido ({value})': '{field}: invalid format ({value})',
+  '{field}: maior que {max}': '{field}: greater than {max}',
+  '{field}: menor que {min}': '{field}: less than {min}',
+  '{field}: obrigatório': '{field}: required',
+  '{field}: precisa ser maior que {min}': '{field}: must be greater than {min}',
+  '{field}: valor não permitido ({value})': '{field}: value not allowed ({value})',
+  '{field}: vazio': '{field}: empty',
+  '{file} • {n} linha(s) • separador: {delimiter}': '{file} • {n} row(s) • separator: {delimiter}',
+  '{from}–{to} dias': '{from}–{to} days',
+  '{goal} (sem registros)': '{goal} (no records)',
+  '{item}: restam {dose}.': '{item}: {dose} left.',
+  '{kind} • lote {lot}': '{kind} • lot {lot}',
+  '{name} (ativo)': '{name} (active)',
+  '{name} adicionado.': '{name} added.',
+  '{name} atualizado.': '{name} updated.',
+  '{n} alterado(s)': '{n} changed',
+  '{n} alteração(ões) na fila': '{n} change(s) in the queue',
+  '{n} anos': '{n} years',
+  '{n} anos aprox.': '{n} years approx.',
+  '{n} apagado(s)': '{n} deleted',
+  '{n} aplic.': '{n} inj.',
+  '{n} aplic. • {schedule} • regularidade {rate} • última dose {dose}': '{n} inj. • {schedule} • regularity {rate} • last dose {dose}',
+  '{n} atraso(s)': '{n} delay(s)',
+  '{n} conflito(s)': '{n} conflict(s)',
+  '{n} dia(s)': '{n} day(s)',
+  '{n} dose(s) no estoque': '{n} dose(s) in stock',
+  '{n} dose(s) restante(s)': '{n} dose(s) left',
+  '{n} duplicado(s)': '{n} duplicate(s)',
+  '{n} editado(s) nos dois aparelhos (vale a edição mais recente)': '{n} edited on both devices (the latest edit wins)',
+  '{n} edição(ões), a última em {date}': '{n} edit(s), the latest on {date}',
+  '{n} ignorado(s) (pertencem a outro perfil)': '{n} skipped (belong to another profile)',
+  '{n} igual(is)': '{n} unchanged',
+  '{n} inválido(s)': '{n} invalid',
+  '{n} novo(s)': '{n} new',
+  '{n} recebido(s)': '{n} received',
+  '{n} registro(s) encontrado(s).': '{n} record(s) found.',
+  '{n} registro(s) importado(s) • {skipped} ignorado(s).': '{n} record(s) imported • {skipped} skipped.',
+  '{n} registro(s) importado(s).': '{n} record(s) imported.',
+  '{n} registro(s) inválido(s) ignorado(s).': '{n} invalid record(s) skipped.',
+  '{n} registros restaurados.': '{n} records restored.',
+  '{n} sem': '{n} wk',
+  '{n} só neste aparelho': '{n} only on this device',
+  '{n}x por semana': '{n}x a week',
+  '{pct}% (de {start})': '{pct}% (from {start})',
+  '{perWeek} (faixa de 95%: {low} a {high})': '{perWeek} (95% range: {low} to {high})',
+  '{plan} desde {date}': '{plan} since {date}',
+  '{source} → perfil "{profile}"': '{source} → profile "{profile}"',
+  '{store} • linha {n}': '{store} • row {n}',
+  '{subset} ({n} de {total})': '{subset} ({n} of {total})',
+  '{subset} ({n})': '{subset} ({n})',
+  '{unit}/sem': '{unit}/wk',
+  '±{n} dia da agenda': '±{n} day from the schedule',
+  'É preciso manter ao menos um perfil.': 'At least one profile is required.',
+  'Índice de Massa Corporal (IMC)': 'Body Mass Index (BMI)',
+  'Última aplicação (geral):': 'Last injection (overall):',
+  'Última aplicação:': 'Last injection:',
+  'Última dose: {dose}': 'Last dose: {dose}',
+  'Última:': 'Last:',
+  'Últimas medidas:': 'Latest measurements:',
+  'Último backup:': 'Last backup:',
+  'Último peso': 'Last weight',
+  'Último peso (geral):': 'Last weight (overall):',
+  'Último peso:': 'Last weight:',
+  'Último registro: {date} (comparado a {previous})': 'Latest record: {date} (compared with {previous})',
+  'Último registro: {date} • Preencha mais um registro para comparar.': 'Latest record: {date} • Add one more record to compare.',
+  'Último:': 'Last:',
+  'Últimos 180 dias': 'Last 180 days',
+  'Últimos 30 dias': 'Last 30 days',
+  'Últimos 90 dias': 'Last 90 days',
+  'Últimos registros': 'Latest records',
+  'água, proteína e sono': 'water, protein and sleep',
+  'última sincronização {date}': 'last sync {date}',
+  '… e mais {n} linha(s).': '… and {n} more row(s).',
+  '→ grava {n}': '→ writes {n}',
+  '⚖️ Peso & Medidas': '⚖️ Weight & Measurements',
+  '⚙️ Config': '⚙️ Settings',
+  '💉 Aplicações': '💉 Injections',
+  '📊 Dashboard': '📊 Dashboard',
+  '📋 Relatório': '📋 Report',
+  '📤 Compartilhar resumo': '📤 Share summary',
+  '🔎 Busca': '🔎 Search',
+  '🤖 Insights IA': '🤖 AI Insights'
+};
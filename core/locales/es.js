@@ -0,0 +1,1127 @@
+/*
+  DoseCheck - core/locales/es.js
+  Catálogo em espanhol: texto original em pt-BR -> tradução (ver core/i18n.js).
+*/
+
+export default {
+  '"Apagar tudo" • {n} registros': '"Borrar todo" • {n} registros',
+  '(apagados)': '(borrados)',
+  '(mantidos)': '(conservados)',
+  '(não configurar)': '(sin configurar)',
+  '(não importar)': '(no importar)',
+  '+ Aplicar': '+ Aplicar',
+  '+ Aplicar agora': '+ Aplicar ahora',
+  '+ Caneta/frasco': '+ Pluma/vial',
+  '+ Medidas': '+ Medidas',
+  '+ Medir': '+ Medir',
+  '+ Nova': '+ Nueva',
+  '+ Novo medicamento': '+ Nuevo medicamento',
+  '+ Novo perfil': '+ Nuevo perfil',
+  '+ Pesar': '+ Pesar',
+  '+ Peso': '+ Peso',
+  '+ Sintomas': '+ Síntomas',
+  '+{n} só no backup': '+{n} solo en la copia',
+  '- Foque em hábitos, consistência, registro e sinais para conversar com profissional.': '- Céntrate en hábitos, constancia, registro y señales para hablar con un profesional.',
+  '- NÃO faça diagnóstico. Não substitui médico.': '- NO hagas diagnósticos. No sustituye al médico.',
+  '- NÃO prescreva doses, NÃO oriente uso de medicamento, NÃO dê instruções médicas.': '- NO prescribas dosis, NO orientes el uso de medicamentos, NO des instrucciones médicas.',
+  '- Se faltar informação na referência, diga que não encontrou no trecho fornecido.': '- Si falta información en la referencia, di que no la encontraste en el fragmento proporcionado.',
+  '- Se houver conflito entre dados do diário e a referência, destaque como “ponto para checar com médico”.': '- Si los datos del diario y la referencia no coinciden, señálalo como “punto a revisar con el médico”.',
+  '- Trecho (cole abaixo):': '- Fragmento (pégalo abajo):',
+  '- Trecho: —': '- Fragmento: —',
+  '- Use apenas como base informativa; NÃO prescreva dose nem faça instruções médicas.': '- Úsala solo como base informativa; NO prescribas dosis ni des instrucciones médicas.',
+  '14d: —': '14d: —',
+  '180 dias': '180 días',
+  '30 dias': '30 días',
+  '30d': '30d',
+  '30d: —': '30d: —',
+  '6–8 dias': '6–8 días',
+  '7 dias': '7 días',
+  '7d: —': '7d: —',
+  '90 dias': '90 días',
+  '90d': '90d',
+  'A IA aqui avalia seus dados reais (medicamento, aplicações, pesos e medidas) para identificar padrões e hábitos.': 'La IA analiza aquí tus datos reales (medicamento, aplicaciones, pesos y medidas) para identificar patrones y hábitos.',
+  'A agenda da aplicação fica em cada medicamento (card Medicamentos).': 'La agenda de aplicación está en cada medicamento (tarjeta Medicamentos).',
+  'A busca olha as observações e o nome do medicamento de aplicações, pesagens e medidas.': 'La búsqueda revisa las notas y el nombre del medicamento de aplicaciones, pesajes y medidas.',
+  'A cada N dias': 'Cada N días',
+  'A lixeira já está vazia.': 'La papelera ya está vacía.',
+  'A partir de': 'Desde',
+  'A senha precisa ter pelo menos {n} caracteres.': 'La contraseña debe tener al menos {n} caracteres.',
+  'A última aplicação registrada foi em {dow} ({date}), mas {expected}.': 'La última aplicación se registró el {dow} ({date}), pero {expected}.',
+  'AAAA-MM-DD': 'AAAA-MM-DD',
+  'APLICAÇÃO PENDENTE': 'APLICACIÓN PENDIENTE',
+  'Abaixo do peso': 'Bajo peso',
+  'Abdômen (direito)': 'Abdomen (derecho)',
+  'Abdômen (esquerdo)': 'Abdomen (izquierdo)',
+  'Aberta em {opened} • descartar a partir de {discard} ({n} dias)': 'Abierta el {opened} • desechar a partir del {discard} ({n} días)',
+  'Aberto em': 'Abierto el',
+  'Abrir link': 'Abrir enlace',
+  'Agenda': 'Agenda',
+  'Agenda e histórico exportados para o Calendário.': 'Agenda e historial exportados al Calendario.',
+  'Agenda exportada para o Calendário.': 'Agenda exportada al Calendario.',
+  'Agenda fixa': 'Agenda fija',
+  'Agenda no Calendário (.ics)': 'Agenda en el Calendario (.ics)',
+  'Agenda: {schedule}': 'Agenda: {schedule}',
+  'Ajustar': 'Ajustar',
+  'Ajustar metas': 'Ajustar metas',
+  'Ajuste': 'Ajuste',
+  'Altura (cm)': 'Altura (cm)',
+  'Altura ({unit})': 'Altura ({unit})',
+  'Altura: {value}': 'Altura: {value}',
+  'Analisando seus dados dos últimos {days} dias…': 'Analizando tus datos de los últimos {days} días…',
+  'Anote contexto (sono, horário da refeição, estresse) para encontrar gatilhos.': 'Anota el contexto (sueño, horario de comidas, estrés) para encontrar desencadenantes.',
+  'Antes de atualizar o banco': 'Antes de actualizar la base de datos',
+  'Antes de importar planilha': 'Antes de importar una hoja de cálculo',
+  'Antes de restaurar': 'Antes de restaurar',
+  'Antes de sincronizar': 'Antes de sincronizar',
+  'Análise concluída com base nos seus dados.': 'Análisis completado con base en tus datos.',
+  'Análise dos seus dados': 'Análisis de tus datos',
+  'Análise informativa, não é orientação médica.': 'Análisis informativo, no es orientación médica.',
+  'Apaga os dados atuais do perfil e grava exatamente o que está no backup.': 'Borra los datos actuales del perfil y graba exactamente lo que hay en la copia.',
+  'Apagado da lixeira.': 'Borrado de la papelera.',
+  'Apagar de vez': 'Borrar definitivamente',
+  'Apagar de vez após': 'Borrar definitivamente después de',
+  'Apagar de vez {n} registro(s) da lixeira? Essa ação não pode ser desfeita.': '¿Borrar definitivamente {n} registro(s) de la papelera? Esta acción no se puede deshacer.',
+  'Apagar de vez? Essa ação não pode ser desfeita.': '¿Borrar definitivamente? Esta acción no se puede deshacer.',
+  'Apagar tudo': 'Borrar todo',
+  'Apetite': 'Apetito',
+  'Apetite ≥': 'Apetito ≥',
+  'Aplicar': 'Aplicar',
+  'Aplicação': 'Aplicación',
+  'Aplicação (para adicionar sintomas)': 'Aplicación (para añadir síntomas)',
+  'Aplicação ({name})': 'Aplicación ({name})',
+  'Aplicação atualizada.': 'Aplicación actualizada.',
+  'Aplicação de medicamento': 'Aplicación de medicamento',
+  'Aplicação de {name} prevista para {time}.': 'Aplicación de {name} prevista para las {time}.',
+  'Aplicação movida para a lixeira.': 'Aplicación movida a la papelera.',
+  'Aplicação não encontrada.': 'Aplicación no encontrada.',
+  'Aplicação prevista para {time}.': 'Aplicación prevista para las {time}.',
+  'Aplicação salva.': 'Aplicación guardada.',
+  'Aplicação {done}/{expected}': 'Aplicación {done}/{expected}',
+  'Aplicação • {name}': 'Aplicación • {name}',
+  'Aplicação:': 'Aplicación:',
+  'Aplicação: {name}': 'Aplicación: {name}',
+  'Aplicações': 'Aplicaciones',
+  'Aplicações e pesagens aparecem aqui.': 'Las aplicaciones y los pesajes aparecen aquí.',
+  'Aplicações e pesos em ordem cronológica (mais recentes primeiro).': 'Aplicaciones y pesos en orden cronológico (los más recientes primero).',
+  'Aplicações, pesagens e medidas como eventos recorrentes com lembrete. Importar de novo atualiza os eventos (sem duplicar).': 'Aplicaciones, pesajes y medidas como eventos recurrentes con recordatorio. Importar de nuevo actualiza los eventos (sin duplicar).',
+  'Aplicações:': 'Aplicaciones:',
+  'Aproveite para registrar se quiser (peso/medidas) e manter o histórico.': 'Aprovecha para registrar si quieres (peso/medidas) y mantener el historial.',
+  'Aqui está o resumo estruturado do período selecionado ({days} dias) (JSON):': 'Este es el resumen estructurado del período seleccionado ({days} días) (JSON):',
+  'Arquivo': 'Archivo',
+  'Arquivo corrompido ou alterado: não foi possível decifrar o backup.': 'Archivo dañado o alterado: no se pudo descifrar la copia.',
+  'Arquivo corrompido: cabeçalho do backup criptografado inválido.': 'Archivo dañado: encabezado de la copia cifrada no válido.',
+  'Arquivo corrompido: conteúdo decifrado não é um backup válido.': 'Archivo dañado: el contenido descifrado no es una copia válida.',
+  'Arquivo de sincronização gerado. Abra-o no outro aparelho em "Receber sincronização".': 'Archivo de sincronización generado. Ábrelo en el otro dispositivo en "Recibir sincronización".',
+  'Arquivo de sincronização inválido.': 'Archivo de sincronización no válido.',
+  'Arquivo de sincronização inválido: entrada sem store, id, revisão ou registro.': 'Archivo de sincronización no válido: entrada sin store, id, revisión o registro.',
+  'Arquivo inválido: estrutura não reconhecida.': 'Archivo no válido: estructura no reconocida.',
+  'Arquivo inválido: não é um JSON.': 'Archivo no válido: no es un JSON.',
+  'Arquivo inválido: versão de backup "{version}" desconhecida.': 'Archivo no válido: versión de copia "{version}" desconocida.',
+  'Arquivo inválido: {reason}.': 'Archivo no válido: {reason}.',
+  'Arquivo não é um backup criptografado do DoseCheck.': 'El archivo no es una copia cifrada de DoseCheck.',
+  'Arquivo não é uma sincronização do DoseCheck.': 'El archivo no es una sincronización de DoseCheck.',
+  'Arquivo vazio.': 'Archivo vacío.',
+  'Arquivo {file}': 'Archivo {file}',
+  'Arquivo {file} de {date}': 'Archivo {file} del {date}',
+  'As senhas não conferem.': 'Las contraseñas no coinciden.',
+  'Atenção': 'Atención',
+  'Atenção: lembrete de aplicação estava para {when}. Se já aplicou, registre para manter o histórico.': 'Atención: el recordatorio de aplicación era para {when}. Si ya aplicaste, regístralo para mantener el historial.',
+  'Atingida': 'Alcanzada',
+  'Ativadas: {delivery}.': 'Activadas: {delivery}.',
+  'Ativar': 'Activar',
+  'Ativar notificações': 'Activar notificaciones',
+  'Atrasado': 'Atrasado',
+  'Atrasado {h}h': 'Atrasado {h}h',
+  'Atrasos (últimos 7 dias)': 'Retrasos (últimos 7 días)',
+  'Atrás do prazo': 'Atrasada',
+  'Atrás do prazo.': 'Atrasada respecto al plazo.',
+  'Atualizar': 'Actualizar',
+  'Atualização': 'Actualización',
+  'Atualização aplicada. Toque em “Atualizar” para recarregar.': 'Actualización aplicada. Toca “Actualizar” para recargar.',
+  'Atualização disponível.': 'Actualización disponible.',
+  'Atualização disponível. Toque em “Atualizar” para aplicar.': 'Actualización disponible. Toca “Actualizar” para aplicarla.',
+  'Até': 'Hasta',
+  'Automático (não reconhecido)': 'Automático (no reconocido)',
+  'Automático ({format})': 'Automático ({format})',
+  'Aviso': 'Aviso',
+  'Aviso visual no app. Para avisos fora do app, ative as notificações abaixo.': 'Aviso visual en la app. Para avisos fuera de la app, activa las notificaciones abajo.',
+  'Azia': 'Acidez',
+  'Azia ≥': 'Acidez ≥',
+  'Ação: {action}': 'Acción: {action}',
+  'Backup automático de {date} (versão {version}, {reason})': 'Copia automática del {date} (versión {version}, {reason})',
+  'Backup com senha': 'Copia con contraseña',
+  'Backup com senha gerado.': 'Copia con contraseña generada.',
+  'Backup criado com sucesso.': 'Copia creada correctamente.',
+  'Backup criado. Atualizando...': 'Copia creada. Actualizando...',
+  'Backup criptografado na versão {version}, não suportada por esta versão do app. Atualize o DoseCheck.': 'Copia cifrada en la versión {version}, no compatible con esta versión de la app. Actualiza DoseCheck.',
+  'Backup e restauração': 'Copia de seguridad y restauración',
+  'Backup gerado.': 'Copia generada.',
+  'Backup mesclado: {n} registro(s) gravado(s) • {kept} conflito(s) mantido(s) deste aparelho.': 'Copia combinada: {n} registro(s) grabado(s) • {kept} conflicto(s) conservado(s) de este dispositivo.',
+  'Backup mesclado: {n} registro(s) gravado(s).': 'Copia combinada: {n} registro(s) grabado(s).',
+  'Backup na versão {version}, mais nova que esta versão do app. Atualize o DoseCheck.': 'Copia en la versión {version}, más nueva que esta versión de la app. Actualiza DoseCheck.',
+  'Backup não encontrado.': 'Copia no encontrada.',
+  'Backup restaurado.': 'Copia restaurada.',
+  'Baixar backup': 'Descargar copia',
+  'Baixar backup com senha': 'Descargar copia con contraseña',
+  'Baixe ou restaure todos os seus dados.': 'Descarga o restaura todos tus datos.',
+  'Baseado na agenda ({schedule}).': 'Según la agenda ({schedule}).',
+  'Baseado na agenda fixa (seg/qua/sex e sábado).': 'Según la agenda fija (lun/mié/vie y sábado).',
+  'Baseado na sua agenda fixa.': 'Según tu agenda fija.',
+  'Baseado no seu lembrete semanal.': 'Según tu recordatorio semanal.',
+  'Baseado no último registro ({date}) e na agenda ({schedule}).': 'Según el último registro ({date}) y la agenda ({schedule}).',
+  'Bloqueadas nas permissões do navegador.': 'Bloqueadas en los permisos del navegador.',
+  'Bloqueador de pop-up: permita abrir a aba do relatório.': 'Bloqueador de ventanas emergentes: permite abrir la pestaña del informe.',
+  'Boa': 'Buena',
+  'Braço (direito)': 'Brazo (derecho)',
+  'Braço (esquerdo)': 'Brazo (izquierdo)',
+  'Braço D': 'Brazo D',
+  'Braço E': 'Brazo I',
+  'Braço dir (cm)': 'Brazo der. (cm)',
+  'Braço dir ({unit})': 'Brazo der. ({unit})',
+  'Braço dir.': 'Brazo der.',
+  'Braço esq (cm)': 'Brazo izq. (cm)',
+  'Braço esq ({unit})': 'Brazo izq. ({unit})',
+  'Braço esq.': 'Brazo izq.',
+  'Busca': 'Búsqueda',
+  'Buscar': 'Buscar',
+  'CSV (vírgula ou ponto e vírgula) ou TSV.': 'CSV (coma o punto y coma) o TSV.',
+  'CSV clínico (1 arquivo)': 'CSV clínico (1 archivo)',
+  'CSV clínico gerado (1 arquivo).': 'CSV clínico generado (1 archivo).',
+  'CSVs gerados (3 arquivos).': 'CSV generados (3 archivos).',
+  'Cada gravação guarda data, origem, versão do app e os valores anteriores. O histórico fica neste aparelho.': 'Cada guardado registra fecha, origen, versión de la app y los valores anteriores. El historial se queda en este dispositivo.',
+  'Cada medicamento tem dose, via, cor e agenda próprias. Checklist, adesão e relatórios contam cada um separadamente.': 'Cada medicamento tiene su propia dosis, vía, color y agenda. La lista, la adherencia y los informes cuentan cada uno por separado.',
+  'Cada perfil tem registros, agenda e configurações próprios. Troque de perfil pelo seletor no topo.': 'Cada perfil tiene sus propios registros, agenda y configuración. Cambia de perfil con el selector de arriba.',
+  'Cadastre o estoque para acompanhar doses restantes, validade e refil.': 'Registra tu stock para seguir las dosis restantes, la caducidad y la reposición.',
+  'Calcular IMC': 'Calcular IMC',
+  'Caneta': 'Pluma',
+  'Caneta/frasco': 'Pluma/vial',
+  'Canetas e frascos de cada medicamento. Cada aplicação salva é descontada do item aberto (ou do próximo lacrado, pela validade).': 'Plumas y viales de cada medicamento. Cada aplicación guardada se descuenta del artículo abierto (o del siguiente sellado, por caducidad).',
+  'Carregando análise automática...': 'Cargando análisis automático...',
+  'Carregar mais': 'Cargar más',
+  'Centímetros (cm)': 'Centímetros (cm)',
+  'Checklist de hoje': 'Lista de hoy',
+  'Cheque consistência de água, proteína e sono. Pequenos ajustes de rotina ajudam.': 'Revisa la constancia de agua, proteína y sueño. Pequeños ajustes en la rutina ayudan.',
+  'Cintura': 'Cintura',
+  'Cintura (altura do umbigo) • cm': 'Cintura (altura del ombligo) • cm',
+  'Cintura (altura do umbigo) • {unit}': 'Cintura (a la altura del ombligo) • {unit}',
+  'Cintura (umbigo)': 'Cintura (ombligo)',
+  'Classificação: {classification}': 'Clasificación: {classification}',
+  'Cole aqui a bula ou rotulagem oficial para a IA usar como base.': 'Pega aquí el prospecto o etiquetado oficial para que la IA lo use como base.',
+  'Cole aqui trechos relevantes (posologia, intervalo, contraindicações, alertas).': 'Pega aquí fragmentos relevantes (posología, intervalo, contraindicaciones, advertencias).',
+  'Cole um link oficial primeiro.': 'Pega primero un enlace oficial.',
+  'Coluna {n}': 'Columna {n}',
+  'Colunas': 'Columnas',
+  'Com menos de 2 registros de peso em {days} dias, fica difícil identificar tendência.': 'Con menos de 2 registros de peso en {days} días es difícil identificar una tendencia.',
+  'Com prazo, o app mostra o ritmo necessário por semana.': 'Con plazo, la app muestra el ritmo semanal necesario.',
+  'Começa em {date}': 'Empieza el {date}',
+  'Como restaurar': 'Cómo restaurar',
+  'Comparar pesagens': 'Comparar pesajes',
+  'Comparação:': 'Comparación:',
+  'Compare pesagens em condições similares e observe sono/sódio/treino. Isso não é diagnóstico.': 'Compara pesajes en condiciones similares y observa sueño/sodio/entrenamiento. Esto no es un diagnóstico.',
+  'Compartilhado como texto (o app de destino pode não suportar formatação).': 'Compartido como texto (la app de destino puede no admitir formato).',
+  'Compartilhar/PDF': 'Compartir/PDF',
+  'Concentração': 'Concentración',
+  'Concluído': 'Hecho',
+  'Configura seu checklist e alertas automáticos.': 'Configura tu lista y las alertas automáticas.',
+  'Configurações': 'Configuración',
+  'Configurações do perfil': 'Configuración del perfil',
+  'Configurações salvas.': 'Configuración guardada.',
+  'Configure seu lembrete ou registre uma aplicação.': 'Configura tu recordatorio o registra una aplicación.',
+  'Confira se a primeira linha é mesmo o cabeçalho.': 'Comprueba que la primera fila sea de verdad el encabezado.',
+  'Conflitos': 'Conflictos',
+  'Conforme a bula. Deixe vazio se não houver prazo.': 'Según el prospecto. Déjalo vacío si no hay plazo.',
+  'Considere conversar com um médico. Isso não é diagnóstico.': 'Considera hablar con un médico. Esto no es un diagnóstico.',
+  'Consistência (agenda)': 'Constancia (agenda)',
+  'Consistência da semana': 'Constancia de la semana',
+  'Consistência e streak': 'Constancia y racha',
+  'Consistência:': 'Constancia:',
+  'Continuar': 'Continuar',
+  'Copiado (formatado).': 'Copiado (con formato).',
+  'Copiado.': 'Copiado.',
+  'Copiar': 'Copiar',
+  'Cor': 'Color',
+  'Coxa': 'Muslo',
+  'Coxa (cm)': 'Muslo (cm)',
+  'Coxa (direita)': 'Muslo (derecho)',
+  'Coxa (esquerda)': 'Muslo (izquierdo)',
+  'Coxa ({unit})': 'Muslo ({unit})',
+  'Criado': 'Creado',
+  'Criado antes do histórico de edições': 'Creado antes del historial de ediciones',
+  'Criado em {date}': 'Creado el {date}',
+  'Criptografando backup…': 'Cifrando copia…',
+  'Criptografia indisponível neste navegador (é preciso HTTPS).': 'Cifrado no disponible en este navegador (se necesita HTTPS).',
+  'Cálculo de IMC': 'Cálculo de IMC',
+  'Código de sincronização': 'Código de sincronización',
+  'Código de sincronização inválido.': 'Código de sincronización no válido.',
+  'Código inválido: use de 8 a 64 letras, números, - ou _. Toque em "Gerar código" ou cole o código do outro aparelho.': 'Código no válido: usa de 8 a 64 letras, números, - o _. Toca "Generar código" o pega el código del otro dispositivo.',
+  'Código {space}': 'Código {space}',
+  'DC': 'DC',
+  'DD/MM/AAAA': 'DD/MM/AAAA',
+  'Dados auto-relatados pelo paciente via aplicativo (offline-first).': 'Datos autoinformados por el paciente mediante la aplicación (offline-first).',
+  'Dados do paciente': 'Datos del paciente',
+  'Dados movidos para a lixeira.': 'Datos movidos a la papelera.',
+  'Dados salvos automaticamente para referência na avaliação de IA.': 'Datos guardados automáticamente como referencia para el análisis de IA.',
+  'Dashboard': 'Panel',
+  'Data': 'Fecha',
+  'Data de nascimento': 'Fecha de nacimiento',
+  'Data e hora': 'Fecha y hora',
+  'Data e hora simuladas': 'Fecha y hora simuladas',
+  'Data inválida.': 'Fecha no válida.',
+  'Data inválida: "{value}"': 'Fecha no válida: "{value}"',
+  'Data/hora': 'Fecha/hora',
+  'Data/hora inválida.': 'Fecha/hora no válida.',
+  'Data: {date}': 'Fecha: {date}',
+  'De': 'De',
+  'Defina um lembrete semanal e registre aplicação + peso no mesmo dia sempre que possível.': 'Define un recordatorio semanal y registra aplicación + peso el mismo día siempre que puedas.',
+  'Degrau': 'Escalón',
+  'Degrau atual do plano de dose de cada medicamento.': 'Escalón actual del plan de dosis de cada medicamento.',
+  'Degrau de titulação inválido: "{step}".': 'Escalón de titulación no válido: "{step}".',
+  'Degrau {n} de {total} • {dose}': 'Escalón {n} de {total} • {dose}',
+  'Degraus de dose': 'Escalones de dosis',
+  'Delta (início → fim):': 'Variación (inicio → fin):',
+  'Delta período:': 'Variación del período:',
+  'Delta:': 'Variación:',
+  'Dentro do prazo.': 'Dentro del plazo.',
+  'Depois': 'Después',
+  'Depois: {list}.': 'Después: {list}.',
+  'Depuração: viagem no tempo': 'Depuración: viaje en el tiempo',
+  'Desativada neste perfil.': 'Desactivada en este perfil.',
+  'Desativadas.': 'Desactivadas.',
+  'Desativar': 'Desactivar',
+  'Descartado (baixa)': 'Desechado (baja)',
+  'Descartar aberta • {what}': 'Desechar abierta • {what}',
+  'Descartar após aberto (dias)': 'Desechar tras abrir (días)',
+  'Desfazer': 'Deshacer',
+  'Dia da semana': 'Día de la semana',
+  'Dias da aplicação': 'Días de aplicación',
+  'Dias da aplicação (0=Dom ... 6=Sáb)': 'Días de aplicación (0=Dom ... 6=Sáb)',
+  'Dias de pesagem': 'Días de pesaje',
+  'Dias de pesagem (0=Dom ... 6=Sáb)': 'Días de pesaje (0=Dom ... 6=Sáb)',
+  'Dias fixos da semana': 'Días fijos de la semana',
+  'Dica: alternar lados ajuda a manter um rodízio simples.': 'Consejo: alternar lados ayuda a mantener una rotación sencilla.',
+  'Dica: cole só o necessário (o app pode resumir e enviar para a IA).': 'Consejo: pega solo lo necesario (la app puede resumirlo y enviarlo a la IA).',
+  'Dicas automáticas com base nos seus registros.': 'Consejos automáticos basados en tus registros.',
+  'Diferenças': 'Diferencias',
+  'Diferenças com {subset}.': 'Diferencias con {subset}.',
+  'Diferenças, tendência e platô ficam mais confiáveis comparando iguais: em Configurações → Paciente → Comparar pesagens, escolha só jejum ou o mesmo período do dia.': 'Las diferencias, la tendencia y la meseta son más fiables comparando iguales: en Configuración → Paciente → Comparar pesajes, elige solo en ayunas o el mismo momento del día.',
+  'Diferenças, tendência, gráfico, platô e metas usam só as pesagens escolhidas. Manhã: 4h–12h • tarde: 12h–18h • noite: 18h–4h.': 'Las diferencias, la tendencia, el gráfico, la meseta y las metas usan solo los pesajes elegidos. Mañana: 4h–12h • tarde: 12h–18h • noche: 18h–4h.',
+  'Digite um termo ou escolha um filtro': 'Escribe un término o elige un filtro',
+  'Dom': 'Dom',
+  'Domingo': 'Domingo',
+  'Dose': 'Dosis',
+  'Dose (': 'Dosis (',
+  'Dose inválida no degrau "{step}".': 'Dosis no válida en el escalón "{step}".',
+  'Dose inválida.': 'Dosis no válida.',
+  'Dose inválida: "{value}"': 'Dosis no válida: "{value}"',
+  'Dose máxima': 'Dosis máxima',
+  'Dose mínima': 'Dosis mínima',
+  'Dose registrada (última):': 'Dosis registrada (última):',
+  'DoseCheck': 'DoseCheck',
+  'DoseCheck: PWA offline-first para monitorar aplicações, peso e medidas corporais.': 'DoseCheck: PWA offline-first para seguir aplicaciones, peso y medidas corporales.',
+  'Doses que ainda dá para aplicar com as canetas/frascos cadastrados e até quando pedir o refil.': 'Dosis que aún puedes aplicar con las plumas/viales registrados y hasta cuándo pedir la reposición.',
+  'Editado': 'Editado',
+  'Editado {n}x • última edição em {date}': 'Editado {n} veces • última edición el {date}',
+  'Editar': 'Editar',
+  'Editar aplicação': 'Editar aplicación',
+  'Editar medidas': 'Editar medidas',
+  'Editar peso': 'Editar peso',
+  'Edição desfeita.': 'Edición deshecha.',
+  'Em estoque': 'En stock',
+  'Em uso (entra no checklist)': 'En uso (entra en la lista)',
+  'Em {date} ({fasting}).': 'El {date} ({fasting}).',
+  'Em {d}d {h}h': 'En {d}d {h}h',
+  'Em {h}h': 'En {h}h',
+  'Endereço do servidor': 'Dirección del servidor',
+  'Energia': 'Energía',
+  'Energia ≥': 'Energía ≥',
+  'Enjoo': 'Náuseas',
+  'Enjoo ≥': 'Náuseas ≥',
+  'Enquanto ativa, novos registros e backups usam a hora simulada.': 'Mientras esté activa, los nuevos registros y copias usan la hora simulada.',
+  'Enviar': 'Enviar',
+  'Erro': 'Error',
+  'Erro ao iniciar.': 'Error al iniciar.',
+  'Erro ao restaurar.': 'Error al restaurar.',
+  'Erro ao salvar sintomas.': 'Error al guardar los síntomas.',
+  'Erro ao salvar.': 'Error al guardar.',
+  'Erro ao trocar de perfil.': 'Error al cambiar de perfil.',
+  'Erro na busca.': 'Error en la búsqueda.',
+  'Escolha o medicamento.': 'Elige el medicamento.',
+  'Escolha uma senha com pelo menos {n} caracteres. Ela será pedida para restaurar e não pode ser recuperada.': 'Elige una contraseña de al menos {n} caracteres. Se pedirá para restaurar y no se puede recuperar.',
+  'Esquema:': 'Esquema:',
+  'Este arquivo foi gerado neste aparelho. Abra-o no outro aparelho.': 'Este archivo se generó en este dispositivo. Ábrelo en el otro dispositivo.',
+  'Este navegador não suporta notificações.': 'Este navegador no admite notificaciones.',
+  'Este relatório não substitui avaliação médica.': 'Este informe no sustituye una evaluación médica.',
+  'Este é um arquivo de sincronização: use "Receber sincronização".': 'Este es un archivo de sincronización: usa "Recibir sincronización".',
+  'Estes registros do backup estão incompletos ou com valores inválidos e não serão restaurados.': 'Estos registros de la copia están incompletos o tienen valores no válidos y no se restaurarán.',
+  'Estoque': 'Stock',
+  'Estoque > 1 ano': 'Stock > 1 año',
+  'Estoque atualizado.': 'Stock actualizado.',
+  'Estoque baixo': 'Stock bajo',
+  'Esvaziar lixeira': 'Vaciar papelera',
+  'Evolução do Peso': 'Evolución del Peso',
+  'Evolução do peso': 'Evolución del peso',
+  'Ex.: 10': 'Ej.: 10',
+  'Ex.: 10 mg/mL': 'Ej.: 10 mg/mL',
+  'Ex.: 102,0': 'Ej.: 102,0',
+  'Ex.: 175': 'Ej.: 175',
+  'Ex.: 2,5': 'Ej.: 2,5',
+  'Ex.: 2,5 → 5 → 7,5': 'Ej.: 2,5 → 5 → 7,5',
+  'Ex.: 28': 'Ej.: 28',
+  'Ex.: 33,0': 'Ej.: 33,0',
+  'Ex.: 33,5': 'Ej.: 33,5',
+  'Ex.: 39,0': 'Ej.: 39,0',
+  'Ex.: 39,5': 'Ej.: 39,5',
+  'Ex.: 5': 'Ej.: 5',
+  'Ex.: 58,2': 'Ej.: 58,2',
+  'Ex.: 82,5': 'Ej.: 82,5',
+  'Ex.: 95,5': 'Ej.: 95,5',
+  'Ex.: 98,0': 'Ej.: 98,0',
+  'Ex.: AB1234': 'Ej.: AB1234',
+  'Ex.: Breno': 'Ej.: Bruno',
+  'Ex.: Retatrutida': 'Ej.: Retatrutida',
+  'Ex.: após treino, retenção, etc.': 'Ej.: después de entrenar, retención, etc.',
+  'Ex.: dormi mal, comi tarde, viajei…': 'Ej.: dormí mal, cené tarde, viajé…',
+  'Ex.: dormiu bem, fez exercício, estava ansiosa, etc.': 'Ej.: dormí bien, hice ejercicio, estaba ansiosa, etc.',
+  'Ex.: dormiu bem, fez exercício, etc.': 'Ej.: dormí bien, hice ejercicio, etc.',
+  'Ex.: fita no umbigo, ao acordar, etc.': 'Ej.: cinta en el ombligo, al despertar, etc.',
+  'Ex.: {value}': 'Ej.: {value}',
+  'Excelente': 'Excelente',
+  'Excluir': 'Eliminar',
+  'Excluir este item do estoque?': '¿Eliminar este artículo del stock?',
+  'Excluir este medicamento do catálogo?': '¿Eliminar este medicamento del catálogo?',
+  'Excluir o perfil "{name}" e todos os registros dele? Essa ação não pode ser desfeita.': '¿Eliminar el perfil "{name}" y todos sus registros? Esta acción no se puede deshacer.',
+  'Excluir perfil': 'Eliminar perfil',
+  'Exclusão desfeita.': 'Eliminación deshecha.',
+  'Excluído': 'Eliminado',
+  'Excluído em {date} • apagado de vez em {expires}': 'Eliminado el {date} • se borra definitivamente el {expires}',
+  'Exportar CSV': 'Exportar CSV',
+  'Exportar JSON': 'Exportar JSON',
+  'Exportação': 'Exportación',
+  'Exportação JSON gerada.': 'Exportación JSON generada.',
+  'Faixas de referência:': 'Rangos de referencia:',
+  'Faixas de referência: Abaixo de 18,5 (abaixo do peso) • 18,5–24,9 (normal) • 25–29,9 (sobrepeso) • 30+ (obesidade).': 'Rangos de referencia: Menos de 18,5 (bajo peso) • 18,5–24,9 (normal) • 25–29,9 (sobrepeso) • 30+ (obesidad).',
+  'Falha ao importar.': 'Error al importar.',
+  'Falha ao ler o arquivo.': 'No se pudo leer el archivo.',
+  'Falha ao restaurar.': 'Error al restaurar.',
+  'Falha ao sincronizar.': 'Error al sincronizar.',
+  'Falha ao sincronizar: {error}. Nova tentativa automática.': 'Error al sincronizar: {error}. Nuevo intento automático.',
+  'Fechar': 'Cerrar',
+  'Filtro': 'Filtro',
+  'Filtros de medicamento, dose, local e sintomas mostram só aplicações; jejum mostra só pesagens.': 'Los filtros de medicamento, dosis, lugar y síntomas muestran solo aplicaciones; ayuno muestra solo pesajes.',
+  'Formato da data': 'Formato de fecha',
+  'Formulário limpo.': 'Formulario limpio.',
+  'Frasco': 'Vial',
+  'Frequência da aplicação': 'Frecuencia de aplicación',
+  'Gerado em {date} • Período selecionado: {days} dias': 'Generado el {date} • Período seleccionado: {days} días',
+  'Gerado pelo DoseCheck. Sem orientação médica; apenas organização de dados.': 'Generado por DoseCheck. Sin orientación médica; solo organización de datos.',
+  'Gerar arquivo de sincronização': 'Generar archivo de sincronización',
+  'Gerar código': 'Generar código',
+  'Gerar resumo': 'Generar resumen',
+  'Gere no primeiro aparelho e cole nos outros': 'Genéralo en el primer dispositivo y pégalo en los demás',
+  'Gere o arquivo em um aparelho e abra no outro; depois faça o caminho inverso. Inclusões, edições e exclusões chegam aos dois lados. Se o mesmo registro foi editado nos dois, vale a edição mais recente. "Apagar tudo" vale só para este aparelho.': 'Genera el archivo en un dispositivo y ábrelo en el otro; después haz el camino inverso. Altas, ediciones y eliminaciones llegan a ambos lados. Si el mismo registro se editó en los dos, vale la edición más reciente. "Borrar todo" solo vale para este dispositivo.',
+  'Gere um arquivo aqui e abra no outro aparelho para completar.': 'Genera un archivo aquí y ábrelo en el otro dispositivo para completar.',
+  'Gerenciar estoque': 'Gestionar stock',
+  'Gráfico de peso': 'Gráfico de peso',
+  'Histórico': 'Historial',
+  'Histórico de dose (mudanças no período):': 'Historial de dosis (cambios en el período):',
+  'Histórico do registro': 'Historial del registro',
+  'Hoje ({dow} • {date}). Agenda: pesagem {weigh}; aplicação {schedule} {time}; medidas a cada {n} dias.': 'Hoy ({dow} • {date}). Agenda: pesaje {weigh}; aplicación {schedule} {time}; medidas cada {n} días.',
+  'Hora': 'Hora',
+  'Hora da aplicação': 'Hora de la aplicación',
+  'Hora de registrar a pesagem de hoje (em jejum).': 'Es hora de registrar el pesaje de hoy (en ayunas).',
+  'Horário alvo: {time}': 'Hora objetivo: {time}',
+  'Há aplicações descontadas deste item. Dê baixa (descartado) para manter o histórico.': 'Hay aplicaciones descontadas de este artículo. Dalo de baja (desechado) para mantener el historial.',
+  'Há aplicações deste medicamento. Marque como inativo para manter o histórico.': 'Hay aplicaciones de este medicamento. Márcalo como inactivo para mantener el historial.',
+  'IMC': 'IMC',
+  'IMC atual:': 'IMC actual:',
+  'IMC atual: {imc} ({classification}) — altura {height}': 'IMC actual: {imc} ({classification}) — altura {height}',
+  'IMC calculado com sucesso.': 'IMC calculado correctamente.',
+  'IMC: {imc} ({classification})': 'IMC: {imc} ({classification})',
+  'IMC: —': 'IMC: —',
+  'Idade: {n} anos': 'Edad: {n} años',
+  'Idade: {n} anos (aprox.)': 'Edad: {n} años (aprox.)',
+  'Idioma (app, relatórios e WhatsApp)': 'Idioma (app, informes y WhatsApp)',
+  'Importar': 'Importar',
+  'Importar CSV/TSV': 'Importar CSV/TSV',
+  'Importar planilha': 'Importar hoja de cálculo',
+  'Importar {n} registro(s) de {kind}? Um backup automático é feito antes.': '¿Importar {n} registro(s) de {kind}? Antes se hace una copia automática.',
+  'Inativo (só histórico)': 'Inactivo (solo historial)',
+  'Incluir braços no rodízio': 'Incluir brazos en la rotación',
+  'Incluir histórico': 'Incluir historial',
+  'Info': 'Info',
+  'Informe a quantidade total.': 'Indica la cantidad total.',
+  'Informe o início da titulação.': 'Indica el inicio de la titulación.',
+  'Informe o nome do medicamento.': 'Indica el nombre del medicamento.',
+  'Informe um nome para o perfil.': 'Indica un nombre para el perfil.',
+  'Informe uma data e hora válidas.': 'Indica una fecha y hora válidas.',
+  'Insights IA': 'Insights IA',
+  'Insights automáticos': 'Insights automáticos',
+  'Insights da semana': 'Insights de la semana',
+  'Insira altura e peso para calcular seu IMC e auxiliar na avaliação de dados.': 'Introduce altura y peso para calcular tu IMC y ayudar a evaluar los datos.',
+  'Insira valores válidos para altura e peso.': 'Introduce valores válidos de altura y peso.',
+  'Insira valores válidos para as metas.': 'Introduce valores válidos para las metas.',
+  'Instalar': 'Instalar',
+  'Interpretação': 'Interpretación',
+  'Intervalo (dias)': 'Intervalo (días)',
+  'Intestino': 'Intestino',
+  'Intestino ≥': 'Intestino ≥',
+  'Intramuscular': 'Intramuscular',
+  'Início': 'Inicio',
+  'Início do plano': 'Inicio del plan',
+  'Início → fim:': 'Inicio → fin:',
+  'Irregularidade de agenda': 'Agenda irregular',
+  'Item adicionado ao estoque.': 'Artículo añadido al stock.',
+  'Item excluído.': 'Artículo eliminado.',
+  'Itens na lixeira não entram no dashboard, relatórios, insights nem backups.': 'Los elementos de la papelera no entran en el panel, los informes, los insights ni las copias.',
+  'Jejum': 'Ayuno',
+  'Jejum (pesagens)': 'Ayuno (pesajes)',
+  'Junte os dados deste perfil com outro celular ou computador, sem servidor.': 'Une los datos de este perfil con otro móvil u ordenador, sin servidor.',
+  'Já existe um medicamento com esse nome.': 'Ya existe un medicamento con ese nombre.',
+  'Lembrete configurado: {date}.': 'Recordatorio configurado: {date}.',
+  'Lembrete semanal': 'Recordatorio semanal',
+  'Lembrete: aplicação programada para {when}.': 'Recordatorio: aplicación programada para {when}.',
+  'Libras (lb)': 'Libras (lb)',
+  'Limpar': 'Limpiar',
+  'Limpar filtros': 'Limpiar filtros',
+  'Linha do tempo': 'Línea de tiempo',
+  'Linha e faixa com {subset}; as outras pesagens ficam apagadas.': 'Línea y franja con {subset}; los demás pesajes aparecen atenuados.',
+  'Linha {n} • {status}': 'Fila {n} • {status}',
+  'Linha: peso suavizado (média exponencial). Faixa: tendência do período (95%). Toque em um ponto para ver data e peso.': 'Línea: peso suavizado (media exponencial). Franja: tendencia del período (95%). Toca un punto para ver la fecha y el peso.',
+  'Link inválido. Use um endereço começando com http(s)://': 'Enlace no válido. Usa una dirección que empiece por http(s)://',
+  'Link oficial (ANVISA/FDA/EMA etc.)': 'Enlace oficial (ANVISA/FDA/EMA etc.)',
+  'Lixeira': 'Papelera',
+  'Lixeira esvaziada.': 'Papelera vaciada.',
+  'Lixeira vazia': 'Papelera vacía',
+  'Local': 'Lugar',
+  'Local (sugerido automaticamente)': 'Lugar (sugerido automáticamente)',
+  'Local: {site}': 'Lugar: {site}',
+  'Lote': 'Lote',
+  'MM/DD/AAAA': 'MM/DD/AAAA',
+  'Mantenha ao menos um medicamento em uso.': 'Mantén al menos un medicamento en uso.',
+  'Mantenha os registros para ganhar mais sinal.': 'Sigue registrando para obtener más señal.',
+  'Mantenha sugestões gerais (hábitos/organização) e indique pontos para conversar com profissional.': 'Mantén sugerencias generales (hábitos/organización) e indica puntos para hablar con un profesional.',
+  'Manter deste aparelho': 'Mantener la de este dispositivo',
+  'Manter o existente': 'Mantener el existente',
+  'Manter os dois': 'Mantener los dos',
+  'Manter todos deste aparelho': 'Mantener todos los de este dispositivo',
+  'Mantém o que só existe neste aparelho, adiciona o que só existe no backup e pergunta nos conflitos (mesmo registro editado dos dois lados).': 'Conserva lo que solo existe en este dispositivo, añade lo que solo existe en la copia y pregunta en los conflictos (mismo registro editado en ambos lados).',
+  'Manual': 'Manual',
+  'Manutenção': 'Mantenimiento',
+  'Marcar registros editados': 'Marcar registros editados',
+  'Medicamento': 'Medicamento',
+  'Medicamento (linhas sem nome)': 'Medicamento (filas sin nombre)',
+  'Medicamento excluído.': 'Medicamento eliminado.',
+  'Medicamento não encontrado.': 'Medicamento no encontrado.',
+  'Medicamentos': 'Medicamentos',
+  'Medicação': 'Medicación',
+  'Medicação (mais registrada): {name}': 'Medicación (más registrada): {name}',
+  'Medicação:': 'Medicación:',
+  'Medidas': 'Medidas',
+  'Medidas (opcional)': 'Medidas (opcional)',
+  'Medidas atualizadas.': 'Medidas actualizadas.',
+  'Medidas corporais': 'Medidas corporales',
+  'Medidas movidas para a lixeira.': 'Medidas movidas a la papelera.',
+  'Medidas principais': 'Medidas principales',
+  'Medidas salvas.': 'Medidas guardadas.',
+  'Medidas sugeridas para hoje (opcional).': 'Medidas sugeridas para hoy (opcional).',
+  'Medidas:': 'Medidas:',
+  'Medidas: consistência': 'Medidas: constancia',
+  'Medidas: intervalo (dias)': 'Medidas: intervalo (días)',
+  'Medidas: variações': 'Medidas: variaciones',
+  'Melhor pesagem: {best} • Pior pesagem: {worst}': 'Mejor pesaje: {best} • Peor pesaje: {worst}',
+  'Menu': 'Menú',
+  'Mesclar com os dados deste aparelho': 'Combinar con los datos de este dispositivo',
+  'Mesmo dia com valor diferente': 'Mismo día con otro valor',
+  'Mesmo período do dia da última pesagem': 'Mismo momento del día que el último pesaje',
+  'Meta atingida.': 'Meta alcanzada.',
+  'Meta de cintura ({unit})': 'Meta de cintura ({unit})',
+  'Meta de cintura:': 'Meta de cintura:',
+  'Meta de peso ({unit})': 'Meta de peso ({unit})',
+  'Meta de peso:': 'Meta de peso:',
+  'Meta {goal}': 'Meta {goal}',
+  'Metas': 'Metas',
+  'Metas removidas.': 'Metas eliminadas.',
+  'Metas salvas.': 'Metas guardadas.',
+  'Mostra o app como ele estaria na data/hora escolhida (checklist, streaks, resumos). Vale só para este aparelho.': 'Muestra la app como estaría en la fecha/hora elegida (lista, rachas, resúmenes). Solo vale para este dispositivo.',
+  'Mostrando os {shown} mais recentes de {total}. Refine a busca para ver os demais.': 'Mostrando los {shown} más recientes de {total}. Afina la búsqueda para ver los demás.',
+  'Motivo:': 'Motivo:',
+  'Média': 'Promedio',
+  'Média de {n} dias entre aplicações.': 'Promedio de {n} días entre aplicaciones.',
+  'Média entre aplicações (dias):': 'Promedio entre aplicaciones (días):',
+  'Média entre aplicações:': 'Promedio entre aplicaciones:',
+  'Médias (0–10): {list}.': 'Promedios (0–10): {list}.',
+  'Nada agendado nos próximos 7 dias': 'Nada programado en los próximos 7 días',
+  'Nada encontrado': 'No se encontró nada',
+  'Nada obrigatório hoje': 'Nada obligatorio hoy',
+  'Nada para importar.': 'Nada que importar.',
+  'Nada para restaurar: o item já saiu da lixeira.': 'Nada que restaurar: el elemento ya salió de la papelera.',
+  'Nada registrado ainda': 'Aún no hay registros',
+  'Nada relevante detectado pelas regras simples no momento.': 'Las reglas simples no detectaron nada relevante por ahora.',
+  'Nasc.: {date}': 'Nac.: {date}',
+  'Nascimento:': 'Nacimiento:',
+  'Navegação principal': 'Navegación principal',
+  'Nenhum backup automático encontrado.': 'No se encontró ninguna copia automática.',
+  'Nenhum peso registrado': 'Ningún peso registrado',
+  'Nenhuma aplicação (ou sintomas) registrada no período.': 'Ninguna aplicación (ni síntomas) registrada en el período.',
+  'Nenhuma aplicação registrada': 'Ninguna aplicación registrada',
+  'Nenhuma aplicação selecionada.': 'Ninguna aplicación seleccionada.',
+  'Nenhuma caneta/frasco cadastrado': 'Ninguna pluma/vial registrado',
+  'Nenhuma linha de dados': 'Ninguna fila de datos',
+  'Nenhuma medida preenchida': 'Ninguna medida rellenada',
+  'Nenhuma medida registrada': 'Ninguna medida registrada',
+  'Nesta semana, faltaram 2+ pesagens esperadas. Isso reduz a qualidade dos insights.': 'Esta semana faltaron 2+ pesajes esperados. Eso reduce la calidad de los insights.',
+  'No JSON, pesos estão em kg e medidas em cm; na resposta, use {weight} para peso e {length} para medidas.': 'En el JSON, los pesos están en kg y las medidas en cm; en la respuesta, usa {weight} para el peso y {length} para las medidas.',
+  'No estoque: {dose}': 'En stock: {dose}',
+  'No prazo': 'En plazo',
+  'No ritmo atual ({perWeek}), a meta fica para daqui a mais de 2 anos.': 'Al ritmo actual ({perWeek}), la meta queda a más de 2 años.',
+  'No ritmo atual ({perWeek}), o peso não está indo em direção à meta.': 'Al ritmo actual ({perWeek}), el peso no va en dirección a la meta.',
+  'Nome': 'Nombre',
+  'Nome do novo perfil (paciente):': 'Nombre del nuevo perfil (paciente):',
+  'Nos últimos 14 dias, a tendência do peso mudou pouco (< {limit}) com várias pesagens.': 'En los últimos 14 días, la tendencia del peso cambió poco (< {limit}) con varios pesajes.',
+  'Nos últimos 14 dias, as comparações de peso misturam períodos do dia ({periods}).': 'En los últimos 14 días, las comparaciones de peso mezclan momentos del día ({periods}).',
+  'Nos últimos 14 dias, as comparações de peso misturam pesagens em jejum e sem jejum e períodos do dia ({periods}).': 'En los últimos 14 días, las comparaciones de peso mezclan pesajes en ayunas y sin ayuno y momentos del día ({periods}).',
+  'Nos últimos 14 dias, as comparações de peso misturam pesagens em jejum e sem jejum.': 'En los últimos 14 días, las comparaciones de peso mezclan pesajes en ayunas y sin ayuno.',
+  'Nota rápida: foco da semana que vem: {focus}.': 'Nota rápida: foco para la próxima semana: {focus}.',
+  'Notas': 'Notas',
+  'Notas do paciente (últimos registros)': 'Notas del paciente (últimos registros)',
+  'Notificações': 'Notificaciones',
+  'Notificações ativadas: {delivery}.': 'Notificaciones activadas: {delivery}.',
+  'Notificações desativadas.': 'Notificaciones desactivadas.',
+  'Novo nome do perfil:': 'Nuevo nombre del perfil:',
+  'Náusea alta recorrente': 'Náuseas altas recurrentes',
+  'Náusea ≥ 7/10 em aplicações recentes pode sugerir tolerância baixa naquele período.': 'Náuseas ≥ 7/10 en aplicaciones recientes pueden sugerir baja tolerancia en ese período.',
+  'Não': 'No',
+  'Não (padrão)': 'No (predeterminado)',
+  'Não encontrei registros de aplicação nos últimos {days} dias. Pode ser que você tenha pausado ou só não registrou.': 'No encontré registros de aplicación en los últimos {days} días. Puede que hayas pausado o que no los registraras.',
+  'Não foi possível desfazer.': 'No se pudo deshacer.',
+  'Não inventa dados': 'No inventa datos',
+  'O arquivo {file} está protegido por senha.': 'El archivo {file} está protegido con contraseña.',
+  'O backup tem dados de saúde, nome e nascimento. Para enviar por WhatsApp ou e-mail, prefira o backup com senha (AES-GCM). Sem a senha não há como recuperar o arquivo.': 'La copia tiene datos de salud, nombre y fecha de nacimiento. Para enviarla por WhatsApp o correo, prefiere la copia con contraseña (AES-GCM). Sin la contraseña no hay forma de recuperar el archivo.',
+  'O histórico começa na primeira gravação feita nesta versão do app.': 'El historial empieza en el primer guardado hecho en esta versión de la app.',
+  'O intervalo recomeça na última aplicação: exporte de novo depois de registrar fora do dia.': 'El intervalo se reinicia en la última aplicación: exporta de nuevo después de registrar fuera del día.',
+  'O melhor insight vem de consistência: registros curtos e frequentes.': 'El mejor insight viene de la constancia: registros cortos y frecuentes.',
+  'O prazo da meta ({date}) já passou.': 'El plazo de la meta ({date}) ya pasó.',
+  'O prazo precisa ser depois do início.': 'El plazo debe ser posterior al inicio.',
+  'O progresso aparece no Dashboard, no relatório clínico e no resumo semanal. Deixe em branco para não usar.': 'El progreso aparece en el Dashboard, en el informe clínico y en el resumen semanal. Déjalo en blanco para no usarlo.',
+  'O progresso parte do primeiro registro a partir desta data (vazio: primeiro registro).': 'El progreso parte del primer registro desde esta fecha (vacío: primer registro).',
+  'O que importar': 'Qué importar',
+  'O que sua agenda pede (e o que já está feito).': 'Lo que pide tu agenda (y lo que ya está hecho).',
+  'O resultado do IMC aparecerá aqui com a classificação.': 'El resultado del IMC aparecerá aquí con su clasificación.',
+  'Obesidade': 'Obesidad',
+  'Obs.: isso não é diagnóstico nem orientação médica.': 'Nota: esto no es un diagnóstico ni orientación médica.',
+  'Obs.: {notes}': 'Obs.: {notes}',
+  'Observação': 'Observación',
+  'Observações': 'Observaciones',
+  'Observações ou medicamento (ex.: viagem, enjoo)': 'Notas o medicamento (ej.: viaje, náuseas)',
+  'Observações: sem orientação médica; apenas organização de dados.': 'Observaciones: sin orientación médica; solo organización de datos.',
+  'Ok': 'Ok',
+  'Ok. Você pode atualizar depois.': 'Ok. Puedes actualizar más tarde.',
+  'Opcional: envia as alterações deste perfil a um servidor de sincronização e recebe as dos outros aparelhos automaticamente.': 'Opcional: envía los cambios de este perfil a un servidor de sincronización y recibe los de los otros dispositivos automáticamente.',
+  'Oral': 'Oral',
+  'Os registros continuam guardados em kg e cm; muda só a digitação e a exibição.': 'Los registros se siguen guardando en kg y cm; solo cambian la entrada y la visualización.',
+  'Oscilação compatível com retenção': 'Oscilación compatible con retención',
+  'Outra': 'Otra',
+  'Outras medidas (opcionais)': 'Otras medidas (opcionales)',
+  'PESAGEM PENDENTE': 'PESAJE PENDIENTE',
+  'Paciente': 'Paciente',
+  'Paciente:': 'Paciente:',
+  'Paciente: {name}': 'Paciente: {name}',
+  'Panturrilha': 'Pantorrilla',
+  'Panturrilha (cm)': 'Pantorrilla (cm)',
+  'Panturrilha ({unit})': 'Pantorrilla ({unit})',
+  'Para comparar melhor, use sempre a mesma fita/posição e registre 1x/semana.': 'Para comparar mejor, usa siempre la misma cinta/posición y registra 1 vez por semana.',
+  'Pedir refil agora': 'Pedir reposición ahora',
+  'Peito': 'Pecho',
+  'Peito (cm)': 'Pecho (cm)',
+  'Peito ({unit})': 'Pecho ({unit})',
+  'Pendente': 'Pendiente',
+  'Perfil': 'Perfil',
+  'Perfil "{name}" criado.': 'Perfil "{name}" creado.',
+  'Perfil ativo': 'Perfil activo',
+  'Perfil excluído.': 'Perfil eliminado.',
+  'Perfil não encontrado.': 'Perfil no encontrado.',
+  'Perfil renomeado.': 'Perfil renombrado.',
+  'Perfis': 'Perfiles',
+  'Permissão de notificação negada.': 'Permiso de notificaciones denegado.',
+  'Período': 'Período',
+  'Período do gráfico': 'Período del gráfico',
+  'Período padrão do relatório': 'Período predeterminado del informe',
+  'Período para análise': 'Período de análisis',
+  'Pesagem': 'Pesaje',
+  'Pesagem (em jejum)': 'Pesaje (en ayunas)',
+  'Pesagem, aplicação e medidas pendentes do checklist. Tocar na notificação abre o app no item.': 'Pesajes, aplicaciones y medidas pendientes de la lista. Al tocar la notificación se abre la app en ese elemento.',
+  'Pesagem: dias escolhidos em Configurações (padrão seg/qua/sex). Aplicação: frequência e horário de cada medicamento em Configurações → Medicamentos.': 'Pesaje: días elegidos en Configuración (predeterminado lun/mié/vie). Aplicación: frecuencia y hora de cada medicamento en Configuración → Medicamentos.',
+  'Pesagem: {weight}': 'Pesaje: {weight}',
+  'Pesagens': 'Pesajes',
+  'Pesagens 0/3 • Aplicação 0/1': 'Pesajes 0/3 • Aplicación 0/1',
+  'Pesagens em condições diferentes': 'Pesajes en condiciones diferentes',
+  'Pesagens na semana: {n}': 'Pesajes en la semana: {n}',
+  'Pesagens usadas:': 'Pesajes usados:',
+  'Pesagens {done}/{expected}': 'Pesajes {done}/{expected}',
+  'Pesagens, aplicações ou medidas de outros apps (CSV/TSV), com prévia antes de gravar.': 'Pesajes, aplicaciones o medidas de otras apps (CSV/TSV), con vista previa antes de grabar.',
+  'Pesagens:': 'Pesajes:',
+  'Pescoço': 'Cuello',
+  'Pescoço • cm': 'Cuello • cm',
+  'Pescoço • {unit}': 'Cuello • {unit}',
+  'Peso': 'Peso',
+  'Peso & Medidas': 'Peso y Medidas',
+  'Peso (kg)': 'Peso (kg)',
+  'Peso ({unit})': 'Peso ({unit})',
+  'Peso atualizado.': 'Peso actualizado.',
+  'Peso e IMC': 'Peso e IMC',
+  'Peso e variação': 'Peso y variación',
+  'Peso inválido.': 'Peso no válido.',
+  'Peso inválido: "{value}"': 'Peso no válido: "{value}"',
+  'Peso início → fim:': 'Peso inicio → fin:',
+  'Peso movido para a lixeira.': 'Peso movido a la papelera.',
+  'Peso normal': 'Peso normal',
+  'Peso salvo.': 'Peso guardado.',
+  'Peso suavizado (média exponencial):': 'Peso suavizado (media exponencial):',
+  'Peso:': 'Peso:',
+  'Peso: dados insuficientes': 'Peso: datos insuficientes',
+  'Peso: sem dados suficientes na semana': 'Peso: sin datos suficientes en la semana',
+  'Peso: {value}': 'Peso: {value}',
+  'Pesos:': 'Pesos:',
+  'Pico': 'Pico',
+  'Planejada': 'Planificada',
+  'Planejada pela titulação: {dose}.': 'Planificada por la titulación: {dose}.',
+  'Polegadas (in)': 'Pulgadas (in)',
+  'Pontos cheios: em jejum; vazados: sem jejum.': 'Puntos llenos: en ayunas; vacíos: sin ayuno.',
+  'Pontuação: pesagens (1) + aplicação (2) = 5 pontos.': 'Puntuación: pesajes (1) + aplicación (2) = 5 puntos.',
+  'Possível platô': 'Posible meseta',
+  'Poucas medidas registradas no período. Oscilações pequenas são normais.': 'Pocas medidas registradas en el período. Las pequeñas oscilaciones son normales.',
+  'Poucas pesagens nas últimas 4 semanas para prever a data.': 'Pocos pesajes en las últimas 4 semanas para prever la fecha.',
+  'Poucos dados de medidas.': 'Pocos datos de medidas.',
+  'Poucos dados de peso.': 'Pocos datos de peso.',
+  'Poucos dados para avaliar regularidade.': 'Pocos datos para evaluar la regularidad.',
+  'Prazo (opcional)': 'Plazo (opcional)',
+  'Preenchido sozinho na primeira aplicação descontada deste item.': 'Se rellena solo en la primera aplicación descontada de este artículo.',
+  'Previsão: {date} no ritmo atual ({perWeek}).': 'Previsión: {date} al ritmo actual ({perWeek}).',
+  'Primeira linha é o cabeçalho': 'La primera fila es el encabezado',
+  'Principais mudanças (início → fim do período): {top}.': 'Principales cambios (inicio → fin del período): {top}.',
+  'Prévia': 'Vista previa',
+  'Prévia atualizada.': 'Vista previa actualizada.',
+  'Próxima aplicação': 'Próxima aplicación',
+  'Próximo lembrete: {when}.': 'Próximo recordatorio: {when}.',
+  'Próximo passo (não médico)': 'Próximo paso (no médico)',
+  'Próximos 7 dias': 'Próximos 7 días',
+  'Pular para conteúdo': 'Saltar al contenido',
+  'Qua': 'Mié',
+  'Quadril': 'Cadera',
+  'Quadril (ref.)': 'Cadera (ref.)',
+  'Quadril (referência) • cm': 'Cadera (referencia) • cm',
+  'Quadril (referência) • {unit}': 'Cadera (referencia) • {unit}',
+  'Quantidade total (': 'Cantidad total (',
+  'Quarta': 'Miércoles',
+  'Quem tem o código lê os dados do espaço: guarde-o como uma senha. Sem rede, as alterações ficam na fila e são enviadas depois. Servidor de referência: "npm run sync-server" (veja o README).': 'Quien tenga el código puede leer los datos del espacio: guárdalo como una contraseña. Sin red, los cambios quedan en la cola y se envían después. Servidor de referencia: "npm run sync-server" (ver el README).',
+  'Qui': 'Jue',
+  'Quilos (kg)': 'Kilogramos (kg)',
+  'Quinta': 'Jueves',
+  'Receber sincronização': 'Recibir sincronización',
+  'Recomendado: seg/qua/sex pela manhã.': 'Recomendado: lun/mié/vie por la mañana.',
+  'Referência do medicamento': 'Referencia del medicamento',
+  'Referência oficial do medicamento': 'Referencia oficial del medicamento',
+  'Referência oficial do medicamento (fornecida pelo usuário):': 'Referencia oficial del medicamento (proporcionada por el usuario):',
+  'Referência oficial do medicamento: não fornecida. Não consultei bula/rotulagem.': 'Referencia oficial del medicamento: no proporcionada. No consulté el prospecto/etiquetado.',
+  'Referência oficial:': 'Referencia oficial:',
+  'Referência: fita paralela ao chão, sem apertar.': 'Referencia: cinta paralela al suelo, sin apretar.',
+  'Referência: fita reta, logo abaixo do pomo de Adão.': 'Referencia: cinta recta, justo debajo de la nuez.',
+  'Referência: maior circunferência do bumbum, pés juntos.': 'Referencia: mayor circunferencia de los glúteos, pies juntos.',
+  'Refil até {date}': 'Reposición hasta {date}',
+  'Regime (informativo)': 'Régimen (informativo)',
+  'Registrada': 'Registrada',
+  'Registrar Sintomas Tardios': 'Registrar Síntomas Tardíos',
+  'Registrar aplicação': 'Registrar aplicación',
+  'Registrar medidas': 'Registrar medidas',
+  'Registrar peso': 'Registrar peso',
+  'Registrar sintomas tardios': 'Registrar síntomas tardíos',
+  'Registre a cintura em Medidas para acompanhar a meta de {goal}.': 'Registra la cintura en Medidas para seguir la meta de {goal}.',
+  'Registre o peso no DoseCheck.': 'Registra el peso en DoseCheck.',
+  'Registre pelo menos 2 aplicações para avaliar a regularidade.': 'Registra al menos 2 aplicaciones para evaluar la regularidad.',
+  'Registre sintomas 24-48h após a aplicação. Selecione uma aplicação para adicionar/editar sintomas.': 'Registra síntomas 24-48h después de la aplicación. Selecciona una aplicación para añadir/editar síntomas.',
+  'Registre uma pesagem para acompanhar a meta de {goal}.': 'Registra un pesaje para seguir la meta de {goal}.',
+  'Registro': 'Registro',
+  'Registro não encontrado.': 'Registro no encontrado.',
+  'Registro restaurado.': 'Registro restaurado.',
+  'Registro sem id não vai para a lixeira.': 'Un registro sin id no va a la papelera.',
+  'Registros excluídos deste perfil. Restaure ou apague de vez.': 'Registros eliminados de este perfil. Restáuralos o bórralos definitivamente.',
+  'Registros excluídos ficam aqui para restaurar.': 'Los registros eliminados quedan aquí para restaurarlos.',
+  'Registros ignorados': 'Registros ignorados',
+  'Registros marcados com "editado" foram alterados depois de gravados (data da última edição). O histórico completo fica no aplicativo.': 'Los registros marcados como "editado" se modificaron después de grabarse (fecha de la última edición). El historial completo queda en la aplicación.',
+  'Registros:': 'Registros:',
+  'Regras para usar a referência oficial:': 'Reglas para usar la referencia oficial:',
+  'Regularidade': 'Regularidad',
+  'Regularidade ({window}):': 'Regularidad ({window}):',
+  'Regularidade dentro do esperado para a agenda.': 'Regularidad dentro de lo esperado para la agenda.',
+  'Relatório DoseCheck': 'Informe DoseCheck',
+  'Relatório Médico': 'Informe Médico',
+  'Relatório de Monitoramento — {title}': 'Informe de Seguimiento — {title}',
+  'Relógio de volta ao presente.': 'Reloj de vuelta al presente.',
+  'Relógio fixado em {date}.': 'Reloj fijado en {date}.',
+  'Renomear': 'Renombrar',
+  'Repita a senha': 'Repite la contraseña',
+  'Repor estoque': 'Reponer stock',
+  'Resposta inválida do servidor de sincronização.': 'Respuesta no válida del servidor de sincronización.',
+  'Restam {remaining} de {total}': 'Quedan {remaining} de {total}',
+  'Restaurar': 'Restaurar',
+  'Restaurar backup': 'Restaurar copia',
+  'Restrições críticas:': 'Restricciones críticas:',
+  'Resuma em até 6 cards, cada card com: title, insight, action (curta e prática).': 'Resume en hasta 6 tarjetas, cada una con: title, insight, action (corta y práctica).',
+  'Resumo (últimos {days} dias) — DoseCheck': 'Resumen (últimos {days} días) — DoseCheck',
+  'Resumo DoseCheck ({days} dias)': 'Resumen DoseCheck ({days} días)',
+  'Resumo DoseCheck — últimos {days} dias': 'Resumen DoseCheck — últimos {days} días',
+  'Resumo copiado. Abra o WhatsApp e cole, se necessário.': 'Resumen copiado. Abre WhatsApp y pégalo si hace falta.',
+  'Resumo da semana': 'Resumen de la semana',
+  'Resumo executivo': 'Resumen ejecutivo',
+  'Resumo montado.': 'Resumen preparado.',
+  'Resumo pronto ({days} dias)': 'Resumen listo ({days} días)',
+  'Resumo semanal': 'Resumen semanal',
+  'Resumo semanal (DoseCheck)': 'Resumen semanal (DoseCheck)',
+  'Resumo semanal gerado.': 'Resumen semanal generado.',
+  'Ritmo necessário até {date}: {perWeek}.': 'Ritmo necesario hasta {date}: {perWeek}.',
+  'Rodízio': 'Rotación',
+  'Rodízio de local': 'Rotación de lugar',
+  'Rotina de pesagem': 'Rutina de pesaje',
+  'Rotina “no ritmo”: {rate}% dos intervalos dentro de {window}. Ajuste agenda/lembrete se precisar.': 'Rutina “al día”: {rate}% de los intervalos dentro de {window}. Ajusta la agenda/recordatorio si hace falta.',
+  'Salvar': 'Guardar',
+  'Salvar agenda': 'Guardar agenda',
+  'Salvar alterações': 'Guardar cambios',
+  'Salvar como PDF': 'Guardar como PDF',
+  'Salvar configurações': 'Guardar configuración',
+  'Salvar lembrete': 'Guardar recordatorio',
+  'Salvar metas': 'Guardar metas',
+  'Salvar sintomas': 'Guardar síntomas',
+  'Se aplicou, registre as datas para melhorar seus insights.': 'Si aplicaste, registra las fechas para mejorar tus insights.',
+  'Se desativado, o rodízio usa apenas abdômen/coxa.': 'Si está desactivado, la rotación usa solo abdomen/muslo.',
+  'Se fizer sentido, registre medidas 1x por semana para ver tendência.': 'Si tiene sentido, registra medidas 1 vez por semana para ver la tendencia.',
+  'Se foi exceção, ok. Registre as datas para o relatório ficar consistente.': 'Si fue una excepción, está bien. Registra las fechas para que el informe sea coherente.',
+  'Se for útil, registre sintomas 0–10 por 24–48h após a aplicação.': 'Si te resulta útil, registra síntomas 0–10 durante 24–48h después de la aplicación.',
+  'Seg': 'Lun',
+  'Segunda': 'Lunes',
+  'Selecionar aplicação': 'Seleccionar aplicación',
+  'Selecionar semana da consistência': 'Seleccionar semana de constancia',
+  'Selecionar semana do resumo': 'Seleccionar semana del resumen',
+  'Selecione uma aplicação.': 'Selecciona una aplicación.',
+  'Selecione uma aplicação...': 'Selecciona una aplicación...',
+  'Sem alertas por regras locais': 'Sin alertas de las reglas locales',
+  'Sem alterações registradas': 'Sin cambios registrados',
+  'Sem aplicações no período.': 'Sin aplicaciones en el período.',
+  'Sem aplicações nos últimos {days} dias': 'Sin aplicaciones en los últimos {days} días',
+  'Sem aplicações registradas': 'Sin aplicaciones registradas',
+  'Sem dados no período.': 'Sin datos en el período.',
+  'Sem dados suficientes para resumo.': 'No hay datos suficientes para el resumen.',
+  'Sem itens': 'Sin elementos',
+  'Sem jejum': 'Sin ayuno',
+  'Sem medidas no período.': 'Sin medidas en el período.',
+  'Sem medidas registradas ainda.': 'Aún no hay medidas registradas.',
+  'Sem pesos no período.': 'Sin pesos en el período.',
+  'Sem previsão': 'Sin previsión',
+  'Sem registros ainda.': 'Aún no hay registros.',
+  'Sem resposta': 'Sin respuesta',
+  'Sem valores comparáveis no período.': 'Sin valores comparables en el período.',
+  'Sem valores numéricos.': 'Sin valores numéricos.',
+  'Sem {fields}': 'Falta {fields}',
+  'Semana': 'Semana',
+  'Semana atual': 'Semana actual',
+  'Semana passada': 'Semana pasada',
+  'Semana {week}': 'Semana {week}',
+  'Semanas por degrau': 'Semanas por escalón',
+  'Senha': 'Contraseña',
+  'Senha do backup': 'Contraseña de la copia',
+  'Senha incorreta.': 'Contraseña incorrecta.',
+  'Senha incorreta. Tente de novo.': 'Contraseña incorrecta. Inténtalo de nuevo.',
+  'Separe os degraus com → ou ;. Use "x6" para um degrau com outra duração (ex.: 5 x6). O último degrau é a manutenção. Deixe vazio para não usar plano.': 'Separa los escalones con → o ;. Usa "x6" para un escalón con otra duración (ej.: 5 x6). El último escalón es el de mantenimiento. Déjalo vacío para no usar plan.',
+  'Servidor de sincronização respondeu {status}.': 'El servidor de sincronización respondió {status}.',
+  'Seu peso atual em quilogramas.': 'Tu peso actual en kilogramos.',
+  'Sex': 'Vie',
+  'Sexta': 'Viernes',
+  'Sim': 'Sí',
+  'Sincronizado com o servidor: {pushed} enviado(s), {received} recebido(s), {deleted} apagado(s).': 'Sincronizado con el servidor: {pushed} enviado(s), {received} recibido(s), {deleted} borrado(s).',
+  'Sincronizado: {summary}.': 'Sincronizado: {summary}.',
+  'Sincronizar agora': 'Sincronizar ahora',
+  'Sincronizar aparelhos': 'Sincronizar dispositivos',
+  'Sincronizar com servidor': 'Sincronizar con servidor',
+  'Sincronizar o perfil "{profile}" com {from}? Um backup automático é feito antes.': '¿Sincronizar el perfil "{profile}" con {from}? Antes se hace una copia automática.',
+  'Sincronização com servidor desativada neste perfil. Os dados continuam no aparelho.': 'Sincronización con servidor desactivada en este perfil. Los datos siguen en el dispositivo.',
+  'Sincronização na versão {version}, não suportada por esta versão do app. Atualize o DoseCheck nos dois aparelhos.': 'Sincronización en la versión {version}, no compatible con esta versión de la app. Actualiza DoseCheck en los dos dispositivos.',
+  'Sintoma': 'Síntoma',
+  'Sintomas': 'Síntomas',
+  'Sintomas (0 a 10)': 'Síntomas (0 a 10)',
+  'Sintomas (0 a 10) - registre 24-48h após a aplicação': 'Síntomas (0 a 10) - registra 24-48h después de la aplicación',
+  'Sintomas (0–10)': 'Síntomas (0–10)',
+  'Sintomas Tardios': 'Síntomas Tardíos',
+  'Sintomas agregados (0–10)': 'Síntomas agregados (0–10)',
+  'Sintomas mais comuns': 'Síntomas más comunes',
+  'Sintomas médios (0–10):': 'Síntomas promedio (0–10):',
+  'Sintomas mínimos (0 a 10)': 'Síntomas mínimos (0 a 10)',
+  'Sintomas tardios': 'Síntomas tardíos',
+  'Sintomas tardios registrados.': 'Síntomas tardíos registrados.',
+  'Sintomas:': 'Síntomas:',
+  'Sintomas: sem registros na semana': 'Síntomas: sin registros en la semana',
+  'Situação': 'Situación',
+  'Sobrepeso': 'Sobrepeso',
+  'Status: {status}': 'Estado: {status}',
+  'Status: —': 'Estado: —',
+  'Stones e libras (st lb)': 'Stones y libras (st lb)',
+  'Streak aplicações: {n} semana(s)': 'Racha de aplicaciones: {n} semana(s)',
+  'Streak aplicações: —': 'Racha de aplicaciones: —',
+  'Streak pesagens: {n} dia(s)': 'Racha de pesajes: {n} día(s)',
+  'Streak pesagens: —': 'Racha de pesajes: —',
+  'Streaks': 'Rachas',
+  'Sua altura em centímetros.': 'Tu altura en centímetros.',
+  'Subcutânea': 'Subcutánea',
+  'Substituir pelo da planilha': 'Sustituir por el de la hoja',
+  'Substituir todos os dados do perfil "{profile}" pelo backup? Um backup automático é feito antes.': '¿Sustituir todos los datos del perfil "{profile}" por la copia? Antes se hace una copia automática.',
+  'Substituir tudo pelo backup': 'Sustituir todo por la copia',
+  'Sugestão de rodízio: {site}.': 'Rotación sugerida: {site}.',
+  'Sugestão: a cada {n} dias': 'Sugerencia: cada {n} días',
+  'Sugestão: a cada {n} dias (conta a partir da última medição).': 'Sugerencia: cada {n} días (cuenta desde la última medición).',
+  'Sugestão: pese ao acordar e registre rapidinho (mesma condição).': 'Sugerencia: pésate al despertar y regístralo enseguida (misma condición).',
+  'Sugestão: registre agora (se fizer sentido, use data retroativa).': 'Sugerencia: regístralo ahora (si tiene sentido, usa una fecha retroactiva).',
+  'Sáb': 'Sáb',
+  'Sábado': 'Sábado',
+  'Só em jejum': 'Solo en ayunas',
+  'Só pesagens em jejum': 'Solo pesajes en ayunas',
+  'Só sem jejum': 'Solo sin ayuno',
+  'Tabela de Aplicações': 'Tabla de Aplicaciones',
+  'Tabela de Pesos': 'Tabla de Pesos',
+  'Tanto faz': 'Da igual',
+  'Tarefa: identificar padrões, regularidade, possíveis gatilhos e sugestões de hábitos.': 'Tarea: identificar patrones, regularidad, posibles desencadenantes y sugerencias de hábitos.',
+  'Tem certeza? Isso move para a lixeira aplicações, pesos, medidas, medicamentos, estoque e configurações do perfil "{profile}".': '¿Seguro? Esto mueve a la papelera aplicaciones, pesos, medidas, medicamentos, stock y configuración del perfil "{profile}".',
+  'Tendência ainda incerta: as pesagens oscilam mais do que o peso mudou.': 'Tendencia todavía incierta: los pesajes oscilan más de lo que cambió el peso.',
+  'Tendência de peso ({days} dias)': 'Tendencia de peso ({days} días)',
+  'Tendência de queda (bom sinal de consistência, se esse for seu objetivo).': 'Tendencia a la baja (buena señal de constancia, si ese es tu objetivo).',
+  'Tendência de subida (pode ser oscilação, retenção ou alimentação).': 'Tendencia al alza (puede ser oscilación, retención o alimentación).',
+  'Tendência estável.': 'Tendencia estable.',
+  'Tendência por semana: {perWeek} (faixa de 95%: {low} a {high}). Compare sempre em condições parecidas (ex.: jejum).': 'Tendencia semanal: {perWeek} (rango del 95%: {low} a {high}). Compara siempre en condiciones parecidas (p. ej.: en ayunas).',
+  'Tendência por semana: {perWeek}. Compare sempre em condições parecidas (ex.: jejum).': 'Tendencia semanal: {perWeek}. Compara siempre en condiciones parecidas (p. ej.: en ayunas).',
+  'Tendência semanal (reta):': 'Tendencia semanal (recta):',
+  'Tendência:': 'Tendencia:',
+  'Tente novamente.': 'Inténtalo de nuevo.',
+  'Tente outro termo, outro período ou menos filtros.': 'Prueba otro término, otro período o menos filtros.',
+  'Tente pesar 2–3x por semana (idealmente no mesmo horário/condição).': 'Intenta pesarte 2–3 veces por semana (idealmente a la misma hora/condición).',
+  'Tente pesar sempre no mesmo horário e na mesma condição (ex.: ao acordar, em jejum).': 'Intenta pesarte siempre a la misma hora y en la misma condición (p. ej.: al despertar, en ayunas).',
+  'Ter': 'Mar',
+  'Terça': 'Martes',
+  'Teve uma subida rápida de peso e retorno em poucos dias, padrão comum em variação de água.': 'Hubo una subida rápida de peso y vuelta en pocos días, un patrón común en variación de agua.',
+  'Texto': 'Texto',
+  'Texto pronto para copiar e enviar. Sem orientação médica.': 'Texto listo para copiar y enviar. Sin orientación médica.',
+  'Tipo': 'Tipo',
+  'Tipo de registro sem lixeira: {store}.': 'Tipo de registro sin papelera: {store}.',
+  'Titulação': 'Titulación',
+  'Titulação (opcional)': 'Titulación (opcional)',
+  'Titulação planejada:': 'Titulación planificada:',
+  'Titulação: planejado × registrado': 'Titulación: planificado × registrado',
+  'Titulação: {plan}': 'Titulación: {plan}',
+  'Todas as pesagens': 'Todos los pesajes',
+  'Todos': 'Todos',
+  'Top sintomas:': 'Síntomas principales:',
+  'Toque em': 'Toca',
+  'Toque em "+ Medidas" para adicionar.': 'Toca "+ Medidas" para añadir.',
+  'Toque em "+ Nova" para registrar.': 'Toca "+ Nueva" para registrar.',
+  'Toque em "+ Peso" para adicionar.': 'Toca "+ Peso" para añadir.',
+  'Tracejado: ritmo das últimas 4 semanas ({actual}) pelos próximos 30 dias.': 'Discontinua: ritmo de las últimas 4 semanas ({actual}) durante los próximos 30 días.',
+  'Tracejado: ritmo das últimas 4 semanas ({actual}) × necessário para a meta ({required}).': 'Discontinua: ritmo de las últimas 4 semanas ({actual}) × necesario para la meta ({required}).',
+  'Trecho oficial (cole aqui)': 'Fragmento oficial (pégalo aquí)',
+  'Tudo': 'Todo',
+  'Tudo fica salvo localmente no seu aparelho.': 'Todo se guarda localmente en tu dispositivo.',
+  'UI': 'UI',
+  'Ultimos 30 dias': 'Últimos 30 días',
+  'Ultimos 90 dias': 'Últimos 90 días',
+  'Um dia = semanal (ex.: sábado). Dois ou mais = várias vezes por semana (ex.: seg/qui).': 'Un día = semanal (ej.: sábado). Dos o más = varias veces por semana (ej.: lun/jue).',
+  'Unidade da dose': 'Unidad de la dosis',
+  'Unidade das medidas e da altura': 'Unidad de medidas y altura',
+  'Unidade de peso': 'Unidad de peso',
+  'Usada até a primeira aplicação; depois o ciclo conta da última registrada.': 'Se usa hasta la primera aplicación; después el ciclo cuenta desde la última registrada.',
+  'Usar do backup': 'Usar la de la copia',
+  'Usar todos do backup': 'Usar todos los de la copia',
+  'Use linguagem em pt-BR, amigável e sem alarmismo.': 'Usa español, en tono amable y sin alarmismo.',
+  'Use o menu do navegador/impressão e escolha': 'Usa el menú del navegador/impresión y elige',
+  'Use “Salvar como PDF” no navegador.': 'Usa “Guardar como PDF” en el navegador.',
+  'Validade': 'Caducidad',
+  'Variação aproximada: {delta} (de {start} para {end}).': 'Variación aproximada: {delta} (de {start} a {end}).',
+  'Variação considerável entre aplicações; vale checar rotina/agenda.': 'Variación considerable entre aplicaciones; conviene revisar la rutina/agenda.',
+  'Variação do período (início → fim):': 'Variación del período (inicio → fin):',
+  'Variação:': 'Variación:',
+  'Variações': 'Variaciones',
+  'Variações pequenas são normais.': 'Las pequeñas variaciones son normales.',
+  'Vence em {date} • restam {dose}': 'Vence el {date} • quedan {dose}',
+  'Venceu em {date} • restam {dose}': 'Venció el {date} • quedan {dose}',
+  'Vencido': 'Vencido',
+  'Versão a manter: {title}': 'Versión a conservar: {title}',
+  'Versão:': 'Versión:',
+  'Via': 'Vía',
+  'Viagem no tempo ativa.': 'Viaje en el tiempo activo.',
+  'Viagem no tempo: exibindo o app como em {date}.': 'Viaje en el tiempo: mostrando la app como el {date}.',
+  'Visualize primeiro abaixo, depois compartilhe por WhatsApp/email ou salve como PDF.': 'Revísalo primero abajo y después compártelo por WhatsApp/correo o guárdalo como PDF.',
+  'Você pode ajustar a agenda no Menu.': 'Puedes ajustar la agenda en el Menú.',
+  'Você registrou {n} aplicação(ões) nos últimos {days} dias.': 'Registraste {n} aplicación(es) en los últimos {days} días.',
+  'Você é um assistente de análise de saúde para um diário de medicação e métricas corporais.': 'Eres un asistente de análisis de salud para un diario de medicación y métricas corporales.',
+  'Voltar ao presente': 'Volver al presente',
+  'WhatsApp': 'WhatsApp',
+  'a agenda fixa é {schedule}': 'la agenda fija es {schedule}',
+  'a agenda é {schedule}': 'la agenda es {schedule}',
+  'a cada {n} dias': 'cada {n} días',
+  'abaixo do plano': 'por debajo del plan',
+  'aberto': 'abierto',
+  'aberto em {date}': 'abierto el {date}',
+  'abrir link': 'abrir enlace',
+  'acaba em {date}': 'se acaba el {date}',
+  'acima do plano': 'por encima del plan',
+  'agenda de cada medicamento': 'agenda de cada medicamento',
+  'agendadas no horário de cada item': 'programadas a la hora de cada elemento',
+  'ainda não sincronizou': 'aún no se sincronizó',
+  'atingida': 'alcanzada',
+  'cintura {value}': 'cintura {value}',
+  'com e sem jejum': 'en ayunas y sin ayuno',
+  'conferidas periodicamente em segundo plano e ao abrir o app': 'revisadas periódicamente en segundo plano y al abrir la app',
+  'conflito': 'conflicto',
+  'conforme': 'conforme',
+  'descartado': 'desechado',
+  'descartar': 'desechar',
+  'descartar a partir de {date}': 'desechar a partir del {date}',
+  'desfazer': 'deshacer',
+  'dose: {dose}': 'dosis: {dose}',
+  'doses restantes: —': 'dosis restantes: —',
+  'duplicado': 'duplicado',
+  'e não prescreve dose ou tratamento médico.': 'y no prescribe dosis ni tratamiento médico.',
+  'editado em {date}': 'editado el {date}',
+  'erro: {error}': 'error: {error}',
+  'falta 1 semana': 'falta 1 semana',
+  'faltam {amount}': 'faltan {amount}',
+  'faltam {n} semanas': 'faltan {n} semanas',
+  'feita': 'hecha',
+  'fora do plano': 'fuera del plan',
+  'fornecida': 'proporcionada',
+  'fornecida pelo usuário': 'proporcionada por el usuario',
+  'importação de planilha': 'importación de hoja de cálculo',
+  'inativo': 'inactivo',
+  'inválido': 'no válido',
+  'jejum': 'en ayunas',
+  'lacrado': 'sellado',
+  'manhã': 'mañana',
+  'manutenção': 'mantenimiento',
+  'medicamento': 'medicamento',
+  'mostradas ao abrir o app (este navegador não agenda notificações)': 'mostradas al abrir la app (este navegador no programa notificaciones)',
+  'neste aparelho': 'en este dispositivo',
+  'noite': 'noche',
+  'novo': 'nuevo',
+  'não informada': 'no proporcionada',
+  'não registrada na semana': 'no registrada en la semana',
+  'o outro aparelho': 'el otro dispositivo',
+  'o perfil "{profile}" do outro aparelho': 'el perfil "{profile}" del otro dispositivo',
+  'offline-first • semana a semana': 'offline-first • semana a semana',
+  'períodos do dia: {periods}': 'momentos del día: {periods}',
+  'ponto e vírgula': 'punto y coma',
+  'próxima: {dose} em {date}': 'próxima: {dose} el {date}',
+  'quadril {value}': 'cadera {value}',
+  'recebido de outro aparelho': 'recibido de otro dispositivo',
+  'refeições leves e hidratação': 'comidas ligeras e hidratación',
+  'registre até o fim do dia para evitar ficar “atrasado”.': 'regístralo antes de que termine el día para no quedar “atrasado”.',
+  'registre uma aplicação para estimar': 'registra una aplicación para estimar',
+  'restaurado da lixeira': 'restaurado de la papelera',
+  'restauração de backup': 'restauración de copia',
+  'rotina de pesagem': 'rutina de pesaje',
+  'sem edições': 'sin ediciones',
+  'sem jejum': 'sin ayuno',
+  'semanal': 'semanal',
+  'só pesagens da manhã': 'solo pesajes de la mañana',
+  'só pesagens da noite': 'solo pesajes de la noche',
+  'só pesagens da tarde': 'solo pesajes de la tarde',
+  'só pesagens em jejum': 'solo pesajes en ayunas',
+  'tabulação': 'tabulación',
+  'tarde': 'tarde',
+  'todas as pesagens': 'todos los pesajes',
+  'trecho colado nas configurações': 'fragmento pegado en la configuración',
+  'validade {date}': 'caduca {date}',
+  'valor': 'valor',
+  'vazio': 'vacío',
+  'vencido': 'vencido',
+  'vírgula': 'coma',
+  '{a} ou {b}': '{a} o {b}',
+  '{done}/{total} feitos': '{done}/{total} hechos',
+  '{field}: deve ser {value}': '{field}: debe ser {value}',
+  '{field}: esperado {expected}, veio {actual}': '{field}: se esperaba {expected}, llegó {actual}',
+  '{field}: formato inválido ({value})': '{field}: formato no válido ({value})',
+  '{field}: maior que {max}': '{field}: mayor que {max}',
+  '{field}: menor que {min}': '{field}: menor que {min}',
+  '{field}: obrigatório': '{field}: obligatorio',
+  '{field}: precisa ser maior que {min}': '{field}: debe ser mayor que {min}',
+  '{field}: valor não permitido ({value})': '{field}: valor no permitido ({value})',
+  '{field}: vazio': '{field}: vacío',
+  '{file} • {n} linha(s) • separador: {delimiter}': '{file} • {n} fila(s) • separador: {delimiter}',
+  '{from}–{to} dias': '{from}–{to} días',
+  '{goal} (sem registros)': '{goal} (sin registros)',
+  '{item}: restam {dose}.': '{item}: quedan {dose}.',
+  '{kind} • lote {lot}': '{kind} • lote {lot}',
+  '{name} (ativo)': '{name} (activo)',
+  '{name} adicionado.': '{name} añadido.',
+  '{name} atualizado.': '{name} actualizado.',
+  '{n} alterado(s)': '{n} modificado(s)',
+  '{n} alteração(ões) na fila': '{n} cambio(s) en la cola',
+  '{n} anos': '{n} años',
+  '{n} anos aprox.': '{n} años aprox.',
+  '{n} apagado(s)': '{n} borrado(s)',
+  '{n} aplic.': '{n} aplic.',
+  '{n} aplic. • {schedule} • regularidade {rate} • última dose {dose}': '{n} aplic. • {schedule} • regularidad {rate} • última dosis {dose}',
+  '{n} atraso(s)': '{n} retraso(s)',
+  '{n} conflito(s)': '{n} conflicto(s)',
+  '{n} dia(s)': '{n} día(s)',
+  '{n} dose(s) no estoque': '{n} dosis en stock',
+  '{n} dose(s) restante(s)': '{n} dosis restante(s)',
+  '{n} duplicado(s)': '{n} duplicado(s)',
+  '{n} editado(s) nos dois aparelhos (vale a edição mais recente)': '{n} editado(s) en los dos dispositivos (vale la edición más reciente)',
+  '{n} edição(ões), a última em {date}': '{n} edición(es), la última el {date}',
+  '{n} ignorado(s) (pertencem a outro perfil)': '{n} ignorado(s) (pertenecen a otro perfil)',
+  '{n} igual(is)': '{n} igual(es)',
+  '{n} inválido(s)': '{n} no válido(s)',
+  '{n} novo(s)': '{n} nuevo(s)',
+  '{n} recebido(s)': '{n} recibido(s)',
+  '{n} registro(s) encontrado(s).': '{n} registro(s) encontrado(s).',
+  '{n} registro(s) importado(s) • {skipped} ignorado(s).': '{n} registro(s) importado(s) • {skipped} ignorado(s).',
+  '{n} registro(s) importado(s).': '{n} registro(s) importado(s).',
+  '{n} registro(s) inválido(s) ignorado(s).': '{n} registro(s) no válido(s) ignorado(s).',
+  '{n} registros restaurados.': '{n} registros restaurados.',
+  '{n} sem': '{n} sem',
+  '{n} só neste aparelho': '{n} solo en este dispositivo',
+  '{n}x por semana': '{n} veces por semana',
+  '{pct}% (de {start})': '{pct}% (desde {start})',
+  '{perWeek} (faixa de 95%: {low} a {high})': '{perWeek} (rango del 95%: {low} a {high})',
+  '{plan} desde {date}': '{plan} desde {date}',
+  '{source} → perfil "{profile}"': '{source} → perfil "{profile}"',
+  '{store} • linha {n}': '{store} • fila {n}',
+  '{subset} ({n} de {total})': '{subset} ({n} de {total})',
+  '{subset} ({n})': '{subset} ({n})',
+  '{unit}/sem': '{unit}/sem',
+  '±{n} dia da agenda': '±{n} día de la agenda',
+  'É preciso manter ao menos um perfil.': 'Hay que mantener al menos un perfil.',
+  'Índice de Massa Corporal (IMC)': 'Índice de Masa Corporal (IMC)',
+  'Última aplicação (geral):': 'Última aplicación (general):',
+  'Última aplicação:': 'Última aplicación:',
+  'Última dose: {dose}': 'Última dosis: {dose}',
+  'Última:': 'Última:',
+  'Últimas medidas:': 'Últimas medidas:',
+  'Último backup:': 'Última copia:',
+  'Último peso': 'Último peso',
+  'Último peso (geral):': 'Último peso (general):',
+  'Último peso:': 'Último peso:',
+  'Último registro: {date} (comparado a {previous})': 'Último registro: {date} (comparado con {previous})',
+  'Último registro: {date} • Preencha mais um registro para comparar.': 'Último registro: {date} • Añade un registro más para comparar.',
+  'Último:': 'Último:',
+  'Últimos 180 dias': 'Últimos 180 días',
+  'Últimos 30 dias': 'Últimos 30 días',
+  'Últimos 90 dias': 'Últimos 90 días',
+  'Últimos registros': 'Últimos registros',
+  'água, proteína e sono': 'agua, proteína y sueño',
+  'última sincronização {date}': 'última sincronización {date}',
+  '… e mais {n} linha(s).': '… y {n} fila(s) más.',
+  '→ grava {n}': '→ graba {n}',
+  '⚖️ Peso & Medidas': '⚖️ Peso y Medidas',
+  '⚙️ Config': '⚙️ Config.',
+  '💉 Aplicações': '💉 Aplicaciones',
+  '📊 Dashboard': '📊 Panel',
+  '📋 Relatório': '📋 Informe',
+  '📤 Compartilhar resumo': '📤 Compartir resumen',
+  '🔎 Busca': '🔎 Búsqueda',
+  '🤖 Insights IA': '🤖 Insights IA'
+};
@@ -0,0 +1,152 @@
+/*
+  DoseCheck - core/medications.js
+  Catálogo de medicamentos do perfil (nome, concentração, unidade, via, cor e agenda própria).
+  Cada aplicação aponta para um item do catálogo (medicationId); medName fica como cópia do nome.
+  Plano de titulação opcional em titration (ver core/titration.js).
+
+  Sem catálogo (dados antigos/testes), vale a agenda única das configurações.
+*/
+
+import { DEFAULTS } from './constants.js';
+import { getLocalDateKey } from './dates.js';
+import { t } from './i18n.js';
+import { normalizeInjectionScheduleSettings, resolveInjectionSchedule } from './schedule.js';
+import { normalizeTitrationPlan } from './titration.js';
+
+export const DEFAULT_MED_NAME = 'Retatrutida';
+
+export const MED_UNITS = ['mg', 'mcg', 'UI', 'mL'];
+
+export const MED_ROUTES = {
+  subcutaneous: 'Subcutânea',
+  intramuscular: 'Intramuscular',
+  oral: 'Oral',
+  other: 'Outra'
+};
+
+export const MED_COLORS = ['#7aa7ff', '#57e39b', '#ffcf5c', '#ff5c77', '#c792ea', '#5ce1e6'];
+
+const SCHEDULE_FIELDS = [
+  'injectionScheduleMode',
+  'injectionDaysOfWeek',
+  'injectionDayOfWeek',
+  'injectionIntervalDays',
+  'injectionIntervalStartDate',
+  'injectionTime'
+];
+
+// Agenda no mesmo formato das configurações (resolveInjectionSchedule aceita os dois).
+export function pickScheduleFields(source) {
+  const out = {};
+  for (const k of SCHEDULE_FIELDS) {
+    if (source?.[k] !== undefined) out[k] = source[k];
+  }
+  return out;
+}
+
+export function normalizeMedication(input, { profileId, makeId, nowISO, todayKey } = {}) {
+  const raw = input || {};
+  const scheduleIn = { ...pickScheduleFields(DEFAULTS), ...pickScheduleFields(raw.schedule) };
+  const color = /^#[0-9a-f]{6}$/i.test(String(raw.color || '')) ? String(raw.color).toLowerCase() : MED_COLORS[0];
+
+  return {
+    id: raw.id || makeId(),
+    profileId: String(raw.profileId || profileId || ''),
+    name: String(raw.name || '').trim() || DEFAULT_MED_NAME,
+    concentration: String(raw.concentration || '').trim(),
+    unit: MED_UNITS.includes(raw.unit) ? raw.unit : 'mg',
+    route: Object.prototype.hasOwnProperty.call(MED_ROUTES, raw.route) ? raw.route : 'subcutaneous',
+    color,
+    active: raw.active !== false,
+    schedule: {
+      ...normalizeInjectionScheduleSettings(scheduleIn, todayKey || ''),
+      injectionTime: String(scheduleIn.injectionTime || DEFAULTS.injectionTime)
+    },
+    titration: normalizeTitrationPlan(raw.titration),
+    createdAtISO: String(raw.createdAtISO || nowISO || '')
+  };
+}
+
+// Ex.: "Retatrutida 10 mg/mL"
+export function medicationLabel(med) {
+  if (!med) return '—';
+  return med.concentration ? `${med.name} ${med.concentration}` : med.name;
+}
+
+export function medicationRouteLabel(med) {
+  return t(MED_ROUTES[med?.route] || MED_ROUTES.other);
+}
+
+function nameKey(name) {
+  return String(name || '').trim().toLocaleLowerCase('pt-BR');
+}
+
+export function findMedicationByName(medications, name) {
+  const k = nameKey(name);
+  if (!k) return null;
+  return (medications || []).find((m) => nameKey(m.name) === k) || null;
+}
+
+// Qual item do catálogo é esta aplicação? (id gravado > nome > único item do catálogo)
+export function resolveInjectionMedicationId(inj, medications) {
+  const meds = medications || [];
+  if (!meds.length) return null;
+  if (inj?.medicationId && meds.some((m) => m.id === inj.medicationId)) return inj.medicationId;
+  const byName = findMedicationByName(meds, inj?.medName);
+  if (byName) return byName.id;
+  return meds.length === 1 ? meds[0].id : null;
+}
+
+// Agendas acompanhadas no checklist/adesão: medicamentos ativos ou, sem catálogo, a agenda das configurações.
+export function trackedSchedules(medications, settings) {
+  const active = (medications || []).filter((m) => m.active !== false);
+  if (!active.length) {
+    return [{ medicationId: null, med: null, schedule: resolveInjectionSchedule(settings) }];
+  }
+  return active.map((med) => ({ medicationId: med.id, med, schedule: resolveInjectionSchedule(med.schedule) }));
+}
+
+// Dias (YYYY-MM-DD local) com aplicação, por medicamento. Chave null = sem vínculo.
+export function injectionKeysByMedication(injections, medications) {
+  const map = new Map();
+  for (const inj of injections || []) {
+    const id = resolveInjectionMedicationId(inj, medications);
+    if (!map.has(id)) map.set(id, new Set());
+    map.get(id).add(getLocalDateKey(new Date(inj.dateTimeISO)));
+  }
+  return map;
+}
+
+// Dias com aplicação que contam para uma agenda acompanhada.
+export function injectionKeysForTracked(tracked, allKeys, keysByMed) {
+  if (!tracked.medicationId) return allKeys;
+  return keysByMed?.get(tracked.medicationId) || new Set();
+}
+
+export function filterInjectionsForMedication(injections, medicationId, medications) {
+  return (injections || []).filter((inj) => resolveInjectionMedicationId(inj, medications) === medicationId);
+}
+
+// Catálogo inicial a partir das aplicações existentes (migração/restauração de backups antigos).
+// O medicamento usado por último herda a agenda das configurações; os demais entram inativos.
+export function buildCatalogFromInjections(injections, settings, { profileId, makeId, nowISO } = {}) {
+  const byName = new Map();
+  for (const inj of injections || []) {
+    const name = String(inj.medName || '').trim() || DEFAULT_MED_NAME;
+    const k = nameKey(name);
+    const entry = byName.get(k) || { name, lastISO: '' };
+    if (String(inj.dateTimeISO || '') > entry.lastISO) entry.lastISO = String(inj.dateTimeISO || '');
+    byName.set(k, entry);
+  }
+  if (!byName.size) byName.set(nameKey(DEFAULT_MED_NAME), { name: DEFAULT_MED_NAME, lastISO: '' });
+
+  const ordered = [...byName.values()].sort((a, b) => b.lastISO.localeCompare(a.lastISO));
+  const schedule = pickScheduleFields({ ...DEFAULTS, ...(settings || {}) });
+
+  return ordered.map((entry, i) => normalizeMedication({
+    name: entry.name,
+    color: MED_COLORS[i % MED_COLORS.length],
+    active: i === 0,
+    schedule
+  }, { profileId, makeId, nowISO }));
+}
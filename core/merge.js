@@ -0,0 +1,116 @@
+/*
+  DoseCheck - core/merge.js
+  Restauração em modo mesclar: compara o backup com os dados do perfil registro a registro
+  (pelo id) e monta o que gravar conforme a escolha de cada conflito.
+  Sem dependências de DOM nem de IndexedDB.
+
+  Por store:
+  - added: só no backup (entra na mesclagem)
+  - changed: mesmo id com conteúdo diferente (conflito: 'local' mantém, 'backup' substitui)
+  - removed: só no aparelho (a mesclagem mantém; "Substituir tudo" apaga)
+  - unchanged: iguais
+*/
+
+export const MERGE_STORES = {
+  medications: 'Medicamentos',
+  inventory: 'Estoque',
+  injections: 'Aplicações',
+  weights: 'Pesagens',
+  measures: 'Medidas'
+};
+
+// Campos que não contam como edição (o perfil muda quando o backup vem de outro aparelho/perfil).
+const IGNORED_FIELDS = new Set(['profileId']);
+
+// JSON com chaves ordenadas: a ordem dos campos não conta como diferença.
+export function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value)
+      .filter((k) => value[k] !== undefined)
+      .sort()
+      .map((k) => `${JSON.stringify(k)}:${stableStringify(value[k])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+// Campos com valor diferente entre duas versões do mesmo registro.
+export function changedFields(local, backup) {
+  const keys = new Set([...Object.keys(local || {}), ...Object.keys(backup || {})]);
+  return [...keys]
+    .filter((k) => !IGNORED_FIELDS.has(k))
+    .filter((k) => stableStringify(local?.[k]) !== stableStringify(backup?.[k]))
+    .sort();
+}
+
+// Backups antigos não têm os campos que versões novas acrescentam ao gravar (ex.: medicationId,
+// inventoryId): campo ausente de um dos lados não conta como edição.
+function recordChangedFields(local, backup) {
+  return changedFields(local, backup).filter((k) => local[k] !== undefined && backup[k] !== undefined);
+}
+
+function diffRecords(localList, backupList) {
+  const localById = new Map((localList || []).map((r) => [r.id, r]));
+  const backupIds = new Set();
+  const out = { added: [], changed: [], removed: [], unchanged: 0 };
+
+  for (const rec of backupList || []) {
+    if (!rec?.id) {
+      out.added.push(rec);
+      continue;
+    }
+    backupIds.add(rec.id);
+    const local = localById.get(rec.id);
+    if (!local) {
+      out.added.push(rec);
+      continue;
+    }
+    const fields = recordChangedFields(local, rec);
+    if (fields.length) out.changed.push({ id: rec.id, local, backup: rec, fields });
+    else out.unchanged++;
+  }
+  for (const rec of localList || []) {
+    if (!backupIds.has(rec.id)) out.removed.push(rec);
+  }
+  return out;
+}
+
+// Diferenças por store e nas configurações (settings: null se iguais ou sem configurações no backup).
+export function diffBackup(local, backup) {
+  const stores = {};
+  for (const store of Object.keys(MERGE_STORES)) {
+    stores[store] = diffRecords(local[store], Array.isArray(backup[store]) ? backup[store] : []);
+  }
+  const settingsFields = backup.settings ? changedFields(local.settings || {}, { ...(local.settings || {}), ...backup.settings }) : [];
+  return {
+    stores,
+    settings: settingsFields.length ? { local: local.settings, backup: backup.settings, fields: settingsFields } : null
+  };
+}
+
+// Chave de escolha de um conflito (store:id; configurações: 'settings').
+export function conflictKey(store, id) {
+  return `${store}:${id}`;
+}
+
+export function countConflicts(diff) {
+  return Object.values(diff.stores).reduce((sum, d) => sum + d.changed.length, 0) + (diff.settings ? 1 : 0);
+}
+
+// O que gravar: registros novos + conflitos resolvidos com 'backup' (sem escolha = 'local').
+// settings: configurações do backup para gravar, ou null para manter as atuais.
+export function planMerge(diff, choices = {}) {
+  const put = {};
+  let kept = 0;
+  for (const [store, d] of Object.entries(diff.stores)) {
+    put[store] = [...d.added];
+    for (const c of d.changed) {
+      if (choices[conflictKey(store, c.id)] === 'backup') put[store].push(c.backup);
+      else kept++;
+    }
+  }
+  const takeSettings = diff.settings && choices.settings === 'backup';
+  if (diff.settings && !takeSettings) kept++;
+  return { put, settings: takeSettings ? diff.settings.backup : null, kept };
+}
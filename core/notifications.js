@@ -0,0 +1,97 @@
+/*
+  DoseCheck - core/notifications.js
+  Plano de notificações do checklist (pesagem, aplicação, medidas) para o Service Worker.
+  Sem dependências de DOM: o app monta o plano e envia ao sw.js, que agenda/mostra com os
+  filtros abaixo (o que venceu, o que agendar e o que já foi mostrado).
+
+  Cada notificação abre o app no fluxo de destaque (#/dashboard?attention=<tipo>).
+*/
+
+import { buildChecklistForDate } from './checklist.js';
+import { clock } from './clock.js';
+import { addDays, parseDateKeyToLocalDate, startOfDay } from './dates.js';
+import { t } from './i18n.js';
+
+// Prefixo das tags: o sw.js só mexe em notificações com ele.
+export const NOTIFY_TAG_PREFIX = 'dosecheck-';
+
+// Pesagem é feita em jejum (manhã); medidas, um lembrete leve no meio da manhã.
+// A aplicação usa o horário da agenda de cada medicamento.
+export const NOTIFY_TIMES = {
+  weight: '07:30',
+  measures: '09:00'
+};
+
+// Quantos dias à frente o plano cobre (refeito a cada abertura/registro do app).
+export const NOTIFY_PLAN_DAYS = 7;
+
+export function attentionDeepLink(kind) {
+  return `./#/dashboard?attention=${encodeURIComponent(kind)}`;
+}
+
+function notificationText(item) {
+  if (item.kind === 'weight') {
+    return { title: `DoseCheck • ${t('Pesagem')}`, body: t('Hora de registrar a pesagem de hoje (em jejum).') };
+  }
+  if (item.kind === 'injection') {
+    return {
+      title: `DoseCheck • ${t('Aplicação')}`,
+      body: item.medName
+        ? t('Aplicação de {name} prevista para {time}.', { name: item.medName, time: item.time })
+        : t('Aplicação prevista para {time}.', { time: item.time })
+    };
+  }
+  return { title: `DoseCheck • ${t('Medidas')}`, body: t('Medidas sugeridas para hoje (opcional).') };
+}
+
+// Itens pendentes do checklist de hoje até NOTIFY_PLAN_DAYS à frente, um por tag.
+// timestamp (ms): quando mostrar (pendências de hoje com horário já passado ficam para dueNotifications).
+export function buildNotificationPlan(cache, settings, nowDate = clock.now(), days = NOTIFY_PLAN_DAYS) {
+  const base = startOfDay(nowDate);
+  const plan = [];
+
+  for (let i = 0; i <= days; i++) {
+    const items = buildChecklistForDate(addDays(base, i), cache, settings, nowDate);
+    for (const item of items) {
+      if (item.done) continue;
+      if (!['weight', 'injection', 'measures'].includes(item.kind)) continue;
+
+      const time = item.kind === 'injection' ? item.time : NOTIFY_TIMES[item.kind];
+      const { title, body } = notificationText({ ...item, time });
+      plan.push({
+        tag: `${NOTIFY_TAG_PREFIX}${item.kind}-${item.dateKey}${item.medicationId ? `-${item.medicationId}` : ''}`,
+        kind: item.kind,
+        dateKey: item.dateKey,
+        timestamp: parseDateKeyToLocalDate(item.dateKey, time).getTime(),
+        title,
+        body,
+        url: attentionDeepLink(item.kind)
+      });
+    }
+  }
+
+  return plan.sort((a, b) => a.timestamp - b.timestamp);
+}
+
+// Marca de "já mostrada/agendada": a mesma tag com outro horário (agenda mudou) conta como nova.
+export function notificationShownKey(n) {
+  return `${n.tag}@${n.timestamp}`;
+}
+
+// Marcas que continuam valendo com o plano novo (as outras saíram do plano).
+export function keepShownKeys(plan, shownKeys = []) {
+  const keys = new Set((plan || []).map(notificationShownKey));
+  return shownKeys.filter((k) => keys.has(k));
+}
+
+// O que já deveria ter aparecido e ainda não foi mostrado (fallback sem agendamento).
+export function dueNotifications(plan, nowMs, shownKeys = []) {
+  const shown = new Set(shownKeys);
+  return (plan || []).filter((n) => n.timestamp <= nowMs && !shown.has(notificationShownKey(n)));
+}
+
+// Futuras ainda não agendadas (Notification Triggers).
+export function upcomingNotifications(plan, nowMs, shownKeys = []) {
+  const shown = new Set(shownKeys);
+  return (plan || []).filter((n) => n.timestamp > nowMs && !shown.has(notificationShownKey(n)));
+}
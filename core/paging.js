@@ -0,0 +1,103 @@
+/*
+  DoseCheck - core/paging.js
+  Listas longas em páginas ("Carregar mais") e cache em memória das leituras do IndexedDB.
+  Sem dependências de DOM nem de IndexedDB.
+
+  - As páginas são lidas por cursor, do mais recente para o mais antigo, em blocos: cada bloco
+    começa onde o anterior parou, então "Carregar mais" lê só o bloco novo (os anteriores vêm
+    do cache). O cursor espia um registro além do bloco para saber se há mais, sem contar o
+    store inteiro.
+  - O cache guarda as leituras por store e é descartado a cada gravação naquele store.
+*/
+
+// Registros por página nas listas de Aplicações e Peso & Medidas.
+export const LIST_PAGE_SIZE = 50;
+// Itens por página na linha do tempo do dashboard.
+export const TIMELINE_PAGE_SIZE = 20;
+
+// Linhas lidas com um a mais que o limite -> { records, more }.
+export function takePage(rows, limit) {
+  const list = rows || [];
+  return { records: list.slice(0, limit), more: list.length > limit };
+}
+
+/*
+  Página com os `limit` mais recentes, montada com blocos de `step` registros.
+  readChunk(after, count) -> { rows, next }: até `count` linhas depois da posição `after`
+  (null = do início); next é a posição da última linha, ou null quando não há mais nada.
+  -> { records, more }
+*/
+export async function readPageByCursor(limit, step, readChunk) {
+  const records = [];
+  let after = null;
+  let more = true;
+  while (more && records.length < limit) {
+    const chunk = await readChunk(after, step);
+    records.push(...(chunk?.rows || []));
+    after = chunk?.next ?? null;
+    more = after !== null;
+  }
+  return { records: records.slice(0, limit), more: more || records.length > limit };
+}
+
+/*
+  Linha do tempo: junta páginas de stores diferentes, já em ordem decrescente.
+  pages: [{ kind, field, records, more }] -> { items: [{ kind, record }], more }
+  Os `limit` mais recentes da união estão sempre entre os `limit` mais recentes de cada página.
+*/
+export function mergePagesNewestFirst(pages, limit) {
+  const all = (pages || []).flatMap(({ kind, field, records }) => (records || []).map((record) => ({ kind, record, at: String(record?.[field] || '') })));
+  all.sort((a, b) => b.at.localeCompare(a.at));
+  return {
+    items: all.slice(0, limit).map(({ kind, record }) => ({ kind, record })),
+    more: all.length > limit || (pages || []).some((p) => p.more)
+  };
+}
+
+/*
+  Cache por store: read(store, key, loader) guarda a promessa da leitura (consultas iguais
+  ao mesmo tempo viram uma só); invalidate(store) descarta tudo daquele store.
+  Uma leitura que termina depois de uma invalidação não fica no cache.
+*/
+export function createRecordCache() {
+  const byStore = new Map();
+  const generations = new Map();
+
+  const entriesOf = (store) => {
+    if (!byStore.has(store)) byStore.set(store, new Map());
+    return byStore.get(store);
+  };
+  const drop = (store, key, promise) => {
+    const entries = byStore.get(store);
+    if (entries?.get(key) === promise) entries.delete(key);
+  };
+
+  return {
+    read(store, key, loader) {
+      const entries = entriesOf(store);
+      if (entries.has(key)) return entries.get(key);
+
+      const generation = generations.get(store) || 0;
+      const promise = Promise.resolve().then(loader);
+      entries.set(key, promise);
+      promise.then(
+        () => {
+          if ((generations.get(store) || 0) !== generation) drop(store, key, promise);
+        },
+        () => drop(store, key, promise)
+      );
+      return promise;
+    },
+    invalidate(store) {
+      generations.set(store, (generations.get(store) || 0) + 1);
+      byStore.delete(store);
+    },
+    clear() {
+      for (const store of byStore.keys()) generations.set(store, (generations.get(store) || 0) + 1);
+      byStore.clear();
+    },
+    size(store) {
+      return byStore.get(store)?.size || 0;
+    }
+  };
+}
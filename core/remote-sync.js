@@ -0,0 +1,115 @@
+/*
+  DoseCheck - core/remote-sync.js
+  Sincronização opcional com um servidor. Sem dependências de DOM nem de IndexedDB:
+  o app entrega funções para ler/gravar os dados e a fila (outbox).
+
+  Mesmas entradas e regras de core/sync.js (vetores de revisão, lápides, edição mais
+  recente vence). O servidor é só mais uma réplica: guarda a versão vencedora de cada
+  registro e numera as mudanças (cursor) para cada aparelho puxar só o que é novo.
+
+  Protocolo (JSON), por espaço de sincronização (código compartilhado entre os aparelhos):
+  - POST <base>/<espaço>/push   { version, deviceId, entries }  -> { cursor, applied }
+  - GET  <base>/<espaço>/pull?since=<cursor>&limit=<n>         -> { entries, cursor, more }
+
+  Adaptador: { push(entries, deviceId), pull(since) } — o HTTP abaixo ou outro transporte.
+*/
+
+import { t } from './i18n.js';
+import { SYNC_VERSION, compareRevisions, planSync, syncMetaKey } from './sync.js';
+
+export const REMOTE_SYNC_DEFAULT_URL = '/api/sync';
+export const REMOTE_SYNC_PULL_LIMIT = 500;
+export const REMOTE_SYNC_SPACE_PATTERN = /^[A-Za-z0-9_-]{8,64}$/;
+
+// Nova tentativa após falha: 15 s, 30 s, 1 min… até 30 min.
+const RETRY_BASE_MS = 15_000;
+const RETRY_MAX_MS = 30 * 60_000;
+
+export function nextRetryDelayMs(attempts) {
+  const n = Math.max(1, Math.floor(Number(attempts) || 1));
+  return Math.min(RETRY_MAX_MS, RETRY_BASE_MS * 2 ** (n - 1));
+}
+
+export function isValidSyncSpace(space) {
+  return REMOTE_SYNC_SPACE_PATTERN.test(String(space || ''));
+}
+
+// Código novo para parear aparelhos (24 caracteres, ~140 bits).
+export function generateSyncSpace(randomBytes = (n) => globalThis.crypto.getRandomValues(new Uint8Array(n))) {
+  const alphabet = 'abcdefghijkmnpqrstuvwxyz23456789';
+  return Array.from(randomBytes(24), (b) => alphabet[b % alphabet.length])
+    .join('')
+    .replace(/(.{6})(?!$)/g, '$1-');
+}
+
+export function createHttpSyncAdapter({ baseUrl = REMOTE_SYNC_DEFAULT_URL, space, fetchImpl = (...args) => globalThis.fetch(...args) }) {
+  if (!isValidSyncSpace(space)) throw new Error('Código de sincronização inválido.');
+  const root = `${String(baseUrl || REMOTE_SYNC_DEFAULT_URL).replace(/\/+$/, '')}/${encodeURIComponent(space)}`;
+
+  async function request(url, init) {
+    const res = await fetchImpl(url, init);
+    if (!res.ok) throw new Error(t('Servidor de sincronização respondeu {status}.', { status: res.status }));
+    return res.json();
+  }
+
+  return {
+    push(entries, deviceId) {
+      return request(`${root}/push`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ version: SYNC_VERSION, deviceId, entries })
+      });
+    },
+    pull(since) {
+      return request(`${root}/pull?since=${encodeURIComponent(since)}&limit=${REMOTE_SYNC_PULL_LIMIT}`, {
+        headers: { Accept: 'application/json' }
+      });
+    }
+  };
+}
+
+// Itens da fila (outbox) que um push confirmou, com a revisão enviada.
+// Registro que sumiu (ex.: "Apagar tudo") sai da fila com a revisão da própria fila.
+export function confirmedOutbox(outbox, pushedEntries) {
+  const pushed = new Map(pushedEntries.map((e) => [syncMetaKey(e.store, e.id), e.rev]));
+  return outbox.map((item) => ({ key: item.key, rev: pushed.get(syncMetaKey(item.store, item.recordId)) || item.rev }));
+}
+
+// Item da fila pode sair se a revisão enviada já inclui a da fila (nada mudou depois do envio).
+export function isOutboxItemSent(item, sentRev) {
+  return ['equal', 'older'].includes(compareRevisions(item.rev, sentRev));
+}
+
+/*
+  Um ciclo: envia a fila e depois puxa as mudanças desde o cursor.
+  io:
+  - readLocalEntries(): entradas locais (core/sync.js buildSyncEntries)
+  - readOutbox(): [{ key, store, recordId, rev }]
+  - removeOutbox(confirmed): [{ key, rev }] — o app remove se isOutboxItemSent(itemAtual, rev)
+  - applyPlan(plan): grava o plano de planSync (itens from 'local' voltam para a fila)
+  Retorna { cursor, pushed, stats }. Erros de rede propagam (o app agenda nova tentativa).
+*/
+export async function runSyncCycle(adapter, { cursor = 0, deviceId = '' } = {}, io) {
+  let pushed = 0;
+  const outbox = await io.readOutbox();
+  if (outbox.length) {
+    const keys = new Set(outbox.map((item) => syncMetaKey(item.store, item.recordId)));
+    const entries = (await io.readLocalEntries()).filter((e) => keys.has(syncMetaKey(e.store, e.id)));
+    if (entries.length) await adapter.push(entries, deviceId);
+    await io.removeOutbox(confirmedOutbox(outbox, entries));
+    pushed = entries.length;
+  }
+
+  const stats = { received: 0, deleted: 0, conflicts: 0, unchanged: 0, outdated: 0 };
+  let next = Number(cursor) || 0;
+  for (;;) {
+    const page = await adapter.pull(next);
+    if (!page || !Array.isArray(page.entries)) throw new Error('Resposta inválida do servidor de sincronização.');
+    const plan = planSync(await io.readLocalEntries(), page.entries);
+    await io.applyPlan(plan);
+    for (const k of Object.keys(stats)) stats[k] += plan.stats[k];
+    next = Number(page.cursor) || next;
+    if (!page.more) break;
+  }
+  return { cursor: next, pushed, stats };
+}
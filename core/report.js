@@ -0,0 +1,578 @@
+/*
+  DoseCheck - core/report.js
+  Relatório médico (HTML para preview/impressão) a partir dos registros.
+  Sem dependências de DOM: devolve strings HTML.
+
+  Funções que dependem do "agora" recebem nowDate (padrão: clock.now(), ver core/clock.js).
+*/
+
+import { clock } from './clock.js';
+import { conditionMix, describeComparisonCount, formatTimeBuckets, selectComparableWeights } from './conditions.js';
+import { DEFAULTS, SYMPTOMS_LABELS } from './constants.js';
+import { cutoffDaysAgo } from './dates.js';
+import {
+  escapeHtml,
+  formatDatePtBr,
+  formatDateShortPtBr,
+  formatDateTimePtBr,
+  formatCmNumber,
+  formatDecimal,
+  formatDeltaCm,
+  formatDeltaKg,
+  formatDose,
+  formatKgPerWeek,
+  formatCm,
+  formatKg,
+  formatMaybeKg,
+  formatSymptomCompact,
+  formatWeightNumber,
+  siteLabel,
+  symptomLabel
+} from './format.js';
+import {
+  computeGoalStatus,
+  describeWaistGoal,
+  describeWeightGoal,
+  describeWeightGoalPace,
+  describeWeightGoalProjection,
+  normalizeGoals
+} from './goals.js';
+import { i18n, t } from './i18n.js';
+import {
+  DEFAULT_MED_NAME,
+  filterInjectionsForMedication,
+  medicationLabel,
+  medicationRouteLabel,
+  resolveInjectionMedicationId
+} from './medications.js';
+import { formatInjectionScheduleLabel, formatRegularityWindow, resolveInjectionSchedule } from './schedule.js';
+import {
+  combineRegularity,
+  computeCommonSymptoms,
+  computeDoseHistory,
+  computeInjectionRegularity,
+  computeMeasuresDelta,
+  computeRegularityByMedication,
+  computeScheduleAdherenceForRange,
+  computeSymptomsAggregated,
+  computeWeightTrend,
+  sortByDateDesc,
+  sortByDateTimeDesc
+} from './stats.js';
+import { units, weightScaleUnit } from './units.js';
+import { TITRATION_STATUS_LABELS, compareDosesWithPlan, formatTitrationPlan } from './titration.js';
+
+// data.settings (opcional) define a agenda usada na regularidade e as pesagens comparadas;
+// data.medications (opcional) mede cada medicamento pela agenda dele.
+export function buildSummaryForDays(days, data, nowDate = clock.now()) {
+  const cutoff = cutoffDaysAgo(days, nowDate);
+  const injections = data.injections.filter((i) => new Date(i.dateTimeISO) >= cutoff).sort(sortByDateTimeDesc);
+  const weights = data.weights.filter((w) => new Date(w.dateTimeISO) >= cutoff).sort(sortByDateTimeDesc);
+  const measures = data.measures.filter((m) => new Date(`${m.dateISO}T00:00:00`) >= cutoff).sort(sortByDateDesc);
+  const settings = data.settings || DEFAULTS;
+  const medications = data.medications || [];
+  const regByMed = computeRegularityByMedication(injections, medications, settings);
+  // Tendência com o subconjunto comparável; tabela, contagem e adesão com todas as pesagens.
+  const wtSelection = selectComparableWeights(weights, settings);
+  return {
+    days,
+    injections,
+    weights,
+    measures,
+    injReg: medications.length
+      ? { ...computeInjectionRegularity(injections, settings), ...combineRegularity(regByMed) }
+      : computeInjectionRegularity(injections, settings),
+    regByMed,
+    wtSelection,
+    wtTrend: computeWeightTrend(wtSelection.weights),
+    msDelta: computeMeasuresDelta(measures),
+    sym: computeCommonSymptoms(injections)
+  };
+}
+
+export function collectPatientNotes(rangeDays, data, maxItems = 10, nowDate = clock.now()) {
+  const cutoff = cutoffDaysAgo(rangeDays, nowDate);
+  const notes = [];
+
+  for (const w of data.weights) {
+    if (!w?.notes) continue;
+    if (new Date(w.dateTimeISO) < cutoff) continue;
+    notes.push({
+      dateTimeISO: w.dateTimeISO,
+      kind: t('Peso'),
+      text: String(w.notes)
+    });
+  }
+  for (const i of data.injections) {
+    if (!i?.notes) continue;
+    if (new Date(i.dateTimeISO) < cutoff) continue;
+    notes.push({
+      dateTimeISO: i.dateTimeISO,
+      kind: t('Aplicação'),
+      text: String(i.notes)
+    });
+  }
+  for (const m of data.measures) {
+    if (!m?.notes) continue;
+    const dt = new Date(`${m.dateISO}T00:00:00`);
+    if (dt < cutoff) continue;
+    notes.push({
+      dateTimeISO: dt.toISOString(),
+      kind: t('Medidas'),
+      text: String(m.notes)
+    });
+  }
+
+  notes.sort(sortByDateTimeDesc);
+  return notes.slice(0, maxItems);
+}
+
+// Um bloco de "Regime" por medicamento ativo ou com aplicações no período.
+// Sem catálogo: bloco único com a agenda das configurações e o nome gravado nas aplicações.
+function buildRegimeEntries(injectionsAsc, medications, settings) {
+  if (!medications.length) {
+    const last = injectionsAsc[injectionsAsc.length - 1] || null;
+    return [{
+      name: String(last?.medName || '').trim() || DEFAULT_MED_NAME,
+      label: String(last?.medName || '').trim() || DEFAULT_MED_NAME,
+      route: '',
+      unit: 'mg',
+      schedule: resolveInjectionSchedule(settings),
+      active: true,
+      titration: null,
+      injectionsAsc
+    }];
+  }
+  const out = [];
+  for (const med of medications) {
+    const list = filterInjectionsForMedication(injectionsAsc, med.id, medications);
+    if (med.active === false && !list.length) continue;
+    out.push({
+      name: med.name,
+      label: medicationLabel(med),
+      route: medicationRouteLabel(med),
+      unit: med.unit,
+      schedule: resolveInjectionSchedule(med.schedule),
+      active: med.active !== false,
+      titration: med.titration || null,
+      injectionsAsc: list
+    });
+  }
+  return out;
+}
+
+// editedRecords (opcional): 'store:id' -> { lastEditISO } (core/history.js editedRecordKeys); marca nas tabelas
+// os registros alterados depois de gravados.
+export function buildClinicalReportInnerHtml({ rangeDays, patientName, patientBirthLabel, patientAgeYears, data, settings = null, editedRecords = null, nowDate = clock.now() }) {
+  const settingsResolved = settings || DEFAULTS;
+  const s = buildSummaryForDays(rangeDays, { ...data, settings: settingsResolved }, nowDate);
+  const generatedAt = nowDate.toLocaleString(i18n.intlLocale(), { dateStyle: 'short', timeStyle: 'short' });
+
+  const lastInj = s.injections[0] || null;
+  const lastW = s.weights[0] || null;
+  const lastM = s.measures[0] || null;
+
+  const medications = data.medications || [];
+
+  const injRate = s.injReg.onTimeRate === null ? '—' : `${Math.round(s.injReg.onTimeRate * 100)}%`;
+  const wtDelta = Number.isFinite(s.wtTrend.deltaKg) ? formatDeltaKg(s.wtTrend.deltaKg) : '—';
+  // Tendência pela reta de todas as pesagens do período, com a faixa de 95% (ver core/trend.js).
+  const perWeek = s.wtTrend.perWeekLowKg === null
+    ? formatKgPerWeek(s.wtTrend.perWeekKg)
+    : t('{perWeek} (faixa de 95%: {low} a {high})', { perWeek: formatKgPerWeek(s.wtTrend.perWeekKg), low: formatKgPerWeek(s.wtTrend.perWeekLowKg), high: formatKgPerWeek(s.wtTrend.perWeekHighKg) });
+  const smoothed = formatMaybeKg(s.wtTrend.smoothedKg);
+  // Qual subconjunto entrou na tendência e o que nele continua misturado.
+  const wtMix = conditionMix(s.wtSelection.weights);
+  const wtSubset = [describeComparisonCount(s.wtSelection)];
+  if (wtMix.fasting) wtSubset.push(t('com e sem jejum'));
+  if (wtMix.time) wtSubset.push(t('períodos do dia: {periods}', { periods: formatTimeBuckets(wtMix.buckets) }));
+
+  const deltaLines = [];
+  for (const [k, v] of Object.entries(s.msDelta.deltas || {})) {
+    deltaLines.push(`${k}: ${formatDeltaCm(v)}`);
+  }
+
+  const symAgg = computeSymptomsAggregated(s.injections);
+  const notes = collectPatientNotes(rangeDays, data, 10, nowDate);
+
+  const weightsAsc = [...s.weights].sort((a, b) => new Date(a.dateTimeISO) - new Date(b.dateTimeISO));
+  const injectionsAsc = [...s.injections].sort((a, b) => new Date(a.dateTimeISO) - new Date(b.dateTimeISO));
+  const regimes = buildRegimeEntries(injectionsAsc, medications, settingsResolved);
+  const medById = new Map(medications.map((m) => [m.id, m]));
+
+  // Todas as aplicações: no modo "a cada N dias" o ciclo parte da última antes do período.
+  const adherence = computeScheduleAdherenceForRange(rangeDays, settingsResolved, { weights: s.weights, injections: data.injections, medications }, nowDate);
+
+  const wStart = s.wtTrend.start?.weightKg ?? null;
+  const wEnd = s.wtTrend.end?.weightKg ?? null;
+  const wStartText = formatMaybeKg(wStart);
+  const wEndText = formatMaybeKg(wEnd);
+
+  // Metas: progresso com todos os registros do perfil (não só o período).
+  const goals = normalizeGoals(settingsResolved);
+  const goalStatus = computeGoalStatus(settingsResolved, data, nowDate);
+  const goalLines = [];
+  if (goals.weightKg !== null) {
+    const w = goalStatus.weight;
+    goalLines.push(`<div><span class="cr-k">${t('Meta de peso:')}</span> <span class="cr-v">${escapeHtml(w ? describeWeightGoal(w) : t('{goal} (sem registros)', { goal: formatKg(goals.weightKg) }))}</span></div>`);
+    if (w && !w.reached) goalLines.push(`<div class="cr-muted">${escapeHtml(describeWeightGoalProjection(w))}</div>`);
+    if (w && describeWeightGoalPace(w)) goalLines.push(`<div class="cr-muted">${escapeHtml(describeWeightGoalPace(w))}</div>`);
+  }
+  if (goals.waistCm !== null) {
+    const c = goalStatus.waist;
+    goalLines.push(`<div><span class="cr-k">${t('Meta de cintura:')}</span> <span class="cr-v">${escapeHtml(c ? describeWaistGoal(c) : t('{goal} (sem registros)', { goal: formatCm(goals.waistCm) }))}</span></div>`);
+  }
+  const goalsBoxHtml = goalLines.length
+    ? `
+          <div class="cr-box">
+            <div class="cr-box-title">${t('Metas')}</div>
+            ${goalLines.join('\n            ')}
+          </div>`
+    : '';
+
+  const reportTitle = regimes.map((r) => r.name).join(' + ');
+  const regimesHtml = regimes.map((r) => {
+    const last = r.injectionsAsc[r.injectionsAsc.length - 1] || null;
+    const doseHistory = computeDoseHistory(r.injectionsAsc);
+    const doseText = last && Number.isFinite(Number(last.doseMg)) ? formatDose(last.doseMg, r.unit) : '—';
+    const doseHistoryText = doseHistory.length
+      ? doseHistory.map((x) => `${escapeHtml(formatDateTimePtBr(x.dateTimeISO))} → ${escapeHtml(formatDose(x.doseMg, r.unit))}`).join('<br/>')
+      : '—';
+    return `
+        <div class="cr-kv">
+          <div><span class="cr-k">${t('Medicação:')}</span> <span class="cr-v">${escapeHtml(r.label)}${r.route ? ` • ${escapeHtml(r.route)}` : ''}</span></div>
+          <div><span class="cr-k">${t('Esquema:')}</span> <span class="cr-v">${escapeHtml(r.active ? formatInjectionScheduleLabel(r.schedule) : t('inativo'))}</span></div>
+          ${r.titration ? `<div><span class="cr-k">${t('Titulação planejada:')}</span> <span class="cr-v">${escapeHtml(t('{plan} desde {date}', { plan: formatTitrationPlan(r.titration, r.unit), date: formatDatePtBr(r.titration.startDate) }))}</span></div>` : ''}
+          <div><span class="cr-k">${t('Dose registrada (última):')}</span> <span class="cr-v">${escapeHtml(doseText)}</span></div>
+        </div>
+        <div class="cr-muted" style="margin-top:6px;">${t('Histórico de dose (mudanças no período):')}<br/>${doseHistoryText}</div>
+    `.trim();
+  }).join('\n');
+
+  // Titulação: cada aplicação do período contra a dose planejada para o dia.
+  const titrationRows = regimes.filter((r) => r.titration).flatMap((r) => compareDosesWithPlan(r.injectionsAsc, r.titration).map((c) => `
+    <tr>
+      <td>${escapeHtml(formatDateTimePtBr(c.dateTimeISO).split(' ')[0])}</td>
+      <td>${escapeHtml(r.name)}</td>
+      <td class="cr-num">${c.stepIndex === null ? '—' : `${c.stepIndex + 1}/${r.titration.steps.length}`}</td>
+      <td class="cr-num">${escapeHtml(c.plannedDose === null ? '—' : formatDose(c.plannedDose, r.unit))}</td>
+      <td class="cr-num">${escapeHtml(formatDose(c.doseMg, r.unit))}</td>
+      <td>${escapeHtml(t(TITRATION_STATUS_LABELS[c.status]))}</td>
+    </tr>
+  `.trim()));
+  const titrationHtml = regimes.some((r) => r.titration)
+    ? `
+      <section class="cr-section">
+        <div class="cr-section-title">${t('Titulação: planejado × registrado')}</div>
+        <table class="cr-table">
+          <thead>
+            <tr>
+              <th>${t('Data')}</th>
+              <th>${t('Medicação')}</th>
+              <th class="cr-num">${t('Degrau')}</th>
+              <th class="cr-num">${t('Planejada')}</th>
+              <th class="cr-num">${t('Registrada')}</th>
+              <th>${t('Situação')}</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${titrationRows.join('') || `<tr><td colspan="6" class="cr-muted">${t('Sem aplicações no período.')}</td></tr>`}
+          </tbody>
+        </table>
+      </section>
+    `.trim()
+    : '';
+
+  // Um medicamento: janela da agenda dele; vários: uma linha por medicamento.
+  const regularityWindow = regimes.length === 1 ? formatRegularityWindow(regimes[0].schedule) : t('agenda de cada medicamento');
+  const regularityByMedHtml = s.regByMed.length > 1
+    ? s.regByMed.map((r) => `<div class="cr-muted">${escapeHtml(r.med ? r.med.name : '—')}: ${r.onTimeRate === null ? '—' : `${Math.round(r.onTimeRate * 100)}%`} (${escapeHtml(r.regularityWindow)})</div>`).join('')
+    : '';
+  const adherenceByMedHtml = (adherence.byMedication || []).length > 1
+    ? adherence.byMedication.map((m) => `<div class="cr-muted">${escapeHtml(m.name)}: ${m.doneInj}/${m.expectedInj}</div>`).join('')
+    : '';
+  const medOf = (inj) => medById.get(resolveInjectionMedicationId(inj, medications)) || null;
+  const medUnit = (inj) => medOf(inj)?.unit || 'mg';
+
+  const measuresAsc = [...s.measures].sort((a, b) => a.dateISO.localeCompare(b.dateISO));
+  const mStart = measuresAsc[0] || null;
+  const mEnd = measuresAsc[measuresAsc.length - 1] || null;
+
+  const measuresDeltaText = deltaLines.length ? escapeHtml(deltaLines.join(' • ')) : '—';
+
+  const editedMark = (store, id) => {
+    const edit = editedRecords?.get(`${store}:${id}`);
+    return edit ? `<div class="cr-edited">${escapeHtml(t('editado em {date}', { date: formatDateShortPtBr(new Date(edit.lastEditISO)) }))}</div>` : '';
+  };
+  const editedNoteHtml = editedRecords
+    ? `<div class="cr-muted">${escapeHtml(t('Registros marcados com "editado" foram alterados depois de gravados (data da última edição). O histórico completo fica no aplicativo.'))}</div>`
+    : '';
+
+  const weightsRows = weightsAsc.map((w) => `
+    <tr>
+      <td>${escapeHtml(formatDateTimePtBr(w.dateTimeISO).split(' ')[0])}${editedMark('weights', w.id)}</td>
+      <td>${escapeHtml(formatDateTimePtBr(w.dateTimeISO).split(' ')[1] || '')}</td>
+      <td class="cr-num">${escapeHtml(formatWeightNumber(Number(w.weightKg)))}</td>
+      <td>${w.fasting ? t('Sim') : t('Não')}</td>
+      <td>${escapeHtml(w.notes || '')}</td>
+    </tr>
+  `.trim()).join('');
+
+  const injectionsRows = injectionsAsc.map((i) => `
+    <tr>
+      <td>${escapeHtml(formatDateTimePtBr(i.dateTimeISO).split(' ')[0])}${editedMark('injections', i.id)}</td>
+      <td>${escapeHtml(formatDateTimePtBr(i.dateTimeISO).split(' ')[1] || '')}</td>
+      <td>${escapeHtml(medOf(i)?.name || i.medName || '—')}</td>
+      <td class="cr-num">${escapeHtml(formatDose(Number(i.doseMg), medUnit(i)))}</td>
+      <td>${escapeHtml(siteLabel(i.site))}</td>
+      <td>${escapeHtml(formatSymptomCompact(i.symptoms))}</td>
+      <td>${escapeHtml(i.notes || '')}</td>
+    </tr>
+  `.trim()).join('');
+
+  const measuresRows = measuresAsc.map((m) => `
+    <tr>
+      <td>${escapeHtml(formatDatePtBr(m.dateISO))}${editedMark('measures', m.id)}</td>
+      <td class="cr-num">${formatCmNumber(m.waistCm)}</td>
+      <td class="cr-num">${formatCmNumber(m.hipCm)}</td>
+      <td class="cr-num">${formatCmNumber(m.armLCm)}</td>
+      <td class="cr-num">${formatCmNumber(m.armRCm)}</td>
+      <td class="cr-num">${formatCmNumber(m.thighCm)}</td>
+      <td class="cr-num">${formatCmNumber(m.calfCm)}</td>
+      <td class="cr-num">${formatCmNumber(m.chestCm)}</td>
+      <td class="cr-num">${formatCmNumber(m.neckCm)}</td>
+      <td>${escapeHtml(m.notes || '')}</td>
+    </tr>
+  `.trim()).join('');
+
+  const symRows = Object.keys(SYMPTOMS_LABELS).map((k) => {
+    const mean = symAgg.means?.[k];
+    const peak = symAgg.peaks?.[k];
+    return `
+      <tr>
+        <td>${escapeHtml(symptomLabel(k))}</td>
+        <td class="cr-num">${Number.isFinite(mean) ? formatDecimal(mean) : '—'}</td>
+        <td class="cr-num">${Number.isFinite(peak) ? String(peak) : '—'}</td>
+      </tr>
+    `.trim();
+  }).join('');
+
+  const notesHtml = notes.length
+    ? `<ul class="cr-notes">${notes.map((n) => `<li><strong>${escapeHtml(n.kind)}:</strong> ${escapeHtml(formatDateTimePtBr(n.dateTimeISO))} — ${escapeHtml(n.text)}</li>`).join('')}</ul>`
+    : '<div class="cr-muted">—</div>';
+
+  return `
+    <div class="clinical-report">
+      <header class="cr-header">
+        <div>
+          <div class="cr-title">${t('Relatório de Monitoramento — {title}', { title: escapeHtml(reportTitle) })}</div>
+          <div class="cr-sub">${t('Gerado em {date} • Período selecionado: {days} dias', { date: escapeHtml(generatedAt), days: rangeDays })}</div>
+        </div>
+        <div class="cr-patient">
+          <div><strong>${t('Paciente:')}</strong> ${escapeHtml(patientName || '—')}</div>
+          <div class="cr-muted">
+            ${patientBirthLabel ? escapeHtml(t('Nasc.: {date}', { date: patientBirthLabel })) : '—'}
+            ${Number.isFinite(patientAgeYears) ? ` • ${escapeHtml(t('Idade: {n} anos', { n: patientAgeYears }))}` : ''}
+          </div>
+        </div>
+      </header>
+
+      <section class="cr-section">
+        <div class="cr-section-title">${t('Regime (informativo)')}</div>
+        ${regimesHtml}
+      </section>
+
+      ${titrationHtml}
+
+      <section class="cr-section">
+        <div class="cr-section-title">${t('Resumo executivo')}</div>
+        <div class="cr-grid">
+          <div class="cr-box">
+            <div class="cr-box-title">${t('Peso e IMC')}</div>
+            <div><span class="cr-k">${t('Início → fim:')}</span> <span class="cr-v">${escapeHtml(wStartText)} → ${escapeHtml(wEndText)}</span></div>
+            <div><span class="cr-k">${t('Variação:')}</span> <span class="cr-v">${escapeHtml(wtDelta)}</span></div>
+            <div><span class="cr-k">${t('Tendência semanal (reta):')}</span> <span class="cr-v">${escapeHtml(perWeek)}</span></div>
+            <div><span class="cr-k">${t('Peso suavizado (média exponencial):')}</span> <span class="cr-v">${escapeHtml(smoothed)}</span></div>
+            <div><span class="cr-k">${t('Pesagens usadas:')}</span> <span class="cr-v">${escapeHtml(wtSubset.join(' • '))}</span></div>
+            ${(() => {
+              const imcHeight = settingsResolved?.imcHeight;
+              if (wEnd !== null && imcHeight && imcHeight > 0) {
+                const heightM = imcHeight / 100;
+                const imc = wEnd / (heightM * heightM);
+                let classification = '';
+                if (imc < 18.5) classification = t('Abaixo do peso');
+                else if (imc < 25) classification = t('Peso normal');
+                else if (imc < 30) classification = t('Sobrepeso');
+                else classification = t('Obesidade');
+                return `<div><span class="cr-k">${t('IMC atual:')}</span> <span class="cr-v">${formatDecimal(imc)} (${escapeHtml(classification)})</span></div>`;
+              }
+              return '';
+            })()}
+          </div>
+          <div class="cr-box">
+            <div class="cr-box-title">${t('Consistência (agenda)')}</div>
+            <div><span class="cr-k">${t('Consistência:')}</span> <span class="cr-v">${adherence.pct}%</span></div>
+            <div><span class="cr-k">${t('Pesagens:')}</span> <span class="cr-v">${adherence.doneWeights}/${adherence.expectedWeights}</span></div>
+            <div><span class="cr-k">${t('Aplicações:')}</span> <span class="cr-v">${adherence.doneInj}/${adherence.expectedInj}</span></div>
+            ${adherenceByMedHtml}
+          </div>
+          <div class="cr-box">
+            <div class="cr-box-title">${t('Aplicações')}</div>
+            <div><span class="cr-k">${t('Registros:')}</span> <span class="cr-v">${s.injections.length}</span></div>
+            <div><span class="cr-k">${escapeHtml(t('Regularidade ({window}):', { window: regularityWindow }))}</span> <span class="cr-v">${escapeHtml(injRate)}</span></div>
+            ${regularityByMedHtml}
+            <div class="cr-muted">${t('Última:')} ${lastInj ? `${escapeHtml(formatDateTimePtBr(lastInj.dateTimeISO))} • ${escapeHtml(formatDose(lastInj.doseMg, medUnit(lastInj)))} • ${escapeHtml(siteLabel(lastInj.site))}` : '—'}</div>
+          </div>
+          <div class="cr-box">
+            <div class="cr-box-title">${t('Medidas')}</div>
+            <div><span class="cr-k">${t('Registros:')}</span> <span class="cr-v">${s.measures.length}</span></div>
+            <div><span class="cr-k">${t('Delta período:')}</span> <span class="cr-v">${measuresDeltaText}</span></div>
+            <div class="cr-muted">${t('Último:')} ${lastM ? escapeHtml(formatDatePtBr(lastM.dateISO)) : '—'}</div>
+          </div>${goalsBoxHtml}
+        </div>
+      </section>
+
+      <section class="cr-section">
+        <div class="cr-section-title">${t('Tabela de Pesos')}</div>
+        <table class="cr-table">
+          <thead>
+            <tr>
+              <th>${t('Data')}</th>
+              <th>${t('Hora')}</th>
+              <th class="cr-num">${t('Peso ({unit})', { unit: weightScaleUnit(units.weightUnit()) })}</th>
+              <th>${t('Jejum')}</th>
+              <th>${t('Observações')}</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${weightsRows || `<tr><td colspan="5" class="cr-muted">${t('Sem pesos no período.')}</td></tr>`}
+          </tbody>
+        </table>
+      </section>
+
+      <section class="cr-section">
+        <div class="cr-section-title">${t('Tabela de Aplicações')}</div>
+        <table class="cr-table">
+          <thead>
+            <tr>
+              <th>${t('Data')}</th>
+              <th>${t('Hora')}</th>
+              <th>${t('Medicação')}</th>
+              <th class="cr-num">${t('Dose')}</th>
+              <th>${t('Local')}</th>
+              <th>${t('Sintomas (0–10)')}</th>
+              <th>${t('Observações')}</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${injectionsRows || `<tr><td colspan="7" class="cr-muted">${t('Sem aplicações no período.')}</td></tr>`}
+          </tbody>
+        </table>
+      </section>
+
+      <section class="cr-section">
+        <div class="cr-section-title">${t('Medidas')} (${units.lengthUnit()})</div>
+        <div class="cr-muted">${t('Variação do período (início → fim):')} ${measuresDeltaText}</div>
+        <table class="cr-table" style="margin-top:8px;">
+          <thead>
+            <tr>
+              <th>${t('Data')}</th>
+              <th class="cr-num">${t('Cintura')}</th>
+              <th class="cr-num">${t('Quadril')}</th>
+              <th class="cr-num">${t('Braço E')}</th>
+              <th class="cr-num">${t('Braço D')}</th>
+              <th class="cr-num">${t('Coxa')}</th>
+              <th class="cr-num">${t('Panturrilha')}</th>
+              <th class="cr-num">${t('Peito')}</th>
+              <th class="cr-num">${t('Pescoço')}</th>
+              <th>${t('Notas')}</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${measuresRows || `<tr><td colspan="10" class="cr-muted">${t('Sem medidas no período.')}</td></tr>`}
+          </tbody>
+        </table>
+      </section>
+
+      <section class="cr-section">
+        <div class="cr-section-title">${t('Sintomas agregados (0–10)')}</div>
+        <table class="cr-table cr-table--small">
+          <thead>
+            <tr>
+              <th>${t('Sintoma')}</th>
+              <th class="cr-num">${t('Média')}</th>
+              <th class="cr-num">${t('Pico')}</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${symRows}
+          </tbody>
+        </table>
+      </section>
+
+      <section class="cr-section">
+        <div class="cr-section-title">${t('Notas do paciente (últimos registros)')}</div>
+        ${notesHtml}
+      </section>
+
+      <footer class="cr-footer">
+        <div>${t('Dados auto-relatados pelo paciente via aplicativo (offline-first).')}</div>
+        ${editedNoteHtml}
+        <div>${t('Este relatório não substitui avaliação médica.')}</div>
+      </footer>
+    </div>
+  `.trim();
+}
+
+export function wrapClinicalReportHtml(innerHtml) {
+  return `<!doctype html>
+<html lang="${i18n.intlLocale()}">
+<head>
+<meta charset="utf-8" />
+<meta name="viewport" content="width=device-width, initial-scale=1" />
+<title>${t('Relatório DoseCheck')}</title>
+<style>
+  :root { color-scheme: light; }
+  body { font-family: system-ui, -apple-system, Segoe UI, Roboto, Arial; margin: 24px; color: #111; }
+  .note { background: #f5f7fb; border: 1px solid rgba(0,0,0,.10); border-radius: 10px; padding: 10px 12px; margin-bottom: 14px; }
+
+  .clinical-report{ max-width: 960px; margin: 0 auto; }
+  .cr-header{ display:flex; justify-content: space-between; gap: 16px; padding-bottom: 10px; border-bottom: 2px solid rgba(0,0,0,.10); }
+  .cr-title{ font-size: 18px; font-weight: 900; letter-spacing: -0.01em; }
+  .cr-sub{ font-size: 12px; color: #334155; margin-top: 4px; }
+  .cr-patient{ text-align: right; font-size: 12px; color:#0f172a; }
+  .cr-muted{ color: #475569; font-size: 12px; }
+  .cr-edited{ color: #b45309; font-size: 11px; font-weight: 700; }
+  .cr-section{ margin-top: 14px; }
+  .cr-section-title{ font-size: 13px; font-weight: 900; text-transform: uppercase; letter-spacing: .03em; color:#0f172a; margin-bottom: 8px; }
+  .cr-kv{ display:grid; grid-template-columns: 1fr; gap: 4px; font-size: 12px; }
+  .cr-k{ color:#475569; font-weight: 800; }
+  .cr-v{ color:#0f172a; font-weight: 700; }
+  .cr-grid{ display:grid; grid-template-columns: 1fr 1fr; gap: 10px; }
+  .cr-box{ border: 1px solid rgba(0,0,0,.12); border-radius: 10px; padding: 10px; }
+  .cr-box-title{ font-weight: 900; font-size: 13px; margin-bottom: 6px; }
+  .cr-table{ width: 100%; border-collapse: collapse; font-size: 12px; }
+  .cr-table th, .cr-table td{ border: 1px solid rgba(0,0,0,.12); padding: 6px 8px; vertical-align: top; }
+  .cr-table th{ background: #f8fafc; text-align: left; }
+  .cr-table--small td, .cr-table--small th{ padding: 6px 8px; }
+  .cr-num{ text-align: right; white-space: nowrap; }
+  .cr-notes{ margin: 6px 0 0 18px; padding: 0; font-size: 12px; }
+  .cr-notes li{ margin: 4px 0; }
+  .cr-footer{ margin-top: 18px; padding-top: 10px; border-top: 1px solid rgba(0,0,0,.12); font-size: 11px; color:#475569; }
+
+  @media print {
+    @page { size: A4; margin: 14mm; }
+    .note { display:none; }
+    body { margin: 0; }
+    .cr-box, .cr-table, .cr-notes { break-inside: avoid; }
+    tr { break-inside: avoid; }
+  }
+</style>
+</head>
+<body>
+<div class="note">${t('Use o menu do navegador/impressão e escolha')} <strong>${t('Salvar como PDF')}</strong>.</div>
+${innerHtml}
+<script>setTimeout(() => { try { window.focus(); window.print(); } catch {} }, 250);<\/script>
+</body>
+</html>`;
+}
@@ -0,0 +1,163 @@
+/*
+  DoseCheck - core/schedule.js
+  Agenda da aplicação: dias fixos da semana (ex.: sábado; seg/qui) ou a cada N dias.
+  Usada por checklist, streaks, adesão, regularidade, card "Próxima aplicação" e .ics.
+
+  No modo "a cada N dias" o ciclo recomeça na última aplicação registrada antes do dia
+  consultado; sem aplicações, conta a partir de injectionIntervalStartDate.
+*/
+
+import { DEFAULTS } from './constants.js';
+import { addDays, getLocalDateKey, isIsoDateOnly, parseDateKeyToLocalDate } from './dates.js';
+import { clampNumber, formatDowPtBr } from './format.js';
+import { t } from './i18n.js';
+
+export const SCHEDULE_WEEKDAYS = 'weekdays';
+export const SCHEDULE_INTERVAL = 'interval';
+
+export const INTERVAL_DAYS_MIN = 1;
+export const INTERVAL_DAYS_MAX = 60;
+
+// Aplicação conta como "no ritmo" se ficar a até 1 dia do esperado (semanal: 6–8 dias).
+export const REGULARITY_TOLERANCE_DAYS = 1;
+
+function cleanDaysOfWeek(list) {
+  const days = (Array.isArray(list) ? list : [])
+    .map((d) => Number(d))
+    .filter((d) => Number.isInteger(d) && d >= 0 && d <= 6);
+  return Array.from(new Set(days)).sort((a, b) => a - b);
+}
+
+// Agenda efetiva a partir das configurações (aceita configurações antigas só com injectionDayOfWeek).
+export function resolveInjectionSchedule(settings) {
+  const s = settings || DEFAULTS;
+
+  let daysOfWeek = cleanDaysOfWeek(s.injectionDaysOfWeek);
+  if (!daysOfWeek.length) daysOfWeek = [clampNumber(s.injectionDayOfWeek ?? DEFAULTS.injectionDayOfWeek, 0, 6)];
+
+  const everyRaw = Math.floor(Number(s.injectionIntervalDays));
+  const everyDays = Number.isFinite(everyRaw)
+    ? clampNumber(everyRaw, INTERVAL_DAYS_MIN, INTERVAL_DAYS_MAX)
+    : DEFAULTS.injectionIntervalDays;
+
+  const startKey = isIsoDateOnly(String(s.injectionIntervalStartDate || '')) ? String(s.injectionIntervalStartDate) : null;
+
+  return {
+    mode: s.injectionScheduleMode === SCHEDULE_INTERVAL ? SCHEDULE_INTERVAL : SCHEDULE_WEEKDAYS,
+    daysOfWeek,
+    everyDays,
+    startKey,
+    time: String(s.injectionTime || DEFAULTS.injectionTime)
+  };
+}
+
+// Campos da agenda já limpos para salvar (saveSettings/restauração).
+export function normalizeInjectionScheduleSettings(settings, todayKey) {
+  const sch = resolveInjectionSchedule(settings);
+  // Intervalo sem data de início: começa hoje (evita agenda "vazia" até a 1ª aplicação).
+  const startKey = sch.mode === SCHEDULE_INTERVAL && !sch.startKey ? todayKey : sch.startKey;
+  return {
+    injectionScheduleMode: sch.mode,
+    injectionDaysOfWeek: sch.daysOfWeek,
+    injectionDayOfWeek: sch.daysOfWeek[0],
+    injectionIntervalDays: sch.everyDays,
+    injectionIntervalStartDate: startKey || ''
+  };
+}
+
+// Dias de calendário entre duas chaves locais (horário de verão não interfere).
+export function dayDiffKeys(fromKey, toKey) {
+  const a = parseDateKeyToLocalDate(fromKey, '12:00');
+  const b = parseDateKeyToLocalDate(toKey, '12:00');
+  return Math.round((b.getTime() - a.getTime()) / (24 * 60 * 60 * 1000));
+}
+
+export function lastInjectionKeyBefore(dateKey, injectionKeys) {
+  let best = null;
+  for (const k of injectionKeys || []) {
+    if (k < dateKey && (!best || k > best)) best = k;
+  }
+  return best;
+}
+
+// Requisito: a agenda pede aplicação neste dia?
+export function isInjectionDueOn(dateKey, schedule, injectionKeys) {
+  if (schedule.mode === SCHEDULE_WEEKDAYS) {
+    return schedule.daysOfWeek.includes(parseDateKeyToLocalDate(dateKey).getDay());
+  }
+
+  const lastKey = lastInjectionKeyBefore(dateKey, injectionKeys);
+  if (lastKey) {
+    const diff = dayDiffKeys(lastKey, dateKey);
+    return diff > 0 && diff % schedule.everyDays === 0;
+  }
+  if (!schedule.startKey) return false;
+  const diff = dayDiffKeys(schedule.startKey, dateKey);
+  return diff >= 0 && diff % schedule.everyDays === 0;
+}
+
+// Quantos dias até a próxima aplicação esperada, contando de uma aplicação feita em dateKey.
+export function expectedGapDaysAfter(dateKey, schedule) {
+  if (schedule.mode === SCHEDULE_INTERVAL) return schedule.everyDays;
+  const dow = parseDateKeyToLocalDate(dateKey).getDay();
+  for (let k = 1; k <= 7; k++) {
+    if (schedule.daysOfWeek.includes((dow + k) % 7)) return k;
+  }
+  return 7;
+}
+
+// Próxima aplicação a partir da última registrada (mantém o horário em que foi feita).
+export function computeNextInjectionAfter(lastInjectionISO, schedule) {
+  const lastDt = new Date(lastInjectionISO);
+  if (Number.isNaN(lastDt.getTime())) return null;
+  return addDays(lastDt, expectedGapDaysAfter(getLocalDateKey(lastDt), schedule));
+}
+
+// Próximo horário da agenda a partir de fromDate (sem considerar registros).
+export function computeNextScheduledFromSchedule(schedule, fromDate) {
+  const [hh, mm] = schedule.time.split(':').map((x) => Number(x));
+  const base = new Date(fromDate.getTime());
+  const at = (d) => new Date(d.getFullYear(), d.getMonth(), d.getDate(), hh || 0, mm || 0, 0, 0);
+
+  if (schedule.mode === SCHEDULE_INTERVAL) {
+    if (!schedule.startKey) return null;
+    let candidate = at(parseDateKeyToLocalDate(schedule.startKey));
+    while (candidate <= base) candidate = addDays(candidate, schedule.everyDays);
+    return candidate;
+  }
+
+  for (let k = 0; k <= 7; k++) {
+    const candidate = at(addDays(base, k));
+    if (schedule.daysOfWeek.includes(candidate.getDay()) && candidate > base) return candidate;
+  }
+  return null;
+}
+
+// -----------------------------
+// Rótulos
+// -----------------------------
+
+// Ex.: "Sáb", "Seg/Qui", "a cada 10 dias"
+export function formatInjectionScheduleShort(schedule) {
+  if (schedule.mode === SCHEDULE_INTERVAL) return t('a cada {n} dias', { n: schedule.everyDays });
+  return schedule.daysOfWeek.map((d) => formatDowPtBr(d)).join('/');
+}
+
+// Ex.: "semanal (Sáb 09:51)", "2x por semana (Seg/Qui 09:51)", "a cada 10 dias (09:51)"
+export function formatInjectionScheduleLabel(schedule) {
+  const short = formatInjectionScheduleShort(schedule);
+  if (schedule.mode === SCHEDULE_INTERVAL) return `${short} (${schedule.time})`;
+  const n = schedule.daysOfWeek.length;
+  const freq = n === 1 ? t('semanal') : t('{n}x por semana', { n });
+  return `${freq} (${short} ${schedule.time})`;
+}
+
+// Ex.: "6–8 dias" (semanal), "9–11 dias" (a cada 10), "±1 dia da agenda" (vários dias na semana)
+export function formatRegularityWindow(schedule) {
+  const tol = REGULARITY_TOLERANCE_DAYS;
+  let expected = null;
+  if (schedule.mode === SCHEDULE_INTERVAL) expected = schedule.everyDays;
+  else if (schedule.daysOfWeek.length === 1) expected = 7;
+  if (expected === null) return t('±{n} dia da agenda', { n: tol });
+  return t('{from}–{to} dias', { from: Math.max(0, expected - tol), to: expected + tol });
+}
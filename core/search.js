@@ -0,0 +1,173 @@
+/*
+  DoseCheck - core/search.js
+  Busca geral: texto (observações e nome do medicamento) e filtros por período, medicamento,
+  dose, local, jejum e sintomas mínimos, com resultados agrupados por tipo de registro.
+  Sem dependências de DOM nem de IndexedDB: o app lê o período pelo índice
+  ['profileId', data] (searchKeyRange) e aplica o resto aqui.
+
+  Consulta normalizada:
+  { text, fromDate, toDate, types, medicationId, doseMin, doseMax, site, fasting, symptomMin }
+  - fromDate/toDate: 'YYYY-MM-DD' (dias locais, inclusive) ou ''
+  - fasting: '' | 'yes' | 'no'
+  - symptomMin: { nausea: 6, ... } (só os sintomas com mínimo > 0)
+*/
+
+import { SITE_LABELS, SYMPTOMS_LABELS } from './constants.js';
+import { isIsoDateOnly, parseDateKeyToLocalDate } from './dates.js';
+import { clampNumber, parseNumberLocale } from './format.js';
+import { t } from './i18n.js';
+import { resolveInjectionMedicationId } from './medications.js';
+
+export const SEARCH_STORES = ['injections', 'weights', 'measures'];
+
+export const SEARCH_STORE_LABELS = {
+  injections: 'Aplicações',
+  weights: 'Pesagens',
+  measures: 'Medidas'
+};
+
+// Campo de data de cada store (o mesmo do índice 'profileDate').
+export const SEARCH_DATE_FIELDS = {
+  injections: 'dateTimeISO',
+  weights: 'dateTimeISO',
+  measures: 'dateISO'
+};
+
+// Resultados mostrados por grupo (o total continua sendo informado).
+export const SEARCH_RESULT_LIMIT = 100;
+
+// Maior valor possível de data no índice (limite aberto do período).
+const KEY_MAX = '\uffff';
+
+// Minúsculas e sem acentos: "náusea" encontra "nausea".
+export function normalizeSearchText(value) {
+  return String(value ?? '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .trim();
+}
+
+function numberOrNull(value) {
+  if (value === '' || value === null || value === undefined) return null;
+  const n = parseNumberLocale(value);
+  return Number.isFinite(n) ? n : null;
+}
+
+export function normalizeSearchQuery(input = {}) {
+  let fromDate = isIsoDateOnly(input.fromDate) ? input.fromDate : '';
+  let toDate = isIsoDateOnly(input.toDate) ? input.toDate : '';
+  if (fromDate && toDate && fromDate > toDate) [fromDate, toDate] = [toDate, fromDate];
+
+  let doseMin = numberOrNull(input.doseMin);
+  let doseMax = numberOrNull(input.doseMax);
+  if (doseMin !== null && doseMax !== null && doseMin > doseMax) [doseMin, doseMax] = [doseMax, doseMin];
+
+  const symptomMin = {};
+  for (const key of Object.keys(SYMPTOMS_LABELS)) {
+    const n = numberOrNull(input.symptomMin?.[key]);
+    if (n !== null && n > 0) symptomMin[key] = clampNumber(n, 0, 10);
+  }
+
+  const types = Array.isArray(input.types) ? SEARCH_STORES.filter((s) => input.types.includes(s)) : [...SEARCH_STORES];
+
+  return {
+    text: String(input.text ?? '').trim(),
+    fromDate,
+    toDate,
+    types,
+    medicationId: String(input.medicationId || ''),
+    doseMin,
+    doseMax,
+    site: SITE_LABELS[input.site] ? input.site : '',
+    fasting: input.fasting === 'yes' || input.fasting === 'no' ? input.fasting : '',
+    symptomMin
+  };
+}
+
+function hasInjectionFilters(q) {
+  return Boolean(q.medicationId || q.site || q.doseMin !== null || q.doseMax !== null || Object.keys(q.symptomMin).length);
+}
+
+// Algum critério além dos tipos marcados?
+export function hasSearchCriteria(q) {
+  return Boolean(q.text || q.fromDate || q.toDate || q.fasting || hasInjectionFilters(q));
+}
+
+// Tipos que ainda podem ter resultado: filtros de aplicação (medicamento, dose, local, sintomas)
+// deixam só aplicações; jejum deixa só pesagens.
+export function searchTypesFor(q) {
+  return q.types.filter((store) => {
+    if (hasInjectionFilters(q) && store !== 'injections') return false;
+    if (q.fasting && store !== 'weights') return false;
+    return true;
+  });
+}
+
+// Limites do período no índice ['profileId', data]: { lower, upper, upperOpen }.
+// Aplicações e pesagens guardam o instante (ISO UTC); medidas, o dia.
+export function searchKeyRange(store, q) {
+  if (store === 'measures') {
+    return { lower: q.fromDate || '', upper: q.toDate || KEY_MAX, upperOpen: false };
+  }
+  const lower = q.fromDate ? parseDateKeyToLocalDate(q.fromDate).toISOString() : '';
+  if (!q.toDate) return { lower, upper: KEY_MAX, upperOpen: false };
+  const next = parseDateKeyToLocalDate(q.toDate);
+  next.setDate(next.getDate() + 1);
+  return { lower, upper: next.toISOString(), upperOpen: true };
+}
+
+function inRange(value, { lower, upper, upperOpen }) {
+  const v = String(value || '');
+  return v >= lower && (upperOpen ? v < upper : v <= upper);
+}
+
+function searchHaystack(store, record, medName) {
+  const parts = [record.notes];
+  if (store === 'injections') parts.push(record.medName, medName);
+  return normalizeSearchText(parts.filter(Boolean).join(' '));
+}
+
+// Todos os termos do texto precisam aparecer (em qualquer ordem).
+function matchesText(haystack, text) {
+  const terms = normalizeSearchText(text).split(/\s+/).filter(Boolean);
+  return terms.every((t) => haystack.includes(t));
+}
+
+export function matchesSearch(store, record, q, { medications = [] } = {}) {
+  if (!record || !searchTypesFor(q).includes(store)) return false;
+  if ((q.fromDate || q.toDate) && !inRange(record[SEARCH_DATE_FIELDS[store]], searchKeyRange(store, q))) return false;
+
+  let medName = '';
+  if (store === 'injections') {
+    const medicationId = resolveInjectionMedicationId(record, medications);
+    if (q.medicationId && medicationId !== q.medicationId) return false;
+    const dose = Number(record.doseMg);
+    if (q.doseMin !== null && !(dose >= q.doseMin)) return false;
+    if (q.doseMax !== null && !(dose <= q.doseMax)) return false;
+    if (q.site && record.site !== q.site) return false;
+    for (const [key, min] of Object.entries(q.symptomMin)) {
+      if (!(Number(record.symptoms?.[key]) >= min)) return false;
+    }
+    medName = medications.find((m) => m.id === medicationId)?.name || '';
+  }
+  if (store === 'weights' && q.fasting && Boolean(record.fasting) !== (q.fasting === 'yes')) return false;
+
+  return !q.text || matchesText(searchHaystack(store, record, medName), q.text);
+}
+
+/*
+  records: { injections, weights, measures } (já limitados ao período, se houver)
+  -> { groups: [{ store, label, total, records }], total }
+  Mais recentes primeiro; cada grupo mostra até `limit` registros.
+*/
+export function searchRecords(records, q, { medications = [], limit = SEARCH_RESULT_LIMIT } = {}) {
+  const groups = searchTypesFor(q).map((store) => {
+    const field = SEARCH_DATE_FIELDS[store];
+    const found = (records?.[store] || [])
+      .filter((r) => matchesSearch(store, r, q, { medications }))
+      .sort((a, b) => String(b[field] || '').localeCompare(String(a[field] || '')));
+    return { store, label: t(SEARCH_STORE_LABELS[store]), total: found.length, records: found.slice(0, limit) };
+  });
+  return { groups, total: groups.reduce((sum, g) => sum + g.total, 0) };
+}
@@ -0,0 +1,17 @@
+/*
+  DoseCheck - core/share.js
+  Links de compartilhamento (sem dependências de DOM).
+*/
+
+// userAgent é parâmetro para poder testar celular/desktop fora do navegador.
+export function whatsappShareUrl(text, userAgent = globalThis.navigator?.userAgent || '') {
+  const msg = String(text || '');
+  // Tenta abrir diretamente no app do WhatsApp (celular) ou web (desktop)
+  if (/Android|iPhone|iPad|iPod/.test(userAgent)) {
+    // Mobile: usa o scheme nativo do WhatsApp
+    return `whatsapp://send?text=${encodeURIComponent(msg)}`;
+  } else {
+    // Desktop: usa a web do WhatsApp
+    return `https://web.whatsapp.com/send?text=${encodeURIComponent(msg)}`;
+  }
+}
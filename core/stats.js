@@ -0,0 +1,457 @@
+/*
+  DoseCheck - core/stats.js
+  Cálculos sobre os registros (peso, aplicações, medidas, sintomas e agenda).
+  Sem dependências de DOM.
+
+  Funções que dependem do "agora" recebem nowDate (padrão: clock.now(), ver core/clock.js).
+*/
+
+import { clock } from './clock.js';
+import { DEFAULTS, SYMPTOMS_LABELS } from './constants.js';
+import { addDays, daysBetween, getLocalDateKey, startOfDay, startOfWeekMonday } from './dates.js';
+import { clampNumber, symptomLabel } from './format.js';
+import { t } from './i18n.js';
+import {
+  filterInjectionsForMedication,
+  injectionKeysByMedication,
+  injectionKeysForTracked,
+  trackedSchedules
+} from './medications.js';
+import {
+  REGULARITY_TOLERANCE_DAYS,
+  expectedGapDaysAfter,
+  formatInjectionScheduleLabel,
+  formatRegularityWindow,
+  isInjectionDueOn,
+  resolveInjectionSchedule
+} from './schedule.js';
+import { analyzeWeightTrend } from './trend.js';
+
+export function mean(nums) {
+  if (!nums.length) return null;
+  return nums.reduce((a, b) => a + b, 0) / nums.length;
+}
+
+export function safeRatio(numerator, denominator) {
+  if (!denominator) return 0;
+  return numerator / denominator;
+}
+
+export function sortByDateTimeDesc(a, b) {
+  return new Date(b.dateTimeISO).getTime() - new Date(a.dateTimeISO).getTime();
+}
+
+export function sortByDateDesc(a, b) {
+  // dateISO: YYYY-MM-DD
+  return b.dateISO.localeCompare(a.dateISO);
+}
+
+export function pickWeightClosestAtOrBefore(weightsDesc, targetDate) {
+  // weightsDesc já em ordem desc
+  const target = targetDate.getTime();
+  for (const w of weightsDesc) {
+    const t = new Date(w.dateTimeISO).getTime();
+    if (t <= target) return w;
+  }
+  return null;
+}
+
+export function computeWeightDeltas(weightsDesc) {
+  if (weightsDesc.length === 0) {
+    return { last: null, d7: null, d14: null, d30: null, lastDate: null };
+  }
+
+  const last = weightsDesc[0];
+  const lastDate = new Date(last.dateTimeISO);
+
+  const t7 = addDays(lastDate, -7);
+  const t14 = addDays(lastDate, -14);
+  const t30 = addDays(lastDate, -30);
+
+  const w7 = pickWeightClosestAtOrBefore(weightsDesc, t7);
+  const w14 = pickWeightClosestAtOrBefore(weightsDesc, t14);
+  const w30 = pickWeightClosestAtOrBefore(weightsDesc, t30);
+
+  const d = (w) => (w ? last.weightKg - w.weightKg : null);
+
+  return {
+    last,
+    lastDate,
+    d7: d(w7),
+    d14: d(w14),
+    d30: d(w30)
+  };
+}
+
+export function computeInjectionRegularity(injectionsDesc, settings = DEFAULTS) {
+  if (injectionsDesc.length < 2) {
+    return { count: injectionsDesc.length, meanDays: null, onTimeRate: null, notes: t('Poucos dados para avaliar regularidade.') };
+  }
+
+  const times = injectionsDesc
+    .map((i) => new Date(i.dateTimeISO))
+    .sort((a, b) => a.getTime() - b.getTime());
+
+  const schedule = resolveInjectionSchedule(settings);
+  const intervals = [];
+  let onTime = 0;
+  for (let i = 1; i < times.length; i++) {
+    const days = daysBetween(times[i], times[i - 1]);
+    intervals.push(days);
+    // "No ritmo": até 1 dia do intervalo esperado pela agenda (semanal: 6–8 dias).
+    const expected = expectedGapDaysAfter(getLocalDateKey(times[i - 1]), schedule);
+    if (Math.abs(days - expected) <= REGULARITY_TOLERANCE_DAYS) onTime += 1;
+  }
+
+  const mean = intervals.reduce((a, b) => a + b, 0) / intervals.length;
+  const onTimeRate = safeRatio(onTime, intervals.length);
+
+  let notes = t('Regularidade dentro do esperado para a agenda.');
+  if (onTimeRate < 0.5) notes = t('Variação considerável entre aplicações; vale checar rotina/agenda.');
+
+  return { count: injectionsDesc.length, meanDays: mean, onTimeRate, notes };
+}
+
+// deltaKg: primeira × última pesagem. perWeekKg: reta de todas as pesagens (ver core/trend.js),
+// com faixa de 95% (perWeekLowKg/perWeekHighKg) a partir de 3 pesagens; smoothedKg: média exponencial.
+export function computeWeightTrend(weightsDesc) {
+  const none = { start: null, end: null, deltaKg: null, perWeekKg: null, perWeekLowKg: null, perWeekHighKg: null, smoothedKg: null, clear: false };
+  if (weightsDesc.length < 2) return { ...none, notes: t('Poucos dados de peso.') };
+
+  const asc = [...weightsDesc].sort((a, b) => new Date(a.dateTimeISO) - new Date(b.dateTimeISO));
+  const start = asc[0];
+  const end = asc[asc.length - 1];
+  const deltaKg = end.weightKg - start.weightKg;
+
+  const trend = analyzeWeightTrend(asc);
+  if (!trend) return { ...none, start, end, deltaKg, notes: t('Poucos dados de peso.') };
+  const { perWeekKg, perWeekLowKg, perWeekHighKg, smoothedKg, clear } = trend;
+
+  let notes = t('Tendência estável.');
+  if (perWeekKg <= -0.2) notes = t('Tendência de queda (bom sinal de consistência, se esse for seu objetivo).');
+  if (perWeekKg >= 0.2) notes = t('Tendência de subida (pode ser oscilação, retenção ou alimentação).');
+  // Com 3+ pesagens dá para medir a oscilação: se a faixa inclui zero, a direção ainda não é clara.
+  if (Math.abs(perWeekKg) >= 0.2 && perWeekLowKg !== null && !clear) notes = t('Tendência ainda incerta: as pesagens oscilam mais do que o peso mudou.');
+
+  return { start, end, deltaKg, perWeekKg, perWeekLowKg, perWeekHighKg, smoothedKg, clear, notes };
+}
+
+// Reta de mínimos quadrados das pesagens dos últimos `days` dias (até nowDate), ver core/trend.js.
+// Precisa de minPoints pesagens cobrindo pelo menos minSpanDays; senão, null.
+// startKg/endKg são os valores da reta na primeira e na última pesagem da janela.
+export function computeWeightRegression(weightsDesc, { days = 28, minPoints = 3, minSpanDays = 7, nowDate = clock.now() } = {}) {
+  const end = nowDate.getTime();
+  const start = end - days * 86_400_000;
+  const inWindow = weightsDesc.filter((w) => {
+    const time = new Date(w.dateTimeISO).getTime();
+    return time >= start && time <= end;
+  });
+  const trend = analyzeWeightTrend(inWindow);
+  if (!trend || trend.n < minPoints) return null;
+  if ((new Date(trend.endISO) - new Date(trend.startISO)) / 86_400_000 < minSpanDays) return null;
+  return trend;
+}
+
+export function computeMeasuresDelta(measuresDesc) {
+  if (measuresDesc.length < 2) {
+    return { start: null, end: null, deltas: null, notes: t('Poucos dados de medidas.') };
+  }
+
+  const asc = [...measuresDesc].sort((a, b) => a.dateISO.localeCompare(b.dateISO));
+  const start = asc[0];
+  const end = asc[asc.length - 1];
+
+  const fields = [
+    ['waistCm', 'Cintura'],
+    ['hipCm', 'Quadril'],
+    ['armLCm', 'Braço E'],
+    ['armRCm', 'Braço D'],
+    ['thighCm', 'Coxa'],
+    ['calfCm', 'Panturrilha'],
+    ['chestCm', 'Peito'],
+    ['neckCm', 'Pescoço']
+  ];
+
+  const deltas = {};
+  for (const [k, label] of fields) {
+    const a = start[k];
+    const b = end[k];
+    if (a === null || a === undefined || b === null || b === undefined) continue;
+    deltas[t(label)] = b - a;
+  }
+
+  const keys = Object.keys(deltas);
+  let notes = t('Variações pequenas são normais.');
+  if (keys.length === 0) notes = t('Sem valores comparáveis no período.');
+
+  return { start, end, deltas, notes };
+}
+
+export function computeCommonSymptoms(injectionsDesc) {
+  if (injectionsDesc.length === 0) return { top: [], averages: {} };
+
+  const sums = { nausea: 0, reflux: 0, appetite: 0, energy: 0, bowel: 0 };
+  const n = injectionsDesc.length;
+  for (const i of injectionsDesc) {
+    for (const k of Object.keys(sums)) {
+      sums[k] += clampNumber(i.symptoms?.[k] ?? 0, 0, 10);
+    }
+  }
+
+  const averages = {};
+  for (const k of Object.keys(sums)) {
+    averages[k] = sums[k] / n;
+  }
+
+  const top = Object.keys(averages)
+    .map((k) => ({ key: k, label: symptomLabel(k), avg: averages[k] }))
+    .sort((a, b) => b.avg - a.avg)
+    .slice(0, 2);
+
+  return { top, averages };
+}
+
+export function computeSymptomsAggregated(injections) {
+  const keys = Object.keys(SYMPTOMS_LABELS);
+  if (!injections.length) {
+    return { means: {}, peaks: {} };
+  }
+  const sums = {};
+  const peaks = {};
+  for (const k of keys) {
+    sums[k] = 0;
+    peaks[k] = 0;
+  }
+  for (const inj of injections) {
+    for (const k of keys) {
+      const v = clampNumber(inj.symptoms?.[k] ?? 0, 0, 10);
+      sums[k] += v;
+      if (v > peaks[k]) peaks[k] = v;
+    }
+  }
+  const means = {};
+  for (const k of keys) {
+    means[k] = injections.length ? Math.round((sums[k] / injections.length) * 10) / 10 : 0;
+  }
+  return { means, peaks };
+}
+
+export function computeDoseHistory(injectionsAsc) {
+  const items = [];
+  if (!injectionsAsc.length) return items;
+  let lastDose = null;
+  for (const inj of injectionsAsc) {
+    const dose = Number(inj.doseMg);
+    if (!Number.isFinite(dose)) continue;
+    if (lastDose === null) {
+      lastDose = dose;
+      items.push({ dateTimeISO: inj.dateTimeISO, doseMg: dose });
+      continue;
+    }
+    if (Math.abs(dose - lastDose) >= 0.0001) {
+      lastDose = dose;
+      items.push({ dateTimeISO: inj.dateTimeISO, doseMg: dose });
+    }
+  }
+  // Se não houve mudança, mostramos só a última como “dose atual registrada”.
+  if (items.length === 1) {
+    const last = injectionsAsc[injectionsAsc.length - 1];
+    const dose = Number(last.doseMg);
+    if (Number.isFinite(dose)) return [{ dateTimeISO: last.dateTimeISO, doseMg: dose }];
+  }
+  return items;
+}
+
+// Histórico de dose separado por medicamento (doses de drogas diferentes não se comparam).
+export function computeDoseHistoryByMedication(injectionsAsc, medications = []) {
+  if (!medications.length) {
+    return injectionsAsc.length ? [{ medicationId: null, med: null, history: computeDoseHistory(injectionsAsc) }] : [];
+  }
+  const out = [];
+  for (const med of medications) {
+    const list = filterInjectionsForMedication(injectionsAsc, med.id, medications);
+    if (list.length) out.push({ medicationId: med.id, med, history: computeDoseHistory(list) });
+  }
+  return out;
+}
+
+// Regularidade de cada medicamento com aplicações no período, pela agenda dele.
+export function computeRegularityByMedication(injectionsDesc, medications = [], settings = DEFAULTS) {
+  if (!medications.length) {
+    const schedule = resolveInjectionSchedule(settings);
+    return injectionsDesc.length
+      ? [{ medicationId: null, med: null, scheduleLabel: formatInjectionScheduleLabel(schedule), regularityWindow: formatRegularityWindow(schedule), ...computeInjectionRegularity(injectionsDesc, settings) }]
+      : [];
+  }
+  const out = [];
+  for (const med of medications) {
+    const list = filterInjectionsForMedication(injectionsDesc, med.id, medications);
+    if (!list.length) continue;
+    const schedule = resolveInjectionSchedule(med.schedule);
+    out.push({
+      medicationId: med.id,
+      med,
+      scheduleLabel: formatInjectionScheduleLabel(schedule),
+      regularityWindow: formatRegularityWindow(schedule),
+      ...computeInjectionRegularity(list, med.schedule)
+    });
+  }
+  return out;
+}
+
+// Junta a regularidade de vários medicamentos ponderando pelo número de intervalos.
+export function combineRegularity(byMed) {
+  let intervals = 0;
+  let onTime = 0;
+  let daysSum = 0;
+  for (const r of byMed) {
+    if (r.onTimeRate === null) continue;
+    const n = r.count - 1;
+    intervals += n;
+    onTime += r.onTimeRate * n;
+    daysSum += r.meanDays * n;
+  }
+  if (!intervals) return { meanDays: null, onTimeRate: null };
+  return { meanDays: daysSum / intervals, onTimeRate: onTime / intervals };
+}
+
+export function uniqueDateKeysFromDateTimeISO(items) {
+  const keys = new Set();
+  for (const it of items) {
+    const d = new Date(it.dateTimeISO);
+    keys.add(getLocalDateKey(d));
+  }
+  return keys;
+}
+
+export function computeScheduleAdherenceForRange(rangeDays, settings, data, nowDate = clock.now()) {
+  const s = settings || DEFAULTS;
+  const end = startOfDay(nowDate);
+  const start = addDays(end, -(Math.max(1, rangeDays) - 1));
+  const weighDows = new Set(s.weighDaysOfWeek || DEFAULTS.weighDaysOfWeek);
+
+  const weightKeys = uniqueDateKeysFromDateTimeISO(data.weights);
+  const injKeys = uniqueDateKeysFromDateTimeISO(data.injections);
+  const keysByMed = injectionKeysByMedication(data.injections, data.medications);
+  const byMedication = trackedSchedules(data.medications, s).map((tracked) => ({
+    tracked,
+    keys: injectionKeysForTracked(tracked, injKeys, keysByMed),
+    medicationId: tracked.medicationId,
+    name: tracked.med?.name || '',
+    expectedInj: 0,
+    doneInj: 0
+  }));
+
+  let expectedWeights = 0;
+  let doneWeights = 0;
+
+  for (let i = 0; i < rangeDays; i++) {
+    const d = addDays(start, i);
+    const key = getLocalDateKey(d);
+    if (weighDows.has(d.getDay())) {
+      expectedWeights += 1;
+      if (weightKeys.has(key)) doneWeights += 1;
+    }
+    for (const m of byMedication) {
+      if (!isInjectionDueOn(key, m.tracked.schedule, m.keys)) continue;
+      m.expectedInj += 1;
+      if (m.keys.has(key)) m.doneInj += 1;
+    }
+  }
+
+  const expectedInj = byMedication.reduce((acc, m) => acc + m.expectedInj, 0);
+  const doneInj = byMedication.reduce((acc, m) => acc + m.doneInj, 0);
+
+  // Mesmo critério do dashboard: pesagem=1 ponto, aplicação=2 pontos.
+  const expectedPoints = expectedWeights + (expectedInj * 2);
+  const donePoints = doneWeights + (doneInj * 2);
+  const pct = expectedPoints ? Math.round((donePoints / expectedPoints) * 100) : 0;
+
+  return {
+    expectedWeights,
+    doneWeights,
+    expectedInj,
+    doneInj,
+    expectedPoints,
+    donePoints,
+    pct,
+    byMedication: byMedication.map(({ medicationId, name, expectedInj: e, doneInj: dn }) => ({ medicationId, name, expectedInj: e, doneInj: dn }))
+  };
+}
+
+export function countStreakWeights(cache, settings, maxLookbackDays = 120, nowDate = clock.now()) {
+  const weighDows = new Set(settings.weighDaysOfWeek || DEFAULTS.weighDaysOfWeek);
+  let d = startOfDay(nowDate);
+  let streak = 0;
+  let checked = 0;
+
+  while (checked < maxLookbackDays) {
+    if (weighDows.has(d.getDay())) {
+      const key = getLocalDateKey(d);
+      if (cache.weightKeys.has(key)) streak += 1;
+      else break;
+    }
+    d = addDays(d, -1);
+    checked += 1;
+  }
+  return streak;
+}
+
+// Aplicações seguidas na agenda, de hoje para trás. Hoje ainda sem registro não quebra a sequência.
+export function countStreakInjections(cache, settings, maxWeeks = 52, nowDate = clock.now()) {
+  const tracked = trackedSchedules(cache.medications, settings).map((t) => ({
+    schedule: t.schedule,
+    keys: injectionKeysForTracked(t, cache.injectionKeys, cache.injectionKeysByMed)
+  }));
+  const today = startOfDay(nowDate);
+  let streak = 0;
+
+  for (let i = 0; i < maxWeeks * 7; i++) {
+    const key = getLocalDateKey(addDays(today, -i));
+    for (const t of tracked) {
+      if (!isInjectionDueOn(key, t.schedule, t.keys)) continue;
+      if (t.keys.has(key)) streak += 1;
+      else if (i > 0) return streak;
+    }
+  }
+
+  return streak;
+}
+
+// Consistência de uma semana (seg–dom): pesagem = 1 ponto, aplicação = 2 pontos.
+// weekOffset 0 = semana atual, 1 = anterior...
+export function computeWeeklyConsistency(cache, settings, weekOffset = 0, nowDate = clock.now()) {
+  const offset = Math.max(0, Math.floor(Number(weekOffset) || 0));
+  const base = startOfWeekMonday(nowDate);
+  const start = addDays(base, -7 * offset);
+  const weighDows = new Set(settings.weighDaysOfWeek || DEFAULTS.weighDaysOfWeek);
+
+  const expectedWeighKeys = [];
+  for (let i = 0; i < 7; i++) {
+    const d = addDays(start, i);
+    if (weighDows.has(d.getDay())) expectedWeighKeys.push(getLocalDateKey(d));
+  }
+
+  // Uma entrada por aplicação esperada (dia + medicamento).
+  const injDue = [];
+  for (const t of trackedSchedules(cache.medications, settings)) {
+    const keys = injectionKeysForTracked(t, cache.injectionKeys, cache.injectionKeysByMed);
+    for (let i = 0; i < 7; i++) {
+      const key = getLocalDateKey(addDays(start, i));
+      if (isInjectionDueOn(key, t.schedule, keys)) injDue.push({ key, done: keys.has(key) });
+    }
+  }
+  const injKeys = Array.from(new Set(injDue.map((x) => x.key))).sort();
+  const injKey = injKeys[0] || null;
+
+  const expectedWeights = expectedWeighKeys.length;
+  const doneWeights = expectedWeighKeys.filter((k) => cache.weightKeys.has(k)).length;
+  const expectedInj = injDue.length;
+  const doneInj = injDue.filter((x) => x.done).length;
+
+  const expectedPoints = expectedWeights + (expectedInj * 2);
+  const donePoints = doneWeights + (doneInj * 2);
+  const pct = expectedPoints ? Math.round((donePoints / expectedPoints) * 100) : 0;
+
+  return { start, expectedWeighKeys, injKeys, injKey, expectedWeights, doneWeights, expectedInj, doneInj, pct };
+}
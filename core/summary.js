@@ -0,0 +1,798 @@
+/*
+  DoseCheck - core/summary.js
+  Resumos de período (IA/WhatsApp), insights locais por regras e o prompt da IA.
+  Sem dependências de DOM.
+
+  Funções que dependem do "agora" recebem nowDate (padrão: clock.now(), ver core/clock.js).
+*/
+
+import { clock } from './clock.js';
+import { conditionMix, describeComparisonCount, formatTimeBuckets, selectComparableWeights } from './conditions.js';
+import { DEFAULTS } from './constants.js';
+import { addDays, cutoffDaysAgo, endOfWeekSunday, getLocalDateKey, startOfWeekMonday } from './dates.js';
+import {
+  buildPatientLinePtBr,
+  clampNumber,
+  clampText,
+  escapeHtml,
+  formatCm,
+  formatDatePtBr,
+  formatDateShortPtBr,
+  formatDateTimePtBr,
+  formatDecimal,
+  formatDeltaCm,
+  formatDeltaKg,
+  formatDose,
+  formatDoseMg,
+  formatDowPtBr,
+  formatHeight,
+  formatKg,
+  formatKgPerWeek,
+  formatMaybeKg,
+  formatTimeShortPtBr,
+  formatWeekRangeLabel,
+  formatWeightAmount,
+  formatWeightRange,
+  weightUnitLabel,
+  resolvePatientBirthInfo,
+  siteLabel,
+  symptomLabel
+} from './format.js';
+import {
+  computeGoalStatus,
+  describeWaistGoal,
+  describeWeightGoal,
+  describeWeightGoalPace,
+  describeWeightGoalProjection
+} from './goals.js';
+import { t } from './i18n.js';
+import {
+  filterInjectionsForMedication,
+  injectionKeysForTracked,
+  medicationLabel,
+  resolveInjectionMedicationId,
+  trackedSchedules
+} from './medications.js';
+import {
+  formatInjectionScheduleLabel,
+  formatInjectionScheduleShort,
+  formatRegularityWindow,
+  isInjectionDueOn,
+  resolveInjectionSchedule,
+  SCHEDULE_WEEKDAYS
+} from './schedule.js';
+import {
+  combineRegularity,
+  computeCommonSymptoms,
+  computeInjectionRegularity,
+  computeMeasuresDelta,
+  computeRegularityByMedication,
+  computeWeightTrend,
+  sortByDateDesc,
+  sortByDateTimeDesc
+} from './stats.js';
+import { analyzeWeightTrend } from './trend.js';
+import { units } from './units.js';
+
+// Regras dos insights locais, sempre em kg (o texto mostra o limite na unidade do perfil).
+// Platô: a reta das pesagens dos últimos 14 dias (6+ pesagens) varia menos que isso.
+export const PLATEAU_SPAN_KG = 0.3;
+// Retenção: subida acima disso em até 48 h e volta a menos de RETENTION_RETURN_KG.
+const RETENTION_JUMP_KG = 1.0;
+const RETENTION_RETURN_KG = 0.3;
+
+// data.settings (opcional) define a agenda usada na regularidade e as pesagens comparadas;
+// data.medications (opcional) separa regularidade/doses por medicamento.
+export function buildLastNDaysSummary(days, data, nowDate = clock.now()) {
+  const d = Math.max(1, Math.floor(Number(days) || 30));
+  const cutoff = cutoffDaysAgo(d, nowDate);
+
+  const injectionsN = data.injections.filter((i) => new Date(i.dateTimeISO) >= cutoff).sort(sortByDateTimeDesc);
+  const weightsN = data.weights.filter((w) => new Date(w.dateTimeISO) >= cutoff).sort(sortByDateTimeDesc);
+  const measuresN = data.measures.filter((m) => {
+    const dt = new Date(`${m.dateISO}T00:00:00`);
+    return dt >= cutoff;
+  }).sort(sortByDateDesc);
+
+  const schedule = resolveInjectionSchedule(data.settings);
+  const medications = data.medications || [];
+  const regByMed = computeRegularityByMedication(injectionsN, medications, data.settings || DEFAULTS);
+  const injReg = medications.length
+    ? { ...computeInjectionRegularity(injectionsN, data.settings || DEFAULTS), ...combineRegularity(regByMed) }
+    : computeInjectionRegularity(injectionsN, data.settings || DEFAULTS);
+  const singleMed = regByMed.length === 1 ? regByMed[0] : null;
+  // Tendência só com as pesagens comparáveis (jejum / mesmo período do dia), conforme o perfil.
+  const wtSelection = selectComparableWeights(weightsN, data.settings);
+  const wtTrend = computeWeightTrend(wtSelection.weights);
+  const msDelta = computeMeasuresDelta(measuresN);
+  const sym = computeCommonSymptoms(injectionsN);
+
+  const lastInj = injectionsN[0] || null;
+  const lastW = weightsN[0] || null;
+  const lastM = measuresN[0] || null;
+
+  const medName = (() => {
+    const counts = new Map();
+    for (const i of injectionsN) {
+      const k = String(i.medName || '').trim();
+      if (!k) continue;
+      counts.set(k, (counts.get(k) || 0) + 1);
+    }
+    let best = '';
+    let bestN = 0;
+    for (const [k, n] of counts.entries()) {
+      if (n > bestN) {
+        best = k;
+        bestN = n;
+      }
+    }
+    return best;
+  })();
+
+  return {
+    periodDays: d,
+    medicationName: medName,
+    injections: {
+      count: injectionsN.length,
+      meanDaysBetween: injReg.meanDays,
+      onTimeRate: injReg.onTimeRate,
+      schedule: singleMed ? singleMed.scheduleLabel : formatInjectionScheduleLabel(schedule),
+      regularityWindow: singleMed ? singleMed.regularityWindow : (regByMed.length > 1 ? t('agenda de cada medicamento') : formatRegularityWindow(schedule)),
+      notes: injReg.notes
+    },
+    medications: regByMed.filter((r) => r.med).map((r) => {
+      const last = filterInjectionsForMedication(injectionsN, r.medicationId, medications)[0] || null;
+      return {
+        name: r.med.name,
+        label: medicationLabel(r.med),
+        unit: r.med.unit,
+        count: r.count,
+        schedule: r.scheduleLabel,
+        regularityWindow: r.regularityWindow,
+        onTimeRate: r.onTimeRate,
+        meanDaysBetween: r.meanDays,
+        lastDose: last ? last.doseMg : null
+      };
+    }),
+    weight: {
+      count: weightsN.length,
+      startKg: wtTrend.start?.weightKg ?? null,
+      endKg: wtTrend.end?.weightKg ?? null,
+      deltaKg: wtTrend.deltaKg,
+      perWeekKg: wtTrend.perWeekKg,
+      perWeekLowKg: wtTrend.perWeekLowKg,
+      perWeekHighKg: wtTrend.perWeekHighKg,
+      smoothedKg: wtTrend.smoothedKg,
+      notes: wtTrend.notes,
+      comparison: { mode: wtSelection.mode, bucket: wtSelection.bucket, count: wtSelection.count, total: wtSelection.total }
+    },
+    measures: {
+      count: measuresN.length,
+      deltaByField: msDelta.deltas,
+      notes: msDelta.notes
+    },
+    symptoms: {
+      top: sym.top,
+      averages: sym.averages
+    },
+    last: {
+      injection: lastInj ? {
+        dateTimeISO: lastInj.dateTimeISO,
+        doseMg: lastInj.doseMg,
+        site: lastInj.site,
+        medName: lastInj.medName
+      } : null,
+      weight: lastW ? {
+        dateTimeISO: lastW.dateTimeISO,
+        weightKg: lastW.weightKg,
+        fasting: Boolean(lastW.fasting)
+      } : null,
+      measures: lastM ? {
+        dateISO: lastM.dateISO,
+        waistCm: lastM.waistCm,
+        hipCm: lastM.hipCm,
+        neckCm: lastM.neckCm
+      } : null
+    }
+  };
+}
+
+export function buildWeeklySummaryText(cache, settings, weekOffset = 0, nowDate = clock.now()) {
+  const offset = Math.max(0, Math.floor(Number(weekOffset) || 0));
+  const base = startOfWeekMonday(nowDate);
+  const start = addDays(base, -7 * offset);
+  const end = endOfWeekSunday(start);
+
+  const weightsAsc = [...cache.weights]
+    .filter((w) => {
+      const dt = new Date(w.dateTimeISO);
+      return dt >= start && dt <= end;
+    })
+    .sort((a, b) => new Date(a.dateTimeISO) - new Date(b.dateTimeISO));
+
+  const injectionsAsc = [...cache.injections]
+    .filter((i) => {
+      const dt = new Date(i.dateTimeISO);
+      return dt >= start && dt <= end;
+    })
+    .sort((a, b) => new Date(a.dateTimeISO) - new Date(b.dateTimeISO));
+
+  const weekLabel = formatWeekRangeLabel(start);
+
+  // Início → fim e melhor/pior só com as pesagens comparáveis; a contagem usa todas.
+  const weightSel = selectComparableWeights(weightsAsc, settings);
+  const comparableAsc = weightSel.weights;
+  const weightStart = comparableAsc[0]?.weightKg ?? null;
+  const weightEnd = comparableAsc[comparableAsc.length - 1]?.weightKg ?? null;
+  const weightDelta = (Number.isFinite(weightStart) && Number.isFinite(weightEnd)) ? (weightEnd - weightStart) : null;
+  const bestW = comparableAsc.length ? Math.min(...comparableAsc.map((w) => w.weightKg)) : null;
+  const worstW = comparableAsc.length ? Math.max(...comparableAsc.map((w) => w.weightKg)) : null;
+
+  // Aplicação da semana por medicamento acompanhado (de preferência a do dia da agenda).
+  const trackedList = trackedSchedules(cache.medications, settings);
+  const injPreferredByMed = trackedList.map((t) => {
+    const list = t.med ? filterInjectionsForMedication(injectionsAsc, t.medicationId, cache.medications) : injectionsAsc;
+    const keys = injectionKeysForTracked(t, cache.injectionKeys, cache.injectionKeysByMed);
+    const inj = list.find((i) => isInjectionDueOn(getLocalDateKey(new Date(i.dateTimeISO)), t.schedule, keys)) || list[0] || null;
+    return { med: t.med, inj };
+  });
+
+  const sym = injectionsAsc.length
+    ? computeCommonSymptoms([...injectionsAsc].sort(sortByDateTimeDesc))
+    : { top: [], averages: {} };
+  const symAvg = Object.keys(sym.averages || {}).map((k) => `${symptomLabel(k)} ${formatDecimal(sym.averages[k] ?? 0)}`);
+  const top2 = (sym.top || []).map((x) => `${x.label} ${formatDecimal(x.avg)}`);
+
+  const focus = (() => {
+    const weighDows = new Set(settings.weighDaysOfWeek || DEFAULTS.weighDaysOfWeek);
+    const expected = [];
+    for (let i = 0; i < 7; i++) {
+      const d = addDays(start, i);
+      if (weighDows.has(d.getDay())) expected.push(getLocalDateKey(d));
+    }
+    const done = expected.filter((k) => cache.weightKeys.has(k)).length;
+    if (expected.length - done >= 2) return t('rotina de pesagem');
+    if (sym.top?.[0] && sym.top[0].avg >= 6.5) return t('refeições leves e hidratação');
+    return t('água, proteína e sono');
+  })();
+
+  const lines = [];
+  lines.push(t('Semana {week}', { week: weekLabel }));
+  const patientLine = buildPatientLinePtBr(settings, nowDate);
+  if (patientLine) lines.push(patientLine);
+  lines.push('');
+
+  // Topo: últimos registros (contexto rápido)
+  const lastInjAny = [...cache.injections].sort(sortByDateTimeDesc)[0] || null;
+  const lastWAny = [...cache.weights].sort(sortByDateTimeDesc)[0] || null;
+  if (lastInjAny) {
+    lines.push(`${t('Última aplicação (geral):')} ${formatDateTimePtBr(lastInjAny.dateTimeISO)} • ${lastInjAny.medName} • ${formatDoseMg(lastInjAny.doseMg)} • ${siteLabel(lastInjAny.site)}`);
+  }
+  if (lastWAny) {
+    lines.push(`${t('Último peso (geral):')} ${formatDateTimePtBr(lastWAny.dateTimeISO)} • ${formatKg(lastWAny.weightKg)} (${lastWAny.fasting ? t('jejum') : t('sem jejum')})`);
+  }
+  lines.push('');
+
+  lines.push(t('Resumo da semana'));
+  if (weightStart !== null && weightEnd !== null) {
+    lines.push(`${t('Peso:')} ${formatMaybeKg(weightStart)} → ${formatMaybeKg(weightEnd)} (${formatDeltaKg(weightDelta)})`);
+    if (bestW !== null && worstW !== null) {
+      lines.push(t('Melhor pesagem: {best} • Pior pesagem: {worst}', { best: formatMaybeKg(bestW), worst: formatMaybeKg(worstW) }));
+    }
+    lines.push(t('Pesagens na semana: {n}', { n: weightsAsc.length }));
+    if (weightSel.mode !== 'all') lines.push(`${t('Comparação:')} ${describeComparisonCount(weightSel)}`);
+  } else {
+    lines.push(t('Peso: sem dados suficientes na semana'));
+  }
+
+  // Metas: situação de hoje, com todos os registros.
+  const goalStatus = computeGoalStatus(settings, cache, nowDate);
+  if (goalStatus.weight) {
+    lines.push(`${t('Meta de peso:')} ${describeWeightGoal(goalStatus.weight)}`);
+    if (!goalStatus.weight.reached) lines.push(describeWeightGoalProjection(goalStatus.weight));
+    const pace = describeWeightGoalPace(goalStatus.weight);
+    if (pace) lines.push(pace);
+  }
+  if (goalStatus.waist) lines.push(`${t('Meta de cintura:')} ${describeWaistGoal(goalStatus.waist)}`);
+
+  for (const { med, inj } of injPreferredByMed) {
+    const label = med && injPreferredByMed.length > 1 ? t('Aplicação ({name})', { name: med.name }) : t('Aplicação');
+    if (inj) {
+      const dt = new Date(inj.dateTimeISO);
+      lines.push(`${label}: ${t('feita')} • ${formatDateShortPtBr(dt)} ${formatTimeShortPtBr(dt)} • ${siteLabel(inj.site)} • ${formatDose(inj.doseMg, med?.unit)}`);
+    } else {
+      lines.push(`${label}: ${t('não registrada na semana')}`);
+    }
+  }
+
+  if (symAvg.length) {
+    lines.push(`${t('Sintomas médios (0–10):')} ${symAvg.join(' • ')}`);
+    if (top2.length) lines.push(`${t('Top sintomas:')} ${top2.join(' • ')}`);
+  } else {
+    lines.push(t('Sintomas: sem registros na semana'));
+  }
+
+  lines.push('');
+  lines.push(t('Nota rápida: foco da semana que vem: {focus}.', { focus }));
+  lines.push(t('Obs.: isso não é diagnóstico nem orientação médica.'));
+  return lines.join('\n');
+}
+
+export function buildLocalInsights(cache, settings, nowDate = clock.now()) {
+  const items = [];
+
+  // Platô e retenção comparam só as pesagens comparáveis do perfil (jejum / período do dia).
+  const cutoff14 = cutoffDaysAgo(14, nowDate);
+  const sel14 = selectComparableWeights(cache.weights.filter((w) => new Date(w.dateTimeISO) >= cutoff14), settings);
+  const w14 = [...sel14.weights].sort((a, b) => new Date(a.dateTimeISO) - new Date(b.dateTimeISO));
+
+  // O que a configuração não separa e continua misturado nas comparações.
+  const mix = conditionMix(w14);
+  if (w14.length >= 2 && (mix.fasting || mix.time)) {
+    const periods = formatTimeBuckets(mix.buckets);
+    let insight = t('Nos últimos 14 dias, as comparações de peso misturam pesagens em jejum e sem jejum.');
+    if (mix.time) insight = t('Nos últimos 14 dias, as comparações de peso misturam períodos do dia ({periods}).', { periods });
+    if (mix.fasting && mix.time) insight = t('Nos últimos 14 dias, as comparações de peso misturam pesagens em jejum e sem jejum e períodos do dia ({periods}).', { periods });
+    items.push({
+      title: t('Pesagens em condições diferentes'),
+      insight,
+      action: sel14.mode === 'all'
+        ? t('Diferenças, tendência e platô ficam mais confiáveis comparando iguais: em Configurações → Paciente → Comparar pesagens, escolha só jejum ou o mesmo período do dia.')
+        : t('Tente pesar sempre no mesmo horário e na mesma condição (ex.: ao acordar, em jejum).'),
+      kind: 'warn'
+    });
+  }
+
+  if (w14.length >= 6) {
+    // Pela reta, e não pelo máximo − mínimo: uma manhã inchada não esconde um platô.
+    const trend = analyzeWeightTrend(w14);
+    if (trend && trend.n >= 6 && Math.abs(trend.endKg - trend.startKg) < PLATEAU_SPAN_KG) {
+      items.push({
+        title: t('Possível platô'),
+        insight: t('Nos últimos 14 dias, a tendência do peso mudou pouco (< {limit}) com várias pesagens.', { limit: formatWeightAmount(PLATEAU_SPAN_KG) }),
+        action: t('Cheque consistência de água, proteína e sono. Pequenos ajustes de rotina ajudam.'),
+        kind: 'warn'
+      });
+    }
+  }
+
+  const wAsc = [...selectComparableWeights(cache.weights, settings).weights].sort((a, b) => new Date(a.dateTimeISO) - new Date(b.dateTimeISO));
+  for (let i = 0; i < wAsc.length - 2; i++) {
+    const a = wAsc[i];
+    const b = wAsc[i + 1];
+    const c = wAsc[i + 2];
+    const ta = new Date(a.dateTimeISO).getTime();
+    const tb = new Date(b.dateTimeISO).getTime();
+    const tc = new Date(c.dateTimeISO).getTime();
+    if ((tb - ta) > 48 * 60 * 60 * 1000) continue;
+    const up = b.weightKg - a.weightKg;
+    if (up <= RETENTION_JUMP_KG) continue;
+    if ((tc - tb) > 72 * 60 * 60 * 1000) continue;
+    const back = Math.abs(c.weightKg - a.weightKg);
+    if (back <= RETENTION_RETURN_KG) {
+      items.push({
+        title: t('Oscilação compatível com retenção'),
+        insight: t('Teve uma subida rápida de peso e retorno em poucos dias, padrão comum em variação de água.'),
+        action: t('Compare pesagens em condições similares e observe sono/sódio/treino. Isso não é diagnóstico.'),
+        kind: 'info'
+      });
+      break;
+    }
+  }
+
+  const start = startOfWeekMonday(nowDate);
+  const weighDows = new Set(settings.weighDaysOfWeek || DEFAULTS.weighDaysOfWeek);
+  const expected = [];
+  for (let i = 0; i < 7; i++) {
+    const d = addDays(start, i);
+    if (weighDows.has(d.getDay())) expected.push(getLocalDateKey(d));
+  }
+  const done = expected.filter((k) => cache.weightKeys.has(k)).length;
+  if (expected.length - done >= 2) {
+    items.push({
+      title: t('Rotina de pesagem'),
+      insight: t('Nesta semana, faltaram 2+ pesagens esperadas. Isso reduz a qualidade dos insights.'),
+      action: t('Sugestão: pese ao acordar e registre rapidinho (mesma condição).'),
+      kind: 'warn'
+    });
+  }
+
+  const lastInj = [...cache.injections].sort(sortByDateTimeDesc)[0] || null;
+  // Compara com a agenda do próprio medicamento da aplicação.
+  const lastInjMedId = lastInj ? resolveInjectionMedicationId(lastInj, cache.medications) : null;
+  const lastInjTracked = trackedSchedules(cache.medications, settings).find((t) => t.medicationId === lastInjMedId) || null;
+  if (lastInj && lastInjTracked) {
+    const d = new Date(lastInj.dateTimeISO);
+    const schedule = lastInjTracked.schedule;
+    const keys = injectionKeysForTracked(lastInjTracked, cache.injectionKeys, cache.injectionKeysByMed);
+    if (!isInjectionDueOn(getLocalDateKey(d), schedule, keys)) {
+      const expected = schedule.mode === SCHEDULE_WEEKDAYS
+        ? t('a agenda fixa é {schedule}', { schedule: formatInjectionScheduleShort(schedule) })
+        : t('a agenda é {schedule}', { schedule: formatInjectionScheduleShort(schedule) });
+      items.push({
+        title: t('Irregularidade de agenda'),
+        insight: t('A última aplicação registrada foi em {dow} ({date}), mas {expected}.', { dow: formatDowPtBr(d.getDay()), date: formatDateShortPtBr(d), expected }),
+        action: t('Se foi exceção, ok. Registre as datas para o relatório ficar consistente.'),
+        kind: 'warn'
+      });
+    }
+  }
+
+  const injDesc = [...cache.injections].sort(sortByDateTimeDesc);
+  if (injDesc.length >= 2) {
+    const a = clampNumber(injDesc[0]?.symptoms?.nausea ?? 0, 0, 10);
+    const b = clampNumber(injDesc[1]?.symptoms?.nausea ?? 0, 0, 10);
+    if (a >= 7 && b >= 7) {
+      items.push({
+        title: t('Náusea alta recorrente'),
+        insight: t('Náusea ≥ 7/10 em aplicações recentes pode sugerir tolerância baixa naquele período.'),
+        action: t('Considere conversar com um médico. Isso não é diagnóstico.'),
+        kind: 'danger'
+      });
+    }
+  }
+
+  if (!items.length) {
+    items.push({
+      title: t('Sem alertas por regras locais'),
+      insight: t('Nada relevante detectado pelas regras simples no momento.'),
+      action: t('Mantenha os registros para ganhar mais sinal.'),
+      kind: 'ok'
+    });
+  }
+
+  return items;
+}
+
+export function formatInsightsSummaryTextFromSummary(summary, settings, nowDate = clock.now()) {
+  const d = Math.max(1, Math.floor(Number(summary?.periodDays) || 30));
+
+  const lines = [];
+  lines.push(t('Resumo (últimos {days} dias) — DoseCheck', { days: d }));
+  const patientLine = buildPatientLinePtBr(settings, nowDate);
+  if (patientLine) lines.push(patientLine);
+
+  const med = String(summary?.medicationName || '').trim();
+  if (med) lines.push(t('Medicação (mais registrada): {name}', { name: med }));
+
+  const hasOfficial = Boolean(String(settings?.medRefUrl || '').trim() || String(settings?.medOfficialText || '').trim());
+  lines.push(`${t('Referência oficial:')} ${hasOfficial ? t('fornecida pelo usuário') : t('não informada')}`);
+  lines.push('');
+
+  if (summary?.last?.injection) {
+    const li = summary.last.injection;
+    const dt = li.dateTimeISO ? formatDateTimePtBr(li.dateTimeISO) : '—';
+    const dose = Number.isFinite(Number(li.doseMg)) ? formatDoseMg(li.doseMg) : '—';
+    const site = li.site ? siteLabel(li.site) : '—';
+    const mn = String(li.medName || '').trim();
+    lines.push(`${t('Última aplicação:')} ${dt} • ${mn || '—'} • ${dose} • ${site}`);
+  }
+
+  if (summary?.last?.weight) {
+    const lw = summary.last.weight;
+    const dt = lw.dateTimeISO ? formatDateTimePtBr(lw.dateTimeISO) : '—';
+    const w = Number.isFinite(Number(lw.weightKg)) ? formatKg(lw.weightKg) : '—';
+    lines.push(`${t('Último peso:')} ${dt} • ${w} (${lw.fasting ? t('jejum') : t('sem jejum')})`);
+  }
+
+  if (summary?.last?.measures) {
+    const lm = summary.last.measures;
+    const d0 = lm.dateISO ? formatDatePtBr(lm.dateISO) : '—';
+    const parts = [];
+    if (lm.waistCm !== null && lm.waistCm !== undefined) parts.push(`${t('Cintura')} ${formatCm(lm.waistCm)}`);
+    if (lm.hipCm !== null && lm.hipCm !== undefined) parts.push(`${t('Quadril')} ${formatCm(lm.hipCm)}`);
+    if (lm.neckCm !== null && lm.neckCm !== undefined) parts.push(`${t('Pescoço')} ${formatCm(lm.neckCm)}`);
+    if (parts.length) lines.push(`${t('Últimas medidas:')} ${d0} • ${parts.join(' • ')}`);
+  }
+
+  lines.push('');
+  lines.push(`${t('Aplicações:')} ${summary.injections.count}`);
+  lines.push(`${t('Regularidade ({window}):', { window: summary.injections.regularityWindow || t('6–8 dias') })} ${summary.injections.onTimeRate === null ? '—' : `${Math.round(summary.injections.onTimeRate * 100)}%`}`);
+  lines.push(`${t('Média entre aplicações (dias):')} ${summary.injections.meanDaysBetween ? formatDecimal(summary.injections.meanDaysBetween) : '—'}`);
+  if ((summary.medications || []).length > 1) {
+    for (const m of summary.medications) {
+      const rate = m.onTimeRate === null ? '—' : `${Math.round(m.onTimeRate * 100)}%`;
+      lines.push(`• ${m.label}: ${t('{n} aplic. • {schedule} • regularidade {rate} • última dose {dose}', { n: m.count, schedule: m.schedule, rate, dose: formatDose(m.lastDose, m.unit) })}`);
+    }
+  }
+  lines.push('');
+  lines.push(`${t('Pesos:')} ${summary.weight.count}`);
+  lines.push(`${t('Peso início → fim:')} ${formatWeightRange(summary.weight.startKg, summary.weight.endKg)}`);
+  lines.push(`${t('Delta:')} ${Number.isFinite(summary.weight.deltaKg) ? formatDeltaKg(summary.weight.deltaKg) : '—'}`);
+  lines.push(`${t('Tendência:')} ${formatKgPerWeek(summary.weight.perWeekKg)}`);
+  if (summary.weight.comparison && summary.weight.comparison.mode !== 'all') {
+    lines.push(`${t('Comparação:')} ${describeComparisonCount(summary.weight.comparison)}`);
+  }
+  
+  // IMC (calculado a partir do último peso e altura configurada, se disponível)
+  const lastWeight = summary?.last?.weight?.weightKg;
+  if (lastWeight && Number.isFinite(lastWeight)) {
+    const imcHeight = settings?.imcHeight; // altura já disponível nas configurações
+    if (imcHeight && imcHeight > 0) {
+      const heightM = imcHeight / 100;
+      const imc = lastWeight / (heightM * heightM);
+      let classification = '';
+      if (imc < 18.5) classification = t('Abaixo do peso');
+      else if (imc < 25) classification = t('Peso normal');
+      else if (imc < 30) classification = t('Sobrepeso');
+      else classification = t('Obesidade');
+      lines.push(t('IMC atual: {imc} ({classification}) — altura {height}', { imc: formatDecimal(imc), classification, height: formatHeight(imcHeight) }));
+    }
+  }
+  
+  lines.push('');
+  lines.push(`${t('Medidas:')} ${summary.measures.count}`);
+  if (summary.measures.deltaByField) {
+    const ms = Object.entries(summary.measures.deltaByField)
+      .map(([k, v]) => `${k} ${formatDeltaCm(v)}`)
+      .join(' • ');
+    lines.push(`${t('Delta (início → fim):')} ${ms || '—'}`);
+  } else {
+    lines.push(`${t('Delta (início → fim):')} —`);
+  }
+  lines.push('');
+  if (summary.symptoms.averages) {
+    const sx = Object.keys(summary.symptoms.averages)
+      .map((k) => `${symptomLabel(k)} ${formatDecimal(summary.symptoms.averages[k] ?? 0)}`)
+      .join(' • ');
+    lines.push(`${t('Sintomas médios (0–10):')} ${sx || '—'}`);
+  }
+  lines.push('');
+  lines.push(t('Observações: sem orientação médica; apenas organização de dados.'));
+  return lines.join('\n');
+}
+
+export function buildInsightsSummaryHtmlFromSummary(summary, settings, nowDate = clock.now()) {
+  const d = Math.max(1, Math.floor(Number(summary?.periodDays) || 30));
+  const birth = resolvePatientBirthInfo(settings, nowDate);
+
+  const medName = String(summary?.medicationName || '').trim();
+  const hasOfficial = Boolean(String(settings?.medRefUrl || '').trim() || String(settings?.medOfficialText || '').trim());
+
+  const pct = summary.injections.onTimeRate === null ? '—' : `${Math.round(summary.injections.onTimeRate * 100)}%`;
+  const meanDays = summary.injections.meanDaysBetween ? formatDecimal(summary.injections.meanDaysBetween) : '—';
+
+  const wRange = formatWeightRange(summary.weight.startKg, summary.weight.endKg);
+  const wDelta = Number.isFinite(summary.weight.deltaKg) ? formatDeltaKg(summary.weight.deltaKg) : '—';
+  const wTrend = formatKgPerWeek(summary.weight.perWeekKg);
+
+  const measuresDelta = summary.measures.deltaByField
+    ? Object.entries(summary.measures.deltaByField)
+      .map(([k, v]) => `${k} ${formatDeltaCm(v)}`)
+      .join(' • ')
+    : '';
+
+  const sx = summary.symptoms.averages
+    ? Object.keys(summary.symptoms.averages)
+      .map((k) => `${symptomLabel(k)} ${formatDecimal(summary.symptoms.averages[k] ?? 0)}`)
+      .join(' • ')
+    : '';
+
+  const title = t('Resumo DoseCheck — últimos {days} dias', { days: d });
+
+  const lastHtml = (() => {
+    const li = summary?.last?.injection;
+    const lw = summary?.last?.weight;
+    const lm = summary?.last?.measures;
+    const parts = [];
+    if (li) {
+      parts.push(`${escapeHtml(t('Última aplicação:'))} ${escapeHtml(formatDateTimePtBr(li.dateTimeISO))} • ${escapeHtml(String(li.medName || '—'))} • ${escapeHtml(formatDoseMg(li.doseMg))} • ${escapeHtml(siteLabel(li.site))}`);
+    }
+    if (lw) {
+      parts.push(`${escapeHtml(t('Último peso:'))} ${escapeHtml(formatDateTimePtBr(lw.dateTimeISO))} • ${escapeHtml(formatKg(lw.weightKg))} (${escapeHtml(lw.fasting ? t('jejum') : t('sem jejum'))})`);
+    }
+    if (lm) {
+      const mParts = [];
+      if (lm.waistCm !== null && lm.waistCm !== undefined) mParts.push(`${escapeHtml(t('Cintura'))} ${escapeHtml(formatCm(lm.waistCm))}`);
+      if (lm.hipCm !== null && lm.hipCm !== undefined) mParts.push(`${escapeHtml(t('Quadril'))} ${escapeHtml(formatCm(lm.hipCm))}`);
+      if (lm.neckCm !== null && lm.neckCm !== undefined) mParts.push(`${escapeHtml(t('Pescoço'))} ${escapeHtml(formatCm(lm.neckCm))}`);
+      if (mParts.length) parts.push(`${escapeHtml(t('Últimas medidas:'))} ${escapeHtml(formatDatePtBr(lm.dateISO))} • ${mParts.join(' • ')}`);
+    }
+    if (!parts.length) return '';
+    return `<div style="margin-top:10px; border:1px solid #e2e8f0; border-radius:12px; padding:10px 12px; background:#ffffff; color:#0f172a; font-size:12px; line-height:1.35;">${parts.join('<br/>')}</div>`;
+  })();
+
+  const name = String(settings?.patientName || '').trim();
+  const patientHtml = name
+    ? `
+      <div style="border:1px solid #e2e8f0; border-radius:12px; padding:10px 12px; background:#ffffff;">
+        <div style="font-weight:900; color:#0f172a; font-size:14px;">${escapeHtml(name)}</div>
+        <div style="margin-top:4px; color:#334155; font-size:12px;">
+          ${birth.label ? `<span style=\"font-weight:800; color:#64748b;\">${escapeHtml(t('Nascimento:'))}</span> <span style=\"font-weight:900; color:#0f172a;\">${escapeHtml(birth.label)}</span>` : ''}
+          ${Number.isFinite(birth.ageYears) ? ` <span style=\"font-weight:900; color:#16a34a;\">(${escapeHtml(t(birth.approx ? '{n} anos aprox.' : '{n} anos', { n: birth.ageYears }))})</span>` : ''}
+        </div>
+      </div>
+    `.trim()
+    : '';
+
+  const section = (label, color, bodyHtml) => `
+    <div style="margin-top:10px; border-left:6px solid ${color}; background:#ffffff; border:1px solid #e2e8f0; border-radius:12px; padding:10px 12px;">
+      <div style="font-weight:1000; color:#0f172a; text-transform:uppercase; letter-spacing:.03em; font-size:12px;">${escapeHtml(label)}</div>
+      <div style="margin-top:6px; color:#0f172a; font-size:13px; line-height:1.35;">${bodyHtml}</div>
+    </div>
+  `.trim();
+
+  const appsHtml = `
+    <div><span style="color:#64748b; font-weight:900;">${escapeHtml(t('Aplicações:'))}</span> <span style="font-weight:1000;">${escapeHtml(String(summary.injections.count))}</span></div>
+    <div><span style="color:#64748b; font-weight:900;">${escapeHtml(t('Regularidade ({window}):', { window: summary.injections.regularityWindow || t('6–8 dias') }))}</span> <span style="font-weight:1000;">${escapeHtml(pct)}</span></div>
+    <div><span style="color:#64748b; font-weight:900;">${escapeHtml(t('Média entre aplicações:'))}</span> <span style="font-weight:1000;">${escapeHtml(t('{n} dia(s)', { n: meanDays }))}</span></div>
+    ${(summary.medications || []).length > 1 ? summary.medications.map((m) => `<div>• ${escapeHtml(m.label)}: ${escapeHtml(t('{n} aplic.', { n: m.count }))} • ${escapeHtml(m.schedule)} • ${escapeHtml(m.onTimeRate === null ? '—' : `${Math.round(m.onTimeRate * 100)}%`)}</div>`).join('') : ''}
+  `.trim();
+
+  const weightHtml = `
+    <div><span style="color:#64748b; font-weight:900;">${escapeHtml(t('Registros:'))}</span> <span style="font-weight:1000;">${escapeHtml(String(summary.weight.count))}</span></div>
+    <div><span style="color:#64748b; font-weight:900;">${escapeHtml(t('Início → fim:'))}</span> <span style="font-weight:1000;">${escapeHtml(wRange)}</span></div>
+    <div><span style="color:#64748b; font-weight:900;">${escapeHtml(t('Delta:'))}</span> <span style="font-weight:1000;">${escapeHtml(wDelta)}</span></div>
+    <div><span style="color:#64748b; font-weight:900;">${escapeHtml(t('Tendência:'))}</span> <span style="font-weight:1000;">${escapeHtml(wTrend)}</span></div>
+    ${summary.weight.comparison && summary.weight.comparison.mode !== 'all' ? `<div><span style="color:#64748b; font-weight:900;">${escapeHtml(t('Comparação:'))}</span> <span style="font-weight:1000;">${escapeHtml(describeComparisonCount(summary.weight.comparison))}</span></div>` : ''}
+  `.trim();
+
+  const measuresHtml = `
+    <div><span style="color:#64748b; font-weight:900;">${escapeHtml(t('Registros:'))}</span> <span style="font-weight:1000;">${escapeHtml(String(summary.measures.count))}</span></div>
+    <div><span style="color:#64748b; font-weight:900;">${escapeHtml(t('Delta (início → fim):'))}</span> <span style="font-weight:1000;">${escapeHtml(measuresDelta || '—')}</span></div>
+  `.trim();
+
+  const symptomsHtml = `
+    <div><span style="color:#64748b; font-weight:900;">${escapeHtml(t('Sintomas médios (0–10):'))}</span></div>
+    <div style="margin-top:4px;">${escapeHtml(sx || '—')}</div>
+  `.trim();
+
+  return `
+    <div style="font-family: system-ui, -apple-system, Segoe UI, Roboto, Arial; border:2px solid #0ea5e9; border-radius:16px; padding:14px; background:#f8fafc;">
+      <div style="font-weight:1000; color:#0f172a; font-size:16px;">${escapeHtml(title)}</div>
+      <div style="margin-top:6px; color:#475569; font-size:12px;">${escapeHtml(t('Gerado pelo DoseCheck. Sem orientação médica; apenas organização de dados.'))}</div>
+      <div style="margin-top:6px; color:#0f172a; font-size:12px;">
+        ${medName ? `<span style=\"font-weight:900; color:#64748b;\">${escapeHtml(t('Medicação:'))}</span> <span style=\"font-weight:1000;\">${escapeHtml(medName)}</span>` : ''}
+        ${medName ? ' • ' : ''}
+        <span style="font-weight:900; color:#64748b;">${escapeHtml(t('Referência oficial:'))}</span>
+        <span style="font-weight:1000; color:${hasOfficial ? '#16a34a' : '#b45309'};">${escapeHtml(hasOfficial ? t('fornecida') : t('não informada'))}</span>
+      </div>
+      ${patientHtml ? `<div style=\"margin-top:10px;\">${patientHtml}</div>` : ''}
+      ${lastHtml ? `<div style=\"margin-top:10px;\">${lastHtml}</div>` : ''}
+      ${section(t('Aplicações'), '#2563eb', appsHtml)}
+      ${section(t('Peso'), '#7c3aed', weightHtml)}
+      ${section(t('Medidas'), '#0f766e', measuresHtml)}
+      ${section(t('Sintomas'), '#f59e0b', symptomsHtml)}
+    </div>
+  `.trim();
+}
+
+// Requisito: função createAiPrompt(summary)
+export function createAiPrompt(summary, settings = null) {
+  const days = Math.max(1, Math.floor(Number(summary?.periodDays) || 30));
+  // IMPORTANTE: o prompt explicita limites (sem prescrição de dose/instrução médica)
+  // e pede resposta em cards curtos.
+
+  const medRefUrl = String(settings?.medRefUrl || '').trim();
+  const medOfficialText = String(settings?.medOfficialText || '').trim();
+  const hasOfficial = Boolean(medRefUrl || medOfficialText);
+
+  const officialBlock = hasOfficial
+    ? [
+      '',
+      t('Referência oficial do medicamento (fornecida pelo usuário):'),
+      medRefUrl ? `- Link: ${medRefUrl}` : '- Link: —',
+      medOfficialText ? `${t('- Trecho (cole abaixo):')}\n${clampText(medOfficialText, 3500)}` : t('- Trecho: —'),
+      '',
+      t('Regras para usar a referência oficial:'),
+      t('- Use apenas como base informativa; NÃO prescreva dose nem faça instruções médicas.'),
+      t('- Se houver conflito entre dados do diário e a referência, destaque como “ponto para checar com médico”.'),
+      t('- Se faltar informação na referência, diga que não encontrou no trecho fornecido.')
+    ].join('\n')
+    : [
+      '',
+      t('Referência oficial do medicamento: não fornecida. Não consultei bula/rotulagem.'),
+      t('Mantenha sugestões gerais (hábitos/organização) e indique pontos para conversar com profissional.')
+    ].join('\n');
+
+  // O JSON fica em kg/cm; a resposta deve usar as unidades do paciente.
+  const unitsLine = units.weightUnit() === 'kg' && units.lengthUnit() === 'cm'
+    ? []
+    : [t('No JSON, pesos estão em kg e medidas em cm; na resposta, use {weight} para peso e {length} para medidas.', { weight: weightUnitLabel(), length: units.lengthUnit() })];
+
+  return [
+    t('Você é um assistente de análise de saúde para um diário de medicação e métricas corporais.'),
+    t('Tarefa: identificar padrões, regularidade, possíveis gatilhos e sugestões de hábitos.'),
+    t('Restrições críticas:'),
+    t('- NÃO prescreva doses, NÃO oriente uso de medicamento, NÃO dê instruções médicas.'),
+    t('- NÃO faça diagnóstico. Não substitui médico.'),
+    t('- Foque em hábitos, consistência, registro e sinais para conversar com profissional.'),
+    '',
+    t('Resuma em até 6 cards, cada card com: title, insight, action (curta e prática).'),
+    t('Use linguagem em pt-BR, amigável e sem alarmismo.'),
+    ...unitsLine,
+    officialBlock,
+    '',
+    t('Aqui está o resumo estruturado do período selecionado ({days} dias) (JSON):', { days }),
+    JSON.stringify(summary, null, 2)
+  ].join('\n');
+}
+
+export function mockAnalyze(summary) {
+  const days = Math.max(1, Math.floor(Number(summary?.periodDays) || 30));
+  // Mock local: resposta em cards com recomendações não-médicas.
+  const cards = [];
+
+  const inj = summary.injections;
+  if (inj.count === 0) {
+    cards.push({
+      title: t('Sem aplicações registradas'),
+      insight: t('Não encontrei registros de aplicação nos últimos {days} dias. Pode ser que você tenha pausado ou só não registrou.', { days }),
+      action: t('Se aplicou, registre as datas para melhorar seus insights.')
+    });
+  } else {
+    const rate = inj.onTimeRate === null ? null : Math.round(inj.onTimeRate * 100);
+    cards.push({
+      title: t('Regularidade'),
+      insight: `${t('Você registrou {n} aplicação(ões) nos últimos {days} dias.', { n: inj.count, days })} ${inj.meanDaysBetween ? t('Média de {n} dias entre aplicações.', { n: formatDecimal(inj.meanDaysBetween) }) : ''}`,
+      action: rate !== null
+        ? t('Rotina “no ritmo”: {rate}% dos intervalos dentro de {window}. Ajuste agenda/lembrete se precisar.', { rate, window: inj.regularityWindow || t('6–8 dias') })
+        : t('Registre pelo menos 2 aplicações para avaliar a regularidade.')
+    });
+  }
+
+  const wt = summary.weight;
+  if (wt.count >= 2) {
+    cards.push({
+      title: t('Tendência de peso ({days} dias)', { days }),
+      insight: t('Variação aproximada: {delta} (de {start} para {end}).', { delta: formatDeltaKg(wt.deltaKg), start: formatMaybeKg(wt.startKg), end: formatMaybeKg(wt.endKg) }),
+      action: wt.perWeekLowKg === null
+        ? t('Tendência por semana: {perWeek}. Compare sempre em condições parecidas (ex.: jejum).', { perWeek: formatKgPerWeek(wt.perWeekKg) })
+        : t('Tendência por semana: {perWeek} (faixa de 95%: {low} a {high}). Compare sempre em condições parecidas (ex.: jejum).', { perWeek: formatKgPerWeek(wt.perWeekKg), low: formatKgPerWeek(wt.perWeekLowKg), high: formatKgPerWeek(wt.perWeekHighKg) })
+    });
+  } else {
+    cards.push({
+      title: t('Peso: dados insuficientes'),
+      insight: t('Com menos de 2 registros de peso em {days} dias, fica difícil identificar tendência.', { days }),
+      action: t('Tente pesar 2–3x por semana (idealmente no mesmo horário/condição).')
+    });
+  }
+
+  const ms = summary.measures;
+  const d = ms.deltaByField || {};
+  const deltaKeys = Object.keys(d);
+  if (ms.count >= 2 && deltaKeys.length) {
+    const top = deltaKeys
+      .map((k) => ({ k, v: d[k] }))
+      .sort((a, b) => Math.abs(b.v) - Math.abs(a.v))
+      .slice(0, 3)
+      .map((x) => `${x.k} ${formatDeltaCm(x.v)}`)
+      .join(' • ');
+
+    cards.push({
+      title: t('Medidas: variações'),
+      insight: t('Principais mudanças (início → fim do período): {top}.', { top }),
+      action: t('Para comparar melhor, use sempre a mesma fita/posição e registre 1x/semana.')
+    });
+  } else {
+    cards.push({
+      title: t('Medidas: consistência'),
+      insight: t('Poucas medidas registradas no período. Oscilações pequenas são normais.'),
+      action: t('Se fizer sentido, registre medidas 1x por semana para ver tendência.')
+    });
+  }
+
+  const sym = summary.symptoms;
+  if (sym.top && sym.top.length) {
+    const [a, b] = sym.top;
+    cards.push({
+      title: t('Sintomas mais comuns'),
+      insight: t('Médias (0–10): {list}.', { list: `${a.label} ${formatDecimal(a.avg)}${b ? ` • ${b.label} ${formatDecimal(b.avg)}` : ''}` }),
+      action: t('Anote contexto (sono, horário da refeição, estresse) para encontrar gatilhos.')
+    });
+  } else {
+    cards.push({
+      title: t('Sintomas'),
+      insight: t('Nenhuma aplicação (ou sintomas) registrada no período.'),
+      action: t('Se for útil, registre sintomas 0–10 por 24–48h após a aplicação.')
+    });
+  }
+
+  cards.push({
+    title: t('Próximo passo (não médico)'),
+    insight: t('O melhor insight vem de consistência: registros curtos e frequentes.'),
+    action: t('Defina um lembrete semanal e registre aplicação + peso no mesmo dia sempre que possível.')
+  });
+
+  return { cards, disclaimer: t('Análise informativa, não é orientação médica.') };
+}
@@ -0,0 +1,247 @@
+/*
+  DoseCheck - core/sync.js
+  Sincronização entre aparelhos sem servidor: cada aparelho gera um arquivo de sincronização
+  e o outro recebe. Sem dependências de DOM nem de IndexedDB.
+
+  Cada registro tem um vetor de revisões ({ [deviceId]: contador }) que o aparelho incrementa
+  ao gravar ou apagar. Excluir deixa uma lápide (entrada deleted, sem registro), que viaja
+  no arquivo como qualquer outra alteração.
+
+  Ao receber, para cada registro:
+  - vetor do arquivo à frente do local: usa o do arquivo
+  - vetor local à frente: mantém (o outro aparelho recebe no próximo arquivo daqui)
+  - editado nos dois lados (vetores concorrentes): vence a gravação mais recente
+    (desempate pelo deviceId) e a revisão passa a ser a união dos dois vetores.
+  A regra é a mesma nos dois aparelhos, então depois de um arquivo em cada sentido
+  os dois ficam iguais.
+
+  Entrada (arquivo e estado local):
+  { store, id, rev, updatedAtISO, deviceId, deleted, record }
+  Configurações do perfil são uma entrada única: store 'settings', id 'settings'.
+*/
+
+import { clock } from './clock.js';
+import { t } from './i18n.js';
+import { changedFields, stableStringify } from './merge.js';
+
+export const SYNC_FORMAT = 'dosecheck-sync';
+export const SYNC_VERSION = 1;
+
+export const SYNC_STORES = ['medications', 'inventory', 'injections', 'weights', 'measures'];
+export const SYNC_SETTINGS_STORE = 'settings';
+export const SYNC_SETTINGS_ID = 'settings';
+
+export function syncMetaKey(store, id) {
+  return `${store}:${id}`;
+}
+
+// Chave no IndexedDB: ids de registro são únicos no aparelho; as configurações, uma por perfil.
+export function syncStorageKey(store, id, profileId) {
+  return store === SYNC_SETTINGS_STORE ? syncMetaKey(store, profileId) : syncMetaKey(store, id);
+}
+
+// -----------------------------
+// Vetores de revisão
+// -----------------------------
+
+export function bumpRevision(rev, deviceId) {
+  const out = { ...(rev || {}) };
+  out[deviceId] = (Number(out[deviceId]) || 0) + 1;
+  return out;
+}
+
+export function mergeRevisions(a, b) {
+  const out = { ...(a || {}) };
+  for (const [device, n] of Object.entries(b || {})) {
+    out[device] = Math.max(Number(out[device]) || 0, Number(n) || 0);
+  }
+  return out;
+}
+
+// 'equal' | 'newer' (a viu tudo de b e mais) | 'older' | 'concurrent'
+export function compareRevisions(a, b) {
+  let ahead = false;
+  let behind = false;
+  const devices = new Set([...Object.keys(a || {}), ...Object.keys(b || {})]);
+  for (const device of devices) {
+    const x = Number(a?.[device]) || 0;
+    const y = Number(b?.[device]) || 0;
+    if (x > y) ahead = true;
+    if (x < y) behind = true;
+  }
+  if (ahead && behind) return 'concurrent';
+  if (ahead) return 'newer';
+  if (behind) return 'older';
+  return 'equal';
+}
+
+// Metadados de uma gravação/exclusão local (prev: metadados atuais do registro, se houver).
+export function touchSyncMeta(prev, { store, id, profileId, deviceId, deleted = false }, nowDate = clock.now()) {
+  return {
+    key: syncStorageKey(store, id, profileId),
+    store,
+    recordId: id,
+    profileId,
+    rev: bumpRevision(prev?.rev, deviceId),
+    updatedAtISO: nowDate.toISOString(),
+    deviceId,
+    deleted
+  };
+}
+
+// -----------------------------
+// Arquivo de sincronização
+// -----------------------------
+
+// Estado local -> entradas. Registros sem metadados (anteriores à sincronização) vão com vetor vazio.
+// metas: metadados do perfil; lápides (deleted) entram mesmo sem registro.
+export function buildSyncEntries({ records = {}, settings = null, metas = [] }) {
+  const metaByKey = new Map(metas.map((m) => [syncMetaKey(m.store, m.recordId), m]));
+  const entry = (store, id, record) => {
+    const meta = metaByKey.get(syncMetaKey(store, id));
+    return {
+      store,
+      id,
+      rev: meta?.rev || {},
+      updatedAtISO: meta?.updatedAtISO || '',
+      deviceId: meta?.deviceId || '',
+      deleted: false,
+      record
+    };
+  };
+
+  const entries = [];
+  const live = new Set();
+  for (const store of SYNC_STORES) {
+    for (const rec of records[store] || []) {
+      entries.push(entry(store, rec.id, rec));
+      live.add(syncMetaKey(store, rec.id));
+    }
+  }
+  if (settings) entries.push(entry(SYNC_SETTINGS_STORE, SYNC_SETTINGS_ID, settings));
+
+  for (const m of metas) {
+    if (!m.deleted || live.has(syncMetaKey(m.store, m.recordId))) continue;
+    entries.push({ store: m.store, id: m.recordId, rev: m.rev || {}, updatedAtISO: m.updatedAtISO || '', deviceId: m.deviceId || '', deleted: true, record: null });
+  }
+  return entries;
+}
+
+export function buildSyncPackage({ deviceId, profile, entries }, nowDate = clock.now()) {
+  return {
+    format: SYNC_FORMAT,
+    version: SYNC_VERSION,
+    deviceId,
+    exportedAtISO: nowDate.toISOString(),
+    profile: { id: profile?.id || '', name: profile?.name || '' },
+    entries
+  };
+}
+
+export function isSyncPackage(obj) {
+  return Boolean(obj && typeof obj === 'object' && obj.format === SYNC_FORMAT);
+}
+
+export function validateSyncPackage(obj) {
+  if (!isSyncPackage(obj)) throw new Error('Arquivo não é uma sincronização do DoseCheck.');
+  if (obj.version !== SYNC_VERSION) {
+    throw new Error(t('Sincronização na versão {version}, não suportada por esta versão do app. Atualize o DoseCheck nos dois aparelhos.', { version: obj.version }));
+  }
+  if (!Array.isArray(obj.entries)) throw new Error('Arquivo de sincronização inválido.');
+  const stores = new Set([...SYNC_STORES, SYNC_SETTINGS_STORE]);
+  for (const e of obj.entries) {
+    if (!e || !stores.has(e.store) || !e.id || typeof e.rev !== 'object' || (!e.deleted && (!e.record || typeof e.record !== 'object'))) {
+      throw new Error('Arquivo de sincronização inválido: entrada sem store, id, revisão ou registro.');
+    }
+  }
+  return obj;
+}
+
+// -----------------------------
+// Plano de sincronização
+// -----------------------------
+
+function sameContent(a, b) {
+  if (a.deleted || b.deleted) return a.deleted === b.deleted;
+  return changedFields(a.record, b.record).length === 0;
+}
+
+// Desempate determinístico entre edições concorrentes: mais recente, depois deviceId, depois conteúdo.
+function remoteWins(local, remote) {
+  if (remote.updatedAtISO !== local.updatedAtISO) return remote.updatedAtISO > local.updatedAtISO;
+  if (remote.deviceId !== local.deviceId) return remote.deviceId > local.deviceId;
+  return stableStringify(remote.record) > stableStringify(local.record);
+}
+
+/*
+  Entradas locais + entradas do arquivo -> o que gravar aqui.
+  apply: [{ store, id, deleted, record, meta: { rev, updatedAtISO, deviceId }, from }]
+    (deleted: apagar o registro e guardar a lápide; record: gravar;
+     from 'local': a versão daqui venceu e só a revisão mudou — precisa voltar ao outro lado)
+  stats: { received, deleted, conflicts, unchanged, outdated }
+    outdated: registros em que este aparelho está à frente (vão no próximo arquivo daqui)
+*/
+export function planSync(localEntries, remoteEntries) {
+  const localByKey = new Map(localEntries.map((e) => [syncMetaKey(e.store, e.id), e]));
+  const apply = [];
+  const stats = { received: 0, deleted: 0, conflicts: 0, unchanged: 0, outdated: 0 };
+
+  const take = (winner, rev, from = 'remote') => {
+    apply.push({
+      store: winner.store,
+      id: winner.id,
+      deleted: Boolean(winner.deleted),
+      record: winner.deleted ? null : winner.record,
+      meta: { rev, updatedAtISO: winner.updatedAtISO, deviceId: winner.deviceId },
+      from
+    });
+  };
+  const count = (winner, local) => {
+    if (winner.deleted) {
+      if (!local?.deleted) stats.deleted++;
+    } else {
+      stats.received++;
+    }
+  };
+
+  for (const remote of remoteEntries) {
+    const local = localByKey.get(syncMetaKey(remote.store, remote.id));
+    if (!local) {
+      take(remote, remote.rev);
+      if (!remote.deleted) stats.received++;
+      continue;
+    }
+
+    const order = compareRevisions(remote.rev, local.rev);
+    if (order === 'older') {
+      stats.outdated++;
+      continue;
+    }
+    if (order === 'newer') {
+      take(remote, remote.rev);
+      if (sameContent(local, remote)) {
+        stats.unchanged++;
+      } else {
+        count(remote, local);
+      }
+      continue;
+    }
+    if (sameContent(local, remote)) {
+      // Mesmo conteúdo com vetores iguais ou concorrentes: só une as revisões.
+      if (order === 'concurrent') take(local, mergeRevisions(local.rev, remote.rev), 'local');
+      stats.unchanged++;
+      continue;
+    }
+
+    stats.conflicts++;
+    const rev = mergeRevisions(local.rev, remote.rev);
+    if (remoteWins(local, remote)) {
+      take(remote, rev);
+      count(remote, local);
+    } else {
+      take(local, rev, 'local');
+      stats.outdated++;
+    }
+  }
+  return { apply, stats };
+}
@@ -0,0 +1,167 @@
+/*
+  DoseCheck - core/titration.js
+  Plano de titulação por medicamento: degraus de dose (ex.: 2,5 → 5 → 7,5 mg a cada 4 semanas).
+  Sem dependências de DOM.
+
+  Formato gravado no medicamento: titration = { startDate: 'YYYY-MM-DD', steps: [{ dose, weeks }] }.
+  O último degrau é a manutenção (sem fim); weeks dele é ignorado.
+*/
+
+import { addDays, compareDateKeys, getLocalDateKey, isIsoDateOnly, parseDateKeyToLocalDate } from './dates.js';
+import { formatDatePtBr, formatDecimalForInput, formatDose, parseNumberPtBr } from './format.js';
+import { t } from './i18n.js';
+
+export const DEFAULT_STEP_WEEKS = 4;
+
+// Diferença abaixo disso conta como "mesma dose" (arredondamento de digitação).
+const DOSE_TOLERANCE = 0.0001;
+
+function normalizeWeeks(value, fallback = DEFAULT_STEP_WEEKS) {
+  const n = Math.round(Number(value));
+  return Number.isFinite(n) && n >= 1 && n <= 104 ? n : fallback;
+}
+
+// Plano válido ou null (sem data de início ou sem degraus com dose positiva).
+export function normalizeTitrationPlan(input) {
+  if (!input || !isIsoDateOnly(String(input.startDate || ''))) return null;
+  const steps = (Array.isArray(input.steps) ? input.steps : [])
+    .map((s) => ({ dose: parseNumberPtBr(s?.dose), weeks: normalizeWeeks(s?.weeks) }))
+    .filter((s) => Number.isFinite(s.dose) && s.dose > 0);
+  if (!steps.length) return null;
+  return { startDate: String(input.startDate), steps };
+}
+
+// Texto do formulário → degraus. Aceita "2,5 → 5 → 7,5", "2,5 x4; 5 x6; 7,5" e "2.5 mg -> 5 mg".
+// Degraus sem "xN" usam defaultWeeks. Vírgula é decimal, então não separa degraus.
+export function parseTitrationSteps(text, defaultWeeks = DEFAULT_STEP_WEEKS) {
+  const weeksFallback = normalizeWeeks(defaultWeeks);
+  const tokens = String(text || '')
+    .split(/→|->|>|;|\||\n/)
+    .map((t) => t.trim())
+    .filter(Boolean);
+
+  return tokens.map((token) => {
+    const m = token.match(/^(\d+(?:[.,]\d+)?)\s*(?:mg|mcg|ui|ml)?\s*(?:[x×*]\s*(\d+)\s*(?:sem(?:anas?)?)?)?$/i);
+    if (!m) throw new Error(t('Degrau de titulação inválido: "{step}".', { step: token }));
+    const dose = parseNumberPtBr(m[1]);
+    if (!(dose > 0)) throw new Error(t('Dose inválida no degrau "{step}".', { step: token }));
+    return { dose, weeks: m[2] ? normalizeWeeks(m[2], weeksFallback) : weeksFallback };
+  });
+}
+
+// Inverso de parseTitrationSteps (para reabrir o formulário).
+export function formatTitrationStepsInput(plan) {
+  if (!plan?.steps?.length) return '';
+  return plan.steps
+    .map((s, i) => (i < plan.steps.length - 1 ? `${formatDecimalForInput(s.dose)} x${s.weeks}` : formatDecimalForInput(s.dose)))
+    .join(' → ');
+}
+
+// Ex.: "2,5 mg (4 sem) → 5,0 mg (4 sem) → 7,5 mg (manutenção)"
+export function formatTitrationPlan(plan, unit = 'mg') {
+  if (!plan?.steps?.length) return '—';
+  return plan.steps
+    .map((s, i) => `${formatDose(s.dose, unit)} (${i < plan.steps.length - 1 ? t('{n} sem', { n: s.weeks }) : t('manutenção')})`)
+    .join(' → ');
+}
+
+// Degrau vigente em dateKey (YYYY-MM-DD local).
+// Antes do início: index -1, com o primeiro degrau como "próximo".
+// endKey é exclusivo (primeiro dia do degrau seguinte); null na manutenção.
+export function resolveTitrationStep(plan, dateKey) {
+  if (!plan?.steps?.length) return null;
+  const total = plan.steps.length;
+  const day = parseDateKeyToLocalDate(dateKey);
+
+  if (compareDateKeys(dateKey, plan.startDate) < 0) {
+    return {
+      index: -1,
+      total,
+      step: null,
+      startKey: null,
+      endKey: plan.startDate,
+      maintenance: false,
+      daysRemaining: Math.round((parseDateKeyToLocalDate(plan.startDate) - day) / 86_400_000),
+      weeksRemaining: null,
+      next: plan.steps[0],
+      nextStartKey: plan.startDate
+    };
+  }
+
+  let start = parseDateKeyToLocalDate(plan.startDate);
+  for (let i = 0; i < total; i++) {
+    const step = plan.steps[i];
+    const maintenance = i === total - 1;
+    const end = maintenance ? null : addDays(start, step.weeks * 7);
+    if (maintenance || day < end) {
+      const daysRemaining = end ? Math.round((end - day) / 86_400_000) : null;
+      return {
+        index: i,
+        total,
+        step,
+        startKey: getLocalDateKey(start),
+        endKey: end ? getLocalDateKey(end) : null,
+        maintenance,
+        daysRemaining,
+        weeksRemaining: daysRemaining === null ? null : Math.ceil(daysRemaining / 7),
+        next: maintenance ? null : plan.steps[i + 1],
+        nextStartKey: end ? getLocalDateKey(end) : null
+      };
+    }
+    start = end;
+  }
+  return null;
+}
+
+export function plannedDoseOn(plan, dateKey) {
+  const r = resolveTitrationStep(plan, dateKey);
+  return r && r.step ? r.step.dose : null;
+}
+
+// Planejado × registrado, uma linha por aplicação com dose.
+// status: 'ok' | 'above' | 'below' | 'unplanned' (antes do início do plano ou sem plano).
+export function compareDosesWithPlan(injectionsAsc, plan) {
+  const out = [];
+  for (const inj of injectionsAsc || []) {
+    const dose = Number(inj.doseMg);
+    if (!Number.isFinite(dose)) continue;
+    const r = plan ? resolveTitrationStep(plan, getLocalDateKey(new Date(inj.dateTimeISO))) : null;
+    const planned = r && r.step ? r.step.dose : null;
+    let status = 'unplanned';
+    if (planned !== null) {
+      if (Math.abs(dose - planned) < DOSE_TOLERANCE) status = 'ok';
+      else status = dose > planned ? 'above' : 'below';
+    }
+    out.push({
+      injectionId: inj.id,
+      dateTimeISO: inj.dateTimeISO,
+      doseMg: dose,
+      plannedDose: planned,
+      stepIndex: r && r.step ? r.index : null,
+      status
+    });
+  }
+  return out;
+}
+
+export const TITRATION_STATUS_LABELS = {
+  ok: 'conforme',
+  above: 'acima do plano',
+  below: 'abaixo do plano',
+  unplanned: 'fora do plano'
+};
+
+// Resumo curto para o dashboard. Ex.: "Degrau 2 de 3 • 5,0 mg • faltam 3 semanas • próxima: 7,5 mg em 29/06/2024"
+export function describeTitrationStatus(plan, dateKey, unit = 'mg') {
+  const r = resolveTitrationStep(plan, dateKey);
+  if (!r) return null;
+  const nextText = r.next ? t('próxima: {dose} em {date}', { dose: formatDose(r.next.dose, unit), date: formatDatePtBr(r.nextStartKey) }) : '';
+
+  if (r.index < 0) {
+    return { ...r, title: t('Começa em {date}', { date: formatDatePtBr(plan.startDate) }), detail: nextText };
+  }
+  const title = t('Degrau {n} de {total} • {dose}', { n: r.index + 1, total: r.total, dose: formatDose(r.step.dose, unit) });
+  if (r.maintenance) return { ...r, title, detail: t('manutenção') };
+  const remaining = r.weeksRemaining === 1 ? t('falta 1 semana') : t('faltam {n} semanas', { n: r.weeksRemaining });
+  return { ...r, title, detail: `${remaining} • ${nextText}` };
+}
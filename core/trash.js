@@ -0,0 +1,108 @@
+/*
+  DoseCheck - core/trash.js
+  Lixeira: o que é excluído no app (uma aplicação, um peso, medidas ou o "Apagar tudo")
+  vai para um store próprio e pode ser restaurado até a limpeza automática.
+  Sem dependências de DOM nem de IndexedDB.
+
+  Item: { key, store, recordId, profileId, record, deletedAtISO, batchId }
+  - key: 'store:id' (configurações: 'settings:<perfil>:<lote>', uma por exclusão: um segundo
+    "Apagar tudo" não sobrescreve a cópia de um anterior ainda na lixeira)
+  - batchId: o que saiu junto na mesma ação (desfazer/restaurar de uma vez)
+  Fora dos stores de dados, os itens não aparecem no dashboard, relatórios, insights
+  nem nos backups.
+*/
+
+import { clock } from './clock.js';
+import { DEFAULTS } from './constants.js';
+import { formatCm, formatDateOnlyPtBr, formatDateTimePtBr, formatDoseMg, formatKg } from './format.js';
+import { t } from './i18n.js';
+import { inventoryItemLabel } from './inventory.js';
+
+export const TRASH_STORES = ['injections', 'weights', 'measures', 'medications', 'inventory', 'settings'];
+export const TRASH_SETTINGS_STORE = 'settings';
+
+// Dias na lixeira antes de apagar de vez (configurável por perfil).
+export const TRASH_RETENTION_DAYS_DEFAULT = DEFAULTS.trashRetentionDays;
+export const TRASH_RETENTION_OPTIONS = [7, 30, 90];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const TRASH_STORE_LABELS = {
+  injections: 'Aplicação',
+  weights: 'Peso',
+  measures: 'Medidas',
+  medications: 'Medicamento',
+  inventory: 'Estoque',
+  settings: 'Configurações'
+};
+
+export function trashKey(store, id) {
+  return `${store}:${id}`;
+}
+
+export function normalizeTrashRetentionDays(value) {
+  const n = Math.floor(Number(value));
+  return TRASH_RETENTION_OPTIONS.includes(n) ? n : TRASH_RETENTION_DAYS_DEFAULT;
+}
+
+// Configurações não têm id: o item leva o id do perfil e a chave inclui o lote.
+export function buildTrashItem({ store, record, profileId, batchId = '' }, nowDate = clock.now()) {
+  if (!TRASH_STORES.includes(store)) throw new Error(t('Tipo de registro sem lixeira: {store}.', { store }));
+  const recordId = store === TRASH_SETTINGS_STORE ? profileId : record?.id;
+  if (!recordId) throw new Error('Registro sem id não vai para a lixeira.');
+  const perBatch = store === TRASH_SETTINGS_STORE && batchId;
+  return {
+    key: perBatch ? trashKey(store, `${recordId}:${batchId}`) : trashKey(store, recordId),
+    store,
+    recordId,
+    profileId,
+    record,
+    deletedAtISO: nowDate.toISOString(),
+    batchId: batchId || trashKey(store, recordId)
+  };
+}
+
+export function trashExpiresAt(item, retentionDays = TRASH_RETENTION_DAYS_DEFAULT) {
+  return new Date(new Date(item.deletedAtISO).getTime() + normalizeTrashRetentionDays(retentionDays) * DAY_MS);
+}
+
+// Itens que já passaram do prazo (data inválida conta como vencida).
+export function expiredTrashItems(items, retentionDays = TRASH_RETENTION_DAYS_DEFAULT, nowDate = clock.now()) {
+  return (items || []).filter((item) => {
+    const expires = trashExpiresAt(item, retentionDays).getTime();
+    return !Number.isFinite(expires) || expires <= nowDate.getTime();
+  });
+}
+
+// Mais recentes primeiro; dentro da mesma exclusão, pela ordem dos stores.
+export function sortTrashItems(items) {
+  return [...(items || [])].sort((a, b) => String(b.deletedAtISO).localeCompare(String(a.deletedAtISO))
+    || TRASH_STORES.indexOf(a.store) - TRASH_STORES.indexOf(b.store)
+    || String(a.recordId).localeCompare(String(b.recordId)));
+}
+
+export function trashItemsInBatch(items, batchId) {
+  return (items || []).filter((item) => item.batchId === batchId);
+}
+
+// Descrição curta do registro para a lista da lixeira.
+export function trashItemLabel(item) {
+  const r = item?.record || {};
+  const kind = t(TRASH_STORE_LABELS[item?.store] || 'Registro');
+  switch (item?.store) {
+    case 'injections':
+      return `${kind} • ${formatDateTimePtBr(r.dateTimeISO)} • ${r.medName || '—'} ${formatDoseMg(r.doseMg)}`;
+    case 'weights':
+      return `${kind} • ${formatDateTimePtBr(r.dateTimeISO)} • ${formatKg(r.weightKg)}`;
+    case 'measures':
+      return `${kind} • ${formatDateOnlyPtBr(r.dateISO)} • ${t('cintura {value}', { value: formatCm(r.waistCm) })}`;
+    case 'medications':
+      return `${kind} • ${r.name || '—'}`;
+    case 'inventory':
+      return `${kind} • ${inventoryItemLabel(r)}`;
+    case 'settings':
+      return t('Configurações do perfil');
+    default:
+      return kind;
+  }
+}
@@ -0,0 +1,133 @@
+/*
+  DoseCheck - core/trend.js
+  Tendência do peso: média móvel exponencial (EWMA) no tempo e reta de mínimos quadrados com
+  faixa de confiança de 95%. Sem dependências de DOM.
+
+  Pontos: { t (ms), y }. Uma manhã inchada desloca pouco as duas estimativas, ao contrário
+  da conta com a primeira e a última pesagem.
+  - EWMA com meia-vida em dias: o peso de cada pesagem depende do tempo desde a anterior,
+    então três pesagens no mesmo dia não valem por três semanas.
+  - Regressão: inclinação por dia, faixa da reta média (t de Student com poucas pesagens) e
+    faixa da inclinação (para dizer se a tendência é clara ou pode ser oscilação).
+*/
+
+export const EWMA_HALF_LIFE_DAYS = 7;
+
+const DAY_MS = 86_400_000;
+
+// t de Student bicaudal (95%) por graus de liberdade 1–30; acima disso, normal.
+const T95 = [12.706, 4.303, 3.182, 2.776, 2.571, 2.447, 2.365, 2.306, 2.262, 2.228, 2.201, 2.179, 2.16, 2.145, 2.131, 2.12, 2.11, 2.101, 2.093, 2.086, 2.08, 2.074, 2.069, 2.064, 2.06, 2.056, 2.052, 2.048, 2.045, 2.042];
+
+export function tCritical95(df) {
+  if (df < 1) return Infinity;
+  return df <= T95.length ? T95[df - 1] : 1.96;
+}
+
+// Pesagens -> pontos válidos em ordem de data.
+export function weightPoints(weights) {
+  return (weights || [])
+    .map((w) => ({ t: new Date(w.dateTimeISO).getTime(), y: Number(w.weightKg) }))
+    .filter((p) => Number.isFinite(p.t) && Number.isFinite(p.y))
+    .sort((a, b) => a.t - b.t);
+}
+
+// [{ t, y, smooth }]: a primeira pesagem começa a média; cada nova puxa a média
+// 1 − 0,5^(dias desde a anterior / meia-vida) do caminho até ela.
+export function ewmaSeries(points, halfLifeDays = EWMA_HALF_LIFE_DAYS) {
+  const sorted = [...points].sort((a, b) => a.t - b.t);
+  const out = [];
+  let smooth = null;
+  let prevT = null;
+  for (const p of sorted) {
+    if (smooth === null) smooth = p.y;
+    else {
+      const alpha = 1 - 0.5 ** (Math.max(0, p.t - prevT) / DAY_MS / halfLifeDays);
+      smooth += alpha * (p.y - smooth);
+    }
+    prevT = p.t;
+    out.push({ t: p.t, y: p.y, smooth });
+  }
+  return out;
+}
+
+// Reta de mínimos quadrados. null com menos de 2 pontos ou todos no mesmo instante.
+// residualSd/faixas ficam null com só 2 pontos (não há como medir a dispersão).
+export function fitLinearTrend(points) {
+  const n = points.length;
+  if (n < 2) return null;
+  const t0 = Math.min(...points.map((p) => p.t));
+  const xs = points.map((p) => (p.t - t0) / DAY_MS);
+  const mx = xs.reduce((a, b) => a + b, 0) / n;
+  const my = points.reduce((a, p) => a + p.y, 0) / n;
+  let sxx = 0;
+  let sxy = 0;
+  points.forEach((p, i) => {
+    sxx += (xs[i] - mx) ** 2;
+    sxy += (xs[i] - mx) * (p.y - my);
+  });
+  if (!(sxx > 0)) return null;
+
+  const slopePerDay = sxy / sxx;
+  let residualSd = null;
+  let slopeMarginPerDay = null;
+  if (n > 2) {
+    const sse = points.reduce((a, p, i) => a + (p.y - (my + slopePerDay * (xs[i] - mx))) ** 2, 0);
+    residualSd = Math.sqrt(sse / (n - 2));
+    slopeMarginPerDay = tCritical95(n - 2) * residualSd / Math.sqrt(sxx);
+  }
+
+  return {
+    n,
+    t0,
+    mx,
+    my,
+    sxx,
+    slopePerDay,
+    perWeekKg: slopePerDay * 7,
+    residualSd,
+    perWeekLowKg: slopeMarginPerDay === null ? null : (slopePerDay - slopeMarginPerDay) * 7,
+    perWeekHighKg: slopeMarginPerDay === null ? null : (slopePerDay + slopeMarginPerDay) * 7
+  };
+}
+
+export function trendValueAt(fit, t) {
+  return fit.my + fit.slopePerDay * ((t - fit.t0) / DAY_MS - fit.mx);
+}
+
+// Faixa de 95% da reta média em t: { low, high } (mais larga longe do meio do período).
+export function trendBandAt(fit, t) {
+  const value = trendValueAt(fit, t);
+  if (fit.residualSd === null) return { low: value, high: value };
+  const x = (t - fit.t0) / DAY_MS;
+  const margin = tCritical95(fit.n - 2) * fit.residualSd * Math.sqrt(1 / fit.n + (x - fit.mx) ** 2 / fit.sxx);
+  return { low: value - margin, high: value + margin };
+}
+
+/*
+  Tendência das pesagens (já no período desejado):
+  { n, startISO, endISO, startKg, endKg (valores da reta), perWeekKg, perWeekLowKg, perWeekHighKg,
+    smoothedKg (EWMA na última pesagem), clear (faixa da inclinação não inclui zero), fit, series }
+  null com menos de 2 pesagens em instantes diferentes.
+*/
+export function analyzeWeightTrend(weights, { halfLifeDays = EWMA_HALF_LIFE_DAYS } = {}) {
+  const points = weightPoints(weights);
+  const fit = fitLinearTrend(points);
+  if (!fit) return null;
+  const series = ewmaSeries(points, halfLifeDays);
+  const first = points[0];
+  const last = points[points.length - 1];
+  return {
+    n: fit.n,
+    startISO: new Date(first.t).toISOString(),
+    endISO: new Date(last.t).toISOString(),
+    startKg: trendValueAt(fit, first.t),
+    endKg: trendValueAt(fit, last.t),
+    perWeekKg: fit.perWeekKg,
+    perWeekLowKg: fit.perWeekLowKg,
+    perWeekHighKg: fit.perWeekHighKg,
+    smoothedKg: series[series.length - 1].smooth,
+    clear: fit.perWeekLowKg !== null && (fit.perWeekLowKg > 0 || fit.perWeekHighKg < 0),
+    fit,
+    series
+  };
+}
@@ -0,0 +1,147 @@
+/*
+  DoseCheck - core/units.js
+  Unidades de peso (kg, lb, st) e de medidas (cm, in). Sem dependências de DOM.
+
+  - Os registros guardam sempre kg e cm (weightKg, *Cm, imcHeight): a conversão acontece
+    só na entrada e na exibição (core/format.js).
+  - Entrada em lb/st/in vira kg/cm com casas suficientes para voltar exatamente ao número
+    digitado (1 casa); editar sem mudar o valor mantém o que estava gravado.
+  - Diferenças, tendências e o eixo do gráfico em stones saem em libras.
+*/
+
+export const WEIGHT_UNITS = ['kg', 'lb', 'st'];
+export const LENGTH_UNITS = ['cm', 'in'];
+
+export const WEIGHT_UNIT_LABELS = {
+  kg: 'Quilos (kg)',
+  lb: 'Libras (lb)',
+  st: 'Stones e libras (st lb)'
+};
+
+export const LENGTH_UNIT_LABELS = {
+  cm: 'Centímetros (cm)',
+  in: 'Polegadas (in)'
+};
+
+export const KG_PER_LB = 0.45359237;
+export const LB_PER_ST = 14;
+export const CM_PER_IN = 2.54;
+
+// Casas gravadas ao converter a entrada: o erro fica muito abaixo de 0,1 lb / 0,1 in.
+const STORED_KG_DIGITS = 4;
+const STORED_CM_DIGITS = 3;
+
+function roundTo(n, digits) {
+  const f = 10 ** digits;
+  return Math.round(n * f) / f;
+}
+
+export function normalizeWeightUnit(value) {
+  return WEIGHT_UNITS.includes(value) ? value : 'kg';
+}
+
+export function normalizeLengthUnit(value) {
+  return LENGTH_UNITS.includes(value) ? value : 'cm';
+}
+
+// kg -> número na unidade (st em stones decimais).
+export function kgToUnit(kg, unit) {
+  const n = Number(kg);
+  if (unit === 'lb') return n / KG_PER_LB;
+  if (unit === 'st') return n / KG_PER_LB / LB_PER_ST;
+  return n;
+}
+
+// Número na unidade -> kg para gravar. Em kg o valor passa direto (sem arredondar).
+export function unitToKg(value, unit) {
+  const n = Number(value);
+  if (unit === 'lb') return roundTo(n * KG_PER_LB, STORED_KG_DIGITS);
+  if (unit === 'st') return roundTo(n * LB_PER_ST * KG_PER_LB, STORED_KG_DIGITS);
+  return n;
+}
+
+export function cmToUnit(cm, unit) {
+  const n = Number(cm);
+  return unit === 'in' ? n / CM_PER_IN : n;
+}
+
+export function unitToCm(value, unit) {
+  const n = Number(value);
+  return unit === 'in' ? roundTo(n * CM_PER_IN, STORED_CM_DIGITS) : n;
+}
+
+// Unidade das diferenças, tendências e do eixo do gráfico: "13 st 2 lb" não serve para "+1,5".
+export function weightScaleUnit(unit) {
+  return unit === 'st' ? 'lb' : normalizeWeightUnit(unit);
+}
+
+// kg -> { st, lb }, com lb arredondado a `digits` casas (13 st 14,0 lb vira 14 st 0,0 lb).
+export function kgToStoneParts(kg, digits = 1) {
+  const totalLb = roundTo(Number(kg) / KG_PER_LB, digits);
+  const st = Math.floor(totalLb / LB_PER_ST);
+  return { st, lb: roundTo(totalLb - st * LB_PER_ST, digits) };
+}
+
+// -----------------------------
+// CSVs exportados
+// -----------------------------
+// Colunas de peso e medidas na unidade do perfil, com o nome dizendo qual (weightKg -> weightLb,
+// waistCm -> waistIn); stones saem em libras. Em kg/cm nada muda. A importação reconhece os dois.
+
+const EXPORT_DIGITS = 2;
+
+function exportColumn(key, prefs) {
+  const weight = weightScaleUnit(prefs?.weightUnit);
+  const length = normalizeLengthUnit(prefs?.lengthUnit);
+  if (key === 'weightKg' && weight === 'lb') return { name: 'weightLb', convert: (v) => roundTo(kgToUnit(v, 'lb'), EXPORT_DIGITS) };
+  if (/Cm$/.test(key) && length === 'in') return { name: key.replace(/Cm$/, 'In'), convert: (v) => roundTo(cmToUnit(v, 'in'), EXPORT_DIGITS) };
+  return null;
+}
+
+export function exportUnitHeaders(headers, prefs) {
+  return headers.map((key) => exportColumn(key, prefs)?.name || key);
+}
+
+export function toExportUnits(row, prefs) {
+  const out = {};
+  for (const [key, value] of Object.entries(row)) {
+    const column = exportColumn(key, prefs);
+    if (!column) out[key] = value;
+    else out[column.name] = value === '' || value === null || value === undefined || !Number.isFinite(Number(value)) ? value : column.convert(value);
+  }
+  return out;
+}
+
+// Preferência de unidades do perfil ativo (mesmo papel do idioma em core/i18n.js).
+export function createUnits(initial = {}) {
+  let weight = normalizeWeightUnit(initial.weightUnit);
+  let length = normalizeLengthUnit(initial.lengthUnit);
+
+  return {
+    weightUnit() {
+      return weight;
+    },
+    lengthUnit() {
+      return length;
+    },
+    // Aceita as próprias configurações do perfil ({ weightUnit, lengthUnit, ... }).
+    set(prefs = {}) {
+      weight = normalizeWeightUnit(prefs.weightUnit);
+      length = normalizeLengthUnit(prefs.lengthUnit);
+      return { weightUnit: weight, lengthUnit: length };
+    },
+    // Roda fn com outras unidades e volta às atuais (relatório de outro perfil, testes).
+    withUnits(prefs, fn) {
+      const previous = { weightUnit: weight, lengthUnit: length };
+      this.set(prefs);
+      try {
+        return fn();
+      } finally {
+        this.set(previous);
+      }
+    }
+  };
+}
+
+// Instância compartilhada (app + formatação nos módulos core).
+export const units = createUnits();
@@ -0,0 +1,125 @@
+/*
+  DoseCheck - db/migrations.js
+  Registro de migrações versionadas para o IndexedDB (sem dependências de DOM).
+
+  - Cada migração tem { version, name, upgrade(db, tx, ctx), destructive? }.
+  - As migrações rodam em ordem, dentro da transação de upgrade (versionchange).
+  - Antes de um passo "destructive", chama ctx.beforeDestructive (snapshot/backup).
+  - O que foi aplicado fica registrado no store de metadados (quando existir).
+
+  Funciona no navegador e no Node (testes com fake-indexeddb).
+*/
+
+export const STORE_META = 'meta';
+export const META_MIGRATIONS_KEY = 'migrations';
+
+export function promisifyRequest(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+export function validateMigrations(migrations) {
+  const seen = new Set();
+  let last = 0;
+  for (const m of migrations) {
+    if (!Number.isInteger(m?.version) || m.version < 1) {
+      throw new Error(`Migração com versão inválida: ${m?.version}`);
+    }
+    if (seen.has(m.version)) throw new Error(`Migração duplicada para a versão ${m.version}`);
+    if (m.version < last) throw new Error(`Migrações fora de ordem: ${m.version} depois de ${last}`);
+    if (typeof m.upgrade !== 'function') throw new Error(`Migração ${m.version} sem função upgrade()`);
+    seen.add(m.version);
+    last = m.version;
+  }
+  return migrations;
+}
+
+export function latestVersion(migrations) {
+  return migrations.length ? migrations[migrations.length - 1].version : 1;
+}
+
+// Passos a executar para ir de oldVersion até newVersion (inclusive).
+export function pendingMigrations(migrations, oldVersion, newVersion) {
+  return migrations.filter((m) => m.version > oldVersion && m.version <= newVersion);
+}
+
+// Lê o histórico de migrações aplicadas dentro de uma transação (upgrade ou readonly).
+export async function readMigrationLog(tx) {
+  if (!tx.objectStoreNames.contains(STORE_META)) return [];
+  const rec = await promisifyRequest(tx.objectStore(STORE_META).get(META_MIGRATIONS_KEY));
+  return Array.isArray(rec?.applied) ? rec.applied : [];
+}
+
+async function appendMigrationLog(tx, entries) {
+  if (!entries.length) return;
+  if (!tx.objectStoreNames.contains(STORE_META)) return;
+  const applied = await readMigrationLog(tx);
+  await promisifyRequest(tx.objectStore(STORE_META).put({
+    key: META_MIGRATIONS_KEY,
+    applied: [...applied, ...entries]
+  }));
+}
+
+// Executa os passos pendentes em sequência. Cada passo pode ser síncrono ou
+// retornar uma Promise; a transação de upgrade continua ativa enquanto houver
+// requisições pendentes, então os passos não devem aguardar nada fora do IndexedDB.
+export async function runMigrations({ db, tx, oldVersion, newVersion, migrations, context = {} }) {
+  const steps = pendingMigrations(migrations, oldVersion, newVersion);
+  const entries = [];
+  const now = context.now || (() => new Date());
+
+  for (const step of steps) {
+    // Banco novo (oldVersion 0) não tem dados para proteger.
+    if (step.destructive && oldVersion > 0 && typeof context.beforeDestructive === 'function') {
+      await context.beforeDestructive(tx, step, { ...context, oldVersion, newVersion });
+    }
+    await step.upgrade(db, tx, { ...context, oldVersion, newVersion });
+    entries.push({
+      version: step.version,
+      name: step.name || `v${step.version}`,
+      fromVersion: oldVersion,
+      appliedAtISO: now().toISOString(),
+      appVersion: context.appVersion || ''
+    });
+  }
+
+  await appendMigrationLog(tx, entries);
+  return entries;
+}
+
+// Abre o banco aplicando as migrações necessárias.
+// options: { name, migrations, indexedDB?, context? }
+export function openDatabase({ name, migrations, indexedDB = globalThis.indexedDB, context = {} }) {
+  validateMigrations(migrations);
+  const version = latestVersion(migrations);
+
+  return new Promise((resolve, reject) => {
+    const req = indexedDB.open(name, version);
+
+    req.onupgradeneeded = (event) => {
+      const db = req.result;
+      const tx = req.transaction;
+      runMigrations({
+        db,
+        tx,
+        oldVersion: event.oldVersion,
+        newVersion: event.newVersion ?? version,
+        migrations,
+        context
+      }).catch((err) => {
+        // Aborta o upgrade: o banco continua na versão anterior, sem dados pela metade.
+        console.error('Falha na migração do banco:', err);
+        try {
+          tx.abort();
+        } catch {
+          // já abortada
+        }
+      });
+    };
+
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
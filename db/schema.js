@@ -0,0 +1,395 @@
+/*
+  DoseCheck - db/schema.js
+  Stores do IndexedDB e o histórico de migrações do app.
+
+  Para mudar o modelo de dados: adicione um passo novo ao final de MIGRATIONS
+  (nunca edite um passo já publicado). DB_VERSION acompanha o último passo.
+*/
+
+import { STORE_META, latestVersion, promisifyRequest } from './migrations.js';
+
+// Mantido como 'pesomed-db' para preservar dados existentes após o rename.
+export const DB_NAME = 'pesomed-db';
+
+export const STORE_INJECTIONS = 'injections';
+export const STORE_WEIGHTS = 'weights';
+export const STORE_MEASURES = 'measures';
+export const STORE_SETTINGS = 'settings';
+export const STORE_AUTO_BACKUPS = 'autoBackups';
+export const STORE_PROFILES = 'profiles';
+export const STORE_MEDICATIONS = 'medications';
+export const STORE_INVENTORY = 'inventory';
+export const STORE_SYNC = 'syncMeta';
+export const STORE_OUTBOX = 'syncOutbox';
+export const STORE_TRASH = 'trash';
+export const STORE_HISTORY = 'history';
+export { STORE_META };
+
+// Perfil padrão recebe os dados existentes na migração para a V3.
+// As configurações dele continuam na chave 'app' (compatível com versões anteriores).
+export const SETTINGS_KEY = 'app';
+export const DEFAULT_PROFILE_ID = 'default';
+export const DEFAULT_PROFILE_NAME = 'Principal';
+
+// Stores com registros pertencentes a um perfil (índice 'profileId').
+export const PROFILE_SCOPED_STORES = [STORE_INJECTIONS, STORE_WEIGHTS, STORE_MEASURES, STORE_AUTO_BACKUPS, STORE_MEDICATIONS, STORE_INVENTORY, STORE_SYNC, STORE_OUTBOX, STORE_TRASH, STORE_HISTORY];
+
+// Índice composto por perfil e data (V11) e o campo de data de cada store.
+export const PROFILE_DATE_INDEX = 'profileDate';
+export const PROFILE_DATE_INDEX_FIELDS = {
+  [STORE_INJECTIONS]: 'dateTimeISO',
+  [STORE_WEIGHTS]: 'dateTimeISO',
+  [STORE_MEASURES]: 'dateISO'
+};
+
+// Stores com dados do paciente (entram no snapshot pré-migração).
+export const DATA_STORES = [STORE_INJECTIONS, STORE_WEIGHTS, STORE_MEASURES, STORE_MEDICATIONS, STORE_INVENTORY];
+
+export function settingsKeyForProfile(profileId) {
+  return profileId === DEFAULT_PROFILE_ID ? SETTINGS_KEY : `${SETTINGS_KEY}:${profileId}`;
+}
+
+function profileIdFromSettingsKey(key) {
+  if (key === SETTINGS_KEY) return DEFAULT_PROFILE_ID;
+  const prefix = `${SETTINGS_KEY}:`;
+  return String(key).startsWith(prefix) ? String(key).slice(prefix.length) : null;
+}
+
+// Percorre um store com cursor, permitindo atualizar/remover cada registro.
+function eachRecord(store, fn) {
+  return new Promise((resolve, reject) => {
+    const req = store.openCursor();
+    req.onsuccess = () => {
+      const cursor = req.result;
+      if (!cursor) {
+        resolve();
+        return;
+      }
+      fn(cursor.value, cursor);
+      cursor.continue();
+    };
+    req.onerror = () => reject(req.error);
+  });
+}
+
+// -----------------------------
+// V5: cópia congelada do catálogo inicial (core/medications.js pode mudar; a migração não)
+// -----------------------------
+const V5_DEFAULT_MED_NAME = 'Retatrutida';
+const V5_MED_COLORS = ['#7aa7ff', '#57e39b', '#ffcf5c', '#ff5c77', '#c792ea', '#5ce1e6'];
+const V5_SCHEDULE_DEFAULTS = {
+  injectionScheduleMode: 'weekdays',
+  injectionDaysOfWeek: [6],
+  injectionDayOfWeek: 6,
+  injectionIntervalDays: 7,
+  injectionIntervalStartDate: '',
+  injectionTime: '09:51'
+};
+
+function v5NameKey(name) {
+  return String(name || '').trim().toLocaleLowerCase('pt-BR');
+}
+
+function v5Clamp(value, min, max) {
+  const n = Number(value);
+  if (Number.isNaN(n)) return min;
+  return Math.min(max, Math.max(min, n));
+}
+
+// Agenda das configurações já limpa (campos ausentes ficam com o padrão da V5).
+function v5Schedule(settings) {
+  const s = { ...V5_SCHEDULE_DEFAULTS };
+  for (const k of Object.keys(V5_SCHEDULE_DEFAULTS)) {
+    if (settings?.[k] !== undefined) s[k] = settings[k];
+  }
+
+  const cleanDays = (Array.isArray(s.injectionDaysOfWeek) ? s.injectionDaysOfWeek : [])
+    .map((d) => Number(d))
+    .filter((d) => Number.isInteger(d) && d >= 0 && d <= 6);
+  let daysOfWeek = Array.from(new Set(cleanDays)).sort((a, b) => a - b);
+  if (!daysOfWeek.length) daysOfWeek = [v5Clamp(s.injectionDayOfWeek ?? 6, 0, 6)];
+
+  const everyRaw = Math.floor(Number(s.injectionIntervalDays));
+  const startDate = String(s.injectionIntervalStartDate || '');
+
+  return {
+    injectionScheduleMode: s.injectionScheduleMode === 'interval' ? 'interval' : 'weekdays',
+    injectionDaysOfWeek: daysOfWeek,
+    injectionDayOfWeek: daysOfWeek[0],
+    injectionIntervalDays: Number.isFinite(everyRaw) ? v5Clamp(everyRaw, 1, 60) : 7,
+    injectionIntervalStartDate: /^\d{4}-\d{2}-\d{2}$/.test(startDate) ? startDate : '',
+    injectionTime: String(s.injectionTime || V5_SCHEDULE_DEFAULTS.injectionTime)
+  };
+}
+
+// Um item por nome usado nas aplicações; o usado por último fica ativo com a agenda das configurações.
+function v5BuildCatalog(injections, settings, { profileId, makeId, nowISO }) {
+  const byName = new Map();
+  for (const inj of injections) {
+    const name = String(inj.medName || '').trim() || V5_DEFAULT_MED_NAME;
+    const k = v5NameKey(name);
+    const entry = byName.get(k) || { name, lastISO: '' };
+    if (String(inj.dateTimeISO || '') > entry.lastISO) entry.lastISO = String(inj.dateTimeISO || '');
+    byName.set(k, entry);
+  }
+  if (!byName.size) byName.set(v5NameKey(V5_DEFAULT_MED_NAME), { name: V5_DEFAULT_MED_NAME, lastISO: '' });
+
+  const ordered = [...byName.values()].sort((a, b) => b.lastISO.localeCompare(a.lastISO));
+  const schedule = v5Schedule(settings);
+
+  return ordered.map((entry, i) => ({
+    id: makeId(),
+    profileId: String(profileId || ''),
+    name: entry.name,
+    concentration: '',
+    unit: 'mg',
+    route: 'subcutaneous',
+    color: V5_MED_COLORS[i % V5_MED_COLORS.length],
+    active: i === 0,
+    schedule: { ...schedule, injectionDaysOfWeek: [...schedule.injectionDaysOfWeek] },
+    titration: null,
+    createdAtISO: String(nowISO || '')
+  }));
+}
+
+// Nome da aplicação > único item do catálogo.
+function v5ResolveMedicationId(inj, catalog) {
+  const k = v5NameKey(inj.medName);
+  const byName = k ? catalog.find((m) => v5NameKey(m.name) === k) : null;
+  if (byName) return byName.id;
+  return catalog.length === 1 ? catalog[0].id : null;
+}
+
+export const MIGRATIONS = [
+  {
+    version: 1,
+    name: 'stores-iniciais',
+    upgrade(db) {
+      if (!db.objectStoreNames.contains(STORE_INJECTIONS)) {
+        const s = db.createObjectStore(STORE_INJECTIONS, { keyPath: 'id' });
+        s.createIndex('dateTimeISO', 'dateTimeISO', { unique: false });
+      }
+      if (!db.objectStoreNames.contains(STORE_WEIGHTS)) {
+        const s = db.createObjectStore(STORE_WEIGHTS, { keyPath: 'id' });
+        s.createIndex('dateTimeISO', 'dateTimeISO', { unique: false });
+      }
+      if (!db.objectStoreNames.contains(STORE_MEASURES)) {
+        const s = db.createObjectStore(STORE_MEASURES, { keyPath: 'id' });
+        s.createIndex('dateISO', 'dateISO', { unique: false });
+      }
+      if (!db.objectStoreNames.contains(STORE_SETTINGS)) {
+        db.createObjectStore(STORE_SETTINGS, { keyPath: 'key' });
+      }
+    }
+  },
+  {
+    version: 2,
+    name: 'backups-automaticos',
+    upgrade(db) {
+      if (!db.objectStoreNames.contains(STORE_AUTO_BACKUPS)) {
+        const s = db.createObjectStore(STORE_AUTO_BACKUPS, { keyPath: 'id' });
+        s.createIndex('timestamp', 'timestamp', { unique: false });
+      }
+    }
+  },
+  {
+    // V3: registros sem dono passam a pertencer ao perfil padrão.
+    version: 3,
+    name: 'perfis',
+    destructive: true,
+    async upgrade(db, tx) {
+      if (!db.objectStoreNames.contains(STORE_PROFILES)) {
+        db.createObjectStore(STORE_PROFILES, { keyPath: 'id' });
+      }
+
+      // Lista fixa: os stores com perfil que existiam na V3 (os seguintes criam o índice no próprio passo).
+      for (const name of [STORE_INJECTIONS, STORE_WEIGHTS, STORE_MEASURES, STORE_AUTO_BACKUPS]) {
+        const store = tx.objectStore(name);
+        if (!store.indexNames.contains('profileId')) {
+          store.createIndex('profileId', 'profileId', { unique: false });
+        }
+        await eachRecord(store, (value, cursor) => {
+          if (!value.profileId) cursor.update({ ...value, profileId: DEFAULT_PROFILE_ID });
+        });
+      }
+
+      // Nome do perfil padrão: aproveita o nome do paciente, se já configurado.
+      const profiles = tx.objectStore(STORE_PROFILES);
+      const existing = await promisifyRequest(profiles.get(DEFAULT_PROFILE_ID));
+      if (!existing) {
+        const settings = await promisifyRequest(tx.objectStore(STORE_SETTINGS).get(SETTINGS_KEY));
+        const patientName = String(settings?.value?.patientName || '').trim();
+        await promisifyRequest(profiles.put({
+          id: DEFAULT_PROFILE_ID,
+          name: patientName || DEFAULT_PROFILE_NAME,
+          createdAtISO: new Date().toISOString()
+        }));
+      }
+    }
+  },
+  {
+    // V4: store de metadados (histórico de migrações aplicadas).
+    version: 4,
+    name: 'historico-de-migracoes',
+    upgrade(db) {
+      if (!db.objectStoreNames.contains(STORE_META)) {
+        db.createObjectStore(STORE_META, { keyPath: 'key' });
+      }
+    }
+  },
+  {
+    // V5: catálogo de medicamentos por perfil. Cada nome já usado nas aplicações vira um item
+    // (o mais recente herda a agenda das configurações) e as aplicações ganham medicationId.
+    version: 5,
+    name: 'medicamentos',
+    async upgrade(db, tx, ctx = {}) {
+      if (!db.objectStoreNames.contains(STORE_MEDICATIONS)) {
+        const s = db.createObjectStore(STORE_MEDICATIONS, { keyPath: 'id' });
+        s.createIndex('profileId', 'profileId', { unique: false });
+      }
+
+      const profiles = await promisifyRequest(tx.objectStore(STORE_PROFILES).getAll());
+      const injections = await promisifyRequest(tx.objectStore(STORE_INJECTIONS).getAll());
+      const nowISO = (ctx.now ? ctx.now() : new Date()).toISOString();
+      const makeId = ctx.makeId || (() => `med-${Math.random().toString(16).slice(2)}`);
+      const medsStore = tx.objectStore(STORE_MEDICATIONS);
+
+      for (const profile of profiles) {
+        const existing = await promisifyRequest(medsStore.index('profileId').getAll(profile.id));
+        if (existing.length) continue;
+
+        const own = injections.filter((i) => (i.profileId || DEFAULT_PROFILE_ID) === profile.id);
+        const settingsRec = await promisifyRequest(tx.objectStore(STORE_SETTINGS).get(settingsKeyForProfile(profile.id)));
+        const catalog = v5BuildCatalog(own, settingsRec?.value || null, { profileId: profile.id, makeId, nowISO });
+        for (const med of catalog) await promisifyRequest(medsStore.put(med));
+
+        for (const inj of own) {
+          if (inj.medicationId) continue;
+          const medicationId = v5ResolveMedicationId(inj, catalog);
+          if (medicationId) await promisifyRequest(tx.objectStore(STORE_INJECTIONS).put({ ...inj, medicationId }));
+        }
+      }
+    }
+  },
+  {
+    // V6: estoque de canetas/frascos por perfil (aplicações novas ganham inventoryId).
+    version: 6,
+    name: 'estoque',
+    upgrade(db) {
+      if (!db.objectStoreNames.contains(STORE_INVENTORY)) {
+        const s = db.createObjectStore(STORE_INVENTORY, { keyPath: 'id' });
+        s.createIndex('profileId', 'profileId', { unique: false });
+      }
+    }
+  },
+  {
+    // V7: revisões por registro para a sincronização entre aparelhos (chave 'store:id').
+    // Registros anteriores ficam sem entrada e contam como revisão vazia.
+    version: 7,
+    name: 'sincronizacao',
+    upgrade(db) {
+      if (!db.objectStoreNames.contains(STORE_SYNC)) {
+        const s = db.createObjectStore(STORE_SYNC, { keyPath: 'key' });
+        s.createIndex('profileId', 'profileId', { unique: false });
+      }
+    }
+  },
+  {
+    // V8: fila de alterações a enviar ao servidor de sincronização (uma entrada por registro).
+    version: 8,
+    name: 'fila-de-sincronizacao',
+    upgrade(db) {
+      if (!db.objectStoreNames.contains(STORE_OUTBOX)) {
+        const s = db.createObjectStore(STORE_OUTBOX, { keyPath: 'key' });
+        s.createIndex('profileId', 'profileId', { unique: false });
+      }
+    }
+  },
+  {
+    // V9: lixeira (registros excluídos ficam aqui até restaurar ou vencer o prazo).
+    version: 9,
+    name: 'lixeira',
+    upgrade(db) {
+      if (!db.objectStoreNames.contains(STORE_TRASH)) {
+        const s = db.createObjectStore(STORE_TRASH, { keyPath: 'key' });
+        s.createIndex('profileId', 'profileId', { unique: false });
+      }
+    }
+  },
+  {
+    // V10: histórico de edições por registro (índice 'key' = 'store:id').
+    version: 10,
+    name: 'historico-de-edicoes',
+    upgrade(db) {
+      if (!db.objectStoreNames.contains(STORE_HISTORY)) {
+        const s = db.createObjectStore(STORE_HISTORY, { keyPath: 'id' });
+        s.createIndex('profileId', 'profileId', { unique: false });
+        s.createIndex('key', 'key', { unique: false });
+      }
+    }
+  },
+  {
+    // V11: índice ['profileId', data] nos registros do paciente: busca e filtros por período
+    // leem só o intervalo pedido, sem carregar o histórico inteiro.
+    version: 11,
+    name: 'indices-por-periodo',
+    upgrade(db, tx) {
+      for (const [name, field] of Object.entries(PROFILE_DATE_INDEX_FIELDS)) {
+        const store = tx.objectStore(name);
+        if (!store.indexNames.contains(PROFILE_DATE_INDEX)) {
+          store.createIndex(PROFILE_DATE_INDEX, ['profileId', field], { unique: false });
+        }
+      }
+    }
+  }
+];
+
+export const DB_VERSION = latestVersion(MIGRATIONS);
+
+// Snapshot pré-migração: grava um backup automático por perfil, no mesmo formato
+// de createAutoBackup() do app, antes de um passo destrutivo.
+// Roda dentro da transação de upgrade, lendo os dados ainda no formato antigo.
+export async function snapshotBeforeMigration(tx, step, { oldVersion, now = () => new Date(), appVersion = '', makeId } = {}) {
+  if (!tx.objectStoreNames.contains(STORE_AUTO_BACKUPS)) return [];
+
+  const byProfile = new Map();
+  const bucket = (profileId) => {
+    const id = profileId || DEFAULT_PROFILE_ID;
+    if (!byProfile.has(id)) {
+      byProfile.set(id, { injections: [], weights: [], measures: [], medications: [], inventory: [], settings: null });
+    }
+    return byProfile.get(id);
+  };
+
+  for (const name of DATA_STORES) {
+    if (!tx.objectStoreNames.contains(name)) continue;
+    const records = await promisifyRequest(tx.objectStore(name).getAll());
+    for (const r of records) bucket(r.profileId)[name].push(r);
+  }
+
+  if (tx.objectStoreNames.contains(STORE_SETTINGS)) {
+    const settingsRecords = await promisifyRequest(tx.objectStore(STORE_SETTINGS).getAll());
+    for (const rec of settingsRecords) {
+      const profileId = profileIdFromSettingsKey(rec.key);
+      if (profileId) bucket(profileId).settings = rec.value || null;
+    }
+  }
+
+  const timestamp = now().toISOString();
+  const newId = makeId || (() => `pre-migration-${step.version}-${Math.random().toString(16).slice(2)}`);
+  const backups = [];
+  for (const [profileId, data] of byProfile.entries()) {
+    const backup = {
+      id: newId(),
+      profileId,
+      timestamp,
+      appVersion,
+      reason: 'pre-migration',
+      migration: { fromVersion: oldVersion, version: step.version, name: step.name || '' },
+      data
+    };
+    await promisifyRequest(tx.objectStore(STORE_AUTO_BACKUPS).put(backup));
+    backups.push(backup);
+  }
+  return backups;
+}
@@ -0,0 +1,230 @@
+/*
+  DoseCheck - server/sync-server.js
+  Servidor de referência da sincronização remota (protocolo em core/remote-sync.js).
+  Só Node, sem dependências: guarda cada espaço de sincronização num arquivo JSON.
+
+  Uso local (app + API na mesma origem, funciona offline):
+    npm run sync-server            -> http://localhost:8787
+    PORT=9000 SYNC_DATA_DIR=/tmp/dosecheck-sync npm run sync-server
+
+  É uma referência para testes e uso doméstico: não há contas nem TLS; quem conhece
+  o código do espaço lê e grava os dados dele. Para expor na internet, coloque atrás
+  de um proxy com HTTPS e autenticação.
+*/
+
+import { createServer } from 'node:http';
+import { mkdir, readFile, rename, writeFile } from 'node:fs/promises';
+import { extname, join, normalize, resolve, sep } from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+
+import { REMOTE_SYNC_PULL_LIMIT, isValidSyncSpace } from '../core/remote-sync.js';
+import { SYNC_FORMAT, planSync, syncMetaKey, validateSyncPackage } from '../core/sync.js';
+
+const MAX_BODY_BYTES = 5 * 1024 * 1024;
+const API_PREFIX = '/api/sync/';
+
+// Arquivos do app que não são servidos (dados de sincronização, dependências, código do servidor).
+const PRIVATE_SEGMENTS = new Set(['node_modules', 'server']);
+
+const MIME_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.webmanifest': 'application/manifest+json',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.ico': 'image/x-icon'
+};
+
+// -----------------------------
+// Armazenamento: { seq, entries: { 'store:id': { ...entrada, seq } } } por espaço
+// -----------------------------
+
+function emptyState() {
+  return { seq: 0, entries: {} };
+}
+
+export function createMemorySyncStore() {
+  const spaces = new Map();
+  return {
+    async load(space) {
+      return structuredClone(spaces.get(space) || emptyState());
+    },
+    async save(space, state) {
+      spaces.set(space, structuredClone(state));
+    }
+  };
+}
+
+export function createFileSyncStore(dir) {
+  const fileOf = (space) => join(dir, `${space}.json`);
+  return {
+    async load(space) {
+      try {
+        return JSON.parse(await readFile(fileOf(space), 'utf8'));
+      } catch (err) {
+        if (err?.code === 'ENOENT') return emptyState();
+        throw err;
+      }
+    },
+    // Grava num temporário e renomeia: um arquivo pela metade nunca substitui o anterior.
+    async save(space, state) {
+      await mkdir(dir, { recursive: true });
+      const tmp = `${fileOf(space)}.tmp`;
+      await writeFile(tmp, JSON.stringify(state));
+      await rename(tmp, fileOf(space));
+    }
+  };
+}
+
+// -----------------------------
+// Protocolo
+// -----------------------------
+
+// O servidor é uma réplica como as outras: aplica o mesmo planSync dos aparelhos.
+export function applyPush(state, entries) {
+  const local = Object.values(state.entries);
+  const { apply, stats } = planSync(local, entries);
+  for (const item of apply) {
+    state.seq += 1;
+    state.entries[syncMetaKey(item.store, item.id)] = {
+      store: item.store,
+      id: item.id,
+      ...item.meta,
+      deleted: item.deleted,
+      record: item.record,
+      seq: state.seq
+    };
+  }
+  return { applied: apply.length, stats };
+}
+
+export function readChanges(state, since, limit = REMOTE_SYNC_PULL_LIMIT) {
+  const changed = Object.values(state.entries)
+    .filter((e) => e.seq > since)
+    .sort((a, b) => a.seq - b.seq);
+  const page = changed.slice(0, limit);
+  return {
+    entries: page.map(({ seq, ...entry }) => entry),
+    cursor: page.length ? page[page.length - 1].seq : Math.max(since, 0),
+    more: changed.length > page.length
+  };
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', 'Cache-Control': 'no-store' });
+  res.end(JSON.stringify(body));
+}
+
+async function readJsonBody(req) {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) throw Object.assign(new Error('Envio grande demais.'), { status: 413 });
+    chunks.push(chunk);
+  }
+  try {
+    return JSON.parse(Buffer.concat(chunks).toString('utf8'));
+  } catch {
+    throw Object.assign(new Error('JSON inválido.'), { status: 400 });
+  }
+}
+
+async function serveStatic(root, pathname, res) {
+  const rel = normalize(decodeURIComponent(pathname === '/' ? '/index.html' : pathname)).replace(/^([/\\])+/, '');
+  const file = resolve(root, rel);
+  const segments = rel.split(/[/\\]/);
+  if ((file !== root && !file.startsWith(root + sep)) || segments.some((p) => p.startsWith('.') || PRIVATE_SEGMENTS.has(p))) {
+    sendJson(res, 403, { error: 'forbidden' });
+    return;
+  }
+  try {
+    const body = await readFile(file);
+    res.writeHead(200, { 'Content-Type': MIME_TYPES[extname(file)] || 'application/octet-stream' });
+    res.end(body);
+  } catch {
+    sendJson(res, 404, { error: 'not found' });
+  }
+}
+
+/*
+  Handler HTTP (req, res).
+  store: createFileSyncStore/createMemorySyncStore; staticDir: pasta do app (opcional).
+*/
+export function createSyncHandler({ store, staticDir = null }) {
+  const root = staticDir ? resolve(staticDir) : null;
+  // Uma operação por vez em cada espaço (ler, mesclar e gravar sem intercalar).
+  const queues = new Map();
+  const exclusive = (space, fn) => {
+    const run = (queues.get(space) || Promise.resolve()).then(fn, fn);
+    queues.set(space, run.catch(() => {}));
+    return run;
+  };
+
+  return async function handle(req, res) {
+    try {
+      const url = new URL(req.url, 'http://localhost');
+      if (!url.pathname.startsWith(API_PREFIX)) {
+        if (root && (req.method === 'GET' || req.method === 'HEAD')) {
+          await serveStatic(root, url.pathname, res);
+          return;
+        }
+        sendJson(res, 404, { error: 'not found' });
+        return;
+      }
+
+      const [space, action] = url.pathname.slice(API_PREFIX.length).split('/');
+      if (!isValidSyncSpace(space)) {
+        sendJson(res, 400, { error: 'Código de sincronização inválido.' });
+        return;
+      }
+
+      if (action === 'push' && req.method === 'POST') {
+        const body = await readJsonBody(req);
+        try {
+          validateSyncPackage({ format: SYNC_FORMAT, version: body?.version, entries: body?.entries });
+        } catch (err) {
+          sendJson(res, 400, { error: err.message });
+          return;
+        }
+        const result = await exclusive(space, async () => {
+          const state = await store.load(space);
+          const out = applyPush(state, body.entries);
+          if (out.applied) await store.save(space, state);
+          return { ...out, cursor: state.seq };
+        });
+        sendJson(res, 200, result);
+        return;
+      }
+
+      if (action === 'pull' && req.method === 'GET') {
+        const since = Math.max(0, Math.floor(Number(url.searchParams.get('since')) || 0));
+        const limit = Math.min(REMOTE_SYNC_PULL_LIMIT, Math.max(1, Math.floor(Number(url.searchParams.get('limit')) || REMOTE_SYNC_PULL_LIMIT)));
+        const state = await exclusive(space, () => store.load(space));
+        sendJson(res, 200, readChanges(state, since, limit));
+        return;
+      }
+
+      sendJson(res, 404, { error: 'not found' });
+    } catch (err) {
+      if (err instanceof URIError) err.status = 400;
+      sendJson(res, err?.status || 500, { error: err?.status ? err.message : 'Erro interno.' });
+    }
+  };
+}
+
+// -----------------------------
+// Execução direta: node server/sync-server.js
+// -----------------------------
+
+if (process.argv[1] && import.meta.url === pathToFileURL(resolve(process.argv[1])).href) {
+  const appDir = resolve(fileURLToPath(new URL('..', import.meta.url)));
+  const port = Number(process.env.PORT) || 8787;
+  const dataDir = resolve(process.env.SYNC_DATA_DIR || join(appDir, '.sync-data'));
+  const server = createServer(createSyncHandler({ store: createFileSyncStore(dataDir), staticDir: appDir }));
+  server.listen(port, () => {
+    console.log(`DoseCheck: app e sincronização em http://localhost:${port} (dados em ${dataDir})`);
+  });
+}
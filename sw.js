@@ -5,10 +5,20 @@
   - Network-first (com fallback) para chamadas de API (quando existirem)
 
   Observação: Como o app é SPA (hash routing), cacheamos index.html.
+
+  Notificações do checklist: o app envia o plano (core/notifications.js) e o SW
+  agenda com Notification Triggers, confere no periodic background sync e,
+  sem nenhum dos dois, mostra as pendentes quando o app abre.
+
+  Sincronização com servidor: quando o envio falha, o app entrega a fila ao SW e
+  registra um Background Sync; o navegador dispara 'sync' quando houver rede.
 */
 
+// Módulo (registrado com type: 'module'): os filtros de notificação vêm do core, testados lá.
+import { NOTIFY_TAG_PREFIX, dueNotifications, keepShownKeys, notificationShownKey, upcomingNotifications } from './core/notifications.js';
+
 // Cache com nome estável: facilita atualizar sem precisar “reinstalar” o atalho.
-const CACHE_NAME = 'dosecheck-cache-v10';
+const CACHE_NAME = 'dosecheck-cache-v35';
 
 // Atualize a lista se adicionar novos arquivos estáticos.
 const APP_SHELL = [
@@ -16,7 +26,43 @@ const APP_SHELL = [
   './index.html',
   './styles.css',
   './app.js',
+  './db/migrations.js',
+  './db/schema.js',
+  './core/clock.js',
+  './core/constants.js',
+  './core/dates.js',
+  './core/format.js',
+  './core/goals.js',
+  './core/units.js',
+  './core/i18n.js',
+  './core/locales/en.js',
+  './core/locales/es.js',
+  './core/stats.js',
+  './core/trend.js',
+  './core/conditions.js',
+  './core/schedule.js',
+  './core/medications.js',
+  './core/titration.js',
+  './core/trash.js',
+  './core/history.js',
+  './core/search.js',
+  './core/paging.js',
+  './core/inventory.js',
+  './core/checklist.js',
+  './core/notifications.js',
+  './core/ics.js',
+  './core/csv.js',
+  './core/merge.js',
+  './core/crypto.js',
+  './core/backup.js',
+  './core/sync.js',
+  './core/remote-sync.js',
+  './core/summary.js',
+  './core/report.js',
+  './core/share.js',
   './manifest.json',
+  './manifest.en.json',
+  './manifest.es.json',
   './icons/icon-192.svg',
   './icons/icon-512.svg',
   './icons/maskable-512.svg',
@@ -30,10 +76,162 @@ self.addEventListener('message', (event) => {
     self.skipWaiting();
     return;
   }
+  if (event.data && event.data.type === 'SCHEDULE_NOTIFICATIONS') {
+    event.waitUntil(scheduleNotifications(Array.isArray(event.data.plan) ? event.data.plan : []));
+    return;
+  }
+  if (event.data && event.data.type === 'CLEAR_NOTIFICATIONS') {
+    event.waitUntil(scheduleNotifications([]));
+    return;
+  }
+  if (event.data && event.data.type === 'QUEUE_REMOTE_PUSH') {
+    event.waitUntil(writeRemotePush({ url: event.data.url, body: event.data.body }));
+    return;
+  }
   // Retorna false explicitamente para indicar que não há resposta assíncrona
   return false;
 });
 
+// -----------------------------
+// Notificações do checklist
+// -----------------------------
+
+// Plano e tags já mostradas ficam num cache próprio (fora da limpeza de versões do app shell).
+const NOTIFY_CACHE = 'dosecheck-notifications';
+const NOTIFY_STATE_URL = './__notifications.json';
+const NOTIFY_SYNC_TAG = 'dosecheck-checklist';
+
+async function readNotifyState() {
+  try {
+    const cache = await caches.open(NOTIFY_CACHE);
+    const res = await cache.match(NOTIFY_STATE_URL);
+    const state = res ? await res.json() : null;
+    return { plan: Array.isArray(state?.plan) ? state.plan : [], shown: Array.isArray(state?.shown) ? state.shown : [] };
+  } catch {
+    return { plan: [], shown: [] };
+  }
+}
+
+async function writeNotifyState(state) {
+  const cache = await caches.open(NOTIFY_CACHE);
+  await cache.put(NOTIFY_STATE_URL, new Response(JSON.stringify(state), { headers: { 'Content-Type': 'application/json' } }));
+}
+
+function supportsNotificationTriggers() {
+  return typeof self.TimestampTrigger === 'function' && typeof Notification !== 'undefined' && 'showTrigger' in Notification.prototype;
+}
+
+function notificationOptions(n) {
+  return {
+    tag: n.tag,
+    body: n.body,
+    icon: './icons/icon-192.svg',
+    badge: './icons/icon-192.svg',
+    data: { url: n.url, kind: n.kind }
+  };
+}
+
+// Troca o plano: fecha/cancela o que saiu dele (item feito ou agenda mudou),
+// agenda o futuro (quando há Triggers) e mostra o que já venceu.
+async function scheduleNotifications(plan) {
+  const previous = await readNotifyState();
+  const tags = new Set(plan.map((n) => n.tag));
+  const state = { plan, shown: keepShownKeys(plan, previous.shown) };
+
+  if (self.registration.getNotifications) {
+    const opts = supportsNotificationTriggers() ? { includeTriggered: true } : undefined;
+    const existing = await self.registration.getNotifications(opts);
+    for (const n of existing) {
+      if (n.tag && n.tag.startsWith(NOTIFY_TAG_PREFIX) && !tags.has(n.tag)) n.close();
+    }
+  }
+
+  if (supportsNotificationTriggers() && Notification.permission === 'granted') {
+    for (const n of upcomingNotifications(plan, Date.now(), state.shown)) {
+      await self.registration.showNotification(n.title, {
+        ...notificationOptions(n),
+        showTrigger: new self.TimestampTrigger(n.timestamp)
+      });
+      state.shown.push(notificationShownKey(n));
+    }
+  }
+
+  await writeNotifyState(state);
+  await showDueNotifications();
+}
+
+async function showDueNotifications() {
+  if (typeof Notification === 'undefined' || Notification.permission !== 'granted') return;
+  const state = await readNotifyState();
+  const shown = [...state.shown];
+  for (const n of dueNotifications(state.plan, Date.now(), shown)) {
+    await self.registration.showNotification(n.title, notificationOptions(n));
+    shown.push(notificationShownKey(n));
+  }
+  await writeNotifyState({ plan: state.plan, shown });
+}
+
+self.addEventListener('periodicsync', (event) => {
+  if (event.tag === NOTIFY_SYNC_TAG) event.waitUntil(showDueNotifications());
+});
+
+// -----------------------------
+// Sincronização com servidor (envio em segundo plano)
+// -----------------------------
+
+// Último envio pendente (o app manda a fila inteira a cada falha; só o mais novo importa).
+const REMOTE_SYNC_CACHE = 'dosecheck-remote-sync';
+const REMOTE_SYNC_STATE_URL = './__remote-sync.json';
+const REMOTE_SYNC_TAG = 'dosecheck-remote-sync';
+
+async function writeRemotePush(pending) {
+  const cache = await caches.open(REMOTE_SYNC_CACHE);
+  await cache.put(REMOTE_SYNC_STATE_URL, new Response(JSON.stringify(pending), { headers: { 'Content-Type': 'application/json' } }));
+}
+
+// Erro aqui faz o navegador tentar de novo mais tarde (com espera crescente).
+async function sendRemotePush() {
+  const cache = await caches.open(REMOTE_SYNC_CACHE);
+  const res = await cache.match(REMOTE_SYNC_STATE_URL);
+  const pending = res ? await res.json() : null;
+  if (!pending?.url || !pending?.body) return;
+
+  const sent = await fetch(pending.url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(pending.body)
+  });
+  if (!sent.ok) throw new Error(`sync ${sent.status}`);
+  await cache.delete(REMOTE_SYNC_STATE_URL);
+
+  // App aberto: ele limpa a fila (revisões já no servidor) e puxa as novidades.
+  const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+  for (const client of windows) client.postMessage({ type: 'REMOTE_SYNC_PUSHED' });
+}
+
+self.addEventListener('sync', (event) => {
+  if (event.tag === REMOTE_SYNC_TAG) event.waitUntil(sendRemotePush());
+});
+
+// Clique: abre (ou foca) o app no deep link de destaque (#/dashboard?attention=<tipo>).
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  const url = new URL(event.notification.data?.url || './#/dashboard', self.registration.scope).href;
+
+  event.waitUntil(
+    (async () => {
+      const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+      const client = windows.find((c) => c.url.startsWith(self.registration.scope));
+      if (client) {
+        await client.focus();
+        client.postMessage({ type: 'OPEN_DEEP_LINK', url });
+        return;
+      }
+      await self.clients.openWindow(url);
+    })()
+  );
+});
+
 self.addEventListener('install', (event) => {
   event.waitUntil(
     (async () => {
@@ -53,7 +251,7 @@ self.addEventListener('activate', (event) => {
     (async () => {
       const keys = await caches.keys();
       await Promise.all(
-        keys.map((k) => (k === CACHE_NAME ? Promise.resolve() : caches.delete(k)))
+        keys.map((k) => (k === CACHE_NAME || k === NOTIFY_CACHE || k === REMOTE_SYNC_CACHE ? Promise.resolve() : caches.delete(k)))
       );
 
       // Boa prática moderna: Navigation Preload (quando suportado)
@@ -75,6 +273,11 @@ function isApiRequest(url) {
   return url.pathname.startsWith('/api/');
 }
 
+// Dados de saúde da sincronização não ficam no cache do app.
+function isRemoteSyncRequest(url) {
+  return url.pathname.startsWith('/api/sync/');
+}
+
 function isNavigationRequest(req) {
   if (req.mode === 'navigate') return true;
   const accept = req.headers.get('accept') || '';
@@ -87,6 +290,7 @@ self.addEventListener('fetch', (event) => {
 
   // Só cuidamos de GET.
   if (req.method !== 'GET') return;
+  if (isRemoteSyncRequest(url)) return;
 
   // Network-first para API
   if (isApiRequest(url)) {
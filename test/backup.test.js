@@ -0,0 +1,159 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { BACKUP_SCHEMAS, BACKUP_VERSION, upgradeBackup, validateBackup, validateSchema } from '../core/backup.js';
+
+const v1 = {
+  version: 1,
+  exportedAtISO: '2024-06-20T12:00:00.000Z',
+  profile: { id: 'default', name: 'Principal' },
+  settings: { injectionDayOfWeek: 4, injectionTime: '08:30', patientBirthDate: '1980-05-02', imcHeight: 172, medRefUrl: 'https://exemplo.org/bula' },
+  injections: [
+    { id: 'i1', dateTimeISO: '2024-06-01T12:00:00.000Z', doseMg: 2.5, site: 'abdomen_right', notes: '' },
+    { id: 'i2', doseMg: 2.5 }
+  ],
+  weights: [
+    { id: 'w1', dateTimeISO: '2024-06-03T10:00:00.000Z', weightKg: 91.2, fasting: true },
+    { id: 'w2', dateTimeISO: '2024-06-04T10:00:00.000Z', weightKg: null },
+    { id: 'w3', dateTimeISO: 'ontem', weightKg: 90 }
+  ],
+  measures: [{ id: 'm1', dateISO: '2024-06-02', waistCm: 100, hipCm: null }]
+};
+
+test('validateBackup: v1 sem medications/inventory vira v2 com agenda completa', () => {
+  const { data, fromVersion } = validateBackup(v1);
+  assert.equal(fromVersion, 1);
+  assert.equal(data.version, BACKUP_VERSION);
+  assert.deepEqual(data.medications, []);
+  assert.deepEqual(data.inventory, []);
+  assert.equal(data.settings.injectionScheduleMode, 'weekdays');
+  assert.deepEqual(data.settings.injectionDaysOfWeek, [4]);
+  assert.equal(data.settings.patientBirthDate, '1980-05-02');
+  assert.equal(data.settings.imcHeight, 172);
+  assert.equal(data.settings.medRefUrl, 'https://exemplo.org/bula');
+  assert.deepEqual(validateSchema(data, BACKUP_SCHEMAS[BACKUP_VERSION]), []);
+});
+
+test('validateBackup: registros inválidos ficam de fora com o motivo e a posição', () => {
+  const { data, rejected } = validateBackup(v1);
+  assert.deepEqual(data.injections.map((i) => i.id), ['i1']);
+  assert.deepEqual(data.weights.map((w) => w.id), ['w1']);
+  assert.deepEqual(data.measures.map((m) => m.id), ['m1']);
+  assert.deepEqual(
+    rejected.map((r) => [r.store, r.index, r.id]),
+    [['injections', 1, 'i2'], ['weights', 1, 'w2'], ['weights', 2, 'w3']]
+  );
+  assert.deepEqual(rejected[0].reasons, ['dateTimeISO: obrigatório']);
+  assert.match(rejected[1].reasons[0], /^weightKg: esperado number/);
+  assert.match(rejected[2].reasons[0], /^dateTimeISO: formato inválido/);
+});
+
+test('validateBackup: NaN, zero e medidas negativas são recusados', () => {
+  const { rejected } = validateBackup({
+    ...v1,
+    injections: [],
+    weights: [{ id: 'w1', dateTimeISO: '2024-06-03T10:00:00.000Z', weightKg: Number.NaN }, { id: 'w2', dateTimeISO: '2024-06-03T10:00:00.000Z', weightKg: 0 }],
+    measures: [{ id: 'm1', dateISO: '2024-06-02', waistCm: -3 }, { id: 'm2', dateISO: '02/06/2024' }]
+  });
+  assert.deepEqual(rejected.map((r) => r.id), ['w1', 'w2', 'm1', 'm2']);
+});
+
+test('validateBackup: campo de configuração inválido é descartado, o resto fica', () => {
+  const { data, rejected } = validateBackup({ ...v1, settings: { ...v1.settings, injectionTime: '25:99', weighDaysOfWeek: [1, 9] } });
+  assert.equal(data.settings.injectionTime, undefined);
+  assert.equal(data.settings.weighDaysOfWeek, undefined);
+  assert.equal(data.settings.patientBirthDate, '1980-05-02');
+  assert.deepEqual(rejected.filter((r) => r.store === 'settings').map((r) => r.id), ['injectionTime', 'weighDaysOfWeek']);
+  assert.equal(rejected.length, 5);
+});
+
+// Configurações como publicadas na v2 (e já aceitas na v1): o schema só pode crescer.
+const PUBLISHED_SETTINGS = {
+  reminderDow: { type: ['string', 'integer'] },
+  reminderTime: { type: 'string', format: 'time' },
+  injectionDayOfWeek: { type: 'integer', minimum: 0, maximum: 6 },
+  injectionTime: { type: 'string', format: 'time' },
+  injectionScheduleMode: { enum: ['weekdays', 'interval'] },
+  injectionDaysOfWeek: { type: 'array', items: { type: 'integer', minimum: 0, maximum: 6 } },
+  injectionIntervalDays: { type: 'integer', minimum: 1 },
+  injectionIntervalStartDate: { type: 'string', format: 'date-or-empty' },
+  weighDaysOfWeek: { type: 'array', items: { type: 'integer', minimum: 0, maximum: 6 } },
+  measureReminderEveryDays: { type: 'integer', minimum: 1 },
+  patientName: { type: 'string' },
+  patientBirthDate: { type: 'string', format: 'date-or-empty' },
+  patientBirthYear: { type: ['string', 'integer'] },
+  preferredReportRangeDays: { type: 'integer' },
+  medRefUrl: { type: 'string' },
+  medOfficialText: { type: 'string' },
+  enableArmSites: { type: 'boolean' },
+  imcHeight: { type: ['number', 'null'], exclusiveMinimum: 0 }
+};
+
+test('configurações: propriedades publicadas não mudam e arquivos antigos continuam válidos', () => {
+  for (const version of [1, 2]) {
+    const { properties } = BACKUP_SCHEMAS[version].properties.settings;
+    for (const [key, schema] of Object.entries(PUBLISHED_SETTINGS)) assert.deepEqual(properties[key], schema, `v${version}.${key}`);
+  }
+
+  const settings = {
+    reminderDow: '5',
+    reminderTime: '19:00',
+    injectionTime: '08:30',
+    injectionScheduleMode: 'interval',
+    injectionDaysOfWeek: [4],
+    injectionIntervalDays: 10,
+    injectionIntervalStartDate: '2024-06-01',
+    weighDaysOfWeek: [1, 4],
+    measureReminderEveryDays: 14,
+    patientName: 'Ana',
+    patientBirthDate: '',
+    patientBirthYear: '1980',
+    preferredReportRangeDays: 90,
+    medRefUrl: '',
+    medOfficialText: '',
+    enableArmSites: true,
+    imcHeight: null
+  };
+  const v2 = { version: 2, settings, medications: [], inventory: [], injections: [], weights: [], measures: [] };
+  const fromV2 = validateBackup(v2);
+  assert.deepEqual(fromV2.rejected, []);
+  assert.deepEqual(fromV2.data.settings, settings);
+  assert.deepEqual(validateBackup(v1).rejected.filter((r) => r.store === 'settings'), []);
+});
+
+test('validateBackup: arquivos sem versão valem como v1; v2 exige os cinco stores', () => {
+  const { version, ...noVersion } = v1;
+  assert.equal(version, 1);
+  assert.equal(validateBackup(noVersion).fromVersion, 1);
+
+  assert.throws(() => validateBackup({ ...v1, version: 2 }), /medications: obrigatório/);
+  assert.throws(() => validateBackup({ version: 1, weights: [], measures: [] }), /injections: obrigatório/);
+  assert.throws(() => validateBackup({ ...v1, weights: 'x' }), /weights: esperado array/);
+  assert.throws(() => validateBackup([]), /estrutura não reconhecida/);
+});
+
+test('validateBackup: versão mais nova que o app é recusada', () => {
+  assert.throws(() => validateBackup({ ...v1, version: BACKUP_VERSION + 1 }), /Atualize o DoseCheck/);
+  assert.throws(() => validateBackup({ ...v1, version: 'abc' }), /versão de backup "abc" desconhecida/);
+});
+
+test('upgradeBackup: v2 passa intacto; agenda nova nas configurações não é sobrescrita', () => {
+  const v2 = { version: 2, settings: null, medications: [], inventory: [], injections: [], weights: [], measures: [] };
+  assert.equal(upgradeBackup(v2), v2);
+
+  const up = upgradeBackup({ ...v1, settings: { injectionDayOfWeek: 4, injectionScheduleMode: 'interval', injectionDaysOfWeek: [1, 4] } });
+  assert.deepEqual(up.settings.injectionDaysOfWeek, [1, 4]);
+  assert.equal(up.settings.injectionScheduleMode, 'interval');
+});
+
+test('validateBackup: medicamentos e estoque sem id são recusados (aplicações apontam para eles)', () => {
+  const { data, rejected } = validateBackup({
+    ...v1,
+    version: 2,
+    medications: [{ id: 'reta', name: 'Retatrutida', schedule: {} }, { name: 'Sem id' }],
+    inventory: [{ id: 'pen1', medicationId: 'reta', totalAmount: 10, expiryDate: '' }, { medicationId: 'reta', totalAmount: 10 }]
+  });
+  assert.deepEqual(data.medications.map((m) => m.id), ['reta']);
+  assert.deepEqual(data.inventory.map((it) => it.id), ['pen1']);
+  assert.deepEqual(rejected.filter((r) => r.store === 'medications' || r.store === 'inventory').map((r) => [r.store, r.index]), [['medications', 1], ['inventory', 1]]);
+});
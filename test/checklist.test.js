@@ -0,0 +1,133 @@
+process.env.TZ = 'America/Sao_Paulo';
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { DEFAULTS } from '../core/constants.js';
+import {
+  buildChecklistCacheFromData,
+  buildChecklistForDate,
+  buildOverdueChecklist,
+  buildUpcomingChecklist,
+  computeMeasuresDueDateKey,
+  computeNextReminderDate,
+  computeNextScheduledDateTime,
+  describeDueBanner
+} from '../core/checklist.js';
+import { getLocalDateKey } from '../core/dates.js';
+
+const at = (y, m, d, hh = 8, mi = 0) => new Date(y, m - 1, d, hh, mi).toISOString();
+const weight = (iso) => ({ id: iso, dateTimeISO: iso, weightKg: 90 });
+const injection = (iso) => ({ id: iso, dateTimeISO: iso, doseMg: 2.5 });
+
+// Pesagem seg/qua/sex, aplicação sábado 09:51, medidas a cada 14 dias.
+const settings = { ...DEFAULTS };
+
+test('dia de pesagem: pendente de manhã, aviso depois das 12:00', () => {
+  const cache = buildChecklistCacheFromData({ measures: [{ dateISO: '2024-06-20' }] });
+  const wednesday = new Date(2024, 5, 26, 9, 0);
+
+  const morning = buildChecklistForDate(wednesday, cache, settings, wednesday);
+  assert.deepEqual(morning.map((it) => [it.kind, it.status, it.warnAfterCutoff]), [['weight', 'pending', false]]);
+
+  const afternoon = new Date(2024, 5, 26, 12, 0);
+  const later = buildChecklistForDate(wednesday, cache, settings, afternoon);
+  assert.equal(later[0].warnAfterCutoff, true);
+});
+
+test('dia de aplicação registrado fica "done"; dia passado sem registro fica "late"', () => {
+  const cache = buildChecklistCacheFromData({
+    injections: [injection(at(2024, 6, 22, 10, 5))],
+    measures: [{ dateISO: '2024-06-20' }]
+  });
+  const nowDate = new Date(2024, 5, 30, 10, 0);
+
+  const saturday = buildChecklistForDate(new Date(2024, 5, 22), cache, settings, nowDate);
+  assert.equal(saturday[0].kind, 'injection');
+  assert.equal(saturday[0].status, 'done');
+
+  const missed = buildChecklistForDate(new Date(2024, 5, 29), cache, settings, nowDate);
+  assert.equal(missed[0].status, 'late');
+});
+
+test('registro às 23:30 conta para o dia local (não para o dia UTC)', () => {
+  const cache = buildChecklistCacheFromData({ weights: [weight(at(2024, 6, 24, 23, 30))], measures: [{ dateISO: '2024-06-20' }] });
+  const nowDate = new Date(2024, 5, 25, 8, 0);
+  const monday = buildChecklistForDate(new Date(2024, 5, 24), cache, settings, nowDate);
+  assert.equal(monday[0].status, 'done');
+});
+
+test('medidas: lembrete N dias após o último registro; se atrasado, vira "hoje"', () => {
+  const cache = buildChecklistCacheFromData({ measures: [{ dateISO: '2024-06-01' }] });
+  assert.equal(computeMeasuresDueDateKey(cache, settings, '2024-06-10'), '2024-06-15');
+  assert.equal(computeMeasuresDueDateKey(cache, settings, '2024-06-20'), '2024-06-20');
+
+  // Nunca registrou: sugere hoje.
+  assert.equal(computeMeasuresDueDateKey(buildChecklistCacheFromData(), settings, '2024-06-20'), '2024-06-20');
+
+  // Mínimo de 7 dias, mesmo se configurado menos.
+  assert.equal(computeMeasuresDueDateKey(cache, { ...settings, measureReminderEveryDays: 3 }, '2024-06-02'), '2024-06-08');
+});
+
+test('buildOverdueChecklist: só obrigatórios não feitos, mais recentes primeiro', () => {
+  const cache = buildChecklistCacheFromData({
+    weights: [weight(at(2024, 6, 24))],
+    measures: [{ dateISO: '2024-06-29' }]
+  });
+  // Domingo 30/06: últimos 7 dias = 23/06..29/06.
+  const nowDate = new Date(2024, 5, 30, 10, 0);
+  const overdue = buildOverdueChecklist(cache, settings, 7, nowDate);
+  assert.deepEqual(overdue.map((it) => `${it.kind}@${it.dateKey}`), [
+    'injection@2024-06-29',
+    'weight@2024-06-28',
+    'weight@2024-06-26'
+  ]);
+  assert.ok(overdue.every((it) => it.status === 'late' && it.warnAfterCutoff === false));
+});
+
+test('buildUpcomingChecklist lista os próximos dias com itens', () => {
+  const cache = buildChecklistCacheFromData({ measures: [{ dateISO: '2024-06-29' }] });
+  const nowDate = new Date(2024, 5, 30, 10, 0);
+  const upcoming = buildUpcomingChecklist(cache, settings, 7, nowDate);
+  assert.deepEqual(upcoming.map((d) => d.dateKey), ['2024-07-01', '2024-07-03', '2024-07-05', '2024-07-06']);
+  assert.equal(upcoming[3].items[0].kind, 'injection');
+});
+
+test('semana com início do horário de verão: checklist não pula nem repete dias', () => {
+  const cache = buildChecklistCacheFromData({ measures: [{ dateISO: '2018-11-01' }] });
+  // Sábado 03/11/2018; o domingo 04/11 começa às 01:00.
+  const nowDate = new Date(2018, 10, 3, 10, 0);
+  const upcoming = buildUpcomingChecklist(cache, settings, 7, nowDate);
+  assert.deepEqual(upcoming.map((d) => d.dateKey), ['2018-11-05', '2018-11-07', '2018-11-09', '2018-11-10']);
+});
+
+// -----------------------------
+// Próxima aplicação / lembrete
+// -----------------------------
+
+test('computeNextScheduledDateTime: mesmo dia antes do horário, senão próxima semana', () => {
+  const before = computeNextScheduledDateTime(settings, new Date(2024, 5, 29, 9, 0));
+  assert.equal(before.toString(), new Date(2024, 5, 29, 9, 51).toString());
+
+  const after = computeNextScheduledDateTime(settings, new Date(2024, 5, 29, 9, 51));
+  assert.equal(getLocalDateKey(after), '2024-07-06');
+});
+
+test('computeNextScheduledDateTime mantém o horário local através do horário de verão', () => {
+  const next = computeNextScheduledDateTime(settings, new Date(2018, 10, 3, 10, 0));
+  assert.equal(getLocalDateKey(next), '2018-11-10');
+  assert.deepEqual([next.getHours(), next.getMinutes()], [9, 51]);
+});
+
+test('computeNextReminderDate respeita lembrete desativado', () => {
+  assert.equal(computeNextReminderDate({ reminderDow: '' }, new Date(2024, 5, 30)), null);
+  const next = computeNextReminderDate({ reminderDow: 1, reminderTime: '19:00' }, new Date(2024, 5, 30, 20, 0));
+  assert.equal(next.toString(), new Date(2024, 6, 1, 19, 0).toString());
+});
+
+test('describeDueBanner classifica atrasado / próximas 24h / futuro', () => {
+  const nowDate = new Date(2024, 5, 30, 10, 0);
+  assert.equal(describeDueBanner(new Date(2024, 5, 30, 9, 0), nowDate).kind, 'overdue');
+  assert.equal(describeDueBanner(new Date(2024, 6, 1, 9, 0), nowDate).kind, 'soon');
+  assert.equal(describeDueBanner(new Date(2024, 6, 3, 9, 0), nowDate).kind, 'future');
+});
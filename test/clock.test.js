@@ -0,0 +1,76 @@
+process.env.TZ = 'America/Sao_Paulo';
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { clock, createClock } from '../core/clock.js';
+import { DEFAULTS } from '../core/constants.js';
+import { buildChecklistCacheFromData, buildChecklistForDate } from '../core/checklist.js';
+import { isInLastDays } from '../core/dates.js';
+import { buildSummaryForDays } from '../core/report.js';
+import { countStreakWeights } from '../core/stats.js';
+
+const at = (y, m, d, hh = 8, mi = 0) => new Date(y, m - 1, d, hh, mi).toISOString();
+
+test('createClock lê a fonte até ser fixado', () => {
+  let ms = 1_000;
+  const c = createClock(() => ms);
+  assert.equal(c.now().getTime(), 1_000);
+  ms = 2_000;
+  assert.equal(c.nowMs(), 2_000);
+  assert.equal(c.isTraveling(), false);
+  assert.equal(c.travelTarget(), null);
+
+  assert.equal(c.travelTo(new Date(2024, 5, 29, 13, 0)), true);
+  ms = 9_000;
+  assert.equal(c.now().getTime(), new Date(2024, 5, 29, 13, 0).getTime());
+  assert.equal(c.isTraveling(), true);
+
+  c.backToPresent();
+  assert.equal(c.now().getTime(), 9_000);
+});
+
+test('travelTo ignora valores inválidos e mantém o estado anterior', () => {
+  const c = createClock(() => 5_000);
+  assert.equal(c.travelTo('não é data'), false);
+  assert.equal(c.isTraveling(), false);
+
+  c.travelTo('2024-06-29T16:00:00.000Z');
+  assert.equal(c.travelTo(undefined), false);
+  assert.equal(c.travelTarget().toISOString(), '2024-06-29T16:00:00.000Z');
+});
+
+test('now() devolve cópias: alterar o Date retornado não mexe no relógio', () => {
+  const c = createClock();
+  c.travelTo(new Date(2024, 5, 29, 13, 0));
+  c.now().setFullYear(1999);
+  assert.equal(c.now().getFullYear(), 2024);
+});
+
+test('viagem no tempo: funções core sem nowDate seguem o relógio compartilhado', (t) => {
+  t.after(() => clock.backToPresent());
+
+  const settings = { ...DEFAULTS };
+  const data = {
+    weights: [at(2024, 6, 24), at(2024, 6, 26), at(2024, 6, 28)].map((iso) => ({ id: iso, dateTimeISO: iso, weightKg: 90, fasting: true })),
+    injections: [],
+    measures: [{ id: 'm1', dateISO: '2024-06-20' }]
+  };
+  const cache = buildChecklistCacheFromData(data);
+
+  // "Por que sábado apareceu atrasado?": sábado 29/06 às 13:00, aplicação das 09:51 sem registro.
+  clock.travelTo(new Date(2024, 5, 29, 13, 0));
+  const saturday = buildChecklistForDate(new Date(2024, 5, 29), cache, settings);
+  assert.equal(saturday[0].kind, 'injection');
+  assert.equal(saturday[0].status, 'pending');
+  assert.equal(saturday[0].warnAfterCutoff, true);
+
+  assert.equal(countStreakWeights(cache, settings), 3);
+  assert.equal(isInLastDays(at(2024, 6, 24), 7), true);
+  assert.deepEqual(buildSummaryForDays(7, data).weights.map((w) => w.dateTimeISO), [at(2024, 6, 28), at(2024, 6, 26), at(2024, 6, 24)]);
+
+  // Um mês depois, os mesmos dados já saíram da janela.
+  clock.travelTo(new Date(2024, 6, 29, 13, 0));
+  assert.equal(isInLastDays(at(2024, 6, 24), 7), false);
+  assert.equal(buildSummaryForDays(7, data).weights.length, 0);
+});
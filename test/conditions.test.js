@@ -0,0 +1,133 @@
+process.env.TZ = 'America/Sao_Paulo';
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { validateBackup } from '../core/backup.js';
+import { buildChecklistCacheFromData } from '../core/checklist.js';
+import {
+  conditionMix,
+  describeComparisonCount,
+  isComparableWeight,
+  normalizeWeightComparison,
+  selectComparableWeights,
+  timeBucketOf
+} from '../core/conditions.js';
+import { DEFAULTS } from '../core/constants.js';
+import { computeWeightGoalStatus } from '../core/goals.js';
+import { buildClinicalReportInnerHtml } from '../core/report.js';
+import { buildLastNDaysSummary, buildLocalInsights, buildWeeklySummaryText } from '../core/summary.js';
+
+const at = (y, m, d, hh = 7) => new Date(y, m - 1, d, hh).toISOString();
+const NOW = new Date(2024, 5, 30, 12);
+const FASTING = { ...DEFAULTS, weightComparison: 'fasting' };
+const SAME_TIME = { ...DEFAULTS, weightComparison: 'time' };
+
+// Em jejum às 7h todo dia de junho, caindo 0,1 kg/dia a partir de 95 kg; na última semana,
+// também à noite depois de comer (+1,5 kg).
+function juneWeights() {
+  const list = [];
+  for (let d = 1; d <= 29; d++) {
+    const kg = Math.round((95 - (d - 1) * 0.1) * 10) / 10;
+    list.push({ id: `f${d}`, dateTimeISO: at(2024, 6, d), weightKg: kg, fasting: true });
+    if (d >= 23) list.push({ id: `n${d}`, dateTimeISO: at(2024, 6, d, 20), weightKg: kg + 1.5, fasting: false });
+  }
+  return list;
+}
+
+test('períodos do dia e configuração', () => {
+  assert.equal(timeBucketOf(at(2024, 6, 1, 3)), 'night');
+  assert.equal(timeBucketOf(at(2024, 6, 1, 4)), 'morning');
+  assert.equal(timeBucketOf(at(2024, 6, 1, 12)), 'afternoon');
+  assert.equal(timeBucketOf(at(2024, 6, 1, 18)), 'night');
+  assert.equal(normalizeWeightComparison('fasting'), 'fasting');
+  assert.equal(normalizeWeightComparison('xyz'), 'all');
+  assert.equal(DEFAULTS.weightComparison, 'all');
+
+  const { data, rejected } = validateBackup({ version: 1, injections: [], weights: [], measures: [], settings: { weightComparison: 'xyz' } });
+  assert.equal(data.settings.weightComparison, undefined);
+  assert.deepEqual(rejected.map((r) => r.id), ['weightComparison']);
+});
+
+test('selectComparableWeights: jejum, período da última pesagem e todas', () => {
+  const weights = juneWeights();
+  const fasting = selectComparableWeights(weights, FASTING);
+  assert.equal(fasting.count, 29);
+  assert.equal(fasting.total, 36);
+  assert.equal(fasting.excluded, 7);
+  assert.equal(describeComparisonCount(fasting), 'só pesagens em jejum (29 de 36)');
+
+  // A última pesagem foi à noite: só as da noite entram.
+  const time = selectComparableWeights(weights, 'time');
+  assert.equal(time.bucket, 'night');
+  assert.equal(time.count, 7);
+  assert.equal(describeComparisonCount(time), 'só pesagens da noite (7 de 36)');
+  assert.equal(isComparableWeight(weights[0], time), false);
+
+  const all = selectComparableWeights(weights, {});
+  assert.equal(all.weights, weights);
+  assert.equal(describeComparisonCount(all), 'todas as pesagens (36)');
+  assert.deepEqual(conditionMix(weights), { fasting: true, time: true, buckets: ['morning', 'night'] });
+  assert.deepEqual(conditionMix(fasting.weights), { fasting: false, time: false, buckets: ['morning'] });
+});
+
+test('tendência e diferenças do resumo só com pesagens em jejum', () => {
+  const data = { weights: juneWeights(), injections: [], measures: [] };
+  const mixed = buildLastNDaysSummary(30, { ...data, settings: DEFAULTS }, NOW).weight;
+  const fasting = buildLastNDaysSummary(30, { ...data, settings: FASTING }, NOW).weight;
+  // As pesagens da noite puxam a tendência para cima.
+  assert.ok(mixed.perWeekKg > -0.5);
+  assert.ok(Math.abs(fasting.perWeekKg - -0.7) < 1e-9);
+  assert.equal(fasting.count, 36);
+  assert.deepEqual(fasting.comparison, { mode: 'fasting', bucket: null, count: 29, total: 36 });
+  assert.ok(Math.abs(fasting.deltaKg - -2.8) < 1e-9);
+
+  const cache = buildChecklistCacheFromData(data);
+  const weekly = buildWeeklySummaryText(cache, FASTING, 0, NOW).split('\n');
+  assert.ok(weekly.includes('Peso: 92,7 kg → 92,2 kg (-0,5 kg)'));
+  assert.ok(weekly.includes('Comparação: só pesagens em jejum (6 de 12)'));
+  assert.ok(!buildWeeklySummaryText(cache, DEFAULTS, 0, NOW).includes('Comparação:'));
+});
+
+test('insight avisa quando as comparações misturam condições', () => {
+  const cache = buildChecklistCacheFromData({ weights: juneWeights(), injections: [], measures: [] });
+  const warning = (settings) => buildLocalInsights(cache, settings, NOW).find((i) => i.title === 'Pesagens em condições diferentes');
+
+  const mixed = warning(DEFAULTS);
+  assert.equal(mixed.insight, 'Nos últimos 14 dias, as comparações de peso misturam pesagens em jejum e sem jejum e períodos do dia (manhã, noite).');
+  assert.match(mixed.action, /Comparar pesagens/);
+  assert.equal(warning(FASTING), undefined);
+  assert.equal(warning(SAME_TIME), undefined);
+
+  // Em jejum, mas em horários diferentes: a configuração não separa, então sugere a rotina.
+  const varied = juneWeights().filter((w) => w.fasting).map((w, i) => ({ ...w, dateTimeISO: at(2024, 6, i + 1, i % 2 ? 7 : 14) }));
+  const timeOnly = buildLocalInsights(buildChecklistCacheFromData({ weights: varied, injections: [], measures: [] }), FASTING, NOW)
+    .find((i) => i.title === 'Pesagens em condições diferentes');
+  assert.equal(timeOnly.insight, 'Nos últimos 14 dias, as comparações de peso misturam períodos do dia (manhã, tarde).');
+  assert.match(timeOnly.action, /mesmo horário/);
+});
+
+test('platô e metas usam as pesagens comparáveis', () => {
+  // Estável em jejum; à noite, +1,5 kg nos últimos dias: com todas misturadas, a reta sobe e some o platô.
+  const weights = [];
+  for (let d = 17; d <= 29; d++) {
+    weights.push({ id: `f${d}`, dateTimeISO: at(2024, 6, d), weightKg: 90 + (d % 2) * 0.1, fasting: true });
+    if (d >= 26) weights.push({ id: `n${d}`, dateTimeISO: at(2024, 6, d, 20), weightKg: 91.5, fasting: false });
+  }
+  const cache = buildChecklistCacheFromData({ weights, injections: [], measures: [] });
+  const plateau = (settings) => buildLocalInsights(cache, settings, NOW).find((i) => i.title === 'Possível platô');
+  assert.equal(plateau(DEFAULTS), undefined);
+  assert.ok(plateau(FASTING));
+
+  const goal = { goalWeightKg: 88 };
+  assert.equal(computeWeightGoalStatus(goal, juneWeights(), NOW).currentKg, 93.7);
+  assert.equal(computeWeightGoalStatus({ ...goal, weightComparison: 'fasting' }, juneWeights(), NOW).currentKg, 92.2);
+});
+
+test('relatório informa quais pesagens entraram na tendência', () => {
+  const data = { weights: juneWeights(), injections: [], measures: [] };
+  const report = (settings) => buildClinicalReportInnerHtml({ rangeDays: 30, patientName: 'Ana', data, settings, nowDate: NOW });
+  assert.match(report(FASTING), /Pesagens usadas:<\/span> <span class="cr-v">só pesagens em jejum \(29 de 36\)<\/span>/);
+  assert.match(report(DEFAULTS), /Pesagens usadas:<\/span> <span class="cr-v">todas as pesagens \(36\) • com e sem jejum • períodos do dia: manhã, noite<\/span>/);
+  assert.match(report(SAME_TIME), /só pesagens da noite \(7 de 36\)/);
+});
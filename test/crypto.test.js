@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  ENCRYPTED_BACKUP_FORMAT,
+  MAX_PBKDF2_ITERATIONS,
+  WRONG_PASSPHRASE_ERROR,
+  base64ToBytes,
+  bytesToBase64,
+  decryptBackup,
+  encryptBackup,
+  isEncryptedBackup
+} from '../core/crypto.js';
+
+// Poucas iterações: o teste confere o formato, não o custo da derivação.
+const fast = { iterations: 1000 };
+const payload = { version: 1, settings: { patientName: 'Ana Souza', patientBirthDate: '1980-02-01' }, weights: [{ id: 'w1', weightKg: 91.2 }] };
+
+test('encryptBackup/decryptBackup: ida e volta, envelope sem dados em claro', async () => {
+  const env = await encryptBackup(payload, 'senha forte 123', fast);
+  assert.equal(env.format, ENCRYPTED_BACKUP_FORMAT);
+  assert.equal(env.version, 1);
+  assert.deepEqual([env.kdf.name, env.kdf.hash, env.kdf.iterations, env.cipher.name], ['PBKDF2', 'SHA-256', 1000, 'AES-GCM']);
+  assert.ok(isEncryptedBackup(env));
+  assert.ok(!isEncryptedBackup(payload));
+  assert.ok(!JSON.stringify(env).includes('Ana'));
+
+  assert.deepEqual(await decryptBackup(env, 'senha forte 123'), payload);
+
+  // Salt e IV novos a cada arquivo.
+  const again = await encryptBackup(payload, 'senha forte 123', fast);
+  assert.notEqual(again.data, env.data);
+});
+
+test('senha incorreta, arquivo alterado e versão desconhecida dão erros distintos', async () => {
+  const env = await encryptBackup(payload, 'senha forte 123', fast);
+
+  await assert.rejects(decryptBackup(env, 'outra senha'), (err) => err.name === WRONG_PASSPHRASE_ERROR && /Senha incorreta/.test(err.message));
+
+  const bytes = base64ToBytes(env.data);
+  bytes[0] ^= 1;
+  await assert.rejects(decryptBackup({ ...env, data: bytesToBase64(bytes) }, 'senha forte 123'), /corrompido ou alterado/);
+
+  // Cabeçalho trocado (iv) ou ilegível (salt).
+  await assert.rejects(decryptBackup({ ...env, cipher: { ...env.cipher, iv: bytesToBase64(new Uint8Array(12)) } }, 'senha forte 123'), /corrompido ou alterado/);
+  await assert.rejects(decryptBackup({ ...env, kdf: { ...env.kdf, salt: 'não é base64' } }, 'senha forte 123'), /cabeçalho/);
+  // Iterações absurdas são recusadas antes de derivar a chave.
+  await assert.rejects(decryptBackup({ ...env, kdf: { ...env.kdf, iterations: MAX_PBKDF2_ITERATIONS + 1 } }, 'senha forte 123'), /cabeçalho/);
+  await assert.rejects(decryptBackup({ ...env, kdf: { ...env.kdf, iterations: 1e12 } }, 'senha forte 123'), /cabeçalho/);
+  await assert.rejects(decryptBackup({ ...env, version: 2 }, 'senha forte 123'), /versão 2, não suportada/);
+});
+
+test('senha curta é recusada', async () => {
+  await assert.rejects(encryptBackup(payload, '1234', fast), /pelo menos 8/);
+});
@@ -0,0 +1,108 @@
+process.env.TZ = 'America/Sao_Paulo';
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  buildImportRecords,
+  classifyImportRecords,
+  detectDateFormat,
+  detectDelimiter,
+  guessColumnMapping,
+  parseCsv,
+  parseDateCell,
+  parseImportNumber,
+  planImport
+} from '../core/csv.js';
+import { parseNumberPtBr } from '../core/format.js';
+import { i18n, t } from '../core/i18n.js';
+import { normalizeMedication } from '../core/medications.js';
+
+const at = (y, m, d, hh = 9, mi = 0) => new Date(y, m - 1, d, hh, mi).toISOString();
+
+test('parseCsv: separador detectado, aspas, BOM e linhas vazias', () => {
+  const text = '\uFEFFData;Peso (kg);Obs\r\n03/06/2024;"91,2";"em jejum; ""manhã"""\r\n\r\n05/06/2024;90,8;\n';
+  assert.equal(detectDelimiter(text), ';');
+  assert.deepEqual(parseCsv(text), [
+    ['Data', 'Peso (kg)', 'Obs'],
+    ['03/06/2024', '91,2', 'em jejum; "manhã"'],
+    ['05/06/2024', '90,8', '']
+  ]);
+  assert.equal(detectDelimiter('date\tweight\n'), '\t');
+  assert.equal(detectDelimiter('so uma coluna'), ',');
+});
+
+test('números pt-BR e en, com unidade', () => {
+  assert.equal(parseNumberPtBr('1.234,5'), 1234.5);
+  assert.equal(parseNumberPtBr('1,234.5'), 1234.5);
+  assert.equal(parseImportNumber('82,5 kg'), 82.5);
+  assert.equal(parseImportNumber('182.4 lb'), 182.4);
+  assert.ok(Number.isNaN(parseImportNumber('—')));
+});
+
+test('datas: detecção do formato e leitura com hora', () => {
+  assert.equal(detectDateFormat(['03/06/2024', '15/06/2024']), 'dmy');
+  assert.equal(detectDateFormat(['06/03/2024', '06/15/2024']), 'mdy');
+  assert.equal(detectDateFormat(['2024-06-03', '2024-06-15 07:10']), 'iso');
+  assert.equal(detectDateFormat(['ontem']), null);
+
+  assert.deepEqual(parseDateCell('03/06/24 7:05 pm', 'dmy'), { dateKey: '2024-06-03', time: '19:05' });
+  assert.deepEqual(parseDateCell('2024-06-03T23:05:00.000Z', 'iso'), { dateKey: '2024-06-03', time: '20:05' });
+  assert.equal(parseDateCell('31/02/2024', 'dmy'), null);
+});
+
+test('mapeamento sugerido pelos cabeçalhos (pt-BR e en)', () => {
+  assert.deepEqual(guessColumnMapping(['Data', 'Peso (kg)', 'Obs'], 'weight'), { date: 0, weightKg: 1, notes: 2 });
+  assert.deepEqual(guessColumnMapping(['Date', 'Time', 'Weight (lb)', 'Fasting'], 'weight'), { date: 0, time: 1, weightKg: 2, fasting: 3 });
+  assert.deepEqual(guessColumnMapping(['dateISO', 'Cintura', 'Quadril (cm)'], 'measures'), { date: 0, waistCm: 1, hipCm: 2 });
+});
+
+test('prévia: inválidos, duplicados (planilha e banco), conflitos e política de mesclagem', () => {
+  const rows = parseCsv('Data,Peso\n03/06/2024,"91,2"\n03/06/2024,"91,2"\n05/06/2024,"90,0"\n07/06/2024,"89,5"\n08/06/2024,abc\n31/02/2024,"89,0"');
+  const records = buildImportRecords(rows, { kind: 'weight', mapping: { date: 0, weightKg: 1 }, dateFormat: 'dmy' });
+  assert.equal(records[0].input.dateTimeISO, at(2024, 6, 3, 8, 0));
+  assert.equal(records[4].error, 'Peso inválido: "{value}"');
+  assert.deepEqual(records[4].errorParams, { value: 'abc' });
+
+  const existing = [
+    { id: 'w5', dateTimeISO: at(2024, 6, 5, 7, 0), weightKg: 90.8 },
+    { id: 'w7', dateTimeISO: at(2024, 6, 7, 7, 0), weightKg: 89.5 }
+  ];
+  const classified = classifyImportRecords(records, existing, 'weight');
+  assert.deepEqual(classified.records.map((r) => [r.line, r.status, r.existingId]), [
+    [2, 'new', null],
+    [3, 'duplicate', null],
+    [4, 'conflict', 'w5'],
+    [5, 'duplicate', 'w7'],
+    [6, 'invalid', null],
+    [7, 'invalid', null]
+  ]);
+  assert.deepEqual(classified.counts, { new: 1, duplicate: 2, conflict: 1, invalid: 2 });
+
+  assert.deepEqual([planImport(classified, 'skip').create.length, planImport(classified, 'skip').skipped], [1, 5]);
+  assert.equal(planImport(classified, 'both').create.length, 2);
+  assert.deepEqual(planImport(classified, 'replace').replace.map((r) => [r.id, r.input.weightKg]), [['w5', 90]]);
+});
+
+test('aplicações: medicamento pelo nome ou o escolhido; dose e local opcionais', () => {
+  const reta = normalizeMedication({ id: 'reta', name: 'Retatrutida' }, { profileId: 'p1' });
+  const sema = normalizeMedication({ id: 'sema', name: 'Semaglutida' }, { profileId: 'p1' });
+  const rows = parseCsv('date\tdrug\tdose\tsite\n2024-06-01\tsemaglutida\t0.5 mg\tAbdômen (esquerdo)\n2024-06-08\t\t\t\n');
+  const mapping = guessColumnMapping(rows[0], 'injection');
+  const records = buildImportRecords(rows, { kind: 'injection', mapping, dateFormat: 'iso', medications: [reta, sema], defaultMedicationId: 'reta' });
+  assert.deepEqual(records.map((r) => [r.input.medicationId, r.input.medName, r.input.doseMg, r.input.site]), [
+    ['sema', 'Semaglutida', 0.5, 'abdomen_left'],
+    ['reta', 'Retatrutida', undefined, undefined]
+  ]);
+
+  const existing = [{ id: 'i1', dateTimeISO: at(2024, 6, 1, 20, 0), medicationId: 'sema', medName: 'Semaglutida', doseMg: 0.25 }];
+  assert.deepEqual(classifyImportRecords(records, existing, 'injection').records.map((r) => r.status), ['conflict', 'new']);
+});
+
+test('erros da prévia saem no idioma da tela', () => {
+  const rows = parseCsv('Data,Peso,Cintura\n,"91,2",\n31/02/2024,"91,2",\n03/06/2024,,');
+  const errors = (kind, mapping) => i18n.withLocale('en', () => buildImportRecords(rows, { kind, mapping, dateFormat: 'dmy' })
+    .map((r) => t(r.error, r.errorParams)));
+  assert.deepEqual(errors('weight', { date: 0, weightKg: 1 }), ['Missing date', 'Invalid date: "31/02/2024"', 'Missing weight']);
+  assert.deepEqual(errors('measures', { date: 0, waistCm: 2 }).slice(1), ['Invalid date: "31/02/2024"', 'No measurement filled in']);
+});
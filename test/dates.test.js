@@ -0,0 +1,152 @@
+// Fuso com horário de verão à meia-noite (2018/2019): o pior caso para "dia local".
+// Cada arquivo de teste roda em um processo próprio, então o TZ vale só aqui.
+process.env.TZ = 'America/Sao_Paulo';
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  addDays,
+  compareDateKeys,
+  computeAgeYears,
+  cutoffDaysAgo,
+  daysBetween,
+  endOfWeekSunday,
+  getLocalDateKey,
+  isAfterTimeHHmm,
+  isInLastDays,
+  parseDateInputToISO,
+  parseDateKeyToLocalDate,
+  parseIsoDateOnlyToLocalDate,
+  parseLocalDateTimeInputToISO,
+  startOfDay,
+  startOfWeekMonday,
+  toLocalDateTimeInputValue
+} from '../core/dates.js';
+
+// 2018-11-04 00:00 não existe em São Paulo (pula para 01:00).
+// 2019-02-16 23:00–23:59 acontece duas vezes (volta de 00:00 para 23:00).
+const DST_START_DAY = new Date(2018, 10, 4, 12, 0);
+
+function weekKeys(startMonday) {
+  return Array.from({ length: 7 }, (_, i) => getLocalDateKey(addDays(startMonday, i)));
+}
+
+test('getLocalDateKey usa a data local, não a UTC', () => {
+  // 23:30 em São Paulo já é o dia seguinte em UTC.
+  const lateNight = new Date(2024, 0, 31, 23, 30);
+  assert.equal(lateNight.toISOString().slice(0, 10), '2024-02-01');
+  assert.equal(getLocalDateKey(lateNight), '2024-01-31');
+});
+
+test('parseDateKeyToLocalDate e compareDateKeys', () => {
+  const d = parseDateKeyToLocalDate('2024-03-05', '09:51');
+  assert.deepEqual([d.getFullYear(), d.getMonth(), d.getDate(), d.getHours(), d.getMinutes()], [2024, 2, 5, 9, 51]);
+  assert.equal(compareDateKeys('2024-03-05', '2024-03-05'), 0);
+  assert.equal(compareDateKeys('2024-03-05', '2024-03-10'), -1);
+  assert.equal(compareDateKeys('2024-12-31', '2024-03-10'), 1);
+});
+
+test('parseIsoDateOnlyToLocalDate rejeita datas inexistentes', () => {
+  assert.equal(parseIsoDateOnlyToLocalDate('2023-02-29'), null);
+  assert.equal(parseIsoDateOnlyToLocalDate('2024-13-01'), null);
+  assert.equal(parseIsoDateOnlyToLocalDate('05/03/2024'), null);
+  assert.equal(getLocalDateKey(parseIsoDateOnlyToLocalDate('2024-02-29')), '2024-02-29');
+});
+
+test('computeAgeYears considera se o aniversário já passou', () => {
+  assert.equal(computeAgeYears('1980-05-10', new Date(2024, 4, 9)), 43);
+  assert.equal(computeAgeYears('1980-05-10', new Date(2024, 4, 10)), 44);
+  assert.equal(computeAgeYears('inválida', new Date(2024, 4, 10)), null);
+});
+
+test('inputs datetime-local/date ida e volta em horário local', () => {
+  const iso = parseLocalDateTimeInputToISO('2024-06-15T08:05');
+  assert.equal(toLocalDateTimeInputValue(new Date(iso)), '2024-06-15T08:05');
+  assert.equal(parseLocalDateTimeInputToISO(''), null);
+  assert.equal(parseLocalDateTimeInputToISO('2024-06-15'), null);
+  assert.equal(parseDateInputToISO('2024-06-15'), '2024-06-15');
+});
+
+// -----------------------------
+// Semanas (seg–dom)
+// -----------------------------
+
+test('startOfWeekMonday: domingo pertence à semana iniciada na segunda anterior', () => {
+  const sunday = new Date(2024, 5, 16, 22, 0);
+  assert.equal(getLocalDateKey(startOfWeekMonday(sunday)), '2024-06-10');
+
+  const monday = new Date(2024, 5, 17, 0, 0);
+  assert.equal(getLocalDateKey(startOfWeekMonday(monday)), '2024-06-17');
+});
+
+test('semana que cruza a virada de ano', () => {
+  const start = startOfWeekMonday(new Date(2025, 0, 1, 10));
+  assert.deepEqual(weekKeys(start), [
+    '2024-12-30', '2024-12-31', '2025-01-01', '2025-01-02', '2025-01-03', '2025-01-04', '2025-01-05'
+  ]);
+  const end = endOfWeekSunday(start);
+  assert.equal(getLocalDateKey(end), '2025-01-05');
+  assert.deepEqual([end.getHours(), end.getMinutes(), end.getSeconds()], [23, 59, 59]);
+});
+
+// -----------------------------
+// Horário de verão
+// -----------------------------
+
+test('DST (início à meia-noite): o dia continua sendo o mesmo dia local', () => {
+  const start = startOfDay(DST_START_DAY);
+  // Meia-noite não existe; o início do dia é 01:00.
+  assert.equal(start.getHours(), 1);
+  assert.equal(getLocalDateKey(start), '2018-11-04');
+  assert.equal(getLocalDateKey(parseDateKeyToLocalDate('2018-11-04')), '2018-11-04');
+});
+
+test('DST: addDays não "escorrega" de dia nem de horário', () => {
+  const saturday = new Date(2018, 10, 3, 0, 0);
+  assert.equal(getLocalDateKey(addDays(saturday, 1)), '2018-11-04');
+  const monday = addDays(saturday, 2);
+  assert.equal(getLocalDateKey(monday), '2018-11-05');
+  assert.equal(monday.getHours(), 0);
+
+  const injection = new Date(2018, 10, 3, 9, 51);
+  const nextWeek = addDays(injection, 7);
+  assert.equal(getLocalDateKey(nextWeek), '2018-11-10');
+  assert.deepEqual([nextWeek.getHours(), nextWeek.getMinutes()], [9, 51]);
+});
+
+test('DST: semanas com a troca de horário têm 7 dias distintos', () => {
+  assert.deepEqual(weekKeys(startOfWeekMonday(DST_START_DAY)), [
+    '2018-10-29', '2018-10-30', '2018-10-31', '2018-11-01', '2018-11-02', '2018-11-03', '2018-11-04'
+  ]);
+
+  // Fim do horário de verão: 23h de sábado se repete.
+  const repeated = new Date(2019, 1, 16, 23, 30);
+  assert.equal(getLocalDateKey(repeated), '2019-02-16');
+  assert.deepEqual(weekKeys(startOfWeekMonday(new Date(2019, 1, 17, 10))), [
+    '2019-02-11', '2019-02-12', '2019-02-13', '2019-02-14', '2019-02-15', '2019-02-16', '2019-02-17'
+  ]);
+});
+
+test('DST: daysBetween mede horas reais (semana com 167h)', () => {
+  const a = new Date(2018, 10, 3, 9, 51);
+  const b = new Date(2018, 10, 10, 9, 51);
+  assert.equal(daysBetween(a, b), 7 - 1 / 24);
+});
+
+// -----------------------------
+// Relógio fixo
+// -----------------------------
+
+test('isInLastDays/cutoffDaysAgo usam o "agora" informado', () => {
+  const nowDate = new Date(2024, 5, 30, 12, 0);
+  assert.equal(cutoffDaysAgo(7, nowDate).getTime(), nowDate.getTime() - 7 * 24 * 60 * 60 * 1000);
+  assert.equal(isInLastDays(new Date(2024, 5, 24, 12, 0).toISOString(), 7, nowDate), true);
+  assert.equal(isInLastDays(new Date(2024, 5, 23, 11, 59).toISOString(), 7, nowDate), false);
+});
+
+test('isAfterTimeHHmm compara com o horário local do próprio dia', () => {
+  assert.equal(isAfterTimeHHmm(new Date(2024, 5, 30, 11, 59), '12:00'), false);
+  assert.equal(isAfterTimeHHmm(new Date(2024, 5, 30, 12, 0), '12:00'), true);
+  assert.equal(isAfterTimeHHmm(new Date(2024, 5, 30, 12, 0), 'xx'), false);
+});
@@ -0,0 +1,131 @@
+process.env.TZ = 'America/Sao_Paulo';
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { DEFAULTS } from '../core/constants.js';
+import { buildChecklistCacheFromData } from '../core/checklist.js';
+import {
+  computeGoalStatus,
+  computeWaistGoalStatus,
+  computeWeightGoalStatus,
+  describeWaistGoal,
+  describeWeightGoal,
+  describeWeightGoalPace,
+  describeWeightGoalProjection,
+  goalProgressPct,
+  normalizeGoals
+} from '../core/goals.js';
+import { buildClinicalReportInnerHtml } from '../core/report.js';
+import { computeWeightRegression } from '../core/stats.js';
+import { buildWeeklySummaryText } from '../core/summary.js';
+import { units } from '../core/units.js';
+
+const at = (y, m, d, hh = 8) => new Date(y, m - 1, d, hh).toISOString();
+const NOW = new Date(2024, 5, 30, 12);
+
+// Uma pesagem a cada 2 dias em junho, caindo 0,1 kg/dia a partir de 95 kg, e uma antiga em maio.
+function juneWeights() {
+  const list = [{ id: 'old', dateTimeISO: at(2024, 5, 1), weightKg: 98 }];
+  for (let d = 1; d <= 29; d += 2) list.push({ id: `w${d}`, dateTimeISO: at(2024, 6, d), weightKg: Math.round((95 - (d - 1) * 0.1) * 10) / 10 });
+  return list;
+}
+
+test('computeWeightRegression: reta das últimas semanas, pouco afetada por uma pesagem fora da curva', () => {
+  const weights = juneWeights();
+  const r = computeWeightRegression(weights, { nowDate: NOW });
+  assert.equal(r.n, 14);
+  assert.ok(Math.abs(r.perWeekKg - -0.7) < 1e-9);
+  assert.ok(Math.abs(r.endKg - 92.2) < 1e-9);
+
+  // Manhã inchada na última pesagem: primeiro × último daria só -0,17 kg/sem.
+  weights[weights.length - 1].weightKg += 2;
+  const bloated = computeWeightRegression(weights, { nowDate: NOW });
+  assert.ok(bloated.perWeekKg < -0.4);
+
+  assert.equal(computeWeightRegression(weights.slice(0, 3), { nowDate: NOW }), null);
+  assert.equal(computeWeightRegression([{ dateTimeISO: at(2024, 6, 28), weightKg: 90 }, { dateTimeISO: at(2024, 6, 29), weightKg: 89 }, { dateTimeISO: at(2024, 6, 30, 7), weightKg: 89 }], { nowDate: NOW }), null);
+});
+
+test('normalizeGoals e goalProgressPct (perder ou ganhar)', () => {
+  assert.deepEqual(normalizeGoals(DEFAULTS), { weightKg: null, waistCm: null, startDate: '', targetDate: '' });
+  assert.deepEqual(normalizeGoals({ goalWeightKg: '80', goalWaistCm: 0, goalStartDate: '2024-13', goalTargetDate: '2024-12-31' }), { weightKg: 80, waistCm: null, startDate: '', targetDate: '2024-12-31' });
+  assert.equal(goalProgressPct(100, 95, 90), 50);
+  assert.equal(goalProgressPct(100, 102, 90), 0);
+  assert.equal(goalProgressPct(100, 88, 90), 100);
+  assert.equal(goalProgressPct(50, 53, 56), 50);
+});
+
+test('meta de peso: progresso desde o início, previsão pela tendência e ritmo necessário até o prazo', () => {
+  const settings = { goalWeightKg: 88, goalStartDate: '2024-06-01', goalTargetDate: '2024-08-31' };
+  const w = computeWeightGoalStatus(settings, juneWeights(), NOW);
+  assert.equal(w.startKg, 95);
+  assert.equal(w.currentKg, 92.2);
+  assert.equal(w.progressPct, 40);
+  assert.equal(w.projection, 'projected');
+  // 4,2 kg a 0,7 kg/sem = 42 dias depois da última pesagem (29/06).
+  assert.equal(w.projectedDateKey, '2024-08-10');
+  assert.ok(Math.abs(w.requiredPerWeekKg - -4.2 / (62 / 7)) < 1e-9);
+  assert.equal(w.onTrack, true);
+
+  assert.equal(describeWeightGoal(w), 'Meta 88,0 kg • 40% (de 95,0 kg) • faltam 4,2 kg');
+  assert.equal(describeWeightGoalProjection(w), 'Previsão: 10/08/2024 no ritmo atual (-0,70 kg/sem).');
+  assert.equal(describeWeightGoalPace(w), 'Ritmo necessário até 31/08/2024: -0,47 kg/sem. Dentro do prazo.');
+
+  // Sem data de início: parte da primeira pesagem.
+  assert.equal(computeWeightGoalStatus({ goalWeightKg: 88 }, juneWeights(), NOW).startKg, 98);
+  // Prazo curto demais.
+  const late = computeWeightGoalStatus({ ...settings, goalTargetDate: '2024-07-15' }, juneWeights(), NOW);
+  assert.equal(late.onTrack, false);
+  assert.match(describeWeightGoalPace(late), /Atrás do prazo\.$/);
+  assert.equal(describeWeightGoalPace({ ...late, requiredPerWeekKg: null }), 'O prazo da meta (15/07/2024) já passou.');
+
+  assert.equal(computeWeightGoalStatus(DEFAULTS, juneWeights(), NOW), null);
+  assert.equal(computeWeightGoalStatus(settings, [], NOW), null);
+});
+
+test('meta de peso: atingida, sem tendência e ritmo contrário', () => {
+  assert.equal(computeWeightGoalStatus({ goalWeightKg: 93 }, juneWeights(), NOW).projection, 'reached');
+  assert.equal(describeWeightGoal(computeWeightGoalStatus({ goalWeightKg: 93 }, juneWeights(), NOW)), 'Meta 93,0 kg • 100% (de 98,0 kg) • atingida');
+
+  const noTrend = computeWeightGoalStatus({ goalWeightKg: 80 }, juneWeights(), new Date(2024, 8, 1));
+  assert.equal(noTrend.projection, 'no_trend');
+
+  // Meta de ganho com o peso caindo.
+  const gain = computeWeightGoalStatus({ goalWeightKg: 100 }, juneWeights(), NOW);
+  assert.equal(gain.projection, 'away');
+  assert.equal(gain.projectedDateKey, null);
+  assert.equal(describeWeightGoalProjection(gain), 'No ritmo atual (-0,70 kg/sem), o peso não está indo em direção à meta.');
+
+  const far = computeWeightGoalStatus({ goalWeightKg: 10 }, juneWeights(), NOW);
+  assert.equal(far.projection, 'far');
+});
+
+test('meta de cintura: só progresso, na unidade do perfil', () => {
+  const measures = [{ dateISO: '2024-06-29', waistCm: 96 }, { dateISO: '2024-06-01', waistCm: 100 }, { dateISO: '2024-06-15', hipCm: 110 }];
+  const c = computeWaistGoalStatus({ goalWaistCm: 90 }, measures);
+  assert.equal(c.progressPct, 40);
+  assert.equal(describeWaistGoal(c), 'Meta 90,0 cm • 40% (de 100,0 cm) • faltam 6,0 cm');
+  assert.equal(units.withUnits({ lengthUnit: 'in' }, () => describeWaistGoal(c)), 'Meta 35,4 in • 40% (de 39,4 in) • faltam 2,4 in');
+  assert.equal(computeWaistGoalStatus({ goalWaistCm: 90 }, []), null);
+});
+
+test('metas no resumo semanal e no relatório clínico', () => {
+  const settings = { ...DEFAULTS, goalWeightKg: 88, goalWaistCm: 90, goalStartDate: '2024-06-01', goalTargetDate: '2024-08-31' };
+  const data = { weights: juneWeights(), injections: [], measures: [{ id: 'm1', dateISO: '2024-06-01', waistCm: 100 }, { id: 'm2', dateISO: '2024-06-29', waistCm: 96 }] };
+
+  const lines = buildWeeklySummaryText(buildChecklistCacheFromData(data), settings, 0, NOW).split('\n');
+  assert.ok(lines.includes('Meta de peso: Meta 88,0 kg • 40% (de 95,0 kg) • faltam 4,2 kg'));
+  assert.ok(lines.includes('Previsão: 10/08/2024 no ritmo atual (-0,70 kg/sem).'));
+  assert.ok(lines.includes('Meta de cintura: Meta 90,0 cm • 40% (de 100,0 cm) • faltam 6,0 cm'));
+  assert.ok(!buildWeeklySummaryText(buildChecklistCacheFromData(data), DEFAULTS, 0, NOW).includes('Meta de peso'));
+
+  const html = buildClinicalReportInnerHtml({ rangeDays: 30, patientName: 'Ana', data, settings, nowDate: NOW });
+  assert.match(html, /<div class="cr-box-title">Metas<\/div>/);
+  assert.match(html, /Ritmo necessário até 31\/08\/2024/);
+  const noData = buildClinicalReportInnerHtml({ rangeDays: 30, patientName: 'Ana', data: { ...data, measures: [] }, settings, nowDate: NOW });
+  assert.match(noData, /90,0 cm \(sem registros\)/);
+  assert.doesNotMatch(buildClinicalReportInnerHtml({ rangeDays: 30, patientName: 'Ana', data, settings: DEFAULTS, nowDate: NOW }), /Metas/);
+
+  assert.deepEqual(Object.keys(computeGoalStatus(settings, data, NOW)), ['weight', 'waist']);
+});
@@ -0,0 +1,80 @@
+process.env.TZ = 'America/Sao_Paulo';
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  buildHistoryEntry,
+  describeHistoryChanges,
+  diffRecordFields,
+  editedRecordKeys,
+  summarizeRecordHistory
+} from '../core/history.js';
+
+let seq = 0;
+const makeId = () => `h${++seq}`;
+const weight = { id: 'w1', profileId: 'p1', dateTimeISO: '2024-06-01T11:00:00.000Z', weightKg: 90.4, fasting: true, notes: '' };
+
+function entry(previous, next, atISO, extra = {}) {
+  return buildHistoryEntry({ store: 'weights', previous, next, appVersion: '2.0.0', makeId, ...extra }, new Date(atISO));
+}
+
+test('buildHistoryEntry: criação, edição com valores anteriores e exclusão', () => {
+  const created = entry(null, weight, '2024-06-01T11:00:00.000Z');
+  assert.equal(created.action, 'create');
+  assert.equal(created.key, 'weights:w1');
+  assert.equal(created.profileId, 'p1');
+  assert.equal(created.appVersion, '2.0.0');
+  assert.deepEqual(created.changes, []);
+
+  const updated = entry(weight, { ...weight, weightKg: 89.9, fasting: false }, '2024-06-02T09:00:00.000Z', { source: 'sync' });
+  assert.equal(updated.action, 'update');
+  assert.equal(updated.source, 'sync');
+  assert.deepEqual(updated.changes, [
+    { field: 'fasting', from: true, to: false },
+    { field: 'weightKg', from: 90.4, to: 89.9 }
+  ]);
+
+  assert.equal(entry(weight, null, '2024-06-03T09:00:00.000Z').action, 'delete');
+});
+
+test('buildHistoryEntry: vínculos refeitos pelo app e stores fora do histórico não geram entrada', () => {
+  const inj = { id: 'i1', profileId: 'p1', doseMg: 2.5, medicationId: null };
+  assert.equal(buildHistoryEntry({ store: 'injections', previous: inj, next: { ...inj, medicationId: 'reta', inventoryId: 'pen1' }, makeId }), null);
+  assert.equal(buildHistoryEntry({ store: 'medications', previous: null, next: { id: 'm1' }, makeId }), null);
+  assert.equal(entry(weight, { ...weight }, '2024-06-02T09:00:00.000Z'), null);
+});
+
+test('diffRecordFields: objetos comparados pelo conteúdo (ordem das chaves não conta)', () => {
+  const a = { id: 'i1', symptoms: { nausea: 2, reflux: 0 } };
+  assert.deepEqual(diffRecordFields(a, { id: 'i1', symptoms: { reflux: 0, nausea: 2 } }), []);
+  assert.deepEqual(diffRecordFields(a, { id: 'i1', symptoms: { nausea: 3, reflux: 0 } }).map((c) => c.field), ['symptoms']);
+});
+
+test('summarizeRecordHistory/editedRecordKeys: datas de criação e última edição', () => {
+  const entries = [
+    entry(weight, { ...weight, weightKg: 89 }, '2024-06-03T09:00:00.000Z'),
+    entry(null, weight, '2024-06-01T11:00:00.000Z'),
+    entry({ ...weight, weightKg: 89 }, { ...weight, weightKg: 88 }, '2024-06-05T09:00:00.000Z')
+  ];
+  assert.deepEqual(summarizeRecordHistory(entries), {
+    createdAtISO: '2024-06-01T11:00:00.000Z',
+    updatedAtISO: '2024-06-05T09:00:00.000Z',
+    editCount: 2
+  });
+  assert.deepEqual(editedRecordKeys(entries).get('weights:w1'), { lastEditISO: '2024-06-05T09:00:00.000Z', editCount: 2 });
+
+  // Excluído e restaurado (nova criação): as edições anteriores não marcam o registro.
+  const restored = [...entries, entry(weight, null, '2024-06-06T09:00:00.000Z'), entry(null, weight, '2024-06-06T09:01:00.000Z', { source: 'trash' })];
+  assert.equal(editedRecordKeys(restored).has('weights:w1'), false);
+  assert.equal(summarizeRecordHistory([]).createdAtISO, '');
+});
+
+test('describeHistoryChanges: rótulos e valores formatados', () => {
+  const updated = entry(weight, { ...weight, weightKg: 89.5, fasting: false, dateTimeISO: '2024-06-01T12:30:00.000Z' }, '2024-06-02T09:00:00.000Z');
+  assert.deepEqual(describeHistoryChanges(updated), [
+    'Data/hora: 01/06/2024, 08:00 → 01/06/2024, 09:30',
+    'Jejum: Sim → Não',
+    'Peso (kg): 90,4 → 89,5'
+  ]);
+});
@@ -0,0 +1,133 @@
+process.env.TZ = 'America/Sao_Paulo';
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync, readdirSync } from 'node:fs';
+
+import { validateBackup } from '../core/backup.js';
+import { DEFAULTS } from '../core/constants.js';
+import { buildChecklistCacheFromData } from '../core/checklist.js';
+import { formatDowPtBr, formatKg, parseNumberLocale, parseNumberPtBr, siteLabel } from '../core/format.js';
+import { CATALOGS, LOCALES, createI18n, i18n, interpolate, normalizeLocale, t } from '../core/i18n.js';
+import { buildWeeklySummaryText } from '../core/summary.js';
+import { validateSyncPackage } from '../core/sync.js';
+import { parseTitrationSteps } from '../core/titration.js';
+
+const placeholders = (s) => (String(s).match(/\{\w+\}/g) || []).sort();
+
+test('normalizeLocale: variantes viram um dos idiomas suportados', () => {
+  assert.equal(normalizeLocale('en-GB'), 'en');
+  assert.equal(normalizeLocale('es_AR'), 'es');
+  assert.equal(normalizeLocale('pt-PT'), 'pt-BR');
+  assert.equal(normalizeLocale('fr'), 'pt-BR');
+  assert.equal(normalizeLocale(''), 'pt-BR');
+  assert.deepEqual(LOCALES, ['pt-BR', 'en', 'es']);
+});
+
+test('t: tradução com parâmetros e texto original quando falta no catálogo', () => {
+  const local = createI18n({ en: { '{n} dias': '{n} days' } }, 'en');
+  assert.equal(local.t('{n} dias', { n: 7 }), '7 days');
+  assert.equal(local.t('Sem tradução {x}', { x: 1 }), 'Sem tradução 1');
+  local.setLocale('pt-BR');
+  assert.equal(local.t('{n} dias', { n: 7 }), '7 dias');
+  assert.equal(interpolate('{a} e {b}', { a: 1 }), '1 e {b}');
+
+  assert.equal(t('Pesagem'), 'Pesagem');
+  assert.equal(i18n.withLocale('en', () => t('Pesagem')), 'Weigh-in');
+  assert.equal(i18n.locale(), 'pt-BR');
+});
+
+test('catálogos: mesmas chaves em inglês e espanhol e os mesmos parâmetros do original', () => {
+  assert.deepEqual(Object.keys(CATALOGS.en).sort(), Object.keys(CATALOGS.es).sort());
+  for (const [lang, catalog] of Object.entries(CATALOGS)) {
+    for (const [key, value] of Object.entries(catalog)) {
+      assert.deepEqual(placeholders(value), placeholders(key), `${lang}: ${key}`);
+    }
+  }
+});
+
+test('catálogos: todo t(\'...\') dos módulos core tem tradução', () => {
+  const dir = new URL('../core/', import.meta.url);
+  const missing = [];
+  for (const file of readdirSync(dir).filter((f) => f.endsWith('.js') && f !== 'i18n.js')) {
+    const source = readFileSync(new URL(file, dir), 'utf8');
+    for (const [, key] of source.matchAll(/\bt\('((?:[^'\\]|\\.)*)'/g)) {
+      const text = key.replace(/\\(.)/g, '$1');
+      for (const lang of Object.keys(CATALOGS)) {
+        if (!(text in CATALOGS[lang])) missing.push(`${lang}: ${file}: ${text}`);
+      }
+    }
+  }
+  assert.deepEqual(missing, []);
+});
+
+// Chaves com parâmetros também viajam como dado (ex.: erro da linha importada, traduzido na tela):
+// todo texto entre aspas simples com {parâmetro} no app e nos módulos core precisa estar no catálogo.
+test('catálogos: toda chave com parâmetros tem tradução', () => {
+  const sources = [
+    new URL('../app.js', import.meta.url),
+    ...readdirSync(new URL('../core/', import.meta.url)).filter((f) => f.endsWith('.js') && f !== 'i18n.js').map((f) => new URL(`../core/${f}`, import.meta.url))
+  ];
+  const missing = [];
+  for (const url of sources) {
+    const code = readFileSync(url, 'utf8').split('\n').filter((line) => !line.trim().startsWith('//')).join('\n');
+    for (const [, key] of code.matchAll(/'((?:[^'\\\n`$]|\\.)*\{\w+\}(?:[^'\\\n`$]|\\.)*)'/g)) {
+      const text = key.replace(/\\(.)/g, '$1');
+      for (const lang of Object.keys(CATALOGS)) {
+        if (!(text in CATALOGS[lang])) missing.push(`${lang}: ${url.pathname.split('/').pop()}: ${text}`);
+      }
+    }
+  }
+  assert.deepEqual(missing, []);
+});
+
+test('parseNumberLocale: vírgula decimal em pt-BR/es, separador de milhar em inglês', () => {
+  assert.equal(parseNumberLocale('82,5', 'pt-BR'), 82.5);
+  assert.equal(parseNumberLocale('1,234', 'pt-BR'), 1.234);
+  assert.equal(parseNumberLocale('1.234,5', 'es'), 1234.5);
+  assert.equal(parseNumberLocale('1,234', 'en'), 1234);
+  assert.equal(parseNumberLocale('82.5', 'en'), 82.5);
+  // Vírgula sozinha como decimal ainda é aceita em inglês.
+  assert.equal(parseNumberLocale('82,5', 'en'), 82.5);
+  assert.equal(parseNumberPtBr('82,5'), 82.5);
+  assert.ok(Number.isNaN(parseNumberLocale('abc', 'en')));
+});
+
+test('formatação acompanha o idioma', () => {
+  assert.equal(formatKg(82.5), '82,5 kg');
+  assert.equal(i18n.withLocale('en', () => formatKg(82.5)), '82.5 kg');
+  assert.equal(i18n.withLocale('es', () => formatKg(82.5)), '82,5 kg');
+  assert.equal(formatDowPtBr(1), 'Seg');
+  assert.equal(i18n.withLocale('en', () => formatDowPtBr(1)), 'Mon');
+  assert.equal(i18n.withLocale('es', () => siteLabel('thigh_right')), 'Muslo (derecho)');
+});
+
+test('resumo semanal no idioma escolhido', () => {
+  const at = (y, m, d, hh = 8, mi = 0) => new Date(y, m - 1, d, hh, mi).toISOString();
+  const cache = buildChecklistCacheFromData({
+    injections: [{ id: 'i1', dateTimeISO: at(2024, 6, 29, 9, 51), medName: 'Retatrutida', doseMg: 4, site: 'thigh_right', symptoms: { nausea: 8 } }],
+    weights: [
+      { id: 'w1', dateTimeISO: at(2024, 6, 24), weightKg: 91, fasting: true },
+      { id: 'w2', dateTimeISO: at(2024, 6, 28), weightKg: 90.5, fasting: false }
+    ],
+    measures: []
+  });
+  const now = new Date(2024, 5, 30, 20, 0);
+
+  const en = i18n.withLocale('en', () => buildWeeklySummaryText(cache, DEFAULTS, 0, now)).split('\n');
+  assert.ok(en[0].startsWith('Week '));
+  assert.ok(en.includes('Weight: 91.0 kg → 90.5 kg (-0.5 kg)'));
+  assert.ok(en.includes('Weigh-ins this week: 2'));
+
+  const es = i18n.withLocale('es', () => buildWeeklySummaryText(cache, DEFAULTS, 0, now)).split('\n');
+  assert.ok(es.includes('Pesajes en la semana: 2'));
+  assert.ok(es.some((l) => l.startsWith('Aplicación: hecha') && l.includes('Muslo (derecho) • 4,0 mg')));
+});
+
+test('mensagens de erro com parâmetros também são traduzidas', () => {
+  const { rejected } = i18n.withLocale('en', () => validateBackup({ version: 1, injections: [], weights: [{ id: 'w1', weightKg: 90 }], measures: [] }));
+  assert.deepEqual(rejected[0].reasons, ['dateTimeISO: required']);
+  assert.throws(() => i18n.withLocale('es', () => validateBackup({ version: 99 })), /^Error: Copia en la versión 99, más nueva/);
+  assert.throws(() => i18n.withLocale('en', () => parseTitrationSteps('2,5 x4; abc')), /Invalid titration step: "abc"/);
+  assert.throws(() => i18n.withLocale('en', () => validateSyncPackage({ format: 'dosecheck-sync', version: 7 })), /Sync file is version 7/);
+});
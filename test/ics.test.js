@@ -0,0 +1,107 @@
+process.env.TZ = 'America/Sao_Paulo';
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { DEFAULTS } from '../core/constants.js';
+import { buildCalendarFeed, buildScheduleSeries, buildVtimezoneLines, escapeIcsText, foldIcsLine } from '../core/ics.js';
+import { i18n } from '../core/i18n.js';
+import { normalizeMedication } from '../core/medications.js';
+
+const at = (y, m, d, hh = 9, mi = 0) => new Date(y, m - 1, d, hh, mi).toISOString();
+
+const reta = normalizeMedication({ id: 'reta', name: 'Retatrutida', schedule: { injectionDaysOfWeek: [1, 4], injectionTime: '20:00' } }, { profileId: 'p1' });
+const sema = normalizeMedication(
+  { id: 'sema', name: 'Semaglutida', schedule: { injectionScheduleMode: 'interval', injectionIntervalDays: 10, injectionTime: '08:00' } },
+  { profileId: 'p1' }
+);
+const data = {
+  settings: DEFAULTS,
+  medications: [reta, sema],
+  injections: [
+    { id: 'i1', dateTimeISO: at(2024, 6, 3, 20, 5), medicationId: 'reta', doseMg: 2.5, site: 'abd_left' },
+    { id: 'i2', dateTimeISO: at(2024, 6, 5, 7, 40), medicationId: 'sema', doseMg: 0.5 }
+  ],
+  weights: [{ id: 'w1', dateTimeISO: at(2024, 6, 3, 7, 10), weightKg: 91.2 }],
+  measures: [{ id: 'm1', dateISO: '2024-06-01', waistCm: 100 }],
+  profileId: 'p1'
+};
+const wednesday = new Date(2024, 5, 12, 10, 0);
+
+test('séries recorrentes: dias da semana, intervalo a partir da última aplicação, pesagem e medidas', () => {
+  const series = buildScheduleSeries(data, wednesday);
+  assert.deepEqual(
+    series.map((s) => [s.uid, s.rrule, s.start.toISOString()]),
+    [
+      ['injection-reta@dosecheck', 'FREQ=WEEKLY;BYDAY=MO,TH', new Date(2024, 5, 13, 20, 0).toISOString()],
+      ['injection-sema@dosecheck', 'FREQ=DAILY;INTERVAL=10', new Date(2024, 5, 15, 8, 0).toISOString()],
+      ['weight-p1@dosecheck', 'FREQ=WEEKLY;BYDAY=MO,WE,FR', new Date(2024, 5, 12, 7, 30).toISOString()],
+      ['measures-p1@dosecheck', 'FREQ=DAILY;INTERVAL=14', new Date(2024, 5, 15, 9, 0).toISOString()]
+    ]
+  );
+});
+
+test('buildCalendarFeed: TZID, VALARM, UIDs estáveis e histórico em UTC', () => {
+  const ics = buildCalendarFeed(data, { tzid: 'America/Sao_Paulo' }, wednesday);
+  assert.ok(ics.endsWith('END:VCALENDAR\r\n'));
+  assert.match(ics, /DTSTART;TZID=America\/Sao_Paulo:20240613T200000\r\n/);
+  assert.match(ics, /TRIGGER:-PT30M/);
+  assert.equal((ics.match(/BEGIN:VALARM/g) || []).length, 4);
+  assert.ok(!ics.includes('log-injection'));
+
+  // Exportar de novo (outro dia) mantém os UIDs e aumenta SEQUENCE.
+  const later = buildCalendarFeed(data, { tzid: 'America/Sao_Paulo' }, new Date(2024, 5, 20, 10, 0));
+  const uids = (s) => s.match(/^UID:.*$/gm);
+  const seq = (s) => Number(s.match(/^SEQUENCE:(\d+)/m)[1]);
+  assert.deepEqual(uids(later), uids(ics));
+  assert.ok(seq(later) > seq(ics));
+
+  const withLog = buildCalendarFeed(data, { tzid: 'America/Sao_Paulo', includeLog: true }, wednesday);
+  assert.match(withLog, /UID:log-injection-i1@dosecheck\r\nDTSTAMP:20240612T130000Z\r\nDTSTART:20240603T230500Z/);
+  assert.match(withLog, /SUMMARY:✓ Aplicação: Retatrutida • 2\\,5 mg/);
+  assert.match(withLog, /SUMMARY:✓ Pesagem: 91\\,2 kg/);
+  assert.match(withLog, /DTSTART;VALUE=DATE:20240601/);
+  assert.match(withLog, /CATEGORIES:DoseCheck,Histórico\r\n/);
+  const inEnglish = i18n.withLocale('en', () => buildCalendarFeed(data, { tzid: 'America/Sao_Paulo', includeLog: true }, wednesday));
+  assert.match(inEnglish, /CATEGORIES:DoseCheck,History\r\n/);
+});
+
+test('VTIMEZONE descreve o horário de verão do fuso local', () => {
+  const lines = buildVtimezoneLines('America/Sao_Paulo', 2018, 2019);
+  const text = lines.join('\n');
+  // 04/11/2018 00:00 -> 01:00 (início); 17/02/2019 00:00 -> 16/02 23:00 (fim).
+  assert.match(text, /BEGIN:DAYLIGHT\nDTSTART:20181104T000000\nTZOFFSETFROM:-0300\nTZOFFSETTO:-0200/);
+  assert.match(text, /BEGIN:STANDARD\nDTSTART:20190217T000000\nTZOFFSETFROM:-0200\nTZOFFSETTO:-0300/);
+  assert.equal(buildVtimezoneLines('America/Sao_Paulo', 2024, 2025).filter((l) => l.startsWith('BEGIN:')).length, 2);
+  // Sem horário de verão desde 2019: a última transição vale daí em diante, sem RRULE.
+  assert.ok(!buildVtimezoneLines('America/Sao_Paulo', 2018, 2027).some((l) => l.startsWith('RRULE:')));
+});
+
+test('VTIMEZONE usa RRULE anual para as regras em vigor', () => {
+  const inZone = (tz, fn) => {
+    const prev = process.env.TZ;
+    process.env.TZ = tz;
+    try {
+      return fn();
+    } finally {
+      process.env.TZ = prev;
+    }
+  };
+
+  const ny = inZone('America/New_York', () => buildVtimezoneLines('America/New_York', 2020, 2027)).join('\n');
+  assert.match(ny, /BEGIN:DAYLIGHT\nDTSTART:20200308T020000\nTZOFFSETFROM:-0500\nTZOFFSETTO:-0400\nRRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=2SU\nEND:DAYLIGHT/);
+  assert.match(ny, /BEGIN:STANDARD\nDTSTART:20201101T020000\nTZOFFSETFROM:-0400\nTZOFFSETTO:-0500\nRRULE:FREQ=YEARLY;BYMONTH=11;BYDAY=1SU\nEND:STANDARD/);
+  // Regra única por transição: nada de um componente por ano.
+  assert.equal((ny.match(/BEGIN:(DAYLIGHT|STANDARD)/g) || []).length, 3);
+
+  const lisbon = inZone('Europe/Lisbon', () => buildVtimezoneLines('Europe/Lisbon', 2024, 2025)).join('\n');
+  assert.match(lisbon, /DTSTART:20240331T010000\nTZOFFSETFROM:\+0000\nTZOFFSETTO:\+0100\nRRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=-1SU/);
+  assert.match(lisbon, /DTSTART:20241027T020000\nTZOFFSETFROM:\+0100\nTZOFFSETTO:\+0000\nRRULE:FREQ=YEARLY;BYMONTH=10;BYDAY=-1SU/);
+});
+
+test('texto escapado e linhas dobradas em 75 octetos', () => {
+  assert.equal(escapeIcsText('a,b;c\\d\ne'), 'a\\,b\\;c\\\\d\\ne');
+  const folded = foldIcsLine(`DESCRIPTION:${'ã'.repeat(60)}`);
+  for (const line of folded.split('\r\n')) assert.ok(new TextEncoder().encode(line).length <= 75);
+  assert.equal(folded.split('\r\n').map((l, i) => (i ? l.slice(1) : l)).join(''), `DESCRIPTION:${'ã'.repeat(60)}`);
+});
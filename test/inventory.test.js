@@ -0,0 +1,82 @@
+process.env.TZ = 'America/Sao_Paulo';
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { DEFAULTS } from '../core/constants.js';
+import { buildChecklistCacheFromData, buildChecklistForDate, buildUpcomingChecklist } from '../core/checklist.js';
+import {
+  buildInventoryAlerts,
+  forecastInventory,
+  inventoryItemState,
+  inventoryUsage,
+  normalizeInventoryItem,
+  pickActiveInventoryItem
+} from '../core/inventory.js';
+import { normalizeMedication } from '../core/medications.js';
+
+const at = (y, m, d, hh = 9, mi = 0) => new Date(y, m - 1, d, hh, mi).toISOString();
+
+// Retatrutida aos sábados, 2 mg. Caneta A (10 mg) aberta em 01/06 com descarte após 28 dias;
+// caneta B (10 mg) lacrada, validade 31/12.
+const reta = normalizeMedication({ id: 'reta', name: 'Retatrutida', schedule: { injectionDaysOfWeek: [6] } }, { profileId: 'default' });
+const penA = normalizeInventoryItem({ id: 'A', medicationId: 'reta', totalAmount: '10', lot: 'A1', openedDate: '2024-06-01', discardAfterDays: 28 }, { profileId: 'default' });
+const penB = normalizeInventoryItem({ id: 'B', medicationId: 'reta', totalAmount: 10, lot: 'B1', expiryDate: '2024-12-31' }, { profileId: 'default' });
+const injections = [
+  { id: 'i1', dateTimeISO: at(2024, 6, 1), medicationId: 'reta', inventoryId: 'A', doseMg: 2 },
+  { id: 'i2', dateTimeISO: at(2024, 6, 8), medicationId: 'reta', inventoryId: 'A', doseMg: 2 }
+];
+const data = { medications: [reta], inventory: [penA, penB], injections };
+const monday = new Date(2024, 5, 10, 8, 0);
+
+test('normalizeInventoryItem e saldo derivado das aplicações', () => {
+  const item = normalizeInventoryItem({ kind: 'ampola', totalAmount: 'x', expiryDate: '31/12/2024', discardAfterDays: 0 }, { makeId: () => 'n1' });
+  assert.deepEqual([item.id, item.kind, item.totalAmount, item.expiryDate, item.discardAfterDays], ['n1', 'pen', 0, '', null]);
+
+  assert.equal(inventoryUsage(injections).get('A'), 4);
+  const st = inventoryItemState(penA, 4, '2024-06-10');
+  assert.deepEqual([st.remaining, st.state, st.discardKey], [6, 'open', '2024-06-29']);
+  assert.equal(inventoryItemState(penA, 4, '2024-06-29').state, 'discard');
+  assert.equal(inventoryItemState(penB, 0, '2025-01-01').state, 'expired');
+  assert.equal(inventoryItemState(penA, 10, '2024-06-10').state, 'empty');
+});
+
+test('pickActiveInventoryItem: aberta primeiro; sem dose inteira ou após o descarte, a próxima', () => {
+  assert.equal(pickActiveInventoryItem(data.inventory, injections, 'reta', '2024-06-15', 2).id, 'A');
+  assert.equal(pickActiveInventoryItem(data.inventory, injections, 'reta', '2024-06-15', 8).id, 'B');
+  assert.equal(pickActiveInventoryItem(data.inventory, injections, 'reta', '2024-06-29', 2).id, 'B');
+  assert.equal(pickActiveInventoryItem(data.inventory, injections, 'outro', '2024-06-15', 2), null);
+});
+
+test('forecastInventory simula a agenda consumindo as canetas na ordem de uso', () => {
+  // A: 15/06 e 22/06 (descartada em 29/06 com 2 mg); B: 29/06 a 27/07; falta em 03/08.
+  const f = forecastInventory(reta, data, monday);
+  assert.deepEqual([f.totalRemaining, f.dose, f.dosesLeft, f.runOutKey, f.refillByKey], [16, 2, 7, '2024-08-03', '2024-07-27']);
+
+  // Titulação sobe para 4 mg em 22/06: sobra de 2 mg na caneta B não completa a dose de 13/07.
+  const titrated = { ...reta, titration: { startDate: '2024-06-15', steps: [{ dose: 2, weeks: 1 }, { dose: 4 }] } };
+  const g = forecastInventory(titrated, data, monday);
+  assert.deepEqual([g.dosesLeft, g.runOutKey], [4, '2024-07-13']);
+
+  // Sem itens cadastrados não há previsão.
+  assert.equal(forecastInventory(reta, { ...data, inventory: [] }, monday).dosesLeft, null);
+});
+
+test('alertas de estoque entram no checklist na data em que passam a valer', () => {
+  const alerts = buildInventoryAlerts(data, monday);
+  assert.deepEqual(alerts.map((a) => [a.title, a.dateKey]), [
+    ['Repor estoque • Retatrutida', '2024-07-27'],
+    ['Descartar aberta • Caneta • lote A1 (Retatrutida)', '2024-06-26'],
+    ['Validade • Caneta • lote B1 (Retatrutida)', '2024-12-17']
+  ]);
+
+  const cache = buildChecklistCacheFromData({ ...data, weights: [], measures: [] });
+  const upcoming = buildUpcomingChecklist(cache, DEFAULTS, 7, new Date(2024, 5, 20, 8, 0));
+  const day = upcoming.find((d) => d.dateKey === '2024-06-26');
+  assert.deepEqual(day.items.filter((it) => it.kind === 'inventory').map((it) => [it.title, it.required, it.status]), [['Descartar aberta • Caneta • lote A1 (Retatrutida)', false, 'pending']]);
+
+  // Só a caneta A (2 doses até o descarte): estoque baixo hoje.
+  const lowCache = buildChecklistCacheFromData({ ...data, inventory: [penA] });
+  const today = buildChecklistForDate(monday, lowCache, DEFAULTS, monday).filter((it) => it.kind === 'inventory');
+  assert.deepEqual(today.map((it) => [it.title, it.meta]), [['Estoque baixo • Retatrutida', '2 dose(s) no estoque • acaba em 29/06/2024']]);
+});
@@ -0,0 +1,159 @@
+process.env.TZ = 'America/Sao_Paulo';
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { DEFAULTS } from '../core/constants.js';
+import { buildChecklistCacheFromData, buildChecklistForDate } from '../core/checklist.js';
+import {
+  buildCatalogFromInjections,
+  DEFAULT_MED_NAME,
+  medicationLabel,
+  normalizeMedication,
+  resolveInjectionMedicationId,
+  trackedSchedules
+} from '../core/medications.js';
+import { buildClinicalReportInnerHtml } from '../core/report.js';
+import {
+  computeDoseHistoryByMedication,
+  computeScheduleAdherenceForRange,
+  countStreakInjections,
+  sortByDateTimeDesc
+} from '../core/stats.js';
+import { buildLastNDaysSummary } from '../core/summary.js';
+
+const at = (y, m, d, hh = 9, mi = 0) => new Date(y, m - 1, d, hh, mi).toISOString();
+
+let seq = 0;
+const makeId = () => `id${++seq}`;
+
+// Retatrutida aos sábados; Semaglutida a cada 10 dias desde 01/06/2024.
+const reta = normalizeMedication({
+  id: 'reta',
+  name: 'Retatrutida',
+  concentration: '10 mg/mL',
+  schedule: { injectionDaysOfWeek: [6], injectionTime: '09:00' }
+}, { profileId: 'default' });
+const sema = normalizeMedication({
+  id: 'sema',
+  name: 'Semaglutida',
+  unit: 'mcg',
+  color: '#57E39B',
+  schedule: { injectionScheduleMode: 'interval', injectionIntervalDays: 10, injectionIntervalStartDate: '2024-06-01', injectionTime: '20:00' }
+}, { profileId: 'default' });
+const medications = [reta, sema];
+
+const inj = (id, iso, medicationId, doseMg) => ({ id, dateTimeISO: iso, medicationId, medName: medicationId === 'sema' ? 'Semaglutida' : 'Retatrutida', doseMg, site: 'abdomen_right' });
+
+const injections = [
+  inj('r1', at(2024, 6, 15), 'reta', 2),
+  inj('r2', at(2024, 6, 22), 'reta', 2),
+  inj('r3', at(2024, 6, 29), 'reta', 4),
+  inj('s1', at(2024, 6, 1, 20), 'sema', 250),
+  inj('s2', at(2024, 6, 11, 20), 'sema', 500)
+];
+
+test('normalizeMedication preenche padrões e limpa a agenda', () => {
+  const med = normalizeMedication({ name: '  ', unit: 'kg', route: 'nasal', color: 'azul', schedule: { injectionDaysOfWeek: [4, 1, 1] } }, { profileId: 'p1', makeId });
+  assert.equal(med.name, DEFAULT_MED_NAME);
+  assert.equal(med.unit, 'mg');
+  assert.equal(med.route, 'subcutaneous');
+  assert.match(med.color, /^#[0-9a-f]{6}$/);
+  assert.equal(med.profileId, 'p1');
+  assert.deepEqual(med.schedule.injectionDaysOfWeek, [1, 4]);
+  assert.equal(sema.color, '#57e39b');
+  assert.equal(medicationLabel(reta), 'Retatrutida 10 mg/mL');
+});
+
+test('buildCatalogFromInjections: um item por nome, o mais recente ativo com a agenda das configurações', () => {
+  const legacy = [
+    { id: 'a', dateTimeISO: at(2024, 1, 6), medName: 'Semaglutida' },
+    { id: 'b', dateTimeISO: at(2024, 3, 2), medName: 'Retatrutida' },
+    { id: 'c', dateTimeISO: at(2024, 3, 9), medName: 'retatrutida ' }
+  ];
+  const settings = { ...DEFAULTS, injectionDaysOfWeek: [2], injectionTime: '07:15' };
+  const catalog = buildCatalogFromInjections(legacy, settings, { profileId: 'p1', makeId, nowISO: at(2024, 4, 1) });
+
+  assert.deepEqual(catalog.map((m) => [m.name, m.active]), [['Retatrutida', true], ['Semaglutida', false]]);
+  assert.deepEqual(catalog[0].schedule.injectionDaysOfWeek, [2]);
+  assert.equal(catalog[0].schedule.injectionTime, '07:15');
+  assert.notEqual(catalog[0].color, catalog[1].color);
+
+  assert.deepEqual(buildCatalogFromInjections([], settings, { makeId }).map((m) => m.name), [DEFAULT_MED_NAME]);
+});
+
+test('resolveInjectionMedicationId: id gravado, depois nome, depois catálogo único', () => {
+  assert.equal(resolveInjectionMedicationId({ medicationId: 'sema' }, medications), 'sema');
+  assert.equal(resolveInjectionMedicationId({ medicationId: 'sumiu', medName: 'SEMAGLUTIDA' }, medications), 'sema');
+  assert.equal(resolveInjectionMedicationId({ medName: 'Outro' }, medications), null);
+  assert.equal(resolveInjectionMedicationId({ medName: 'Outro' }, [reta]), 'reta');
+  assert.equal(resolveInjectionMedicationId({ medName: 'Retatrutida' }, []), null);
+
+  // Inativos ficam fora do checklist; sem catálogo vale a agenda das configurações.
+  assert.deepEqual(trackedSchedules([reta, { ...sema, active: false }], DEFAULTS).map((t) => t.medicationId), ['reta']);
+  assert.deepEqual(trackedSchedules([], DEFAULTS).map((t) => t.medicationId), [null]);
+});
+
+test('checklist: uma aplicação por medicamento, cada uma na própria agenda', () => {
+  const cache = buildChecklistCacheFromData({ injections, medications });
+  const nowDate = new Date(2024, 5, 21, 22, 0);
+
+  // 21/06 (sexta): só a Semaglutida (11/06 + 10 dias); no próprio dia fica pendente.
+  const friday = buildChecklistForDate(new Date(2024, 5, 21), cache, DEFAULTS, nowDate).filter((it) => it.kind === 'injection');
+  assert.deepEqual(friday.map((it) => [it.title, it.medicationId, it.status]), [['Aplicação • Semaglutida', 'sema', 'pending']]);
+  assert.equal(friday[0].color, '#57e39b');
+
+  // 22/06 (sábado): Retatrutida feita; a aplicação da Semaglutida não conta para ela.
+  const saturday = buildChecklistForDate(new Date(2024, 5, 22), cache, DEFAULTS, new Date(2024, 5, 22, 23, 0)).filter((it) => it.kind === 'injection');
+  assert.deepEqual(saturday.map((it) => [it.medicationId, it.status]), [['reta', 'done']]);
+});
+
+test('adesão e streak contam cada medicamento separadamente', () => {
+  const nowDate = new Date(2024, 5, 30, 8, 0);
+  const data = { weights: [], injections, medications };
+
+  // 01/06..30/06: Retatrutida 15, 22 e 29 (feitas) + 01 e 08 (sem registro);
+  // Semaglutida 01, 11 (feitas) e 21 (sem registro).
+  const adherence = computeScheduleAdherenceForRange(30, DEFAULTS, data, nowDate);
+  const byMed = Object.fromEntries(adherence.byMedication.map((m) => [m.medicationId, [m.doneInj, m.expectedInj]]));
+  assert.deepEqual(byMed.reta, [3, 5]);
+  assert.deepEqual(byMed.sema, [2, 3]);
+  assert.equal(adherence.expectedInj, 8);
+  assert.equal(adherence.doneInj, 5);
+
+  // Streak do perfil: 29/06 e 22/06 em dia; a falta da Semaglutida em 21/06 interrompe.
+  const cache = buildChecklistCacheFromData({ injections, medications });
+  assert.equal(countStreakInjections(cache, DEFAULTS, 52, nowDate), 2);
+  const onlyReta = buildChecklistCacheFromData({ injections, medications: [reta] });
+  assert.equal(countStreakInjections(onlyReta, DEFAULTS, 52, nowDate), 3);
+});
+
+test('histórico de dose, resumo e relatório separados por medicamento', () => {
+  const asc = [...injections].sort((a, b) => new Date(a.dateTimeISO) - new Date(b.dateTimeISO));
+  const history = computeDoseHistoryByMedication(asc, medications);
+  assert.deepEqual(history.map((h) => [h.medicationId, h.history.map((x) => x.doseMg)]), [['reta', [2, 4]], ['sema', [250, 500]]]);
+
+  const nowDate = new Date(2024, 5, 30, 20, 0);
+  const summary = buildLastNDaysSummary(30, { injections, weights: [], measures: [], medications, settings: DEFAULTS }, nowDate);
+  assert.deepEqual(summary.medications.map((m) => [m.name, m.count, m.unit, m.lastDose]), [['Retatrutida', 3, 'mg', 4], ['Semaglutida', 2, 'mcg', 500]]);
+  assert.equal(summary.injections.regularityWindow, 'agenda de cada medicamento');
+
+  const html = buildClinicalReportInnerHtml({
+    rangeDays: 30,
+    data: { injections, weights: [], measures: [], medications },
+    settings: DEFAULTS,
+    nowDate
+  });
+  assert.match(html, /Relatório de Monitoramento — Retatrutida \+ Semaglutida/);
+  assert.match(html, /Retatrutida 10 mg\/mL • Subcutânea/);
+  assert.match(html, /a cada 10 dias \(20:00\)/);
+  assert.match(html, /250,0 mcg<br\/>.*500,0 mcg/);
+  assert.match(html, /<td>Semaglutida<\/td>\s*<td class="cr-num">500,0 mcg<\/td>/);
+  assert.ok(!html.includes('500,0 mg'));
+});
+
+test('aplicações antigas sem medicationId são ligadas pelo nome', () => {
+  const legacy = injections.map(({ medicationId, ...rest }) => rest);
+  const cache = buildChecklistCacheFromData({ injections: legacy.sort(sortByDateTimeDesc), medications });
+  assert.deepEqual([...cache.injectionKeysByMed.get('sema')].sort(), ['2024-06-01', '2024-06-11']);
+});
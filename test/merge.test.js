@@ -0,0 +1,92 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { validateBackup } from '../core/backup.js';
+import { changedFields, conflictKey, countConflicts, diffBackup, planMerge } from '../core/merge.js';
+
+const local = {
+  medications: [{ id: 'reta', profileId: 'p1', name: 'Retatrutida', schedule: { injectionDaysOfWeek: [6], injectionTime: '09:00' } }],
+  inventory: [],
+  injections: [
+    { id: 'i1', profileId: 'p1', dateTimeISO: '2024-06-01T12:00:00.000Z', doseMg: 2, notes: '' },
+    { id: 'i2', profileId: 'p1', dateTimeISO: '2024-06-08T12:00:00.000Z', doseMg: 2, notes: 'editada aqui' }
+  ],
+  weights: [{ id: 'w1', profileId: 'p1', dateTimeISO: '2024-06-03T10:00:00.000Z', weightKg: 91 }],
+  measures: [],
+  settings: { reminderTime: '19:00', patientName: 'Ana' }
+};
+
+const backup = {
+  medications: [{ name: 'Retatrutida', id: 'reta', profileId: 'p0', schedule: { injectionTime: '09:00', injectionDaysOfWeek: [6] } }],
+  injections: [
+    { id: 'i1', profileId: 'p0', dateTimeISO: '2024-06-01T12:00:00.000Z', doseMg: 2, notes: '' },
+    { id: 'i2', profileId: 'p0', dateTimeISO: '2024-06-08T12:00:00.000Z', doseMg: 2.5, notes: '' },
+    { id: 'i3', profileId: 'p0', dateTimeISO: '2024-06-15T12:00:00.000Z', doseMg: 2.5, notes: '' }
+  ],
+  weights: [],
+  measures: [{ id: 'm1', dateISO: '2024-06-02', waistCm: 100 }],
+  settings: { reminderTime: '19:00', patientName: 'Ana Souza' }
+};
+
+test('diffBackup: novos, alterados, só no aparelho e iguais (ordem de campos e profileId não contam)', () => {
+  const diff = diffBackup(local, backup);
+  const summary = Object.fromEntries(
+    Object.entries(diff.stores).map(([store, d]) => [store, [d.added.length, d.changed.length, d.removed.length, d.unchanged]])
+  );
+  assert.deepEqual(summary, {
+    medications: [0, 0, 0, 1],
+    inventory: [0, 0, 0, 0],
+    injections: [1, 1, 0, 1],
+    weights: [0, 0, 1, 0],
+    measures: [1, 0, 0, 0]
+  });
+  assert.deepEqual(diff.stores.injections.changed[0].fields, ['doseMg', 'notes']);
+  assert.deepEqual(diff.settings.fields, ['patientName']);
+  assert.equal(countConflicts(diff), 2);
+});
+
+test('planMerge: conflitos ficam com a versão local até escolher o backup', () => {
+  const diff = diffBackup(local, backup);
+  const keep = planMerge(diff);
+  assert.deepEqual(keep.put.injections.map((r) => r.id), ['i3']);
+  assert.deepEqual(keep.put.measures.map((r) => r.id), ['m1']);
+  assert.equal(keep.put.weights.length, 0);
+  assert.deepEqual([keep.settings, keep.kept], [null, 2]);
+
+  const take = planMerge(diff, { [conflictKey('injections', 'i2')]: 'backup', settings: 'backup' });
+  assert.deepEqual(take.put.injections.map((r) => [r.id, r.doseMg]), [['i3', 2.5], ['i2', 2.5]]);
+  assert.equal(take.settings.patientName, 'Ana Souza');
+  assert.equal(take.kept, 0);
+});
+
+test('changedFields compara valores aninhados', () => {
+  assert.deepEqual(changedFields({ a: { x: 1, y: [1, 2] }, b: 1 }, { b: 1, a: { y: [1, 2], x: 1 } }), []);
+  assert.deepEqual(changedFields({ a: { x: 1 } }, { a: { x: 2 }, c: null }), ['a']);
+});
+
+test('diffBackup: backup v1 sem os campos novos não vira conflito', () => {
+  const symptoms = { nausea: 0, reflux: 0, appetite: 0, energy: 0, bowel: 0 };
+  const v1 = {
+    injections: [
+      { id: 'i1', dateTimeISO: '2024-06-01T12:00:00.000Z', medName: 'Retatrutida', doseMg: 2, site: 'abdomen_right', symptoms, notes: '' },
+      { id: 'i2', dateTimeISO: '2024-06-08T12:00:00.000Z', medName: 'Retatrutida', doseMg: 2.5, site: 'abdomen_right', symptoms, notes: '' }
+    ],
+    weights: [{ id: 'w1', dateTimeISO: '2024-06-03T10:00:00.000Z', weightKg: 91, notes: '' }],
+    measures: []
+  };
+  // Como o aparelho grava hoje: vínculos com o catálogo e o estoque e campos novos da pesagem.
+  const current = {
+    medications: [],
+    inventory: [],
+    injections: v1.injections.map((r) => ({ ...r, profileId: 'p1', medicationId: 'reta', inventoryId: null, doseMg: 2 })),
+    weights: [{ ...v1.weights[0], profileId: 'p1', fasting: false }],
+    measures: [],
+    settings: {}
+  };
+
+  const diff = diffBackup(current, validateBackup(v1).data);
+  assert.equal(diff.stores.injections.unchanged, 1);
+  assert.deepEqual(diff.stores.injections.changed.map((c) => [c.id, c.fields]), [['i2', ['doseMg']]]);
+  assert.equal(diff.stores.weights.unchanged, 1);
+  assert.equal(countConflicts(diff), 1);
+});
@@ -0,0 +1,325 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { IDBFactory, IDBKeyRange } from 'fake-indexeddb';
+
+import {
+  STORE_META,
+  openDatabase,
+  pendingMigrations,
+  promisifyRequest,
+  readMigrationLog,
+  validateMigrations
+} from '../db/migrations.js';
+import {
+  DB_NAME,
+  DB_VERSION,
+  MIGRATIONS,
+  PROFILE_DATE_INDEX,
+  STORE_AUTO_BACKUPS,
+  STORE_HISTORY,
+  STORE_INJECTIONS,
+  STORE_INVENTORY,
+  STORE_MEASURES,
+  STORE_MEDICATIONS,
+  STORE_OUTBOX,
+  STORE_PROFILES,
+  STORE_SETTINGS,
+  STORE_SYNC,
+  STORE_TRASH,
+  STORE_WEIGHTS,
+  snapshotBeforeMigration
+} from '../db/schema.js';
+
+// -----------------------------
+// Utilitários
+// -----------------------------
+
+function readAll(db, storeName) {
+  const tx = db.transaction(storeName, 'readonly');
+  return promisifyRequest(tx.objectStore(storeName).getAll());
+}
+
+function readLog(db) {
+  return readMigrationLog(db.transaction(STORE_META, 'readonly'));
+}
+
+// Cria o banco numa versão antiga com os passos do app até `version` e grava registros.
+async function seedAtVersion(indexedDB, version, seed) {
+  const db = await openDatabase({
+    name: DB_NAME,
+    indexedDB,
+    migrations: MIGRATIONS.filter((m) => m.version <= version)
+  });
+  const stores = Object.keys(seed);
+  const tx = db.transaction(stores, 'readwrite');
+  for (const name of stores) {
+    for (const rec of seed[name]) tx.objectStore(name).put(rec);
+  }
+  await new Promise((resolve, reject) => {
+    tx.oncomplete = resolve;
+    tx.onerror = () => reject(tx.error);
+  });
+  db.close();
+}
+
+const createStep = (version, storeName, extra = {}) => ({
+  version,
+  name: `cria-${storeName}`,
+  upgrade(db) {
+    db.createObjectStore(storeName, { keyPath: 'id' });
+  },
+  ...extra
+});
+
+const metaStep = (version) => ({
+  version,
+  name: 'meta',
+  upgrade(db) {
+    db.createObjectStore(STORE_META, { keyPath: 'key' });
+  }
+});
+
+// -----------------------------
+// Registro de migrações
+// -----------------------------
+
+test('validateMigrations rejeita versões duplicadas, fora de ordem ou sem upgrade()', () => {
+  assert.throws(() => validateMigrations([createStep(1, 'a'), createStep(1, 'b')]), /duplicada/);
+  assert.throws(() => validateMigrations([createStep(2, 'a'), createStep(1, 'b')]), /fora de ordem/);
+  assert.throws(() => validateMigrations([{ version: 0, upgrade() {} }]), /inválida/);
+  assert.throws(() => validateMigrations([{ version: 1 }]), /upgrade/);
+  assert.doesNotThrow(() => validateMigrations(MIGRATIONS));
+});
+
+test('pendingMigrations retorna só os passos entre a versão atual e a nova', () => {
+  const steps = [createStep(1, 'a'), createStep(2, 'b'), createStep(3, 'c')];
+  assert.deepEqual(pendingMigrations(steps, 1, 3).map((m) => m.version), [2, 3]);
+  assert.deepEqual(pendingMigrations(steps, 3, 3), []);
+});
+
+test('DB_VERSION acompanha o último passo do schema', () => {
+  assert.equal(DB_VERSION, MIGRATIONS[MIGRATIONS.length - 1].version);
+});
+
+// -----------------------------
+// Execução
+// -----------------------------
+
+test('aplica os passos em ordem e registra o histórico no store de metadados', async () => {
+  const indexedDB = new IDBFactory();
+  const order = [];
+  const track = (step) => ({ ...step, upgrade: (db, tx) => { order.push(step.version); return step.upgrade(db, tx); } });
+
+  const migrations = [track(createStep(1, 'a')), track(createStep(2, 'b')), track(metaStep(3))];
+  const db = await openDatabase({ name: 'ordem', indexedDB, migrations, context: { appVersion: '9.9.9' } });
+
+  assert.deepEqual(order, [1, 2, 3]);
+  assert.equal(db.version, 3);
+  const log = await readLog(db);
+  assert.deepEqual(log.map((e) => e.version), [1, 2, 3]);
+  assert.ok(log.every((e) => e.fromVersion === 0 && e.appVersion === '9.9.9'));
+  db.close();
+});
+
+test('um upgrade posterior aplica só os passos novos e acrescenta ao histórico', async () => {
+  const indexedDB = new IDBFactory();
+  const v2 = [metaStep(1), createStep(2, 'a')];
+  (await openDatabase({ name: 'incremental', indexedDB, migrations: v2 })).close();
+
+  const applied = [];
+  const v3 = [...v2, { version: 3, name: 'novo', upgrade() { applied.push(3); } }];
+  const db = await openDatabase({ name: 'incremental', indexedDB, migrations: v3 });
+
+  assert.deepEqual(applied, [3]);
+  const log = await readLog(db);
+  assert.deepEqual(log.map((e) => [e.version, e.fromVersion]), [[1, 0], [2, 0], [3, 2]]);
+  db.close();
+});
+
+test('falha em um passo aborta o upgrade e mantém a versão anterior', async () => {
+  const indexedDB = new IDBFactory();
+  const base = [createStep(1, 'a')];
+  (await openDatabase({ name: 'falha', indexedDB, migrations: base })).close();
+
+  const broken = [...base, createStep(2, 'b'), {
+    version: 3,
+    name: 'quebrado',
+    upgrade() {
+      throw new Error('boom');
+    }
+  }];
+  const originalError = console.error;
+  console.error = () => {};
+  try {
+    await assert.rejects(openDatabase({ name: 'falha', indexedDB, migrations: broken }));
+  } finally {
+    console.error = originalError;
+  }
+
+  const db = await openDatabase({ name: 'falha', indexedDB, migrations: base });
+  assert.equal(db.version, 1);
+  assert.ok(!db.objectStoreNames.contains('b'));
+  db.close();
+});
+
+test('passo destrutivo chama beforeDestructive só quando já existem dados', async () => {
+  const calls = [];
+  const context = { beforeDestructive: (tx, step, info) => calls.push([step.version, info.oldVersion]) };
+  const migrations = [createStep(1, 'a'), createStep(2, 'b', { destructive: true })];
+
+  // Banco novo: nada a proteger.
+  const fresh = new IDBFactory();
+  (await openDatabase({ name: 'destrutivo', indexedDB: fresh, migrations, context })).close();
+  assert.deepEqual(calls, []);
+
+  // Banco existente na V1.
+  const existing = new IDBFactory();
+  (await openDatabase({ name: 'destrutivo', indexedDB: existing, migrations: migrations.slice(0, 1) })).close();
+  (await openDatabase({ name: 'destrutivo', indexedDB: existing, migrations, context })).close();
+  assert.deepEqual(calls, [[2, 1]]);
+});
+
+// -----------------------------
+// Schema do app
+// -----------------------------
+
+test('banco novo é criado na versão atual sem snapshot pré-migração', async () => {
+  const indexedDB = new IDBFactory();
+  const db = await openDatabase({
+    name: DB_NAME,
+    indexedDB,
+    migrations: MIGRATIONS,
+    context: { beforeDestructive: snapshotBeforeMigration }
+  });
+
+  assert.equal(db.version, DB_VERSION);
+  for (const name of [STORE_INJECTIONS, STORE_WEIGHTS, STORE_SETTINGS, STORE_AUTO_BACKUPS, STORE_PROFILES, STORE_META, STORE_MEDICATIONS, STORE_INVENTORY, STORE_SYNC, STORE_OUTBOX, STORE_TRASH, STORE_HISTORY]) {
+    assert.ok(db.objectStoreNames.contains(name), name);
+  }
+  assert.deepEqual(await readAll(db, STORE_AUTO_BACKUPS), []);
+  const profiles = await readAll(db, STORE_PROFILES);
+  assert.deepEqual(profiles.map((p) => p.id), ['default']);
+  db.close();
+});
+
+test('upgrade da V2 move os registros para o perfil padrão e guarda um backup antes', async () => {
+  const indexedDB = new IDBFactory();
+  await seedAtVersion(indexedDB, 2, {
+    [STORE_INJECTIONS]: [{ id: 'i1', dateTimeISO: '2024-01-01T10:00:00.000Z', doseMg: 2.5 }],
+    [STORE_WEIGHTS]: [{ id: 'w1', dateTimeISO: '2024-01-01T08:00:00.000Z', weightKg: 90 }],
+    [STORE_SETTINGS]: [{ key: 'app', value: { patientName: 'Ana' } }]
+  });
+
+  const db = await openDatabase({
+    name: DB_NAME,
+    indexedDB,
+    migrations: MIGRATIONS,
+    context: {
+      appVersion: '1.5.2',
+      beforeDestructive: snapshotBeforeMigration
+    }
+  });
+
+  const injections = await readAll(db, STORE_INJECTIONS);
+  assert.equal(injections[0].profileId, 'default');
+  assert.equal(injections[0].doseMg, 2.5);
+
+  const profiles = await readAll(db, STORE_PROFILES);
+  assert.deepEqual(profiles.map((p) => [p.id, p.name]), [['default', 'Ana']]);
+
+  // Snapshot com os dados no formato anterior (sem profileId).
+  const backups = await readAll(db, STORE_AUTO_BACKUPS);
+  assert.equal(backups.length, 1);
+  const [backup] = backups;
+  assert.equal(backup.reason, 'pre-migration');
+  assert.equal(backup.profileId, 'default');
+  assert.equal(backup.appVersion, '1.5.2');
+  assert.deepEqual(backup.migration, { fromVersion: 2, version: 3, name: 'perfis' });
+  assert.equal(backup.data.injections[0].profileId, undefined);
+  assert.equal(backup.data.weights[0].weightKg, 90);
+  assert.equal(backup.data.settings.patientName, 'Ana');
+
+  const log = await readLog(db);
+  assert.deepEqual(log.map((e) => e.version), [3, 4, 5, 6, 7, 8, 9, 10, 11]);
+  db.close();
+});
+
+test('upgrade da V4 cria o catálogo de medicamentos por perfil e vincula as aplicações', async () => {
+  const indexedDB = new IDBFactory();
+  await seedAtVersion(indexedDB, 4, {
+    [STORE_PROFILES]: [{ id: 'p2', name: 'Beto', createdAtISO: '2024-01-01T00:00:00.000Z' }],
+    [STORE_INJECTIONS]: [
+      { id: 'i1', profileId: 'default', dateTimeISO: '2024-01-01T10:00:00.000Z', medName: 'Semaglutida', doseMg: 0.5 },
+      { id: 'i2', profileId: 'default', dateTimeISO: '2024-02-01T10:00:00.000Z', medName: 'retatrutida ', doseMg: 2 },
+      { id: 'i3', profileId: 'p2', dateTimeISO: '2024-02-01T10:00:00.000Z', medName: 'Retatrutida', doseMg: 4 }
+    ],
+    [STORE_SETTINGS]: [{ key: 'app', value: { injectionDaysOfWeek: [1, 4], injectionTime: '07:30' } }]
+  });
+
+  let n = 0;
+  const db = await openDatabase({ name: DB_NAME, indexedDB, migrations: MIGRATIONS, context: { makeId: () => `m${++n}` } });
+
+  const meds = await readAll(db, STORE_MEDICATIONS);
+  const mine = meds.filter((m) => m.profileId === 'default');
+  // Mais recente primeiro: ativo e com a agenda das configurações; o outro fica inativo.
+  assert.deepEqual(mine.map((m) => [m.name, m.active]).sort(), [['Semaglutida', false], ['retatrutida', true]]);
+  const active = mine.find((m) => m.active);
+  assert.deepEqual(active.schedule.injectionDaysOfWeek, [1, 4]);
+  assert.equal(active.schedule.injectionTime, '07:30');
+  assert.deepEqual(meds.filter((m) => m.profileId === 'p2').map((m) => m.name), ['Retatrutida']);
+  // Formato do item fixado pela V5 (não acompanha mudanças em core/medications.js).
+  const { id, createdAtISO, ...p2Med } = meds.find((m) => m.profileId === 'p2');
+  assert.ok(id && createdAtISO);
+  assert.deepEqual(p2Med, {
+    profileId: 'p2',
+    name: 'Retatrutida',
+    concentration: '',
+    unit: 'mg',
+    route: 'subcutaneous',
+    color: '#7aa7ff',
+    active: true,
+    schedule: {
+      injectionScheduleMode: 'weekdays',
+      injectionDaysOfWeek: [6],
+      injectionDayOfWeek: 6,
+      injectionIntervalDays: 7,
+      injectionIntervalStartDate: '',
+      injectionTime: '09:51'
+    },
+    titration: null
+  });
+
+  const injections = await readAll(db, STORE_INJECTIONS);
+  const medNameOf = (injId) => meds.find((m) => m.id === injections.find((i) => i.id === injId).medicationId).name;
+  assert.deepEqual(['i1', 'i2', 'i3'].map(medNameOf), ['Semaglutida', 'retatrutida', 'Retatrutida']);
+  // Mesmo nome em outro perfil: item próprio do catálogo daquele perfil.
+  assert.equal(meds.find((m) => m.id === injections.find((i) => i.id === 'i3').medicationId).profileId, 'p2');
+
+  // Passo não destrutivo: sem snapshot.
+  assert.deepEqual(await readAll(db, STORE_AUTO_BACKUPS), []);
+  db.close();
+});
+
+test('upgrade da V10 cria o índice por perfil e data nos registros existentes', async () => {
+  const indexedDB = new IDBFactory();
+  await seedAtVersion(indexedDB, 10, {
+    [STORE_WEIGHTS]: [
+      { id: 'w1', profileId: 'default', dateTimeISO: '2024-01-01T08:00:00.000Z', weightKg: 90 },
+      { id: 'w2', profileId: 'default', dateTimeISO: '2024-02-01T08:00:00.000Z', weightKg: 89 },
+      { id: 'w3', profileId: 'p2', dateTimeISO: '2024-01-15T08:00:00.000Z', weightKg: 70 }
+    ],
+    [STORE_MEASURES]: [{ id: 'm1', profileId: 'default', dateISO: '2024-01-20', waistCm: 100 }]
+  });
+
+  const db = await openDatabase({ name: DB_NAME, indexedDB, migrations: MIGRATIONS });
+  const tx = db.transaction([STORE_WEIGHTS, STORE_MEASURES, STORE_INJECTIONS], 'readonly');
+  assert.ok(tx.objectStore(STORE_INJECTIONS).indexNames.contains(PROFILE_DATE_INDEX));
+
+  // Só o perfil e o período pedidos.
+  const range = IDBKeyRange.bound(['default', '2024-01-01T00:00:00.000Z'], ['default', '2024-01-31T23:59:59.999Z']);
+  const weights = await promisifyRequest(tx.objectStore(STORE_WEIGHTS).index(PROFILE_DATE_INDEX).getAll(range));
+  assert.deepEqual(weights.map((w) => w.id), ['w1']);
+  const measures = await promisifyRequest(tx.objectStore(STORE_MEASURES).index(PROFILE_DATE_INDEX).getAll(IDBKeyRange.bound(['default', '2024-01-01'], ['default', '2024-01-31'])));
+  assert.deepEqual(measures.map((m) => m.id), ['m1']);
+  db.close();
+});
@@ -0,0 +1,76 @@
+process.env.TZ = 'America/Sao_Paulo';
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { DEFAULTS } from '../core/constants.js';
+import { buildChecklistCacheFromData } from '../core/checklist.js';
+import { normalizeMedication } from '../core/medications.js';
+import {
+  attentionDeepLink,
+  buildNotificationPlan,
+  dueNotifications,
+  keepShownKeys,
+  notificationShownKey,
+  upcomingNotifications
+} from '../core/notifications.js';
+
+const at = (y, m, d, hh = 9, mi = 0) => new Date(y, m - 1, d, hh, mi).toISOString();
+
+// Retatrutida aos sábados às 20:00; pesagem no padrão (segunda).
+const reta = normalizeMedication({ id: 'reta', name: 'Retatrutida', schedule: { injectionDaysOfWeek: [6], injectionTime: '20:00' } }, { profileId: 'default' });
+const monday = new Date(2024, 5, 10, 8, 0);
+
+test('buildNotificationPlan: um item por pendência, com horário, tag e deep link', () => {
+  const cache = buildChecklistCacheFromData({ medications: [reta], weights: [], injections: [], measures: [] });
+  const plan = buildNotificationPlan(cache, DEFAULTS, monday, 6);
+
+  const injection = plan.find((n) => n.kind === 'injection');
+  assert.equal(injection.tag, 'dosecheck-injection-2024-06-15-reta');
+  assert.equal(injection.timestamp, new Date(2024, 5, 15, 20, 0).getTime());
+  assert.equal(injection.body, 'Aplicação de Retatrutida prevista para 20:00.');
+  assert.equal(injection.url, './#/dashboard?attention=injection');
+
+  const weight = plan.find((n) => n.kind === 'weight');
+  assert.deepEqual([weight.tag, weight.timestamp], ['dosecheck-weight-2024-06-10', new Date(2024, 5, 10, 7, 30).getTime()]);
+
+  assert.deepEqual(plan.map((n) => n.timestamp), [...plan.map((n) => n.timestamp)].sort((a, b) => a - b));
+  assert.equal(attentionDeepLink('measures'), './#/dashboard?attention=measures');
+});
+
+test('itens já registrados saem do plano', () => {
+  const cache = buildChecklistCacheFromData({
+    medications: [reta],
+    weights: [{ id: 'w1', dateTimeISO: at(2024, 6, 10, 7, 0), weightKg: 90 }],
+    injections: [],
+    measures: []
+  });
+  const plan = buildNotificationPlan(cache, DEFAULTS, monday, 6);
+  assert.ok(!plan.some((n) => n.tag === 'dosecheck-weight-2024-06-10'));
+  assert.ok(plan.some((n) => n.tag === 'dosecheck-injection-2024-06-15-reta'));
+});
+
+test('dueNotifications/upcomingNotifications: vencidas ou futuras, ainda não mostradas', () => {
+  const plan = [
+    { tag: 'dosecheck-weight-2024-06-10', timestamp: 100 },
+    { tag: 'dosecheck-measures-2024-06-10', timestamp: 200 },
+    { tag: 'dosecheck-injection-2024-06-15-reta', timestamp: 900 }
+  ];
+  assert.equal(notificationShownKey(plan[0]), 'dosecheck-weight-2024-06-10@100');
+  assert.deepEqual(dueNotifications(plan, 500).map((n) => n.tag), ['dosecheck-weight-2024-06-10', 'dosecheck-measures-2024-06-10']);
+  assert.deepEqual(dueNotifications(plan, 500, ['dosecheck-weight-2024-06-10@100']).map((n) => n.tag), ['dosecheck-measures-2024-06-10']);
+  assert.deepEqual(dueNotifications(null, 500), []);
+  assert.deepEqual(upcomingNotifications(plan, 500).map((n) => n.tag), ['dosecheck-injection-2024-06-15-reta']);
+  assert.deepEqual(upcomingNotifications(plan, 500, ['dosecheck-injection-2024-06-15-reta@900']), []);
+});
+
+test('keepShownKeys: agenda mudou (mesma tag, outro horário) volta a notificar; o que saiu do plano é esquecido', () => {
+  const shown = ['dosecheck-weight-2024-06-10@100', 'dosecheck-injection-2024-06-15-reta@900', 'dosecheck-measures-2024-06-03@50'];
+  const plan = [
+    { tag: 'dosecheck-weight-2024-06-10', timestamp: 100 },
+    { tag: 'dosecheck-injection-2024-06-15-reta', timestamp: 400 }
+  ];
+  const kept = keepShownKeys(plan, shown);
+  assert.deepEqual(kept, ['dosecheck-weight-2024-06-10@100']);
+  assert.deepEqual(dueNotifications(plan, 500, kept).map((n) => n.timestamp), [400]);
+});
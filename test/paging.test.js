@@ -0,0 +1,86 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createRecordCache, mergePagesNewestFirst, readPageByCursor, takePage } from '../core/paging.js';
+
+test('takePage: a linha extra indica se há próxima página', () => {
+  assert.deepEqual(takePage([1, 2, 3], 2), { records: [1, 2], more: true });
+  assert.deepEqual(takePage([1, 2], 2), { records: [1, 2], more: false });
+  assert.deepEqual(takePage(null, 2), { records: [], more: false });
+});
+
+test('readPageByCursor: "Carregar mais" lê só o bloco seguinte, a partir de onde o anterior parou', async () => {
+  const rows = Array.from({ length: 7 }, (_, i) => `r${7 - i}`);
+  const cache = createRecordCache();
+  const reads = [];
+  const readChunk = (after, count) => cache.read('weights', `page:${count}:${after ?? ''}`, async () => {
+    reads.push(after);
+    const start = after === null ? 0 : rows.indexOf(after) + 1;
+    const chunk = rows.slice(start, start + count);
+    return { rows: chunk, next: start + count < rows.length ? chunk[chunk.length - 1] : null };
+  });
+
+  assert.deepEqual(await readPageByCursor(3, 3, readChunk), { records: ['r7', 'r6', 'r5'], more: true });
+  assert.deepEqual(reads, [null]);
+  assert.deepEqual(await readPageByCursor(6, 3, readChunk), { records: ['r7', 'r6', 'r5', 'r4', 'r3', 'r2'], more: true });
+  assert.deepEqual(reads, [null, 'r5']);
+  assert.deepEqual(await readPageByCursor(9, 3, readChunk), { records: rows, more: false });
+  assert.deepEqual(reads, [null, 'r5', 'r2']);
+  // Bloco maior que o pedido: corta no limite e continua indicando que há mais.
+  assert.deepEqual(await readPageByCursor(2, 3, readChunk), { records: ['r7', 'r6'], more: true });
+  assert.deepEqual(reads.length, 3);
+});
+
+test('mergePagesNewestFirst: intercala aplicações e pesos do mais recente ao mais antigo', () => {
+  const injections = { kind: 'injection', field: 'dateTimeISO', records: [{ id: 'i2', dateTimeISO: '2024-06-08T10:00:00.000Z' }, { id: 'i1', dateTimeISO: '2024-06-01T10:00:00.000Z' }], more: false };
+  const weights = { kind: 'weight', field: 'dateTimeISO', records: [{ id: 'w3', dateTimeISO: '2024-06-09T08:00:00.000Z' }, { id: 'w2', dateTimeISO: '2024-06-05T08:00:00.000Z' }, { id: 'w1', dateTimeISO: '2024-06-02T08:00:00.000Z' }], more: false };
+
+  const first = mergePagesNewestFirst([injections, weights], 3);
+  assert.deepEqual(first.items.map((i) => `${i.kind}:${i.record.id}`), ['weight:w3', 'injection:i2', 'weight:w2']);
+  assert.equal(first.more, true);
+
+  const all = mergePagesNewestFirst([injections, weights], 10);
+  assert.equal(all.items.length, 5);
+  assert.equal(all.more, false);
+
+  // Uma página cheia com mais registros no banco continua pedindo "Carregar mais".
+  assert.equal(mergePagesNewestFirst([{ ...injections, more: true }, { ...weights, records: [] }], 2).more, true);
+});
+
+test('createRecordCache: leituras iguais viram uma só e a gravação descarta o store', async () => {
+  const cache = createRecordCache();
+  let reads = 0;
+  const loader = async () => { reads += 1; return [reads]; };
+
+  const [a, b] = await Promise.all([cache.read('weights', 'all:p1', loader), cache.read('weights', 'all:p1', loader)]);
+  assert.equal(reads, 1);
+  assert.equal(a, b);
+  await cache.read('injections', 'all:p1', loader);
+  assert.equal(reads, 2);
+
+  cache.invalidate('weights');
+  assert.deepEqual(await cache.read('weights', 'all:p1', loader), [3]);
+  // Outros stores continuam no cache.
+  assert.equal(cache.size('injections'), 1);
+  await cache.read('injections', 'all:p1', loader);
+  assert.equal(reads, 3);
+});
+
+test('createRecordCache: leitura em andamento durante uma gravação não fica no cache', async () => {
+  const cache = createRecordCache();
+  let release;
+  const slow = cache.read('weights', 'all', () => new Promise((resolve) => { release = resolve; }));
+  await Promise.resolve();
+  cache.invalidate('weights');
+  release(['antigo']);
+  assert.deepEqual(await slow, ['antigo']);
+  await Promise.resolve();
+  assert.equal(cache.size('weights'), 0);
+  assert.deepEqual(await cache.read('weights', 'all', async () => ['novo']), ['novo']);
+});
+
+test('createRecordCache: falha na leitura não fica guardada', async () => {
+  const cache = createRecordCache();
+  await assert.rejects(cache.read('weights', 'all', async () => { throw new Error('falhou'); }), /falhou/);
+  assert.deepEqual(await cache.read('weights', 'all', async () => ['ok']), ['ok']);
+});
@@ -0,0 +1,255 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'node:http';
+
+import {
+  confirmedOutbox,
+  createHttpSyncAdapter,
+  generateSyncSpace,
+  isOutboxItemSent,
+  isValidSyncSpace,
+  nextRetryDelayMs,
+  runSyncCycle
+} from '../core/remote-sync.js';
+import { SYNC_SETTINGS_ID, SYNC_SETTINGS_STORE, buildSyncEntries, syncStorageKey, touchSyncMeta } from '../core/sync.js';
+import { applyPush, createMemorySyncStore, createSyncHandler, readChanges } from '../server/sync-server.js';
+
+// -----------------------------
+// Aparelho em memória com fila (outbox), como o app: put/del avançam a revisão e entram na fila
+// -----------------------------
+
+function device(id, profileId = 'p1') {
+  return { id, profileId, records: { weights: new Map(), injections: new Map() }, settings: null, metas: new Map(), outbox: new Map(), cursor: 0, clock: 0 };
+}
+
+function touch(dev, store, id, deleted = false) {
+  dev.clock += 1;
+  const key = syncStorageKey(store, id, dev.profileId);
+  const meta = touchSyncMeta(dev.metas.get(key), { store, id, profileId: dev.profileId, deviceId: dev.id, deleted }, new Date(Date.UTC(2024, 5, 1, 12, dev.clock)));
+  dev.metas.set(key, meta);
+  dev.outbox.set(key, { key, store, recordId: id, rev: meta.rev });
+}
+
+function put(dev, store, rec) {
+  dev.records[store].set(rec.id, { ...rec, profileId: dev.profileId });
+  touch(dev, store, rec.id);
+}
+
+function remove(dev, store, id) {
+  dev.records[store].delete(id);
+  touch(dev, store, id, true);
+}
+
+// Como saveSettings do app: source 'sync' grava sem avançar a revisão nem entrar na fila.
+function saveSettings(dev, settings, { source = 'user' } = {}) {
+  dev.settings = { ...dev.settings, ...settings };
+  if (source !== 'sync') touch(dev, SYNC_SETTINGS_STORE, SYNC_SETTINGS_ID);
+}
+
+function entriesOf(dev) {
+  const records = Object.fromEntries(Object.entries(dev.records).map(([store, map]) => [store, [...map.values()]]));
+  return buildSyncEntries({ records, settings: dev.settings, metas: [...dev.metas.values()] });
+}
+
+function ioOf(dev) {
+  return {
+    readLocalEntries: async () => entriesOf(dev),
+    readOutbox: async () => [...dev.outbox.values()],
+    removeOutbox: async (confirmed) => {
+      for (const { key, rev } of confirmed) {
+        const item = dev.outbox.get(key);
+        if (item && isOutboxItemSent(item, rev)) dev.outbox.delete(key);
+      }
+    },
+    applyPlan: async (plan) => {
+      for (const item of plan.apply) {
+        if (item.store === SYNC_SETTINGS_STORE) saveSettings(dev, item.record, { source: 'sync' });
+        else if (item.deleted) dev.records[item.store].delete(item.id);
+        else dev.records[item.store].set(item.id, { ...item.record, profileId: dev.profileId });
+        const key = syncStorageKey(item.store, item.id, dev.profileId);
+        dev.metas.set(key, { key, store: item.store, recordId: item.id, profileId: dev.profileId, ...item.meta, deleted: item.deleted });
+        if (item.from === 'local') dev.outbox.set(key, { key, store: item.store, recordId: item.id, rev: item.meta.rev });
+      }
+    }
+  };
+}
+
+async function sync(adapter, dev) {
+  const result = await runSyncCycle(adapter, { cursor: dev.cursor, deviceId: dev.id }, ioOf(dev));
+  dev.cursor = result.cursor;
+  return result;
+}
+
+function weightsOf(dev) {
+  return [...dev.records.weights.values()].map(({ profileId, ...rest }) => rest).sort((a, b) => a.id.localeCompare(b.id));
+}
+
+// Servidor real numa porta livre; fechado ao fim de cada teste.
+async function withServer(t, fn) {
+  const server = createServer(createSyncHandler({ store: createMemorySyncStore() }));
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => new Promise((resolve) => server.close(resolve)));
+  const baseUrl = `http://127.0.0.1:${server.address().port}/api/sync`;
+  return fn(baseUrl);
+}
+
+const SPACE = 'casa-teste-123';
+
+// -----------------------------
+// Utilitários
+// -----------------------------
+
+test('nextRetryDelayMs: dobra a cada falha até 30 min', () => {
+  assert.equal(nextRetryDelayMs(1), 15_000);
+  assert.equal(nextRetryDelayMs(2), 30_000);
+  assert.equal(nextRetryDelayMs(4), 120_000);
+  assert.equal(nextRetryDelayMs(50), 30 * 60_000);
+});
+
+test('generateSyncSpace: código válido em grupos de 6', () => {
+  const space = generateSyncSpace((n) => new Uint8Array(n).map((_, i) => i));
+  assert.match(space, /^[a-z2-9]{6}(-[a-z2-9]{6}){3}$/);
+  assert.ok(isValidSyncSpace(space));
+  assert.ok(!isValidSyncSpace('curto'));
+  assert.ok(!isValidSyncSpace('../../etc/passwd'));
+});
+
+test('confirmedOutbox/isOutboxItemSent: item editado depois do envio continua na fila', () => {
+  const outbox = [{ key: 'weights:w1', store: 'weights', recordId: 'w1', rev: { a: 1 } }];
+  const confirmed = confirmedOutbox(outbox, [{ store: 'weights', id: 'w1', rev: { a: 1 } }]);
+  assert.deepEqual(confirmed, [{ key: 'weights:w1', rev: { a: 1 } }]);
+  assert.ok(isOutboxItemSent({ rev: { a: 1 } }, { a: 1 }));
+  assert.ok(!isOutboxItemSent({ rev: { a: 2 } }, { a: 1 }));
+});
+
+// -----------------------------
+// Servidor de referência
+// -----------------------------
+
+test('applyPush/readChanges: cursor por sequência e páginas', () => {
+  const state = { seq: 0, entries: {} };
+  const entry = (id, n) => ({ store: 'weights', id, rev: { a: n }, updatedAtISO: '2024-06-01T12:00:00.000Z', deviceId: 'a', deleted: false, record: { id, weightKg: 90 + n } });
+  applyPush(state, [entry('w1', 1), entry('w2', 1), entry('w3', 1)]);
+  assert.equal(state.seq, 3);
+
+  // Revisão antiga não muda nada no servidor.
+  assert.equal(applyPush(state, [entry('w1', 1)]).applied, 0);
+
+  const first = readChanges(state, 0, 2);
+  assert.deepEqual(first.entries.map((e) => e.id), ['w1', 'w2']);
+  assert.equal(first.more, true);
+  const second = readChanges(state, first.cursor, 2);
+  assert.deepEqual(second.entries.map((e) => e.id), ['w3']);
+  assert.equal(second.more, false);
+  assert.equal(readChanges(state, second.cursor).entries.length, 0);
+});
+
+test('dois aparelhos pelo servidor HTTP: inclusões e exclusões convergem e a fila esvazia', async (t) => {
+  await withServer(t, async (baseUrl) => {
+    const adapter = createHttpSyncAdapter({ baseUrl, space: SPACE });
+    const phone = device('phone');
+    const laptop = device('laptop');
+
+    put(phone, 'weights', { id: 'w1', dateTimeISO: '2024-06-01T10:00:00.000Z', weightKg: 90 });
+    put(laptop, 'weights', { id: 'w2', dateTimeISO: '2024-06-02T10:00:00.000Z', weightKg: 89.6 });
+
+    assert.equal((await sync(adapter, phone)).pushed, 1);
+    assert.equal(phone.outbox.size, 0);
+    const first = await sync(adapter, laptop);
+    assert.equal(first.stats.received, 1);
+    await sync(adapter, phone);
+    assert.deepEqual(weightsOf(phone), weightsOf(laptop));
+    assert.equal(phone.records.weights.size, 2);
+
+    remove(laptop, 'weights', 'w1');
+    await sync(adapter, laptop);
+    const back = await sync(adapter, phone);
+    assert.equal(back.stats.deleted, 1);
+    assert.deepEqual(weightsOf(phone), weightsOf(laptop));
+
+    // Nada novo: o cursor não volta e nada é recebido de novo.
+    const idle = await sync(adapter, phone);
+    assert.deepEqual([idle.pushed, idle.stats.received, idle.stats.deleted], [0, 0, 0]);
+  });
+});
+
+test('edição concorrente: o servidor guarda a mais recente e os dois aparelhos ficam iguais', async (t) => {
+  await withServer(t, async (baseUrl) => {
+    const adapter = createHttpSyncAdapter({ baseUrl, space: SPACE });
+    const phone = device('phone');
+    const laptop = device('laptop');
+    put(phone, 'weights', { id: 'w1', dateTimeISO: '2024-06-01T10:00:00.000Z', weightKg: 90 });
+    await sync(adapter, phone);
+    await sync(adapter, laptop);
+
+    laptop.clock = 10; // edição do laptop é depois
+    put(laptop, 'weights', { id: 'w1', dateTimeISO: '2024-06-01T10:00:00.000Z', weightKg: 89.8 });
+    put(phone, 'weights', { id: 'w1', dateTimeISO: '2024-06-01T10:00:00.000Z', weightKg: 89.5 });
+
+    await sync(adapter, laptop);
+    const stats = (await sync(adapter, phone)).stats;
+    assert.equal(stats.received, 1);
+    await sync(adapter, laptop);
+
+    assert.equal(phone.records.weights.get('w1').weightKg, 89.8);
+    assert.deepEqual(weightsOf(phone), weightsOf(laptop));
+    assert.deepEqual(phone.metas.get('weights:w1').rev, laptop.metas.get('weights:w1').rev);
+  });
+});
+
+test('configurações recebidas do servidor não voltam para a fila', async (t) => {
+  await withServer(t, async (baseUrl) => {
+    const adapter = createHttpSyncAdapter({ baseUrl, space: SPACE });
+    const phone = device('phone');
+    const laptop = device('laptop');
+    saveSettings(laptop, { locale: 'en', weightUnit: 'lb' });
+    await sync(adapter, laptop);
+
+    const pulled = await sync(adapter, phone);
+    assert.equal(pulled.stats.received, 1);
+    assert.deepEqual(phone.settings, laptop.settings);
+    assert.equal(phone.outbox.size, 0);
+    assert.deepEqual(phone.metas.get('settings:p1').rev, laptop.metas.get('settings:p1').rev);
+
+    // Nada a reenviar no ciclo seguinte.
+    const idle = await sync(adapter, phone);
+    assert.deepEqual([idle.pushed, idle.stats.received], [0, 0]);
+  });
+});
+
+test('primeira sincronização de um aparelho novo pagina até o fim', async (t) => {
+  await withServer(t, async (baseUrl) => {
+    const adapter = createHttpSyncAdapter({ baseUrl, space: SPACE });
+    const pages = [];
+    const counting = { push: adapter.push, pull: async (since) => { const page = await adapter.pull(since); pages.push(page.entries.length); return page; } };
+
+    const phone = device('phone');
+    for (let i = 0; i < 520; i++) put(phone, 'weights', { id: `w${String(i).padStart(3, '0')}`, dateTimeISO: '2024-06-01T10:00:00.000Z', weightKg: 90 });
+    await sync(adapter, phone);
+
+    const tablet = device('tablet');
+    const result = await runSyncCycle(counting, { cursor: 0, deviceId: 'tablet' }, ioOf(tablet));
+    assert.deepEqual(pages, [500, 20]);
+    assert.equal(result.cursor, 520);
+    assert.equal(tablet.records.weights.size, 520);
+  });
+});
+
+test('servidor fora do ar: o ciclo falha e a fila continua para a próxima tentativa', async () => {
+  const adapter = createHttpSyncAdapter({ baseUrl: 'http://exemplo.invalid/api/sync', space: SPACE, fetchImpl: async () => ({ ok: false, status: 503 }) });
+  const phone = device('phone');
+  put(phone, 'weights', { id: 'w1', dateTimeISO: '2024-06-01T10:00:00.000Z', weightKg: 90 });
+  await assert.rejects(sync(adapter, phone), /respondeu 503/);
+  assert.equal(phone.outbox.size, 1);
+});
+
+test('handler HTTP: código inválido, envio malformado e rota desconhecida', async (t) => {
+  await withServer(t, async (baseUrl) => {
+    assert.equal((await fetch(`${baseUrl}/x/pull`)).status, 400);
+    const bad = await fetch(`${baseUrl}/${SPACE}/push`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ version: 1, entries: [{ store: 'profiles', id: 'x', rev: {} }] }) });
+    assert.equal(bad.status, 400);
+    const notJson = await fetch(`${baseUrl}/${SPACE}/push`, { method: 'POST', body: '{' });
+    assert.equal(notJson.status, 400);
+    assert.equal((await fetch(`${baseUrl}/${SPACE}/outra`)).status, 404);
+  });
+});
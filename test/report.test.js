@@ -0,0 +1,101 @@
+process.env.TZ = 'America/Sao_Paulo';
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { DEFAULTS } from '../core/constants.js';
+import {
+  buildClinicalReportInnerHtml,
+  buildSummaryForDays,
+  collectPatientNotes,
+  wrapClinicalReportHtml
+} from '../core/report.js';
+
+const at = (y, m, d, hh = 8, mi = 0) => new Date(y, m - 1, d, hh, mi).toISOString();
+
+const NOW = new Date(2024, 5, 30, 20, 0);
+
+const data = {
+  injections: [
+    { id: 'i1', dateTimeISO: at(2024, 6, 22, 9, 51), doseMg: 2, site: 'abdomen_right', symptoms: { nausea: 3 }, notes: '' },
+    { id: 'i2', dateTimeISO: at(2024, 6, 29, 9, 51), doseMg: 4, site: 'abdomen_left', symptoms: { nausea: 5 }, notes: 'Enjoo <leve>' }
+  ],
+  weights: [
+    { id: 'w1', dateTimeISO: at(2024, 6, 17), weightKg: 92, fasting: true, notes: '' },
+    { id: 'w2', dateTimeISO: at(2024, 6, 28), weightKg: 90, fasting: true, notes: 'Após viagem' },
+    { id: 'w-old', dateTimeISO: at(2024, 3, 1), weightKg: 99, fasting: true, notes: 'Antigo' }
+  ],
+  measures: [
+    { id: 'm1', dateISO: '2024-06-26', waistCm: 97, notes: 'Fita nova' }
+  ]
+};
+
+const settings = { ...DEFAULTS, imcHeight: 170 };
+
+test('buildSummaryForDays e collectPatientNotes respeitam o período do relógio informado', () => {
+  const s = buildSummaryForDays(14, data, NOW);
+  assert.deepEqual(s.weights.map((w) => w.id), ['w2', 'w1']);
+  assert.equal(s.injReg.onTimeRate, 1);
+
+  const notes = collectPatientNotes(14, data, 10, NOW);
+  assert.deepEqual(notes.map((n) => n.kind), ['Aplicação', 'Peso', 'Medidas']);
+  assert.equal(collectPatientNotes(14, data, 1, NOW).length, 1);
+});
+
+test('relatório: cabeçalho, adesão, IMC e histórico de dose', () => {
+  const html = buildClinicalReportInnerHtml({
+    rangeDays: 14,
+    patientName: 'Ana & Cia',
+    patientBirthLabel: '01/07/1980',
+    patientAgeYears: 43,
+    data,
+    settings,
+    nowDate: NOW
+  });
+
+  assert.match(html, /Gerado em 30\/06\/2024, 20:00 • Período selecionado: 14 dias/);
+  assert.match(html, /Ana &amp; Cia/);
+  // 17/06..30/06: 6 pesagens esperadas (2 feitas) + 2 aplicações (2 feitas) -> 6/10 pontos.
+  assert.match(html, /Consistência:<\/span> <span class="cr-v">60%/);
+  assert.match(html, /Pesagens:<\/span> <span class="cr-v">2\/6/);
+  // 90 kg / 1,70 m²
+  assert.match(html, /IMC atual:<\/span> <span class="cr-v">31,1 \(Obesidade\)/);
+  assert.match(html, /2,0 mg<br\/>.*4,0 mg/);
+  assert.ok(!html.includes('Antigo'));
+});
+
+test('relatório escapa textos digitados pelo paciente', () => {
+  const html = buildClinicalReportInnerHtml({ rangeDays: 14, data, settings, nowDate: NOW });
+  assert.ok(html.includes('Enjoo &lt;leve&gt;'));
+  assert.ok(!html.includes('Enjoo <leve>'));
+});
+
+test('relatório sem dados mostra linhas vazias', () => {
+  const html = buildClinicalReportInnerHtml({
+    rangeDays: 30,
+    data: { injections: [], weights: [], measures: [] },
+    nowDate: NOW
+  });
+  assert.match(html, /Sem pesos no período\./);
+  assert.match(html, /Sem aplicações no período\./);
+  assert.match(html, /Sem medidas no período\./);
+});
+
+test('wrapClinicalReportHtml gera documento completo para impressão', () => {
+  const doc = wrapClinicalReportHtml('<div id="x"></div>');
+  assert.ok(doc.startsWith('<!doctype html>'));
+  assert.ok(doc.includes('<div id="x"></div>'));
+  assert.match(doc, /@page \{ size: A4/);
+});
+
+test('relatório marca registros editados só quando pedido', () => {
+  const editedRecords = new Map([['weights:w2', { lastEditISO: at(2024, 6, 29, 10, 0), editCount: 1 }]]);
+  const flagged = buildClinicalReportInnerHtml({ rangeDays: 14, data, settings, editedRecords, nowDate: NOW });
+  assert.equal(flagged.match(/class="cr-edited"/g).length, 1);
+  assert.match(flagged, /28\/06\/2024,?<div class="cr-edited">editado em 29\/06\/2024<\/div>/);
+  assert.match(flagged, /foram alterados depois de gravados/);
+
+  const plain = buildClinicalReportInnerHtml({ rangeDays: 14, data, settings, nowDate: NOW });
+  assert.ok(!plain.includes('cr-edited"'));
+  assert.ok(!plain.includes('alterados depois de gravados'));
+});
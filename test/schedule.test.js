@@ -0,0 +1,113 @@
+process.env.TZ = 'America/Sao_Paulo';
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { DEFAULTS } from '../core/constants.js';
+import { buildChecklistCacheFromData, buildChecklistForDate, computeNextScheduledDateTime } from '../core/checklist.js';
+import { getLocalDateKey } from '../core/dates.js';
+import {
+  computeNextInjectionAfter,
+  dayDiffKeys,
+  formatInjectionScheduleLabel,
+  formatRegularityWindow,
+  isInjectionDueOn,
+  normalizeInjectionScheduleSettings,
+  resolveInjectionSchedule
+} from '../core/schedule.js';
+import {
+  computeInjectionRegularity,
+  computeScheduleAdherenceForRange,
+  computeWeeklyConsistency,
+  countStreakInjections,
+  sortByDateTimeDesc
+} from '../core/stats.js';
+
+const at = (y, m, d, hh = 9, mi = 51) => new Date(y, m - 1, d, hh, mi).toISOString();
+const injection = (iso) => ({ id: iso, dateTimeISO: iso, doseMg: 2.5 });
+
+const monThu = { ...DEFAULTS, injectionDaysOfWeek: [1, 4] };
+const every10 = { ...DEFAULTS, injectionScheduleMode: 'interval', injectionIntervalDays: 10, injectionIntervalStartDate: '2024-06-01' };
+
+test('configurações antigas (só injectionDayOfWeek) viram agenda semanal nesse dia', () => {
+  const legacy = { injectionDayOfWeek: 3, injectionTime: '08:00' };
+  const sch = resolveInjectionSchedule(legacy);
+  assert.equal(sch.mode, 'weekdays');
+  assert.deepEqual(sch.daysOfWeek, [3]);
+  assert.equal(formatInjectionScheduleLabel(sch), 'semanal (Qua 08:00)');
+  assert.equal(formatRegularityWindow(resolveInjectionSchedule(DEFAULTS)), '6–8 dias');
+});
+
+test('normalizeInjectionScheduleSettings limpa dias e fixa o início do intervalo', () => {
+  const weekly = normalizeInjectionScheduleSettings({ injectionDaysOfWeek: [4, '1', 9, 4] }, '2024-06-30');
+  assert.deepEqual(weekly.injectionDaysOfWeek, [1, 4]);
+  assert.equal(weekly.injectionDayOfWeek, 1);
+  assert.equal(weekly.injectionIntervalStartDate, '');
+
+  const interval = normalizeInjectionScheduleSettings({ injectionScheduleMode: 'interval', injectionIntervalDays: 500 }, '2024-06-30');
+  assert.equal(interval.injectionIntervalDays, 60);
+  assert.equal(interval.injectionIntervalStartDate, '2024-06-30');
+});
+
+test('duas vezes por semana (seg/qui): checklist, regularidade e próxima aplicação', () => {
+  const cache = buildChecklistCacheFromData({ injections: [injection(at(2024, 6, 24))], measures: [{ dateISO: '2024-06-20' }] });
+  const nowDate = new Date(2024, 5, 27, 10, 0); // quinta
+  const thursday = buildChecklistForDate(new Date(2024, 5, 27), cache, monThu, nowDate);
+  assert.deepEqual(thursday.map((it) => [it.kind, it.status]), [['injection', 'pending']]);
+  assert.equal(buildChecklistForDate(new Date(2024, 5, 29), cache, monThu, nowDate).length, 0);
+
+  // seg -> qui (3 dias) -> seg (4 dias) -> qui (3 dias): todos no ritmo.
+  const inj = [at(2024, 6, 17), at(2024, 6, 20), at(2024, 6, 24), at(2024, 6, 27)].map(injection).sort(sortByDateTimeDesc);
+  assert.equal(computeInjectionRegularity(inj, monThu).onTimeRate, 1);
+  // Na agenda semanal os mesmos intervalos ficam fora de 6–8 dias.
+  assert.equal(computeInjectionRegularity(inj, DEFAULTS).onTimeRate, 0);
+
+  const next = computeNextInjectionAfter(at(2024, 6, 27), resolveInjectionSchedule(monThu));
+  assert.equal(getLocalDateKey(next), '2024-07-01');
+});
+
+test('a cada 10 dias: ciclo recomeça na última aplicação registrada', () => {
+  const schedule = resolveInjectionSchedule(every10);
+  // Sem aplicações: conta da data de início.
+  assert.equal(isInjectionDueOn('2024-06-01', schedule, new Set()), true);
+  assert.equal(isInjectionDueOn('2024-06-11', schedule, new Set()), true);
+  assert.equal(isInjectionDueOn('2024-05-22', schedule, new Set()), false);
+
+  // Aplicou 2 dias antes (09/06): próximo passa a ser 19/06, não 21/06.
+  const keys = new Set(['2024-06-01', '2024-06-09']);
+  assert.equal(isInjectionDueOn('2024-06-11', schedule, keys), false);
+  assert.equal(isInjectionDueOn('2024-06-19', schedule, keys), true);
+  assert.equal(isInjectionDueOn('2024-06-29', schedule, keys), true);
+
+  const next = computeNextInjectionAfter(at(2024, 6, 9, 8, 30), schedule);
+  assert.equal(next.toString(), new Date(2024, 5, 19, 8, 30).toString());
+  assert.equal(formatRegularityWindow(schedule), '9–11 dias');
+});
+
+test('a cada 10 dias atravessando o horário de verão mantém dias de calendário', () => {
+  assert.equal(dayDiffKeys('2018-10-30', '2018-11-09'), 10);
+  const schedule = resolveInjectionSchedule({ ...every10, injectionIntervalStartDate: '2018-10-30' });
+  assert.equal(isInjectionDueOn('2018-11-09', schedule, new Set()), true);
+
+  const next = computeNextScheduledDateTime({ ...every10, injectionIntervalStartDate: '2018-10-30' }, new Date(2018, 9, 31, 10, 0));
+  assert.equal(getLocalDateKey(next), '2018-11-09');
+  assert.deepEqual([next.getHours(), next.getMinutes()], [9, 51]);
+});
+
+test('streak, adesão e consistência semanal seguem a agenda em intervalo', () => {
+  const data = { weights: [], injections: [at(2024, 6, 1), at(2024, 6, 11), at(2024, 6, 21)].map(injection) };
+  const cache = buildChecklistCacheFromData(data);
+  const nowDate = new Date(2024, 6, 1, 8, 0); // 01/07: próxima aplicação hoje, ainda pendente
+
+  assert.equal(countStreakInjections(cache, every10, 52, nowDate), 3);
+
+  // 30 dias (02/06..01/07): 11/06, 21/06 e 01/07 esperados; 2 feitos.
+  const adherence = computeScheduleAdherenceForRange(30, every10, data, nowDate);
+  assert.equal(adherence.expectedInj, 3);
+  assert.equal(adherence.doneInj, 2);
+
+  const weekly = computeWeeklyConsistency(buildChecklistCacheFromData({ injections: [injection(at(2024, 6, 24))] }), monThu, 0, new Date(2024, 5, 30, 20, 0));
+  assert.deepEqual(weekly.injKeys, ['2024-06-24', '2024-06-27']);
+  assert.equal(weekly.expectedInj, 2);
+  assert.equal(weekly.doneInj, 1);
+});
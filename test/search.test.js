@@ -0,0 +1,91 @@
+process.env.TZ = 'America/Sao_Paulo';
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  SEARCH_STORES,
+  hasSearchCriteria,
+  matchesSearch,
+  normalizeSearchQuery,
+  normalizeSearchText,
+  searchKeyRange,
+  searchRecords,
+  searchTypesFor
+} from '../core/search.js';
+
+const medications = [
+  { id: 'm1', name: 'Retatrutida' },
+  { id: 'm2', name: 'Semaglutida' }
+];
+
+const injections = [
+  { id: 'i1', medicationId: 'm1', medName: 'Retatrutida', dateTimeISO: '2024-06-01T11:00:00.000Z', doseMg: 2.5, site: 'abdomen_left', symptoms: { nausea: 7, reflux: 2 }, notes: 'Náusea forte à noite' },
+  { id: 'i2', medicationId: 'm1', medName: 'Retatrutida', dateTimeISO: '2024-06-08T11:00:00.000Z', doseMg: 5, site: 'thigh_right', symptoms: { nausea: 3 }, notes: '' },
+  { id: 'i3', medicationId: 'm2', medName: 'Semaglutida', dateTimeISO: '2024-06-15T11:00:00.000Z', doseMg: 0.5, site: 'abdomen_left', symptoms: { nausea: 6 }, notes: 'viagem' }
+];
+const weights = [
+  { id: 'w1', dateTimeISO: '2024-06-02T10:00:00.000Z', weightKg: 90, fasting: true, notes: 'depois da viagem' },
+  { id: 'w2', dateTimeISO: '2024-06-09T22:00:00.000Z', weightKg: 89.4, fasting: false, notes: '' }
+];
+const measures = [{ id: 'x1', dateISO: '2024-06-09', waistCm: 100, notes: 'Viagem de férias' }];
+const records = { injections, weights, measures };
+
+const ids = (result) => result.groups.map((g) => [g.store, g.records.map((r) => r.id)]);
+
+test('normalizeSearchText: ignora acentos e maiúsculas', () => {
+  assert.equal(normalizeSearchText('  Náusea FORTE '), 'nausea forte');
+});
+
+test('normalizeSearchQuery: datas e doses invertidas, sintomas zerados e tipos desconhecidos', () => {
+  const q = normalizeSearchQuery({ fromDate: '2024-06-30', toDate: '2024-06-01', doseMin: '5', doseMax: '2,5', symptomMin: { nausea: '6', reflux: '0' }, types: ['weights', 'profiles'], site: 'nariz', fasting: 'talvez' });
+  assert.deepEqual([q.fromDate, q.toDate], ['2024-06-01', '2024-06-30']);
+  assert.deepEqual([q.doseMin, q.doseMax], [2.5, 5]);
+  assert.deepEqual(q.symptomMin, { nausea: 6 });
+  assert.deepEqual(q.types, ['weights']);
+  assert.equal(q.site, '');
+  assert.equal(q.fasting, '');
+  assert.deepEqual(normalizeSearchQuery().types, SEARCH_STORES);
+  assert.equal(hasSearchCriteria(normalizeSearchQuery({ types: ['weights'] })), false);
+});
+
+test('texto: todos os termos, em observações e nome do medicamento, agrupado por tipo', () => {
+  const result = searchRecords(records, normalizeSearchQuery({ text: 'viagem' }), { medications });
+  assert.deepEqual(ids(result), [['injections', ['i3']], ['weights', ['w1']], ['measures', ['x1']]]);
+  assert.equal(result.total, 3);
+
+  assert.deepEqual(ids(searchRecords(records, normalizeSearchQuery({ text: 'nausea noite' }), { medications }))[0], ['injections', ['i1']]);
+  assert.deepEqual(ids(searchRecords(records, normalizeSearchQuery({ text: 'sema' }), { medications }))[0], ['injections', ['i3']]);
+});
+
+test('filtros de aplicação deixam só aplicações; jejum deixa só pesagens', () => {
+  const nausea = normalizeSearchQuery({ symptomMin: { nausea: 6 } });
+  assert.deepEqual(searchTypesFor(nausea), ['injections']);
+  assert.deepEqual(ids(searchRecords(records, nausea, { medications })), [['injections', ['i3', 'i1']]]);
+
+  const q = normalizeSearchQuery({ medicationId: 'm1', doseMin: '3', site: 'thigh_right' });
+  assert.deepEqual(ids(searchRecords(records, q, { medications })), [['injections', ['i2']]]);
+
+  const fasting = normalizeSearchQuery({ fasting: 'no' });
+  assert.deepEqual(ids(searchRecords(records, fasting, { medications })), [['weights', ['w2']]]);
+
+  // Combinação impossível: nenhum tipo sobra.
+  assert.deepEqual(searchRecords(records, normalizeSearchQuery({ fasting: 'yes', site: 'abdomen_left' })).groups, []);
+});
+
+test('período em dias locais: vale o dia da pesagem no fuso do aparelho', () => {
+  const q = normalizeSearchQuery({ fromDate: '2024-06-09', toDate: '2024-06-09' });
+  // 22:00 UTC de 09/06 ainda é 09/06 em São Paulo (19:00).
+  assert.deepEqual(ids(searchRecords(records, q, { medications })), [['injections', []], ['weights', ['w2']], ['measures', ['x1']]]);
+  assert.deepEqual(searchKeyRange('weights', q), { lower: '2024-06-09T03:00:00.000Z', upper: '2024-06-10T03:00:00.000Z', upperOpen: true });
+  assert.deepEqual(searchKeyRange('measures', q), { lower: '2024-06-09', upper: '2024-06-09', upperOpen: false });
+  assert.ok(!matchesSearch('weights', weights[0], q));
+});
+
+test('searchRecords: limite por grupo mantém o total', () => {
+  const many = Array.from({ length: 250 }, (_, i) => ({ id: `w${i}`, dateTimeISO: new Date(Date.UTC(2024, 0, 1) + i * 3_600_000).toISOString(), weightKg: 90, notes: 'rotina' }));
+  const result = searchRecords({ weights: many }, normalizeSearchQuery({ text: 'rotina', types: ['weights'] }));
+  assert.equal(result.groups[0].total, 250);
+  assert.equal(result.groups[0].records.length, 100);
+  assert.equal(result.groups[0].records[0].id, 'w249');
+});
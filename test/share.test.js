@@ -0,0 +1,23 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { whatsappShareUrl } from '../core/share.js';
+
+const ANDROID = 'Mozilla/5.0 (Linux; Android 14; Pixel 8) AppleWebKit/537.36 Chrome/126.0 Mobile Safari/537.36';
+const IPHONE = 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_5 like Mac OS X) AppleWebKit/605.1.15 Mobile/15E148';
+const DESKTOP = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 Chrome/126.0 Safari/537.36';
+
+test('celular abre o app do WhatsApp (scheme nativo)', () => {
+  const text = 'Olá! Este é um teste do DoseCheck.';
+  assert.equal(whatsappShareUrl(text, ANDROID), `whatsapp://send?text=${encodeURIComponent(text)}`);
+  assert.ok(whatsappShareUrl(text, IPHONE).startsWith('whatsapp://send?text='));
+});
+
+test('desktop abre o WhatsApp Web', () => {
+  assert.equal(whatsappShareUrl('oi', DESKTOP), 'https://web.whatsapp.com/send?text=oi');
+});
+
+test('texto vazio/quebras de linha são codificados', () => {
+  assert.equal(whatsappShareUrl(null, DESKTOP), 'https://web.whatsapp.com/send?text=');
+  assert.equal(whatsappShareUrl('a\nb & c', DESKTOP), 'https://web.whatsapp.com/send?text=a%0Ab%20%26%20c');
+});
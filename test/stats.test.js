@@ -0,0 +1,154 @@
+process.env.TZ = 'America/Sao_Paulo';
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { DEFAULTS } from '../core/constants.js';
+import { buildChecklistCacheFromData } from '../core/checklist.js';
+import {
+  computeCommonSymptoms,
+  computeDoseHistory,
+  computeInjectionRegularity,
+  computeMeasuresDelta,
+  computeScheduleAdherenceForRange,
+  computeSymptomsAggregated,
+  computeWeeklyConsistency,
+  computeWeightDeltas,
+  computeWeightTrend,
+  countStreakInjections,
+  countStreakWeights,
+  sortByDateTimeDesc
+} from '../core/stats.js';
+
+const at = (y, m, d, hh = 8, mi = 0) => new Date(y, m - 1, d, hh, mi).toISOString();
+const weight = (iso, weightKg) => ({ id: iso, dateTimeISO: iso, weightKg, fasting: true });
+const injection = (iso, extra = {}) => ({ id: iso, dateTimeISO: iso, doseMg: 2.5, site: 'abdomen_right', symptoms: {}, ...extra });
+
+// Agenda padrão: pesagem seg/qua/sex, aplicação sábado.
+const settings = { ...DEFAULTS };
+
+test('computeWeightDeltas compara com o peso mais próximo antes de 7/14/30 dias', () => {
+  const weightsDesc = [
+    weight(at(2024, 6, 30), 90.0),
+    weight(at(2024, 6, 23), 91.0),
+    weight(at(2024, 6, 16, 9), 92.5), // depois do alvo de 14 dias (08:00) -> ignorado
+    weight(at(2024, 6, 15), 93.0),
+    weight(at(2024, 5, 25), 95.0)
+  ];
+  const r = computeWeightDeltas(weightsDesc);
+  assert.equal(r.last.weightKg, 90);
+  assert.equal(r.d7, -1);
+  assert.equal(r.d14, -3);
+  assert.equal(r.d30, -5);
+
+  assert.deepEqual(computeWeightDeltas([]), { last: null, d7: null, d14: null, d30: null, lastDate: null });
+});
+
+test('computeInjectionRegularity: intervalos de 6–8 dias contam como "no ritmo"', () => {
+  const inj = [at(2024, 6, 1), at(2024, 6, 8), at(2024, 6, 15), at(2024, 6, 26)].map((iso) => injection(iso));
+  const r = computeInjectionRegularity([...inj].sort(sortByDateTimeDesc));
+  assert.equal(r.count, 4);
+  assert.equal(r.onTimeRate, 2 / 3);
+  assert.ok(Math.abs(r.meanDays - 25 / 3) < 1e-9);
+
+  assert.equal(computeInjectionRegularity([inj[0]]).onTimeRate, null);
+});
+
+test('computeInjectionRegularity: semana com troca de horário (167h) continua no ritmo', () => {
+  const inj = [injection(at(2018, 11, 3, 9, 51)), injection(at(2018, 11, 10, 9, 51))];
+  assert.equal(computeInjectionRegularity(inj).onTimeRate, 1);
+});
+
+test('computeWeightTrend calcula delta e média por semana', () => {
+  const r = computeWeightTrend([weight(at(2024, 6, 29), 88), weight(at(2024, 6, 1), 92)]);
+  assert.equal(r.deltaKg, -4);
+  assert.equal(r.perWeekKg, -1);
+  assert.match(r.notes, /queda/);
+  assert.equal(computeWeightTrend([weight(at(2024, 6, 1), 92)]).deltaKg, null);
+});
+
+test('computeMeasuresDelta compara só campos presentes no início e no fim', () => {
+  const r = computeMeasuresDelta([
+    { dateISO: '2024-06-30', waistCm: 95, hipCm: 100, neckCm: null },
+    { dateISO: '2024-06-01', waistCm: 100, hipCm: 103, neckCm: 40 }
+  ]);
+  assert.deepEqual(r.deltas, { Cintura: -5, Quadril: -3 });
+});
+
+test('sintomas: médias, picos e top 2 (valores limitados a 0–10)', () => {
+  const inj = [
+    injection(at(2024, 6, 1), { symptoms: { nausea: 8, reflux: 2, appetite: 4 } }),
+    injection(at(2024, 6, 8), { symptoms: { nausea: 14, reflux: 4, appetite: 2 } })
+  ];
+  const common = computeCommonSymptoms(inj);
+  assert.equal(common.averages.nausea, 9);
+  assert.deepEqual(common.top.map((t) => t.key), ['nausea', 'reflux']);
+
+  const agg = computeSymptomsAggregated(inj);
+  assert.equal(agg.means.nausea, 9);
+  assert.equal(agg.peaks.nausea, 10);
+  assert.equal(agg.means.energy, 0);
+});
+
+test('computeDoseHistory lista só as mudanças de dose', () => {
+  const asc = [
+    injection(at(2024, 5, 4), { doseMg: 2 }),
+    injection(at(2024, 5, 11), { doseMg: 2 }),
+    injection(at(2024, 5, 18), { doseMg: 4 }),
+    injection(at(2024, 5, 25), { doseMg: 4 })
+  ];
+  assert.deepEqual(computeDoseHistory(asc).map((x) => x.doseMg), [2, 4]);
+
+  // Sem mudanças: mostra a última como "dose atual".
+  const same = computeDoseHistory(asc.slice(0, 2));
+  assert.deepEqual(same, [{ dateTimeISO: asc[1].dateTimeISO, doseMg: 2 }]);
+});
+
+// -----------------------------
+// Agenda com relógio fixo
+// -----------------------------
+
+// Domingo, 30/06/2024 20:00 -> semana de 24/06 (seg) a 30/06 (dom).
+const NOW = new Date(2024, 5, 30, 20, 0);
+
+test('computeWeeklyConsistency: pesagem = 1 ponto, aplicação = 2 pontos', () => {
+  const cache = buildChecklistCacheFromData({
+    weights: [weight(at(2024, 6, 24), 90), weight(at(2024, 6, 26), 89.5)], // seg + qua (faltou sex)
+    injections: [injection(at(2024, 6, 29, 9, 51))] // sábado
+  });
+  const r = computeWeeklyConsistency(cache, settings, 0, NOW);
+  assert.equal(r.expectedWeights, 3);
+  assert.equal(r.doneWeights, 2);
+  assert.equal(r.doneInj, 1);
+  assert.equal(r.pct, 80);
+  assert.equal(r.injKey, '2024-06-29');
+
+  const previous = computeWeeklyConsistency(cache, settings, 1, NOW);
+  assert.equal(previous.injKey, '2024-06-22');
+  assert.equal(previous.pct, 0);
+});
+
+test('computeScheduleAdherenceForRange conta os dias da agenda até hoje', () => {
+  const data = {
+    weights: [weight(at(2024, 6, 24), 90), weight(at(2024, 6, 26), 89), weight(at(2024, 6, 28), 88.5)],
+    injections: [injection(at(2024, 6, 22)), injection(at(2024, 6, 29))]
+  };
+  // 14 dias: 17/06 a 30/06 -> 6 pesagens esperadas e 2 aplicações.
+  const r = computeScheduleAdherenceForRange(14, settings, data, NOW);
+  assert.equal(r.expectedWeights, 6);
+  assert.equal(r.doneWeights, 3);
+  assert.equal(r.expectedInj, 2);
+  assert.equal(r.doneInj, 2);
+  assert.equal(r.pct, 70);
+});
+
+test('streaks contam para trás a partir do relógio informado', () => {
+  const cache = buildChecklistCacheFromData({
+    weights: [at(2024, 6, 28), at(2024, 6, 26), at(2024, 6, 24), at(2024, 6, 19)].map((iso) => weight(iso, 90)),
+    injections: [at(2024, 6, 29), at(2024, 6, 22), at(2024, 6, 8)].map((iso) => injection(iso))
+  });
+  // Sex 28, qua 26, seg 24 feitos; sex 21 faltou.
+  assert.equal(countStreakWeights(cache, settings, 120, NOW), 3);
+  // Sáb 29 e 22 feitos; 15 faltou.
+  assert.equal(countStreakInjections(cache, settings, 52, NOW), 2);
+});
@@ -0,0 +1,111 @@
+process.env.TZ = 'America/Sao_Paulo';
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { DEFAULTS } from '../core/constants.js';
+import { buildChecklistCacheFromData } from '../core/checklist.js';
+import {
+  buildLastNDaysSummary,
+  buildLocalInsights,
+  buildWeeklySummaryText,
+  createAiPrompt,
+  formatInsightsSummaryTextFromSummary,
+  mockAnalyze
+} from '../core/summary.js';
+
+const at = (y, m, d, hh = 8, mi = 0) => new Date(y, m - 1, d, hh, mi).toISOString();
+
+const NOW = new Date(2024, 5, 30, 20, 0); // domingo
+
+const data = {
+  injections: [
+    { id: 'i1', dateTimeISO: at(2024, 6, 15, 9, 51), medName: 'Retatrutida', doseMg: 2, site: 'abdomen_right', symptoms: { nausea: 6, reflux: 2 } },
+    { id: 'i2', dateTimeISO: at(2024, 6, 22, 9, 51), medName: 'Retatrutida', doseMg: 2, site: 'abdomen_left', symptoms: { nausea: 4, reflux: 2 } },
+    { id: 'i3', dateTimeISO: at(2024, 6, 29, 9, 51), medName: 'Retatrutida', doseMg: 4, site: 'thigh_right', symptoms: { nausea: 8, reflux: 6 } },
+    { id: 'old', dateTimeISO: at(2024, 4, 1), medName: 'Outra', doseMg: 1, site: 'thigh_left', symptoms: {} }
+  ],
+  weights: [
+    { id: 'w1', dateTimeISO: at(2024, 6, 3), weightKg: 94, fasting: true },
+    { id: 'w2', dateTimeISO: at(2024, 6, 24), weightKg: 91, fasting: true },
+    { id: 'w3', dateTimeISO: at(2024, 6, 28), weightKg: 90.5, fasting: false }
+  ],
+  measures: [
+    { id: 'm1', dateISO: '2024-06-05', waistCm: 100, hipCm: 110, neckCm: 40 },
+    { id: 'm2', dateISO: '2024-06-26', waistCm: 97, hipCm: 108, neckCm: 39.5 }
+  ]
+};
+
+const settings = { ...DEFAULTS, patientName: 'Ana', patientBirthDate: '1980-07-01' };
+
+test('buildLastNDaysSummary filtra pelo período a partir do relógio informado', () => {
+  const s = buildLastNDaysSummary(30, data, NOW);
+  assert.equal(s.periodDays, 30);
+  assert.equal(s.medicationName, 'Retatrutida');
+  assert.equal(s.injections.count, 3);
+  assert.equal(s.injections.onTimeRate, 1);
+  assert.equal(s.weight.startKg, 94);
+  assert.equal(s.weight.endKg, 90.5);
+  assert.equal(s.measures.deltaByField.Cintura, -3);
+  assert.equal(s.last.injection.doseMg, 4);
+  assert.equal(s.last.weight.fasting, false);
+
+  // Mesmos dados, "agora" 60 dias depois: nada no período.
+  const later = buildLastNDaysSummary(30, data, new Date(2024, 7, 29));
+  assert.equal(later.injections.count, 0);
+  assert.equal(later.last.weight, null);
+});
+
+test('formatInsightsSummaryTextFromSummary calcula a idade pelo relógio informado', () => {
+  const s = buildLastNDaysSummary(30, data, NOW);
+  const text = formatInsightsSummaryTextFromSummary(s, settings, NOW);
+  assert.match(text, /^Resumo \(últimos 30 dias\) — DoseCheck/);
+  assert.match(text, /Paciente: Ana \(Nasc\.: 01\/07\/1980 • Idade: 43 anos\)/);
+  assert.match(text, /Peso início → fim: 94,0 → 90,5 kg/);
+  assert.match(text, /Referência oficial: não informada/);
+
+  const nextDay = formatInsightsSummaryTextFromSummary(s, settings, new Date(2024, 6, 1, 8, 0));
+  assert.match(nextDay, /Idade: 44 anos/);
+});
+
+test('buildWeeklySummaryText usa a semana seg–dom do relógio informado', () => {
+  const cache = buildChecklistCacheFromData(data);
+  const text = buildWeeklySummaryText(cache, settings, 0, NOW);
+  const lines = text.split('\n');
+  assert.equal(lines[0], 'Semana 24/06/2024–30/06/2024');
+  assert.ok(lines.includes('Peso: 91,0 kg → 90,5 kg (-0,5 kg)'));
+  assert.ok(lines.includes('Pesagens na semana: 2'));
+  assert.ok(lines.some((l) => l.startsWith('Aplicação: feita • 29/06/2024 09:51 • Coxa (direita) • 4,0 mg')));
+
+  const previous = buildWeeklySummaryText(cache, settings, 1, NOW);
+  assert.ok(previous.startsWith('Semana 17/06/2024–23/06/2024'));
+  assert.ok(previous.includes('Peso: sem dados suficientes na semana'));
+});
+
+test('buildLocalInsights aponta pesagens faltando na semana atual', () => {
+  const cache = buildChecklistCacheFromData(data);
+  // Segunda 01/07 à noite: nova semana, só a pesagem de segunda esperada até agora.
+  const mondayItems = buildLocalInsights(cache, settings, new Date(2024, 6, 1, 20, 0));
+  assert.ok(mondayItems.some((it) => it.title === 'Rotina de pesagem'));
+
+  const sundayItems = buildLocalInsights(cache, settings, NOW);
+  assert.ok(!sundayItems.some((it) => it.title === 'Rotina de pesagem'));
+});
+
+test('createAiPrompt inclui o resumo e a referência oficial quando informada', () => {
+  const s = buildLastNDaysSummary(30, data, NOW);
+  const withoutRef = createAiPrompt(s, settings);
+  assert.match(withoutRef, /Referência oficial do medicamento: não fornecida/);
+  assert.ok(withoutRef.includes(JSON.stringify(s, null, 2)));
+
+  const withRef = createAiPrompt(s, { ...settings, medRefUrl: 'https://exemplo.org/bula', medOfficialText: 'x'.repeat(4000) });
+  assert.match(withRef, /- Link: https:\/\/exemplo\.org\/bula/);
+  assert.ok(withRef.includes(`${'x'.repeat(3500)}…`));
+});
+
+test('mockAnalyze devolve cards e aviso não-médico', () => {
+  const r = mockAnalyze(buildLastNDaysSummary(30, data, NOW));
+  assert.equal(r.cards.length, 5);
+  assert.equal(r.cards[0].title, 'Regularidade');
+  assert.match(r.disclaimer, /não é orientação médica/);
+});
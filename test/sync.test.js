@@ -0,0 +1,213 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  SYNC_FORMAT,
+  SYNC_SETTINGS_ID,
+  SYNC_SETTINGS_STORE,
+  bumpRevision,
+  buildSyncEntries,
+  buildSyncPackage,
+  compareRevisions,
+  mergeRevisions,
+  planSync,
+  syncStorageKey,
+  touchSyncMeta,
+  validateSyncPackage
+} from '../core/sync.js';
+
+// -----------------------------
+// Aparelho em memória (mesmo fluxo do app: put/del avançam a revisão, receber aplica o plano)
+// -----------------------------
+
+function device(id, profileId) {
+  return { id, profileId, records: { medications: new Map(), inventory: new Map(), injections: new Map(), weights: new Map(), measures: new Map() }, settings: null, metas: new Map(), clock: 0 };
+}
+
+function tick(dev) {
+  dev.clock += 1;
+  return new Date(Date.UTC(2024, 5, 1, 12, dev.clock));
+}
+
+function touch(dev, store, id, deleted = false) {
+  const key = syncStorageKey(store, id, dev.profileId);
+  dev.metas.set(key, touchSyncMeta(dev.metas.get(key), { store, id, profileId: dev.profileId, deviceId: dev.id, deleted }, tick(dev)));
+}
+
+function put(dev, store, rec) {
+  dev.records[store].set(rec.id, { ...rec, profileId: dev.profileId });
+  touch(dev, store, rec.id);
+}
+
+function remove(dev, store, id) {
+  dev.records[store].delete(id);
+  touch(dev, store, id, true);
+}
+
+function saveSettings(dev, settings) {
+  dev.settings = { ...(dev.settings || {}), ...settings };
+  touch(dev, SYNC_SETTINGS_STORE, SYNC_SETTINGS_ID);
+}
+
+function entriesOf(dev) {
+  const records = Object.fromEntries(Object.entries(dev.records).map(([store, map]) => [store, [...map.values()]]));
+  return buildSyncEntries({ records, settings: dev.settings, metas: [...dev.metas.values()] });
+}
+
+function receive(dev, from) {
+  const pkg = validateSyncPackage(JSON.parse(JSON.stringify(buildSyncPackage({ deviceId: from.id, profile: { id: from.profileId, name: 'Ana' }, entries: entriesOf(from) }))));
+  const { apply, stats } = planSync(entriesOf(dev), pkg.entries);
+  for (const item of apply) {
+    if (item.store === SYNC_SETTINGS_STORE) dev.settings = item.record;
+    else if (item.deleted) dev.records[item.store].delete(item.id);
+    else dev.records[item.store].set(item.id, { ...item.record, profileId: dev.profileId });
+    const key = syncStorageKey(item.store, item.id, dev.profileId);
+    dev.metas.set(key, { key, store: item.store, recordId: item.id, profileId: dev.profileId, ...item.meta, deleted: item.deleted });
+  }
+  return stats;
+}
+
+function contentOf(dev) {
+  const strip = ({ profileId, ...rest }) => rest;
+  return {
+    weights: [...dev.records.weights.values()].map(strip).sort((a, b) => a.id.localeCompare(b.id)),
+    injections: [...dev.records.injections.values()].map(strip).sort((a, b) => a.id.localeCompare(b.id)),
+    settings: dev.settings
+  };
+}
+
+// -----------------------------
+// Vetores de revisão
+// -----------------------------
+
+test('compareRevisions: igual, à frente, atrás e concorrente', () => {
+  assert.equal(compareRevisions({}, {}), 'equal');
+  assert.equal(compareRevisions({ a: 2 }, { a: 2 }), 'equal');
+  assert.equal(compareRevisions({ a: 2, b: 1 }, { a: 2 }), 'newer');
+  assert.equal(compareRevisions({ a: 1 }, { a: 2 }), 'older');
+  assert.equal(compareRevisions({ a: 2 }, { a: 1, b: 1 }), 'concurrent');
+});
+
+test('bumpRevision/mergeRevisions: contador por aparelho e união pelo máximo', () => {
+  assert.deepEqual(bumpRevision(undefined, 'a'), { a: 1 });
+  assert.deepEqual(bumpRevision({ a: 1, b: 3 }, 'a'), { a: 2, b: 3 });
+  assert.deepEqual(mergeRevisions({ a: 2, b: 1 }, { b: 4, c: 1 }), { a: 2, b: 4, c: 1 });
+});
+
+test('syncStorageKey: configurações uma por perfil; registros pelo id', () => {
+  assert.equal(syncStorageKey('weights', 'w1', 'p1'), 'weights:w1');
+  assert.equal(syncStorageKey(SYNC_SETTINGS_STORE, SYNC_SETTINGS_ID, 'p1'), 'settings:p1');
+});
+
+// -----------------------------
+// Convergência
+// -----------------------------
+
+test('registros novos dos dois lados chegam ao outro aparelho', () => {
+  const phone = device('phone', 'p1');
+  const laptop = device('laptop', 'default');
+  put(phone, 'weights', { id: 'w1', dateTimeISO: '2024-06-01T10:00:00.000Z', weightKg: 90 });
+  put(laptop, 'injections', { id: 'i1', dateTimeISO: '2024-06-01T12:00:00.000Z', doseMg: 2.5 });
+
+  assert.equal(receive(laptop, phone).received, 1);
+  assert.equal(receive(phone, laptop).received, 1);
+  assert.deepEqual(contentOf(phone), contentOf(laptop));
+  assert.equal(laptop.records.weights.get('w1').profileId, 'default');
+});
+
+test('exclusão viaja como lápide e não volta na sincronização seguinte', () => {
+  const phone = device('phone', 'p1');
+  const laptop = device('laptop', 'p1');
+  put(phone, 'weights', { id: 'w1', dateTimeISO: '2024-06-01T10:00:00.000Z', weightKg: 90 });
+  receive(laptop, phone);
+
+  remove(laptop, 'weights', 'w1');
+  const stats = receive(phone, laptop);
+  assert.equal(stats.deleted, 1);
+  assert.equal(phone.records.weights.size, 0);
+
+  // O telefone ainda manda a lápide (mesma revisão): nada muda no laptop.
+  const back = receive(laptop, phone);
+  assert.equal(back.received, 0);
+  assert.equal(laptop.records.weights.size, 0);
+  assert.equal(entriesOf(phone).filter((e) => e.deleted).length, 1);
+});
+
+test('lápide chega a um aparelho que nunca teve o registro (repassa para um terceiro)', () => {
+  const a = device('a', 'p');
+  const b = device('b', 'p');
+  const c = device('c', 'p');
+  put(a, 'weights', { id: 'w1', dateTimeISO: '2024-06-01T10:00:00.000Z', weightKg: 90 });
+  receive(c, a);
+  remove(a, 'weights', 'w1');
+  receive(b, a);
+  receive(c, b);
+  assert.equal(c.records.weights.size, 0);
+});
+
+test('edição dos dois lados: vence a mais recente e os dois convergem', () => {
+  const phone = device('phone', 'p1');
+  const laptop = device('laptop', 'p1');
+  put(phone, 'weights', { id: 'w1', dateTimeISO: '2024-06-01T10:00:00.000Z', weightKg: 90 });
+  receive(laptop, phone);
+
+  put(phone, 'weights', { id: 'w1', dateTimeISO: '2024-06-01T10:00:00.000Z', weightKg: 89.5 });
+  laptop.clock = 10; // edição do laptop é depois
+  put(laptop, 'weights', { id: 'w1', dateTimeISO: '2024-06-01T10:00:00.000Z', weightKg: 89.8 });
+
+  const first = receive(phone, laptop);
+  assert.equal(first.conflicts, 1);
+  assert.equal(phone.records.weights.get('w1').weightKg, 89.8);
+
+  receive(laptop, phone);
+  assert.deepEqual(contentOf(phone), contentOf(laptop));
+  assert.deepEqual(phone.metas.get('weights:w1').rev, laptop.metas.get('weights:w1').rev);
+});
+
+test('editar de um lado e apagar do outro: a ação mais recente vale nos dois', () => {
+  const phone = device('phone', 'p1');
+  const laptop = device('laptop', 'p1');
+  put(phone, 'weights', { id: 'w1', dateTimeISO: '2024-06-01T10:00:00.000Z', weightKg: 90 });
+  receive(laptop, phone);
+
+  remove(phone, 'weights', 'w1');
+  laptop.clock = 10;
+  put(laptop, 'weights', { id: 'w1', dateTimeISO: '2024-06-01T10:00:00.000Z', weightKg: 91 });
+
+  receive(phone, laptop);
+  receive(laptop, phone);
+  assert.equal(phone.records.weights.get('w1').weightKg, 91);
+  assert.deepEqual(contentOf(phone), contentOf(laptop));
+});
+
+test('configurações convergem como uma entrada única', () => {
+  const phone = device('phone', 'p1');
+  const laptop = device('laptop', 'default');
+  saveSettings(phone, { injectionTime: '08:00', patientName: 'Ana' });
+  receive(laptop, phone);
+  assert.equal(laptop.settings.injectionTime, '08:00');
+
+  saveSettings(laptop, { injectionTime: '21:00' });
+  receive(phone, laptop);
+  assert.deepEqual(phone.settings, { injectionTime: '21:00', patientName: 'Ana' });
+  assert.ok(phone.metas.has('settings:p1'));
+});
+
+test('mesmo registro sem revisão nos dois lados (cópia por backup) não vira conflito', () => {
+  const phone = device('phone', 'p1');
+  const laptop = device('laptop', 'p1');
+  phone.records.weights.set('w1', { id: 'w1', profileId: 'p1', weightKg: 90 });
+  laptop.records.weights.set('w1', { id: 'w1', profileId: 'p1', weightKg: 90 });
+  const stats = receive(laptop, phone);
+  assert.deepEqual([stats.received, stats.conflicts, stats.unchanged], [0, 0, 1]);
+});
+
+test('validateSyncPackage: formato, versão e entradas', () => {
+  const pkg = buildSyncPackage({ deviceId: 'a', profile: { id: 'p', name: 'Ana' }, entries: [] }, new Date('2024-06-01T00:00:00Z'));
+  assert.equal(pkg.format, SYNC_FORMAT);
+  assert.equal(validateSyncPackage(pkg), pkg);
+  assert.throws(() => validateSyncPackage({ version: 1 }), /não é uma sincronização/);
+  assert.throws(() => validateSyncPackage({ ...pkg, version: 9 }), /versão 9/);
+  assert.throws(() => validateSyncPackage({ ...pkg, entries: [{ store: 'profiles', id: 'x', rev: {} }] }), /inválido/);
+  assert.throws(() => validateSyncPackage({ ...pkg, entries: [{ store: 'weights', id: 'x', rev: {}, deleted: false, record: null }] }), /inválido/);
+});
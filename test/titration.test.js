@@ -0,0 +1,113 @@
+process.env.TZ = 'America/Sao_Paulo';
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { DEFAULTS } from '../core/constants.js';
+import { normalizeMedication } from '../core/medications.js';
+import { buildClinicalReportInnerHtml } from '../core/report.js';
+import {
+  compareDosesWithPlan,
+  describeTitrationStatus,
+  formatTitrationPlan,
+  formatTitrationStepsInput,
+  normalizeTitrationPlan,
+  parseTitrationSteps,
+  plannedDoseOn,
+  resolveTitrationStep
+} from '../core/titration.js';
+
+const at = (y, m, d, hh = 9, mi = 0) => new Date(y, m - 1, d, hh, mi).toISOString();
+
+// 2,5 mg por 4 semanas desde 01/06/2024, 5 mg por 4 semanas, 7,5 mg de manutenção.
+const plan = normalizeTitrationPlan({ startDate: '2024-06-01', steps: [{ dose: 2.5, weeks: 4 }, { dose: 5, weeks: 4 }, { dose: 7.5 }] });
+
+test('parseTitrationSteps aceita vírgula decimal, setas e duração por degrau', () => {
+  assert.deepEqual(parseTitrationSteps('2,5 → 5 → 7,5'), [{ dose: 2.5, weeks: 4 }, { dose: 5, weeks: 4 }, { dose: 7.5, weeks: 4 }]);
+  assert.deepEqual(parseTitrationSteps('2.5 mg x2; 5mg x 6 sem; 10', 3), [{ dose: 2.5, weeks: 2 }, { dose: 5, weeks: 6 }, { dose: 10, weeks: 3 }]);
+  assert.deepEqual(parseTitrationSteps('  '), []);
+  assert.throws(() => parseTitrationSteps('2,5 → muito'), /inválido/);
+
+  assert.equal(formatTitrationStepsInput(plan), '2,5 x4 → 5 x4 → 7,5');
+  assert.deepEqual(parseTitrationSteps(formatTitrationStepsInput(plan)).map((s) => s.dose), [2.5, 5, 7.5]);
+  assert.equal(formatTitrationPlan(plan, 'mg'), '2,5 mg (4 sem) → 5,0 mg (4 sem) → 7,5 mg (manutenção)');
+});
+
+test('normalizeTitrationPlan descarta planos sem início ou sem dose', () => {
+  assert.equal(normalizeTitrationPlan(null), null);
+  assert.equal(normalizeTitrationPlan({ startDate: '01/06/2024', steps: [{ dose: 2.5 }] }), null);
+  assert.equal(normalizeTitrationPlan({ startDate: '2024-06-01', steps: [{ dose: 0 }, { dose: 'x' }] }), null);
+  assert.deepEqual(normalizeTitrationPlan({ startDate: '2024-06-01', steps: [{ dose: '2,5', weeks: 0 }] }).steps, [{ dose: 2.5, weeks: 4 }]);
+
+  assert.equal(normalizeMedication({ name: 'Retatrutida' }, { makeId: () => 'm1' }).titration, null);
+  assert.deepEqual(normalizeMedication({ name: 'Retatrutida', titration: plan }, { makeId: () => 'm1' }).titration, plan);
+});
+
+test('resolveTitrationStep: degrau vigente, semanas restantes e manutenção', () => {
+  const before = resolveTitrationStep(plan, '2024-05-30');
+  assert.equal(before.index, -1);
+  assert.equal(before.daysRemaining, 2);
+  assert.equal(before.next.dose, 2.5);
+
+  // 4 semanas após 01/06 = 29/06 (primeiro dia do degrau 2).
+  const first = resolveTitrationStep(plan, '2024-06-28');
+  assert.deepEqual([first.index, first.endKey, first.daysRemaining, first.weeksRemaining], [0, '2024-06-29', 1, 1]);
+  const second = resolveTitrationStep(plan, '2024-06-29');
+  assert.deepEqual([second.index, second.step.dose, second.weeksRemaining, second.next.dose, second.nextStartKey], [1, 5, 4, 7.5, '2024-07-27']);
+
+  const maintenance = resolveTitrationStep(plan, '2025-01-01');
+  assert.deepEqual([maintenance.index, maintenance.maintenance, maintenance.endKey, maintenance.next], [2, true, null, null]);
+
+  assert.equal(plannedDoseOn(plan, '2024-05-31'), null);
+  assert.equal(plannedDoseOn(plan, '2024-07-27'), 7.5);
+});
+
+test('resolveTitrationStep atravessa o horário de verão sem perder um dia', () => {
+  // Horário de verão começou em 04/11/2018 em São Paulo.
+  const dst = normalizeTitrationPlan({ startDate: '2018-10-27', steps: [{ dose: 1, weeks: 2 }, { dose: 2 }] });
+  assert.equal(plannedDoseOn(dst, '2018-11-09'), 1);
+  assert.equal(plannedDoseOn(dst, '2018-11-10'), 2);
+  assert.equal(resolveTitrationStep(dst, '2018-11-03').daysRemaining, 7);
+});
+
+test('describeTitrationStatus resume o degrau para o dashboard', () => {
+  const status = describeTitrationStatus(plan, '2024-07-10', 'mg');
+  assert.equal(status.title, 'Degrau 2 de 3 • 5,0 mg');
+  assert.equal(status.detail, 'faltam 3 semanas • próxima: 7,5 mg em 27/07/2024');
+  assert.equal(describeTitrationStatus(plan, '2024-08-01').detail, 'manutenção');
+  assert.equal(describeTitrationStatus(plan, '2024-05-20').title, 'Começa em 01/06/2024');
+  assert.equal(describeTitrationStatus(null, '2024-05-20'), null);
+});
+
+test('planejado × registrado: comparação por aplicação e tabela no relatório', () => {
+  const injections = [
+    { id: 'a', dateTimeISO: at(2024, 5, 25), medicationId: 'reta', doseMg: 2 },
+    { id: 'b', dateTimeISO: at(2024, 6, 1), medicationId: 'reta', doseMg: 2.5 },
+    { id: 'c', dateTimeISO: at(2024, 6, 29), medicationId: 'reta', doseMg: 2.5 },
+    { id: 'd', dateTimeISO: at(2024, 7, 6), medicationId: 'reta', doseMg: 7.5 },
+    { id: 'e', dateTimeISO: at(2024, 7, 13), medicationId: 'reta' }
+  ];
+  assert.deepEqual(
+    compareDosesWithPlan(injections, plan).map((c) => [c.injectionId, c.plannedDose, c.status]),
+    [['a', null, 'unplanned'], ['b', 2.5, 'ok'], ['c', 5, 'below'], ['d', 5, 'above']]
+  );
+
+  const reta = normalizeMedication({ id: 'reta', name: 'Retatrutida', titration: plan }, { profileId: 'default' });
+  const html = buildClinicalReportInnerHtml({
+    rangeDays: 90,
+    data: { injections, weights: [], measures: [], medications: [reta] },
+    settings: DEFAULTS,
+    nowDate: new Date(2024, 6, 14, 12, 0)
+  });
+  assert.match(html, /Titulação planejada:.*2,5 mg \(4 sem\) → 5,0 mg \(4 sem\) → 7,5 mg \(manutenção\) desde 01\/06\/2024/);
+  assert.match(html, /Titulação: planejado × registrado/);
+  assert.match(html, /<td class="cr-num">2\/3<\/td>\s*<td class="cr-num">5,0 mg<\/td>\s*<td class="cr-num">2,5 mg<\/td>\s*<td>abaixo do plano<\/td>/);
+
+  const withoutPlan = buildClinicalReportInnerHtml({
+    rangeDays: 90,
+    data: { injections, weights: [], measures: [], medications: [{ ...reta, titration: null }] },
+    settings: DEFAULTS,
+    nowDate: new Date(2024, 6, 14, 12, 0)
+  });
+  assert.ok(!withoutPlan.includes('planejado × registrado'));
+});
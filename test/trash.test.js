@@ -0,0 +1,87 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  TRASH_RETENTION_DAYS_DEFAULT,
+  buildTrashItem,
+  expiredTrashItems,
+  normalizeTrashRetentionDays,
+  sortTrashItems,
+  trashExpiresAt,
+  trashItemLabel,
+  trashItemsInBatch
+} from '../core/trash.js';
+
+const deletedAt = new Date('2024-06-01T12:00:00.000Z');
+const weight = { id: 'w1', profileId: 'p1', dateTimeISO: '2024-05-30T10:00:00.000Z', weightKg: 90.4, fasting: true };
+
+test('buildTrashItem: chave por store/id, lote próprio e cópia do registro', () => {
+  const item = buildTrashItem({ store: 'weights', record: weight, profileId: 'p1' }, deletedAt);
+  assert.deepEqual(item, {
+    key: 'weights:w1',
+    store: 'weights',
+    recordId: 'w1',
+    profileId: 'p1',
+    record: weight,
+    deletedAtISO: '2024-06-01T12:00:00.000Z',
+    batchId: 'weights:w1'
+  });
+});
+
+test('buildTrashItem: configurações usam o id do perfil e o lote; store desconhecido é recusado', () => {
+  const item = buildTrashItem({ store: 'settings', record: { injectionTime: '08:00' }, profileId: 'p1', batchId: 'wipe:1' }, deletedAt);
+  assert.equal(item.key, 'settings:p1:wipe:1');
+  assert.equal(item.recordId, 'p1');
+  assert.equal(item.batchId, 'wipe:1');
+  assert.throws(() => buildTrashItem({ store: 'profiles', record: { id: 'x' }, profileId: 'p1' }), /sem lixeira/);
+  assert.throws(() => buildTrashItem({ store: 'weights', record: {}, profileId: 'p1' }), /sem id/);
+});
+
+test('dois "Apagar tudo": restaurar o primeiro traz as configurações dele', () => {
+  // Lixeira como o store: gravar com a mesma chave substitui.
+  const trash = new Map();
+  const wipe = (batchId, settings, records) => {
+    for (const record of records) trash.set(`weights:${record.id}`, buildTrashItem({ store: 'weights', record, profileId: 'p1', batchId }, deletedAt));
+    const item = buildTrashItem({ store: 'settings', record: settings, profileId: 'p1', batchId }, deletedAt);
+    trash.set(item.key, item);
+  };
+  wipe('wipe:1', { injectionTime: '08:00', patientName: 'Ana' }, [weight]);
+  wipe('wipe:2', { injectionTime: '21:00' }, [{ ...weight, id: 'w2' }]);
+
+  const first = trashItemsInBatch([...trash.values()], 'wipe:1');
+  assert.deepEqual(first.map((i) => i.recordId).sort(), ['p1', 'w1']);
+  assert.deepEqual(first.find((i) => i.store === 'settings').record, { injectionTime: '08:00', patientName: 'Ana' });
+  assert.equal(trashItemsInBatch([...trash.values()], 'wipe:2').find((i) => i.store === 'settings').record.injectionTime, '21:00');
+});
+
+test('expiredTrashItems: vence exatamente no prazo configurado', () => {
+  const item = buildTrashItem({ store: 'weights', record: weight, profileId: 'p1' }, deletedAt);
+  assert.equal(trashExpiresAt(item, 7).toISOString(), '2024-06-08T12:00:00.000Z');
+  assert.deepEqual(expiredTrashItems([item], 7, new Date('2024-06-08T11:59:00.000Z')), []);
+  assert.deepEqual(expiredTrashItems([item], 7, new Date('2024-06-08T12:00:00.000Z')), [item]);
+  assert.deepEqual(expiredTrashItems([item], 30, new Date('2024-06-20T00:00:00.000Z')), []);
+  assert.deepEqual(expiredTrashItems([{ ...item, deletedAtISO: 'x' }], 30, deletedAt).length, 1);
+});
+
+test('normalizeTrashRetentionDays: só 7, 30 ou 90', () => {
+  assert.equal(normalizeTrashRetentionDays('90'), 90);
+  assert.equal(normalizeTrashRetentionDays(15), TRASH_RETENTION_DAYS_DEFAULT);
+  assert.equal(normalizeTrashRetentionDays(undefined), TRASH_RETENTION_DAYS_DEFAULT);
+});
+
+test('sortTrashItems/trashItemsInBatch: recentes primeiro e lote do "Apagar tudo" junto', () => {
+  const wipeAt = new Date('2024-06-03T08:00:00.000Z');
+  const single = buildTrashItem({ store: 'weights', record: weight, profileId: 'p1' }, deletedAt);
+  const wipeInj = buildTrashItem({ store: 'injections', record: { id: 'i1', doseMg: 2.5 }, profileId: 'p1', batchId: 'wipe:a' }, wipeAt);
+  const wipeMed = buildTrashItem({ store: 'medications', record: { id: 'm1', name: 'Retatrutida' }, profileId: 'p1', batchId: 'wipe:a' }, wipeAt);
+
+  assert.deepEqual(sortTrashItems([single, wipeMed, wipeInj]).map((i) => i.key), ['injections:i1', 'medications:m1', 'weights:w1']);
+  assert.deepEqual(trashItemsInBatch([single, wipeMed, wipeInj], 'wipe:a').map((i) => i.key), ['medications:m1', 'injections:i1']);
+});
+
+test('trashItemLabel: tipo do registro e dado principal', () => {
+  assert.match(trashItemLabel(buildTrashItem({ store: 'weights', record: weight, profileId: 'p1' }, deletedAt)), /^Peso • .* • 90,4 kg$/);
+  assert.match(trashItemLabel({ store: 'injections', record: { medName: 'Retatrutida', doseMg: 2.5, dateTimeISO: weight.dateTimeISO } }), /^Aplicação • .* • Retatrutida 2,5 mg$/);
+  assert.equal(trashItemLabel({ store: 'medications', record: { name: 'Retatrutida' } }), 'Medicamento • Retatrutida');
+  assert.equal(trashItemLabel({ store: 'settings', record: {} }), 'Configurações do perfil');
+});
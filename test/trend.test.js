@@ -0,0 +1,132 @@
+process.env.TZ = 'America/Sao_Paulo';
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { buildChecklistCacheFromData } from '../core/checklist.js';
+import { buildClinicalReportInnerHtml } from '../core/report.js';
+import { computeWeightTrend } from '../core/stats.js';
+import { buildLastNDaysSummary, buildLocalInsights, mockAnalyze } from '../core/summary.js';
+import {
+  analyzeWeightTrend,
+  ewmaSeries,
+  fitLinearTrend,
+  tCritical95,
+  trendBandAt,
+  trendValueAt,
+  weightPoints
+} from '../core/trend.js';
+
+const DAY = 86_400_000;
+const at = (y, m, d, hh = 8) => new Date(y, m - 1, d, hh).toISOString();
+const NOW = new Date(2024, 5, 30, 12);
+const near = (a, b, eps = 1e-9) => Math.abs(a - b) < eps;
+
+// Uma pesagem por dia em junho (1–29), caindo 0,1 kg/dia a partir de 95 kg, com ±0,2 kg alternados.
+function noisyJune() {
+  return Array.from({ length: 29 }, (_, i) => ({
+    id: `w${i + 1}`,
+    dateTimeISO: at(2024, 6, i + 1),
+    weightKg: Math.round((95 - i * 0.1 + (i % 2 ? 0.2 : -0.2)) * 100) / 100
+  }));
+}
+
+test('tCritical95: t de Student com poucos graus de liberdade, normal acima de 30', () => {
+  assert.equal(tCritical95(1), 12.706);
+  assert.equal(tCritical95(10), 2.228);
+  assert.equal(tCritical95(30), 2.042);
+  assert.equal(tCritical95(200), 1.96);
+  assert.equal(tCritical95(0), Infinity);
+});
+
+test('ewmaSeries: meia-vida em dias, não em número de pesagens', () => {
+  const t0 = Date.UTC(2024, 5, 1);
+  // Uma semana depois (uma meia-vida) a média anda metade do caminho.
+  const week = ewmaSeries([{ t: t0, y: 90 }, { t: t0 + 7 * DAY, y: 92 }], 7);
+  assert.ok(near(week[1].smooth, 91));
+  // Três pesagens no mesmo instante não movem a média.
+  const sameDay = ewmaSeries([{ t: t0, y: 90 }, { t: t0, y: 95 }, { t: t0, y: 95 }], 7);
+  assert.equal(sameDay[2].smooth, 90);
+  // Ordena por data antes de suavizar.
+  assert.deepEqual(ewmaSeries([{ t: t0 + DAY, y: 1 }, { t: t0, y: 0 }]).map((p) => p.y), [0, 1]);
+});
+
+test('fitLinearTrend: reta exata, faixa vazia sem oscilação e mais larga longe do meio', () => {
+  const t0 = Date.UTC(2024, 5, 1);
+  const exact = fitLinearTrend([0, 1, 2, 3].map((d) => ({ t: t0 + d * DAY, y: 90 - d * 0.5 })));
+  assert.ok(near(exact.perWeekKg, -3.5));
+  assert.ok(near(trendValueAt(exact, t0 + 10 * DAY), 85));
+  assert.ok(near(exact.residualSd, 0));
+  const flatBand = trendBandAt(exact, t0);
+  assert.ok(near(flatBand.low, flatBand.high));
+
+  const noisy = fitLinearTrend(weightPoints(noisyJune()));
+  const mid = trendBandAt(noisy, new Date(at(2024, 6, 15)).getTime());
+  const edge = trendBandAt(noisy, new Date(at(2024, 6, 29)).getTime());
+  assert.ok(edge.high - edge.low > mid.high - mid.low);
+  assert.ok(noisy.perWeekLowKg < noisy.perWeekKg && noisy.perWeekKg < noisy.perWeekHighKg);
+
+  // Só 2 pontos: inclinação sem faixa; 1 ponto ou mesmo instante: sem reta.
+  const two = fitLinearTrend([{ t: t0, y: 90 }, { t: t0 + 7 * DAY, y: 89 }]);
+  assert.ok(near(two.perWeekKg, -1));
+  assert.equal(two.perWeekLowKg, null);
+  assert.equal(fitLinearTrend([{ t: t0, y: 90 }]), null);
+  assert.equal(fitLinearTrend([{ t: t0, y: 90 }, { t: t0, y: 91 }]), null);
+});
+
+test('analyzeWeightTrend: uma manhã inchada quase não muda a tendência', () => {
+  const weights = noisyJune();
+  const base = analyzeWeightTrend(weights);
+  assert.equal(base.n, 29);
+  assert.ok(Math.abs(base.perWeekKg - -0.7) < 0.05);
+  assert.equal(base.clear, true);
+
+  weights[weights.length - 1].weightKg += 2;
+  const bloated = analyzeWeightTrend(weights);
+  // Primeiro × último daria só -0,20 kg/sem.
+  const firstLast = (weights[28].weightKg - weights[0].weightKg) / 4;
+  assert.ok(firstLast > -0.3);
+  assert.ok(bloated.perWeekKg < -0.5);
+  // A média exponencial absorve só um décimo do salto (1 dia de 7 de meia-vida).
+  assert.ok(bloated.smoothedKg - base.smoothedKg < 0.2);
+  assert.equal(analyzeWeightTrend([]), null);
+});
+
+test('computeWeightTrend: média semanal pela reta, com faixa e nota de tendência incerta', () => {
+  const r = computeWeightTrend(noisyJune().reverse());
+  assert.ok(near(r.deltaKg, 92 - 94.8));
+  assert.ok(Math.abs(r.perWeekKg - -0.7) < 0.05);
+  assert.ok(r.perWeekLowKg < r.perWeekKg && r.perWeekHighKg > r.perWeekKg);
+  assert.match(r.notes, /queda/);
+
+  // Subiu 1 kg no fim, mas as pesagens oscilam muito: a direção ainda não é clara.
+  const shaky = [90, 92, 89.5, 92.5, 91].map((kg, i) => ({ dateTimeISO: at(2024, 6, 1 + i * 2), weightKg: kg }));
+  const u = computeWeightTrend(shaky);
+  assert.ok(u.perWeekKg >= 0.2);
+  assert.equal(u.clear, false);
+  assert.equal(u.notes, 'Tendência ainda incerta: as pesagens oscilam mais do que o peso mudou.');
+});
+
+test('platô pela reta: uma pesagem fora da curva não esconde o platô; queda contínua não é platô', () => {
+  const plateau = (weights) => buildLocalInsights(buildChecklistCacheFromData({ injections: [], weights, measures: [] }), {}, NOW)
+    .find((i) => i.title === 'Possível platô');
+  const flat = Array.from({ length: 10 }, (_, i) => ({ id: `p${i}`, dateTimeISO: at(2024, 6, 18 + i), weightKg: 90 + (i % 2) * 0.2 }));
+  flat[5].weightKg = 91.2;
+  assert.ok(plateau(flat));
+  assert.match(plateau(flat).insight, /tendência do peso mudou pouco \(< 0,3 kg\)/);
+
+  const falling = flat.map((w, i) => ({ ...w, weightKg: 92 - i * 0.1 }));
+  assert.equal(plateau(falling), undefined);
+});
+
+test('insights e relatório mostram a tendência com a faixa de 95% e o peso suavizado', () => {
+  const data = { weights: noisyJune(), injections: [], measures: [] };
+  const summary = buildLastNDaysSummary(30, data, NOW);
+  assert.ok(summary.weight.perWeekLowKg < summary.weight.perWeekHighKg);
+  const card = mockAnalyze(summary).cards.find((c) => c.title === 'Tendência de peso (30 dias)');
+  assert.match(card.action, /^Tendência por semana: -0,\d\d kg\/sem \(faixa de 95%: -0,\d\d kg\/sem a -0,\d\d kg\/sem\)\./);
+
+  const html = buildClinicalReportInnerHtml({ rangeDays: 30, patientName: 'Ana', data, nowDate: NOW });
+  assert.match(html, /Tendência semanal \(reta\):<\/span> <span class="cr-v">-0,\d\d kg\/sem \(faixa de 95%: /);
+  assert.match(html, /Peso suavizado \(média exponencial\):<\/span> <span class="cr-v">\d\d,\d kg/);
+});
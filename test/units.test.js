@@ -0,0 +1,142 @@
+process.env.TZ = 'America/Sao_Paulo';
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { buildChecklistCacheFromData } from '../core/checklist.js';
+import { buildImportRecords, detectImportUnit } from '../core/csv.js';
+import {
+  formatCm,
+  formatDeltaCm,
+  formatDeltaKg,
+  formatKg,
+  formatKgPerWeek,
+  formatLengthForInput,
+  formatWeightForInput,
+  formatWeightRange,
+  parseLengthInput,
+  parseWeightInput
+} from '../core/format.js';
+import { describeHistoryChanges } from '../core/history.js';
+import { i18n } from '../core/i18n.js';
+import { buildLocalInsights } from '../core/summary.js';
+import {
+  exportUnitHeaders,
+  kgToStoneParts,
+  kgToUnit,
+  toExportUnits,
+  unitToCm,
+  unitToKg,
+  units
+} from '../core/units.js';
+
+const LB = { weightUnit: 'lb', lengthUnit: 'in' };
+const ST = { weightUnit: 'st', lengthUnit: 'cm' };
+
+test('conversões: lb, st e in', () => {
+  assert.equal(unitToKg(200, 'lb'), 90.7185);
+  assert.equal(unitToKg(14, 'st'), 88.9041);
+  assert.equal(unitToCm(38, 'in'), 96.52);
+  assert.equal(unitToKg(82.55, 'kg'), 82.55);
+  assert.ok(Math.abs(kgToUnit(90.7185, 'lb') - 200) < 0.001);
+  assert.deepEqual(kgToStoneParts(88.9041), { st: 14, lb: 0 });
+  // 13 st 13,96 lb arredonda para 14 st 0,0 lb (e não "13 st 14,0 lb").
+  assert.deepEqual(kgToStoneParts(unitToKg(195.96, 'lb')), { st: 14, lb: 0 });
+});
+
+test('formatação na unidade do perfil; o padrão continua kg/cm', () => {
+  assert.equal(formatKg(82.5), '82,5 kg');
+  assert.equal(formatCm(95.5), '95,5 cm');
+  units.withUnits(LB, () => {
+    assert.equal(formatKg(82.5), '181,9 lb');
+    assert.equal(formatDeltaKg(-0.5), '-1,1 lb');
+    assert.equal(formatKgPerWeek(-0.45359237), '-1,00 lb/sem');
+    assert.equal(formatCm(96.52), '38,0 in');
+    assert.equal(formatDeltaCm(-2.54), '-1,0 in');
+    assert.equal(formatWeightRange(94, 90.5), '207,2 → 199,5 lb');
+  });
+  units.withUnits(ST, () => {
+    assert.equal(formatKg(88.9041), '14 st 0,0 lb');
+    assert.equal(formatDeltaKg(0.45359237), '+1,0 lb');
+    assert.equal(formatWeightRange(88.9041, null), '14 st 0,0 lb → —');
+  });
+  assert.equal(i18n.withLocale('en', () => units.withUnits(LB, () => formatKgPerWeek(0.45359237))), '+1.00 lb/wk');
+  assert.equal(units.weightUnit(), 'kg');
+});
+
+test('entrada em lb/st/in volta ao mesmo número e editar sem mudar não altera o gravado', () => {
+  units.withUnits(LB, () => {
+    const kg = parseWeightInput('181,3');
+    assert.equal(formatWeightForInput(kg), '181,3');
+    // 82,5 kg aparece como 181,9 lb: salvar sem mexer mantém 82,5 kg.
+    assert.equal(formatWeightForInput(82.5), '181,9');
+    assert.equal(parseWeightInput('181,9', { previousKg: 82.5 }), 82.5);
+    assert.notEqual(parseWeightInput('182', { previousKg: 82.5 }), 82.5);
+    // Muitas edições seguidas sem mudar o campo não acumulam arredondamento.
+    let stored = 82.5;
+    for (let i = 0; i < 20; i++) stored = parseWeightInput(formatWeightForInput(stored), { previousKg: stored });
+    assert.equal(stored, 82.5);
+
+    assert.equal(formatLengthForInput(95.5), '37,6');
+    assert.equal(parseLengthInput('37,6', { previousCm: 95.5 }), 95.5);
+    assert.equal(parseLengthInput('38'), 96.52);
+    assert.ok(Number.isNaN(parseWeightInput('abc')));
+  });
+  units.withUnits(ST, () => {
+    assert.equal(parseWeightInput('14 st 0'), unitToKg(196, 'lb'));
+    assert.equal(parseWeightInput('13 14'), unitToKg(196, 'lb'));
+    assert.equal(parseWeightInput('13st 7lb'), unitToKg(189, 'lb'));
+    assert.equal(parseWeightInput('14'), unitToKg(196, 'lb'));
+    assert.equal(formatWeightForInput(unitToKg(189, 'lb')), '13 st 7,0');
+    assert.equal(parseWeightInput('13 st 7,0', { previousKg: 85.73 }), 85.73);
+  });
+  // Em kg nada muda: o valor digitado é gravado como está.
+  assert.equal(parseWeightInput('82,55'), 82.55);
+  assert.equal(formatWeightForInput(82.55), '82,55');
+});
+
+test('insight de platô usa o mesmo limite em kg e mostra na unidade do perfil', () => {
+  const weights = Array.from({ length: 6 }, (_, i) => ({ id: `w${i}`, dateTimeISO: new Date(2024, 5, 20 + i, 8).toISOString(), weightKg: 90 + (i % 2) * 0.25 }));
+  const cache = buildChecklistCacheFromData({ injections: [], weights, measures: [] });
+  const nowDate = new Date(2024, 5, 26, 20);
+  const plateau = (list) => list.find((i) => i.title === 'Possível platô');
+  assert.match(plateau(buildLocalInsights(cache, {}, nowDate)).insight, /\(< 0,3 kg\)/);
+  assert.match(units.withUnits(LB, () => plateau(buildLocalInsights(cache, {}, nowDate))).insight, /\(< 0,7 lb\)/);
+});
+
+test('histórico mostra peso e medidas na unidade do perfil', () => {
+  const entry = { changes: [{ field: 'weightKg', from: 90.4, to: 89.5 }, { field: 'waistCm', from: 96.52, to: 95.25 }] };
+  assert.deepEqual(units.withUnits(LB, () => describeHistoryChanges(entry)), ['Peso (lb): 199,3 → 197,3', 'Cintura: 38,0 → 37,5']);
+});
+
+test('CSV exportado: colunas renomeadas e convertidas; em kg/cm nada muda', () => {
+  const headers = ['id', 'weightKg', 'waistCm', 'notes'];
+  const row = { id: 'w1', weightKg: 90.7185, waistCm: '', notes: 'x' };
+  assert.deepEqual(exportUnitHeaders(headers, { weightUnit: 'kg', lengthUnit: 'cm' }), headers);
+  assert.deepEqual(toExportUnits(row, {}), row);
+  assert.deepEqual(exportUnitHeaders(headers, ST), ['id', 'weightLb', 'waistCm', 'notes']);
+  assert.deepEqual(exportUnitHeaders(headers, LB), ['id', 'weightLb', 'waistIn', 'notes']);
+  assert.deepEqual(toExportUnits({ ...row, waistCm: 96.52 }, LB), { id: 'w1', weightLb: 200, waistIn: 38, notes: 'x' });
+});
+
+test('importação: unidade da célula, do cabeçalho ou do perfil', () => {
+  assert.equal(detectImportUnit('Peso (lb)', 'weight'), 'lb');
+  assert.equal(detectImportUnit('weightLb', 'weight'), 'lb');
+  assert.equal(detectImportUnit('82,5 kg', 'weight'), 'kg');
+  assert.equal(detectImportUnit('Peso', 'weight'), null);
+  assert.equal(detectImportUnit('38"', 'length'), 'in');
+  assert.equal(detectImportUnit('waistIn', 'length'), 'in');
+  assert.equal(detectImportUnit('Cintura', 'length'), null);
+
+  const rows = [['Data', 'Peso (lb)'], ['01/06/2024', '200'], ['02/06/2024', '90 kg']];
+  const [a, b] = buildImportRecords(rows, { kind: 'weight', mapping: { date: 0, weightKg: 1 }, dateFormat: 'dmy' });
+  assert.equal(a.input.weightKg, 90.7185);
+  assert.equal(b.input.weightKg, 90);
+
+  // Sem unidade na planilha vale a do perfil (stones contam como libras).
+  const plain = [['Data', 'Peso', 'Cintura'], ['01/06/2024', '200', '38']];
+  const [w] = buildImportRecords(plain, { kind: 'weight', mapping: { date: 0, weightKg: 1 }, dateFormat: 'dmy', weightUnit: 'st' });
+  assert.equal(w.input.weightKg, 90.7185);
+  const [m] = buildImportRecords(plain, { kind: 'measures', mapping: { date: 0, waistCm: 2 }, dateFormat: 'dmy', lengthUnit: 'in' });
+  assert.equal(m.input.waistCm, 96.52);
+});